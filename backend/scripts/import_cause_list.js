@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Import a court cause list into the hearings of forwarded cases:
+//   node scripts/import_cause_list.js <file.csv|file.json>
+// or pull the day's list from the configured e-filing connector:
+//   node scripts/import_cause_list.js --sync [YYYY-MM-DD]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const CourtHearingService = require('../src/services/CourtHearingService');
+const { formatOf } = require('../src/lib/causeList');
+
+(async () => {
+  const [first, second] = process.argv.slice(2);
+  if (!first) {
+    console.error('Usage: node scripts/import_cause_list.js <file.csv|file.json> | --sync [YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  let summary;
+  try {
+    summary = first === '--sync'
+      ? await CourtHearingService.syncCauseList({ date: second })
+      : await CourtHearingService.importCauseList({
+        content: fs.readFileSync(first),
+        format: formatOf(first),
+        filename: path.basename(first)
+      });
+  } catch (e) {
+    console.error(`Cause list import failed: ${e.message}`);
+    process.exit(1);
+  }
+
+  for (const result of summary.results) console.log(`line ${result.line}: ${result.caseNumber} -> case ${result.caseId} (${result.outcome})`);
+  for (const entry of summary.unmatched) console.log(`line ${entry.line}: ${entry.caseNumber} is not a forwarded case`);
+  for (const error of summary.errors) console.error(`line ${error.line}: ${error.message}`);
+  console.log(`${summary.entries} entries, ${summary.matched} recorded, ${summary.unmatched.length} unmatched, ${summary.errors.length} errors`);
+  process.exit(summary.errors.length ? 2 : 0);
+})();
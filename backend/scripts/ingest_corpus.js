@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// Add plain-text statutes or judgments to the legal corpus (see
+// corpus/README.md for the file format): node scripts/ingest_corpus.js file.txt ...
+// With no arguments, lists the documents currently in the corpus.
+require('dotenv').config();
+const legalCorpus = require('../src/services/LegalCorpusService');
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  for (const doc of legalCorpus.list()) {
+    console.log(`${doc.id}\t${doc.type}\t${doc.passageCount} passages\t${doc.title}`);
+  }
+  process.exit(0);
+}
+
+let failed = 0;
+for (const file of files) {
+  try {
+    const { document, file: target } = legalCorpus.ingestFile(file);
+    console.log(`${file}: ${document.id} (${document.passages.length} passages) -> ${target}`);
+  } catch (e) {
+    failed += 1;
+    console.error(`${file}: ${e.message}`);
+  }
+}
+process.exit(failed > 0 ? 1 : 0);
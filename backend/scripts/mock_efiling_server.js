@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Run the local mock e-filing court server:
+//   node scripts/mock_efiling_server.js [port]
+// then set COURT_EFILING_URL=http://127.0.0.1:<port> for the backend.
+// MOCK_EFILING_SCRUTINY_MS delays scrutiny to show 'under_scrutiny'.
+require('dotenv').config();
+const { createMockEFilingServer } = require('../src/lib/mockEFilingServer');
+
+const port = Number(process.argv[2] || process.env.MOCK_EFILING_PORT || 4100);
+const { listen } = createMockEFilingServer({ scrutinyDelayMs: Number(process.env.MOCK_EFILING_SCRUTINY_MS) || 0 });
+
+listen(port).then(() => {
+  console.log(`Mock e-filing server listening on http://127.0.0.1:${port}`);
+}).catch((error) => {
+  console.error('Failed to start the mock e-filing server:', error.message);
+  process.exit(1);
+});
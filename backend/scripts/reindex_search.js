@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Rebuild the full-text search index for every case, or only the case ids
+// given as arguments: node scripts/reindex_search.js [caseId ...]
+require('dotenv').config();
+const { supabase } = require('../src/lib/supabaseClient');
+const SearchIndexService = require('../src/services/SearchIndexService');
+
+(async () => {
+  let caseIds = process.argv.slice(2);
+  if (caseIds.length === 0) {
+    const { data, error } = await supabase.from('cases').select('id');
+    if (error) {
+      console.error('Failed to list cases:', error.message);
+      process.exit(1);
+    }
+    caseIds = (data || []).map(c => c.id);
+  }
+
+  let total = 0;
+  for (const caseId of caseIds) {
+    try {
+      const indexed = await SearchIndexService.reindexCase(caseId);
+      total += indexed;
+      console.log(`${caseId}: ${indexed} documents`);
+    } catch (e) {
+      console.error(`${caseId}: ${e.message}`);
+    }
+  }
+  console.log(`Indexed ${total} documents across ${caseIds.length} cases`);
+})();
@@ -0,0 +1,13 @@
+-- Calendar Inputs for Deadline Computation
+-- Deadlines are counted in business hours of the case's jurisdiction calendar
+-- (backend/calendars/*.json) and aligned to each party's local business hours.
+
+-- Free-text jurisdiction, matched against calendar codes and aliases
+-- (e.g. "IN-MH", "Maharashtra", "Mumbai"); unknown values use DEFAULT_JURISDICTION
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS jurisdiction TEXT;
+
+-- IANA time zone of the user, e.g. "Asia/Kolkata" or "Asia/Dubai"
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+COMMENT ON COLUMN cases.jurisdiction IS 'Jurisdiction whose holiday calendar governs case deadlines';
+COMMENT ON COLUMN users.timezone IS 'IANA time zone used to keep deadlines inside the user''s business hours';
@@ -0,0 +1,9 @@
+-- Consensus Rules for N-party Settlements
+-- ConsensusService counts the option selections of every voting party
+-- (complainants, respondents and co-parties, and stakeholders such as insurers
+-- and guarantors) under the rule stored here. NULL means unanimity.
+
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS consensus_rule JSONB;
+
+COMMENT ON COLUMN cases.consensus_rule IS '{mode: unanimous|principal_unanimous|weighted, threshold: share of voting weight (weighted), principals: [user_id], weights: {user_id: weight}}';
+
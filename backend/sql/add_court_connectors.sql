@@ -0,0 +1,19 @@
+-- Court Filing Connectors
+-- Each court system files through a connector (CourtConnectorRegistry):
+-- 'efiling' (JSON e-filing portal) or 'email' (registry mailbox). The
+-- connector defaults to the filing's submission method; its settings fall
+-- back to COURT_EFILING_URL, COURT_EFILING_TOKEN and COURT_FILING_EMAIL.
+
+ALTER TABLE IF EXISTS court_systems ADD COLUMN IF NOT EXISTS connector TEXT;
+ALTER TABLE IF EXISTS court_systems ADD COLUMN IF NOT EXISTS efiling_config JSONB;
+ALTER TABLE IF EXISTS court_systems ADD COLUMN IF NOT EXISTS email_config JSONB;
+ALTER TABLE IF EXISTS court_systems ADD COLUMN IF NOT EXISTS connector_config JSONB;
+
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS tracking_id TEXT;
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS confirmation_number TEXT;
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_court_filings_tracking_id ON court_filings(tracking_id);
+
+COMMENT ON COLUMN court_filings.tracking_id IS 'Identifier of the filing at the court (connector trackingId)';
+COMMENT ON COLUMN court_filings.confirmation_number IS 'Acknowledgement number issued by the court on receipt';
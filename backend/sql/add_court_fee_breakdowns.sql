@@ -0,0 +1,13 @@
+-- Court Fee Breakdowns
+-- Itemized court fees from the state fee schedules (CourtFeeService,
+-- backend/fee-schedules), with the schedule version and its effective dates,
+-- kept on court referrals and on court filings. On a filing, fees_paid is the
+-- amount the court reported charging.
+
+ALTER TABLE IF EXISTS court_referrals ADD COLUMN IF NOT EXISTS court_fees JSONB;
+
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS court_fees JSONB;
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS fees_paid NUMERIC(12, 2);
+
+COMMENT ON COLUMN court_filings.court_fees IS 'Itemized fees from the fee schedule in force at filing, with courtReported and any discrepancy warning';
+COMMENT ON COLUMN court_filings.fees_paid IS 'Fees the court reported charging for the filing';
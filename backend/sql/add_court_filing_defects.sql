@@ -0,0 +1,24 @@
+-- Court Filing Defects
+-- Filings the registry returns with defects are 'defective' and carry the
+-- defect list. The cure is re-filed as a new filing linked to the defective
+-- one, which becomes 'resubmitted'; every filing in the chain keeps the full
+-- defect history (one round per deficiency notice, with its cure and the
+-- registry's verdict on each defect). See CourtDefectService.
+
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS defects JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS defect_history JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS resubmission_of UUID REFERENCES court_filings(id) ON DELETE SET NULL;
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS superseded_by UUID REFERENCES court_filings(id) ON DELETE SET NULL;
+ALTER TABLE court_filings ADD COLUMN IF NOT EXISTS resubmission_count INTEGER DEFAULT 0;
+
+ALTER TABLE court_filings DROP CONSTRAINT IF EXISTS court_filings_status_check;
+ALTER TABLE court_filings ADD CONSTRAINT court_filings_status_check CHECK (status IN (
+  'pending', 'processing', 'submitted', 'accepted', 'processed', 'defective', 'resubmitted', 'rejected', 'failed', 'cancelled'
+));
+
+CREATE INDEX IF NOT EXISTS idx_court_filings_resubmission_of ON court_filings(resubmission_of);
+
+COMMENT ON COLUMN court_filings.defects IS 'Open registry defects: [{ code, description, rule, cureBy }]';
+COMMENT ON COLUMN court_filings.defect_history IS 'Defect rounds: [{ round, filingId, trackingId, noticedAt, status (open|resubmitted|closed), defects (with cured once closed), cure, closedAt }]';
+COMMENT ON COLUMN court_filings.resubmission_of IS 'The defective filing this one re-files';
+COMMENT ON COLUMN court_filings.superseded_by IS 'The resubmission that re-filed this defective filing';
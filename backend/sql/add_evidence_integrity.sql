@@ -0,0 +1,13 @@
+-- Evidence Integrity and Chain of Custody
+-- The SHA-256 of each evidence file is taken at upload and checked again on
+-- every download, processing run and court package export
+-- (EvidenceCustodyService). Custody events are kept in the case audit log
+-- (case_audit_log, event types evidence.*), so no separate custody table.
+
+ALTER TABLE evidence ADD COLUMN IF NOT EXISTS sha256 CHAR(64);
+ALTER TABLE evidence ADD COLUMN IF NOT EXISTS size_bytes BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_evidence_sha256 ON evidence(sha256);
+
+COMMENT ON COLUMN evidence.sha256 IS 'SHA-256 of the file as uploaded; NULL for evidence uploaded before digests were recorded';
+COMMENT ON COLUMN evidence.size_bytes IS 'Size of the file as uploaded';
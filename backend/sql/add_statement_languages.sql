@@ -0,0 +1,15 @@
+-- Multilingual Statements
+-- Statements keep the language they were written in; that text is
+-- authoritative. Machine translations for the other parties and for the AI
+-- pipeline (StatementService.translationFor) are cached per language. Users
+-- choose the language they read in with their notification preferences.
+
+ALTER TABLE case_statements ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en';
+ALTER TABLE case_statements ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN case_statements.language IS 'ISO 639-1 code of the language the statement was written in (detected from the script unless the party named it)';
+COMMENT ON COLUMN case_statements.translations IS '{language: {text, from, to, sourceSha256, provider, model, translatedAt}} machine translations of content';
+
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en';
+
+COMMENT ON COLUMN notification_preferences.language IS 'Language the user reads statements, translations and settlement documents in';
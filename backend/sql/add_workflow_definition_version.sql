@@ -0,0 +1,25 @@
+-- Workflow Definition Pinning
+-- Each dispute workflow records the lifecycle definition (backend/workflows/*.json)
+-- and version it started with, so editing or adding definitions never changes
+-- the rules for cases already in flight.
+
+CREATE TABLE IF NOT EXISTS dispute_workflows (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  case_id UUID NOT NULL UNIQUE REFERENCES cases(id) ON DELETE CASCADE,
+  current_stage VARCHAR(50) NOT NULL,
+  initiated_by UUID,
+  initiated_at TIMESTAMPTZ DEFAULT NOW(),
+  stage_history TEXT DEFAULT '[]',
+  metadata TEXT DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Existing rows predate definitions and ran on the hard-coded standard lifecycle
+ALTER TABLE dispute_workflows ADD COLUMN IF NOT EXISTS definition_id VARCHAR(100) NOT NULL DEFAULT 'standard';
+ALTER TABLE dispute_workflows ADD COLUMN IF NOT EXISTS definition_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_dispute_workflows_definition ON dispute_workflows(definition_id, definition_version);
+
+COMMENT ON COLUMN dispute_workflows.definition_id IS 'Workflow definition id (backend/workflows/<id>.v<version>.json)';
+COMMENT ON COLUMN dispute_workflows.definition_version IS 'Definition version the case is pinned to';
@@ -0,0 +1,30 @@
+-- AI Output Provenance
+-- One row per structured AI call (StructuredOutputService.generate): which
+-- provider and model produced the accepted output, a hash of the prompt, and
+-- every attempt with the schema validation errors that triggered a repair
+-- re-prompt or a move to the next provider. analysis_id links the row to the
+-- ai_analysis record the output was saved in, when there is one.
+
+CREATE TABLE IF NOT EXISTS ai_output_provenance (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  case_id UUID REFERENCES cases(id) ON DELETE CASCADE,
+  analysis_id UUID REFERENCES ai_analysis(id) ON DELETE SET NULL,
+  task VARCHAR(100) NOT NULL,
+  provider VARCHAR(50),
+  model VARCHAR(100),
+  prompt_hash CHAR(64) NOT NULL,
+  attempts JSONB NOT NULL DEFAULT '[]'::jsonb,
+  validation_errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  outcome VARCHAR(20) NOT NULL
+    CHECK (outcome IN ('valid', 'repaired', 'provider_fallback', 'fallback', 'failed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_output_provenance_case ON ai_output_provenance(case_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_output_provenance_analysis ON ai_output_provenance(analysis_id);
+CREATE INDEX IF NOT EXISTS idx_ai_output_provenance_outcome ON ai_output_provenance(task, outcome);
+
+COMMENT ON TABLE ai_output_provenance IS 'Model, prompt hash, attempts and validation errors behind each structured AI output';
+COMMENT ON COLUMN ai_output_provenance.prompt_hash IS 'SHA-256 of the JSON array of [role, content] pairs sent on the first attempt';
+COMMENT ON COLUMN ai_output_provenance.attempts IS 'Array of { provider, model, kind: initial|repair, errors, duration_ms }';
+COMMENT ON COLUMN ai_output_provenance.outcome IS 'valid: first reply passed; repaired: passed after a re-prompt; provider_fallback: passed on a later provider; fallback: caller default used; failed: nothing usable';
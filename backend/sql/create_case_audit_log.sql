@@ -0,0 +1,47 @@
+-- Case Audit Log
+-- One append-only, hash-chained history per case. Every entry carries the
+-- hash of the entry before it (a run of zeros for the first), and its own
+-- hash covers that link, so editing, deleting or reordering any row breaks
+-- every hash after it. AuditLogService computes the hashes; the database
+-- only refuses anything other than INSERT.
+
+CREATE TABLE IF NOT EXISTS case_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  case_id UUID NOT NULL,
+  sequence INTEGER NOT NULL CHECK (sequence > 0),
+  event_type VARCHAR(100) NOT NULL,
+  actor_id TEXT,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  occurred_at TIMESTAMPTZ NOT NULL,
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) NOT NULL,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- two writers racing for the same position: the loser re-reads the head
+  UNIQUE (case_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_audit_log_event ON case_audit_log(case_id, event_type);
+
+CREATE OR REPLACE FUNCTION case_audit_log_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'case_audit_log is append-only (% refused)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_case_audit_log_no_update ON case_audit_log;
+CREATE TRIGGER trg_case_audit_log_no_update
+  BEFORE UPDATE OR DELETE ON case_audit_log
+  FOR EACH ROW EXECUTE FUNCTION case_audit_log_append_only();
+
+DROP TRIGGER IF EXISTS trg_case_audit_log_no_truncate ON case_audit_log;
+CREATE TRIGGER trg_case_audit_log_no_truncate
+  BEFORE TRUNCATE ON case_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION case_audit_log_append_only();
+
+REVOKE UPDATE, DELETE, TRUNCATE ON case_audit_log FROM PUBLIC;
+
+COMMENT ON TABLE case_audit_log IS 'Append-only, hash-chained audit trail of case events';
+COMMENT ON COLUMN case_audit_log.sequence IS 'Position in the case chain, starting at 1 with no gaps';
+COMMENT ON COLUMN case_audit_log.prev_hash IS 'hash of entry sequence - 1, or 64 zeros for the first entry';
+COMMENT ON COLUMN case_audit_log.hash IS 'SHA-256 of the canonical JSON of case_id, sequence, event_type, actor_id, payload, occurred_at and prev_hash';
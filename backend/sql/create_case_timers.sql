@@ -0,0 +1,110 @@
+-- Persistent Case Timers
+-- Deadlines and reminders used to live in setTimeout maps inside one process,
+-- so they were lost on restart and fired once per backend instance. They are
+-- now rows: every backend polls for due events and claims them with row locks,
+-- so each reminder or escalation runs exactly once, including after downtime.
+
+CREATE TABLE IF NOT EXISTS case_timers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  case_id UUID NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+  timer_type VARCHAR(50) NOT NULL CHECK (timer_type IN ('statement_submission', 'settlement_response')),
+  deadline TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'expired', 'stopped', 'replaced')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reminders_sent INTEGER NOT NULL DEFAULT 0,
+  extension_count INTEGER NOT NULL DEFAULT 0,
+  stopped_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- At most one running timer per case; a second instance adopting the same
+-- legacy deadline gets a unique violation instead of a duplicate timer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_case_timers_one_active ON case_timers(case_id) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS case_timer_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  timer_id UUID NOT NULL REFERENCES case_timers(id) ON DELETE CASCADE,
+  case_id UUID NOT NULL,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('reminder', 'deadline')),
+  hours_before INTEGER,
+  fire_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'fired', 'skipped', 'cancelled', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  locked_by TEXT,
+  locked_at TIMESTAMPTZ,
+  fired_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_timer_events_due ON case_timer_events(status, fire_at);
+CREATE INDEX IF NOT EXISTS idx_case_timer_events_timer ON case_timer_events(timer_id);
+
+-- Audit trail of every deadline extension. Rows are never updated or deleted.
+CREATE TABLE IF NOT EXISTS deadline_extensions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  timer_id UUID NOT NULL REFERENCES case_timers(id) ON DELETE CASCADE,
+  case_id UUID NOT NULL,
+  timer_type VARCHAR(50) NOT NULL,
+  previous_deadline TIMESTAMPTZ NOT NULL,
+  new_deadline TIMESTAMPTZ NOT NULL,
+  additional_hours INTEGER NOT NULL,
+  reason TEXT,
+  extended_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deadline_extensions_case ON deadline_extensions(case_id, created_at);
+
+CREATE OR REPLACE FUNCTION prevent_deadline_extension_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'deadline_extensions is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS deadline_extensions_append_only ON deadline_extensions;
+CREATE TRIGGER deadline_extensions_append_only
+  BEFORE UPDATE OR DELETE ON deadline_extensions
+  FOR EACH ROW EXECUTE FUNCTION prevent_deadline_extension_changes();
+
+-- Atomically claim up to p_limit due timer events for one backend instance.
+-- FOR UPDATE SKIP LOCKED keeps two instances from firing the same reminder or
+-- escalation. Events whose instance died mid-run are reclaimed after the lock
+-- timeout. Anything that came due while every instance was down is claimed
+-- on the first poll after startup.
+CREATE OR REPLACE FUNCTION claim_timer_events(
+  p_worker TEXT,
+  p_limit INTEGER,
+  p_lock_timeout_seconds INTEGER DEFAULT 900
+)
+RETURNS SETOF case_timer_events AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE case_timer_events e
+  SET status = 'running',
+      attempts = e.attempts + 1,
+      locked_by = p_worker,
+      locked_at = NOW(),
+      updated_at = NOW()
+  WHERE e.id IN (
+    SELECT id FROM case_timer_events
+    WHERE (status = 'pending' AND fire_at <= NOW())
+       OR (status = 'running' AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+    ORDER BY fire_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING e.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments
+COMMENT ON TABLE case_timers IS 'Statement and settlement-response deadlines per case';
+COMMENT ON TABLE case_timer_events IS 'Scheduled reminders and deadline expiries, claimed by whichever backend instance polls first';
+COMMENT ON TABLE deadline_extensions IS 'Append-only audit trail of deadline extensions';
+COMMENT ON COLUMN case_timer_events.hours_before IS 'For reminders, hours before the deadline the reminder is due';
+COMMENT ON COLUMN case_timer_events.status IS 'pending -> running -> fired; skipped when a reminder is only claimed after its deadline; cancelled when the timer is extended or stopped';
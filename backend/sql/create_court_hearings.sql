@@ -0,0 +1,65 @@
+-- Court Proceedings and Hearings
+-- A case forwarded to court is tracked after referral (CourtHearingService):
+-- one proceeding per case with the court's case number, status and next
+-- date of hearing, and one hearing row per date with its outcome, the order
+-- passed and the next date. Hearings come from registration, imported or
+-- connector-synced cause lists, or manual entry; reminders run on the job
+-- queue.
+
+CREATE TABLE IF NOT EXISTS court_proceedings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  case_id UUID NOT NULL UNIQUE,
+  filing_id UUID,
+  court_system_id UUID,
+  court_name TEXT,
+  jurisdiction TEXT,
+  court_reference TEXT,
+  court_case_number TEXT,
+  -- court_case_number uppercased without spaces, '-' and '\' as '/', for cause-list matching
+  case_number_key TEXT,
+  status TEXT NOT NULL DEFAULT 'awaiting_listing'
+    CHECK (status IN ('awaiting_listing', 'listed', 'reserved', 'disposed')),
+  stage TEXT,
+  next_hearing_date DATE,
+  -- estimate shown until the court lists the case
+  expected_first_hearing DATE,
+  last_order JSONB,
+  disposal JSONB,
+  referral_reason TEXT,
+  registered_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_court_proceedings_case_number ON court_proceedings(case_number_key);
+
+CREATE TABLE IF NOT EXISTS court_hearings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proceeding_id UUID NOT NULL REFERENCES court_proceedings(id) ON DELETE CASCADE,
+  case_id UUID NOT NULL,
+  hearing_date DATE NOT NULL,
+  hearing_time TEXT,
+  court_hall TEXT,
+  item_number TEXT,
+  judge TEXT,
+  purpose TEXT,
+  status TEXT NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'adjourned', 'heard', 'reserved', 'disposed', 'cancelled')),
+  order_summary TEXT,
+  adjournment_reason TEXT,
+  next_date DATE,
+  cancellation_reason TEXT,
+  source TEXT NOT NULL DEFAULT 'manual'
+    CHECK (source IN ('registration', 'cause_list', 'connector', 'manual')),
+  -- iCalendar SEQUENCE, bumped when the listing changes
+  sequence INTEGER NOT NULL DEFAULT 0,
+  outcome_recorded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One live hearing per date
+CREATE UNIQUE INDEX IF NOT EXISTS idx_court_hearings_date
+  ON court_hearings(proceeding_id, hearing_date) WHERE status <> 'cancelled';
+CREATE INDEX IF NOT EXISTS idx_court_hearings_case ON court_hearings(case_id, hearing_date);
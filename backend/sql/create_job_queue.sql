@@ -0,0 +1,65 @@
+-- Durable Job Queue
+-- Background jobs (evidence OCR/transcription, etc.) survive restarts and can be
+-- consumed by several worker processes at once.
+
+CREATE TABLE IF NOT EXISTS job_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  queue VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT,
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_job_queue_claim ON job_queue(queue, status, run_at);
+CREATE INDEX IF NOT EXISTS idx_job_queue_dead ON job_queue(queue, updated_at DESC) WHERE status = 'dead';
+
+-- Atomically claim up to p_limit due jobs for one worker.
+-- FOR UPDATE SKIP LOCKED lets several workers poll the same queue without
+-- handing the same job out twice. Jobs whose worker died mid-run (lock older
+-- than p_lock_timeout_seconds) are picked up again.
+CREATE OR REPLACE FUNCTION claim_jobs(
+  p_queue VARCHAR,
+  p_limit INTEGER,
+  p_worker TEXT,
+  p_lock_timeout_seconds INTEGER DEFAULT 900
+)
+RETURNS SETOF job_queue AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE job_queue j
+  SET status = 'running',
+      attempts = j.attempts + 1,
+      locked_by = p_worker,
+      locked_at = NOW(),
+      updated_at = NOW()
+  WHERE j.id IN (
+    SELECT id FROM job_queue
+    WHERE queue = p_queue
+      AND (
+        (status = 'pending' AND run_at <= NOW())
+        OR (status = 'running' AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+      )
+    ORDER BY run_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments
+COMMENT ON TABLE job_queue IS 'Persistent background job queue with retries and dead-letter state';
+COMMENT ON COLUMN job_queue.queue IS 'Logical queue name, e.g. evidence';
+COMMENT ON COLUMN job_queue.status IS 'pending -> running -> completed, or dead once max_attempts is exhausted';
+COMMENT ON COLUMN job_queue.run_at IS 'Earliest time the job may run; pushed out by exponential backoff after failures';
+COMMENT ON COLUMN job_queue.last_error IS 'Error message from the most recent failed attempt';
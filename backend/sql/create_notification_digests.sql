@@ -0,0 +1,33 @@
+-- Notification Digests
+-- Users can take their non-urgent notification emails as one daily or weekly
+-- summary (notification_preferences.digest). Each scheduled digest is one
+-- row; `notification_ids` records what it included so an item is summarised
+-- once. The unique (user_id, due_at) key lets only one backend instance send
+-- a given digest.
+
+ALTER TABLE notification_preferences
+  ADD COLUMN IF NOT EXISTS digest JSONB NOT NULL DEFAULT '{"frequency": "off", "time": "08:00", "weekday": 1}'::jsonb;
+
+COMMENT ON COLUMN notification_preferences.digest IS '{frequency: off|daily|weekly, time: HH:MM in the user time zone, weekday: 0-6 for weekly}';
+
+CREATE TABLE IF NOT EXISTS notification_digests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  due_at TIMESTAMPTZ NOT NULL,
+  period_start TIMESTAMPTZ,
+  status VARCHAR(10) NOT NULL DEFAULT 'sending' CHECK (status IN ('sending', 'sent', 'empty', 'failed')),
+  notification_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  case_count INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, due_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_digests_user ON notification_digests(user_id, due_at DESC);
+
+COMMENT ON TABLE notification_digests IS 'Scheduled notification summaries and the notifications each one included';
+COMMENT ON COLUMN notification_digests.due_at IS 'Scheduled send time; notifications created up to it are included';
+COMMENT ON COLUMN notification_digests.notification_ids IS 'Notifications summarised in this digest; failed digests leave theirs for the next one';
@@ -0,0 +1,21 @@
+-- Notification Preferences
+-- One row per user who changed their notification settings; users without a
+-- row get the defaults in NotificationPreferenceService. `channels` only holds
+-- the notification types the user overrode.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id UUID PRIMARY KEY,
+  timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+  quiet_hours JSONB NOT NULL DEFAULT '{"enabled": true, "start": "22:00", "end": "07:00"}'::jsonb,
+  channels JSONB NOT NULL DEFAULT '{}'::jsonb,
+  phone TEXT,
+  whatsapp_number TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE notification_preferences IS 'Per-user notification channels, quiet hours and contact numbers';
+COMMENT ON COLUMN notification_preferences.timezone IS 'IANA time zone the quiet hours are read in';
+COMMENT ON COLUMN notification_preferences.quiet_hours IS '{enabled, start, end} as HH:MM wall-clock times; end before start spans midnight';
+COMMENT ON COLUMN notification_preferences.channels IS 'Map of notification type to channels (in_app, email, sms, whatsapp)';
+COMMENT ON COLUMN notification_preferences.whatsapp_number IS 'Number for the WhatsApp channel; falls back to phone';
@@ -0,0 +1,27 @@
+-- Ranked Settlement Preferences
+-- Instead of picking a single option, each voting party ranks every
+-- settlement option of the case and marks each one acceptable or not
+-- (SettlementPreferenceService). A party may add a private reservation range:
+-- the settlement amounts (complainant receives) it could live with. Ranges
+-- are never returned to the other parties; only their overlap is given to
+-- the compromise generator.
+
+CREATE TABLE IF NOT EXISTS party_option_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  case_id UUID NOT NULL,
+  user_id UUID NOT NULL,
+  party_role TEXT,
+  rankings JSONB NOT NULL DEFAULT '[]'::jsonb,
+  reservation_min NUMERIC,
+  reservation_max NUMERIC,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (case_id, user_id),
+  CHECK (reservation_min IS NULL OR reservation_max IS NULL OR reservation_min <= reservation_max)
+);
+
+CREATE INDEX IF NOT EXISTS idx_party_option_preferences_case ON party_option_preferences(case_id);
+
+COMMENT ON TABLE party_option_preferences IS 'Each voting party''s ranking of the settlement options of a case';
+COMMENT ON COLUMN party_option_preferences.rankings IS '[{option_id, rank (1 = most preferred), acceptable}] covering every option of the case';
+COMMENT ON COLUMN party_option_preferences.reservation_min IS 'Private: lowest settlement amount the party accepts; never shown to other parties';
+COMMENT ON COLUMN party_option_preferences.reservation_max IS 'Private: highest settlement amount the party accepts; never shown to other parties';
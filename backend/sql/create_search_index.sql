@@ -0,0 +1,71 @@
+-- Full-Text Search Index
+-- One row per searchable item (case, statement, evidence OCR/transcript, AI
+-- analysis, generated document), written by SearchIndexService whenever the
+-- source changes. Ranking uses a weighted tsvector (title A, body B); results
+-- are always restricted to a list of case ids the caller may see.
+
+CREATE TABLE IF NOT EXISTS search_documents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  case_id UUID NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+  source_type VARCHAR(30) NOT NULL CHECK (source_type IN ('case', 'statement', 'evidence', 'analysis', 'generated_document')),
+  source_id UUID NOT NULL,
+  title TEXT NOT NULL DEFAULT '',
+  body TEXT NOT NULL DEFAULT '',
+  document_date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  search TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(body, '')), 'B')
+  ) STORED,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_documents_search ON search_documents USING GIN (search);
+CREATE INDEX IF NOT EXISTS idx_search_documents_case ON search_documents(case_id, document_date DESC);
+
+-- Ranked, highlighted and paginated search within the given cases.
+-- p_query uses web search syntax: words, "quoted phrases", or, -excluded.
+CREATE OR REPLACE FUNCTION search_case_documents(
+  p_case_ids UUID[],
+  p_query TEXT,
+  p_source_types TEXT[] DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  case_id UUID,
+  source_type VARCHAR,
+  source_id UUID,
+  title TEXT,
+  document_date TIMESTAMPTZ,
+  rank REAL,
+  highlight TEXT,
+  total_count BIGINT
+) AS $$
+  WITH q AS (SELECT websearch_to_tsquery('english', p_query) AS query),
+  matches AS (
+    SELECT d.*, ts_rank_cd(d.search, q.query, 32) AS rank, q.query
+    FROM search_documents d, q
+    WHERE d.case_id = ANY (p_case_ids)
+      AND d.search @@ q.query
+      AND (p_source_types IS NULL OR d.source_type = ANY (p_source_types))
+      AND (p_from IS NULL OR d.document_date >= p_from)
+      AND (p_to IS NULL OR d.document_date <= p_to)
+  )
+  SELECT
+    m.id, m.case_id, m.source_type, m.source_id, m.title, m.document_date, m.rank,
+    ts_headline('english', CASE WHEN m.body = '' THEN m.title ELSE m.body END, m.query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "'),
+    COUNT(*) OVER ()
+  FROM matches m
+  ORDER BY m.rank DESC, m.document_date DESC
+  LIMIT LEAST(p_limit, 100) OFFSET p_offset;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON TABLE search_documents IS 'Full-text index over case content, maintained by SearchIndexService';
+COMMENT ON COLUMN search_documents.source_type IS 'Which table source_id points to';
+COMMENT ON COLUMN search_documents.body IS 'Indexed text: description, statement content, OCR text and transcript, analysis summary, document content';
+COMMENT ON FUNCTION search_case_documents IS 'Ranked search restricted to p_case_ids, with <mark> highlighted excerpts and the total match count';
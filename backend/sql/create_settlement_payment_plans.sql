@@ -0,0 +1,131 @@
+-- Installment Settlement Plans
+-- A settlement amount paid in installments (SettlementPaymentService). One
+-- party proposes the plan and another accepts it before it takes effect. Each
+-- installment has a due date; payments after the due date carry the plan's
+-- late penalty, and an installment still unpaid when its grace period ends
+-- puts the plan in default, which reopens the case or forwards it to court.
+-- Reminders and default checks run on the job queue.
+
+CREATE TABLE IF NOT EXISTS settlement_payment_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  case_id UUID NOT NULL,
+  option_id UUID,
+  total_amount NUMERIC(14, 2) NOT NULL CHECK (total_amount > 0),
+  currency TEXT NOT NULL DEFAULT 'INR',
+  grace_days INTEGER NOT NULL DEFAULT 7 CHECK (grace_days >= 0),
+  late_penalty JSONB,
+  default_action TEXT NOT NULL DEFAULT 'court_forwarding'
+    CHECK (default_action IN ('reopen', 'court_forwarding')),
+  payer_id UUID,
+  payee_id UUID,
+  status TEXT NOT NULL DEFAULT 'proposed'
+    CHECK (status IN ('proposed', 'active', 'completed', 'defaulted', 'cancelled')),
+  defaulted_at TIMESTAMPTZ,
+  default_installment_id UUID,
+  default_action_status TEXT CHECK (default_action_status IN ('completed', 'failed')),
+  default_action_error TEXT,
+  created_by UUID,
+  accepted_by UUID,
+  accepted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One live plan per case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settlement_payment_plans_live
+  ON settlement_payment_plans(case_id) WHERE status IN ('proposed', 'active', 'defaulted');
+
+CREATE TABLE IF NOT EXISTS settlement_installments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id UUID NOT NULL REFERENCES settlement_payment_plans(id) ON DELETE CASCADE,
+  case_id UUID NOT NULL,
+  sequence INTEGER NOT NULL,
+  amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+  due_date DATE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'partially_paid', 'paid', 'defaulted')),
+  paid_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+  penalty_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+  paid_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (plan_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_settlement_installments_plan ON settlement_installments(plan_id, sequence);
+
+CREATE TABLE IF NOT EXISTS settlement_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id UUID NOT NULL REFERENCES settlement_payment_plans(id) ON DELETE CASCADE,
+  case_id UUID NOT NULL,
+  amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+  paid_at TIMESTAMPTZ NOT NULL,
+  method TEXT,
+  reference TEXT,
+  allocations JSONB NOT NULL DEFAULT '[]'::jsonb,
+  receipt JSONB,
+  logged_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_settlement_payments_plan ON settlement_payments(plan_id, paid_at);
+
+-- Record a payment and its allocation atomically. The plan's installment rows
+-- are locked, and each one the payment was allocated to must still have the
+-- paid amount and status the allocation was computed from; otherwise another
+-- payment got there first and the caller allocates again (SQLSTATE 40001).
+-- p_updates: [{id, expected: {paid_amount, status}, patch: {paid_amount,
+-- penalty_amount, status, paid_at}}]
+CREATE OR REPLACE FUNCTION record_settlement_payment(p_payment JSONB, p_updates JSONB)
+RETURNS SETOF settlement_payments AS $$
+DECLARE
+  item JSONB;
+  current_row settlement_installments%ROWTYPE;
+BEGIN
+  PERFORM 1 FROM settlement_installments
+  WHERE plan_id = (p_payment->>'plan_id')::UUID
+  ORDER BY sequence
+  FOR UPDATE;
+
+  FOR item IN SELECT * FROM jsonb_array_elements(p_updates) LOOP
+    SELECT * INTO current_row FROM settlement_installments WHERE id = (item->>'id')::UUID;
+    IF NOT FOUND
+       OR current_row.paid_amount <> (item->'expected'->>'paid_amount')::NUMERIC
+       OR current_row.status <> item->'expected'->>'status' THEN
+      RAISE EXCEPTION 'installment % changed while the payment was applied', item->>'id'
+        USING ERRCODE = '40001';
+    END IF;
+
+    UPDATE settlement_installments
+    SET paid_amount = (item->'patch'->>'paid_amount')::NUMERIC,
+        penalty_amount = (item->'patch'->>'penalty_amount')::NUMERIC,
+        status = item->'patch'->>'status',
+        paid_at = (item->'patch'->>'paid_at')::TIMESTAMPTZ,
+        updated_at = NOW()
+    WHERE id = current_row.id;
+  END LOOP;
+
+  RETURN QUERY
+  INSERT INTO settlement_payments (id, plan_id, case_id, amount, paid_at, method, reference, allocations, receipt, logged_by, created_at)
+  VALUES (
+    (p_payment->>'id')::UUID,
+    (p_payment->>'plan_id')::UUID,
+    (p_payment->>'case_id')::UUID,
+    (p_payment->>'amount')::NUMERIC,
+    (p_payment->>'paid_at')::TIMESTAMPTZ,
+    p_payment->>'method',
+    p_payment->>'reference',
+    COALESCE(p_payment->'allocations', '[]'::JSONB),
+    NULLIF(p_payment->'receipt', 'null'::JSONB),
+    (p_payment->>'logged_by')::UUID,
+    COALESCE((p_payment->>'created_at')::TIMESTAMPTZ, NOW())
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE settlement_payment_plans IS 'Installment schedules for settlement amounts';
+COMMENT ON COLUMN settlement_payment_plans.status IS 'proposed (replaceable) -> active once another party accepts -> completed or defaulted; replaced proposals are cancelled';
+COMMENT ON COLUMN settlement_payment_plans.late_penalty IS '{type: flat|percent, value}; charged once on an installment paid after its due date';
+COMMENT ON COLUMN settlement_payment_plans.grace_days IS 'Days after a due date before an unpaid installment is a default';
+COMMENT ON COLUMN settlement_payments.allocations IS '[{installment_id, amount}] - how the payment was applied, oldest installment first';
+COMMENT ON COLUMN settlement_payments.receipt IS '{file_name, mime_type, size, sha256, storage_path} of the uploaded receipt in the storage bucket';
@@ -0,0 +1,41 @@
+-- Signing Envelopes
+-- One row per document sent for signature. Each signature is an incremental
+-- revision appended to the PDF (DocumentSigningService), so the row tracks
+-- the hash and path of the current revision and, per signer, the revision
+-- their signature produced. `revision` only moves forward: updates are
+-- conditional on it, so two signers cannot both sign the same revision.
+
+CREATE TABLE IF NOT EXISTS signing_envelopes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  case_id UUID NOT NULL,
+  title TEXT NOT NULL,
+  document_type VARCHAR(50) NOT NULL DEFAULT 'settlement_agreement',
+  source_type VARCHAR(50),
+  source_id TEXT,
+  signing_order VARCHAR(20) NOT NULL DEFAULT 'parallel' CHECK (signing_order IN ('parallel', 'sequential')),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled')),
+  original_sha256 CHAR(64) NOT NULL,
+  current_sha256 CHAR(64) NOT NULL,
+  current_path TEXT NOT NULL,
+  revision INTEGER NOT NULL DEFAULT 0,
+  signers JSONB NOT NULL DEFAULT '[]'::jsonb,
+  certificate_path TEXT,
+  certificate_sha256 CHAR(64),
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_envelopes_case ON signing_envelopes(case_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_signing_envelopes_source ON signing_envelopes(source_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_signing_envelopes_current_hash ON signing_envelopes(current_sha256);
+CREATE INDEX IF NOT EXISTS idx_signing_envelopes_certificate_hash ON signing_envelopes(certificate_sha256);
+
+COMMENT ON TABLE signing_envelopes IS 'Documents sent for embedded PDF signatures, with their signers and signed revisions';
+COMMENT ON COLUMN signing_envelopes.source_type IS 'What the document was generated from, e.g. settlement_document or case_settlement';
+COMMENT ON COLUMN signing_envelopes.original_sha256 IS 'SHA-256 of the prepared PDF (with signature page) before the first signature';
+COMMENT ON COLUMN signing_envelopes.current_sha256 IS 'SHA-256 of the latest signed revision';
+COMMENT ON COLUMN signing_envelopes.revision IS 'Number of signatures embedded so far; updates must name the revision they read';
+COMMENT ON COLUMN signing_envelopes.signers IS 'Array of {user_id, name, email, role, order, slot, status, signed_at, ip_address, user_agent, certificate_serial, revision, document_sha256}';
+COMMENT ON COLUMN signing_envelopes.certificate_path IS 'Completion certificate PDF, sealed with the platform signature';
@@ -0,0 +1,52 @@
+-- Outbound Webhooks
+-- Endpoints registered by users (each with its own signing secret and the
+-- lifecycle events it subscribes to) and a log of every delivery attempt.
+-- Deliveries run on the durable job queue (sql/create_job_queue.sql), which
+-- owns retries and backoff; this table only records what happened.
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  event_types TEXT[] NOT NULL DEFAULT ARRAY['*'],
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_owner ON webhook_endpoints(created_by);
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_events ON webhook_endpoints USING GIN (event_types) WHERE is_active;
+
+-- One row per HTTP attempt. Attempts of the same event share a delivery_id,
+-- which is also sent to the receiver as X-Webhook-Id for de-duplication.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  delivery_id UUID NOT NULL,
+  endpoint_id UUID REFERENCES webhook_endpoints(id) ON DELETE SET NULL,
+  automation_id UUID,
+  created_by UUID,
+  event_type VARCHAR(100) NOT NULL,
+  url TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('succeeded', 'failed')),
+  will_retry BOOLEAN NOT NULL DEFAULT FALSE,
+  status_code INTEGER,
+  latency_ms INTEGER,
+  response_body TEXT,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_owner ON webhook_deliveries(created_by, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_delivery ON webhook_deliveries(delivery_id);
+
+COMMENT ON TABLE webhook_endpoints IS 'Receivers of signed outbound webhook events';
+COMMENT ON COLUMN webhook_endpoints.secret IS 'HMAC-SHA256 signing secret; shown to the owner only on create and rotate';
+COMMENT ON COLUMN webhook_endpoints.event_types IS 'Subscribed event types, or * for all events';
+COMMENT ON TABLE webhook_deliveries IS 'Log of outbound webhook delivery attempts';
+COMMENT ON COLUMN webhook_deliveries.will_retry IS 'Whether the job queue scheduled another attempt after this one';
+COMMENT ON COLUMN webhook_deliveries.response_body IS 'Receiver response, truncated';
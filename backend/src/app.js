@@ -23,6 +23,10 @@ try {
   console.warn('Could not create uploads directory:', e.message);
 }
 
+// A misconfigured audit log must be visible, not discovered in court
+const auditLogStatus = require('./services/AuditLogService').status();
+if (auditLogStatus.warning) console.warn(`WARNING: ${auditLogStatus.warning}`);
+
 // Allow multiple frontend ports
 const allowedOrigins = ['http://localhost:3001', 'http://localhost:3002', 'http://localhost:3000'];
 
@@ -91,6 +95,7 @@ if (!isTest) {
   const evidenceRouter = require('./routes/evidence');
   const evidenceStatusRouter = require('./routes/evidenceStatus');
   const caseEvidenceListRouter = require('./routes/caseEvidenceList');
+  const auditLogRouter = require('./routes/auditLog');
   const evidenceDownloadRouter = require('./routes/evidenceDownload');
   const evidenceSignedRouter = require('./routes/evidenceSigned');
   const authRouter = require('./routes/auth');
@@ -99,7 +104,9 @@ if (!isTest) {
   const settlementSignRouter = require('./routes/settlementSign');
   const reconcileRouter = require('./routes/reconcile');
   const adminRevokeRouter = require('./routes/adminRevoke');
+  const adminJobsRouter = require('./routes/adminJobs');
   const esignRouter = require('./routes/esign');
+  const signingRouter = require('./routes/signing');
   // V2 API Routes
   const casesV2Router = require('./routes/casesV2');
   // AI Analysis Routes (Phase 2)
@@ -142,6 +149,7 @@ if (!isTest) {
   app.use('/api/evidence', evidenceRouter);
   app.use('/api/evidence', evidenceStatusRouter);
   app.use('/api/cases', caseEvidenceListRouter);
+  app.use('/api/cases', auditLogRouter);
   app.use('/api/evidence', evidenceDownloadRouter);
   app.use('/api/evidence', evidenceSignedRouter);
   app.use('/api/auth', authRouter);
@@ -150,7 +158,9 @@ if (!isTest) {
   app.use('/api/cases', settlementSignRouter);
   app.use('/api/cases', reconcileRouter);
   app.use('/api/admin', adminRevokeRouter);
+  app.use('/api/admin', adminJobsRouter);
   app.use('/api', esignRouter);
+  app.use('/api', signingRouter);
   // V2 API and AI Analysis endpoints
   app.use('/api/v2/cases', casesV2Router);
   app.use('/api/ai', aiRouter);
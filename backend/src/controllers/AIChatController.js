@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../lib/authMiddleware');
 const { generateLegalResponses } = require('../lib/legalResponseTemplates');
+const legalCorpus = require('../services/LegalCorpusService');
 
 // Simple in-memory conversation store for dev/testing.
 // Maps userId -> Array<{ role: 'user'|'assistant', content: string, timestamp: string }>
@@ -36,6 +37,27 @@ function detectPIIInMessages(messages) {
   return allFindings;
 }
 
+// Precedent answers come from the local legal corpus, never from a canned
+// list: each authority is quoted and carries its corpus source id
+function buildPrecedentReply(message) {
+  const hits = legalCorpus.retrieve(message, { limit: 3 });
+  if (hits.length === 0) {
+    return {
+      response: 'I could not find a statute or judgment in the legal corpus that matches your question. Describe the dispute in a little more detail (for example the contract term, the delay or the deficiency in service) and I will search again.',
+      sources: []
+    };
+  }
+
+  const lines = hits.map((hit, i) => {
+    const name = hit.type === 'judgment' ? `${hit.title}, ${hit.citation}` : `${hit.provision}, ${hit.title}`;
+    return `${i + 1}. **${name}** [${hit.source_id}]\n   "${legalCorpus.quote(hit.source_id, message)}"`;
+  });
+  return {
+    response: `Relevant authorities from the legal corpus:\n\n${lines.join('\n\n')}\n\nCheck how each one applies to your facts before relying on it in negotiations.`,
+    sources: hits.map(({ source_id, title, citation, provision }) => ({ source_id, title, citation, provision }))
+  };
+}
+
 // AI Chat endpoint
 router.post('/chat', requireAuth, async (req, res) => {
   try {
@@ -51,8 +73,6 @@ router.post('/chat', requireAuth, async (req, res) => {
     const responses = {
       "strengths": "Based on my analysis, your case has several strong points:\n\n1. **Clear Documentation**: You have substantial evidence supporting your claims.\n2. **Legal Precedent**: Similar cases have ruled in favor of plaintiffs in this jurisdiction.\n3. **Timeline**: Your prompt action strengthens your position.\n4. **Witness Testimony**: Multiple witnesses corroborate your account.\n\nI recommend proceeding with settlement negotiations while maintaining this strong position.",
       
-      "precedents": "Relevant legal precedents for your case include:\n\n1. **Smith v. Jones (2022)**: Established similar liability standards\n2. **Brown v. County (2021)**: Set damages framework for comparable cases\n3. **State v. Corporation (2020)**: Clarified duty of care requirements\n\nThese precedents generally favor your position and could strengthen settlement negotiations.",
-      
       "settlement": "Settlement options to consider:\n\n1. **Full Compensation**: Demand 100% of claimed damages ($50,000)\n2. **Reduced Settlement**: Accept 75% ($37,500) for quicker resolution\n3. **Structured Payment**: Monthly payments over 12-24 months\n4. **Non-Monetary Terms**: Include future preventive measures\n\nGiven the strength of your case, I'd recommend starting with option 1 and being willing to negotiate to option 2.",
       
       "timeline": "Expected timeline for your case:\n\n1. **Discovery Phase**: 2-3 months for evidence exchange\n2. **Mediation**: 1-2 months for settlement discussions\n3. **Trial Preparation**: 2-3 months if settlement fails\n4. **Trial**: 1-2 weeks of court time\n5. **Appeals**: 6-12 months if either party appeals\n\n**Total Estimate**: 6-8 months for settlement, 12-18 months for full trial.\n\nI recommend pursuing settlement to save time and costs.",
@@ -82,11 +102,12 @@ router.post('/chat', requireAuth, async (req, res) => {
     // Simple keyword matching for demo
     const lowerMessage = message.toLowerCase();
     let response;
+    let sources = ['Legal precedent database', 'Case law analysis', 'Settlement statistics'];
     
     if (lowerMessage.includes('strength')) {
       response = responses.strengths;
     } else if (lowerMessage.includes('precedent') || lowerMessage.includes('legal')) {
-      response = responses.precedents;
+      ({ response, sources } = buildPrecedentReply(message));
     } else if (lowerMessage.includes('settlement') || lowerMessage.includes('option')) {
       response = responses.settlement;
     } else if (lowerMessage.includes('long') || lowerMessage.includes('timeline') || lowerMessage.includes('time')) {
@@ -110,11 +131,7 @@ router.post('/chat', requireAuth, async (req, res) => {
       data: {
         response,
         confidence: 0.87,
-        sources: [
-          'Legal precedent database',
-          'Case law analysis',
-          'Settlement statistics'
-        ]
+        sources
       }
     });
     
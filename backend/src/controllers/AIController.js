@@ -104,27 +104,9 @@ class AIController {
       const { reasoning } = req.body;
       const userId = req.user.id;
 
-      // Verify case access and get party type
-      const Case = require('../models/Case');
-      const caseData = await Case.getById(caseId);
-      if (!caseData) {
-        return res.status(404).json({
-          success: false,
-          message: 'Case not found'
-        });
-      }
-
-      let partyType;
-      if (caseData.filed_by === userId) {
-        partyType = 'complainer';
-      } else if (caseData.defender_id === userId) {
-        partyType = 'defender';
-      } else {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
+      // The route's authorize('settlement:respond') guard resolved the caller's roles
+      const { roles } = req.caseAccess;
+      const partyType = roles.includes('respondent') && !roles.includes('complainant') ? 'defender' : 'complainer';
 
       // Use workflow integration service to handle option selection
       const result = await AIWorkflowIntegrationService.handleOptionSelection(
@@ -167,19 +149,8 @@ class AIController {
   async getCaseAIStatus(req, res) {
     try {
       const { caseId } = req.params;
-      const userId = req.user.id;
-
-      // Verify case access
-      const Case = require('../models/Case');
-      const caseData = await Case.getById(caseId);
-      if (!caseData || (caseData.filed_by !== userId && caseData.defender_id !== userId)) {
-        return res.status(404).json({
-          success: false,
-          message: 'Case not found or access denied'
-        });
-      }
 
-      // Get AI workflow status
+      // case access is checked by the route's authorize('analysis:view') guard
       const result = await AIWorkflowIntegrationService.getAIWorkflowStatus(caseId);
 
       if (!result.success) {
@@ -3,6 +3,8 @@ const logger = require('../lib/logger');
 const AdvancedAIService = require('../services/AdvancedAIService');
 const asyncHandler = require('../lib/asyncHandler');
 const HttpError = require('../lib/HttpError');
+const AuthorizationService = require('../services/AuthorizationService');
+const legalCorpus = require('../services/LegalCorpusService');
 
 class AdvancedAIController {
   constructor() {
@@ -156,6 +158,25 @@ class AdvancedAIController {
     });
   });
 
+  /**
+   * Search the local legal corpus
+   * GET /api/ai/advanced/corpus/search?q=...&type=statute|judgment&limit=5
+   */
+  searchLegalCorpus = asyncHandler(async (req, res) => {
+    const { q, type, limit = 5 } = req.query;
+
+    const results = legalCorpus.retrieve(q, { type: type || null, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        results,
+        total: results.length
+      }
+    });
+  });
+
   /**
    * Get historical case insights
    * GET /api/ai/advanced/insights/:caseType/:jurisdiction
@@ -300,25 +321,10 @@ class AdvancedAIController {
   // Helper Methods
 
   /**
-   * Validate user access to case
+   * Validate user access to case (404 if missing, 403 if not a party)
    */
   async validateCaseAccess(caseId, userId) {
-    const { supabaseAdmin } = require('../lib/supabaseClient');
-    
-    const { data: caseData, error } = await supabaseAdmin
-      .from('cases')
-      .select('filed_by')
-      .eq('id', caseId)
-      .single();
-
-    if (error) {
-      throw new HttpError(404, 'case_not_found', 'Case not found');
-    }
-
-    if (caseData.filed_by !== userId) {
-      throw new HttpError(403, 'access_denied', 'Access denied to this case');
-    }
-
+    await AuthorizationService.authorize(userId, 'analysis:view', caseId);
     return true;
   }
 
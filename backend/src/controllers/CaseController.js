@@ -316,22 +316,8 @@ class CaseController {
   // POST /api/cases/:id/create-court-package - Create court referral package
   createCourtPackage = asyncHandler(async (req, res) => {
     const caseId = req.params.id;
-    const userId = req.user.id;
-
-    // Verify user has permission
-    const { data: caseData } = await require('../lib/supabaseClient').supabase
-      .from('cases')
-      .select('filed_by, defender_user_id')
-      .eq('id', caseId)
-      .single();
-
-    if (!caseData || (caseData.filed_by !== userId && caseData.defender_user_id !== userId)) {
-      return res.status(403).json({
-        success: false,
-        error: 'You do not have permission to create court package for this case'
-      });
-    }
 
+    // permission is checked by the route's authorize('court:file') guard
     const result = await CourtReferralPackageService.createCourtPackage(caseId);
 
     res.json({
@@ -3,6 +3,11 @@ const courtIntegrationService = require('../services/CourtIntegrationService');
 const asyncHandler = require('../lib/asyncHandler');
 const HttpError = require('../lib/HttpError');
 const { supabase } = require('../lib/supabaseClient');
+const JurisdictionService = require('../services/JurisdictionService');
+const CourtFeeService = require('../services/CourtFeeService');
+const CourtDefectService = require('../services/CourtDefectService');
+const CourtHearingService = require('../services/CourtHearingService');
+const { formatOf } = require('../lib/causeList');
 
 class CourtController {
   // File case with court system
@@ -22,20 +27,6 @@ class CourtController {
       throw new HttpError(400, 'Case ID and Court System ID are required');
     }
 
-    // Validate user has access to the case
-    const { data: caseAccess } = await supabase
-      .from('cases')
-      .select('id, created_by')
-      .eq('id', caseId)
-      .single();
-
-    if (!caseAccess) {
-      throw new HttpError(404, 'Case not found');
-    }
-
-    // For now, allow access if user is authenticated
-    // In production, implement proper authorization based on case parties/permissions
-
     const result = await courtIntegrationService.fileCaseWithCourt({
       caseId,
       courtSystemId,
@@ -119,17 +110,6 @@ class CourtController {
       throw new HttpError(400, 'Case ID is required');
     }
 
-    // Validate user has access to the case
-    const { data: caseAccess } = await supabase
-      .from('cases')
-      .select('id')
-      .eq('id', caseId)
-      .single();
-
-    if (!caseAccess) {
-      throw new HttpError(404, 'Case not found');
-    }
-
     const { data: filings, error } = await supabase
       .from('court_filings')
       .select(`
@@ -424,6 +404,134 @@ class CourtController {
     });
   });
 
+  // Recommended court or tribunal for a case, with the explanation
+  recommendForum = asyncHandler(async (req, res) => {
+    const { caseId } = req.params;
+
+    const { data: caseData, error } = await supabase
+      .from('cases')
+      .select('*')
+      .eq('id', caseId)
+      .single();
+
+    if (error || !caseData) {
+      throw new HttpError(404, 'Case not found');
+    }
+
+    const recommendation = JurisdictionService.recommendForCase(caseData);
+
+    res.json({
+      success: true,
+      data: { ...recommendation, fees: CourtFeeService.calculateForCase(recommendation.forum, caseData) }
+    });
+  });
+
+  // Registry defects of a filing and its defect history
+  getFilingDefects = asyncHandler(async (req, res) => {
+    const defects = await CourtDefectService.getDefects(req.params.filingId);
+
+    res.json({
+      success: true,
+      data: defects
+    });
+  });
+
+  // Re-file a defective filing with its package cured
+  resubmitFiling = asyncHandler(async (req, res) => {
+    const { changes, note } = req.body;
+
+    const resubmission = await CourtDefectService.resubmit(req.params.filingId, {
+      changes,
+      note,
+      userId: req.user.sub
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Resubmission queued for filing',
+      data: resubmission
+    });
+  });
+
+  // Court stage of a case after referral: proceeding, hearings, timeline
+  getCourtProceedings = asyncHandler(async (req, res) => {
+    const timeline = await CourtHearingService.timeline(req.params.caseId);
+
+    res.json({
+      success: true,
+      data: timeline
+    });
+  });
+
+  // Hearings of a case as an iCalendar feed
+  getHearingCalendar = asyncHandler(async (req, res) => {
+    const calendar = await CourtHearingService.calendar(req.params.caseId);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="court-hearings-${req.params.caseId}.ics"`);
+    res.send(calendar);
+  });
+
+  // Record a hearing or its outcome by hand
+  recordHearing = asyncHandler(async (req, res) => {
+    const { date, time, courtHall, itemNumber, judge, purpose, outcome, nextDate, nextPurpose, order, reason } = req.body;
+
+    const result = await CourtHearingService.recordHearing(req.params.caseId, {
+      date, time, courtHall, itemNumber, judge, purpose, outcome, nextDate, nextPurpose, order, reason
+    }, { source: 'manual', actorId: req.user.sub });
+
+    res.status(201).json({
+      success: true,
+      message: 'Hearing recorded',
+      data: result
+    });
+  });
+
+  // Import a cause list uploaded as a file or sent as text
+  importCauseList = asyncHandler(async (req, res) => {
+    const content = req.file ? req.file.buffer : req.body.content;
+    if (!content) {
+      throw new HttpError(400, 'cause_list_required', 'Upload a cause list file or send its content');
+    }
+
+    const summary = await CourtHearingService.importCauseList({
+      content,
+      format: req.file ? formatOf(req.file.originalname) : req.body.format || 'csv',
+      filename: req.file ? req.file.originalname : null
+    }, { actorId: req.user.sub });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  });
+
+  // Pull the day's cause list from a court connector
+  syncCauseList = asyncHandler(async (req, res) => {
+    const { date, courtSystemId } = req.body;
+
+    let courtSystem = null;
+    if (courtSystemId) {
+      const { data, error } = await supabase
+        .from('court_systems')
+        .select('*')
+        .eq('id', courtSystemId)
+        .single();
+
+      if (error || !data) {
+        throw new HttpError(404, 'court_system_not_found', 'Court system not found');
+      }
+      courtSystem = data;
+    }
+
+    const summary = await CourtHearingService.syncCauseList({ date, courtSystem }, { actorId: req.user.sub });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  });
+
   // Service health check
   healthCheck = asyncHandler(async (req, res) => {
     const health = await courtIntegrationService.healthCheck();
@@ -2,6 +2,7 @@ const asyncHandler = require('../lib/asyncHandler');
 const HttpError = require('../lib/HttpError');
 const _supabaseModule = require('../lib/supabaseClient');
 const supabase = (_supabaseModule && _supabaseModule.supabase) ? _supabaseModule.supabase : _supabaseModule;
+const AuthorizationService = require('../services/AuthorizationService');
 
 /**
  * Get dashboard statistics
@@ -10,11 +11,11 @@ const supabase = (_supabaseModule && _supabaseModule.supabase) ? _supabaseModule
 exports.getStats = asyncHandler(async (req, res) => {
   const userId = req.user.sub || req.user.id;
 
-  // Get case statistics
+  // Get case statistics for every case the user is a party to
   const { data: cases, error: casesError } = await supabase
     .from('cases')
     .select('id, status, created_at, resolved_at')
-    .eq('created_by', userId);
+    .in('id', await AuthorizationService.accessibleCaseIds(userId));
 
   if (casesError) {
     throw new HttpError(500, 'Failed to fetch case statistics');
@@ -72,7 +73,7 @@ exports.getRecentActivity = asyncHandler(async (req, res) => {
   const { data: recentCases, error: casesError } = await supabase
     .from('cases')
     .select('id, case_number, title, status, created_at, updated_at')
-    .eq('created_by', userId)
+    .in('id', await AuthorizationService.accessibleCaseIds(userId))
     .order('updated_at', { ascending: false })
     .limit(limit);
 
@@ -119,7 +120,7 @@ exports.getTrends = asyncHandler(async (req, res) => {
   const { data: cases, error } = await supabase
     .from('cases')
     .select('id, status, created_at, dispute_type')
-    .eq('created_by', userId)
+    .in('id', await AuthorizationService.accessibleCaseIds(userId))
     .gte('created_at', startDate.toISOString());
 
   if (error) {
@@ -4,12 +4,17 @@ const StatementService = require('../services/StatementService');
 const SettlementOptionService = require('../services/SettlementOptionService');
 const SettlementAIService = require('../services/SettlementAIService');
 const ConsensusService = require('../services/ConsensusService');
+const SettlementPreferenceService = require('../services/SettlementPreferenceService');
+const SettlementPaymentService = require('../services/SettlementPaymentService');
 const SignatureService = require('../services/SignatureService');
 const CourtForwardingService = require('../services/CourtForwardingService');
 const InvitationService = require('../services/InvitationService');
 const EvidenceAnalysisService = require('../services/EvidenceAnalysisService');
 const Case = require('../models/Case');
-const { logger } = require('../lib/logger');
+const WorkflowDefinitionService = require('../services/WorkflowDefinitionService');
+const NotificationPreferenceService = require('../services/NotificationPreferenceService');
+const logger = require('../lib/logger');
+const { isSupportedLanguage } = require('../lib/languages');
 
 class DisputeController {
   // Initialize a new dispute workflow
@@ -18,7 +23,9 @@ class DisputeController {
       const { caseId } = req.params;
       const userId = req.user.id;
 
-      const result = await DisputeWorkflowService.initializeWorkflow(caseId, userId);
+      const result = await DisputeWorkflowService.initializeWorkflow(caseId, userId, {
+        definitionId: req.body?.definitionId
+      });
 
       if (!result.success) {
         return res.status(400).json({
@@ -128,7 +135,7 @@ class DisputeController {
     try {
       const { caseId } = req.params;
       const userId = req.user.id;
-      const { content, attachments = [] } = req.body;
+      const { content, attachments = [], language = null } = req.body;
 
       if (!content || content.trim().length < 50) {
         return res.status(400).json({
@@ -137,7 +144,7 @@ class DisputeController {
         });
       }
 
-      const result = await StatementService.submitStatement(caseId, userId, content, attachments);
+      const result = await StatementService.submitStatement(caseId, userId, content, attachments, language);
 
       if (!result.success) {
         return res.status(400).json({
@@ -196,7 +203,17 @@ class DisputeController {
       const { caseId } = req.params;
       const userId = req.user.id;
 
-      const result = await StatementService.getCaseStatements(caseId, userId);
+      // Statements in other languages come with a translation into the
+      // reader's language (?language= or their preference)
+      if (req.query.language && !isSupportedLanguage(req.query.language)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported language: ${req.query.language}`,
+          code: 'invalid_language'
+        });
+      }
+      const language = req.query.language || await NotificationPreferenceService.languageOf(userId);
+      const result = await StatementService.getCaseStatements(caseId, userId, { language });
 
       if (!result.success) {
         return res.status(403).json({
@@ -483,6 +500,58 @@ class DisputeController {
     }
   }
 
+  // List installed workflow definitions (all versions)
+  async listWorkflowDefinitions(req, res) {
+    try {
+      const definitions = WorkflowDefinitionService.all().map(d => WorkflowDefinitionService.summarize(d));
+
+      res.json({
+        success: true,
+        data: definitions
+      });
+
+    } catch (error) {
+      logger.error('Error in listWorkflowDefinitions:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Record the outcome of a mandatory mediation round
+  async recordMediationOutcome(req, res) {
+    try {
+      const { caseId } = req.params;
+      const { completed, notes } = req.body;
+      const userId = req.user.id;
+
+      const result = await DisputeWorkflowService.recordMediationOutcome(caseId, userId, {
+        completed: completed !== false,
+        notes
+      });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.workflow
+      });
+
+    } catch (error) {
+      logger.error('Error in recordMediationOutcome:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   // ============================================================================
   // NEW AI & CONSENSUS ENDPOINTS
   // ============================================================================
@@ -529,6 +598,128 @@ class DisputeController {
 
     } catch (error) {
       logger.error('Error in selectOption:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  // Rank every settlement option, with an optional private reservation range
+  async submitOptionPreferences(req, res) {
+    try {
+      const { caseId } = req.params;
+      const { rankings, reservation } = req.body || {};
+
+      const result = await SettlementPreferenceService.submitPreferences(
+        caseId,
+        req.user.id,
+        { rankings, reservation }
+      );
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Error in submitOptionPreferences:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  // Get the caller's ranking and the ranked-preference outcome
+  async getOptionPreferences(req, res) {
+    try {
+      const { caseId } = req.params;
+
+      const result = await SettlementPreferenceService.getPreferences(caseId, req.user.id);
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Error in getOptionPreferences:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  // Propose the installment plan for the agreed settlement amount
+  async createPaymentPlan(req, res) {
+    try {
+      const { caseId } = req.params;
+
+      const plan = await SettlementPaymentService.createPlan(caseId, req.body || {}, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: plan
+      });
+
+    } catch (error) {
+      logger.error('Error in createPaymentPlan:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  // Accept the payment plan another party proposed
+  async acceptPaymentPlan(req, res) {
+    try {
+      const { caseId } = req.params;
+
+      const plan = await SettlementPaymentService.acceptPlan(caseId, req.user.id);
+
+      res.json({
+        success: true,
+        data: plan
+      });
+
+    } catch (error) {
+      logger.error('Error in acceptPaymentPlan:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  // Get the payment plan with installments and logged payments
+  async getPaymentPlan(req, res) {
+    try {
+      const { caseId } = req.params;
+
+      const plan = await SettlementPaymentService.getPlan(caseId);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          error: 'This case has no payment plan',
+          code: 'payment_plan_not_found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: plan
+      });
+
+    } catch (error) {
+      logger.error('Error in getPaymentPlan:', error);
       res.status(500).json({
         success: false,
         error: error.message
@@ -536,6 +727,83 @@ class DisputeController {
     }
   }
 
+  // Log a payment, optionally with a receipt file
+  async recordPayment(req, res) {
+    try {
+      const { caseId } = req.params;
+      const { amount, paidAt, method, reference, installmentId } = req.body || {};
+
+      const result = await SettlementPaymentService.recordPayment(
+        caseId,
+        { amount, paidAt, method, reference, installmentId },
+        req.file || null,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Error in recordPayment:', error);
+      if (req.file) require('fs').rm(req.file.path, { force: true }, () => {});
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  // Download the receipt of a logged payment
+  async getPaymentReceipt(req, res) {
+    try {
+      const { caseId, paymentId } = req.params;
+
+      const receipt = await SettlementPaymentService.getReceipt(caseId, paymentId);
+
+      res.attachment(receipt.fileName);
+      res.type(receipt.mimeType);
+      res.send(receipt.content);
+
+    } catch (error) {
+      logger.error('Error in getPaymentReceipt:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+
+  // Set the consensus rule (unanimous, principal_unanimous or weighted)
+  async setConsensusRule(req, res) {
+    try {
+      const { caseId } = req.params;
+      const { mode, threshold, principals, weights } = req.body || {};
+
+      const result = await ConsensusService.setConsensusRule(
+        caseId,
+        { mode, threshold, principals, weights },
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Error in setConsensusRule:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+
   // Get consensus status
   async getConsensusStatus(req, res) {
     try {
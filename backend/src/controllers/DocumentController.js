@@ -22,20 +22,6 @@ class DocumentController {
       throw new HttpError(400, 'Case ID and Template ID are required');
     }
 
-    // Validate user has access to the case
-    const { data: caseAccess } = await supabase
-      .from('cases')
-      .select('id, created_by')
-      .eq('id', caseId)
-      .single();
-
-    if (!caseAccess) {
-      throw new HttpError(404, 'Case not found');
-    }
-
-    // For now, allow access if user is authenticated
-    // In production, implement proper authorization based on case parties/permissions
-
     const result = await documentGeneratorService.generateDocument({
       caseId,
       templateId,
@@ -100,17 +86,6 @@ class DocumentController {
       throw new HttpError(400, 'Case ID is required');
     }
 
-    // Validate user has access to the case
-    const { data: caseAccess } = await supabase
-      .from('cases')
-      .select('id')
-      .eq('id', caseId)
-      .single();
-
-    if (!caseAccess) {
-      throw new HttpError(404, 'Case not found');
-    }
-
     const documents = await documentGeneratorService.getDocumentHistory(caseId, parseInt(limit));
 
     res.json({
@@ -6,6 +6,7 @@ const DocumentTemplateService = require('../services/DocumentTemplateService');
 const EmailService = require('../services/EmailService');
 const CaseClosureService = require('../services/CaseClosureService');
 const CourtReferralService = require('../services/CourtReferralService');
+const AuditLogService = require('../services/AuditLogService');
 const { supabase } = require('../lib/supabaseClient');
 const asyncHandler = require('../lib/asyncHandler');
 const HttpError = require('../lib/HttpError');
@@ -111,6 +112,12 @@ class DocumentResolutionController {
         })
         .eq('id', documentId);
 
+      await AuditLogService.record(document.case_id, 'signature.signed', {
+        actorId: req.user.id,
+        occurredAt: signatureResult.timestamp,
+        payload: { documentId, signatureType, signatureId: signatureResult.signatureId }
+      });
+
       // Check if all parties have signed
       const allSigned = await this.checkAllPartiesSigned(document.case_id);
       if (allSigned) {
@@ -348,10 +355,10 @@ class DocumentResolutionController {
   // Render custom document from template
   renderDocumentTemplate = asyncHandler(async (req, res) => {
     const { templateName } = req.params;
-    const { templateData, outputFormat = 'html' } = req.body;
+    const { templateData, outputFormat = 'html', language } = req.body;
 
     try {
-      const rendered = await DocumentTemplateService.renderTemplate(templateName, templateData);
+      const rendered = await DocumentTemplateService.renderTemplate(templateName, templateData, { language });
 
       if (outputFormat === 'pdf') {
         // Convert to PDF
@@ -364,6 +371,7 @@ class DocumentResolutionController {
           success: true,
           document: {
             format: 'pdf',
+            language: rendered.language,
             filename: pdfResult.filename,
             download_url: `/api/documents/download/${pdfResult.filename}`
           }
@@ -373,6 +381,7 @@ class DocumentResolutionController {
           success: true,
           document: {
             format: 'html',
+            language: rendered.language,
             content: rendered.html,
             placeholders_used: rendered.placeholders || []
           }
@@ -303,14 +303,6 @@ class EnhancedCourtController {
         });
       }
 
-      // Verify user has access
-      if (filing.created_by !== userId) {
-        return res.status(403).json({
-          success: false,
-          error: 'Access denied'
-        });
-      }
-
       let currentStatus = {
         status: filing.status,
         lastUpdated: filing.updated_at,
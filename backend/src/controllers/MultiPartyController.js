@@ -499,10 +499,8 @@ class MultiPartyController {
   // GET /api/multi-party/cases/:caseId/online-users
   getCaseOnlineUsers = asyncHandler(async (req, res) => {
     const { caseId } = req.params;
-    const userId = req.user.id;
 
-    // Verify access to case (implementation would check Case.hasAccess)
-    // For now, just get online users
+    // case access is checked by the route's authorize('case:view') guard
     const onlineUsers = RealTimeService.getOnlineUsersForCase(caseId);
 
     res.status(200).json({
@@ -2,7 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../lib/authMiddleware');
 
+const HttpError = require('../lib/HttpError');
 const NotificationService = require('../services/NotificationService');
+const NotificationPreferenceService = require('../services/NotificationPreferenceService');
+const NotificationDigestService = require('../services/NotificationDigestService');
 
 // Get all notifications for user
 router.get('/', requireAuth, async (req, res) => {
@@ -22,6 +25,65 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
+// Get notification preferences (channels per type, quiet hours)
+router.get('/preferences', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.sub;
+    const preferences = await NotificationPreferenceService.get(userId);
+    res.json({
+      success: true,
+      data: preferences,
+      channels: NotificationPreferenceService.CHANNELS
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update notification preferences
+// body: { timezone, quiet_hours: {enabled, start, end}, digest: {frequency, time, weekday},
+//        channels: {type: [channel]}, phone, whatsapp_number }
+router.put('/preferences', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.sub;
+    const preferences = await NotificationPreferenceService.update(userId, req.body || {});
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Past digests (what each one included)
+router.get('/digests', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.sub;
+    const digests = await NotificationDigestService.history(userId, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 100)
+    });
+    res.json({ success: true, data: digests });
+  } catch (error) {
+    console.error('Error fetching notification digests:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The digest as it would be sent now
+router.get('/digests/preview', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.sub;
+    const digest = await NotificationDigestService.preview(userId);
+    res.json({ success: true, data: digest });
+  } catch (error) {
+    console.error('Error previewing notification digest:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Mark notification as read
 router.put('/:id/read', requireAuth, async (req, res) => {
   try {
@@ -2,107 +2,96 @@ const asyncHandler = require('../lib/asyncHandler');
 const HttpError = require('../lib/HttpError');
 const _supabaseModule = require('../lib/supabaseClient');
 const supabase = (_supabaseModule && _supabaseModule.supabase) ? _supabaseModule.supabase : _supabaseModule;
+const SearchIndexService = require('../services/SearchIndexService');
+const AuthorizationService = require('../services/AuthorizationService');
+
+// Source types behind the older `type` filter
+const LEGACY_TYPES = {
+  dispute: ['case'],
+  document: ['generated_document', 'evidence']
+};
 
 class SearchController {
   /**
-   * Global search across disputes, documents, and users
-   * GET /api/search?q=query&type=dispute|document|user
+   * Ranked full-text search over the user's cases: case details, statements,
+   * evidence OCR text and transcripts, AI analyses and generated documents
+   * GET /api/search?q=query&types=statement,evidence&status=filed&disputeType=contract
+   *   &party=<user id or email>&from=2025-01-01&to=2025-12-31&page=1&pageSize=20
+   * `type=dispute|document` is still accepted; `type=user` looks up users.
    */
   static search = asyncHandler(async (req, res) => {
-    const { q: query, type } = req.query;
+    const { q: query, type, status, disputeType, caseType, party, from, to, page, pageSize } = req.query;
     const userId = req.user.id;
 
     if (!query || query.trim().length < 2) {
       return res.json({ success: true, data: [] });
     }
 
-    const searchTerm = `%${query.trim()}%`;
-    const results = [];
-
-    try {
-      // Search disputes
-      if (!type || type === 'dispute') {
-        const { data: disputes, error: disputeError } = await supabase
-          .from('cases')
-          .select('id, case_number, dispute_type, status, description, created_at')
-          .or(`case_number.ilike.${searchTerm},dispute_type.ilike.${searchTerm},description.ilike.${searchTerm}`)
-          .eq('created_by', userId)
-          .limit(10);
-
-        if (!disputeError && disputes) {
-          results.push(...disputes.map(d => ({
-            id: d.id,
-            type: 'dispute',
-            title: `Dispute #${d.case_number || d.id.slice(0, 8)}`,
-            description: `${d.dispute_type} - ${d.status}`,
-            url: `/disputes/${d.id}`,
-            metadata: {
-              created_at: d.created_at,
-              status: d.status,
-            },
-          })));
-        }
-      }
+    if (type === 'user') {
+      return SearchController.searchUsers(req, res, query);
+    }
 
-      // Search documents
-      if (!type || type === 'document') {
-        const { data: documents, error: docError } = await supabase
-          .from('documents')
-          .select('id, filename, file_type, case_id, created_at')
-          .ilike('filename', searchTerm)
-          .limit(10);
-
-        if (!docError && documents) {
-          results.push(...documents.map(d => ({
-            id: d.id,
-            type: 'document',
-            title: d.filename,
-            description: `${d.file_type} document`,
-            url: `/documents/${d.id}`,
-            metadata: {
-              created_at: d.created_at,
-              case_id: d.case_id,
-            },
-          })));
-        }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw new HttpError(400, 'invalid_date', `'${name}' must be a date`);
       }
+    }
 
-      // Search users (if admin or for collaboration)
-      if (!type || type === 'user') {
-        const { data: users, error: userError } = await supabase
-          .from('users')
-          .select('id, name, email')
-          .or(`name.ilike.${searchTerm},email.ilike.${searchTerm}`)
-          .limit(10);
-
-        if (!userError && users) {
-          results.push(...users.map(u => ({
-            id: u.id,
-            type: 'user',
-            title: u.name || u.email,
-            description: u.email,
-            url: `/users/${u.id}`,
-          })));
-        }
-      }
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(t => t.trim())
+      : LEGACY_TYPES[type];
 
-      // Sort by relevance (disputes first, then documents, then users)
-      const sortedResults = results.sort((a, b) => {
-        const typeOrder = { dispute: 1, document: 2, user: 3 };
-        return typeOrder[a.type] - typeOrder[b.type];
+    try {
+      const { results, pagination } = await SearchIndexService.search(userId, {
+        q: query,
+        types,
+        status: status ? String(status).split(',') : undefined,
+        caseType: (disputeType || caseType) ? String(disputeType || caseType).split(',') : undefined,
+        party,
+        from,
+        to,
+        page,
+        pageSize
       });
 
       return res.json({
         success: true,
-        data: sortedResults.slice(0, 20), // Limit to top 20 results
+        data: results,
         query,
+        pagination
       });
     } catch (error) {
       console.error('Search error:', error);
-      throw new HttpError(500, 'search_failed', 'Search operation failed', error);
+      throw new HttpError(500, 'search_failed', 'Search operation failed', error.message);
     }
   });
 
+  // Name/email lookup used when inviting collaborators
+  static async searchUsers(req, res, query) {
+    const searchTerm = `%${query.trim()}%`;
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id, name, email')
+      .or(`name.ilike.${searchTerm},email.ilike.${searchTerm}`)
+      .limit(10);
+
+    if (error) {
+      throw new HttpError(500, 'search_failed', 'Search operation failed', error.message);
+    }
+
+    return res.json({
+      success: true,
+      data: (users || []).map(u => ({
+        id: u.id,
+        type: 'user',
+        title: u.name || u.email,
+        description: u.email,
+        url: `/users/${u.id}`,
+      })),
+      query,
+    });
+  }
+
   /**
    * Get search suggestions
    * GET /api/search/suggestions?q=query
@@ -118,11 +107,16 @@ class SearchController {
     const searchTerm = `${query.trim()}%`;
 
     try {
-      // Get recent dispute types and case numbers
+      // Case numbers and dispute types from every case the user is a party to
+      const caseIds = await AuthorizationService.accessibleCaseIds(userId);
+      if (caseIds.length === 0) {
+        return res.json({ success: true, data: [] });
+      }
+
       const { data: disputes } = await supabase
         .from('cases')
         .select('case_number, dispute_type')
-        .eq('created_by', userId)
+        .in('id', caseIds)
         .or(`case_number.ilike.${searchTerm},dispute_type.ilike.${searchTerm}`)
         .limit(5);
 
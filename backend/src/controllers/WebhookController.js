@@ -0,0 +1,112 @@
+// Webhook Controller
+// API for managing outbound webhook endpoints and reading the delivery log
+
+const WebhookService = require('../services/WebhookService');
+const { WEBHOOK_EVENTS } = require('../services/WebhookService');
+const AuthorizationService = require('../services/AuthorizationService');
+const asyncHandler = require('../lib/asyncHandler');
+const HttpError = require('../lib/HttpError');
+const { z } = require('zod');
+
+const eventTypesSchema = z.array(z.enum(['*', ...WEBHOOK_EVENTS])).min(1);
+
+const endpointSchema = z.object({
+  name: z.string().max(255).optional(),
+  url: z.string().url(),
+  eventTypes: eventTypesSchema.optional().default(['*']),
+  isActive: z.boolean().optional().default(true)
+});
+
+const endpointUpdateSchema = z.object({
+  name: z.string().max(255).optional(),
+  url: z.string().url().optional(),
+  eventTypes: eventTypesSchema.optional(),
+  isActive: z.boolean().optional()
+});
+
+const userIdOf = (req) => req.user.sub || req.user.id;
+
+const parse = (schema, body) => {
+  const result = schema.safeParse(body || {});
+  if (!result.success) {
+    throw new HttpError(400, 'validation_failed', 'Validation failed', result.error.errors);
+  }
+  return result.data;
+};
+
+class WebhookController {
+  constructor() {
+    this.webhookService = WebhookService;
+  }
+
+  listEventTypes = asyncHandler(async (req, res) => {
+    res.json({ success: true, data: { eventTypes: WEBHOOK_EVENTS } });
+  });
+
+  listEndpoints = asyncHandler(async (req, res) => {
+    const endpoints = await this.webhookService.listEndpoints(userIdOf(req));
+    res.json({ success: true, data: { endpoints } });
+  });
+
+  // The response carries the full signing secret; it is not shown again
+  createEndpoint = asyncHandler(async (req, res) => {
+    const data = parse(endpointSchema, req.body);
+    try {
+      const endpoint = await this.webhookService.createEndpoint(data, userIdOf(req));
+      res.status(201).json({ success: true, data: { endpoint } });
+    } catch (error) {
+      throw new HttpError(400, 'invalid_endpoint', error.message);
+    }
+  });
+
+  updateEndpoint = asyncHandler(async (req, res) => {
+    const data = parse(endpointUpdateSchema, req.body);
+    let endpoint;
+    try {
+      endpoint = await this.webhookService.updateEndpoint(req.params.id, data, userIdOf(req));
+    } catch (error) {
+      throw new HttpError(400, 'invalid_endpoint', error.message);
+    }
+    if (!endpoint) throw new HttpError(404, 'not_found', 'Webhook endpoint not found');
+    res.json({ success: true, data: { endpoint } });
+  });
+
+  rotateSecret = asyncHandler(async (req, res) => {
+    const endpoint = await this.webhookService.rotateSecret(req.params.id, userIdOf(req));
+    if (!endpoint) throw new HttpError(404, 'not_found', 'Webhook endpoint not found');
+    res.json({ success: true, data: { endpoint } });
+  });
+
+  deleteEndpoint = asyncHandler(async (req, res) => {
+    const deleted = await this.webhookService.deleteEndpoint(req.params.id, userIdOf(req));
+    if (!deleted) throw new HttpError(404, 'not_found', 'Webhook endpoint not found');
+    res.json({ success: true, message: 'Webhook endpoint deleted' });
+  });
+
+  // Queue a signed test event so receivers can check their signature handling
+  testEndpoint = asyncHandler(async (req, res) => {
+    const endpoint = await this.webhookService.getOwnedEndpoint(req.params.id, userIdOf(req));
+    if (!endpoint) throw new HttpError(404, 'not_found', 'Webhook endpoint not found');
+
+    const result = await this.webhookService.deliver({
+      endpointId: endpoint.id,
+      eventType: 'webhook.test',
+      data: { message: 'Test event', endpointId: endpoint.id },
+      createdBy: endpoint.created_by
+    });
+    res.status(202).json({ success: true, data: result });
+  });
+
+  listDeliveries = asyncHandler(async (req, res) => {
+    const { endpointId, automationId, limit } = req.query;
+    const deliveries = await this.webhookService.listDeliveries(userIdOf(req), {
+      endpointId,
+      automationId,
+      limit,
+      includeResponseBody: AuthorizationService.isAdmin(req.user)
+    });
+    res.json({ success: true, data: { deliveries } });
+  });
+}
+
+module.exports = WebhookController;
@@ -2,7 +2,10 @@
 // API controller for workflow automation and integration features
 
 const WorkflowAutomationService = require('../services/WorkflowAutomationService');
+const AuthorizationService = require('../services/AuthorizationService');
+const ConditionExpression = require('../lib/conditionExpression');
 const asyncHandler = require('../lib/asyncHandler');
+const HttpError = require('../lib/HttpError');
 const { z } = require('zod');
 
 class WorkflowAutomationController {
@@ -405,7 +408,9 @@ class WorkflowAutomationController {
     });
   });
 
-  // Trigger workflow by event
+  // Trigger workflow by event. Runs the caller's own automations (every
+  // owner's for admins), and only for a case the caller can view, since
+  // their actions send signed webhooks about it.
   triggerWorkflow = asyncHandler(async (req, res) => {
     const triggerWorkflowSchema = z.object({
       triggerType: z.string(),
@@ -413,10 +418,15 @@ class WorkflowAutomationController {
     });
 
     const { triggerType, triggerData } = triggerWorkflowSchema.parse(req.body);
+    if (!triggerData.caseId) {
+      throw new HttpError(400, 'case_id_required', 'triggerData.caseId is required');
+    }
+    await AuthorizationService.authorize(req.user, 'case:view', triggerData.caseId);
 
     const result = await this.workflowService.triggerWorkflow(
       triggerType, 
-      triggerData
+      triggerData,
+      { ownerId: AuthorizationService.isAdmin(req.user) ? null : req.user.id }
     );
 
     res.json(result);
@@ -524,9 +534,9 @@ class WorkflowAutomationController {
         {
           value: 'send_webhook',
           label: 'Send Webhook',
-          description: 'Send HTTP webhook',
-          requiredConfig: ['url'],
-          optionalConfig: ['method', 'headers', 'payload']
+          description: 'Send signed HTTP webhook',
+          requiredConfig: ['endpointId or url + secret'],
+          optionalConfig: ['eventType', 'headers', 'payload']
         },
         {
           value: 'conditional_branch',
@@ -540,7 +550,25 @@ class WorkflowAutomationController {
       conditionOperators: [
         'equals', 'not_equals', 'greater_than', 'less_than',
         'contains', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'
-      ]
+      ],
+
+      // Expression conditions: { "expression": "..." } as triggerConditions,
+      // or a string / { expression } as a conditional_branch condition
+      conditionExpressions: {
+        operators: [
+          'and', 'or', 'not', '==', '!=', '<', '<=', '>', '>=', '+', '-',
+          'in', 'not in', 'between … and …', 'contains', 'starts_with', 'ends_with',
+          'before', 'after', 'is [not] empty', 'is [not] null', 'within <duration>', 'within last <duration>'
+        ],
+        functions: ConditionExpression.FUNCTIONS,
+        literals: ['numbers', 'strings', 'true', 'false', 'null', '[lists]', 'durations (30m, 24h, 7d, 2w)', 'now', 'today'],
+        roots: ['trigger', 'case', 'parties', 'claimant', 'respondent'],
+        examples: [
+          'case.dispute_amount between 10000 and 500000',
+          'case.statement_deadline within 24h and not respondent.responded',
+          'trigger.newStatus in ["settled", "closed"] or "lawyer" in parties.role'
+        ]
+      }
     };
 
     res.json({
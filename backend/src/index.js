@@ -495,6 +495,24 @@ realTimeService.initialize(io);
 const timerService = require('./services/TimerManagementService');
 timerService.initialize();
 
+// Start the evidence processing worker on the durable job queue
+require('./lib/mediaWorker').startWorker();
+
+// Deliver queued outbound webhooks (retries share the same job queue)
+require('./services/WebhookService').startWorker();
+
+// Deliver email/SMS/WhatsApp notifications held back by quiet hours
+require('./services/NotificationRoutingService').startWorker();
+
+// Send daily/weekly notification digests as they come due
+require('./services/NotificationDigestService').startScheduler();
+
+// Installment reminders and default checks for settlement payment plans
+require('./services/SettlementPaymentService').startWorker();
+
+// Reminders ahead of court hearings of forwarded cases
+require('./services/CourtHearingService').startWorker();
+
 // Socket.IO connection handling is managed by RealTimeService.initialize
 // RealTimeService sets up its own io.on('connection') and event handlers
 // to avoid duplicated listeners and naming mismatches.
@@ -0,0 +1,192 @@
+// backend/src/lib/aiSchemas.js
+// Declared shapes of the JSON the AI tasks must return, keyed by the task name
+// passed to the provider registry. Schemas are lenient about the things models
+// routinely get cosmetically wrong (numbers as strings, "85%", enum casing,
+// extra fields) and strict about the fields the services read.
+const { z } = require('zod');
+
+// "85", "85%", "1,20,000" -> number; anything else is left for zod to reject
+const num = (schema = z.number()) => z.preprocess((value) => {
+  if (typeof value !== 'string') return value;
+  const cleaned = value.replace(/[%,₹\s]/g, '');
+  return cleaned !== '' && !Number.isNaN(Number(cleaned)) ? Number(cleaned) : value;
+}, schema);
+
+const oneOf = (values) => z.preprocess(
+  (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+  z.enum(values)
+);
+
+const text = z.string().trim().min(1);
+const textList = z.array(z.string());
+const percent = num(z.number().min(0).max(100));
+const fraction = num(z.number().min(0).max(1));
+const amount = num(z.number().min(0));
+const level = oneOf(['low', 'medium', 'high']);
+
+const range = (fields) => z.object(fields).passthrough().refine(
+  (value) => value[Object.keys(fields)[0]] <= value[Object.keys(fields)[1]],
+  { message: `${Object.keys(fields)[0]} must not exceed ${Object.keys(fields)[1]}` }
+);
+
+const partyPosition = z.object({ strengths: textList, weaknesses: textList }).passthrough();
+
+const SCHEMAS = {
+  outcome_prediction: z.object({
+    predicted_outcome: text,
+    confidence_score: percent,
+    probability_breakdown: z.object({
+      plaintiff_success: percent,
+      defendant_success: percent,
+      settlement_likely: percent,
+      case_dismissal: percent
+    }).passthrough(),
+    key_factors: textList,
+    settlement_range: range({ min_amount: amount, max_amount: amount }).nullable().optional(),
+    timeline_estimate: range({ min_months: amount, max_months: amount }),
+    evidence_strength: oneOf(['strong', 'moderate', 'weak']),
+    legal_precedent_relevance: level,
+    reasoning: text
+  }).passthrough(),
+
+  precedent_research: z.object({
+    precedents: z.array(z.object({
+      source_id: z.string().optional(),
+      case_name: text,
+      citation: text,
+      court: z.string().optional(),
+      year: num(z.number().int()).optional(),
+      relevance_score: num().optional()
+    }).passthrough()),
+    statutes: z.array(z.object({
+      source_id: z.string().optional(),
+      provision: text,
+      application: z.string().optional()
+    }).passthrough()).optional(),
+    legal_principles: textList,
+    applicable_statutes: textList.optional(),
+    precedent_strength: oneOf(['strong', 'moderate', 'weak']).optional(),
+    research_confidence: num().optional()
+  }).passthrough(),
+
+  risk_assessment: z.object({
+    overall_risk_score: percent,
+    risk_category: oneOf(['low', 'medium', 'high', 'very_high']),
+    financial_risks: z.object({ risk_level: level.optional() }).passthrough(),
+    time_risks: z.object({ expected_duration_months: amount.optional() }).passthrough().optional(),
+    legal_risks: z.object({}).passthrough().optional(),
+    mitigation_strategies: z.array(z.object({ risk: text, mitigation: text }).passthrough()),
+    recommendations: textList
+  }).passthrough(),
+
+  legal_strategy: z.object({
+    recommended_strategy: oneOf(['litigation', 'settlement', 'mediation', 'arbitration']),
+    strategy_confidence: percent,
+    primary_approach: z.object({ strategy: text, rationale: text }).passthrough(),
+    alternative_approaches: z.array(z.object({ strategy: text }).passthrough()).optional(),
+    procedural_steps: z.array(z.object({ step: text }).passthrough()).optional()
+  }).passthrough(),
+
+  ensemble_analysis: z.object({
+    ensemble_confidence: percent,
+    unified_recommendation: z.object({ primary_action: text, rationale: text }).passthrough(),
+    executive_summary: text,
+    key_insights: textList.optional(),
+    next_steps: z.array(z.object({ action: text }).passthrough()).optional()
+  }).passthrough(),
+
+  case_analysis: z.object({
+    summary: text,
+    keyIssues: textList.min(1),
+    complainerPosition: partyPosition,
+    defenderPosition: partyPosition,
+    recommendations: textList.min(1),
+    riskAssessment: z.object({
+      complainerWinProbability: fraction,
+      defenderWinProbability: fraction
+    }).passthrough().optional()
+  }).passthrough(),
+
+  settlement_generation: z.object({
+    summary: text,
+    keyFacts: textList.default([]),
+    legalIssues: textList.default([]),
+    confidenceScore: fraction.optional(),
+    settlements: z.array(z.object({
+      type: oneOf(['conservative', 'balanced', 'progressive']).optional(),
+      description: text,
+      complainantReceives: amount,
+      respondentPays: amount,
+      fairnessScore: num(z.number().min(0).max(10)).optional(),
+      timelineDays: num(z.number().int().positive()).optional()
+    }).passthrough()).length(3)
+  }).passthrough(),
+
+  evidence_analysis: z.object({
+    description: text,
+    relevance: text,
+    keyObservations: textList,
+    authenticity: z.string(),
+    favorsParty: oneOf(['complainant', 'respondent', 'neutral']),
+    legalSignificance: z.string(),
+    relevanceScore: num(z.number().min(1).max(10)),
+    recommendations: z.union([z.string(), textList])
+  }).passthrough()
+};
+
+function schemaFor(task) {
+  const schema = SCHEMAS[task];
+  if (!schema) throw new Error(`No output schema declared for AI task '${task}'`);
+  return schema;
+}
+
+// zod issues -> ["settlements.1.respondentPays: Expected number, received string", ...]
+function formatIssues(error) {
+  return error.issues.map(issue => `${issue.path.length ? issue.path.join('.') : '(root)'}: ${issue.message}`);
+}
+
+// Model text -> JSON value. Accepts bare JSON, fenced blocks and JSON wrapped
+// in prose; throws a SyntaxError when no object can be recovered.
+function extractJson(content) {
+  if (content && typeof content === 'object') return content;
+  const raw = String(content || '').trim();
+
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [raw, fenced && fenced[1].trim()];
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(raw.slice(start, end + 1));
+
+  for (const candidate of candidates.filter(Boolean)) {
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // try the next candidate
+    }
+  }
+  throw new SyntaxError('Response does not contain a JSON object');
+}
+
+// { success, data } or { success: false, errors } for one raw model response
+function validateOutput(task, content) {
+  let value;
+  try {
+    value = extractJson(content);
+  } catch (error) {
+    return { success: false, errors: [`(root): ${error.message}`] };
+  }
+
+  const result = schemaFor(task).safeParse(value);
+  return result.success
+    ? { success: true, data: result.data }
+    : { success: false, errors: formatIssues(result.error) };
+}
+
+module.exports = {
+  SCHEMAS,
+  TASKS: Object.keys(SCHEMAS),
+  schemaFor,
+  extractJson,
+  validateOutput,
+  formatIssues
+};
@@ -0,0 +1,122 @@
+// backend/src/lib/auditLogStore.js
+// Persistence for the append-only case audit log. Backed by Postgres
+// (sql/create_case_audit_log.sql, where triggers refuse UPDATE and DELETE) or,
+// for local development only and when AUDIT_LOG_STORE=file says so, a JSON
+// file, which anyone with disk access can edit. Stores only insert
+// and read; a second writer that claimed the same (case, sequence) gets a
+// conflict error and re-reads the chain head.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/case_audit_log.json');
+
+class AuditSequenceConflictError extends Error {
+  constructor(entry) {
+    super(`Audit entry ${entry.sequence} of case ${entry.case_id} already exists`);
+    this.name = 'AuditSequenceConflictError';
+    this.code = 'AUDIT_SEQUENCE_CONFLICT';
+  }
+}
+
+class SupabaseAuditLogStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabase;
+  }
+
+  async lastEntry(caseId) {
+    const { data, error } = await this.supabase
+      .from('case_audit_log')
+      .select('*')
+      .eq('case_id', caseId)
+      .order('sequence', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load audit log head of case ${caseId}: ${error.message}`);
+    return data || null;
+  }
+
+  async insert(entry) {
+    const { data, error } = await this.supabase.from('case_audit_log').insert(entry).select().single();
+    if (error && error.code === '23505') throw new AuditSequenceConflictError(entry);
+    if (error) throw new Error(`Failed to append audit entry to case ${entry.case_id}: ${error.message}`);
+    return data;
+  }
+
+  async list(caseId, { limit, offset = 0 } = {}) {
+    let query = this.supabase
+      .from('case_audit_log')
+      .select('*')
+      .eq('case_id', caseId)
+      .order('sequence', { ascending: true });
+    if (limit) query = query.range(offset, offset + limit - 1);
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to load audit log of case ${caseId}: ${error.message}`);
+    return data || [];
+  }
+}
+
+class FileAuditLogStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return { entries: [] };
+    }
+  }
+
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  _caseEntries(state, caseId) {
+    return state.entries.filter(e => e.case_id === caseId).sort((a, b) => a.sequence - b.sequence);
+  }
+
+  async lastEntry(caseId) {
+    const entries = this._caseEntries(this._read(), caseId);
+    return entries.length > 0 ? { ...entries[entries.length - 1] } : null;
+  }
+
+  async insert(entry) {
+    const state = this._read();
+    if (state.entries.some(e => e.case_id === entry.case_id && e.sequence === entry.sequence)) {
+      throw new AuditSequenceConflictError(entry);
+    }
+    state.entries.push(entry);
+    this._write(state);
+    return { ...entry };
+  }
+
+  async list(caseId, { limit, offset = 0 } = {}) {
+    const entries = this._caseEntries(this._read(), caseId);
+    return (limit ? entries.slice(offset, offset + limit) : entries).map(e => ({ ...e }));
+  }
+}
+
+// 'file' when AUDIT_LOG_STORE=file, 'postgres' when Supabase is configured,
+// otherwise null. There is no silent fallback to the file.
+function auditLogStoreKind() {
+  if (process.env.AUDIT_LOG_STORE === 'file') return 'file';
+  return process.env.SUPABASE_URL ? 'postgres' : null;
+}
+
+function createAuditLogStore() {
+  const kind = auditLogStoreKind();
+  if (!kind) throw new Error('The audit log needs Supabase (SUPABASE_URL), or AUDIT_LOG_STORE=file for local development');
+  return kind === 'file' ? new FileAuditLogStore(process.env.AUDIT_LOG_STORE_FILE || DEFAULT_FILE) : new SupabaseAuditLogStore();
+}
+
+module.exports = {
+  AuditSequenceConflictError,
+  SupabaseAuditLogStore,
+  FileAuditLogStore,
+  auditLogStoreKind,
+  createAuditLogStore
+};
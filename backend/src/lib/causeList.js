@@ -0,0 +1,204 @@
+// backend/src/lib/causeList.js
+// Cause-list parsing. A cause list is the court's daily list of cases with
+// their court hall, item number and purpose; the daily orders add what
+// happened (adjourned, heard, reserved, disposed), the next date of hearing
+// and the order. Accepted as CSV with a header row, or JSON: an array of
+// entries or { date, court, entries }. Column names follow common registry
+// exports (see COLUMNS); dates are YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY.
+//
+// parseCauseList returns { entries, errors }: entries are
+// { line, caseNumber, court, date, time, courtHall, itemNumber, judge,
+//   purpose, outcome, nextDate, nextPurpose, order, reason }.
+const HttpError = require('./HttpError');
+
+const COLUMNS = {
+  caseNumber: ['case_number', 'case_no', 'case no', 'case', 'casenumber', 'filing_number'],
+  court: ['court', 'court_name', 'forum'],
+  date: ['date', 'hearing_date', 'listing_date', 'cause_list_date'],
+  time: ['time', 'hearing_time'],
+  courtHall: ['court_hall', 'hall', 'court_room', 'courtroom', 'court no', 'court_no'],
+  itemNumber: ['item', 'item_no', 'item_number', 'sr_no', 'serial'],
+  judge: ['judge', 'bench', 'coram'],
+  purpose: ['purpose', 'stage', 'listed_for'],
+  outcome: ['outcome', 'status', 'result', 'business'],
+  nextDate: ['next_date', 'next_hearing_date', 'ndoh', 'next date of hearing'],
+  nextPurpose: ['next_purpose', 'next_stage'],
+  order: ['order', 'order_summary', 'daily_order', 'remarks'],
+  reason: ['reason', 'adjournment_reason']
+};
+
+// Registry wording for what happened at a hearing
+const OUTCOMES = [
+  { outcome: 'disposed', pattern: /dispos|dismiss|allowed|decreed|withdrawn|settled|closed|judge?ment (delivered|pronounced)/ },
+  { outcome: 'reserved', pattern: /reserv/ },
+  { outcome: 'heard', pattern: /heard|argued/ },
+  { outcome: 'adjourned', pattern: /adjourn|not reached|passed over|deferred/ },
+  { outcome: 'scheduled', pattern: /^$|listed|scheduled|fresh/ }
+];
+
+const DATE_PATTERNS = [
+  { pattern: /^(\d{4})-(\d{2})-(\d{2})$/, parts: m => [m[1], m[2], m[3]] },
+  { pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/, parts: m => [m[3], m[2].padStart(2, '0'), m[1].padStart(2, '0')] }
+];
+
+function parseDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const iso = parts(match).join('-');
+    const date = new Date(`${iso}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso ? iso : undefined;
+  }
+  return undefined;
+}
+
+function normalizeOutcome(value, nextDate) {
+  const text = String(value || '').trim().toLowerCase();
+  const match = OUTCOMES.find(({ pattern }) => pattern.test(text));
+  if (!match) return undefined;
+  // A listing that ended with a next date was adjourned, whatever it says
+  return match.outcome === 'scheduled' && nextDate ? 'adjourned' : match.outcome;
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+const headerKey = (name) => String(name).trim().toLowerCase().replace(/[.#]/g, '').replace(/\s+/g, ' ');
+
+function fieldFor(header) {
+  const key = headerKey(header);
+  const underscored = key.replace(/ /g, '_');
+  return Object.keys(COLUMNS).find(field => COLUMNS[field].includes(key) || COLUMNS[field].includes(underscored)) || null;
+}
+
+function toEntry(raw, line, defaults) {
+  const value = (field) => {
+    const v = raw[field] !== undefined && raw[field] !== null && String(raw[field]).trim() !== '' ? raw[field] : defaults[field];
+    return v === undefined || v === null ? null : String(v).trim();
+  };
+  const errors = [];
+  const caseNumber = value('caseNumber');
+  if (!caseNumber) errors.push('case number is missing');
+
+  const date = parseDate(value('date'));
+  if (!date) errors.push(value('date') ? `invalid date "${value('date')}"` : 'date is missing');
+  const nextDate = parseDate(value('nextDate'));
+  if (nextDate === undefined) errors.push(`invalid next date "${value('nextDate')}"`);
+  if (date && nextDate && nextDate <= date) errors.push(`next date ${nextDate} is not after ${date}`);
+
+  const outcome = normalizeOutcome(value('outcome'), nextDate);
+  if (!outcome) errors.push(`unknown outcome "${value('outcome')}"`);
+
+  const time = value('time');
+  if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) errors.push(`invalid time "${time}"`);
+
+  if (errors.length) return { error: { line, caseNumber, message: errors.join('; ') } };
+  return {
+    entry: {
+      line,
+      caseNumber,
+      court: value('court'),
+      date,
+      time,
+      courtHall: value('courtHall'),
+      itemNumber: value('itemNumber'),
+      judge: value('judge'),
+      purpose: value('purpose'),
+      outcome,
+      nextDate: nextDate || null,
+      nextPurpose: value('nextPurpose'),
+      order: value('order'),
+      reason: value('reason')
+    }
+  };
+}
+
+function collect(records, defaults = {}) {
+  const entries = [];
+  const errors = [];
+  for (const { raw, line } of records) {
+    const result = toEntry(raw, line, defaults);
+    if (result.error) errors.push(result.error);
+    else entries.push(result.entry);
+  }
+  return { entries, errors };
+}
+
+function parseCauseList(content, format = 'csv') {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new HttpError(400, 'invalid_cause_list', `Cause list is not valid JSON: ${error.message}`);
+    }
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.entries) ? data.entries : null;
+    if (!list) {
+      throw new HttpError(400, 'invalid_cause_list', 'A JSON cause list is an array of entries or { date, court, entries }');
+    }
+    const defaults = Array.isArray(data) ? {} : { date: data.date, court: data.court };
+    return collect(list.map((raw, index) => ({
+      raw: Object.fromEntries(Object.entries(raw || {}).map(([key, v]) => [Object.keys(COLUMNS).includes(key) ? key : fieldFor(key), v]).filter(([key]) => key)),
+      line: index + 1
+    })), defaults);
+  }
+
+  if (format !== 'csv') {
+    throw new HttpError(400, 'invalid_cause_list', `Unsupported cause list format "${format}"; use csv or json`);
+  }
+  const [header, ...rows] = parseCsv(text.replace(/^﻿/, ''));
+  if (!header) return { entries: [], errors: [] };
+  const fields = header.map(fieldFor);
+  if (!fields.includes('caseNumber')) {
+    throw new HttpError(400, 'invalid_cause_list', 'The cause list has no case number column');
+  }
+  return collect(rows.map((cells, index) => ({
+    raw: Object.fromEntries(fields.map((field, i) => [field, cells[i]]).filter(([field]) => field)),
+    line: index + 2
+  })));
+}
+
+// Format from a file name, defaulting to CSV
+const formatOf = (filename = '') => (/\.json$/i.test(filename) ? 'json' : 'csv');
+
+module.exports = { parseCauseList, parseDate, formatOf, COLUMNS };
@@ -0,0 +1,660 @@
+// backend/src/lib/conditionExpression.js
+// Small, sandboxed expression language for workflow automation conditions.
+// Expressions are parsed into an AST and interpreted; nothing is ever passed to
+// eval/Function, property lookups only see own properties of plain data, and
+// the only callable functions are the ones listed in FUNCTIONS below.
+//
+//   case.dispute_amount between 10000 and 500000
+//     and case.status in ["open", "awaiting_response"]
+//     and not respondent.responded
+//     and case.statement_deadline within 24h
+//
+// Operators: and, or, not, ==, !=, <, <=, >, >=, +, -, in, not in, between,
+//   contains, starts_with, ends_with, before, after, is [not] empty,
+//   is [not] null, within <duration>, within last <duration>
+// Literals: numbers, 'strings' / "strings", true, false, null, [lists],
+//   durations (30m, 24h, 7d, 2w), now, today
+// Paths: trigger.caseId, case.status, parties[0].role; a path through a list
+//   maps over it, so parties.role is the list of every party's role.
+
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 40;
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const KEYWORDS = new Set([
+  'and', 'or', 'not', 'in', 'between', 'contains', 'starts_with', 'ends_with',
+  'before', 'after', 'is', 'empty', 'null', 'true', 'false', 'within', 'last', 'now', 'today'
+]);
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+class Duration {
+  constructor(ms) {
+    this.ms = ms;
+  }
+}
+
+// ---- Tokenizer ----
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    const start = i;
+    if (/[0-9]/.test(ch)) {
+      const match = /^(\d+(?:\.\d+)?)([mhdw])?(?![A-Za-z0-9_])/.exec(source.slice(i));
+      if (!match) throw new ExpressionError('Invalid number', start);
+      const value = parseFloat(match[1]);
+      tokens.push(match[2]
+        ? { type: 'duration', value: value * UNITS[match[2]], pos: start }
+        : { type: 'number', value, pos: start });
+      i += match[0].length;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new ExpressionError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value, pos: start });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      const word = match[0];
+      const lower = word.toLowerCase();
+      tokens.push(KEYWORDS.has(lower)
+        ? { type: 'keyword', value: lower, pos: start }
+        : { type: 'identifier', value: word, pos: start });
+      i += word.length;
+      continue;
+    }
+
+    const two = source.slice(i, i + 2);
+    if (['==', '!=', '<=', '>=', '&&', '||'].includes(two)) {
+      const alias = { '&&': 'and', '||': 'or' }[two];
+      tokens.push(alias ? { type: 'keyword', value: alias, pos: start } : { type: 'op', value: two, pos: start });
+      i += 2;
+      continue;
+    }
+    if (ch === '!') {
+      tokens.push({ type: 'keyword', value: 'not', pos: start });
+      i++;
+      continue;
+    }
+    if ('<>+-()[],.'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, pos: start });
+      i++;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character '${ch}'`, start);
+  }
+
+  tokens.push({ type: 'eof', pos: source.length });
+  return tokens;
+}
+
+// ---- Parser (recursive descent, lowest precedence first) ----
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+    this.references = new Set();
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token.type === 'op' && token.value === value;
+  }
+
+  expectKeyword(value) {
+    if (!this.isKeyword(value)) this.fail(`Expected '${value}'`);
+    return this.next();
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) this.fail(`Expected '${value}'`);
+    return this.next();
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const found = token.type === 'eof' ? 'end of expression' : `'${token.value}'`;
+    throw new ExpressionError(`${message} but found ${found}`, token.pos);
+  }
+
+  nest(fn) {
+    if (++this.depth > MAX_DEPTH) throw new ExpressionError('Expression is nested too deeply', this.peek().pos);
+    try {
+      return fn();
+    } finally {
+      this.depth--;
+    }
+  }
+
+  parse() {
+    const ast = this.parseOr();
+    if (this.peek().type !== 'eof') this.fail('Expected end of expression');
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('or')) {
+      this.next();
+      left = { type: 'logical', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword('and')) {
+      this.next();
+      left = { type: 'logical', op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword('not')) {
+      this.next();
+      return this.nest(() => ({ type: 'not', arg: this.parseNot() }));
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.next();
+      return { type: 'binary', op: token.value, left, right: this.parseAdditive() };
+    }
+    if (token.type !== 'keyword') return left;
+
+    switch (token.value) {
+      case 'in':
+      case 'contains':
+      case 'starts_with':
+      case 'ends_with':
+      case 'before':
+      case 'after':
+        this.next();
+        return { type: 'binary', op: token.value, left, right: this.parseAdditive() };
+      case 'not':
+        if (!this.isKeyword('in', 1)) return left;
+        this.next();
+        this.next();
+        return { type: 'not', arg: { type: 'binary', op: 'in', left, right: this.parseAdditive() } };
+      case 'between': {
+        this.next();
+        const low = this.parseAdditive();
+        this.expectKeyword('and');
+        return { type: 'between', value: left, low, high: this.parseAdditive() };
+      }
+      case 'is': {
+        this.next();
+        const negate = this.isKeyword('not') ? !!this.next() : false;
+        if (!this.isKeyword('empty') && !this.isKeyword('null')) this.fail("Expected 'empty' or 'null'");
+        return { type: 'is', value: left, test: this.next().value, negate };
+      }
+      case 'within': {
+        this.next();
+        const past = this.isKeyword('last') ? !!this.next() : false;
+        const at = this.peek().pos;
+        const duration = this.parseAdditive();
+        if (duration.type === 'literal' || duration.type === 'list') {
+          throw new ExpressionError("'within' needs a duration such as 24h or 7d", at);
+        }
+        return { type: 'within', value: left, past, duration };
+      }
+      default:
+        return left;
+    }
+  }
+
+  parseAdditive() {
+    let left = this.parseUnary();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp('-')) {
+      this.next();
+      return this.nest(() => ({ type: 'negate', arg: this.parseUnary() }));
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'duration':
+        return { type: 'duration', ms: token.value };
+      case 'keyword':
+        if (token.value === 'true') return { type: 'literal', value: true };
+        if (token.value === 'false') return { type: 'literal', value: false };
+        if (token.value === 'null') return { type: 'literal', value: null };
+        if (token.value === 'now' || token.value === 'today') return { type: token.value };
+        break;
+      case 'identifier':
+        if (this.isOp('(')) return this.parseCall(token);
+        return this.parsePath(token);
+      case 'op':
+        if (token.value === '(') {
+          const inner = this.nest(() => this.parseOr());
+          this.expectOp(')');
+          return inner;
+        }
+        if (token.value === '[') return this.parseList();
+        break;
+      default:
+        break;
+    }
+
+    this.index--;
+    return this.fail('Expected a value');
+  }
+
+  parseList() {
+    return this.nest(() => {
+      const items = [];
+      if (!this.isOp(']')) {
+        do {
+          items.push(this.parseAdditive());
+        } while (this.isOp(',') && this.next());
+      }
+      this.expectOp(']');
+      return { type: 'list', items };
+    });
+  }
+
+  parseCall(token) {
+    // own names only: toString, constructor... are not functions here
+    const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+    if (!fn) throw new ExpressionError(`Unknown function '${token.value}'`, token.pos);
+
+    return this.nest(() => {
+      this.expectOp('(');
+      const args = [];
+      if (!this.isOp(')')) {
+        do {
+          args.push(this.parseOr());
+        } while (this.isOp(',') && this.next());
+      }
+      this.expectOp(')');
+
+      const [minArgs, maxArgs] = fn.arity;
+      if (args.length < minArgs || args.length > maxArgs) {
+        const expected = minArgs === maxArgs ? minArgs : `${minArgs}-${maxArgs === Infinity ? 'n' : maxArgs}`;
+        throw new ExpressionError(`Function '${token.value}' takes ${expected} argument(s), got ${args.length}`, token.pos);
+      }
+      return { type: 'call', name: token.value, args };
+    });
+  }
+
+  parsePath(token) {
+    const segments = [this.checkProperty(token)];
+    while (this.isOp('.') || this.isOp('[')) {
+      if (this.next().value === '.') {
+        const property = this.next();
+        if (property.type !== 'identifier' && property.type !== 'keyword') {
+          this.index--;
+          this.fail('Expected a property name');
+        }
+        segments.push(this.checkProperty(property));
+      } else {
+        const index = this.next();
+        if (index.type !== 'number' && index.type !== 'string') {
+          this.index--;
+          this.fail('Expected an index');
+        }
+        segments.push(index.type === 'string' ? this.checkProperty(index) : index.value);
+        this.expectOp(']');
+      }
+    }
+    this.references.add(segments[0]);
+    return { type: 'path', segments };
+  }
+
+  checkProperty(token) {
+    if (FORBIDDEN_PROPERTIES.has(token.value)) {
+      throw new ExpressionError(`Property '${token.value}' is not accessible`, token.pos);
+    }
+    return token.value;
+  }
+}
+
+// ---- Values ----
+
+const isDate = (value) => value instanceof Date;
+
+function toDate(value) {
+  if (isDate(value)) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'string' || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return null;
+}
+
+const isMissing = (value) => value === null || value === undefined;
+
+function ownProperty(value, key) {
+  if (isMissing(value) || typeof value !== 'object') return undefined;
+  return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+}
+
+function resolvePath(context, segments) {
+  let current = context;
+  for (const segment of segments) {
+    if (Array.isArray(current) && typeof segment === 'string') {
+      current = current.flatMap(item => {
+        const value = ownProperty(item, segment);
+        return value === undefined ? [] : [value];
+      });
+    } else {
+      current = ownProperty(current, segment);
+    }
+    if (current === undefined) return undefined;
+  }
+  return current;
+}
+
+// -1, 0 or 1; null when the values cannot be ordered
+function compare(a, b) {
+  if (isMissing(a) || isMissing(b)) return null;
+
+  if (isDate(a) || isDate(b)) {
+    const left = toDate(a);
+    const right = toDate(b);
+    if (!left || !right) return null;
+    return Math.sign(left.getTime() - right.getTime());
+  }
+  if (a instanceof Duration || b instanceof Duration) {
+    if (!(a instanceof Duration && b instanceof Duration)) return null;
+    return Math.sign(a.ms - b.ms);
+  }
+
+  const left = toNumber(a);
+  const right = toNumber(b);
+  if (left !== null && right !== null && (typeof a === 'number' || typeof b === 'number')) {
+    return Math.sign(left - right);
+  }
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'number' && typeof b === 'number') return Math.sign(a - b);
+  return null;
+}
+
+function equals(a, b) {
+  if (isMissing(a) || isMissing(b)) return isMissing(a) && isMissing(b);
+  if (typeof a === 'boolean' || typeof b === 'boolean') return a === b;
+  if (Array.isArray(a) || Array.isArray(b)) return false;
+  const order = compare(a, b);
+  return order === null ? a === b : order === 0;
+}
+
+function isEmpty(value) {
+  if (isMissing(value) || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object' && !isDate(value) && !(value instanceof Duration)) return Object.keys(value).length === 0;
+  return false;
+}
+
+function startOfToday(now) {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+const hoursBetween = (from, to) => (to.getTime() - from.getTime()) / UNITS.h;
+
+// Whitelisted functions: [minArgs, maxArgs] and the implementation
+const FUNCTIONS = {
+  len: { arity: [1, 1], fn: (x) => (isMissing(x) ? 0 : (typeof x === 'string' || Array.isArray(x) ? x.length : null)) },
+  lower: { arity: [1, 1], fn: (x) => (typeof x === 'string' ? x.toLowerCase() : x) },
+  upper: { arity: [1, 1], fn: (x) => (typeof x === 'string' ? x.toUpperCase() : x) },
+  abs: { arity: [1, 1], fn: (x) => (toNumber(x) === null ? null : Math.abs(toNumber(x))) },
+  min: { arity: [1, Infinity], fn: (...xs) => (numbersOf(xs).length ? Math.min(...numbersOf(xs)) : null) },
+  max: { arity: [1, Infinity], fn: (...xs) => (numbersOf(xs).length ? Math.max(...numbersOf(xs)) : null) },
+  sum: { arity: [1, 1], fn: (xs) => numbersOf([xs]).reduce((s, x) => s + x, 0) },
+  date: { arity: [1, 1], fn: (x) => toDate(x) },
+  hours_until: { arity: [1, 1], fn: (x, now) => (toDate(x) ? hoursBetween(now, toDate(x)) : null) },
+  days_until: { arity: [1, 1], fn: (x, now) => (toDate(x) ? hoursBetween(now, toDate(x)) / 24 : null) },
+  hours_since: { arity: [1, 1], fn: (x, now) => (toDate(x) ? hoursBetween(toDate(x), now) : null) },
+  days_since: { arity: [1, 1], fn: (x, now) => (toDate(x) ? hoursBetween(toDate(x), now) / 24 : null) }
+};
+
+function numbersOf(values) {
+  return values.flat().map(toNumber).filter(x => x !== null);
+}
+
+// ---- Interpreter ----
+
+function evaluateNode(node, context, now) {
+  const ev = (child) => evaluateNode(child, context, now);
+
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'duration':
+      return new Duration(node.ms);
+    case 'now':
+      return new Date(now);
+    case 'today':
+      return startOfToday(now);
+    case 'list':
+      return node.items.map(ev);
+    case 'path':
+      return resolvePath(context, node.segments);
+    case 'call': {
+      const { fn, arity } = FUNCTIONS[node.name];
+      const args = node.args.map(ev);
+      // time-relative functions receive the evaluation clock after their argument
+      return arity[1] === 1 ? fn(args[0], now) : fn(...args);
+    }
+    case 'not':
+      return !truthy(ev(node.arg));
+    case 'negate': {
+      const value = ev(node.arg);
+      if (value instanceof Duration) return new Duration(-value.ms);
+      const number = toNumber(value);
+      return number === null ? null : -number;
+    }
+    case 'logical':
+      return node.op === 'and'
+        ? truthy(ev(node.left)) && truthy(ev(node.right))
+        : truthy(ev(node.left)) || truthy(ev(node.right));
+    case 'between': {
+      const value = ev(node.value);
+      const low = compare(value, ev(node.low));
+      const high = compare(value, ev(node.high));
+      return low !== null && high !== null && low >= 0 && high <= 0;
+    }
+    case 'is': {
+      const value = ev(node.value);
+      const result = node.test === 'null' ? isMissing(value) : isEmpty(value);
+      return node.negate ? !result : result;
+    }
+    case 'within': {
+      const value = toDate(ev(node.value));
+      const duration = ev(node.duration);
+      if (!(duration instanceof Duration)) throw new ExpressionError("'within' needs a duration such as 24h or 7d");
+      if (!value) return false;
+      const t = value.getTime();
+      return node.past
+        ? t >= now.getTime() - duration.ms && t <= now.getTime()
+        : t >= now.getTime() && t <= now.getTime() + duration.ms;
+    }
+    case 'binary':
+      return evaluateBinary(node.op, ev(node.left), ev(node.right));
+    default:
+      throw new ExpressionError(`Unknown expression node '${node.type}'`);
+  }
+}
+
+function evaluateBinary(op, left, right) {
+  switch (op) {
+    case '==': return equals(left, right);
+    case '!=': return !equals(left, right);
+    case '<': { const c = compare(left, right); return c !== null && c < 0; }
+    case '<=': { const c = compare(left, right); return c !== null && c <= 0; }
+    case '>': { const c = compare(left, right); return c !== null && c > 0; }
+    case '>=': { const c = compare(left, right); return c !== null && c >= 0; }
+    case 'before': { const c = compare(toDate(left), toDate(right)); return c !== null && c < 0; }
+    case 'after': { const c = compare(toDate(left), toDate(right)); return c !== null && c > 0; }
+    case 'in':
+      if (Array.isArray(right)) return right.some(item => equals(left, item));
+      if (typeof right === 'string' && !isMissing(left)) return right.includes(String(left));
+      return false;
+    case 'contains':
+      if (Array.isArray(left)) return left.some(item => equals(item, right));
+      if (typeof left === 'string' && !isMissing(right)) return left.includes(String(right));
+      return false;
+    case 'starts_with':
+      return typeof left === 'string' && !isMissing(right) && left.startsWith(String(right));
+    case 'ends_with':
+      return typeof left === 'string' && !isMissing(right) && left.endsWith(String(right));
+    case '+':
+    case '-':
+      return arithmetic(op, left, right);
+    default:
+      throw new ExpressionError(`Unknown operator '${op}'`);
+  }
+}
+
+// Date +/- duration, date - date (a duration), duration +/- duration, numbers
+function arithmetic(op, left, right) {
+  const sign = op === '+' ? 1 : -1;
+  if (isMissing(left) || isMissing(right)) return null;
+
+  if (right instanceof Duration) {
+    if (left instanceof Duration) return new Duration(left.ms + sign * right.ms);
+    const date = toDate(left);
+    if (date) return new Date(date.getTime() + sign * right.ms);
+  }
+  if (left instanceof Duration && op === '+') {
+    const date = toDate(right);
+    if (date) return new Date(date.getTime() + left.ms);
+  }
+  if (op === '-' && (isDate(left) || isDate(right))) {
+    const a = toDate(left);
+    const b = toDate(right);
+    if (a && b) return new Duration(a.getTime() - b.getTime());
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a !== null && b !== null) return a + sign * b;
+  throw new ExpressionError(`Cannot apply '${op}' to ${describe(left)} and ${describe(right)}`);
+}
+
+function describe(value) {
+  if (isDate(value)) return 'a date';
+  if (value instanceof Duration) return 'a duration';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'string' ? 'text' : `a ${typeof value}`;
+}
+
+function truthy(value) {
+  if (value instanceof Duration) return value.ms !== 0;
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
+
+// ---- Public API ----
+
+const cache = new Map();
+
+// Parse an expression. Returns { ast, references } where references are the
+// root names the expression reads (e.g. 'case', 'trigger'). Throws
+// ExpressionError with the position of the first problem.
+function compile(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ExpressionError('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+
+  if (cache.has(source)) return cache.get(source);
+  const parser = new Parser(source);
+  const compiled = { ast: parser.parse(), references: [...parser.references] };
+  if (cache.size > 500) cache.clear();
+  cache.set(source, compiled);
+  return compiled;
+}
+
+// Syntax-check without evaluating; returns null or the error message
+function validate(source) {
+  try {
+    compile(source);
+    return null;
+  } catch (error) {
+    if (error instanceof ExpressionError) return error.message;
+    throw error;
+  }
+}
+
+// Evaluate to a boolean against plain data. `now` is injectable for tests.
+function evaluate(source, context = {}, { now = new Date() } = {}) {
+  const { ast } = compile(source);
+  return truthy(evaluateNode(ast, context, now));
+}
+
+module.exports = {
+  compile,
+  validate,
+  evaluate,
+  ExpressionError,
+  FUNCTIONS: Object.keys(FUNCTIONS)
+};
@@ -0,0 +1,190 @@
+// backend/src/lib/courtProceedingStore.js
+// Persistence for cases in court after referral: one proceeding per case
+// (the court, its case number, the next date of hearing) and its hearings
+// (one per date, with the outcome and any order). Backed by Postgres
+// (sql/create_court_hearings.sql) or, for local development without a
+// database, a JSON file.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/court_proceedings.json');
+
+// Court case numbers as cause lists print them vary in spacing and case
+const normalizeCaseNumber = (value) => String(value || '').toUpperCase().replace(/\s+/g, '').replace(/[\\-]/g, '/');
+
+class SupabaseCourtProceedingStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabaseAdmin;
+  }
+
+  async insertProceeding(proceeding) {
+    const { data, error } = await this.supabase
+      .from('court_proceedings')
+      .insert({ ...proceeding, case_number_key: normalizeCaseNumber(proceeding.court_case_number) })
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to start court proceeding: ${error.message}`);
+    return data;
+  }
+
+  async findProceeding(id) {
+    const { data, error } = await this.supabase.from('court_proceedings').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Failed to load court proceeding ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  async findProceedingByCase(caseId) {
+    const { data, error } = await this.supabase.from('court_proceedings').select('*').eq('case_id', caseId).maybeSingle();
+    if (error) throw new Error(`Failed to load the court proceeding of case ${caseId}: ${error.message}`);
+    return data || null;
+  }
+
+  async findProceedingsByCaseNumber(caseNumber) {
+    const { data, error } = await this.supabase
+      .from('court_proceedings')
+      .select('*')
+      .eq('case_number_key', normalizeCaseNumber(caseNumber));
+    if (error) throw new Error(`Failed to look up court case ${caseNumber}: ${error.message}`);
+    return data || [];
+  }
+
+  async updateProceeding(id, patch) {
+    const row = { ...patch, updated_at: new Date().toISOString() };
+    if (patch.court_case_number !== undefined) row.case_number_key = normalizeCaseNumber(patch.court_case_number);
+    const { data, error } = await this.supabase.from('court_proceedings').update(row).eq('id', id).select().single();
+    if (error) throw new Error(`Failed to update court proceeding ${id}: ${error.message}`);
+    return data;
+  }
+
+  async listHearings(proceedingId) {
+    const { data, error } = await this.supabase
+      .from('court_hearings')
+      .select('*')
+      .eq('proceeding_id', proceedingId)
+      .order('hearing_date', { ascending: true });
+    if (error) throw new Error(`Failed to list hearings of proceeding ${proceedingId}: ${error.message}`);
+    return data || [];
+  }
+
+  async findHearing(id) {
+    const { data, error } = await this.supabase.from('court_hearings').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Failed to load hearing ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  async insertHearing(hearing) {
+    const { data, error } = await this.supabase.from('court_hearings').insert(hearing).select().single();
+    if (error) throw new Error(`Failed to record hearing: ${error.message}`);
+    return data;
+  }
+
+  async updateHearing(id, patch) {
+    const { data, error } = await this.supabase
+      .from('court_hearings')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update hearing ${id}: ${error.message}`);
+    return data;
+  }
+}
+
+class FileCourtProceedingStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return { proceedings: [], hearings: [] };
+    }
+  }
+
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  _patch(collection, id, patch, label) {
+    const state = this._read();
+    const index = state[collection].findIndex(row => row.id === id);
+    if (index === -1) throw new Error(`${label} ${id} not found`);
+    state[collection][index] = { ...state[collection][index], ...patch, updated_at: new Date().toISOString() };
+    this._write(state);
+    return { ...state[collection][index] };
+  }
+
+  async insertProceeding(proceeding) {
+    const state = this._read();
+    if (state.proceedings.some(p => p.case_id === proceeding.case_id)) {
+      throw new Error(`Failed to start court proceeding: case ${proceeding.case_id} already has one`);
+    }
+    state.proceedings.push(proceeding);
+    this._write(state);
+    return { ...proceeding };
+  }
+
+  async findProceeding(id) {
+    const proceeding = this._read().proceedings.find(p => p.id === id);
+    return proceeding ? { ...proceeding } : null;
+  }
+
+  async findProceedingByCase(caseId) {
+    const proceeding = this._read().proceedings.find(p => p.case_id === caseId);
+    return proceeding ? { ...proceeding } : null;
+  }
+
+  async findProceedingsByCaseNumber(caseNumber) {
+    const key = normalizeCaseNumber(caseNumber);
+    return this._read().proceedings
+      .filter(p => p.court_case_number && normalizeCaseNumber(p.court_case_number) === key)
+      .map(p => ({ ...p }));
+  }
+
+  async updateProceeding(id, patch) {
+    return this._patch('proceedings', id, patch, 'Court proceeding');
+  }
+
+  async listHearings(proceedingId) {
+    return this._read().hearings
+      .filter(h => h.proceeding_id === proceedingId)
+      .sort((a, b) => a.hearing_date.localeCompare(b.hearing_date))
+      .map(h => ({ ...h }));
+  }
+
+  async findHearing(id) {
+    const hearing = this._read().hearings.find(h => h.id === id);
+    return hearing ? { ...hearing } : null;
+  }
+
+  async insertHearing(hearing) {
+    const state = this._read();
+    state.hearings.push(hearing);
+    this._write(state);
+    return { ...hearing };
+  }
+
+  async updateHearing(id, patch) {
+    return this._patch('hearings', id, patch, 'Hearing');
+  }
+}
+
+// Postgres unless COURT_PROCEEDING_STORE=file (or Supabase is not configured)
+function createCourtProceedingStore() {
+  const useFile = process.env.COURT_PROCEEDING_STORE === 'file' || !process.env.SUPABASE_URL;
+  return useFile
+    ? new FileCourtProceedingStore(process.env.COURT_PROCEEDING_STORE_FILE || DEFAULT_FILE)
+    : new SupabaseCourtProceedingStore();
+}
+
+module.exports = {
+  SupabaseCourtProceedingStore,
+  FileCourtProceedingStore,
+  createCourtProceedingStore,
+  normalizeCaseNumber
+};
@@ -0,0 +1,69 @@
+// backend/src/lib/icalendar.js
+// Minimal iCalendar (RFC 5545) writer for calendar events sent to parties:
+// timed events in UTC, text escaped and lines folded at 75 octets.
+// An event is { uid, start: Date, durationMinutes, summary, description,
+// location, sequence, status ('CONFIRMED' | 'CANCELLED'), url }.
+
+const PRODUCT_ID = '-//AI Dispute Resolution Platform//Court Hearings//EN';
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Continuation lines start with a space; never split a UTF-8 sequence
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventLines(event, stamp) {
+  const end = new Date(event.start.getTime() + (event.durationMinutes || 60) * 60000);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+    ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+    ...(event.url ? [`URL:${event.url}`] : []),
+    'END:VEVENT'
+  ];
+}
+
+// method: 'PUBLISH' for feeds, 'REQUEST' / 'CANCEL' for invitations sent by email
+function buildCalendar(events, { name = null, method = 'PUBLISH', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flatMap(event => eventLines(event, now)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildCalendar, escapeText };
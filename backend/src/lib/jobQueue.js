@@ -0,0 +1,317 @@
+// backend/src/lib/jobQueue.js
+// Durable job queue with retries, exponential backoff, a dead-letter state and
+// per-queue concurrency limits. Jobs live in the `job_queue` Postgres table
+// (see sql/create_job_queue.sql) or, for local development without a database,
+// in a JSON file.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/job_queue.json');
+
+// Postgres-backed store. Claiming goes through the claim_jobs() function so
+// that several workers can share a queue safely.
+class SupabaseJobStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabase;
+  }
+
+  async insert(job) {
+    const { data, error } = await this.supabase.from('job_queue').insert(job).select().single();
+    if (error) throw new Error(`Failed to enqueue job: ${error.message}`);
+    return data;
+  }
+
+  async claim(queue, limit, workerId, lockTimeoutMs) {
+    const { data, error } = await this.supabase.rpc('claim_jobs', {
+      p_queue: queue,
+      p_limit: limit,
+      p_worker: workerId,
+      p_lock_timeout_seconds: Math.ceil(lockTimeoutMs / 1000)
+    });
+    if (error) throw new Error(`Failed to claim jobs: ${error.message}`);
+    return data || [];
+  }
+
+  async update(id, updates) {
+    const { data, error } = await this.supabase
+      .from('job_queue')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update job ${id}: ${error.message}`);
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await this.supabase.from('job_queue').select('*').eq('id', id).single();
+    if (error && error.code !== 'PGRST116') throw new Error(`Failed to load job ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  async list({ queue, status, limit = 50 } = {}) {
+    let query = this.supabase.from('job_queue').select('*');
+    if (queue) query = query.eq('queue', queue);
+    if (status) query = query.eq('status', status);
+    const { data, error } = await query.order('updated_at', { ascending: false }).limit(limit);
+    if (error) throw new Error(`Failed to list jobs: ${error.message}`);
+    return data || [];
+  }
+}
+
+// JSON file store. Survives restarts but is only safe for a single process.
+class FileJobStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  _write(jobs) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(jobs, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  async insert(job) {
+    const jobs = this._read();
+    jobs.push(job);
+    this._write(jobs);
+    return job;
+  }
+
+  async claim(queue, limit, workerId, lockTimeoutMs) {
+    const jobs = this._read();
+    const now = Date.now();
+    const claimed = [];
+
+    const due = jobs
+      .filter(j => j.queue === queue && (
+        (j.status === 'pending' && new Date(j.run_at).getTime() <= now) ||
+        (j.status === 'running' && new Date(j.locked_at).getTime() < now - lockTimeoutMs)
+      ))
+      .sort((a, b) => new Date(a.run_at) - new Date(b.run_at))
+      .slice(0, limit);
+
+    for (const job of due) {
+      job.status = 'running';
+      job.attempts += 1;
+      job.locked_by = workerId;
+      job.locked_at = new Date(now).toISOString();
+      job.updated_at = job.locked_at;
+      claimed.push({ ...job });
+    }
+
+    if (claimed.length > 0) this._write(jobs);
+    return claimed;
+  }
+
+  async update(id, updates) {
+    const jobs = this._read();
+    const job = jobs.find(j => j.id === id);
+    if (!job) throw new Error(`Failed to update job ${id}: not found`);
+    Object.assign(job, updates, { updated_at: new Date().toISOString() });
+    this._write(jobs);
+    return { ...job };
+  }
+
+  async findById(id) {
+    return this._read().find(j => j.id === id) || null;
+  }
+
+  async list({ queue, status, limit = 50 } = {}) {
+    return this._read()
+      .filter(j => (!queue || j.queue === queue) && (!status || j.status === status))
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+      .slice(0, limit);
+  }
+}
+
+class JobQueue {
+  constructor({ store, pollIntervalMs = 2000, lockTimeoutMs = 15 * 60 * 1000, workerId } = {}) {
+    this.store = store || new FileJobStore();
+    this.pollIntervalMs = pollIntervalMs;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.workerId = workerId || `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map(); // queue -> { handler, concurrency, maxAttempts, backoffBaseMs, backoffMaxMs }
+    this.active = new Map(); // queue -> number of jobs currently running in this process
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Register the handler for a queue. A handler that throws an error with
+  // `retryable === false` sends the job straight to the dead-letter state.
+  register(queue, handler, options = {}) {
+    this.handlers.set(queue, {
+      handler,
+      concurrency: options.concurrency || 1,
+      maxAttempts: options.maxAttempts || 5,
+      backoffBaseMs: options.backoffBaseMs || 5000,
+      backoffMaxMs: options.backoffMaxMs || 10 * 60 * 1000
+    });
+    this.active.set(queue, 0);
+    return this;
+  }
+
+  async enqueue(queue, payload = {}, options = {}) {
+    const now = new Date().toISOString();
+    const definition = this.handlers.get(queue);
+    const job = await this.store.insert({
+      id: crypto.randomUUID(),
+      queue,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: options.maxAttempts || (definition && definition.maxAttempts) || 5,
+      run_at: options.runAt ? new Date(options.runAt).toISOString() : now,
+      locked_by: null,
+      locked_at: null,
+      last_error: null,
+      created_at: now,
+      updated_at: now
+    });
+
+    // Pick the job up immediately if this process is a worker
+    if (this.timer) setImmediate(() => this.tick());
+    return job;
+  }
+
+  // Delay before the next attempt: base * 2^(attempts - 1), capped
+  computeBackoff(attempts, definition) {
+    const delay = definition.backoffBaseMs * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, definition.backoffMaxMs);
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+    logger.info(`Job queue worker ${this.workerId} started for queues: ${[...this.handlers.keys()].join(', ')}`);
+    setImmediate(() => this.tick());
+    return this;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Claim as many due jobs as each queue's free concurrency allows and run them
+  async tick() {
+    if (this.ticking) return [];
+    this.ticking = true;
+    const runs = [];
+    try {
+      for (const [queue, definition] of this.handlers.entries()) {
+        const free = definition.concurrency - this.active.get(queue);
+        if (free <= 0) continue;
+
+        const jobs = await this.store.claim(queue, free, this.workerId, this.lockTimeoutMs);
+        for (const job of jobs) {
+          runs.push(this.runJob(job, definition));
+        }
+      }
+    } catch (error) {
+      logger.error('Job queue poll failed:', error.message || error);
+    } finally {
+      this.ticking = false;
+    }
+    return Promise.all(runs);
+  }
+
+  async runJob(job, definition) {
+    this.active.set(job.queue, this.active.get(job.queue) + 1);
+    try {
+      const result = await definition.handler(job.payload, job);
+      return await this.store.update(job.id, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        last_error: null,
+        locked_by: null,
+        locked_at: null,
+        completed_at: new Date().toISOString()
+      });
+    } catch (error) {
+      const message = error && error.message ? error.message : String(error);
+      const exhausted = job.attempts >= job.max_attempts || (error && error.retryable === false);
+
+      if (exhausted) {
+        logger.warn(`Job ${job.id} (${job.queue}) moved to dead-letter after ${job.attempts} attempt(s): ${message}`);
+        return await this.store.update(job.id, {
+          status: 'dead',
+          last_error: message,
+          locked_by: null,
+          locked_at: null
+        });
+      }
+
+      const delay = this.computeBackoff(job.attempts, definition);
+      logger.warn(`Job ${job.id} (${job.queue}) failed attempt ${job.attempts}, retrying in ${delay}ms: ${message}`);
+      return await this.store.update(job.id, {
+        status: 'pending',
+        last_error: message,
+        run_at: new Date(Date.now() + delay).toISOString(),
+        locked_by: null,
+        locked_at: null
+      });
+    } finally {
+      this.active.set(job.queue, this.active.get(job.queue) - 1);
+    }
+  }
+
+  async listFailed(queue, limit = 50) {
+    return this.store.list({ queue, status: 'dead', limit });
+  }
+
+  // Put a dead-lettered job back on its queue with a fresh attempt budget
+  async requeue(id) {
+    const job = await this.store.findById(id);
+    if (!job) return null;
+    if (job.status !== 'dead') {
+      const err = new Error(`Job ${id} is ${job.status}, only dead jobs can be re-queued`);
+      err.status = 409;
+      throw err;
+    }
+
+    const updated = await this.store.update(id, {
+      status: 'pending',
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      last_error: null
+    });
+    if (this.timer) setImmediate(() => this.tick());
+    return updated;
+  }
+}
+
+let defaultQueue = null;
+
+// Shared queue for this process. Uses Postgres unless JOB_QUEUE_STORE=file
+// (or Supabase is not configured).
+function getQueue() {
+  if (!defaultQueue) {
+    const useFile = process.env.JOB_QUEUE_STORE === 'file' || !process.env.SUPABASE_URL;
+    defaultQueue = new JobQueue({
+      store: useFile ? new FileJobStore(process.env.JOB_QUEUE_FILE || DEFAULT_FILE) : new SupabaseJobStore(),
+      pollIntervalMs: parseInt(process.env.JOB_QUEUE_POLL_MS || '2000', 10)
+    });
+  }
+  return defaultQueue;
+}
+
+module.exports = {
+  JobQueue,
+  SupabaseJobStore,
+  FileJobStore,
+  getQueue
+};
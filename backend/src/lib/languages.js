@@ -0,0 +1,96 @@
+// backend/src/lib/languages.js
+// Languages parties write in, and script-based language detection. Indian
+// languages are told apart by their script; the languages that share one
+// (Hindi, Marathi and Nepali all use Devanagari) resolve to the first listed
+// for it unless the writer says otherwise.
+
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', script: 'latin' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी', script: 'devanagari' },
+  mr: { name: 'Marathi', nativeName: 'मराठी', script: 'devanagari' },
+  bn: { name: 'Bengali', nativeName: 'বাংলা', script: 'bengali' },
+  as: { name: 'Assamese', nativeName: 'অসমীয়া', script: 'bengali' },
+  te: { name: 'Telugu', nativeName: 'తెలుగు', script: 'telugu' },
+  ta: { name: 'Tamil', nativeName: 'தமிழ்', script: 'tamil' },
+  kn: { name: 'Kannada', nativeName: 'ಕನ್ನಡ', script: 'kannada' },
+  ml: { name: 'Malayalam', nativeName: 'മലയാളം', script: 'malayalam' },
+  gu: { name: 'Gujarati', nativeName: 'ગુજરાતી', script: 'gujarati' },
+  pa: { name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ', script: 'gurmukhi' },
+  or: { name: 'Odia', nativeName: 'ଓଡ଼ିଆ', script: 'oriya' },
+  ur: { name: 'Urdu', nativeName: 'اردو', script: 'arabic' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Unicode blocks of the scripts above
+const SCRIPT_RANGES = {
+  devanagari: [0x0900, 0x097f],
+  bengali: [0x0980, 0x09ff],
+  gurmukhi: [0x0a00, 0x0a7f],
+  gujarati: [0x0a80, 0x0aff],
+  oriya: [0x0b00, 0x0b7f],
+  tamil: [0x0b80, 0x0bff],
+  telugu: [0x0c00, 0x0c7f],
+  kannada: [0x0c80, 0x0cff],
+  malayalam: [0x0d00, 0x0d7f],
+  arabic: [0x0600, 0x06ff]
+};
+
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+function scriptOfChar(codePoint) {
+  if ((codePoint >= 0x41 && codePoint <= 0x5a) || (codePoint >= 0x61 && codePoint <= 0x7a)) return 'latin';
+  for (const [script, [start, end]] of Object.entries(SCRIPT_RANGES)) {
+    if (codePoint >= start && codePoint <= end) return script;
+  }
+  return null;
+}
+
+// Letters per script; digits, punctuation and spaces are not counted
+function scriptCounts(text) {
+  const counts = {};
+  for (const char of String(text || '')) {
+    const script = scriptOfChar(char.codePointAt(0));
+    if (script) counts[script] = (counts[script] || 0) + 1;
+  }
+  return counts;
+}
+
+// The scripts of a text other than Latin, most used first
+function nonLatinScripts(text) {
+  return Object.entries(scriptCounts(text))
+    .filter(([script]) => script !== 'latin')
+    .sort((a, b) => b[1] - a[1])
+    .map(([script]) => script);
+}
+
+/**
+ * Language of a text from the script most of its letters are in.
+ * Returns { language, script, confidence } - confidence is the share of
+ * letters in that script, 0 for text without letters (taken as English).
+ */
+function detectLanguage(text) {
+  const counts = scriptCounts(text);
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  if (total === 0) return { language: DEFAULT_LANGUAGE, script: 'latin', confidence: 0 };
+
+  const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  const language = Object.keys(LANGUAGES).find(code => LANGUAGES[code].script === script) || DEFAULT_LANGUAGE;
+  return { language, script, confidence: Math.round((count / total) * 100) / 100 };
+}
+
+function languageName(code) {
+  return LANGUAGES[code] ? LANGUAGES[code].name : code;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  scriptCounts,
+  nonLatinScripts,
+  detectLanguage,
+  languageName
+};
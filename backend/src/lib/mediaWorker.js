@@ -1,12 +1,15 @@
 // backend/src/lib/mediaWorker.js
-// Simple in-memory queue + worker loop. Not for production (use a real queue then).
-const supabase = require('./supabaseClient');
+// Evidence OCR/transcription worker. Jobs run on the durable job queue
+// (lib/jobQueue.js) so they survive restarts and can be spread over workers.
+const { supabase } = require('./supabaseClient');
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { getQueue } = require('./jobQueue');
+const SearchIndexService = require('../services/SearchIndexService');
+const EvidenceCustodyService = require('../services/EvidenceCustodyService');
 
-const queue = [];
-let running = false;
+const EVIDENCE_QUEUE = 'evidence';
 
 async function processEvidence(evidenceId) {
   // fetch evidence record
@@ -25,6 +28,7 @@ async function processEvidence(evidenceId) {
 
   // download to /tmp
   const localPath = path.join('/tmp', 'evidence_' + Date.now() + '_' + path.basename(filename));
+  let sha256 = null;
   try {
     const { data, error } = await supabase.storage.from(bucket).download(filename);
     if (error) {
@@ -32,6 +36,15 @@ async function processEvidence(evidenceId) {
       return { ok: false, reason: 'download error' };
     }
     const buffer = Buffer.from(await data.arrayBuffer());
+    // only process the file that was uploaded
+    const integrity = EvidenceCustodyService.check(ev, buffer);
+    if (integrity.status === 'mismatch') {
+      await EvidenceCustodyService.record(ev, EvidenceCustodyService.CUSTODY_EVENTS.INTEGRITY_FAILED, {
+        details: { during: EvidenceCustodyService.CUSTODY_EVENTS.PROCESSED, expectedSha256: integrity.expected, actualSha256: integrity.actual }
+      });
+      return { ok: false, reason: 'integrity check failed' };
+    }
+    sha256 = integrity.actual;
     fs.writeFileSync(localPath, buffer);
   } catch (e) {
     console.error('download->write fail', e);
@@ -101,6 +114,10 @@ async function processEvidence(evidenceId) {
   // cleanup local file
   try { fs.unlinkSync(localPath); } catch (e) {}
 
+  await EvidenceCustodyService.record(ev, EvidenceCustodyService.CUSTODY_EVENTS.PROCESSED, {
+    details: { sha256, ocrText: !!ocrText, transcription: !!transcription }
+  });
+
   // fetch updated row and return it (so manual runs show final DB record)
   try {
     const { data: updatedRow, error: fetchErr } = await supabase
@@ -117,32 +134,48 @@ async function processEvidence(evidenceId) {
   }
 }
 
-async function workerLoop() {
-  if (running) return;
-  running = true;
-  while (queue.length > 0) {
-    const id = queue.shift();
-    try {
-      console.log('[mediaWorker] processing', id);
-      // small delay to avoid burst
-      await processEvidence(id);
-    } catch (e) {
-      console.error('[mediaWorker] processing error', e);
-    }
-    // brief cooldown
-    await new Promise(resolve => setTimeout(resolve, 200));
+// Job handler: surface failures as errors so the queue retries them
+async function handleEvidenceJob(payload) {
+  const result = await processEvidence(payload.evidenceId);
+  if (!result.ok) {
+    const err = new Error(`evidence ${payload.evidenceId}: ${result.reason}`);
+    // a missing evidence row will not appear on retry, nor a swapped file mend itself
+    if (result.reason === 'not found' || result.reason === 'integrity check failed') err.retryable = false;
+    throw err;
+  }
+  const row = result.row || {};
+  // make the extracted text searchable
+  if (result.row) await SearchIndexService.index('evidence', result.row);
+  return {
+    skipped: !!result.skipped,
+    ocrTextPresent: !!(row.ocr_text || result.ocrTextPresent),
+    transcriptionPresent: !!(row.transcription || result.transcriptionPresent)
+  };
+}
+
+getQueue().register(EVIDENCE_QUEUE, handleEvidenceJob, {
+  concurrency: parseInt(process.env.MEDIA_WORKER_CONCURRENCY || '2', 10),
+  maxAttempts: parseInt(process.env.MEDIA_WORKER_MAX_ATTEMPTS || '5', 10)
+});
+
+async function enqueueEvidence(evidenceId) {
+  if (!evidenceId) return null;
+  try {
+    return await getQueue().enqueue(EVIDENCE_QUEUE, { evidenceId });
+  } catch (e) {
+    console.error('[mediaWorker] failed to enqueue evidence', evidenceId, e.message || e);
+    return null;
   }
-  running = false;
 }
 
-function enqueueEvidence(evidenceId) {
-  if (!evidenceId) return;
-  queue.push(evidenceId);
-  // kick worker
-  setImmediate(() => workerLoop().catch(err => console.error('workerLoop err', err)));
+// Start polling the queue in this process
+function startWorker() {
+  return getQueue().start();
 }
 
 module.exports = {
+  EVIDENCE_QUEUE,
   enqueueEvidence,
-  processEvidence
+  processEvidence,
+  startWorker
 };
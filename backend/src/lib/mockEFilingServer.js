@@ -0,0 +1,299 @@
+// Mock e-filing server - a local court registry speaking the protocol of
+// src/services/courtConnectors/EFilingConnector.js, for development and
+// end-to-end tests of the filing pipeline. Filings are kept in memory.
+//
+// A submitted filing is scrutinised once `scrutinyDelayMs` has passed
+// (until then it is 'under_scrutiny'). Scrutiny applies SCRUTINY_RULES:
+// a filing with defects becomes 'defective' and gets a deficiency notice
+// with a cure-by date; a clean one is 'registered' with a filing number and
+// a first hearing `hearingAfterDays` court working days after receipt.
+// The court fee due comes from the fee schedules (CourtFeeService).
+//
+// After registration the court's daily cause list (GET /cause-list?date=)
+// lists the filing on its hearing date. What happens at a hearing is
+// simulated with POST /filings/:trackingId/proceedings { date, outcome,
+// nextDate, nextPurpose, order, reason }: the day's list then carries the
+// outcome, and a next date lists the filing again on that day.
+//
+// Run it with `npm run court:mock` and point COURT_EFILING_URL at it.
+const crypto = require('crypto');
+const express = require('express');
+const CourtFeeService = require('../services/CourtFeeService');
+const CalendarService = require('../services/CalendarService');
+
+const MAIN_DOCUMENT_TYPES = ['plaint', 'complaint', 'petition', 'application', 'appeal'];
+const CASE_PREFIXES = {
+  consumer_commission: 'CC',
+  civil_court: 'OS',
+  commercial_court: 'COMS',
+  rent_controller: 'RC',
+  labour_court: 'ID'
+};
+
+const HEARING_OUTCOMES = ['adjourned', 'heard', 'reserved', 'disposed'];
+
+const rupees = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+// Each rule returns a defect description, or null when the filing complies
+const SCRUTINY_RULES = [
+  {
+    code: 'MAIN_DOCUMENT_MISSING',
+    rule: 'Order VII Rule 1 CPC',
+    check: (filing) => filing.documents.some(doc => MAIN_DOCUMENT_TYPES.includes(doc.documentType))
+      ? null
+      : 'No plaint, complaint or petition is filed'
+  },
+  {
+    code: 'VAKALATNAMA_MISSING',
+    rule: 'Order III Rule 4 CPC',
+    check: (filing) => filing.documents.some(doc => doc.documentType === 'vakalatnama') || filing.metadata.partyInPerson
+      ? null
+      : 'Vakalatnama of the advocate is not filed'
+  },
+  {
+    code: 'COURT_FEE_DEFICIT',
+    rule: 'Court Fees Act',
+    check: (filing) => filing.assessedFees && filing.assessedFees.total > (Number(filing.feesPaid) || 0)
+      ? `Deficit court fee: ${rupees(Number(filing.feesPaid) || 0)} paid, ${rupees(filing.assessedFees.total)} due`
+      : null
+  },
+  {
+    code: 'ANNEXURES_NOT_PAGINATED',
+    rule: 'Registry practice directions',
+    check: (filing) => {
+      const unpaginated = filing.documents.filter(doc => doc.documentType === 'annexure' && !doc.paginated);
+      return unpaginated.length ? `Annexures are not paginated: ${unpaginated.map(doc => doc.filename).join(', ')}` : null;
+    }
+  },
+  {
+    code: 'DOCUMENT_UNREADABLE',
+    rule: 'e-Filing rules',
+    check: (filing) => {
+      const damaged = filing.documents.filter(doc => doc.receivedSha256 !== doc.sha256);
+      return damaged.length ? `Documents did not arrive intact: ${damaged.map(doc => doc.filename).join(', ')}` : null;
+    }
+  }
+];
+
+function createMockEFilingServer(options = {}) {
+  const token = options.token !== undefined ? options.token : process.env.COURT_EFILING_TOKEN || null;
+  const now = options.now || (() => new Date());
+  const scrutinyDelayMs = options.scrutinyDelayMs || 0;
+  const hearingAfterDays = options.hearingAfterDays || 30;
+  const cureDays = options.cureDays || 7;
+  const rules = options.rules || SCRUTINY_RULES;
+  const filings = new Map();
+  let sequence = 0;
+
+  const assessFees = (court, claimAmount, considerationPaid) => {
+    if (!court || !court.type) return null;
+    const fees = CourtFeeService.calculate({ forum: court, claimAmount, considerationPaid, date: now() });
+    return fees.total === null ? null : { currency: fees.currency, items: fees.items, total: fees.total, schedule: fees.schedule };
+  };
+
+  const addDays = (date, days) => new Date(new Date(date).getTime() + days * 86400000).toISOString().slice(0, 10);
+
+  const scrutinise = (filing) => {
+    if (filing.status !== 'submitted' && filing.status !== 'under_scrutiny') return;
+    if (now() - new Date(filing.receivedAt) < scrutinyDelayMs) {
+      filing.status = 'under_scrutiny';
+      return;
+    }
+
+    const updatedAt = now().toISOString();
+    filing.defects = rules
+      .map(rule => ({ rule, description: rule.check(filing) }))
+      .filter(result => result.description)
+      .map(({ rule, description }) => ({ code: rule.code, description, rule: rule.rule, cureBy: addDays(updatedAt, cureDays) }));
+
+    if (filing.defects.length) {
+      filing.status = 'defective';
+    } else {
+      const jurisdiction = filing.court.jurisdictionCode || null;
+      const prefix = CASE_PREFIXES[filing.court.type] || 'MISC';
+      filing.status = 'registered';
+      filing.filingNumber = `${prefix}/${filing.sequence}/${updatedAt.slice(0, 4)}`;
+      filing.hearing = {
+        date: CalendarService.formatDate(CalendarService.addBusinessDays(filing.receivedAt, hearingAfterDays, { jurisdiction }), { jurisdiction }),
+        purpose: 'First hearing (admission)',
+        courtHall: `Court Hall ${1 + (filing.sequence % 5)}`
+      };
+    }
+    filing.updatedAt = updatedAt;
+    filing.history.push({ status: filing.status, at: updatedAt });
+  };
+
+  const view = (filing) => ({
+    trackingId: filing.trackingId,
+    reference: filing.reference,
+    status: filing.status,
+    filingNumber: filing.filingNumber,
+    defects: filing.defects,
+    hearing: filing.hearing,
+    history: filing.history,
+    receivedAt: filing.receivedAt,
+    updatedAt: filing.updatedAt
+  });
+
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+
+  app.get('/health', (req, res) => res.json({ status: 'ok', filings: filings.size }));
+
+  app.use((req, res, next) => {
+    if (token && req.get('authorization') !== `Bearer ${token}`) {
+      return res.status(401).json({ code: 'unauthorized', error: 'Missing or invalid bearer token' });
+    }
+    next();
+  });
+
+  app.post('/filings', (req, res) => {
+    const body = req.body || {};
+    if (!body.filingType || !Array.isArray(body.documents) || !body.documents.length) {
+      return res.status(422).json({ code: 'invalid_filing', error: 'filingType and at least one document are required' });
+    }
+
+    sequence += 1;
+    const receivedAt = now().toISOString();
+    const filing = {
+      trackingId: `EF-${receivedAt.slice(0, 10).replace(/-/g, '')}-${String(sequence).padStart(5, '0')}`,
+      acknowledgementNumber: `ACK/${receivedAt.slice(0, 4)}/${String(sequence).padStart(6, '0')}`,
+      sequence,
+      reference: body.reference || null,
+      caseNumber: body.caseNumber || null,
+      court: body.court || {},
+      filingType: body.filingType,
+      filingParty: body.filingParty || null,
+      claimAmount: body.claimAmount || null,
+      considerationPaid: body.considerationPaid || null,
+      feesPaid: body.feesPaid,
+      metadata: body.metadata || {},
+      documents: body.documents.map(doc => {
+        const content = Buffer.from(doc.content || '', 'base64');
+        return {
+          documentId: doc.documentId,
+          filename: doc.filename,
+          documentType: doc.documentType,
+          paginated: Boolean(doc.paginated),
+          size: content.length,
+          sha256: doc.sha256,
+          receivedSha256: crypto.createHash('sha256').update(content).digest('hex')
+        };
+      }),
+      status: 'submitted',
+      filingNumber: null,
+      defects: [],
+      hearing: null,
+      proceedings: [],
+      receivedAt,
+      updatedAt: receivedAt,
+      history: [{ status: 'submitted', at: receivedAt }]
+    };
+    filing.assessedFees = assessFees(filing.court, filing.claimAmount, filing.considerationPaid);
+    filings.set(filing.trackingId, filing);
+
+    res.status(201).json({
+      trackingId: filing.trackingId,
+      acknowledgementNumber: filing.acknowledgementNumber,
+      status: filing.status,
+      receivedAt,
+      fees: filing.assessedFees
+    });
+  });
+
+  app.param('trackingId', (req, res, next, trackingId) => {
+    req.filing = filings.get(trackingId);
+    if (!req.filing) return res.status(404).json({ code: 'not_found', error: `No filing ${trackingId}` });
+    scrutinise(req.filing);
+    next();
+  });
+
+  app.get('/filings/:trackingId', (req, res) => res.json(view(req.filing)));
+
+  app.get('/filings/:trackingId/fees', (req, res) => {
+    const fees = req.filing.assessedFees || { currency: 'INR', items: [], total: 0 };
+    res.json({ ...fees, paid: req.filing.feesPaid === undefined ? null : req.filing.feesPaid });
+  });
+
+  app.get('/filings/:trackingId/defects', (req, res) => res.json({
+    trackingId: req.filing.trackingId,
+    status: req.filing.status,
+    defects: req.filing.defects
+  }));
+
+  app.get('/filings/:trackingId/acknowledgement', (req, res) => res.json({
+    acknowledgementNumber: req.filing.acknowledgementNumber,
+    trackingId: req.filing.trackingId,
+    receivedAt: req.filing.receivedAt,
+    court: req.filing.court.name || null,
+    documents: req.filing.documents.map(({ filename, documentType, size, receivedSha256 }) => ({ filename, documentType, size, sha256: receivedSha256 }))
+  }));
+
+  app.post('/filings/:trackingId/proceedings', (req, res) => {
+    const filing = req.filing;
+    const body = req.body || {};
+    if (filing.status !== 'registered' || !filing.hearing) {
+      return res.status(409).json({ code: 'not_listed', error: `Filing ${filing.trackingId} has no hearing listed` });
+    }
+    if (!HEARING_OUTCOMES.includes(body.outcome)) {
+      return res.status(422).json({ code: 'invalid_outcome', error: `outcome must be one of ${HEARING_OUTCOMES.join(', ')}` });
+    }
+    const date = body.date || filing.hearing.date;
+    if (body.nextDate && body.nextDate <= date) {
+      return res.status(422).json({ code: 'invalid_next_date', error: 'nextDate must be after the hearing date' });
+    }
+
+    const proceeding = {
+      date,
+      courtHall: filing.hearing.courtHall,
+      purpose: filing.hearing.purpose,
+      outcome: body.outcome,
+      nextDate: body.outcome === 'disposed' ? null : body.nextDate || null,
+      nextPurpose: body.nextPurpose || null,
+      order: body.order || null,
+      reason: body.reason || null
+    };
+    filing.proceedings.push(proceeding);
+    filing.hearing = proceeding.nextDate
+      ? { date: proceeding.nextDate, purpose: proceeding.nextPurpose || filing.hearing.purpose, courtHall: filing.hearing.courtHall }
+      : null;
+    filing.updatedAt = now().toISOString();
+    filing.history.push({ status: `hearing_${body.outcome}`, at: filing.updatedAt });
+    res.status(201).json(view(filing));
+  });
+
+  // The day's cause list: hearings held that day with their outcome, and
+  // filings listed for it still to be heard
+  app.get('/cause-list', (req, res) => {
+    const date = req.query.date || now().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(422).json({ code: 'invalid_date', error: 'date must be YYYY-MM-DD' });
+    }
+    const entries = [];
+    for (const filing of filings.values()) {
+      if (filing.status !== 'registered') continue;
+      const held = filing.proceedings.filter(p => p.date === date);
+      const listed = filing.hearing && filing.hearing.date === date && !held.length
+        ? [{ date, courtHall: filing.hearing.courtHall, purpose: filing.hearing.purpose, outcome: 'listed' }]
+        : [];
+      for (const hearing of [...held, ...listed]) {
+        entries.push({
+          itemNumber: String(entries.length + 1),
+          caseNumber: filing.filingNumber,
+          court: filing.court.name || null,
+          ...hearing
+        });
+      }
+    }
+    res.json({ date, entries });
+  });
+
+  // Resolves with the http.Server once listening; port 0 picks a free port
+  const listen = (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    const server = app.listen(port, host, (error) => (error ? reject(error) : resolve(server)));
+  });
+
+  return { app, filings, listen };
+}
+
+module.exports = { createMockEFilingServer, SCRUTINY_RULES };
@@ -0,0 +1,91 @@
+// backend/src/lib/networkGuard.js
+// Outbound request guard. URLs supplied by users (webhook endpoints,
+// automation targets) must not make the server call loopback, link-local
+// (cloud metadata), private or otherwise internal addresses. Hosts are
+// checked when the URL is saved and again at connection time through
+// `lookup`, so a DNS name that later resolves somewhere internal is refused
+// on the connection itself.
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_HOSTNAMES = /^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i;
+
+// Set for local development against receivers on this machine
+const privateNetworksAllowed = () => process.env.OUTBOUND_ALLOW_PRIVATE_NETWORKS === 'true';
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED.check(address, 'ipv4');
+  if (family !== 6) return false;
+  // IPv4-mapped (::ffff:a.b.c.d) addresses reach the IPv4 host
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+  return BLOCKED.check(address, 'ipv6');
+}
+
+// Literal addresses and names that are internal without a DNS lookup
+function isBlockedHost(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  return BLOCKED_HOSTNAMES.test(host) || isPrivateAddress(host);
+}
+
+function blockedError(hostname, address) {
+  const error = new Error(`${hostname}${address && address !== hostname ? ` (${address})` : ''} is not a public address`);
+  error.code = 'EBLOCKEDADDRESS';
+  return error;
+}
+
+/**
+ * Rejects unless every address the URL's host resolves to is public.
+ * A no-op when OUTBOUND_ALLOW_PRIVATE_NETWORKS=true (or allowPrivate is set).
+ */
+async function assertPublicUrl(url, { allowPrivate = privateNetworksAllowed() } = {}) {
+  if (allowPrivate) return;
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (isBlockedHost(hostname)) throw blockedError(hostname);
+  if (net.isIP(hostname)) return;
+
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) throw blockedError(hostname, blocked.address);
+}
+
+/**
+ * dns.lookup replacement for http(s) requests (axios `lookup`): refuses to
+ * connect to an internal address whatever the name resolved to.
+ */
+function guardedLookup({ allowPrivate = privateNetworksAllowed() } = {}) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+      const blocked = !allowPrivate && addresses.find(isPrivateAddress);
+      if (blocked) return callback(blockedError(hostname, blocked));
+      return callback(null, address, family);
+    });
+  };
+}
+
+module.exports = { isPrivateAddress, isBlockedHost, assertPublicUrl, guardedLookup };
@@ -0,0 +1,148 @@
+// backend/src/lib/notificationDigestStore.js
+// Persistence for notification digests. Backed by Postgres
+// (sql/create_notification_digests.sql) or, for local development without a
+// database, a JSON file. A second writer that claims the same (user, due_at)
+// gets a conflict error: that digest is already being sent.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/notification_digests.json');
+
+class DigestConflictError extends Error {
+  constructor(digest) {
+    super(`Digest of ${digest.user_id} due ${digest.due_at} already exists`);
+    this.name = 'DigestConflictError';
+    this.code = 'DIGEST_CONFLICT';
+  }
+}
+
+class SupabaseNotificationDigestStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabaseAdmin;
+  }
+
+  async insert(digest) {
+    const { data, error } = await this.supabase.from('notification_digests').insert(digest).select().single();
+    if (error && error.code === '23505') throw new DigestConflictError(digest);
+    if (error) throw new Error(`Failed to record digest of ${digest.user_id}: ${error.message}`);
+    return data;
+  }
+
+  async update(id, patch) {
+    const { data, error } = await this.supabase.from('notification_digests').update(patch).eq('id', id).select().single();
+    if (error) throw new Error(`Failed to update digest ${id}: ${error.message}`);
+    return data;
+  }
+
+  async lastForUser(userId) {
+    const { data, error } = await this.supabase
+      .from('notification_digests')
+      .select('*')
+      .eq('user_id', userId)
+      .order('due_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load last digest of ${userId}: ${error.message}`);
+    return data || null;
+  }
+
+  async listForUser(userId, { limit = 20 } = {}) {
+    const { data, error } = await this.supabase
+      .from('notification_digests')
+      .select('*')
+      .eq('user_id', userId)
+      .order('due_at', { ascending: false })
+      .limit(limit);
+    if (error) throw new Error(`Failed to list digests of ${userId}: ${error.message}`);
+    return data || [];
+  }
+
+  // Ids of notifications already summarised in digests due at or after `since`
+  async includedIds(userId, since) {
+    const { data, error } = await this.supabase
+      .from('notification_digests')
+      .select('notification_ids')
+      .eq('user_id', userId)
+      .eq('status', 'sent')
+      .gte('due_at', since);
+    if (error) throw new Error(`Failed to load digest items of ${userId}: ${error.message}`);
+    return new Set((data || []).flatMap(d => d.notification_ids || []));
+  }
+}
+
+class FileNotificationDigestStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  _write(digests) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(digests, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  _forUser(userId) {
+    return this._read()
+      .filter(d => d.user_id === userId)
+      .sort((a, b) => new Date(b.due_at) - new Date(a.due_at));
+  }
+
+  async insert(digest) {
+    const digests = this._read();
+    if (digests.some(d => d.user_id === digest.user_id && new Date(d.due_at).getTime() === new Date(digest.due_at).getTime())) {
+      throw new DigestConflictError(digest);
+    }
+    digests.push(digest);
+    this._write(digests);
+    return { ...digest };
+  }
+
+  async update(id, patch) {
+    const digests = this._read();
+    const index = digests.findIndex(d => d.id === id);
+    if (index === -1) throw new Error(`Digest ${id} not found`);
+    digests[index] = { ...digests[index], ...patch };
+    this._write(digests);
+    return { ...digests[index] };
+  }
+
+  async lastForUser(userId) {
+    const [last] = this._forUser(userId);
+    return last ? { ...last } : null;
+  }
+
+  async listForUser(userId, { limit = 20 } = {}) {
+    return this._forUser(userId).slice(0, limit).map(d => ({ ...d }));
+  }
+
+  async includedIds(userId, since) {
+    const sinceMs = new Date(since).getTime();
+    return new Set(this._forUser(userId)
+      .filter(d => d.status === 'sent' && new Date(d.due_at).getTime() >= sinceMs)
+      .flatMap(d => d.notification_ids || []));
+  }
+}
+
+// Postgres unless NOTIFICATION_DIGEST_STORE=file (or Supabase is not configured)
+function createNotificationDigestStore() {
+  const useFile = process.env.NOTIFICATION_DIGEST_STORE === 'file' || !process.env.SUPABASE_URL;
+  return useFile
+    ? new FileNotificationDigestStore(process.env.NOTIFICATION_DIGEST_STORE_FILE || DEFAULT_FILE)
+    : new SupabaseNotificationDigestStore();
+}
+
+module.exports = {
+  DigestConflictError,
+  SupabaseNotificationDigestStore,
+  FileNotificationDigestStore,
+  createNotificationDigestStore
+};
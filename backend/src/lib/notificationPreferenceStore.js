@@ -0,0 +1,103 @@
+// backend/src/lib/notificationPreferenceStore.js
+// Persistence for per-user notification preferences. Backed by Postgres
+// (sql/create_notification_preferences.sql) or, for local development
+// without a database, a JSON file keyed by user id.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/notification_preferences.json');
+
+class SupabaseNotificationPreferenceStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabaseAdmin;
+  }
+
+  async get(userId) {
+    const { data, error } = await this.supabase
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load notification preferences of ${userId}: ${error.message}`);
+    return data || null;
+  }
+
+  async upsert(userId, prefs) {
+    const { data, error } = await this.supabase
+      .from('notification_preferences')
+      .upsert({ ...prefs, user_id: userId, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to save notification preferences of ${userId}: ${error.message}`);
+    return data;
+  }
+
+  async listDigestSubscribers() {
+    const { data, error } = await this.supabase
+      .from('notification_preferences')
+      .select('*')
+      .in('digest->>frequency', ['daily', 'weekly']);
+    if (error) throw new Error(`Failed to list digest subscribers: ${error.message}`);
+    return data || [];
+  }
+}
+
+class FileNotificationPreferenceStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  async get(userId) {
+    const row = this._read()[userId];
+    return row ? { ...row } : null;
+  }
+
+  async upsert(userId, prefs) {
+    const state = this._read();
+    const now = new Date().toISOString();
+    state[userId] = {
+      created_at: now,
+      ...state[userId],
+      ...prefs,
+      user_id: userId,
+      updated_at: now
+    };
+    this._write(state);
+    return { ...state[userId] };
+  }
+
+  async listDigestSubscribers() {
+    return Object.values(this._read())
+      .filter(row => row.digest && ['daily', 'weekly'].includes(row.digest.frequency))
+      .map(row => ({ ...row }));
+  }
+}
+
+// Postgres unless NOTIFICATION_PREFS_STORE=file (or Supabase is not configured)
+function createNotificationPreferenceStore() {
+  const useFile = process.env.NOTIFICATION_PREFS_STORE === 'file' || !process.env.SUPABASE_URL;
+  return useFile
+    ? new FileNotificationPreferenceStore(process.env.NOTIFICATION_PREFS_STORE_FILE || DEFAULT_FILE)
+    : new SupabaseNotificationPreferenceStore();
+}
+
+module.exports = {
+  SupabaseNotificationPreferenceStore,
+  FileNotificationPreferenceStore,
+  createNotificationPreferenceStore
+};
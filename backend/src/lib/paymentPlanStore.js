@@ -0,0 +1,281 @@
+// backend/src/lib/paymentPlanStore.js
+// Persistence for installment settlement plans, their installments and the
+// payments logged against them. Backed by Postgres
+// (sql/create_settlement_payment_plans.sql) or, for local development without
+// a database, a JSON file. A case has at most one live (proposed, active or
+// defaulted) plan; creating a second one is a conflict. A payment and its
+// allocation to installments are written together (applyPayment), against
+// the installments as the allocation saw them.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/settlement_payment_plans.json');
+const LIVE_STATUSES = ['proposed', 'active', 'defaulted'];
+
+class PaymentPlanConflictError extends Error {
+  constructor(caseId) {
+    super(`Case ${caseId} already has a payment plan`);
+    this.name = 'PaymentPlanConflictError';
+    this.code = 'PAYMENT_PLAN_CONFLICT';
+  }
+}
+
+// An installment changed between reading and applying a payment: another
+// payment (or a default) got there first. Re-read and allocate again.
+class PaymentAllocationConflictError extends Error {
+  constructor(installmentId) {
+    super(`${installmentId ? `Installment ${installmentId}` : 'An installment'} changed while the payment was applied`);
+    this.name = 'PaymentAllocationConflictError';
+    this.code = 'PAYMENT_ALLOCATION_CONFLICT';
+  }
+}
+
+class SupabasePaymentPlanStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabaseAdmin;
+  }
+
+  async insertPlan(plan, installments) {
+    const { data, error } = await this.supabase.from('settlement_payment_plans').insert(plan).select().single();
+    if (error && error.code === '23505') throw new PaymentPlanConflictError(plan.case_id);
+    if (error) throw new Error(`Failed to create payment plan: ${error.message}`);
+
+    const { data: rows, error: installmentError } = await this.supabase
+      .from('settlement_installments')
+      .insert(installments)
+      .select();
+    if (installmentError) {
+      await this.supabase.from('settlement_payment_plans').delete().eq('id', data.id);
+      throw new Error(`Failed to create installments: ${installmentError.message}`);
+    }
+    return { plan: data, installments: (rows || []).sort((a, b) => a.sequence - b.sequence) };
+  }
+
+  async findPlan(id) {
+    const { data, error } = await this.supabase.from('settlement_payment_plans').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Failed to load payment plan ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  // The newest plan of a case that was not cancelled
+  async currentPlan(caseId) {
+    const { data, error } = await this.supabase
+      .from('settlement_payment_plans')
+      .select('*')
+      .eq('case_id', caseId)
+      .neq('status', 'cancelled')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load payment plan of case ${caseId}: ${error.message}`);
+    return data || null;
+  }
+
+  async updatePlan(id, patch) {
+    const { data, error } = await this.supabase
+      .from('settlement_payment_plans')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update payment plan ${id}: ${error.message}`);
+    return data;
+  }
+
+  // Update only while the plan is still in `status`; null when it is not
+  async updatePlanIf(id, status, patch) {
+    const { data, error } = await this.supabase
+      .from('settlement_payment_plans')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', status)
+      .select()
+      .maybeSingle();
+    if (error) throw new Error(`Failed to update payment plan ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  async listInstallments(planId) {
+    const { data, error } = await this.supabase
+      .from('settlement_installments')
+      .select('*')
+      .eq('plan_id', planId)
+      .order('sequence', { ascending: true });
+    if (error) throw new Error(`Failed to list installments of plan ${planId}: ${error.message}`);
+    return data || [];
+  }
+
+  async findInstallment(id) {
+    const { data, error } = await this.supabase.from('settlement_installments').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Failed to load installment ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  async updateInstallment(id, patch) {
+    const { data, error } = await this.supabase
+      .from('settlement_installments')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update installment ${id}: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Insert the payment and patch the installments it was allocated to, in
+   * one transaction holding the plan's installment rows
+   * (record_settlement_payment). updates: [{ id, expected: { paid_amount,
+   * status }, patch: { paid_amount, penalty_amount, status, paid_at } }]
+   */
+  async applyPayment(payment, updates) {
+    const { data, error } = await this.supabase.rpc('record_settlement_payment', {
+      p_payment: payment,
+      p_updates: updates
+    });
+    if (error && error.code === '40001') throw new PaymentAllocationConflictError();
+    if (error) throw new Error(`Failed to record payment: ${error.message}`);
+    return Array.isArray(data) ? data[0] : data;
+  }
+
+  async listPayments(planId) {
+    const { data, error } = await this.supabase
+      .from('settlement_payments')
+      .select('*')
+      .eq('plan_id', planId)
+      .order('paid_at', { ascending: true });
+    if (error) throw new Error(`Failed to list payments of plan ${planId}: ${error.message}`);
+    return data || [];
+  }
+
+  async findPayment(id) {
+    const { data, error } = await this.supabase.from('settlement_payments').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Failed to load payment ${id}: ${error.message}`);
+    return data || null;
+  }
+}
+
+class FilePaymentPlanStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return { plans: [], installments: [], payments: [] };
+    }
+  }
+
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  _patch(collection, id, patch, label) {
+    const state = this._read();
+    const index = state[collection].findIndex(row => row.id === id);
+    if (index === -1) throw new Error(`${label} ${id} not found`);
+    state[collection][index] = { ...state[collection][index], ...patch, updated_at: new Date().toISOString() };
+    this._write(state);
+    return { ...state[collection][index] };
+  }
+
+  async insertPlan(plan, installments) {
+    const state = this._read();
+    if (state.plans.some(p => p.case_id === plan.case_id && LIVE_STATUSES.includes(p.status))) {
+      throw new PaymentPlanConflictError(plan.case_id);
+    }
+    state.plans.push(plan);
+    state.installments.push(...installments);
+    this._write(state);
+    return { plan: { ...plan }, installments: installments.map(i => ({ ...i })).sort((a, b) => a.sequence - b.sequence) };
+  }
+
+  async findPlan(id) {
+    const plan = this._read().plans.find(p => p.id === id);
+    return plan ? { ...plan } : null;
+  }
+
+  async currentPlan(caseId) {
+    const [plan] = this._read().plans
+      .filter(p => p.case_id === caseId && p.status !== 'cancelled')
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    return plan ? { ...plan } : null;
+  }
+
+  async updatePlan(id, patch) {
+    return this._patch('plans', id, patch, 'Payment plan');
+  }
+
+  async updatePlanIf(id, status, patch) {
+    const plan = this._read().plans.find(p => p.id === id);
+    if (!plan || plan.status !== status) return null;
+    return this._patch('plans', id, patch, 'Payment plan');
+  }
+
+  async listInstallments(planId) {
+    return this._read().installments
+      .filter(i => i.plan_id === planId)
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(i => ({ ...i }));
+  }
+
+  async findInstallment(id) {
+    const installment = this._read().installments.find(i => i.id === id);
+    return installment ? { ...installment } : null;
+  }
+
+  async updateInstallment(id, patch) {
+    return this._patch('installments', id, patch, 'Installment');
+  }
+
+  // Read, check and write without yielding, so one process applies
+  // payments one at a time
+  async applyPayment(payment, updates) {
+    const state = this._read();
+    const stamp = new Date().toISOString();
+    for (const { id, expected, patch } of updates) {
+      const index = state.installments.findIndex(i => i.id === id);
+      const current = state.installments[index];
+      if (!current || Number(current.paid_amount || 0) !== Number(expected.paid_amount || 0) || current.status !== expected.status) {
+        throw new PaymentAllocationConflictError(id);
+      }
+      state.installments[index] = { ...current, ...patch, updated_at: stamp };
+    }
+    state.payments.push(payment);
+    this._write(state);
+    return { ...payment };
+  }
+
+  async listPayments(planId) {
+    return this._read().payments
+      .filter(p => p.plan_id === planId)
+      .sort((a, b) => new Date(a.paid_at) - new Date(b.paid_at))
+      .map(p => ({ ...p }));
+  }
+
+  async findPayment(id) {
+    const payment = this._read().payments.find(p => p.id === id);
+    return payment ? { ...payment } : null;
+  }
+}
+
+// Postgres unless PAYMENT_PLAN_STORE=file (or Supabase is not configured)
+function createPaymentPlanStore() {
+  const useFile = process.env.PAYMENT_PLAN_STORE === 'file' || !process.env.SUPABASE_URL;
+  return useFile
+    ? new FilePaymentPlanStore(process.env.PAYMENT_PLAN_STORE_FILE || DEFAULT_FILE)
+    : new SupabasePaymentPlanStore();
+}
+
+module.exports = {
+  PaymentPlanConflictError,
+  PaymentAllocationConflictError,
+  SupabasePaymentPlanStore,
+  FilePaymentPlanStore,
+  createPaymentPlanStore
+};
@@ -0,0 +1,83 @@
+// backend/src/lib/pdfFonts.js
+// Fonts for text the standard PDF fonts cannot show. Helvetica and the other
+// standard fonts only cover Latin (WinAnsi); Indian scripts need an embedded
+// TrueType font. The Noto fonts below are looked for in PDF_FONTS_DIR
+// (backend/assets/fonts by default); a script without its font file is
+// reported as missing so callers can leave that text out or fall back.
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+const { nonLatinScripts } = require('./languages');
+
+const FONT_FILES = {
+  devanagari: 'NotoSansDevanagari-Regular.ttf',
+  bengali: 'NotoSansBengali-Regular.ttf',
+  gurmukhi: 'NotoSansGurmukhi-Regular.ttf',
+  gujarati: 'NotoSansGujarati-Regular.ttf',
+  oriya: 'NotoSansOriya-Regular.ttf',
+  tamil: 'NotoSansTamil-Regular.ttf',
+  telugu: 'NotoSansTelugu-Regular.ttf',
+  kannada: 'NotoSansKannada-Regular.ttf',
+  malayalam: 'NotoSansMalayalam-Regular.ttf',
+  arabic: 'NotoNaskhArabic-Regular.ttf'
+};
+
+function fontsDir() {
+  return process.env.PDF_FONTS_DIR || path.join(__dirname, '../../assets/fonts');
+}
+
+// Path of the font for a script, or null when it is not installed
+function fontFileFor(script) {
+  if (!FONT_FILES[script]) return null;
+  const file = path.join(fontsDir(), FONT_FILES[script]);
+  return fs.existsSync(file) ? file : null;
+}
+
+// Scripts of a text whose fonts are not installed
+function missingFonts(text) {
+  return nonLatinScripts(text).filter(script => !fontFileFor(script));
+}
+
+// pdfkit: register the font for a script on the document and return its
+// name for doc.font(), or null when the font is not installed
+function pdfkitFont(doc, script) {
+  const file = fontFileFor(script);
+  if (!file) return null;
+  const name = `Noto-${script}`;
+  doc.registerFont(name, file);
+  return name;
+}
+
+const embedded = new WeakMap();
+
+/**
+ * pdf-lib: the font to draw `text` with. Latin-only text gets `fallback`
+ * (a standard font); text in another script gets that script's font,
+ * embedded (subset) once per document. Returns null when the font for the
+ * script is not installed.
+ */
+async function pdfLibFontFor(doc, text, fallback) {
+  const [script] = nonLatinScripts(text);
+  if (!script) return fallback;
+  const file = fontFileFor(script);
+  if (!file) return null;
+
+  if (!embedded.has(doc)) {
+    doc.registerFontkit(fontkit);
+    embedded.set(doc, new Map());
+  }
+  const fonts = embedded.get(doc);
+  if (!fonts.has(script)) {
+    fonts.set(script, await doc.embedFont(fs.readFileSync(file), { subset: true }));
+  }
+  return fonts.get(script);
+}
+
+module.exports = {
+  FONT_FILES,
+  fontsDir,
+  fontFileFor,
+  missingFonts,
+  pdfkitFont,
+  pdfLibFontFor
+};
@@ -0,0 +1,535 @@
+// backend/src/lib/pdfSignature.js
+// PAdES-style signatures embedded in PDF files (SubFilter ETSI.CAdES.detached).
+//
+// Each signature is an incremental update appended to the file. It carries a
+// signature field, its widget with a visible appearance block, and a /Sig
+// dictionary holding a detached CMS SignedData. The CMS covers every byte of
+// the file except its own /Contents, as listed in /ByteRange. Earlier
+// revisions are never rewritten, so the first signer's signature stays valid
+// after the second one signs.
+//
+// Signing is two steps: addSignatureField() appends the revision with a
+// zero-filled placeholder, then sign() computes the byte range and fills in
+// the CMS. verifySignatures() reports, for any PDF, whether each signature
+// still matches the bytes it covers and whether anything was appended after
+// the last one.
+const crypto = require('crypto');
+const jsrsasign = require('jsrsasign');
+const { PDFDocument, PDFName, PDFNumber, PDFHexString, PDFString, PDFArray, PDFDict, PDFRef, StandardFonts } = require('pdf-lib');
+
+const { ASN1HEX, KEYUTIL, KJUR } = jsrsasign;
+
+// Room reserved for the CMS blob; a P-256 signature with a two-certificate
+// chain needs about 1.3 KB
+const SIGNATURE_BYTES = 8192;
+const BYTE_RANGE_PLACEHOLDER = 9999999999;
+const OID_MESSAGE_DIGEST = '1.2.840.113549.1.9.4';
+
+class PdfSignatureError extends Error {
+  constructor(message, code = 'PDF_SIGNATURE_ERROR') {
+    super(message);
+    this.name = 'PdfSignatureError';
+    this.code = code;
+  }
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// ---------------------------------------------------------------------------
+// Certificates
+// ---------------------------------------------------------------------------
+
+// jsrsasign wants UTCTime strings: 2510191200Z -> YYMMDDHHmmssZ
+const utcTime = (date) => date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z';
+
+// X.500 name in jsrsasign's "/CN=.../O=..." form; "/" and "=" in values
+// would split the name, so they are replaced
+function distinguishedName(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `/${key}=${String(value).replace(/[/=]/g, '-')}`)
+    .join('');
+}
+
+// Self-signed EC P-256 authority that issues the per-signature certificates
+function createCertificateAuthority({ commonName, organization, years = 10 } = {}) {
+  const keys = KEYUTIL.generateKeypair('EC', 'secp256r1');
+  const name = distinguishedName({ CN: commonName, O: organization, C: 'IN' });
+  const now = new Date();
+  const certificate = new KJUR.asn1.x509.Certificate({
+    version: 3,
+    serial: { hex: `01${crypto.randomBytes(8).toString('hex')}` },
+    issuer: { str: name },
+    subject: { str: name },
+    notbefore: utcTime(now),
+    notafter: utcTime(new Date(now.getTime() + years * 365 * 24 * 3600 * 1000)),
+    sbjpubkey: keys.pubKeyObj,
+    ext: [
+      { extname: 'basicConstraints', critical: true, cA: true },
+      { extname: 'keyUsage', critical: true, names: ['keyCertSign', 'cRLSign'] }
+    ],
+    sigalg: 'SHA256withECDSA',
+    cakey: keys.prvKeyObj
+  });
+  return {
+    certificate: certificate.getPEM(),
+    privateKey: KEYUTIL.getPEM(keys.prvKeyObj, 'PKCS8PRV')
+  };
+}
+
+// Fresh key pair and certificate for one signer, issued by the authority.
+// The key signs one revision and is then dropped: the platform vouches for
+// the authenticated signer instead of holding user keys.
+function issueSignerCertificate(authority, { name, email, organization, years = 5 }) {
+  const keys = KEYUTIL.generateKeypair('EC', 'secp256r1');
+  const now = new Date();
+  const certificate = new KJUR.asn1.x509.Certificate({
+    version: 3,
+    serial: { hex: `01${crypto.randomBytes(12).toString('hex')}` },
+    issuer: { certsubject: authority.certificate },
+    subject: { str: distinguishedName({ CN: name, O: organization, E: email }) },
+    notbefore: utcTime(new Date(now.getTime() - 60 * 1000)),
+    notafter: utcTime(new Date(now.getTime() + years * 365 * 24 * 3600 * 1000)),
+    sbjpubkey: keys.pubKeyObj,
+    ext: [{ extname: 'keyUsage', critical: true, names: ['digitalSignature', 'nonRepudiation'] }],
+    sigalg: 'SHA256withECDSA',
+    cakey: KEYUTIL.getKey(authority.privateKey)
+  });
+  return {
+    certificate: certificate.getPEM(),
+    privateKey: KEYUTIL.getPEM(keys.prvKeyObj, 'PKCS8PRV'),
+    chain: [authority.certificate]
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CMS
+// ---------------------------------------------------------------------------
+
+// Detached CMS SignedData over `content` with the PAdES baseline signed
+// attributes (content type, message digest, signing certificate v2). The
+// signing time goes in the /M entry of the signature dictionary instead.
+// `fixed` stops jsrsasign from recomputing the message digest in JavaScript
+// from a hex copy of the whole file; Node hashes it instead.
+function createCms(content, { certificate, privateKey, chain = [] }) {
+  const signedData = new KJUR.asn1.cms.SignedData({
+    fixed: true,
+    version: 1,
+    hashalgs: ['sha256'],
+    econtent: { type: 'data', isDetached: true, content: { hex: '' } },
+    certs: [certificate, ...chain],
+    sinfos: [{
+      version: 1,
+      id: { type: 'isssn', cert: certificate },
+      hashalg: 'sha256',
+      sattrs: {
+        array: [
+          { attr: 'contentType', type: 'data' },
+          { attr: 'messageDigest', hex: sha256(content) },
+          { attr: 'signingCertificateV2', array: [certificate] }
+        ]
+      },
+      sigalg: 'SHA256withECDSA',
+      signkey: KEYUTIL.getKey(privateKey)
+    }]
+  });
+  return Buffer.from(signedData.getContentInfoEncodedHex(), 'hex');
+}
+
+const stripZeros = (hex) => String(hex || '').toLowerCase().replace(/^0+/, '');
+
+function certificateFields(certificate) {
+  const fields = {};
+  for (const line of certificate.subject.split('\n')) {
+    const [key, ...value] = line.split('=');
+    fields[key] = value.join('=');
+  }
+  return {
+    name: fields.CN || null,
+    email: fields.emailAddress || fields.E || null,
+    organization: fields.O || null,
+    serialNumber: certificate.serialNumber,
+    issuer: certificate.issuer.split('\n').find(l => l.startsWith('CN='))?.slice(3) || null,
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString()
+  };
+}
+
+// Check a detached CMS blob against the bytes it claims to cover
+function verifyCms(cmsHex, content, trustedCertificates = []) {
+  const result = { digestMatches: false, signatureValid: false, certificateTrusted: false, signer: null };
+
+  const signedData = ASN1HEX.getIdxbyList(cmsHex, 0, [1, 0]);
+  const parts = ASN1HEX.getChildIdx(cmsHex, signedData);
+  const certificates = parts
+    .filter(idx => cmsHex.substr(idx, 2) === 'a0')
+    .flatMap(idx => ASN1HEX.getChildIdx(cmsHex, idx))
+    .map(idx => new crypto.X509Certificate(Buffer.from(ASN1HEX.getTLV(cmsHex, idx), 'hex')));
+
+  const signerInfo = ASN1HEX.getChildIdx(cmsHex, parts[parts.length - 1])[0];
+  const [, sid, , signedAttrs, , signatureValue] = ASN1HEX.getChildIdx(cmsHex, signerInfo);
+  const serial = ASN1HEX.getV(cmsHex, ASN1HEX.getChildIdx(cmsHex, sid)[1]);
+  const signerCertificate = certificates.find(c => stripZeros(c.serialNumber) === stripZeros(serial));
+  if (!signerCertificate) return { ...result, error: 'signer certificate missing from the signature' };
+  result.signer = certificateFields(signerCertificate);
+
+  let messageDigest = null;
+  for (const attribute of ASN1HEX.getChildIdx(cmsHex, signedAttrs)) {
+    const [oid, values] = ASN1HEX.getChildIdx(cmsHex, attribute);
+    if (ASN1HEX.hextooidstr(ASN1HEX.getV(cmsHex, oid)) === OID_MESSAGE_DIGEST) {
+      messageDigest = ASN1HEX.getV(cmsHex, ASN1HEX.getChildIdx(cmsHex, values)[0]);
+    }
+  }
+  result.digestMatches = messageDigest === sha256(content);
+
+  // The signature covers the DER of the signed attributes as a SET (0x31),
+  // not with the [0] IMPLICIT tag they are stored under
+  const attributesDer = Buffer.from(`31${ASN1HEX.getTLV(cmsHex, signedAttrs).slice(2)}`, 'hex');
+  result.signatureValid = crypto.verify('sha256', attributesDer, signerCertificate.publicKey,
+    Buffer.from(ASN1HEX.getV(cmsHex, signatureValue), 'hex'));
+
+  result.certificateTrusted = trustedCertificates
+    .map(pem => new crypto.X509Certificate(pem))
+    .some(authority => signerCertificate.checkIssued(authority) && signerCertificate.verify(authority.publicKey));
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Incremental updates
+// ---------------------------------------------------------------------------
+
+function serializeObject(ref, object) {
+  const body = Buffer.alloc(object.sizeInBytes());
+  object.copyBytesInto(body, 0);
+  return Buffer.concat([Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`), body, Buffer.from('\nendobj\n')]);
+}
+
+function lastStartXref(pdf) {
+  const tail = pdf.subarray(Math.max(0, pdf.length - 2048)).toString('latin1');
+  const matches = [...tail.matchAll(/startxref\s+(\d+)/g)];
+  if (matches.length === 0) throw new PdfSignatureError('PDF has no startxref', 'PDF_MALFORMED');
+  return Number(matches[matches.length - 1][1]);
+}
+
+// Original bytes + the given objects + an xref section and trailer whose
+// /Prev points at the previous one. Nothing before the append is touched.
+function appendRevision(original, doc, refs) {
+  const chunks = [original];
+  let offset = original.length;
+  if (original[original.length - 1] !== 0x0a) {
+    chunks.push(Buffer.from('\n'));
+    offset += 1;
+  }
+
+  const entries = [];
+  const sorted = [...new Map(refs.map(ref => [ref.objectNumber, ref])).values()]
+    .sort((a, b) => a.objectNumber - b.objectNumber);
+  for (const ref of sorted) {
+    const bytes = serializeObject(ref, doc.context.lookup(ref));
+    entries.push({ ref, offset });
+    chunks.push(bytes);
+    offset += bytes.length;
+  }
+
+  // One xref subsection per run of consecutive object numbers
+  let xref = 'xref\n';
+  for (let i = 0; i < entries.length;) {
+    let j = i;
+    while (j + 1 < entries.length && entries[j + 1].ref.objectNumber === entries[j].ref.objectNumber + 1) j++;
+    xref += `${entries[i].ref.objectNumber} ${j - i + 1}\n`;
+    for (let k = i; k <= j; k++) {
+      xref += `${String(entries[k].offset).padStart(10, '0')} ${String(entries[k].ref.generationNumber).padStart(5, '0')} n\r\n`;
+    }
+    i = j + 1;
+  }
+
+  const { Root, Info, ID } = doc.context.trailerInfo;
+  const trailer = [
+    `/Size ${doc.context.largestObjectNumber + 1}`,
+    `/Root ${Root}`,
+    Info ? `/Info ${Info}` : null,
+    ID ? `/ID ${ID}` : null,
+    `/Prev ${lastStartXref(original)}`
+  ].filter(Boolean).join('\n');
+
+  chunks.push(Buffer.from(`${xref}trailer\n<<\n${trailer}\n>>\nstartxref\n${offset}\n%%EOF\n`));
+  return Buffer.concat(chunks);
+}
+
+// Text the standard Helvetica font can show; anything outside WinAnsi
+// becomes "?"
+function encodable(font, text) {
+  try {
+    font.encodeText(text);
+    return text;
+  } catch (e) {
+    return [...text].map(char => {
+      try {
+        font.encodeText(char);
+        return char;
+      } catch (err) {
+        return '?';
+      }
+    }).join('');
+  }
+}
+
+function fitText(font, text, size, width) {
+  let value = encodable(font, text);
+  while (value.length > 1 && font.widthOfTextAtSize(value, size) > width) value = `${value.slice(0, -2)}…`;
+  return value;
+}
+
+// Form XObject drawn in the signature widget: a framed block with the
+// signer's lines and, when given, the drawn signature image on the right
+async function buildAppearance(doc, { width, height, lines, image }) {
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  await font.embed();
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  await bold.embed();
+
+  const resources = { Font: { F1: font.ref, F2: bold.ref } };
+  const ops = ['q', '0.96 0.97 1 rg', `0 0 ${width} ${height} re f`, '0.22 0.32 0.62 RG 0.8 w', `0.4 0.4 ${width - 0.8} ${height - 0.8} re S`];
+
+  let textWidth = width - 12;
+  if (image) {
+    const embedded = image.type === 'png' ? await doc.embedPng(image.bytes) : await doc.embedJpg(image.bytes);
+    await embedded.embed();
+    resources.XObject = { Sig: embedded.ref };
+    const box = { width: width * 0.35, height: height - 12 };
+    const scale = Math.min(box.width / embedded.width, box.height / embedded.height);
+    const w = embedded.width * scale;
+    const h = embedded.height * scale;
+    ops.push('q', `${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${(width - box.width - 6 + (box.width - w) / 2).toFixed(2)} ${((height - h) / 2).toFixed(2)} cm`, '/Sig Do', 'Q');
+    textWidth = width - box.width - 18;
+  }
+
+  ops.push('BT', '0.1 0.1 0.15 rg');
+  let y = height - 14;
+  lines.forEach((line, i) => {
+    const size = i === 0 ? 9 : 7.5;
+    const current = i === 0 ? bold : font;
+    ops.push(`/${i === 0 ? 'F2' : 'F1'} ${size} Tf`, `1 0 0 1 6 ${y.toFixed(2)} Tm`, `${current.encodeText(fitText(current, line, size, textWidth))} Tj`);
+    y -= i === 0 ? 12 : 10;
+  });
+  ops.push('ET', 'Q');
+
+  const stream = doc.context.stream(ops.join('\n'), {
+    Type: 'XObject',
+    Subtype: 'Form',
+    BBox: [0, 0, width, height],
+    Resources: resources
+  });
+  return doc.context.register(stream);
+}
+
+// Append a revision with an empty signature field and a visible appearance.
+// options: name, reason, location, contactInfo, signingTime,
+//          appearance { pageIndex (default last), rect: [x, y, width, height],
+//                       lines: [...], image: { bytes, type: 'png'|'jpg' } }
+async function addSignatureField(pdf, options = {}) {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  const { context } = doc;
+  const firstNewObject = context.largestObjectNumber + 1;
+  const changed = [];
+
+  const pages = doc.getPages();
+  const appearance = options.appearance || {};
+  const page = pages[appearance.pageIndex ?? pages.length - 1];
+  if (!page) throw new PdfSignatureError(`PDF has no page ${appearance.pageIndex}`, 'PDF_MALFORMED');
+  const [x, y, width, height] = appearance.rect || [0, 0, 0, 0];
+
+  const signingTime = options.signingTime || new Date();
+  const sigRef = context.register(context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'ETSI.CAdES.detached',
+    ByteRange: [0, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER],
+    Contents: PDFHexString.of('0'.repeat(SIGNATURE_BYTES * 2)),
+    M: PDFString.fromDate(signingTime),
+    ...(options.name && { Name: PDFHexString.fromText(options.name) }),
+    ...(options.reason && { Reason: PDFHexString.fromText(options.reason) }),
+    ...(options.location && { Location: PDFHexString.fromText(options.location) }),
+    ...(options.contactInfo && { ContactInfo: PDFHexString.fromText(options.contactInfo) })
+  }));
+
+  // AcroForm: direct in the catalog, indirect, or missing
+  const catalogRef = context.trailerInfo.Root;
+  let acroForm = doc.catalog.get(PDFName.of('AcroForm'));
+  if (acroForm instanceof PDFRef) {
+    changed.push(acroForm);
+    acroForm = context.lookup(acroForm, PDFDict);
+  } else if (acroForm instanceof PDFDict) {
+    changed.push(catalogRef);
+  } else {
+    acroForm = context.obj({ Fields: [] });
+    doc.catalog.set(PDFName.of('AcroForm'), context.register(acroForm));
+    changed.push(catalogRef);
+  }
+  let fields = acroForm.get(PDFName.of('Fields'));
+  if (fields instanceof PDFRef) {
+    changed.push(fields);
+    fields = context.lookup(fields, PDFArray);
+  } else if (!(fields instanceof PDFArray)) {
+    fields = context.obj([]);
+    acroForm.set(PDFName.of('Fields'), fields);
+  }
+  acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+  const hasAppearance = width > 0 && height > 0;
+  const widget = context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFHexString.fromText(options.fieldName || `Signature${fields.size() + 1}`),
+    V: sigRef,
+    F: 132, // print + locked
+    P: page.ref,
+    Rect: [x, y, x + width, y + height]
+  });
+  if (hasAppearance) {
+    const apRef = await buildAppearance(doc, { width, height, lines: appearance.lines || [], image: appearance.image });
+    widget.set(PDFName.of('AP'), context.obj({ N: apRef }));
+  }
+  const widgetRef = context.register(widget);
+  fields.push(widgetRef);
+
+  let annots = page.node.get(PDFName.of('Annots'));
+  if (annots instanceof PDFRef) {
+    changed.push(annots);
+    context.lookup(annots, PDFArray).push(widgetRef);
+  } else if (annots instanceof PDFArray) {
+    annots.push(widgetRef);
+  } else {
+    annots = context.obj([widgetRef]);
+    page.node.set(PDFName.of('Annots'), annots);
+  }
+  changed.push(page.ref);
+
+  const created = context.enumerateIndirectObjects()
+    .map(([ref]) => ref)
+    .filter(ref => ref.objectNumber >= firstNewObject);
+  return appendRevision(pdf, doc, [...created, ...changed]);
+}
+
+// Fill the placeholder left by addSignatureField() with a CMS signature over
+// the byte range. signer: { certificate, privateKey, chain }
+function sign(pdf, signer) {
+  const text = pdf.toString('latin1');
+  const placeholder = `/ByteRange [ 0 ${BYTE_RANGE_PLACEHOLDER} ${BYTE_RANGE_PLACEHOLDER} ${BYTE_RANGE_PLACEHOLDER} ]`;
+  const rangeAt = text.lastIndexOf(placeholder);
+  if (rangeAt === -1) throw new PdfSignatureError('PDF has no unsigned signature placeholder', 'PDF_NO_PLACEHOLDER');
+
+  const contentsStart = text.indexOf('/Contents <', rangeAt) + '/Contents '.length;
+  const contentsEnd = text.indexOf('>', contentsStart) + 1;
+  const byteRange = [0, contentsStart, contentsEnd, pdf.length - contentsEnd];
+
+  const output = Buffer.from(pdf);
+  output.write(`/ByteRange [${byteRange.join(' ')}`.padEnd(placeholder.length - 1, ' ') + ']', rangeAt, 'latin1');
+
+  const signed = Buffer.concat([output.subarray(0, contentsStart), output.subarray(contentsEnd)]);
+  const cms = createCms(signed, signer).toString('hex');
+  if (cms.length > contentsEnd - contentsStart - 2) {
+    throw new PdfSignatureError(`Signature needs ${cms.length / 2} bytes, only ${SIGNATURE_BYTES} reserved`, 'PDF_SIGNATURE_TOO_LARGE');
+  }
+  output.write(cms, contentsStart + 1, 'latin1');
+  return output;
+}
+
+// ---------------------------------------------------------------------------
+// Verification
+// ---------------------------------------------------------------------------
+
+function readTextEntry(dictText, key) {
+  const hex = dictText.match(new RegExp(`/${key}\\s*<([0-9A-Fa-f]*)>`));
+  if (hex) return PDFHexString.of(hex[1]).decodeText();
+  const literal = dictText.match(new RegExp(`/${key}\\s*\\(((?:\\\\.|[^\\\\)])*)\\)`));
+  return literal ? literal[1].replace(/\\(.)/g, '$1') : null;
+}
+
+// "D:20251019120000Z" or "D:20251019173000+05'30'" -> ISO string
+function readPdfDate(value) {
+  const m = String(value || '').match(/D:(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!m) return null;
+  const zone = !m[7] || m[7] === 'Z' ? 'Z' : `${m[7].slice(0, 3)}:${m[7].replace(/'/g, '').slice(3, 5)}`;
+  return new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${zone}`).toISOString();
+}
+
+// Every signature in the file, checked against the bytes it covers.
+// options.trustedCertificates: PEM certificates of the issuing authorities
+//
+// A signature's coverage ends where the next revision starts. Later
+// revisions are accepted when each ends in another valid signature; bytes
+// after the last signature, or a signature whose digest no longer matches,
+// mean the document was altered. What a later signed revision changes is not
+// compared against the earlier ones: the platform's revisions only add a
+// signature field, and any other change still needs a valid signature.
+function verifySignatures(pdf, { trustedCertificates = [] } = {}) {
+  const text = pdf.toString('latin1');
+  const signatures = [];
+
+  for (const match of text.matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)) {
+    const [a, b, c, d] = match.slice(1).map(Number);
+    if (b === BYTE_RANGE_PLACEHOLDER) continue;
+
+    const objectStart = text.lastIndexOf(' obj', match.index);
+    const objectEnd = text.indexOf('endobj', match.index);
+    const dictText = text.slice(objectStart, objectEnd).replace(/\/Contents\s*<[0-9A-Fa-f]*>/, '');
+    const entry = {
+      index: signatures.length + 1,
+      byteRange: [a, b, c, d],
+      signedAt: readPdfDate(readTextEntry(dictText, 'M')),
+      name: readTextEntry(dictText, 'Name'),
+      reason: readTextEntry(dictText, 'Reason'),
+      location: readTextEntry(dictText, 'Location'),
+      coversUntil: c + d
+    };
+
+    try {
+      if (a !== 0 || c + d > pdf.length || text[b] !== '<' || text[c - 1] !== '>') {
+        throw new PdfSignatureError('byte range does not match the file');
+      }
+      const contents = text.slice(b + 1, c - 1);
+      const cmsHex = ASN1HEX.getTLV(contents.toLowerCase(), 0);
+      const covered = Buffer.concat([pdf.subarray(a, a + b), pdf.subarray(c, c + d)]);
+      Object.assign(entry, verifyCms(cmsHex, covered, trustedCertificates));
+    } catch (error) {
+      Object.assign(entry, { digestMatches: false, signatureValid: false, certificateTrusted: false, signer: null, error: error.message });
+    }
+    entry.intact = entry.digestMatches && entry.signatureValid;
+    signatures.push(entry);
+  }
+
+  signatures.sort((x, y) => x.coversUntil - y.coversUntil);
+  const last = signatures[signatures.length - 1];
+  // trailing whitespace after %%EOF is not a change
+  const unsignedBytes = last ? pdf.subarray(last.coversUntil).toString('latin1').replace(/\s+/g, '').length : pdf.length;
+  signatures.forEach((entry, i) => {
+    entry.index = i + 1;
+    entry.coversWholeDocument = entry.coversUntil === pdf.length || (entry === last && unsignedBytes === 0);
+  });
+
+  const altered = signatures.some(s => !s.digestMatches) || (signatures.length > 0 && unsignedBytes > 0);
+  return {
+    documentSha256: sha256(pdf),
+    size: pdf.length,
+    signatureCount: signatures.length,
+    signatures,
+    unsignedBytesAfterLastSignature: unsignedBytes,
+    altered,
+    valid: signatures.length > 0 && !altered && signatures.every(s => s.signatureValid && s.certificateTrusted)
+  };
+}
+
+module.exports = {
+  PdfSignatureError,
+  SIGNATURE_BYTES,
+  createCertificateAuthority,
+  issueSignerCertificate,
+  createCms,
+  verifyCms,
+  addSignatureField,
+  sign,
+  verifySignatures,
+  readPdfDate
+};
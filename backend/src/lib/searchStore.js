@@ -0,0 +1,136 @@
+// backend/src/lib/searchStore.js
+// Storage and querying for the full-text search index. Postgres ranks with
+// tsvector (sql/create_search_index.sql); without a database a JSON file is
+// searched in-process with BM25 (lib/textSearch.js).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Bm25Index, parseQuery, highlight } = require('./textSearch');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/search_index.json');
+
+class SupabaseSearchStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabase;
+  }
+
+  async upsert(doc) {
+    const { error } = await this.supabase
+      .from('search_documents')
+      .upsert({ ...doc, updated_at: new Date().toISOString() }, { onConflict: 'source_type,source_id' });
+    if (error) throw new Error(`Failed to index ${doc.source_type} ${doc.source_id}: ${error.message}`);
+  }
+
+  async remove(sourceType, sourceId) {
+    const { error } = await this.supabase
+      .from('search_documents')
+      .delete()
+      .eq('source_type', sourceType)
+      .eq('source_id', sourceId);
+    if (error) throw new Error(`Failed to remove ${sourceType} ${sourceId} from index: ${error.message}`);
+  }
+
+  async search({ caseIds, query, sourceTypes, from, to, limit, offset }) {
+    const { data, error } = await this.supabase.rpc('search_case_documents', {
+      p_case_ids: caseIds,
+      p_query: query,
+      p_source_types: sourceTypes && sourceTypes.length ? sourceTypes : null,
+      p_from: from || null,
+      p_to: to || null,
+      p_limit: limit,
+      p_offset: offset
+    });
+    if (error) throw new Error(`Search failed: ${error.message}`);
+
+    const rows = data || [];
+    return {
+      total: rows.length > 0 ? Number(rows[0].total_count) : 0,
+      hits: rows.map(({ total_count, ...row }) => row)
+    };
+  }
+}
+
+class FileSearchStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return { documents: [] };
+    }
+  }
+
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  async upsert(doc) {
+    const state = this._read();
+    const existing = state.documents.find(d => d.source_type === doc.source_type && d.source_id === doc.source_id);
+    const row = { ...doc, updated_at: new Date().toISOString() };
+    if (existing) {
+      Object.assign(existing, row);
+    } else {
+      state.documents.push({ id: crypto.randomUUID(), ...row });
+    }
+    this._write(state);
+  }
+
+  async remove(sourceType, sourceId) {
+    const state = this._read();
+    state.documents = state.documents.filter(d => !(d.source_type === sourceType && d.source_id === sourceId));
+    this._write(state);
+  }
+
+  async search({ caseIds, query, sourceTypes, from, to, limit, offset }) {
+    const allowed = new Set(caseIds);
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    // Same weighting as the tsvector: title counts more than body
+    const index = new Bm25Index({ weights: { title: 2, body: 1 } });
+    for (const doc of this._read().documents) {
+      const date = new Date(doc.document_date).getTime();
+      if (!allowed.has(doc.case_id)) continue;
+      if (sourceTypes && sourceTypes.length && !sourceTypes.includes(doc.source_type)) continue;
+      if (date < fromTime || date > toTime) continue;
+      index.add(doc.id, { title: doc.title, body: doc.body }, doc);
+    }
+
+    const parsed = parseQuery(query);
+    const matches = index.search(parsed)
+      .sort((a, b) => b.score - a.score || new Date(b.payload.document_date) - new Date(a.payload.document_date));
+
+    return {
+      total: matches.length,
+      hits: matches.slice(offset, offset + limit).map(({ score, payload: doc }) => ({
+        id: doc.id,
+        case_id: doc.case_id,
+        source_type: doc.source_type,
+        source_id: doc.source_id,
+        title: doc.title,
+        document_date: doc.document_date,
+        rank: score,
+        highlight: highlight(doc.body || doc.title, parsed)
+      }))
+    };
+  }
+}
+
+// Postgres unless SEARCH_STORE=file (or Supabase is not configured)
+function createSearchStore() {
+  const useFile = process.env.SEARCH_STORE === 'file' || !process.env.SUPABASE_URL;
+  return useFile ? new FileSearchStore(process.env.SEARCH_STORE_FILE || DEFAULT_FILE) : new SupabaseSearchStore();
+}
+
+module.exports = {
+  SupabaseSearchStore,
+  FileSearchStore,
+  createSearchStore
+};
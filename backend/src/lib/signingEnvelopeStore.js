@@ -0,0 +1,163 @@
+// backend/src/lib/signingEnvelopeStore.js
+// Persistence for signing envelopes: one document, its signers and where the
+// current revision of the signed PDF lives. Backed by Postgres
+// (sql/create_signing_envelopes.sql) or, for local development without a
+// database, a JSON file. Updates are conditional on the envelope's revision,
+// so two signers finishing at the same moment cannot both append to the same
+// PDF revision; the loser gets a conflict error and signs the newer one.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/signing_envelopes.json');
+
+class SigningConflictError extends Error {
+  constructor(envelopeId, revision) {
+    super(`Signing envelope ${envelopeId} is no longer at revision ${revision}`);
+    this.name = 'SigningConflictError';
+    this.code = 'SIGNING_CONFLICT';
+  }
+}
+
+class SupabaseSigningEnvelopeStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabase;
+  }
+
+  async insert(envelope) {
+    const { data, error } = await this.supabase.from('signing_envelopes').insert(envelope).select().single();
+    if (error) throw new Error(`Failed to create signing envelope: ${error.message}`);
+    return data;
+  }
+
+  async get(id) {
+    const { data, error } = await this.supabase.from('signing_envelopes').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Failed to load signing envelope ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  async listForCase(caseId) {
+    const { data, error } = await this.supabase
+      .from('signing_envelopes')
+      .select('*')
+      .eq('case_id', caseId)
+      .order('created_at', { ascending: false });
+    if (error) throw new Error(`Failed to load signing envelopes of case ${caseId}: ${error.message}`);
+    return data || [];
+  }
+
+  async findBySource(sourceType, sourceId) {
+    const { data, error } = await this.supabase
+      .from('signing_envelopes')
+      .select('*')
+      .eq('source_type', sourceType)
+      .eq('source_id', sourceId)
+      .neq('status', 'cancelled')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load signing envelope for ${sourceType} ${sourceId}: ${error.message}`);
+    return data || null;
+  }
+
+  // Envelope whose prepared, current or sealed document has this SHA-256
+  async findByDocumentHash(sha256) {
+    const { data, error } = await this.supabase
+      .from('signing_envelopes')
+      .select('*')
+      .or(`original_sha256.eq.${sha256},current_sha256.eq.${sha256},certificate_sha256.eq.${sha256}`)
+      .limit(1)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to look up signing envelope by hash: ${error.message}`);
+    return data || null;
+  }
+
+  async update(id, patch, { expectedRevision } = {}) {
+    let query = this.supabase.from('signing_envelopes').update({ ...patch, updated_at: new Date().toISOString() }).eq('id', id);
+    if (expectedRevision !== undefined) query = query.eq('revision', expectedRevision);
+    const { data, error } = await query.select().maybeSingle();
+    if (error) throw new Error(`Failed to update signing envelope ${id}: ${error.message}`);
+    if (!data) throw new SigningConflictError(id, expectedRevision);
+    return data;
+  }
+}
+
+class FileSigningEnvelopeStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return { envelopes: [] };
+    }
+  }
+
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  _copy(envelope) {
+    return envelope ? JSON.parse(JSON.stringify(envelope)) : null;
+  }
+
+  async insert(envelope) {
+    const state = this._read();
+    const now = new Date().toISOString();
+    const row = { created_at: now, updated_at: now, ...envelope };
+    state.envelopes.push(row);
+    this._write(state);
+    return this._copy(row);
+  }
+
+  async get(id) {
+    return this._copy(this._read().envelopes.find(e => e.id === id));
+  }
+
+  async listForCase(caseId) {
+    return this._read().envelopes
+      .filter(e => e.case_id === caseId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(e => this._copy(e));
+  }
+
+  async findBySource(sourceType, sourceId) {
+    const matches = this._read().envelopes
+      .filter(e => e.source_type === sourceType && e.source_id === sourceId && e.status !== 'cancelled')
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    return this._copy(matches[0]);
+  }
+
+  async findByDocumentHash(sha256) {
+    return this._copy(this._read().envelopes.find(e =>
+      [e.original_sha256, e.current_sha256, e.certificate_sha256].includes(sha256)));
+  }
+
+  async update(id, patch, { expectedRevision } = {}) {
+    const state = this._read();
+    const envelope = state.envelopes.find(e => e.id === id);
+    if (!envelope || (expectedRevision !== undefined && envelope.revision !== expectedRevision)) {
+      throw new SigningConflictError(id, expectedRevision);
+    }
+    Object.assign(envelope, patch, { updated_at: new Date().toISOString() });
+    this._write(state);
+    return this._copy(envelope);
+  }
+}
+
+// Postgres unless SIGNING_STORE=file (or Supabase is not configured)
+function createSigningEnvelopeStore() {
+  const useFile = process.env.SIGNING_STORE === 'file' || !process.env.SUPABASE_URL;
+  return useFile ? new FileSigningEnvelopeStore(process.env.SIGNING_STORE_FILE || DEFAULT_FILE) : new SupabaseSigningEnvelopeStore();
+}
+
+module.exports = {
+  SigningConflictError,
+  SupabaseSigningEnvelopeStore,
+  FileSigningEnvelopeStore,
+  createSigningEnvelopeStore
+};
@@ -0,0 +1,167 @@
+// backend/src/lib/textSearch.js
+// In-process full-text helpers: tokenizing with light English stemming,
+// websearch-style query parsing, BM25 ranking and snippet highlighting. Used
+// where Postgres full-text search is not available (local development, tests).
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Deliberately small suffix stripper: enough that "settlements", "settled"
+// and "settling" meet at the same term, without a dictionary
+const PLURALS = [[/ies$/, 'y'], [/sses$/, 'ss'], [/([^su])s$/, '$1']];
+const SUFFIXES = [[/ing$/, ''], [/edly$/, ''], [/ed$/, ''], [/ly$/, ''], [/ment$/, '']];
+
+function stem(word) {
+  if (word.length <= 3) return word;
+  let result = word;
+  for (const rules of [PLURALS, SUFFIXES]) {
+    const rule = rules.find(([pattern]) => pattern.test(result));
+    if (rule) {
+      const stripped = result.replace(rule[0], rule[1]);
+      if (stripped.length >= 3) result = stripped;
+    }
+  }
+  if (result.length > 4 && result.endsWith('e')) result = result.slice(0, -1);
+  return result;
+}
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// [{ term, start, end }] for every non-stop word, with its offsets in the text
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(WORD)) {
+    const word = match[0].toLowerCase();
+    if (STOP_WORDS.has(word)) continue;
+    tokens.push({ term: stem(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+const terms = (text) => tokenize(text).map(t => t.term);
+
+// Websearch-style query: words are all required, "-word" excludes, and
+// "a or b" makes either acceptable. Returns { groups, excluded } where every
+// group must match at least one of its terms.
+function parseQuery(query) {
+  const groups = [];
+  const excluded = [];
+  let pendingOr = false;
+
+  for (const raw of String(query || '').match(/-?"[^"]*"|\S+/g) || []) {
+    if (raw.toLowerCase() === 'or') {
+      pendingOr = groups.length > 0;
+      continue;
+    }
+    const negate = raw.startsWith('-');
+    const words = terms(raw.replace(/^-/, '').replace(/"/g, ''));
+    if (words.length === 0) continue;
+
+    if (negate) {
+      excluded.push(...words);
+    } else if (pendingOr) {
+      groups[groups.length - 1].push(...words);
+    } else {
+      // a quoted phrase requires each of its words
+      words.forEach(w => groups.push([w]));
+    }
+    pendingOr = false;
+  }
+  return { groups, excluded };
+}
+
+// BM25 over a set of documents, each given as { id, fields: { name: text } }
+// with per-field weights (title matches usually count for more than body).
+class Bm25Index {
+  constructor({ k1 = 1.2, b = 0.75, weights = {} } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.weights = weights;
+    this.docs = [];
+  }
+
+  add(id, fields, payload = null) {
+    const frequencies = new Map();
+    let length = 0;
+    for (const [name, text] of Object.entries(fields)) {
+      const weight = this.weights[name] || 1;
+      for (const term of terms(text)) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+    this.docs.push({ id, frequencies, length, payload });
+    return this;
+  }
+
+  // [{ id, score, payload }] for documents matching the query, best first
+  search(query) {
+    const { groups, excluded } = typeof query === 'string' ? parseQuery(query) : query;
+    if (groups.length === 0 || this.docs.length === 0) return [];
+
+    const averageLength = this.docs.reduce((sum, d) => sum + d.length, 0) / this.docs.length || 1;
+    const documentFrequency = new Map();
+    for (const term of new Set(groups.flat())) {
+      documentFrequency.set(term, this.docs.filter(d => d.frequencies.has(term)).length);
+    }
+
+    const results = [];
+    for (const doc of this.docs) {
+      if (excluded.some(term => doc.frequencies.has(term))) continue;
+      if (!groups.every(group => group.some(term => doc.frequencies.has(term)))) continue;
+
+      let score = 0;
+      for (const term of new Set(groups.flat())) {
+        const tf = doc.frequencies.get(term) || 0;
+        if (tf === 0) continue;
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (this.docs.length - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * doc.length / averageLength));
+      }
+      results.push({ id: doc.id, score, payload: doc.payload });
+    }
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+// Excerpt of `text` around the first match, with matches wrapped in
+// <mark></mark> (same markers as Postgres ts_headline). The text itself is
+// not escaped; render it as text, splitting on the markers.
+function highlight(text, query, { maxWords = 30 } = {}) {
+  const source = String(text || '');
+  const { groups } = typeof query === 'string' ? parseQuery(query) : query;
+  const wanted = new Set(groups.flat());
+
+  const words = [...source.matchAll(/\S+/g)];
+  if (words.length === 0) return '';
+  const tokens = tokenize(source);
+  const matched = tokens.filter(t => wanted.has(t.term));
+
+  const firstMatch = matched.length > 0 ? words.findIndex(w => w.index + w[0].length > matched[0].start) : 0;
+  const from = Math.max(0, firstMatch - Math.floor(maxWords / 3));
+  const to = Math.min(words.length, from + maxWords);
+  const start = words[from].index;
+  const end = words[to - 1].index + words[to - 1][0].length;
+
+  let excerpt = '';
+  let cursor = start;
+  for (const token of matched) {
+    if (token.start < start || token.end > end) continue;
+    excerpt += `${source.slice(cursor, token.start)}<mark>${source.slice(token.start, token.end)}</mark>`;
+    cursor = token.end;
+  }
+  excerpt += source.slice(cursor, end);
+
+  return `${from > 0 ? '… ' : ''}${excerpt.replace(/\s+/g, ' ').trim()}${to < words.length ? ' …' : ''}`;
+}
+
+module.exports = {
+  stem,
+  tokenize,
+  terms,
+  parseQuery,
+  highlight,
+  Bm25Index
+};
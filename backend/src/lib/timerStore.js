@@ -0,0 +1,266 @@
+// backend/src/lib/timerStore.js
+// Persistence for case deadlines, their scheduled reminder/expiry events and
+// the deadline extension audit trail. Backed by Postgres (sql/create_case_timers.sql)
+// or, for local development without a database, a JSON file.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/case_timers.json');
+
+class DuplicateTimerError extends Error {
+  constructor(caseId) {
+    super(`Case ${caseId} already has an active timer`);
+    this.name = 'DuplicateTimerError';
+    this.code = 'DUPLICATE_TIMER';
+  }
+}
+
+// Postgres-backed store. Claiming goes through claim_timer_events() so that
+// several backend instances can poll the same schedule safely.
+class SupabaseTimerStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabase;
+  }
+
+  async insertTimer(timer) {
+    const { data, error } = await this.supabase.from('case_timers').insert(timer).select().single();
+    if (error && error.code === '23505') throw new DuplicateTimerError(timer.case_id);
+    if (error) throw new Error(`Failed to create timer: ${error.message}`);
+    return data;
+  }
+
+  async updateTimer(id, updates) {
+    const { data, error } = await this.supabase
+      .from('case_timers')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update timer ${id}: ${error.message}`);
+    return data;
+  }
+
+  async findTimer(id) {
+    const { data, error } = await this.supabase.from('case_timers').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Failed to load timer ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  async findActiveTimer(caseId) {
+    const { data, error } = await this.supabase
+      .from('case_timers')
+      .select('*')
+      .eq('case_id', caseId)
+      .eq('status', 'active')
+      .maybeSingle();
+    if (error) throw new Error(`Failed to load timer for case ${caseId}: ${error.message}`);
+    return data || null;
+  }
+
+  async listActiveTimers() {
+    const { data, error } = await this.supabase
+      .from('case_timers')
+      .select('*')
+      .eq('status', 'active')
+      .order('deadline', { ascending: true });
+    if (error) throw new Error(`Failed to list timers: ${error.message}`);
+    return data || [];
+  }
+
+  async insertEvents(events) {
+    if (events.length === 0) return [];
+    const { data, error } = await this.supabase.from('case_timer_events').insert(events).select();
+    if (error) throw new Error(`Failed to schedule timer events: ${error.message}`);
+    return data || [];
+  }
+
+  async cancelPendingEvents(timerId) {
+    const { error } = await this.supabase
+      .from('case_timer_events')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('timer_id', timerId)
+      .eq('status', 'pending');
+    if (error) throw new Error(`Failed to cancel events for timer ${timerId}: ${error.message}`);
+  }
+
+  async claimDueEvents(limit, workerId, lockTimeoutMs) {
+    const { data, error } = await this.supabase.rpc('claim_timer_events', {
+      p_worker: workerId,
+      p_limit: limit,
+      p_lock_timeout_seconds: Math.ceil(lockTimeoutMs / 1000)
+    });
+    if (error) throw new Error(`Failed to claim timer events: ${error.message}`);
+    return data || [];
+  }
+
+  async updateEvent(id, updates) {
+    const { data, error } = await this.supabase
+      .from('case_timer_events')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update timer event ${id}: ${error.message}`);
+    return data;
+  }
+
+  async listEvents(timerId) {
+    const { data, error } = await this.supabase
+      .from('case_timer_events')
+      .select('*')
+      .eq('timer_id', timerId)
+      .order('fire_at', { ascending: true });
+    if (error) throw new Error(`Failed to list timer events: ${error.message}`);
+    return data || [];
+  }
+
+  async insertExtension(extension) {
+    const { data, error } = await this.supabase.from('deadline_extensions').insert(extension).select().single();
+    if (error) throw new Error(`Failed to record deadline extension: ${error.message}`);
+    return data;
+  }
+
+  async listExtensions(caseId) {
+    const { data, error } = await this.supabase
+      .from('deadline_extensions')
+      .select('*')
+      .eq('case_id', caseId)
+      .order('created_at', { ascending: true });
+    if (error) throw new Error(`Failed to list deadline extensions: ${error.message}`);
+    return data || [];
+  }
+}
+
+// JSON file store. Survives restarts but is only safe for a single process.
+class FileTimerStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return { timers: [], events: [], extensions: [] };
+    }
+  }
+
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  _update(collection, id, updates) {
+    const state = this._read();
+    const row = state[collection].find(r => r.id === id);
+    if (!row) throw new Error(`Failed to update ${collection} row ${id}: not found`);
+    Object.assign(row, updates, { updated_at: new Date().toISOString() });
+    this._write(state);
+    return { ...row };
+  }
+
+  async insertTimer(timer) {
+    const state = this._read();
+    if (state.timers.some(t => t.case_id === timer.case_id && t.status === 'active')) {
+      throw new DuplicateTimerError(timer.case_id);
+    }
+    state.timers.push(timer);
+    this._write(state);
+    return timer;
+  }
+
+  async updateTimer(id, updates) {
+    return this._update('timers', id, updates);
+  }
+
+  async findTimer(id) {
+    return this._read().timers.find(t => t.id === id) || null;
+  }
+
+  async findActiveTimer(caseId) {
+    return this._read().timers.find(t => t.case_id === caseId && t.status === 'active') || null;
+  }
+
+  async listActiveTimers() {
+    return this._read().timers
+      .filter(t => t.status === 'active')
+      .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+  }
+
+  async insertEvents(events) {
+    const state = this._read();
+    state.events.push(...events);
+    this._write(state);
+    return events;
+  }
+
+  async cancelPendingEvents(timerId) {
+    const state = this._read();
+    const now = new Date().toISOString();
+    state.events
+      .filter(e => e.timer_id === timerId && e.status === 'pending')
+      .forEach(e => Object.assign(e, { status: 'cancelled', updated_at: now }));
+    this._write(state);
+  }
+
+  async claimDueEvents(limit, workerId, lockTimeoutMs) {
+    const state = this._read();
+    const now = Date.now();
+
+    const due = state.events
+      .filter(e => (e.status === 'pending' && new Date(e.fire_at).getTime() <= now) ||
+        (e.status === 'running' && new Date(e.locked_at).getTime() < now - lockTimeoutMs))
+      .sort((a, b) => new Date(a.fire_at) - new Date(b.fire_at))
+      .slice(0, limit);
+
+    const claimed = due.map(event => {
+      Object.assign(event, {
+        status: 'running',
+        attempts: event.attempts + 1,
+        locked_by: workerId,
+        locked_at: new Date(now).toISOString(),
+        updated_at: new Date(now).toISOString()
+      });
+      return { ...event };
+    });
+
+    if (claimed.length > 0) this._write(state);
+    return claimed;
+  }
+
+  async updateEvent(id, updates) {
+    return this._update('events', id, updates);
+  }
+
+  async listEvents(timerId) {
+    return this._read().events
+      .filter(e => e.timer_id === timerId)
+      .sort((a, b) => new Date(a.fire_at) - new Date(b.fire_at));
+  }
+
+  async insertExtension(extension) {
+    const state = this._read();
+    state.extensions.push(extension);
+    this._write(state);
+    return extension;
+  }
+
+  async listExtensions(caseId) {
+    return this._read().extensions.filter(x => x.case_id === caseId);
+  }
+}
+
+// Postgres unless TIMER_STORE=file (or Supabase is not configured)
+function createTimerStore() {
+  const useFile = process.env.TIMER_STORE === 'file' || !process.env.SUPABASE_URL;
+  return useFile ? new FileTimerStore(process.env.TIMER_STORE_FILE || DEFAULT_FILE) : new SupabaseTimerStore();
+}
+
+module.exports = {
+  SupabaseTimerStore,
+  FileTimerStore,
+  DuplicateTimerError,
+  createTimerStore
+};
@@ -0,0 +1,149 @@
+// backend/src/lib/webhookStore.js
+// Persistence for webhook endpoints and the delivery attempt log. Backed by
+// Postgres (sql/create_webhooks.sql) or, for local development without a
+// database, a JSON file.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../../storage/webhooks.json');
+
+class SupabaseWebhookStore {
+  constructor(supabase) {
+    this.supabase = supabase || require('./supabaseClient').supabase;
+  }
+
+  async insertEndpoint(endpoint) {
+    const { data, error } = await this.supabase.from('webhook_endpoints').insert(endpoint).select().single();
+    if (error) throw new Error(`Failed to create webhook endpoint: ${error.message}`);
+    return data;
+  }
+
+  async updateEndpoint(id, updates) {
+    const { data, error } = await this.supabase
+      .from('webhook_endpoints')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update webhook endpoint ${id}: ${error.message}`);
+    return data;
+  }
+
+  async deleteEndpoint(id) {
+    const { error } = await this.supabase.from('webhook_endpoints').delete().eq('id', id);
+    if (error) throw new Error(`Failed to delete webhook endpoint ${id}: ${error.message}`);
+  }
+
+  async findEndpoint(id) {
+    const { data, error } = await this.supabase.from('webhook_endpoints').select('*').eq('id', id).single();
+    if (error && error.code !== 'PGRST116') throw new Error(`Failed to load webhook endpoint ${id}: ${error.message}`);
+    return data || null;
+  }
+
+  async listEndpoints({ createdBy, activeOnly = false } = {}) {
+    let query = this.supabase.from('webhook_endpoints').select('*');
+    if (createdBy) query = query.eq('created_by', createdBy);
+    if (activeOnly) query = query.eq('is_active', true);
+    const { data, error } = await query.order('created_at', { ascending: false });
+    if (error) throw new Error(`Failed to list webhook endpoints: ${error.message}`);
+    return data || [];
+  }
+
+  async insertDelivery(delivery) {
+    const { data, error } = await this.supabase.from('webhook_deliveries').insert(delivery).select().single();
+    if (error) throw new Error(`Failed to record webhook delivery: ${error.message}`);
+    return data;
+  }
+
+  async listDeliveries({ createdBy, endpointId, automationId, limit = 50 } = {}) {
+    let query = this.supabase.from('webhook_deliveries').select('*');
+    if (createdBy) query = query.eq('created_by', createdBy);
+    if (endpointId) query = query.eq('endpoint_id', endpointId);
+    if (automationId) query = query.eq('automation_id', automationId);
+    const { data, error } = await query.order('created_at', { ascending: false }).limit(limit);
+    if (error) throw new Error(`Failed to list webhook deliveries: ${error.message}`);
+    return data || [];
+  }
+}
+
+class FileWebhookStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      return { endpoints: [], deliveries: [] };
+    }
+  }
+
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  async insertEndpoint(endpoint) {
+    const state = this._read();
+    state.endpoints.push(endpoint);
+    this._write(state);
+    return { ...endpoint };
+  }
+
+  async updateEndpoint(id, updates) {
+    const state = this._read();
+    const row = state.endpoints.find(e => e.id === id);
+    if (!row) throw new Error(`Failed to update webhook endpoint ${id}: not found`);
+    Object.assign(row, updates, { updated_at: new Date().toISOString() });
+    this._write(state);
+    return { ...row };
+  }
+
+  async deleteEndpoint(id) {
+    const state = this._read();
+    state.endpoints = state.endpoints.filter(e => e.id !== id);
+    state.deliveries.forEach(d => { if (d.endpoint_id === id) d.endpoint_id = null; });
+    this._write(state);
+  }
+
+  async findEndpoint(id) {
+    return this._read().endpoints.find(e => e.id === id) || null;
+  }
+
+  async listEndpoints({ createdBy, activeOnly = false } = {}) {
+    return this._read().endpoints
+      .filter(e => (!createdBy || e.created_by === createdBy) && (!activeOnly || e.is_active))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  async insertDelivery(delivery) {
+    const state = this._read();
+    state.deliveries.push(delivery);
+    this._write(state);
+    return { ...delivery };
+  }
+
+  async listDeliveries({ createdBy, endpointId, automationId, limit = 50 } = {}) {
+    return this._read().deliveries
+      .filter(d => (!createdBy || d.created_by === createdBy)
+        && (!endpointId || d.endpoint_id === endpointId)
+        && (!automationId || d.automation_id === automationId))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, limit);
+  }
+}
+
+// Postgres unless WEBHOOK_STORE=file (or Supabase is not configured)
+function createWebhookStore() {
+  const useFile = process.env.WEBHOOK_STORE === 'file' || !process.env.SUPABASE_URL;
+  return useFile ? new FileWebhookStore(process.env.WEBHOOK_STORE_FILE || DEFAULT_FILE) : new SupabaseWebhookStore();
+}
+
+module.exports = {
+  SupabaseWebhookStore,
+  FileWebhookStore,
+  createWebhookStore
+};
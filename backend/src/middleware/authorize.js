@@ -0,0 +1,72 @@
+// backend/src/middleware/authorize.js
+// Route guards backed by AuthorizationService. Mount after requireAuth or
+// authenticate:
+//   router.get('/:caseId/statements', authenticate, authorize('statement:view'), ...)
+//   router.get('/evidence/:evidenceId', authenticate, authorize('evidence:view', { resource: 'evidence', param: 'evidenceId' }), ...)
+// On success req.caseAccess = { caseId, roles }.
+const fs = require('fs');
+const HttpError = require('../lib/HttpError');
+const AuthorizationService = require('../services/AuthorizationService');
+
+const CASE_ID_PARAMS = ['caseId', 'case_id', 'id'];
+
+function sendError(res, error) {
+  return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+}
+
+// Guards placed after multer (the case id is in the multipart body) must not
+// leave a refused upload behind in the temp directory
+function discardUploads(req) {
+  const files = [].concat(req.file || [], Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+  for (const file of files) {
+    if (file && file.path) fs.unlink(file.path, () => {});
+  }
+}
+
+// options:
+//   param    - request param holding the id (default caseId, case_id or id)
+//   from     - 'params' (default), 'body' or 'query'
+//   resource - the id names a child row (evidence, document, filing...) whose
+//              case is checked instead
+function authorize(action, { param, from = 'params', resource } = {}) {
+  AuthorizationService.allowedRoles(action); // fail at startup on a typo
+
+  const guard = async (req, res, next) => {
+    try {
+      const source = req[from] || {};
+      const id = param ? source[param] : source[CASE_ID_PARAMS.find(name => source[name])];
+      if (!id) {
+        discardUploads(req);
+        return sendError(res, new HttpError(400, 'case_id_required', `${param || 'case id'} is required`));
+      }
+
+      const user = req.user;
+      if (resource) {
+        req.caseAccess = await AuthorizationService.authorizeResource(user, action, resource, id);
+      } else {
+        req.caseAccess = { caseId: id, roles: await AuthorizationService.authorize(user, action, id) };
+      }
+      return next();
+    } catch (error) {
+      discardUploads(req);
+      if (error instanceof HttpError) return sendError(res, error);
+      return next(error);
+    }
+  };
+  // lets tests and docs list which action guards a route
+  guard.policy = { action, resource: resource || 'case', param: param || null, from };
+  return guard;
+}
+
+// Platform administrators only (ADMIN_USER_IDS or users.role = 'admin')
+function requireAdmin(req, res, next) {
+  if (!AuthorizationService.isAdmin(req.user)) {
+    return sendError(res, new HttpError(403, 'forbidden', 'Administrator access required'));
+  }
+  return next();
+}
+requireAdmin.policy = { action: 'admin', resource: null, param: null, from: null };
+
+module.exports = authorize;
+module.exports.authorize = authorize;
+module.exports.requireAdmin = requireAdmin;
@@ -1,5 +1,7 @@
 // Case Model - Handle case operations
 const BaseModel = require('./BaseModel');
+const AuthorizationService = require('../services/AuthorizationService');
+const SearchIndexService = require('../services/SearchIndexService');
 
 class Case extends BaseModel {
   constructor() {
@@ -60,6 +62,8 @@ class Case extends BaseModel {
         is_public: true
       });
 
+      await SearchIndexService.index('case', caseRecord);
+
       return caseRecord;
     } catch (error) {
       throw new Error(`Failed to create case: ${error.message}`);
@@ -103,32 +107,9 @@ class Case extends BaseModel {
     }
   }
 
-  // Check if user has access to case
+  // Check if user has access to case (any role on it, see AuthorizationService)
   async checkUserAccess(caseId, userId) {
-    try {
-      const { data, error } = await this.supabase
-        .from('cases')
-        .select('filed_by')
-        .eq('id', caseId)
-        .single();
-
-      if (error) return false;
-
-      // Check if user is the filer
-      if (data.filed_by === userId) return true;
-
-      // Check if user is a party to the case
-      const { data: partyData } = await this.supabase
-        .from('case_parties')
-        .select('id')
-        .eq('case_id', caseId)
-        .eq('user_id', userId)
-        .single();
-
-      return !!partyData;
-    } catch (error) {
-      return false;
-    }
+    return AuthorizationService.can(userId, 'case:view', caseId);
   }
 
   // Get cases for a user
@@ -304,8 +285,9 @@ class Case extends BaseModel {
   // Start statement collection phase
   async startStatementPhase(caseId, hours = 48) {
     try {
-      const statementDeadline = new Date();
-      statementDeadline.setHours(statementDeadline.getHours() + hours);
+      // Business hours in the case's jurisdiction calendar
+      const CalendarService = require('../services/CalendarService');
+      const statementDeadline = await CalendarService.deadlineForCase(caseId, hours);
 
       await this.updateById(caseId, {
         statement_deadline: statementDeadline.toISOString(),
@@ -5,6 +5,7 @@ const express = require('express');
 const ActiveNegotiationController = require('../controllers/ActiveNegotiationController');
 const { requireAuth } = require('../lib/authMiddleware');
 const validate = require('../middleware/validate');
+const authorize = require('../middleware/authorize');
 const { body, param, query } = require('express-validator');
 
 const router = express.Router();
@@ -312,7 +313,7 @@ router.get('/health', negotiationController.healthCheck.bind(negotiationControll
  *                       type: string
  *                       format: date-time
  */
-router.post('/sessions', startNegotiationValidation, validate, negotiationController.startNegotiation.bind(negotiationController));
+router.post('/sessions', startNegotiationValidation, validate, authorize('settlement:propose', { from: 'body', param: 'caseId' }), negotiationController.startNegotiation.bind(negotiationController));
 
 /**
  * @swagger
@@ -0,0 +1,35 @@
+// backend/src/routes/adminJobs.js
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../lib/authMiddleware');
+const { getQueue } = require('../lib/jobQueue');
+const { requireAdmin } = require('../middleware/authorize');
+
+// GET /api/admin/jobs/failed?queue=evidence&limit=50
+// Lists dead-lettered jobs, most recently failed first
+router.get('/jobs/failed', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const jobs = await getQueue().listFailed(req.query.queue || undefined, limit);
+    return res.json({ ok: true, count: jobs.length, jobs });
+  } catch (e) {
+    console.error('list failed jobs err', e);
+    return res.status(500).json({ ok: false, error: e.message || e });
+  }
+});
+
+// POST /api/admin/jobs/:id/requeue
+// Puts a dead-lettered job back on its queue with a fresh attempt budget
+router.post('/jobs/:id/requeue', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const job = await getQueue().requeue(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: 'job not found' });
+    return res.json({ ok: true, job });
+  } catch (e) {
+    if (e.status === 409) return res.status(409).json({ ok: false, error: e.message });
+    console.error('requeue job err', e);
+    return res.status(500).json({ ok: false, error: e.message || e });
+  }
+});
+
+module.exports = router;
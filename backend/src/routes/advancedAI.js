@@ -5,6 +5,7 @@ const AdvancedAIController = require('../controllers/AdvancedAIController');
 const { requireAuth } = require('../lib/authMiddleware');
 const { body, param, query } = require('express-validator');
 const validate = require('../middleware/validate');
+const authorize = require('../middleware/authorize');
 
 // Initialize controller
 const advancedAIController = new AdvancedAIController();
@@ -139,6 +140,7 @@ router.post('/analyze/:caseId',
   caseIdValidation,
   analysisRequestValidation,
   validate,
+  authorize('analysis:run'),
   advancedAIController.performAdvancedAnalysis
 );
 
@@ -167,6 +169,7 @@ router.post('/analyze/:caseId',
 router.post('/predict-outcome/:caseId',
   caseIdValidation,
   validate,
+  authorize('analysis:run'),
   advancedAIController.predictCaseOutcome
 );
 
@@ -191,6 +194,7 @@ router.post('/predict-outcome/:caseId',
 router.post('/precedents/:caseId',
   caseIdValidation,
   validate,
+  authorize('analysis:run'),
   advancedAIController.findLegalPrecedents
 );
 
@@ -215,6 +219,7 @@ router.post('/precedents/:caseId',
 router.post('/risk-assessment/:caseId',
   caseIdValidation,
   validate,
+  authorize('analysis:run'),
   advancedAIController.assessDisputeRisk
 );
 
@@ -239,6 +244,7 @@ router.post('/risk-assessment/:caseId',
 router.post('/strategy/:caseId',
   caseIdValidation,
   validate,
+  authorize('analysis:run'),
   advancedAIController.generateLegalStrategy
 );
 
@@ -289,6 +295,43 @@ router.get('/insights/:caseType/:jurisdiction',
   advancedAIController.getHistoricalInsights
 );
 
+/**
+ * @swagger
+ * /api/ai/advanced/corpus/search:
+ *   get:
+ *     summary: Search the legal corpus
+ *     description: Retrieve statute and judgment passages that precedent research is grounded in, with their source ids
+ *     tags: [Advanced AI]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [statute, judgment]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Matching corpus passages, best first
+ */
+router.get('/corpus/search',
+  [
+    query('q').isString().trim().notEmpty().withMessage('Search text is required'),
+    query('type').optional().isIn(['statute', 'judgment']).withMessage('Type must be statute or judgment'),
+    query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+  ],
+  validate,
+  advancedAIController.searchLegalCorpus
+);
+
 /**
  * @swagger
  * /api/ai/advanced/history/{caseId}:
@@ -323,6 +366,7 @@ router.get('/history/:caseId',
     query('analysis_type').optional().isString().withMessage('Analysis type must be string')
   ],
   validate,
+  authorize('analysis:view'),
   advancedAIController.getAnalysisHistory
 );
 
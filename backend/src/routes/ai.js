@@ -6,6 +6,7 @@ const AIConversationController = require('../controllers/AIConversationControlle
 const { requireAuth } = require('../lib/authMiddleware');
 const { body, param } = require('express-validator');
 const validate = require('../middleware/validate');
+const authorize = require('../middleware/authorize');
 
 // Apply authentication middleware to all AI routes
 router.use(requireAuth);
@@ -101,6 +102,7 @@ const legalResearchValidation = [
 router.post('/analyze-case/:caseId', 
   caseIdValidation,
   validate,
+  authorize('analysis:run'),
   AIController.analyzeCase);
 
 /**
@@ -143,6 +145,7 @@ router.post('/settlement-options/:caseId',
   caseIdValidation,
   settlementPreferencesValidation,
   validate,
+  authorize('analysis:run'),
   AIController.generateSettlementOptions);
 
 /**
@@ -181,7 +184,7 @@ router.post('/select-option/:caseId/:optionId', [
   param('caseId').isUUID('4').withMessage('Valid case ID is required'),
   param('optionId').notEmpty().withMessage('Option ID is required'),
   body('reasoning').optional().isString().withMessage('Reasoning must be a string')
-], validate, AIController.selectOption);
+], validate, authorize('settlement:respond'), AIController.selectOption);
 
 /**
  * @swagger
@@ -203,7 +206,7 @@ router.post('/select-option/:caseId/:optionId', [
  */
 router.post('/accept-combined-solution/:caseId', [
   param('caseId').isUUID('4').withMessage('Valid case ID is required')
-], validate, AIController.acceptCombinedSolution);
+], validate, authorize('settlement:respond'), AIController.acceptCombinedSolution);
 
 /**
  * @swagger
@@ -225,7 +228,7 @@ router.post('/accept-combined-solution/:caseId', [
  */
 router.get('/case-status/:caseId', [
   param('caseId').isUUID('4').withMessage('Valid case ID is required')
-], validate, AIController.getCaseAIStatus);
+], validate, authorize('analysis:view'), AIController.getCaseAIStatus);
 
 /**
  * @swagger
@@ -248,6 +251,7 @@ router.get('/case-status/:caseId', [
 router.post('/analyze-evidence/:evidenceId', 
   evidenceIdValidation,
   validate,
+  authorize('analysis:run', { resource: 'evidence', param: 'evidenceId' }),
   AIController.analyzeEvidence);
 
 /**
@@ -282,6 +286,7 @@ router.post('/legal-research/:caseId',
   caseIdValidation,
   legalResearchValidation,
   validate,
+  authorize('analysis:run'),
   AIController.conductLegalResearch);
 
 /**
@@ -305,6 +310,7 @@ router.post('/legal-research/:caseId',
 router.post('/risk-assessment/:caseId', 
   caseIdValidation,
   validate,
+  authorize('analysis:run'),
   AIController.assessRisks);
 
 /**
@@ -328,6 +334,7 @@ router.post('/risk-assessment/:caseId',
 router.get('/analyses/:caseId', 
   caseIdValidation,
   validate,
+  authorize('analysis:view'),
   AIController.getCaseAnalyses);
 
 /**
@@ -353,6 +360,7 @@ router.get('/analyses/:caseId',
 router.get('/analysis/:analysisId', 
   analysisIdValidation,
   validate,
+  authorize('analysis:view', { resource: 'analysis', param: 'analysisId' }),
   AIController.getAnalysisById);
 
 /**
@@ -417,6 +425,7 @@ router.post('/bulk-analyze',
 router.post('/reanalyze/:analysisId', 
   analysisIdValidation,
   validate,
+  authorize('analysis:run', { resource: 'analysis', param: 'analysisId' }),
   AIController.reAnalyze);
 
 /**
@@ -454,7 +463,7 @@ router.get('/health', AIController.healthCheck);
  *       200:
  *         description: Conversation history retrieved successfully
  */
-router.get('/conversation-history/:caseId', AIConversationController.getConversationHistory);
+router.get('/conversation-history/:caseId', authorize('analysis:view'), AIConversationController.getConversationHistory);
 
 /**
  * @swagger
@@ -490,7 +499,7 @@ router.get('/conversation-history/:caseId', AIConversationController.getConversa
  *       201:
  *         description: Message saved successfully
  */
-router.post('/conversation-history', AIConversationController.saveConversationMessage);
+router.post('/conversation-history', authorize('analysis:run', { from: 'body', param: 'caseId' }), AIConversationController.saveConversationMessage);
 
 /**
  * @swagger
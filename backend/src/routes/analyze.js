@@ -1,52 +1,29 @@
 // backend/src/routes/analyze.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { supabase } = require('../lib/supabaseClient');
+const aiProviders = require('../services/AIProviderRegistry');
+const SearchIndexService = require('../services/SearchIndexService');
+const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
 require('dotenv').config();
 
-// init client (single instance)
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY);
-
 // --- Helpers ---------------------------------------------------------------
 
-// defensive helper: call model and return plain text output
-async function callModel(prompt, modelName = process.env.GENAI_MODEL || 'gemini-1.5-pro', maxTokens = 900) {
+// call the AI provider registry (Gemini preferred) and return plain text output
+async function callModel(prompt, { caseType, task, maxTokens = 900 } = {}) {
   try {
-    const model = genAI.getGenerativeModel({ model: modelName });
-
-    // Some SDKs accept an object, others accept (prompt, opts) - we standardize to generateContent
-    const result = await model.generateContent(prompt, { maxOutputTokens: maxTokens }).catch(e => {
-      throw new Error(`model.generateContent error: ${String(e?.message || e)}`);
+    const response = await aiProviders.generate(prompt, {
+      preferred: 'gemini',
+      models: { gemini: process.env.GENAI_MODEL },
+      maxTokens,
+      caseType,
+      task
     });
-
-    const resp = result?.response ?? result;
-
-    // extract text robustly
-    if (typeof resp?.text === 'function') {
-      const t = resp.text();
-      if (t) return t;
-    }
-    if (resp?.output_text) return resp.output_text;
-    if (Array.isArray(resp?.output)) {
-      const parts = [];
-      resp.output.forEach(block => {
-        if (block?.content && Array.isArray(block.content)) {
-          block.content.forEach(c => {
-            if (typeof c === 'string') parts.push(c);
-            else if (c?.text) parts.push(c.text);
-          });
-        } else if (block?.text) {
-          parts.push(block.text);
-        }
-      });
-      if (parts.length) return parts.join('\n');
-    }
-    // last resort
-    return JSON.stringify(resp);
+    return { text: response.content || '', model: response.model };
   } catch (e) {
     // bubble up
-    throw e;
+    throw new Error(`model call error: ${String(e?.message || e)}`);
   }
 }
 
@@ -212,9 +189,8 @@ function clampConfidenceIfNoStatements(coerced, hasStatements) {
 
 // POST /api/analyze
 // body: { case_id: "uuid", template?: "concise|detailed|evidence_first" }
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, authorize('analysis:run', { from: 'body', param: 'case_id' }), async (req, res) => {
   const { case_id } = req.body;
-  if (!case_id) return res.status(400).json({ error: 'missing case_id' });
 
   try {
     // fetch case, statements, evidence
@@ -231,7 +207,8 @@ router.post('/', async (req, res) => {
     const prompt = buildStrictPrompt(caseRow?.title || `Case ${case_id}`, facts, evidenceList);
 
     // primary model call
-    let rawText = await callModel(prompt);
+    const primary = await callModel(prompt, { caseType: caseRow?.case_type, task: 'case_analysis_strict' });
+    let rawText = primary.text;
 
     // try parse
     let parsed = tryParseJSON(rawText);
@@ -240,7 +217,7 @@ router.post('/', async (req, res) => {
     if (!parsed) {
       try {
         const extractorPrompt = `You previously returned text that may contain a JSON object. Extract and return ONLY the JSON object (no commentary). Here is the original text:\n\n${rawText}`;
-        const secondRaw = await callModel(extractorPrompt);
+        const { text: secondRaw } = await callModel(extractorPrompt, { caseType: caseRow?.case_type, task: 'json_extraction' });
         parsed = tryParseJSON(secondRaw) || tryParseJSON(rawText); // try the second result then fallback
         // if parsed via extractor, replace rawText with secondRaw (so DB stores extractor output too)
         if (parsed) rawText = secondRaw;
@@ -268,7 +245,7 @@ router.post('/', async (req, res) => {
     const timestamp = new Date().toISOString();
     const insertRow = {
       case_id,
-      model: process.env.GENAI_MODEL || 'gemini-1.5-pro',
+      model: primary.model,
       raw_text: rawText,
       analysis: coerced || parsed || null,
       validation_errors: validationErrors.length ? validationErrors : null,
@@ -316,6 +293,10 @@ router.post('/', async (req, res) => {
       dbError = dbError || errSave;
     }
 
+    if (savedId) {
+      await SearchIndexService.index('analysis', { ...insertRow, id: savedId });
+    }
+
     // Decide success
     // Relaxed: consider success if we have parsed/coerced analysis and savedId.
     const pipelineOk = !!((coerced || parsed) && savedId);
@@ -0,0 +1,45 @@
+// backend/src/routes/auditLog.js
+// Read access to the hash-chained case audit log. There are no write routes:
+// entries are appended by the services whose actions they record.
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
+const AuditLogService = require('../services/AuditLogService');
+
+const MAX_PAGE = 500;
+
+// GET /api/cases/:id/audit-log?limit=&offset=
+router.get('/:id/audit-log', requireAuth, authorize('case:view'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_PAGE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  try {
+    const entries = await AuditLogService.list(req.params.id, { limit, offset });
+    res.json({ caseId: req.params.id, limit, offset, count: entries.length, entries });
+  } catch (e) {
+    res.status(500).json({ error: e.message || e });
+  }
+});
+
+// GET /api/cases/:id/audit-log/verify
+// 200 whether or not the chain is intact; `valid` and `problems` carry the result
+router.get('/:id/audit-log/verify', requireAuth, authorize('case:view'), async (req, res) => {
+  try {
+    res.json(await AuditLogService.verify(req.params.id));
+  } catch (e) {
+    res.status(500).json({ error: e.message || e });
+  }
+});
+
+// GET /api/cases/:id/audit-log/export
+router.get('/:id/audit-log/export', requireAuth, authorize('case:view'), async (req, res) => {
+  try {
+    const exported = await AuditLogService.export(req.params.id);
+    res.setHeader('Content-Disposition', `attachment; filename="case-${req.params.id}-audit-log.json"`);
+    res.json(exported);
+  } catch (e) {
+    res.status(500).json({ error: e.message || e });
+  }
+});
+
+module.exports = router;
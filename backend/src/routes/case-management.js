@@ -6,6 +6,8 @@ const path = require('path');
 const { body, param, query, validationResult } = require('express-validator');
 const CaseManagementController = require('../controllers/CaseManagementController');
 const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const AuthorizationService = require('../services/AuthorizationService');
 
 
 
@@ -77,7 +79,7 @@ router.get('/cases', authenticate, [
 // GET /api/case-management/cases/:caseId - Get detailed case view with 2-part layout
 router.get('/cases/:caseId', authenticate, [
   param('caseId').isUUID().withMessage('Valid case ID required')
-], handleValidationErrors, (req, res) => CaseManagementController.getCaseDetail(req, res));
+], handleValidationErrors, authorize('case:view'), (req, res) => CaseManagementController.getCaseDetail(req, res));
 
 // =============================================================================
 // STATEMENT MANAGEMENT
@@ -99,12 +101,12 @@ router.post('/cases/:caseId/statements', authenticate, [
     .optional()
     .isUUID()
     .withMessage('Each evidence ID must be a valid UUID')
-], handleValidationErrors, (req, res) => CaseManagementController.submitStatement(req, res));
+], handleValidationErrors, authorize('statement:submit'), (req, res) => CaseManagementController.submitStatement(req, res));
 
 // GET /api/case-management/cases/:caseId/statements - Get all statements for case
 router.get('/cases/:caseId/statements', authenticate, [
   param('caseId').isUUID().withMessage('Valid case ID required')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authorize('statement:view'), async (req, res) => {
   try {
     const { caseId } = req.params;
     const userId = req.user.id;
@@ -136,7 +138,7 @@ router.put('/statements/:statementId', authenticate, [
     .withMessage('Statement content is required')
     .isLength({ min: 50, max: 10000 })
     .withMessage('Statement must be between 50 and 10,000 characters')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authorize('statement:submit', { resource: 'legacy_statement', param: 'statementId' }), async (req, res) => {
   try {
     const { statementId } = req.params;
     const { content } = req.body;
@@ -168,14 +170,14 @@ router.post('/cases/:caseId/evidence', authenticate, upload.array('files', 10),
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be under 500 characters'),
   body('evidenceType').optional().isIn(['document', 'image', 'video', 'audio', 'other']),
   body('statementId').optional().isUUID().withMessage('Statement ID must be valid UUID')
-], handleValidationErrors, (req, res) => CaseManagementController.uploadEvidence(req, res));
+], handleValidationErrors, authorize('evidence:upload'), (req, res) => CaseManagementController.uploadEvidence(req, res));
 
 // GET /api/case-management/cases/:caseId/evidence - Get evidence for case
 router.get('/cases/:caseId/evidence', authenticate, [
   param('caseId').isUUID().withMessage('Valid case ID required'),
   query('party').optional().isIn(['complainer', 'defender']).withMessage('Party must be complainer or defender'),
   query('type').optional().isIn(['document', 'image', 'video', 'audio', 'other'])
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authorize('evidence:view'), async (req, res) => {
   try {
     const { caseId } = req.params;
     const { party, type } = req.query;
@@ -213,7 +215,7 @@ router.get('/cases/:caseId/evidence', authenticate, [
 // GET /api/case-management/evidence/:evidenceId/download - Download evidence file
 router.get('/evidence/:evidenceId/download', authenticate, [
   param('evidenceId').isUUID().withMessage('Valid evidence ID required')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authorize('evidence:view', { resource: 'evidence', param: 'evidenceId' }), async (req, res) => {
   try {
     const { evidenceId } = req.params;
     const userId = req.user.id;
@@ -236,7 +238,7 @@ router.get('/evidence/:evidenceId/download', authenticate, [
 // DELETE /api/case-management/evidence/:evidenceId - Delete evidence (within time limit)
 router.delete('/evidence/:evidenceId', authenticate, [
   param('evidenceId').isUUID().withMessage('Valid evidence ID required')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authorize('evidence:delete', { resource: 'evidence', param: 'evidenceId' }), async (req, res) => {
   try {
     const { evidenceId } = req.params;
     const userId = req.user.id;
@@ -264,11 +266,10 @@ router.delete('/evidence/:evidenceId', authenticate, [
 router.post('/cases/:caseId/start-statement-phase', authenticate, [
   param('caseId').isUUID().withMessage('Valid case ID required'),
   body('hours').optional().isInt({ min: 1, max: 168 }).withMessage('Hours must be between 1 and 168 (1 week)')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authorize('workflow:manage'), async (req, res) => {
   try {
     const { caseId } = req.params;
     const { hours = 48 } = req.body;
-    const userId = req.user.id;
 
     const Case = require('../models/Case');
     const caseData = await Case.findById(caseId);
@@ -280,16 +281,12 @@ router.post('/cases/:caseId/start-statement-phase', authenticate, [
       });
     }
 
-    // Only case filer can start statement phase
-    if (caseData.filed_by !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only the case filer can start the statement phase'
-      });
-    }
-
     const result = await Case.startStatementPhase(caseId, hours);
 
+    // Parties were already notified by startStatementPhase
+    const timerService = require('../services/TimerManagementService');
+    await timerService.startStatementTimer(caseId, result.statementDeadline, { notify: false });
+
     res.json({
       success: true,
       message: `Statement collection phase started (${hours} hours)`,
@@ -306,11 +303,12 @@ router.post('/cases/:caseId/start-statement-phase', authenticate, [
 // POST /api/case-management/cases/:caseId/extend-deadline - Extend statement deadline
 router.post('/cases/:caseId/extend-deadline', authenticate, [
   param('caseId').isUUID().withMessage('Valid case ID required'),
-  body('hours').isInt({ min: 1, max: 72 }).withMessage('Extension must be between 1 and 72 hours')
-], handleValidationErrors, async (req, res) => {
+  body('hours').isInt({ min: 1, max: 72 }).withMessage('Extension must be between 1 and 72 hours'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], handleValidationErrors, authorize('workflow:manage'), async (req, res) => {
   try {
     const { caseId } = req.params;
-    const { hours } = req.body;
+    const { hours, reason = '' } = req.body;
     const userId = req.user.id;
 
     const Case = require('../models/Case');
@@ -323,14 +321,6 @@ router.post('/cases/:caseId/extend-deadline', authenticate, [
       });
     }
 
-    // Only case filer can extend deadline
-    if (caseData.filed_by !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only the case filer can extend the deadline'
-      });
-    }
-
     if (!caseData.statement_deadline || caseData.status !== 'statement_phase') {
       return res.status(400).json({
         success: false,
@@ -338,25 +328,17 @@ router.post('/cases/:caseId/extend-deadline', authenticate, [
       });
     }
 
-    const newDeadline = new Date(caseData.statement_deadline);
-    newDeadline.setHours(newDeadline.getHours() + hours);
-
-    await Case.updateById(caseId, {
-      statement_deadline: newDeadline.toISOString()
-    });
-
-    // Notify both parties
-    const RealTimeService = require('../services/RealTimeService');
-    RealTimeService.broadcastToCaseRoom(caseId, 'deadline_extended', {
-      newDeadline: newDeadline.toISOString(),
-      hoursExtended: hours
-    });
+    // Goes through the timer service so reminders are rescheduled and the
+    // extension is recorded in the deadline_extensions audit trail
+    const timerService = require('../services/TimerManagementService');
+    const { newDeadline, extension } = await timerService.extendDeadline(caseId, hours, reason, userId);
 
     res.json({
       success: true,
       message: `Deadline extended by ${hours} hours`,
       data: {
-        newDeadline: newDeadline.toISOString()
+        newDeadline: newDeadline.toISOString(),
+        extensionId: extension.id
       }
     });
   } catch (error) {
@@ -367,24 +349,33 @@ router.post('/cases/:caseId/extend-deadline', authenticate, [
   }
 });
 
-// GET /api/case-management/cases/:caseId/timeline - Get case timeline
-router.get('/cases/:caseId/timeline', authenticate, [
+// GET /api/case-management/cases/:caseId/deadline-extensions - Audit trail of deadline extensions
+router.get('/cases/:caseId/deadline-extensions', authenticate, [
   param('caseId').isUUID().withMessage('Valid case ID required')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authorize('case:view'), async (req, res) => {
   try {
     const { caseId } = req.params;
-    const userId = req.user.id;
+    const timerService = require('../services/TimerManagementService');
+    const extensions = await timerService.getDeadlineExtensions(caseId);
 
-    const Case = require('../models/Case');
-    const hasAccess = await Case.checkUserAccess(caseId, userId);
-    
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this case'
-      });
-    }
+    res.json({
+      success: true,
+      data: extensions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to load deadline extensions'
+    });
+  }
+});
 
+// GET /api/case-management/cases/:caseId/timeline - Get case timeline
+router.get('/cases/:caseId/timeline', authenticate, [
+  param('caseId').isUUID().withMessage('Valid case ID required')
+], handleValidationErrors, authorize('case:view'), async (req, res) => {
+  try {
+    const { caseId } = req.params;
     const timeline = await CaseManagementController.getCaseTimeline(caseId);
 
     res.json({
@@ -406,7 +397,7 @@ router.get('/cases/:caseId/timeline', authenticate, [
 // GET /api/case-management/cases/:caseId/status - Get real-time case status
 router.get('/cases/:caseId/status', authenticate, [
   param('caseId').isUUID().withMessage('Valid case ID required')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authorize('case:view'), async (req, res) => {
   try {
     const { caseId } = req.params;
     const userId = req.user.id;
@@ -422,14 +413,6 @@ router.get('/cases/:caseId/status', authenticate, [
       });
     }
 
-    const hasAccess = await Case.checkUserAccess(caseId, userId);
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-
     const statementStatus = await Statement.checkStatementsComplete(caseId);
     const timeRemaining = CaseManagementController.calculateTimeRemaining(caseData);
     const canTakeAction = CaseManagementController.canUserTakeAction(caseData, userId, statementStatus);
@@ -472,9 +455,9 @@ router.post('/cases/bulk-actions', authenticate, [
 
     for (const caseId of caseIds) {
       try {
-        const caseData = await Case.findById(caseId);
-        
-        if (!caseData || caseData.filed_by !== userId) {
+        const permitted = await AuthorizationService.can(req.user, action === 'reopen' ? 'case:update' : 'case:close', caseId);
+
+        if (!permitted) {
           results.push({
             caseId,
             success: false,
@@ -1,12 +1,13 @@
 // backend/src/routes/caseDecisions.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
+const { supabase } = require('../lib/supabaseClient');
 const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
 
 // POST /api/cases/:id/decision
 // body: { analysis_id, option_id, decision: "accept"|"decline"|"propose", note? }
-router.post('/:id/decision', requireAuth, async (req, res) => {
+router.post('/:id/decision', requireAuth, authorize('settlement:respond'), async (req, res) => {
   const caseId = req.params.id;
   const userId = req.user && req.user.sub;
   const { analysis_id, option_id, decision, note } = req.body;
@@ -101,7 +102,7 @@ router.post('/:id/decision', requireAuth, async (req, res) => {
 });
 
 // GET /api/cases/:id/decisions?analysis_id=<id>
-router.get('/:id/decisions', requireAuth, async (req, res) => {
+router.get('/:id/decisions', requireAuth, authorize('settlement:view'), async (req, res) => {
   const caseId = req.params.id;
   const { analysis_id } = req.query;
   try {
@@ -1,11 +1,13 @@
 // backend/src/routes/caseEvidenceList.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
+const { supabase } = require('../lib/supabaseClient');
+const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
 
 // GET /api/cases/:id/evidence
 // returns list of evidence rows for the case with publicUrl computed
-router.get('/:id/evidence', async (req, res) => {
+router.get('/:id/evidence', requireAuth, authorize('evidence:view'), async (req, res) => {
   const caseId = req.params.id;
   try {
     const { data, error } = await supabase
@@ -2,17 +2,21 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../lib/supabaseClient');
 const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
+const AuthorizationService = require('../services/AuthorizationService');
 const multer = require('multer');
 const upload = multer({ dest: '/tmp/uploads' });
 const fs = require('fs');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { enqueueEvidence } = require('../lib/mediaWorker');
+const SearchIndexService = require('../services/SearchIndexService');
 
-// 1) create case
-router.post('/', async (req, res) => {
-  const { title, filed_by, case_type, jurisdiction } = req.body;
-  if (!title || !filed_by) return res.status(400).json({ error: 'missing' });
+// 1) create case (the caller is recorded as the filer)
+router.post('/', requireAuth, async (req, res) => {
+  const { title, case_type, jurisdiction } = req.body;
+  const filed_by = req.user.sub;
+  if (!title) return res.status(400).json({ error: 'missing' });
 
   try {
     const { data, error } = await supabase
@@ -22,6 +26,7 @@ router.post('/', async (req, res) => {
       .single();
 
     if (error) return res.status(500).json({ error });
+    await SearchIndexService.index('case', data);
     return res.json(data);
   } catch (err) {
     console.error('[cases] create error', err);
@@ -29,10 +34,14 @@ router.post('/', async (req, res) => {
   }
 });
 
-// 0) list cases (GET /)
-router.get('/', async (req, res) => {
+// 0) list cases the caller is a party to (GET /); admins see every case
+router.get('/', requireAuth, async (req, res) => {
   try {
-    const { data, error } = await supabase.from('cases').select('*').order('created_at', { ascending: false });
+    let query = supabase.from('cases').select('*').order('created_at', { ascending: false });
+    if (!AuthorizationService.isAdmin(req.user)) {
+      query = query.in('id', await AuthorizationService.accessibleCaseIds(req.user));
+    }
+    const { data, error } = await query;
     if (error) return res.status(500).json({ error });
     return res.json(data || []);
   } catch (err) {
@@ -41,17 +50,15 @@ router.get('/', async (req, res) => {
   }
 });
 
-// 2) upload evidence: multipart (file + uploader_id)
+// 2) upload evidence: multipart (file), uploaded as the authenticated user
 // This uploads file to Supabase storage, inserts evidence row, enqueues for background processing (non-blocking) and returns record + publicUrl
-router.post('/:id/evidence', upload.single('file'), async (req, res) => {
+router.post('/:id/evidence', requireAuth, authorize('evidence:upload'), upload.single('file'), async (req, res) => {
   let { id: caseId } = req.params;
   // Sanitize caseId for storage key: allow only alphanumeric, dash, underscore
   caseId = String(caseId).replace(/[^a-zA-Z0-9_-]/g, '');
-  // defensive extraction to avoid earlier 'cannot destructure' crash
-  const uploader_id = (req.body && req.body.uploader_id) ? req.body.uploader_id : null;
+  const uploader_id = req.user.sub;
 
   if (!req.file) return res.status(400).json({ error: 'no file' });
-  if (!uploader_id) return res.status(400).json({ error: 'uploader_id required' });
 
   try {
     const localPath = req.file.path;
@@ -106,7 +113,7 @@ router.post('/:id/evidence', upload.single('file'), async (req, res) => {
 });
 
 // Get case timeline
-router.get('/:id/timeline', async (req, res) => {
+router.get('/:id/timeline', requireAuth, authorize('case:view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { type } = req.query; // Optional filter by event type
@@ -144,7 +151,7 @@ router.get('/:id/timeline', async (req, res) => {
 });
 
 // Invite parties to case
-router.post('/:id/invite', async (req, res) => {
+router.post('/:id/invite', requireAuth, authorize('case:manage_parties'), async (req, res) => {
   try {
     const { id } = req.params;
     const { parties } = req.body; // Array of { name, email, role }
@@ -153,11 +160,7 @@ router.post('/:id/invite', async (req, res) => {
       return res.status(400).json({ error: 'parties array is required' });
     }
 
-    // Determine inviter user id (may be provided in tests via body or from authenticated req.user)
-    const inviterUserId = (req.user && req.user.id) ? req.user.id : (req.body.inviter_id || null);
-    if (!inviterUserId) {
-      return res.status(401).json({ error: 'Authentication required to invite parties' });
-    }
+    const inviterUserId = req.user.sub;
 
     const InvitationService = require('../services/InvitationService');
 
@@ -215,25 +218,25 @@ router.post('/:id/invite', async (req, res) => {
 const CaseController = require('../controllers/CaseController');
 
 // POST /:id/onboard-defender - Auto-create defender account when case is filed
-router.post('/:id/onboard-defender', requireAuth, CaseController.onboardDefender);
+router.post('/:id/onboard-defender', requireAuth, authorize('case:manage_parties'), CaseController.onboardDefender);
 
 // POST /:id/resend-credentials - Resend defender login credentials
-router.post('/:id/resend-credentials', requireAuth, CaseController.resendDefenderCredentials);
+router.post('/:id/resend-credentials', requireAuth, authorize('case:manage_parties'), CaseController.resendDefenderCredentials);
 
 // GET /:id/argument-status - Get argument completion status for both parties
-router.get('/:id/argument-status', requireAuth, CaseController.getArgumentStatus);
+router.get('/:id/argument-status', requireAuth, authorize('case:view'), CaseController.getArgumentStatus);
 
 // POST /:id/confirm-arguments - Confirm arguments completion by party
-router.post('/:id/confirm-arguments', requireAuth, CaseController.confirmArguments);
+router.post('/:id/confirm-arguments', requireAuth, authorize('statement:submit'), CaseController.confirmArguments);
 
 // POST /:id/trigger-sheriff-analysis - Trigger AI Sheriff analysis after both parties confirm
-router.post('/:id/trigger-sheriff-analysis', requireAuth, CaseController.triggerSheriffAnalysis);
+router.post('/:id/trigger-sheriff-analysis', requireAuth, authorize('analysis:run'), CaseController.triggerSheriffAnalysis);
 
 // POST /:id/create-court-package - Create comprehensive court referral package (ZIP)
-router.post('/:id/create-court-package', requireAuth, CaseController.createCourtPackage);
+router.post('/:id/create-court-package', requireAuth, authorize('court:file'), CaseController.createCourtPackage);
 
 // GET /:id/court-package - Get court package information
-router.get('/:id/court-package', requireAuth, CaseController.getCourtPackage);
+router.get('/:id/court-package', requireAuth, authorize('court:view'), CaseController.getCourtPackage);
 
 module.exports = router;
 
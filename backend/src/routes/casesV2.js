@@ -2,18 +2,22 @@
 const express = require('express');
 const router = express.Router();
 const CaseController = require('../controllers/CaseController');
+const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+
+router.use(authenticate);
 
 // Case CRUD operations
 router.get('/', CaseController.getCases);
 router.post('/', CaseController.createCase);
-router.get('/:id', CaseController.getCaseById);
-router.put('/:id', CaseController.updateCase);
+router.get('/:id', authorize('case:view'), CaseController.getCaseById);
+router.put('/:id', authorize('case:update'), CaseController.updateCase);
 
 // Case workflow operations
-router.post('/:id/progress', CaseController.progressCase);
-router.post('/:id/parties', CaseController.addParty);
+router.post('/:id/progress', authorize('workflow:manage'), CaseController.progressCase);
+router.post('/:id/parties', authorize('case:manage_parties'), CaseController.addParty);
 
 // Dashboard
 router.get('/dashboard/stats', CaseController.getDashboardStats);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
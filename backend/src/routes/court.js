@@ -3,10 +3,27 @@ const express = require('express');
 const CourtController = require('../controllers/CourtController');
 const { requireAuth } = require('../lib/authMiddleware');
 const validate = require('../middleware/validate');
+const { authorize, requireAdmin } = require('../middleware/authorize');
 const { body, param, query } = require('express-validator');
+const multer = require('multer');
 
 const router = express.Router();
 
+// Cause lists are small CSV/JSON files, parsed in memory
+const causeListUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowed = /\.(csv|json)$/i.test(file.originalname);
+    cb(allowed ? null : new Error('Cause lists must be .csv or .json files'), allowed);
+  }
+});
+
+const causeListOptional = (req, res, next) => causeListUpload.single('file')(req, res, (err) => {
+  if (err) return res.status(400).json({ success: false, error: err.message, code: 'invalid_cause_list' });
+  next();
+});
+
 // Apply authentication middleware to all routes
 router.use(requireAuth);
 
@@ -108,6 +125,59 @@ const filingHistoryValidation = [
     .withMessage('Limit must be between 1 and 100')
 ];
 
+const caseIdValidation = [
+  param('caseId')
+    .notEmpty()
+    .withMessage('Case ID is required')
+    .isUUID()
+    .withMessage('Invalid case ID format')
+];
+
+const hearingValidation = [
+  ...caseIdValidation,
+  body('date')
+    .isISO8601({ strict: true })
+    .withMessage('Hearing date must be YYYY-MM-DD'),
+  body('outcome')
+    .optional()
+    .isIn(['scheduled', 'adjourned', 'heard', 'reserved', 'disposed'])
+    .withMessage('Outcome must be scheduled, adjourned, heard, reserved, or disposed'),
+  body('nextDate')
+    .optional({ values: 'null' })
+    .isISO8601({ strict: true })
+    .withMessage('Next date must be YYYY-MM-DD'),
+  body('time')
+    .optional({ values: 'null' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Time must be HH:MM'),
+  body(['courtHall', 'itemNumber', 'judge', 'purpose', 'nextPurpose', 'order', 'reason'])
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Hearing details must be strings')
+];
+
+const causeListImportValidation = [
+  body('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+  body('content')
+    .optional()
+    .isString()
+    .withMessage('Content must be the cause list text')
+];
+
+const causeListSyncValidation = [
+  body('date')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Date must be YYYY-MM-DD'),
+  body('courtSystemId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid court system ID format')
+];
+
 const filingStatisticsValidation = [
   query('courtSystemId')
     .optional()
@@ -160,6 +230,32 @@ const cancelFilingValidation = [
     .withMessage('Reason must be a string')
 ];
 
+const resubmitFilingValidation = [
+  param('filingId')
+    .notEmpty()
+    .withMessage('Filing ID is required')
+    .isUUID()
+    .withMessage('Invalid filing ID format'),
+  body('changes')
+    .isArray({ min: 1 })
+    .withMessage('Changes must be a non-empty array'),
+  body('changes.*.action')
+    .isIn(['replace', 'add', 'remove', 'regenerate'])
+    .withMessage('Change action must be replace, add, remove, or regenerate'),
+  body('changes.*.documentId')
+    .optional()
+    .isString()
+    .withMessage('Document ID must be a string'),
+  body('changes.*.document')
+    .optional()
+    .isObject()
+    .withMessage('Document must be an object'),
+  body('note')
+    .optional()
+    .isString()
+    .withMessage('Note must be a string')
+];
+
 // Routes
 
 /**
@@ -221,7 +317,7 @@ const cancelFilingValidation = [
  *       500:
  *         description: Internal server error
  */
-router.post('/file', fileWithCourtValidation, validate, CourtController.fileCaseWithCourt);
+router.post('/file', fileWithCourtValidation, validate, authorize('court:file', { from: 'body', param: 'caseId' }), CourtController.fileCaseWithCourt);
 
 /**
  * @swagger
@@ -306,7 +402,7 @@ router.get('/systems/:courtSystemId', uuidValidation, validate, CourtController.
  *       500:
  *         description: Internal server error
  */
-router.get('/filings/:filingId/status', filingIdValidation, validate, CourtController.getFilingStatus);
+router.get('/filings/:filingId/status', filingIdValidation, validate, authorize('court:view', { resource: 'filing', param: 'filingId' }), CourtController.getFilingStatus);
 
 /**
  * @swagger
@@ -364,7 +460,7 @@ router.get('/filings/:filingId/status', filingIdValidation, validate, CourtContr
  *       500:
  *         description: Internal server error
  */
-router.put('/filings/:filingId/status', updateFilingStatusValidation, validate, CourtController.updateFilingStatus);
+router.put('/filings/:filingId/status', updateFilingStatusValidation, validate, requireAdmin, CourtController.updateFilingStatus);
 
 /**
  * @swagger
@@ -398,7 +494,219 @@ router.put('/filings/:filingId/status', updateFilingStatusValidation, validate,
  *       500:
  *         description: Internal server error
  */
-router.get('/cases/:caseId/filings', filingHistoryValidation, validate, CourtController.getCaseFilingHistory);
+router.get('/cases/:caseId/filings', filingHistoryValidation, validate, authorize('court:view'), CourtController.getCaseFilingHistory);
+
+/**
+ * @swagger
+ * /api/court/cases/{caseId}/forum:
+ *   get:
+ *     summary: Recommend the court or tribunal for a case
+ *     description: Picks a forum from the jurisdiction rule tables using the subject matter, pecuniary limits and the parties' and cause-of-action locations, and explains each step
+ *     tags: [Court Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: caseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Case ID
+ *     responses:
+ *       200:
+ *         description: Forum, territorial basis, alternatives, explanation, warnings and the itemized court fees from the forum's fee schedule
+ *       404:
+ *         description: Case not found
+ */
+router.get('/cases/:caseId/forum', caseIdValidation, validate, authorize('court:view'), CourtController.recommendForum);
+
+/**
+ * @swagger
+ * /api/court/cases/{caseId}/proceedings:
+ *   get:
+ *     summary: Court stage of a case after referral
+ *     description: The court proceeding (court case number, status, next date of hearing, last order), its hearings and a timeline from referral through filing, registry defects, registration, hearings and orders to disposal
+ *     tags: [Court Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: caseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Case ID
+ *     responses:
+ *       200:
+ *         description: Proceeding, next hearing, hearings and timeline stages
+ *       404:
+ *         description: The case has not been forwarded to court
+ */
+router.get('/cases/:caseId/proceedings', caseIdValidation, validate, authorize('court:view'), CourtController.getCourtProceedings);
+
+/**
+ * @swagger
+ * /api/court/cases/{caseId}/proceedings/calendar.ics:
+ *   get:
+ *     summary: Hearings of a case as an iCalendar feed
+ *     tags: [Court Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: caseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Case ID
+ *     responses:
+ *       200:
+ *         description: text/calendar feed; cancelled hearings are included as cancelled events
+ *       404:
+ *         description: The case has not been forwarded to court
+ */
+router.get('/cases/:caseId/proceedings/calendar.ics', caseIdValidation, validate, authorize('court:view'), CourtController.getHearingCalendar);
+
+/**
+ * @swagger
+ * /api/court/cases/{caseId}/proceedings/hearings:
+ *   post:
+ *     summary: Record a hearing, or what happened at it
+ *     description: Creates or updates the hearing on the date. A next date lists the next hearing; a disposal closes the proceeding and cancels later hearings. Parties are notified with a calendar invitation and reminded ahead of new dates.
+ *     tags: [Court Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: caseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Case ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *                 example: '10:30'
+ *               outcome:
+ *                 type: string
+ *                 enum: [scheduled, adjourned, heard, reserved, disposed]
+ *                 description: Defaults to adjourned with a next date, scheduled without
+ *               nextDate:
+ *                 type: string
+ *                 format: date
+ *               nextPurpose:
+ *                 type: string
+ *               courtHall:
+ *                 type: string
+ *               itemNumber:
+ *                 type: string
+ *               judge:
+ *                 type: string
+ *               purpose:
+ *                 type: string
+ *               order:
+ *                 type: string
+ *                 description: Summary of the order passed
+ *               reason:
+ *                 type: string
+ *                 description: Reason for an adjournment
+ *     responses:
+ *       201:
+ *         description: Hearing recorded; returns the proceeding, the hearing and the next hearing
+ *       400:
+ *         description: Invalid hearing
+ *       404:
+ *         description: The case has not been forwarded to court
+ *       409:
+ *         description: The court has already disposed of the case
+ */
+router.post('/cases/:caseId/proceedings/hearings', hearingValidation, validate, authorize('court:file'), CourtController.recordHearing);
+
+/**
+ * @swagger
+ * /api/court/cause-lists:
+ *   post:
+ *     summary: Import a court cause list (admin)
+ *     description: Entries are matched to forwarded cases by the court case number; each updates that case's hearings. Accepts a .csv or .json file upload, or the list as text in the JSON body.
+ *     tags: [Court Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json]
+ *                 default: csv
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Entries read, matched and recorded, unmatched case numbers and line errors
+ *       400:
+ *         description: No cause list, or not a readable cause list
+ */
+router.post('/cause-lists', requireAdmin, causeListOptional, causeListImportValidation, validate, CourtController.importCauseList);
+
+/**
+ * @swagger
+ * /api/court/cause-lists/sync:
+ *   post:
+ *     summary: Pull the day's cause list from a court connector (admin)
+ *     tags: [Court Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               courtSystemId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Court system whose connector to use; defaults to the configured e-filing connector
+ *     responses:
+ *       200:
+ *         description: Same summary as an import
+ *       400:
+ *         description: The connector does not publish cause lists
+ *       404:
+ *         description: Court system not found
+ */
+router.post('/cause-lists/sync', requireAdmin, causeListSyncValidation, validate, CourtController.syncCauseList);
 
 /**
  * @swagger
@@ -436,7 +744,91 @@ router.get('/cases/:caseId/filings', filingHistoryValidation, validate, CourtCon
  *       500:
  *         description: Internal server error
  */
-router.post('/filings/:filingId/cancel', cancelFilingValidation, validate, CourtController.cancelFiling);
+router.post('/filings/:filingId/cancel', cancelFilingValidation, validate, authorize('court:file', { resource: 'filing', param: 'filingId' }), CourtController.cancelFiling);
+
+/**
+ * @swagger
+ * /api/court/filings/{filingId}/defects:
+ *   get:
+ *     summary: Defects the registry found in a filing, with the filing's defect history
+ *     tags: [Court Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: filingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filing ID
+ *     responses:
+ *       200:
+ *         description: Open defects, every defect round with its cure and verdict, and the linked filings
+ *       404:
+ *         description: Filing not found
+ */
+router.get('/filings/:filingId/defects', filingIdValidation, validate, authorize('court:view', { resource: 'filing', param: 'filingId' }), CourtController.getFilingDefects);
+
+/**
+ * @swagger
+ * /api/court/filings/{filingId}/resubmit:
+ *   post:
+ *     summary: Cure a defective filing's package and re-file it as a linked resubmission
+ *     tags: [Court Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: filingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID of the defective filing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - changes
+ *             properties:
+ *               changes:
+ *                 type: array
+ *                 description: Package changes, applied in order
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - action
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                       enum: [replace, add, remove, regenerate]
+ *                       description: regenerate re-renders the document with page numbers
+ *                     documentId:
+ *                       type: string
+ *                       description: Document of the filing to replace, remove or regenerate
+ *                     document:
+ *                       type: object
+ *                       description: Stored replacement or added document (documentId, filename, documentType, paginated)
+ *               note:
+ *                 type: string
+ *                 description: Note for the defect history
+ *     responses:
+ *       202:
+ *         description: Resubmission queued
+ *       400:
+ *         description: Invalid changes
+ *       404:
+ *         description: Filing not found
+ *       409:
+ *         description: Filing is not defective
+ *       422:
+ *         description: A document is not in the filing or not in document storage
+ */
+router.post('/filings/:filingId/resubmit', resubmitFilingValidation, validate, authorize('court:file', { resource: 'filing', param: 'filingId' }), CourtController.resubmitFiling);
 
 /**
  * @swagger
@@ -500,7 +892,7 @@ router.get('/systems/:courtSystemId/filings/:filingType/requirements', requiredD
  *       500:
  *         description: Internal server error
  */
-router.get('/filings/:filingId/download', filingIdValidation, validate, CourtController.downloadFilingPackage);
+router.get('/filings/:filingId/download', filingIdValidation, validate, authorize('court:view', { resource: 'filing', param: 'filingId' }), CourtController.downloadFilingPackage);
 
 /**
  * @swagger
@@ -3,46 +3,77 @@ const express = require('express');
 const router = express.Router();
 const DisputeController = require('../controllers/DisputeController');
 const { authenticate } = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const multer = require('multer');
+const os = require('os');
+const path = require('path');
+
+// Payment receipts: images or PDFs, uploaded to storage by SettlementPaymentService
+const receiptUpload = multer({
+  dest: path.join(os.tmpdir(), 'payment-receipts'),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowed = /^(application\/pdf|image\/(jpeg|png|webp))$/.test(file.mimetype);
+    cb(allowed ? null : new Error('Receipts must be PDF, JPG, PNG or WEBP files'), allowed);
+  }
+});
+
+const receiptOptional = (req, res, next) => receiptUpload.single('receipt')(req, res, (err) => {
+  if (err) return res.status(400).json({ success: false, error: err.message, code: 'invalid_receipt' });
+  next();
+});
 
 // All routes require authentication
 router.use(authenticate);
 
 // Workflow management
-router.post('/:caseId/workflow/initialize', DisputeController.initializeWorkflow);
-router.get('/:caseId/workflow', DisputeController.getWorkflow);
-router.get('/:caseId/workflow/statistics', DisputeController.getWorkflowStatistics);
+router.get('/workflow-definitions', DisputeController.listWorkflowDefinitions);
+router.post('/:caseId/workflow/initialize', authorize('workflow:manage'), DisputeController.initializeWorkflow);
+router.get('/:caseId/workflow', authorize('case:view'), DisputeController.getWorkflow);
+router.get('/:caseId/workflow/statistics', authorize('case:view'), DisputeController.getWorkflowStatistics);
+router.post('/:caseId/workflow/mediation', authorize('workflow:mediate'), DisputeController.recordMediationOutcome);
 
 // Party invitation
-router.post('/:caseId/invite-respondent', DisputeController.inviteRespondent);
+router.post('/:caseId/invite-respondent', authorize('case:manage_parties'), DisputeController.inviteRespondent);
 
 // Statement management
-router.post('/:caseId/statements', DisputeController.submitStatement);
-router.post('/:caseId/statements/finalize', DisputeController.finalizeStatement);
-router.get('/:caseId/statements', DisputeController.getStatements);
-router.get('/:caseId/statements/status', DisputeController.getStatementStatus);
+router.post('/:caseId/statements', authorize('statement:submit'), DisputeController.submitStatement);
+router.post('/:caseId/statements/finalize', authorize('statement:submit'), DisputeController.finalizeStatement);
+router.get('/:caseId/statements', authorize('statement:view'), DisputeController.getStatements);
+router.get('/:caseId/statements/status', authorize('statement:view'), DisputeController.getStatementStatus);
 
 // AI analysis and settlement options
-router.post('/:caseId/analyze', DisputeController.generateSettlementOptions);
-router.post('/:caseId/ai-options', DisputeController.generateAIOptions);
-router.get('/:caseId/settlement-options', DisputeController.getSettlementOptions);
+router.post('/:caseId/analyze', authorize('analysis:run'), DisputeController.generateSettlementOptions);
+router.post('/:caseId/ai-options', authorize('analysis:run'), DisputeController.generateAIOptions);
+router.get('/:caseId/settlement-options', authorize('settlement:view'), DisputeController.getSettlementOptions);
 
 // Consensus and selection
-router.post('/:caseId/select-option', DisputeController.selectOption);
-router.get('/:caseId/consensus-status', DisputeController.getConsensusStatus);
+router.post('/:caseId/select-option', authorize('settlement:respond'), DisputeController.selectOption);
+router.get('/:caseId/consensus-status', authorize('settlement:view'), DisputeController.getConsensusStatus);
+router.put('/:caseId/consensus-rule', authorize('workflow:mediate'), DisputeController.setConsensusRule);
+router.put('/:caseId/option-preferences', authorize('settlement:respond'), DisputeController.submitOptionPreferences);
+router.get('/:caseId/option-preferences', authorize('settlement:view'), DisputeController.getOptionPreferences);
+
+// Installment payment plans
+router.post('/:caseId/payment-plan', authorize('settlement:propose'), DisputeController.createPaymentPlan);
+router.post('/:caseId/payment-plan/accept', authorize('settlement:respond'), DisputeController.acceptPaymentPlan);
+router.get('/:caseId/payment-plan', authorize('settlement:view'), DisputeController.getPaymentPlan);
+router.post('/:caseId/payment-plan/payments', authorize('settlement:respond'), receiptOptional, DisputeController.recordPayment);
+router.get('/:caseId/payment-plan/payments/:paymentId/receipt', authorize('settlement:view'), DisputeController.getPaymentReceipt);
 
 // E-Signature
-router.post('/:caseId/request-signature', DisputeController.requestSignature);
-router.post('/signatures/:signatureId/verify', DisputeController.verifySignature);
-router.post('/signatures/:signatureId/resend-otp', DisputeController.resendOTP);
-router.get('/:caseId/signature-status', DisputeController.getSignatureStatus);
+router.post('/:caseId/request-signature', authorize('settlement:propose'), DisputeController.requestSignature);
+router.post('/signatures/:signatureId/verify', authorize('settlement:sign', { resource: 'signature', param: 'signatureId' }), DisputeController.verifySignature);
+router.post('/signatures/:signatureId/resend-otp', authorize('settlement:sign', { resource: 'signature', param: 'signatureId' }), DisputeController.resendOTP);
+router.get('/:caseId/signature-status', authorize('settlement:view'), DisputeController.getSignatureStatus);
 
 // Court forwarding
-router.post('/:caseId/forward-to-court', DisputeController.forwardToCourt);
-router.post('/:caseId/auto-forward-to-court', DisputeController.autoForwardToCourt);
+router.post('/:caseId/forward-to-court', authorize('court:file'), DisputeController.forwardToCourt);
+router.post('/:caseId/auto-forward-to-court', authorize('court:file'), DisputeController.autoForwardToCourt);
 
 // Evidence analysis
-router.post('/:caseId/evidence/:documentId/analyze', DisputeController.analyzeEvidence);
-router.get('/:caseId/evidence/analysis', DisputeController.getCaseEvidenceAnalysis);
-router.post('/:caseId/evidence/analyze-all', DisputeController.analyzeAllEvidence);
+router.post('/:caseId/evidence/:documentId/analyze', authorize('analysis:run'), DisputeController.analyzeEvidence);
+router.get('/:caseId/evidence/analysis', authorize('analysis:view'), DisputeController.getCaseEvidenceAnalysis);
+router.post('/:caseId/evidence/analyze-all', authorize('analysis:run'), DisputeController.analyzeAllEvidence);
 
 module.exports = router;
@@ -3,43 +3,52 @@ const express = require('express');
 const router = express.Router();
 const DocumentResolutionController = require('../controllers/DocumentResolutionController');
 const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
 
 // Apply authentication to all routes
 router.use(requireAuth);
 
 // Settlement Agreement Routes
-router.post('/cases/:caseId/settlement/generate', 
+router.post('/cases/:caseId/settlement/generate',
+  authorize('document:generate'),
   DocumentResolutionController.generateSettlementAgreement
 );
 
 // Document Signing Routes
-router.post('/documents/:documentId/sign', 
+router.post('/documents/:documentId/sign',
+  authorize('settlement:sign', { resource: 'case_document', param: 'documentId' }),
   DocumentResolutionController.signDocument
 );
 
-router.get('/documents/:documentId/verify-signature', 
+router.get('/documents/:documentId/verify-signature',
+  authorize('document:view', { resource: 'case_document', param: 'documentId' }),
   DocumentResolutionController.verifySignature
 );
 
-router.post('/documents/:documentId/reminder', 
+router.post('/documents/:documentId/reminder',
+  authorize('settlement:propose', { resource: 'case_document', param: 'documentId' }),
   DocumentResolutionController.sendSignatureReminder
 );
 
 // Case Resolution Routes
-router.post('/cases/:caseId/close/settlement', 
+router.post('/cases/:caseId/close/settlement',
+  authorize('case:close'),
   DocumentResolutionController.closeCaseWithSettlement
 );
 
-router.post('/cases/:caseId/refer-to-court', 
+router.post('/cases/:caseId/refer-to-court',
+  authorize('court:file'),
   DocumentResolutionController.referToCourtRoute
 );
 
-router.post('/cases/:caseId/withdraw', 
+router.post('/cases/:caseId/withdraw',
+  authorize('case:withdraw'),
   DocumentResolutionController.withdrawCase
 );
 
 // Document Generation Routes
-router.post('/cases/:caseId/summary/generate', 
+router.post('/cases/:caseId/summary/generate',
+  authorize('document:generate'),
   DocumentResolutionController.generateCaseSummary
 );
 
@@ -3,6 +3,8 @@ const express = require('express');
 const DocumentController = require('../controllers/DocumentController');
 const { requireAuth } = require('../lib/authMiddleware');
 const validate = require('../middleware/validate');
+const authorize = require('../middleware/authorize');
+const SearchIndexService = require('../services/SearchIndexService');
 const { body, param, query } = require('express-validator');
 
 const router = express.Router();
@@ -163,13 +165,13 @@ const documentIdValidation = [
  *       500:
  *         description: Internal server error
  */
-router.post('/generate', generateDocumentValidation, validate, DocumentController.generateDocument);
+router.post('/generate', generateDocumentValidation, validate, authorize('document:generate', { from: 'body', param: 'caseId' }), DocumentController.generateDocument);
 
 /**
  * POST /api/documents/upload
  * Accept a file upload and create a generated_documents record that can be used for court filings
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', upload.single('file'), authorize('document:generate', { from: 'body', param: 'caseId' }), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ success: false, error: 'No file uploaded' });
 
@@ -191,12 +193,12 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     const fileSize = req.file.size || 0;
 
     const payload = {
-      case_id: req.body.caseId || null,
+      case_id: req.caseAccess.caseId,
       title: path.parse(sanitized).name,
       file_path: destPath,
       file_format: fileFormat,
       file_size: fileSize,
-      generated_by: req.user?.id || null,
+      generated_by: req.user.sub,
       generated_at: new Date().toISOString(),
       metadata: { uploaded: true }
     };
@@ -206,6 +208,7 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       console.error('generated_documents insert error', error);
       return res.status(500).json({ success: false, error: 'Failed to save generated document' });
     }
+    await SearchIndexService.index('generated_document', data);
 
     res.status(201).json({ success: true, documentId: data.id, data });
   } catch (err) {
@@ -304,7 +307,7 @@ router.get('/templates/:templateId', uuidValidation, validate, DocumentControlle
  *       500:
  *         description: Internal server error
  */
-router.get('/case/:caseId/history', documentHistoryValidation, validate, DocumentController.getDocumentHistory);
+router.get('/case/:caseId/history', documentHistoryValidation, validate, authorize('document:view'), DocumentController.getDocumentHistory);
 
 /**
  * @swagger
@@ -330,7 +333,7 @@ router.get('/case/:caseId/history', documentHistoryValidation, validate, Documen
  *       500:
  *         description: Internal server error
  */
-router.get('/:documentId', documentIdValidation, validate, DocumentController.getDocument);
+router.get('/:documentId', documentIdValidation, validate, authorize('document:view', { resource: 'document', param: 'documentId' }), DocumentController.getDocument);
 
 /**
  * @swagger
@@ -368,7 +371,7 @@ router.get('/:documentId', documentIdValidation, validate, DocumentController.ge
  *       500:
  *         description: Internal server error
  */
-router.get('/:documentId/download', documentIdValidation, validate, DocumentController.downloadDocument);
+router.get('/:documentId/download', documentIdValidation, validate, authorize('document:view', { resource: 'document', param: 'documentId' }), DocumentController.downloadDocument);
 
 /**
  * @swagger
@@ -398,7 +401,7 @@ router.get('/:documentId/download', documentIdValidation, validate, DocumentCont
  *       500:
  *         description: Internal server error
  */
-router.get('/:documentId/preview', documentIdValidation, validate, DocumentController.previewDocument);
+router.get('/:documentId/preview', documentIdValidation, validate, authorize('document:view', { resource: 'document', param: 'documentId' }), DocumentController.previewDocument);
 
 /**
  * @swagger
@@ -442,7 +445,7 @@ router.get('/:documentId/preview', documentIdValidation, validate, DocumentContr
  *       500:
  *         description: Internal server error
  */
-router.post('/:documentId/regenerate', regenerateDocumentValidation, validate, DocumentController.regenerateDocument);
+router.post('/:documentId/regenerate', regenerateDocumentValidation, validate, authorize('document:generate', { resource: 'document', param: 'documentId' }), DocumentController.regenerateDocument);
 
 /**
  * @swagger
@@ -470,7 +473,7 @@ router.post('/:documentId/regenerate', regenerateDocumentValidation, validate, D
  *       500:
  *         description: Internal server error
  */
-router.delete('/:documentId', documentIdValidation, validate, DocumentController.deleteDocument);
+router.delete('/:documentId', documentIdValidation, validate, authorize('document:delete', { resource: 'document', param: 'documentId' }), DocumentController.deleteDocument);
 
 /**
  * @swagger
@@ -5,6 +5,7 @@ const express = require('express');
 const EnhancedCourtController = require('../controllers/EnhancedCourtController');
 const { requireAuth } = require('../lib/authMiddleware');
 const validate = require('../middleware/validate');
+const { authorize, requireAdmin } = require('../middleware/authorize');
 const { body, param, query } = require('express-validator');
 
 const router = express.Router();
@@ -389,7 +390,7 @@ router.get('/systems', courtSystemsValidation, validate, courtController.getCour
  *       500:
  *         description: Filing failed
  */
-router.post('/file', fileWithCourtValidation, validate, courtController.fileWithCourt.bind(courtController));
+router.post('/file', fileWithCourtValidation, validate, authorize('court:file', { from: 'body', param: 'caseId' }), courtController.fileWithCourt.bind(courtController));
 
 /**
  * @swagger
@@ -439,7 +440,7 @@ router.post('/file', fileWithCourtValidation, validate, courtController.fileWith
  *       404:
  *         description: Filing not found
  */
-router.get('/filings/:filingId/status', filingIdValidation, validate, courtController.checkFilingStatus.bind(courtController));
+router.get('/filings/:filingId/status', filingIdValidation, validate, authorize('court:view', { resource: 'filing', param: 'filingId' }), courtController.checkFilingStatus.bind(courtController));
 
 /**
  * @swagger
@@ -521,7 +522,7 @@ router.get('/filings/:filingId/status', filingIdValidation, validate, courtContr
  *       404:
  *         description: Case not found
  */
-router.get('/cases/:caseId/filings', caseFilingsValidation, validate, courtController.getCaseFilings.bind(courtController));
+router.get('/cases/:caseId/filings', caseFilingsValidation, validate, authorize('court:view'), courtController.getCaseFilings.bind(courtController));
 
 /**
  * @swagger
@@ -566,7 +567,7 @@ router.get('/cases/:caseId/filings', caseFilingsValidation, validate, courtContr
  *                       type: string
  *                       format: date-time
  */
-router.post('/refresh-statuses', courtController.refreshAllFilingStatuses.bind(courtController));
+router.post('/refresh-statuses', requireAdmin, courtController.refreshAllFilingStatuses.bind(courtController));
 
 /**
  * @swagger
@@ -642,6 +643,7 @@ router.get('/status/:filingId',
     .notEmpty()
     .withMessage('Filing ID is required'),
   validate,
+  authorize('court:view', { resource: 'filing', param: 'filingId' }),
   courtController.checkFilingStatus.bind(courtController)
 );
 
@@ -656,6 +658,7 @@ router.put('/status/:filingId',
     .isIn(['pending', 'submitted', 'processed', 'failed', 'cancelled'])
     .withMessage('Invalid status value'),
   validate,
+  requireAdmin,
   courtController.updateFilingStatus.bind(courtController)
 );
 
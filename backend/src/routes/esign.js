@@ -1,10 +1,13 @@
 // backend/src/routes/esign.js
+// DocuSign envelopes, for parties who sign outside the platform. Signatures
+// made on the platform are embedded by DocumentSigningService (routes/signing.js).
 const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const path = require('path');
-const supabase = require('../lib/supabaseClient');
+const { supabase } = require('../lib/supabaseClient');
 const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
 const docusign = require('docusign-esign');
 const fetch = require('node-fetch');
 
@@ -42,7 +45,7 @@ async function downloadSettlementFile(filePath) {
 
 // POST /api/cases/:id/esign/send
 // body: { settlement_id }  -- sends envelope to case parties (uses contact_email in case_parties)
-router.post('/:id/esign/send', requireAuth, async (req, res) => {
+router.post('/:id/esign/send', requireAuth, authorize('settlement:propose'), async (req, res) => {
   const caseId = req.params.id;
   const { settlement_id } = req.body;
   if (!settlement_id) return res.status(400).json({ error: 'missing settlement_id' });
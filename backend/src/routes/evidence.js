@@ -5,7 +5,11 @@ const multer = require('multer');
 const path = require('path');
 const { exec } = require('child_process');
 const fs = require('fs');
-const supabase = require('../lib/supabaseClient');
+const { supabase } = require('../lib/supabaseClient');
+const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
+const EvidenceCustodyService = require('../services/EvidenceCustodyService');
+const { CUSTODY_EVENTS, EvidenceIntegrityError } = EvidenceCustodyService;
 
 // Configure multer
 const upload = multer({
@@ -49,8 +53,9 @@ function scanFile(filePath) {
 }
 
 // Upload evidence: POST /api/evidence/upload
-// body: form-data with 'file' and optional 'case_id' and 'uploader_id'
-router.post('/upload', upload.single('file'), async (req, res, next) => {
+// body: form-data with 'file' and 'case_id'; the uploader is the authenticated
+// user, who must be allowed to add evidence to that case
+router.post('/upload', requireAuth, upload.single('file'), authorize('evidence:upload', { from: 'body', param: 'case_id' }), async (req, res, next) => {
   try {
     if (!req.file) return res.status(400).json({ success: false, error: 'No file uploaded' });
 
@@ -74,8 +79,10 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
     // upload to Supabase storage if configured
     const bucket = process.env.SUPABASE_BUCKET || 'evidence';
     const storagePath = `uploads/${Date.now()}_${sanitized}`;
+    // digest of the bytes as received; every later read is checked against it
+    const fileBuffer = fs.readFileSync(destPath);
+    const sha256 = EvidenceCustodyService.digest(fileBuffer);
     try {
-      const fileBuffer = fs.readFileSync(destPath);
       const { data, error } = await supabase.storage.from(bucket).upload(storagePath, fileBuffer, {
         contentType: req.file.mimetype,
         upsert: false,
@@ -91,10 +98,10 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
     }
 
     // create evidence DB row
-    const caseId = req.body.case_id || null;
-    const uploaderId = req.body.uploader_id || null;
+    const caseId = req.caseAccess.caseId;
+    const uploaderId = req.user.sub;
     try {
-      const insertPayload = { case_id: caseId, file_path: storagePath, metadata: { original_name: originalName, mime: req.file.mimetype }, uploader_id: uploaderId };
+      const insertPayload = { case_id: caseId, file_path: storagePath, sha256, size_bytes: fileBuffer.length, metadata: { original_name: originalName, mime: req.file.mimetype }, uploader_id: uploaderId };
       const { data: evData, error: evErr } = await supabase.from('evidence').insert([insertPayload]).select().single();
       if (evErr) {
         console.warn('evidence insert error', JSON.stringify(evErr));
@@ -103,13 +110,21 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
       }
       const evidenceId = evData && evData.id ? evData.id : null;
 
+      if (evidenceId) {
+        await EvidenceCustodyService.recordUpload(
+          { id: evidenceId, case_id: caseId, file_path: storagePath },
+          { sha256, size: fileBuffer.length, fileName: originalName, mimeType: req.file.mimetype },
+          EvidenceCustodyService.requestContext(req)
+        );
+      }
+
       // enqueue processing
   if (evidenceId) enqueueEvidence(evidenceId);
 
   // remove local file now that it's uploaded
   try { fs.unlinkSync(destPath); } catch (e) {}
 
-  return res.status(201).json({ success: true, evidenceId, storagePath, publicUrl });
+  return res.status(201).json({ success: true, evidenceId, storagePath, publicUrl, sha256 });
     } catch (e) {
       console.error('failed to create evidence row', e);
       return res.status(500).json({ success: false, error: 'failed to save evidence record' });
@@ -121,7 +136,7 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
 });
 
 // Process existing evidence by id: POST /api/evidence/:id/process (keeps backward compat)
-router.post('/:id/process', async (req, res) => {
+router.post('/:id/process', requireAuth, authorize('evidence:process', { resource: 'evidence' }), async (req, res) => {
   const id = req.params.id;
   try {
     const result = await processEvidence(id);
@@ -132,4 +147,32 @@ router.post('/:id/process', async (req, res) => {
   }
 });
 
+// Chain-of-custody report: GET /api/evidence/:id/custody
+// ?verify=true also re-hashes the stored file against the upload digest
+router.get('/:id/custody', requireAuth, authorize('evidence:view', { resource: 'evidence' }), async (req, res) => {
+  try {
+    const { data: ev, error } = await supabase.from('evidence').select('*').eq('id', req.params.id).single();
+    if (error || !ev) return res.status(404).json({ error: 'evidence not found' });
+
+    const context = EvidenceCustodyService.requestContext(req);
+    let buffer = null;
+    if (req.query.verify === 'true') {
+      buffer = await EvidenceCustodyService.readFile(ev);
+      // a mismatch is recorded and shows in the report as integrity 'mismatch'
+      try {
+        await EvidenceCustodyService.verifyAccess(ev, buffer, CUSTODY_EVENTS.VIEWED, context, { view: 'custody_report' });
+      } catch (e) {
+        if (!(e instanceof EvidenceIntegrityError)) throw e;
+      }
+    } else {
+      await EvidenceCustodyService.record(ev, CUSTODY_EVENTS.VIEWED, { ...context, details: { view: 'custody_report' } });
+    }
+    const report = await EvidenceCustodyService.custodyReport(ev, { buffer });
+    return res.json({ report });
+  } catch (err) {
+    console.error('custody report error', err);
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+});
+
 module.exports = router;
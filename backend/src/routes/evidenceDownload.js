@@ -1,9 +1,12 @@
 // backend/src/routes/evidenceDownload.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
+const { supabase } = require('../lib/supabaseClient');
 const path = require('path');
 const jwt = require('jsonwebtoken');
+const { verifyToken: verifySignedToken } = require('./evidenceSigned');
+const EvidenceCustodyService = require('../services/EvidenceCustodyService');
+const { CUSTODY_EVENTS, EvidenceIntegrityError } = EvidenceCustodyService;
 
 const SECRET = process.env.DOWNLOAD_TOKEN_SECRET || 'dev-secret';
 // allowDirect: if true, skip token requirement (not recommended for production)
@@ -18,17 +21,23 @@ router.get('/:id/download', async (req, res) => {
     return res.status(401).json({ error: 'token required' });
   }
 
+  let tokenPayload = null;
   if (token) {
-    try {
-      const payload = jwt.verify(String(token), SECRET);
-      // accept either claim name 'eid' or 'evidence_id'
-      const tokenEid = payload && (payload.eid || payload.evidence_id || payload.eid?.toString());
-      if (!tokenEid || String(tokenEid) !== String(evidenceId)) {
-        return res.status(403).json({ error: 'invalid token for this evidence' });
+    // tokens issued by POST /:id/signed, or JWTs signed with the same secret
+    const signed = verifySignedToken(String(token));
+    if (signed.ok) {
+      tokenPayload = signed.payload;
+    } else {
+      try {
+        tokenPayload = jwt.verify(String(token), SECRET);
+      } catch (e) {
+        return res.status(401).json({ error: 'token invalid or expired', reason: signed.reason === 'expired' ? 'expired' : e.message });
       }
-      // token ok -> continue
-    } catch (e) {
-      return res.status(401).json({ error: 'token invalid or expired', reason: e.message });
+    }
+    // accept either claim name 'eid' or 'evidence_id'
+    const tokenEid = tokenPayload && (tokenPayload.eid || tokenPayload.evidence_id);
+    if (!tokenEid || String(tokenEid) !== String(evidenceId)) {
+      return res.status(403).json({ error: 'invalid token for this evidence' });
     }
   }
 
@@ -36,7 +45,7 @@ router.get('/:id/download', async (req, res) => {
     // fetch evidence row
     const { data: ev, error: evErr } = await supabase
       .from('evidence')
-      .select('id, file_path, metadata')
+      .select('id, case_id, file_path, sha256, metadata')
       .eq('id', evidenceId)
       .single();
 
@@ -44,38 +53,36 @@ router.get('/:id/download', async (req, res) => {
       return res.status(404).json({ error: 'evidence not found' });
     }
 
-    const bucket = process.env.SUPABASE_BUCKET || 'evidence';
     const filePath = ev.file_path;
     if (!filePath) return res.status(404).json({ error: 'no file_path for evidence' });
 
-    // download from storage
-    const { data, error: dlErr } = await supabase.storage.from(bucket).download(filePath);
-    if (dlErr || !data) {
-      console.error('storage download error', dlErr);
+    // download from storage; the whole file is read so it can be hashed
+    let buffer;
+    try {
+      buffer = await EvidenceCustodyService.readFile(ev);
+    } catch (dlErr) {
+      console.error('storage download error', dlErr.message);
       return res.status(404).json({ error: 'file not found in storage' });
     }
 
+    // refuse a file that no longer matches the digest taken at upload
+    const context = EvidenceCustodyService.requestContext(req, tokenPayload && (tokenPayload.issued_by || tokenPayload.sub));
+    try {
+      await EvidenceCustodyService.verifyAccess(ev, buffer, CUSTODY_EVENTS.DOWNLOADED, context);
+    } catch (e) {
+      if (!(e instanceof EvidenceIntegrityError)) throw e;
+      return res.status(409).json({ error: 'evidence integrity check failed', code: e.code });
+    }
+
     const contentType = (ev.metadata && ev.metadata.mime) || 'application/octet-stream';
     const originalName = (ev.metadata && ev.metadata.original_name) || path.basename(filePath);
 
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${originalName.replace(/"/g, '')}"`);
     res.setHeader('Cache-Control', 'no-store');
-
-    // data may support arrayBuffer() (fetch-like) or be a Node stream with pipe()
-    if (typeof data.arrayBuffer === 'function') {
-      const buffer = Buffer.from(await data.arrayBuffer());
-      res.setHeader('Content-Length', buffer.length);
-      return res.end(buffer);
-    } else if (typeof data.pipe === 'function') {
-      // Node stream: pipe directly to response
-      return data.pipe(res);
-    } else {
-      // fallback: try arrayBuffer again (most cases should be handled above)
-      const buffer = Buffer.from(await data.arrayBuffer());
-      res.setHeader('Content-Length', buffer.length);
-      return res.end(buffer);
-    }
+    res.setHeader('Content-Length', buffer.length);
+    if (ev.sha256) res.setHeader('Digest', `sha-256=${Buffer.from(ev.sha256, 'hex').toString('base64')}`);
+    return res.end(buffer);
   } catch (e) {
     console.error('evidence download failed', e);
     return res.status(500).json({ error: e.message || 'internal error' });
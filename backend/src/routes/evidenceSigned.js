@@ -1,9 +1,11 @@
 // backend/src/routes/evidenceSigned.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
 const crypto = require('crypto');
 const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
+const { supabase } = require('../lib/supabaseClient');
+const EvidenceCustodyService = require('../services/EvidenceCustodyService');
 
 const SECRET = process.env.DOWNLOAD_TOKEN_SECRET;
 const DEFAULT_EXP = Number(process.env.DOWNLOAD_TOKEN_EXP_SECONDS || '300');
@@ -39,43 +41,12 @@ function verifyToken(token) {
 
 // POST /api/evidence/:id/signed
 // requires Authorization: Bearer <auth-jwt>
-// only allows token issuance if the requesting user is uploader or case party
-router.post('/:id/signed', requireAuth, async (req, res) => {
+// only allows token issuance to users who may view the evidence's case
+router.post('/:id/signed', requireAuth, authorize('evidence:view', { resource: 'evidence' }), async (req, res) => {
   const evidenceId = req.params.id;
   const authUserId = req.user && req.user.sub;
 
   try {
-    // fetch evidence record
-    const { data: ev, error: evErr } = await supabase
-      .from('evidence')
-      .select('id, file_path, metadata, uploader_id, case_id')
-      .eq('id', evidenceId)
-      .single();
-
-    if (evErr || !ev) {
-      return res.status(404).json({ error: 'evidence not found' });
-    }
-
-    // check if authUserId === uploader_id
-    if (ev.uploader_id === authUserId) {
-      // allowed
-    } else {
-      // otherwise check case_parties table for membership
-      const { data: parties, error: pErr } = await supabase
-        .from('case_parties')
-        .select('user_id, role')
-        .eq('case_id', ev.case_id);
-
-      if (pErr) {
-        console.warn('case_parties lookup failed', pErr);
-      }
-
-      const isParty = Array.isArray(parties) && parties.some(p => p.user_id === authUserId);
-      if (!isParty) {
-        return res.status(403).json({ error: 'forbidden: not uploader or case participant' });
-      }
-    }
-
     const now = Date.now();
     const exp = now + (Number(process.env.DOWNLOAD_TOKEN_EXP_SECONDS || DEFAULT_EXP) * 1000);
     const payload = {
@@ -86,7 +57,16 @@ router.post('/:id/signed', requireAuth, async (req, res) => {
     };
 
     const token = createToken(payload);
-    return res.json({ token, expires_at: new Date(exp).toISOString() });
+
+    const { data: ev } = await supabase.from('evidence').select('id, case_id, sha256').eq('id', evidenceId).single();
+    if (ev) {
+      await EvidenceCustodyService.record(ev, EvidenceCustodyService.CUSTODY_EVENTS.DOWNLOAD_AUTHORIZED, {
+        ...EvidenceCustodyService.requestContext(req),
+        details: { expiresAt: new Date(exp).toISOString() }
+      });
+    }
+    // sha256 lets the client check the file it downloads
+    return res.json({ token, expires_at: new Date(exp).toISOString(), sha256: ev ? ev.sha256 || null : null });
   } catch (e) {
     console.error('signed token err', e);
     return res.status(500).json({ error: e.message || 'internal error' });
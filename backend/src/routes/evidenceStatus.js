@@ -1,10 +1,13 @@
 // backend/src/routes/evidenceStatus.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
+const { supabase } = require('../lib/supabaseClient');
+const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
+const EvidenceCustodyService = require('../services/EvidenceCustodyService');
 
 // GET /api/evidence/:id/status
-router.get('/:id/status', async (req, res) => {
+router.get('/:id/status', requireAuth, authorize('evidence:view', { resource: 'evidence' }), async (req, res) => {
   const evidenceId = req.params.id;
   try {
     const { data, error } = await supabase
@@ -15,6 +18,11 @@ router.get('/:id/status', async (req, res) => {
 
     if (error) return res.status(500).json({ error });
 
+    await EvidenceCustodyService.record(data, EvidenceCustodyService.CUSTODY_EVENTS.VIEWED, {
+      ...EvidenceCustodyService.requestContext(req),
+      details: { view: 'status' }
+    });
+
     // build minimal status object
     const status = {
       id: data.id,
@@ -2,13 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../lib/supabaseClient');
+const AuditLogService = require('../services/AuditLogService');
 
 router.get('/', async (req, res) => {
+  const auditLog = AuditLogService.status();
   try {
     const dbStatus = await (supabase.health ? supabase.health() : { ok: false, error: 'no_health_fn' });
-    return res.status(200).json({ ok: true, service: 'AI Dispute Resolver backend', time: new Date().toISOString(), db: dbStatus });
+    return res.status(200).json({ ok: true, service: 'AI Dispute Resolver backend', time: new Date().toISOString(), db: dbStatus, auditLog });
   } catch (e) {
-    return res.status(200).json({ ok: true, service: 'AI Dispute Resolver backend', time: new Date().toISOString(), db: { ok: false, error: e && e.message ? e.message : e } });
+    return res.status(200).json({ ok: true, service: 'AI Dispute Resolver backend', time: new Date().toISOString(), db: { ok: false, error: e && e.message ? e.message : e }, auditLog });
   }
 });
 
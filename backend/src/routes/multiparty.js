@@ -5,6 +5,7 @@ const MultiPartyController = require('../controllers/MultiPartyController');
 const { requireAuth } = require('../lib/authMiddleware');
 const { body, param } = require('express-validator');
 const validate = require('../middleware/validate');
+const { authorize, requireAdmin } = require('../middleware/authorize');
 
 // Apply authentication middleware to all routes
 router.use(requireAuth);
@@ -29,7 +30,7 @@ const invitationValidation = [
     .withMessage('Invitee name must be 2-100 characters'),
   body('party_role')
     .optional()
-    .isIn(['claimant', 'respondent', 'mediator', 'witness', 'expert'])
+    .isIn(['claimant', 'respondent', 'co_claimant', 'co_respondent', 'insurer', 'guarantor', 'mediator', 'witness', 'expert'])
     .withMessage('Invalid party role'),
   body('invitation_message')
     .optional()
@@ -176,6 +177,7 @@ const signDocumentValidation = [
 router.post('/invitations',
   invitationValidation,
   validate,
+  authorize('case:manage_parties', { from: 'body', param: 'case_id' }),
   MultiPartyController.createInvitation);
 
 /**
@@ -274,6 +276,7 @@ router.post('/invitations/:token/decline',
 router.get('/cases/:caseId/invitations',
   caseIdValidation,
   validate,
+  authorize('case:view'),
   MultiPartyController.getCaseInvitations);
 
 /**
@@ -295,6 +298,7 @@ router.get('/cases/:caseId/invitations',
  *         description: Invitation resent successfully
  */
 router.post('/invitations/:invitationId/resend',
+  authorize('case:manage_parties', { resource: 'invitation', param: 'invitationId' }),
   MultiPartyController.resendInvitation);
 
 /**
@@ -316,6 +320,7 @@ router.post('/invitations/:invitationId/resend',
  *         description: Invitation cancelled successfully
  */
 router.delete('/invitations/:invitationId',
+  authorize('case:manage_parties', { resource: 'invitation', param: 'invitationId' }),
   MultiPartyController.cancelInvitation);
 
 // =============================================================================
@@ -360,6 +365,7 @@ router.delete('/invitations/:invitationId',
 router.post('/negotiations',
   negotiationValidation,
   validate,
+  authorize('settlement:propose', { from: 'body', param: 'case_id' }),
   MultiPartyController.startNegotiation);
 
 /**
@@ -443,6 +449,7 @@ router.get('/negotiations/:negotiationId',
  *         description: Settlement accepted successfully
  */
 router.post('/settlements/:proposalId/accept',
+  authorize('settlement:respond', { resource: 'proposal', param: 'proposalId' }),
   MultiPartyController.acceptSettlement);
 
 /**
@@ -466,6 +473,7 @@ router.post('/settlements/:proposalId/accept',
 router.get('/cases/:caseId/negotiations',
   caseIdValidation,
   validate,
+  authorize('settlement:view'),
   MultiPartyController.getCaseNegotiations);
 
 // =============================================================================
@@ -514,6 +522,7 @@ router.get('/cases/:caseId/negotiations',
 router.post('/signatures',
   signatureRequestValidation,
   validate,
+  authorize('settlement:propose', { from: 'body', param: 'case_id' }),
   MultiPartyController.createSignatureRequest);
 
 /**
@@ -573,6 +582,7 @@ router.post('/signatures/:token/sign',
  *         description: Signature request retrieved successfully
  */
 router.get('/signatures/:requestId',
+  authorize('settlement:view', { resource: 'signature', param: 'requestId' }),
   MultiPartyController.getSignatureRequest);
 
 /**
@@ -596,6 +606,7 @@ router.get('/signatures/:requestId',
 router.get('/cases/:caseId/signatures',
   caseIdValidation,
   validate,
+  authorize('settlement:view'),
   MultiPartyController.getCaseSignatureRequests);
 
 /**
@@ -617,6 +628,7 @@ router.get('/cases/:caseId/signatures',
  *         description: Signature request cancelled successfully
  */
 router.delete('/signatures/:requestId',
+  authorize('settlement:propose', { resource: 'signature', param: 'requestId' }),
   MultiPartyController.cancelSignatureRequest);
 
 /**
@@ -656,6 +668,7 @@ router.get('/users/:userId/signatures/pending',
  *         description: Real-time statistics retrieved successfully
  */
 router.get('/realtime/stats',
+  requireAdmin,
   MultiPartyController.getRealTimeStats);
 
 /**
@@ -679,6 +692,7 @@ router.get('/realtime/stats',
 router.get('/cases/:caseId/online-users',
   caseIdValidation,
   validate,
+  authorize('case:view'),
   MultiPartyController.getCaseOnlineUsers);
 
 // Export router
@@ -5,6 +5,7 @@ const express = require('express');
 const SettlementNegotiationController = require('../controllers/SettlementNegotiationController');
 const { requireAuth } = require('../lib/authMiddleware');
 const validate = require('../middleware/validate');
+const authorize = require('../middleware/authorize');
 const { body, param, query } = require('express-validator');
 
 const router = express.Router();
@@ -251,7 +252,7 @@ router.get('/health', negotiationController.healthCheck);
  *       404:
  *         description: Case not found
  */
-router.post('/', startNegotiationValidation, validate, negotiationController.startNegotiation);
+router.post('/', startNegotiationValidation, validate, authorize('settlement:propose', { from: 'body', param: 'caseId' }), negotiationController.startNegotiation);
 
 /**
  * @swagger
@@ -506,7 +507,7 @@ router.post('/:negotiationId/cancel', negotiationIdValidation, validate, negotia
  *       404:
  *         description: Case not found
  */
-router.get('/cases/:caseId', caseIdValidation, validate, negotiationController.getCaseNegotiations);
+router.get('/cases/:caseId', caseIdValidation, validate, authorize('settlement:view'), negotiationController.getCaseNegotiations);
 
 /**
  * @swagger
@@ -1,11 +1,13 @@
 // backend/src/routes/processCase.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
+const { supabase } = require('../lib/supabaseClient');
+const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
 const { enqueueEvidence } = require('../lib/mediaWorker');
 
 // Enqueue all evidence for a case that seems unprocessed
-router.post('/:id/process', async (req, res) => {
+router.post('/:id/process', requireAuth, authorize('evidence:process'), async (req, res) => {
   const caseId = req.params.id;
   try {
     const { data: evidence, error } = await supabase.from('evidence').select('*').eq('case_id', caseId);
@@ -1,13 +1,13 @@
 // backend/src/routes/reconcile.js
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { supabase } = require('../lib/supabaseClient');
+const aiProviders = require('../services/AIProviderRegistry');
+const SearchIndexService = require('../services/SearchIndexService');
 const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
 require('dotenv').config();
 
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-
 // helper: get latest analysis for case
 async function getLatestAnalysis(caseId) {
   const { data } = await supabase
@@ -84,7 +84,7 @@ Prefer fair, enforceable, low-cost options. Keep JSON valid. Return no extra tex
 }
 
 // POST /api/cases/:id/reconcile  (requires auth)
-router.post('/:id/reconcile', requireAuth, async (req, res) => {
+router.post('/:id/reconcile', requireAuth, authorize('analysis:run'), async (req, res) => {
   const caseId = req.params.id;
   const { analysis_id } = req.body; // optional; if missing, use latest
   try {
@@ -129,21 +129,17 @@ router.post('/:id/reconcile', requireAuth, async (req, res) => {
     const { data: statements } = await supabase.from('statements').select('id, user_id, text').eq('case_id', caseId);
     const statementsText = (statements || []).map(s => `(${s.user_id}) ${s.text}`).join('\n') || 'No statements';
 
-    // build prompt and call Gemini
+    // build prompt and call the AI provider registry (Gemini preferred)
     const prompt = buildReconcilePrompt(analysisRow.case_id || `Case ${caseId}`, statementsText, analysis, decisions);
 
-    const model = genAI.getGenerativeModel({ model: process.env.GENAI_MODEL || 'gemini-1.5-pro' });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-
-    // extract text (robust)
-    let textOut = null;
-    try {
-      textOut = response.text();
-    } catch (e) {
-      console.error('Error extracting text from Gemini response:', e);
-      textOut = JSON.stringify(response);
-    }
+    const { data: caseRow } = await supabase.from('cases').select('case_type').eq('id', caseId).single();
+    const response = await aiProviders.generate(prompt, {
+      preferred: 'gemini',
+      models: { gemini: process.env.GENAI_MODEL },
+      caseType: caseRow && caseRow.case_type,
+      task: 'reconcile'
+    });
+    const textOut = response.content || '';
 
     // try parse JSON
     let parsed = null;
@@ -159,7 +155,7 @@ router.post('/:id/reconcile', requireAuth, async (req, res) => {
     if (!parsed) {
       await supabase.from('ai_analysis').insert([{
         case_id: caseId,
-        model: process.env.GENAI_MODEL || 'gemini-1.5-pro',
+        model: response.model,
         analysis: { raw_reconcile: textOut, decisions, created_at: new Date().toISOString() }
       }]);
       return res.status(200).json({ ok: false, message: 'reconcile returned non-JSON; raw saved', raw: textOut });
@@ -168,11 +164,12 @@ router.post('/:id/reconcile', requireAuth, async (req, res) => {
     // persist reconciled analysis
     const { data: saved, error: saveErr } = await supabase.from('ai_analysis').insert([{
       case_id: caseId,
-      model: process.env.GENAI_MODEL || 'gemini-1.5-pro',
+      model: response.model,
       analysis: parsed
     }]).select().single();
 
     if (saveErr) console.warn('save reconcile analysis err', saveErr);
+    if (saved) await SearchIndexService.index('analysis', saved);
 
     return res.json({ ok: true, analysis: parsed, saved_id: saved?.id || null });
 
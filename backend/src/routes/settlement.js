@@ -1,17 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const supabase = require('../lib/supabaseClient');
+const { supabase } = require('../lib/supabaseClient');
 const { requireAuth } = require('../lib/authMiddleware');
-const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
-const multer = require('multer');
+const authorize = require('../middleware/authorize');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
 const fs = require('fs-extra');
 const path = require('path');
 
 const BUCKET = process.env.SUPABASE_BUCKET || 'evidence';
 const STORAGE_DIR = path.join(__dirname, '..', '..', 'storage');
 
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
-
 // util: get latest ai_analysis row
 async function getLatestAnalysis(caseId) {
   const { data, error } = await supabase
@@ -44,151 +42,11 @@ async function countAccepts(caseId, analysisId, optionId) {
   return 0;
 }
 
-// ------------------------------
-// POST /sign endpoint
-router.post('/:case_id/settlement/:settlement_id/sign', requireAuth, upload.single('signature_image'), async (req, res) => {
-  const caseId = req.params.case_id;
-  const settlementId = req.params.settlement_id;
-  const userId = req.user?.sub;
-  const signature_type = req.body.signature_type;
-
-  if (!['image', 'text'].includes(signature_type)) {
-    return res.status(400).json({ error: 'signature_type must be image or text' });
-  }
-
-  try {
-    // ensure settlement exists
-    const settlementResp = await supabase
-      .from('case_settlements')
-      .select('*')
-      .eq('id', settlementId)
-      .eq('case_id', caseId)
-      .limit(1)
-      .single();
-
-    if (settlementResp.error || !settlementResp.data) return res.status(404).json({ error: 'settlement not found' });
-    const settlement = settlementResp.data;
-
-    // get signature data
-    let signature_data;
-    if (signature_type === 'image') {
-      if (!req.file) return res.status(400).json({ error: 'signature_image file required' });
-      const mime = req.file.mimetype || 'image/png';
-      signature_data = `data:${mime};base64,${req.file.buffer.toString('base64')}`;
-    } else {
-      const text = (req.body.signature_text || '').trim();
-      if (!text) return res.status(400).json({ error: 'signature_text required' });
-      signature_data = text;
-    }
-
-    // save signature
-    const { data: savedSig, error: saveErr } = await supabase
-      .from('case_settlement_signatures')
-      .insert([{
-        settlement_id: settlementId,
-        case_id: caseId,
-        user_id: userId || null,
-        signature_type,
-        signature_data
-      }])
-      .select()
-      .single();
-    if (saveErr) return res.status(500).json({ error: 'failed to save signature' });
-
-    // gather all signatures
-    const { data: allSigs } = await supabase
-      .from('case_settlement_signatures')
-      .select('*')
-      .eq('settlement_id', settlementId)
-      .order('uploaded_at', { ascending: true });
-
-    // attempt PDF append or stub creation
-    let outPath = settlement.file_path || null;
-    try {
-      const origPath = settlement.file_path ? path.join(STORAGE_DIR, settlement.file_path) : null;
-      if (!origPath || !(await fs.pathExists(origPath))) throw new Error('original-not-found');
-
-      const origBytes = await fs.readFile(origPath);
-      const pdfDoc = await PDFDocument.load(origBytes);
-
-      let sigPage = pdfDoc.addPage([612, 792]);
-      const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      let y = 750;
-      const marginLeft = 50;
-      sigPage.drawText('Signatures', { x: marginLeft, y, size: 18, font: helvetica, color: rgb(0, 0, 0) });
-      y -= 30;
-
-      for (const s of allSigs || []) {
-        if (s.signature_type === 'text') {
-          sigPage.drawText(`User: ${s.user_id || 'unknown'} — ${s.signature_data}`, { x: marginLeft, y, size: 11, font: helvetica });
-          y -= 18;
-        } else if (s.signature_type === 'image') {
-          try {
-            const imgBytes = Buffer.from((s.signature_data || '').split(',')[1] || '', 'base64');
-            let img; try { img = await pdfDoc.embedPng(imgBytes); } catch { img = await pdfDoc.embedJpg(imgBytes); }
-            const dims = img.scale(0.5);
-            if (y - dims.height < 40) { sigPage = pdfDoc.addPage([612, 792]); y = 750; }
-            sigPage.drawImage(img, { x: marginLeft, y: y - dims.height, width: dims.width, height: dims.height });
-            y -= dims.height + 12;
-          } catch { sigPage.drawText(`User: ${s.user_id || 'unknown'} — [image failed]`, { x: marginLeft, y, size: 11, font: helvetica }); y -= 18; }
-        }
-        if (y < 80) { sigPage = pdfDoc.addPage([612, 792]); y = 750; }
-      }
-
-      const signedName = `cases/${caseId}/settlement_${settlementId}_signed_${Date.now()}.pdf`;
-      const signedPath = path.join(STORAGE_DIR, signedName);
-      await fs.ensureDir(path.dirname(signedPath));
-      await fs.writeFile(signedPath, await pdfDoc.save());
-
-      await supabase.from('case_settlements').update({ file_path: signedName, updated_at: new Date().toISOString() }).eq('id', settlementId);
-      outPath = signedName;
-    } catch {
-      // fallback stub PDF
-      const pdfDoc = await PDFDocument.create();
-      let page = pdfDoc.addPage([612, 792]);
-      const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      let y = 750;
-      page.drawText('Settlement (generated) - Signatures', { x: 50, y, size: 16, font: helvetica });
-      y -= 30;
-      for (const s of allSigs || []) {
-        const text = s.signature_type === 'text' ? s.signature_data : `[image signature for user ${s.user_id || 'unknown'}]`;
-        page.drawText(`User ${s.user_id || 'unknown'}: ${text}`, { x: 50, y, size: 11, font: helvetica });
-        y -= 18;
-        if (y < 80) { page = pdfDoc.addPage([612, 792]); y = 750; }
-      }
-      const signedName = `cases/${caseId}/settlement_${settlementId}_signed_${Date.now()}.pdf`;
-      const signedPath = path.join(STORAGE_DIR, signedName);
-      await fs.ensureDir(path.dirname(signedPath));
-      await fs.writeFile(signedPath, await pdfDoc.save());
-      await supabase.from('case_settlements').update({ file_path: signedName, updated_at: new Date().toISOString() }).eq('id', settlementId);
-      outPath = signedName;
-    }
-
-    // OPTIONAL: notify parties about signature
-    try {
-      const { data: parties } = await supabase.from('case_parties').select('user_id, contact_email').eq('case_id', caseId);
-      const emails = (parties || []).map(p => p.contact_email).filter(Boolean);
-      if (emails.length) {
-        const { sendMail } = require('../lib/mailer');
-        const subject = `Signature uploaded for settlement ${settlementId}`;
-        const text = `User ${userId} uploaded a signature.\nDownload: /api/cases/${caseId}/settlement/${settlementId}/download`;
-        await sendMail({ to: emails[0], bcc: emails.slice(1), subject, text });
-      }
-    } catch (mailErr) { console.warn('notify sign mail err', mailErr); }
-
-    return res.json({
-      ok: true,
-      saved_signature: savedSig,
-      all_signed: Array.isArray(allSigs) && allSigs.length > 0,
-      signed_pdf: { file_path: outPath, download_endpoint: `/api/cases/${caseId}/settlement/${settlementId}/download` }
-    });
-
-  } catch (e) { console.error('sign err', e); return res.status(500).json({ error: e.message || e }); }
-});
+// POST /:id/settlement/:sid/sign is in routes/settlementSign.js
 
 // ------------------------------
 // POST /generate_settlement
-router.post('/:id/generate_settlement', requireAuth, async (req, res) => {
+router.post('/:id/generate_settlement', requireAuth, authorize('document:generate'), async (req, res) => {
   const caseId = req.params.id;
   const userId = req.user?.sub;
   const { analysis_id, option_id } = req.body;
@@ -271,7 +129,7 @@ router.post('/:id/generate_settlement', requireAuth, async (req, res) => {
 
 // ------------------------------
 // GET /download
-router.get('/:id/settlement/:sid/download', requireAuth, async (req, res) => {
+router.get('/:id/settlement/:sid/download', requireAuth, authorize('settlement:view'), async (req, res) => {
   const caseId = req.params.id;
   const settlementId = req.params.sid;
   try {
@@ -292,7 +150,7 @@ router.get('/:id/settlement/:sid/download', requireAuth, async (req, res) => {
 });
 
 // DEV ONLY: serve manual signed pdf
-router.get('/:case_id/settlement/:settlement_id/_dev_download_manual', requireAuth, async (req,res)=>{
+router.get('/:case_id/settlement/:settlement_id/_dev_download_manual', requireAuth, authorize('settlement:view'), async (req,res)=>{
   const caseId = req.params.case_id;
   const fp = path.join(STORAGE_DIR, `cases/${caseId}/settlement_manual_signed.pdf`);
   try{
@@ -0,0 +1,138 @@
+// backend/src/routes/signing.js
+// Embedded PDF signatures: envelopes per case, signing, downloads of the
+// signed document and its completion certificate, and verification of any
+// uploaded PDF. Mounted at /api.
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { requireAuth } = require('../lib/authMiddleware');
+const authorize = require('../middleware/authorize');
+const HttpError = require('../lib/HttpError');
+const DocumentSigningService = require('../services/DocumentSigningService');
+const SettlementDocumentService = require('../services/SettlementDocumentService');
+
+const pdfUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
+const imageUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+function sendError(res, e) {
+  if (e instanceof HttpError) return res.status(e.status).json({ success: false, error: e.message, code: e.code });
+  return res.status(500).json({ success: false, error: e.message || e });
+}
+
+// Envelope as shown to case members: slots and user agents stay internal
+function summarize(envelope) {
+  const { current_path, certificate_path, ...rest } = envelope;
+  return {
+    ...rest,
+    signers: envelope.signers.map(({ slot, user_agent, ...signer }) => signer),
+    document_url: `/api/signing/envelopes/${envelope.id}/document`,
+    certificate_url: envelope.status === 'completed' ? `/api/signing/envelopes/${envelope.id}/certificate` : null
+  };
+}
+
+function sendPdf(res, bytes, fileName) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Content-Length', bytes.length);
+  return res.end(bytes);
+}
+
+// POST /api/cases/:id/signing/envelopes
+// multipart: document (PDF), title, signing_order; signers default to the
+// parties who sign settlements
+router.post('/cases/:id/signing/envelopes', requireAuth, authorize('settlement:propose'), pdfUpload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) throw new HttpError(400, 'document_required', 'Upload the PDF as "document"');
+    const envelope = await DocumentSigningService.createEnvelope({
+      caseId: req.params.id,
+      title: req.body.title || req.file.originalname,
+      documentType: req.body.document_type || 'settlement_agreement',
+      pdf: req.file.buffer,
+      signers: await SettlementDocumentService.settlementSigners(req.params.id),
+      signingOrder: req.body.signing_order || 'parallel',
+      createdBy: req.user.sub
+    });
+    res.status(201).json({ success: true, envelope: summarize(envelope) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// GET /api/cases/:id/signing/envelopes
+router.get('/cases/:id/signing/envelopes', requireAuth, authorize('settlement:view'), async (req, res) => {
+  try {
+    const envelopes = await DocumentSigningService.listForCase(req.params.id);
+    res.json({ success: true, envelopes: envelopes.map(summarize) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const envelopeGuard = (action) => authorize(action, { resource: 'signing_envelope', param: 'envelopeId' });
+
+// GET /api/signing/envelopes/:envelopeId
+router.get('/signing/envelopes/:envelopeId', requireAuth, envelopeGuard('settlement:view'), async (req, res) => {
+  try {
+    res.json({ success: true, envelope: summarize(await DocumentSigningService.getEnvelope(req.params.envelopeId)) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// POST /api/signing/envelopes/:envelopeId/sign
+// multipart: signature_image (PNG/JPEG, optional), signature_text, reason
+router.post('/signing/envelopes/:envelopeId/sign', requireAuth, envelopeGuard('settlement:sign'), imageUpload.single('signature_image'), async (req, res) => {
+  try {
+    const result = await DocumentSigningService.sign(req.params.envelopeId, req.user.sub, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      reason: req.body.reason,
+      signatureImage: req.file ? req.file.buffer : null,
+      signatureText: req.body.signature_text
+    });
+    res.json({
+      success: true,
+      completed: result.completed,
+      document_sha256: result.documentSha256,
+      envelope: summarize(result.envelope)
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// GET /api/signing/envelopes/:envelopeId/document
+router.get('/signing/envelopes/:envelopeId/document', requireAuth, envelopeGuard('settlement:view'), async (req, res) => {
+  try {
+    const { envelope, bytes } = await DocumentSigningService.readDocument(req.params.envelopeId);
+    sendPdf(res, bytes, `signed_${envelope.id}_rev${envelope.revision}.pdf`);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// GET /api/signing/envelopes/:envelopeId/certificate
+router.get('/signing/envelopes/:envelopeId/certificate', requireAuth, envelopeGuard('settlement:view'), async (req, res) => {
+  try {
+    const { envelope, bytes } = await DocumentSigningService.readCertificate(req.params.envelopeId);
+    sendPdf(res, bytes, `completion_certificate_${envelope.id}.pdf`);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// POST /api/signing/verify
+// multipart: document (PDF). Any signed-in user may check a file they hold;
+// the envelope is only identified, its details stay behind the case routes.
+router.post('/signing/verify', requireAuth, pdfUpload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) throw new HttpError(400, 'document_required', 'Upload the PDF as "document"');
+    const report = await DocumentSigningService.verify(req.file.buffer);
+    res.json({ success: true, ...report });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+module.exports = router;
@@ -4,10 +4,12 @@
 const express = require('express');
 const router = express.Router();
 const WorkflowAutomationController = require('../controllers/WorkflowAutomationController');
+const WebhookController = require('../controllers/WebhookController');
 const { requireAuth } = require('../lib/authMiddleware');
 const { z } = require('zod');
 
 const workflowController = new WorkflowAutomationController();
+const webhookController = new WebhookController();
 
 /**
  * @swagger
@@ -33,6 +35,8 @@ const workflowController = new WorkflowAutomationController();
  *           enum: [document_generated, case_status_change, approval_completed, time_based, court_filing_complete, collaboration_started]
  *         triggerConditions:
  *           type: object
+ *           description: Either { expression } using the condition expression language
+ *             (see /api/workflow/schema) or legacy { field, operator, value } conditions
  *         actions:
  *           type: array
  *           items:
@@ -652,7 +656,7 @@ router.get('/statistics', requireAuth, workflowController.getWorkflowStatistics)
  * /api/workflow/trigger:
  *   post:
  *     summary: Trigger workflows by event
- *     description: Manually trigger workflows that match the specified trigger type and conditions
+ *     description: Manually trigger the caller's workflows (every user's for admins) that match the specified trigger type and conditions. triggerData.caseId must be a case the caller can view.
  *     tags: [Workflow Automation]
  *     security:
  *       - BearerAuth: []
@@ -670,6 +674,11 @@ router.get('/statistics', requireAuth, workflowController.getWorkflowStatistics)
  *                 type: string
  *               triggerData:
  *                 type: object
+ *                 required:
+ *                   - caseId
+ *                 properties:
+ *                   caseId:
+ *                     type: string
  *     responses:
  *       200:
  *         description: Workflows triggered successfully
@@ -687,8 +696,129 @@ router.get('/statistics', requireAuth, workflowController.getWorkflowStatistics)
  *                       type: integer
  *                     executions:
  *                       type: array
+ *       400:
+ *         description: triggerData.caseId is missing
+ *       403:
+ *         description: The caller cannot view the case
  */
 router.post('/trigger', requireAuth, validateTriggerWorkflow, workflowController.triggerWorkflow);
 
+/**
+ * @swagger
+ * /api/workflow/webhooks/events:
+ *   get:
+ *     summary: List lifecycle events webhook endpoints can subscribe to
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get('/webhooks/events', requireAuth, webhookController.listEventTypes);
+
+/**
+ * @swagger
+ * /api/workflow/webhooks/endpoints:
+ *   get:
+ *     summary: List the user's webhook endpoints (secrets redacted)
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *   post:
+ *     summary: Register a webhook endpoint
+ *     description: The response contains the endpoint's signing secret, which is not shown again.
+ *       Deliveries carry an X-Webhook-Signature header of the form t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+ *       Events are delivered only for cases the endpoint's owner can view, and the URL must resolve to a public address.
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               eventTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: ['*', dispute.stage_changed, signature.completed, court.filing_submitted, court.filing_defective]
+ *               isActive:
+ *                 type: boolean
+ */
+router.get('/webhooks/endpoints', requireAuth, webhookController.listEndpoints);
+router.post('/webhooks/endpoints', requireAuth, webhookController.createEndpoint);
+
+/**
+ * @swagger
+ * /api/workflow/webhooks/endpoints/{id}:
+ *   put:
+ *     summary: Update a webhook endpoint's URL, subscriptions or active flag
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *   delete:
+ *     summary: Delete a webhook endpoint
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put('/webhooks/endpoints/:id', requireAuth, webhookController.updateEndpoint);
+router.delete('/webhooks/endpoints/:id', requireAuth, webhookController.deleteEndpoint);
+
+/**
+ * @swagger
+ * /api/workflow/webhooks/endpoints/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace the endpoint's signing secret; pending retries use the new one
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post('/webhooks/endpoints/:id/rotate-secret', requireAuth, webhookController.rotateSecret);
+
+/**
+ * @swagger
+ * /api/workflow/webhooks/endpoints/{id}/test:
+ *   post:
+ *     summary: Queue a signed webhook.test event to the endpoint
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post('/webhooks/endpoints/:id/test', requireAuth, webhookController.testEndpoint);
+
+/**
+ * @swagger
+ * /api/workflow/webhooks/deliveries:
+ *   get:
+ *     summary: Delivery log, newest attempt first
+ *     description: Receiver response bodies are included for admins only.
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: endpointId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: automationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ */
+router.get('/webhooks/deliveries', requireAuth, webhookController.listDeliveries);
+
 // Export router
 module.exports = router;
\ No newline at end of file
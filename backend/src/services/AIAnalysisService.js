@@ -2,6 +2,7 @@
 const GeminiService = require('./GeminiService');
 const AIAnalysis = require('../models/AIAnalysis');
 const Case = require('../models/Case');
+const AuthorizationService = require('./AuthorizationService');
 const Evidence = require('../models/Evidence');
 const SettlementProposal = require('../models/SettlementProposal');
 const { logger } = require('../lib/logger');
@@ -26,7 +27,7 @@ class AIAnalysisService {
       }
 
       // Check access permissions
-      if (!await Case.hasAccess(caseId, userId)) {
+      if (!await AuthorizationService.can(userId, 'analysis:run', caseId)) {
         throw new Error('Access denied to case');
       }
 
@@ -116,7 +117,7 @@ class AIAnalysisService {
         include: ['parties', 'evidence'] 
       });
 
-      if (!caseData || !await Case.hasAccess(caseId, userId)) {
+      if (!caseData || !await AuthorizationService.can(userId, 'analysis:run', caseId)) {
         throw new Error('Case not found or access denied');
       }
 
@@ -214,7 +215,7 @@ class AIAnalysisService {
       }
 
       // Check case access
-      if (!await Case.hasAccess(evidence.case_id, userId)) {
+      if (!await AuthorizationService.can(userId, 'analysis:run', evidence.case_id)) {
         throw new Error('Access denied to case');
       }
 
@@ -286,7 +287,7 @@ class AIAnalysisService {
 
       // Get case data
       const caseData = await Case.findById(caseId);
-      if (!caseData || !await Case.hasAccess(caseId, userId)) {
+      if (!caseData || !await AuthorizationService.can(userId, 'analysis:run', caseId)) {
         throw new Error('Case not found or access denied');
       }
 
@@ -367,7 +368,7 @@ class AIAnalysisService {
         include: ['evidence'] 
       });
 
-      if (!caseData || !await Case.hasAccess(caseId, userId)) {
+      if (!caseData || !await AuthorizationService.can(userId, 'analysis:run', caseId)) {
         throw new Error('Case not found or access denied');
       }
 
@@ -449,7 +450,7 @@ class AIAnalysisService {
   // Get all AI analyses for a case
   async getCaseAnalyses(caseId, userId) {
     try {
-      if (!await Case.hasAccess(caseId, userId)) {
+      if (!await AuthorizationService.can(userId, 'analysis:view', caseId)) {
         throw new Error('Access denied to case');
       }
 
@@ -0,0 +1,107 @@
+// AI Provider Registry - single entry point for every LLM call in the backend
+const logger = require('../lib/logger');
+const AnthropicProvider = require('./aiProviders/AnthropicProvider');
+const OpenAIProvider = require('./aiProviders/OpenAIProvider');
+const GeminiProvider = require('./aiProviders/GeminiProvider');
+const FixtureProvider = require('./aiProviders/FixtureProvider');
+
+// Live providers tried, in order, when the requested one has no credentials.
+// The fixture provider is never a fallback; it must be selected explicitly.
+const FALLBACK_ORDER = ['anthropic', 'openai', 'gemini'];
+
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProvider = process.env.AI_PROVIDER || 'anthropic';
+    this.caseTypeProviders = this.parseCaseTypeConfig(process.env.AI_PROVIDER_BY_CASE_TYPE);
+
+    this.register(new AnthropicProvider());
+    this.register(new OpenAIProvider());
+    this.register(new GeminiProvider());
+
+    const recordWith = process.env.AI_FIXTURE_RECORD ? this.providers.get(process.env.AI_FIXTURE_RECORD) : null;
+    this.register(new FixtureProvider({ recordWith }));
+  }
+
+  // "consumer:fixture,contract:anthropic" -> { consumer: 'fixture', contract: 'anthropic' }
+  parseCaseTypeConfig(value) {
+    const mapping = {};
+    (value || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+      const [caseType, provider] = entry.split(':').map(s => s.trim());
+      if (caseType && provider) mapping[caseType] = provider;
+    });
+    return mapping;
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  setCaseTypeProvider(caseType, providerName) {
+    this.caseTypeProviders[caseType] = providerName;
+  }
+
+  isAvailable() {
+    return FALLBACK_ORDER.some(name => this.providers.get(name).isAvailable()) ||
+      Object.values(this.caseTypeProviders).includes('fixture') ||
+      this.defaultProvider === 'fixture';
+  }
+
+  // Every usable provider, best first: explicit option, then the case-type
+  // mapping, then the caller's preference, then AI_PROVIDER, then any live
+  // provider with credentials. Callers that can retry walk this chain.
+  candidates({ provider, caseType, preferred } = {}) {
+    const names = [
+      provider,
+      caseType && this.caseTypeProviders[caseType],
+      preferred,
+      this.defaultProvider,
+      ...FALLBACK_ORDER
+    ].filter(Boolean);
+
+    return [...new Set(names)]
+      .map(name => this.providers.get(name))
+      .filter(instance => instance && instance.isAvailable());
+  }
+
+  // Pick the first provider of the chain
+  resolve(options = {}) {
+    const [instance] = this.candidates(options);
+    if (!instance) throw new Error('No AI provider available');
+    return instance;
+  }
+
+  // messagesOrPrompt: a prompt string or an array of { role, content }
+  // options: provider, caseType, preferred, task, model, models, maxTokens, temperature, topP, topK, images
+  // models: model names by provider ({ gemini: 'gemini-1.5-pro' }), used only
+  // when that provider is the one resolved; `model` applies to any provider
+  async generate(messagesOrPrompt, options = {}) {
+    const messages = typeof messagesOrPrompt === 'string'
+      ? [{ role: 'user', content: messagesOrPrompt }]
+      : messagesOrPrompt;
+
+    const provider = this.resolve(options);
+    const { models, ...rest } = options;
+    const model = options.model || (models && models[provider.name]) || undefined;
+    const startedAt = Date.now();
+    const response = await provider.generate({ ...rest, model, messages });
+
+    logger.debug(`AI call via ${provider.name} (${response.model}) task=${options.task || 'none'} in ${Date.now() - startedAt}ms`);
+    return response;
+  }
+
+  getStatus() {
+    return {
+      defaultProvider: this.defaultProvider,
+      caseTypeProviders: { ...this.caseTypeProviders },
+      providers: [...this.providers.values()].map(p => ({ name: p.name, available: p.isAvailable() }))
+    };
+  }
+}
+
+module.exports = new AIProviderRegistry();
@@ -1,112 +1,34 @@
-// AI Service - Integrated Claude and OpenAI for dispute resolution
-const Anthropic = require('@anthropic-ai/sdk');
-const OpenAI = require('openai');
+// AI Service - Dispute resolution prompts on top of the AI provider registry
+const aiProviders = require('./AIProviderRegistry');
+const structuredOutput = require('./StructuredOutputService');
 
 class AIService {
   constructor() {
-    this.anthropic = null;
-    this.openai = null;
-    this.preferredProvider = process.env.AI_PROVIDER || 'anthropic'; // 'anthropic' or 'openai'
-    
-    this.initialize();
-  }
-
-  initialize() {
-    try {
-      // Initialize Anthropic Claude
-      if (process.env.ANTHROPIC_API_KEY) {
-        this.anthropic = new Anthropic({
-          apiKey: process.env.ANTHROPIC_API_KEY,
-        });
-        console.log('🤖 Claude AI service initialized');
-      }
-
-      // Initialize OpenAI
-      if (process.env.OPENAI_API_KEY) {
-        this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY,
-        });
-        console.log('🤖 OpenAI service initialized');
-      }
-
-      if (!this.anthropic && !this.openai) {
-        console.warn('⚠️ No AI API keys provided. AI features will be disabled.');
-      }
-    } catch (error) {
-      console.error('Error initializing AI services:', error);
-    }
+    this.preferredProvider = process.env.AI_PROVIDER || 'anthropic'; // any provider registered in AIProviderRegistry
   }
 
   isAvailable() {
-    return this.anthropic !== null || this.openai !== null;
+    return aiProviders.isAvailable();
   }
 
   async callAI(messages, options = {}) {
-    const { maxTokens = 4000, temperature = 0.3, provider = this.preferredProvider } = options;
+    const { maxTokens = 4000, temperature = 0.3, provider, caseType, task } = options;
 
     try {
-      if (provider === 'anthropic' && this.anthropic) {
-        return await this.callClaude(messages, { maxTokens, temperature });
-      } else if (provider === 'openai' && this.openai) {
-        return await this.callOpenAI(messages, { maxTokens, temperature });
-      } else {
-        // Fallback to available provider
-        if (this.anthropic) {
-          return await this.callClaude(messages, { maxTokens, temperature });
-        } else if (this.openai) {
-          return await this.callOpenAI(messages, { maxTokens, temperature });
-        } else {
-          throw new Error('No AI provider available');
-        }
-      }
+      return await aiProviders.generate(messages, {
+        maxTokens,
+        temperature,
+        provider,
+        caseType,
+        task,
+        preferred: this.preferredProvider
+      });
     } catch (error) {
       console.error('AI call failed:', error);
       throw new Error('AI service temporarily unavailable');
     }
   }
 
-  async callClaude(messages, options = {}) {
-    const { maxTokens, temperature } = options;
-
-    const response = await this.anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: maxTokens,
-      temperature: temperature,
-      messages: messages
-    });
-
-    return {
-      content: response.content[0].text,
-      usage: {
-        promptTokens: response.usage.input_tokens,
-        completionTokens: response.usage.output_tokens,
-        totalTokens: response.usage.input_tokens + response.usage.output_tokens
-      },
-      provider: 'anthropic'
-    };
-  }
-
-  async callOpenAI(messages, options = {}) {
-    const { maxTokens, temperature } = options;
-
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4-1106-preview',
-      messages: messages,
-      max_tokens: maxTokens,
-      temperature: temperature
-    });
-
-    return {
-      content: response.choices[0].message.content,
-      usage: {
-        promptTokens: response.usage.prompt_tokens,
-        completionTokens: response.usage.completion_tokens,
-        totalTokens: response.usage.total_tokens
-      },
-      provider: 'openai'
-    };
-  }
-
   // Analyze case for dispute resolution
   async analyzeCaseForResolution(caseData) {
     if (!this.isAvailable()) {
@@ -116,12 +38,17 @@ class AIService {
     const prompt = this.buildAnalysisPrompt(caseData);
     const messages = [{ role: 'user', content: prompt }];
 
-    const response = await this.callAI(messages, {
+    // Validated against the case_analysis schema, with repair re-prompts and
+    // the provider fallback chain (StructuredOutputService)
+    const { data } = await structuredOutput.generate('case_analysis', messages, {
+      caseId: caseData.caseDetails && caseData.caseDetails.id,
       maxTokens: 3000,
-      temperature: 0.2 // Lower temperature for more consistent legal analysis
+      temperature: 0.2, // Lower temperature for more consistent legal analysis
+      caseType: caseData.caseDetails && (caseData.caseDetails.case_type || caseData.caseDetails.category),
+      preferred: this.preferredProvider
     });
 
-    return this.parseAnalysisResponse(response.content);
+    return data;
   }
 
   buildAnalysisPrompt(caseData) {
@@ -175,31 +102,6 @@ Please provide your analysis in the following JSON format:
 Provide only the JSON response, no additional text.`;
   }
 
-  parseAnalysisResponse(content) {
-    try {
-      // Clean the response and extract JSON
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in response');
-      }
-
-      const analysis = JSON.parse(jsonMatch[0]);
-      
-      // Validate required fields
-      const requiredFields = ['summary', 'keyIssues', 'complainerPosition', 'defenderPosition', 'recommendations'];
-      for (const field of requiredFields) {
-        if (!analysis[field]) {
-          throw new Error(`Missing required field: ${field}`);
-        }
-      }
-
-      return analysis;
-    } catch (error) {
-      console.error('Error parsing AI analysis response:', error);
-      throw new Error('Failed to parse AI analysis');
-    }
-  }
-
   // Generate settlement options based on analysis
   async generateSettlementOptions(caseData, analysis) {
     if (!this.isAvailable()) {
@@ -211,7 +113,9 @@ Provide only the JSON response, no additional text.`;
 
     const response = await this.callAI(messages, {
       maxTokens: 2500,
-      temperature: 0.4 // Slightly higher temperature for creative solutions
+      temperature: 0.4, // Slightly higher temperature for creative solutions
+      caseType: caseData.case_type || caseData.category,
+      task: 'settlement_options'
     });
 
     return this.parseSettlementResponse(response.content);
@@ -304,7 +208,9 @@ Provide only the JSON response, no additional text.`;
 
     const response = await this.callAI(messages, {
       maxTokens: 2000,
-      temperature: 0.3
+      temperature: 0.3,
+      caseType: caseData.case_type || caseData.category,
+      task: 'combined_solution'
     });
 
     return this.parseCombinedSolutionResponse(response.content);
@@ -388,7 +294,9 @@ Provide a clear, non-technical explanation in 2-3 paragraphs that both parties c
       const messages = [{ role: 'user', content: prompt }];
       const response = await this.callAI(messages, {
         maxTokens: 500,
-        temperature: 0.4
+        temperature: 0.4,
+        caseType: caseData && (caseData.case_type || caseData.category),
+        task: 'explain_recommendation'
       });
 
       return response.content;
@@ -3,6 +3,8 @@
 
 const { supabase } = require('../lib/supabaseClient');
 const emailService = require('./EmailService');
+const AuditLogService = require('./AuditLogService');
+const NotificationService = require('./NotificationService');
 
 class ActiveNegotiationService {
   constructor() {
@@ -668,6 +670,15 @@ class ActiveNegotiationService {
 
       if (error) throw error;
 
+      // Mirror into the case audit chain; the activity table stays editable
+      const session = await this.getSession(sessionId);
+      if (session && session.case_id) {
+        await AuditLogService.record(session.case_id, `negotiation.${type}`, {
+          actorId: userId,
+          payload: { sessionId, details: details || null }
+        });
+      }
+
     } catch (error) {
       console.error('Log activity error:', error);
       // Don't throw - activity logging shouldn't break main functionality
@@ -706,18 +717,57 @@ class ActiveNegotiationService {
 
   /**
    * Send round notifications
+   * Routed per participant, so digest subscribers get these in their summary
    */
   async sendRoundNotifications(session, roundNumber, baseOffer) {
-    // TODO: Implement round notification emails
-    console.log(`Round ${roundNumber} started for session ${session.id}`);
+    const amount = baseOffer && baseOffer.amount !== undefined ? baseOffer.amount : baseOffer;
+    await this.notifyParticipants(session, {
+      type: NotificationService.notificationTypes.PROPOSAL_RECEIVED,
+      title: `Negotiation round ${roundNumber} has started`,
+      message: amount !== undefined && amount !== null
+        ? `Round ${roundNumber} opens from an offer of ${amount}. Respond before the round closes.`
+        : `Round ${roundNumber} is open for responses.`,
+      update: { updateType: 'new_round', currentRound: roundNumber, status: session.status }
+    });
   }
 
   /**
    * Send finalization notifications
    */
   async sendFinalizationNotifications(session, outcome) {
-    // TODO: Implement finalization notification emails
-    console.log(`Negotiation finalized with outcome: ${outcome} for session ${session.id}`);
+    const settled = /settle|accept|agree/i.test(String(outcome));
+    await this.notifyParticipants(session, {
+      type: settled
+        ? NotificationService.notificationTypes.SETTLEMENT_REACHED
+        : NotificationService.notificationTypes.CASE_UPDATE,
+      title: settled ? 'Negotiation concluded with a settlement' : 'Negotiation has ended',
+      message: `The negotiation session closed with outcome: ${outcome}.`,
+      update: { updateType: 'finalized', currentRound: session.current_round, status: outcome }
+    });
+  }
+
+  async notifyParticipants(session, { type, title, message, update }) {
+    if (!session) return;
+    const participants = session.negotiation_participants || session.parties || [];
+
+    for (const participant of participants) {
+      if (!participant.user_id) continue;
+      try {
+        await NotificationService.createNotification({
+          userId: participant.user_id,
+          caseId: session.case_id,
+          type,
+          title,
+          message,
+          actionUrl: `/negotiations/${session.id}`,
+          content: {
+            email: { template: 'sendNegotiationUpdate', args: [{ sessionId: session.id, message, ...update }] }
+          }
+        });
+      } catch (error) {
+        console.error(`Failed to notify ${participant.user_id} about negotiation ${session.id}:`, error);
+      }
+    }
   }
 
   /**
@@ -3,11 +3,15 @@ const logger = require('../lib/logger');
 const { supabaseAdmin } = require('../lib/supabaseClient');
 const geminiService = require('./GeminiService');
 const aiAnalysisService = require('./AIAnalysisService');
+const structuredOutput = require('./StructuredOutputService');
+const legalCorpus = require('./LegalCorpusService');
 
 class AdvancedAIService {
   constructor() {
     this.geminiService = geminiService;
     this.aiAnalysisService = aiAnalysisService;
+    this.structuredOutput = structuredOutput;
+    this.legalCorpus = legalCorpus;
     
     // AI Model configurations
     this.models = {
@@ -151,13 +155,15 @@ Respond in JSON format:
   "reasoning": "detailed explanation"
 }`;
 
-      const response = await this.geminiService.generateContent(prompt);
-      const result = this.parseJSONResponse(response);
+      const { data: result, provenance } = await this.structuredOutput.generate(
+        'outcome_prediction', prompt, this.outputOptions(caseData)
+      );
 
       return {
         ...result,
         analysis_type: 'outcome_prediction',
-        model_used: this.models.OUTCOME_PREDICTION,
+        model_used: provenance.model || this.models.OUTCOME_PREDICTION,
+        provenance_id: provenance.id,
         generated_at: new Date().toISOString()
       };
 
@@ -172,6 +178,16 @@ Respond in JSON format:
    */
   async findLegalPrecedents(caseData) {
     try {
+      // Ground the research in the local corpus: the model picks from the
+      // retrieved passages and cites them by source id
+      const sources = this.legalCorpus.retrieve(
+        [caseData.case_title, caseData.case_type, caseData.case_description].filter(Boolean).join(' '),
+        { limit: 8 }
+      );
+      const sourceList = sources.length > 0
+        ? sources.map(s => `[${s.source_id}] ${s.title}${s.citation ? ` (${s.citation})` : ''}, ${s.provision}: ${this.legalCorpus.getPassage(s.source_id).text}`).join('\n\n')
+        : 'No matching sources in the corpus.';
+
       const prompt = `
 As a legal research AI specializing in Indian law, find relevant legal precedents for this case:
 
@@ -181,11 +197,15 @@ Type: ${caseData.case_type}
 Description: ${caseData.case_description}
 Jurisdiction: ${caseData.jurisdiction}
 
+SOURCES (the only authorities you may cite):
+${sourceList}
+
 RESEARCH REQUIREMENTS:
-1. Identify 3-5 most relevant Indian legal precedents
-2. Include Supreme Court and High Court cases
-3. Focus on similar fact patterns and legal issues
-4. Provide case citations and brief summaries
+1. Identify up to 5 of the listed judgments that are most relevant
+2. Identify the listed statutory provisions that apply
+3. Cite every authority by its source_id exactly as shown in brackets
+4. Do not cite any case or statute that is not listed above; name missing
+   authorities under additional_research_needed instead
 5. Explain relevance to current case
 6. Identify distinguishing factors
 7. Extract applicable legal principles
@@ -194,18 +214,27 @@ Respond in JSON format:
 {
   "precedents": [
     {
+      "source_id": "string",
       "case_name": "string",
       "citation": "string", 
       "court": "string",
       "year": number,
       "facts_summary": "string",
       "legal_principle": "string",
+      "relevance": "string",
       "relevance_score": number,
       "similar_factors": ["factor1", "factor2"],
       "distinguishing_factors": ["factor1", "factor2"],
       "outcome": "string"
     }
   ],
+  "statutes": [
+    {
+      "source_id": "string",
+      "provision": "string",
+      "application": "string"
+    }
+  ],
   "legal_principles": ["principle1", "principle2"],
   "applicable_statutes": ["statute1", "statute2"],
   "jurisdiction_specific_rules": ["rule1", "rule2"],
@@ -214,13 +243,16 @@ Respond in JSON format:
   "additional_research_needed": ["area1", "area2"]
 }`;
 
-      const response = await this.geminiService.generateContent(prompt);
-      const result = this.parseJSONResponse(response);
+      const { data: result, provenance } = await this.structuredOutput.generate(
+        'precedent_research', prompt, this.outputOptions(caseData)
+      );
 
       return {
-        ...result,
+        ...this.legalCorpus.groundPrecedentResearch(result),
+        retrieved_sources: sources.map(s => s.source_id),
         analysis_type: 'precedent_matching',
-        model_used: this.models.PRECEDENT_MATCHING, 
+        model_used: provenance.model || this.models.PRECEDENT_MATCHING,
+        provenance_id: provenance.id,
         generated_at: new Date().toISOString()
       };
 
@@ -292,13 +324,15 @@ Respond in JSON format:
   "recommendations": ["recommendation1", "recommendation2"]
 }`;
 
-      const response = await this.geminiService.generateContent(prompt);
-      const result = this.parseJSONResponse(response);
+      const { data: result, provenance } = await this.structuredOutput.generate(
+        'risk_assessment', prompt, this.outputOptions(caseData)
+      );
 
       return {
         ...result,
         analysis_type: 'risk_assessment',
-        model_used: this.models.RISK_ASSESSMENT,
+        model_used: provenance.model || this.models.RISK_ASSESSMENT,
+        provenance_id: provenance.id,
         generated_at: new Date().toISOString()
       };
 
@@ -376,13 +410,15 @@ Respond in JSON format:
   ]
 }`;
 
-      const response = await this.geminiService.generateContent(prompt);
-      const result = this.parseJSONResponse(response);
+      const { data: result, provenance } = await this.structuredOutput.generate(
+        'legal_strategy', prompt, this.outputOptions(caseData)
+      );
 
       return {
         ...result,
         analysis_type: 'strategy_recommendation',
-        model_used: this.models.ENSEMBLE_ANALYSIS,
+        model_used: provenance.model || this.models.ENSEMBLE_ANALYSIS,
+        provenance_id: provenance.id,
         generated_at: new Date().toISOString()
       };
 
@@ -446,13 +482,15 @@ Respond in JSON format:
   "quality_score": number
 }`;
 
-      const response = await this.geminiService.generateContent(prompt);
-      const result = this.parseJSONResponse(response);
+      const { data: result, provenance } = await this.structuredOutput.generate(
+        'ensemble_analysis', prompt, this.outputOptions(analysisData.caseData)
+      );
 
       return {
         ...result,
         analysis_type: 'ensemble_analysis',
-        model_used: this.models.ENSEMBLE_ANALYSIS,
+        model_used: provenance.model || this.models.ENSEMBLE_ANALYSIS,
+        provenance_id: provenance.id,
         generated_at: new Date().toISOString()
       };
 
@@ -462,6 +500,18 @@ Respond in JSON format:
     }
   }
 
+  /**
+   * Options for schema-validated generation; Gemini stays the preferred
+   * provider, as it was when these calls went through GeminiService
+   */
+  outputOptions(caseData = {}) {
+    return {
+      caseId: caseData.id || null,
+      caseType: caseData.case_type,
+      preferred: this.geminiService.preferredProvider
+    };
+  }
+
   /**
    * Get case data with evidence for analysis
    */
@@ -516,6 +566,14 @@ Respond in JSON format:
         throw new Error(`Failed to save analysis: ${error.message}`);
       }
 
+      await this.structuredOutput.linkToAnalysis([
+        analysisData.outcome_analysis?.provenance_id,
+        analysisData.precedent_analysis?.provenance_id,
+        analysisData.risk_assessment?.provenance_id,
+        analysisData.strategy_recommendation?.provenance_id,
+        analysisData.ensemble_result?.provenance_id
+      ], data.id);
+
       return data;
 
     } catch (error) {
@@ -550,29 +608,6 @@ Respond in JSON format:
     }
   }
 
-  /**
-   * Parse JSON response from AI with error handling
-   */
-  parseJSONResponse(response) {
-    try {
-      // Clean the response text
-      let jsonText = response.trim();
-      
-      // Remove code block markers if present
-      if (jsonText.startsWith('```json')) {
-        jsonText = jsonText.replace(/```json\n?/, '').replace(/\n?```$/, '');
-      } else if (jsonText.startsWith('```')) {
-        jsonText = jsonText.replace(/```\n?/, '').replace(/\n?```$/, '');
-      }
-
-      return JSON.parse(jsonText);
-    } catch (error) {
-      logger.error('Error parsing JSON response:', error);
-      logger.error('Raw response:', response);
-      throw new Error('Failed to parse AI response as JSON');
-    }
-  }
-
   /**
    * Calculate ensemble confidence score
    */
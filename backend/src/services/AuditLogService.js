@@ -0,0 +1,190 @@
+// Audit Log Service - append-only, hash-chained history of every case
+// Stage transitions, statement finalization, option selections, signatures,
+// court filings, timeline events and negotiation activity are appended to one
+// chain per case. Each entry's SHA-256 hash covers the previous entry's hash,
+// so any edit, deletion or reordering is detected by verify(). export()
+// produces the self-describing document included in court packages.
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const { createAuditLogStore, auditLogStoreKind, FileAuditLogStore } = require('../lib/auditLogStore');
+
+const GENESIS_HASH = '0'.repeat(64);
+const HASH_ALGORITHM = 'sha256';
+const EXPORT_FORMAT = 'case-audit-log/v1';
+
+// Fields covered by an entry's hash, in the order they are documented
+const HASHED_FIELDS = ['case_id', 'sequence', 'event_type', 'actor_id', 'payload', 'occurred_at', 'prev_hash'];
+
+// Attempts to claim the next sequence number when writers race
+const MAX_APPEND_ATTEMPTS = 5;
+
+// JSON with object keys sorted at every level, so that a payload read back
+// from JSONB (which reorders keys) hashes the same as the one written
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Timestamps come back from Postgres as '...+00:00'; hash the ISO form
+const normalizeTime = (value) => new Date(value).toISOString();
+
+function hashEntry(entry) {
+  const material = {
+    case_id: entry.case_id,
+    sequence: Number(entry.sequence),
+    event_type: entry.event_type,
+    actor_id: entry.actor_id || null,
+    payload: entry.payload || {},
+    occurred_at: normalizeTime(entry.occurred_at),
+    prev_hash: entry.prev_hash
+  };
+  return crypto.createHash(HASH_ALGORITHM).update(canonicalJson(material)).digest('hex');
+}
+
+class AuditLogService {
+  constructor(options = {}) {
+    this._store = options.store || null;
+  }
+
+  get store() {
+    if (!this._store) this._store = createAuditLogStore();
+    return this._store;
+  }
+
+  // Where entries are written, for startup checks and /health. Only the
+  // Postgres table (whose triggers refuse UPDATE and DELETE) is tamper-evident.
+  status() {
+    const kind = this._store
+      ? (this._store instanceof FileAuditLogStore ? 'file' : 'postgres')
+      : auditLogStoreKind();
+    const warnings = {
+      file: 'the audit log is kept in a local JSON file (AUDIT_LOG_STORE=file) and is not tamper-evident',
+      unconfigured: 'no audit log store is configured (set SUPABASE_URL, or AUDIT_LOG_STORE=file for local development); audit events are not recorded'
+    };
+    const store = kind || 'unconfigured';
+    return { store, tamperEvident: store === 'postgres', warning: warnings[store] || null };
+  }
+
+  // Append one event to the case chain and return the stored entry. Throws
+  // if the entry could not be written.
+  async append(caseId, eventType, { actorId = null, payload = {}, occurredAt } = {}) {
+    if (!caseId) throw new Error('caseId is required for an audit entry');
+    if (!eventType) throw new Error('eventType is required for an audit entry');
+
+    // Round-trip through JSON so the hash covers exactly what is stored
+    const storedPayload = JSON.parse(JSON.stringify(payload || {}));
+    const occurred = normalizeTime(occurredAt || Date.now());
+
+    for (let attempt = 1; ; attempt++) {
+      const head = await this.store.lastEntry(caseId);
+      const entry = {
+        id: crypto.randomUUID(),
+        case_id: caseId,
+        sequence: head ? Number(head.sequence) + 1 : 1,
+        event_type: eventType,
+        actor_id: actorId ? String(actorId) : null,
+        payload: storedPayload,
+        occurred_at: occurred,
+        prev_hash: head ? head.hash : GENESIS_HASH
+      };
+      entry.hash = hashEntry(entry);
+
+      try {
+        return await this.store.insert(entry);
+      } catch (error) {
+        if (error.code !== 'AUDIT_SEQUENCE_CONFLICT' || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  // append() for lifecycle hooks. Never throws: a failed audit write is
+  // logged loudly but must not undo the action it describes.
+  async record(caseId, eventType, details = {}) {
+    try {
+      return await this.append(caseId, eventType, details);
+    } catch (error) {
+      logger.error(`Failed to append audit event ${eventType} for case ${caseId}:`, error.message || error);
+      return null;
+    }
+  }
+
+  async list(caseId, { limit, offset } = {}) {
+    return this.store.list(caseId, { limit, offset });
+  }
+
+  // Walk the chain from the first entry. Reports every broken link rather
+  // than stopping at the first, so a reviewer can see the extent of damage.
+  async verify(caseId) {
+    const entries = await this.store.list(caseId);
+    return { caseId, ...this.verifyEntries(entries), verifiedAt: new Date().toISOString() };
+  }
+
+  verifyEntries(entries) {
+    const problems = [];
+    let expectedPrev = GENESIS_HASH;
+
+    entries.forEach((entry, index) => {
+      const sequence = Number(entry.sequence);
+      if (sequence !== index + 1) {
+        problems.push({ sequence, reason: 'sequence_gap', expected: index + 1 });
+      }
+      if (entry.prev_hash !== expectedPrev) {
+        problems.push({ sequence, reason: 'prev_hash_mismatch', expected: expectedPrev, actual: entry.prev_hash });
+      }
+      const recomputed = hashEntry(entry);
+      if (recomputed !== entry.hash) {
+        problems.push({ sequence, reason: 'hash_mismatch', expected: recomputed, actual: entry.hash });
+      }
+      expectedPrev = entry.hash;
+    });
+
+    return {
+      valid: problems.length === 0,
+      entryCount: entries.length,
+      headHash: entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH,
+      problems
+    };
+  }
+
+  // Self-contained export: the entries plus everything needed to re-verify
+  // them without this codebase
+  async export(caseId) {
+    const entries = await this.store.list(caseId);
+    const verification = this.verifyEntries(entries);
+
+    return {
+      format: EXPORT_FORMAT,
+      caseId,
+      exportedAt: new Date().toISOString(),
+      hashAlgorithm: HASH_ALGORITHM,
+      genesisHash: GENESIS_HASH,
+      hashedFields: HASHED_FIELDS,
+      canonicalization: 'JSON of the hashed fields with object keys sorted at every level, no whitespace; ' +
+        'occurred_at as an ISO 8601 UTC timestamp with milliseconds; actor_id null when absent',
+      headHash: verification.headHash,
+      entryCount: verification.entryCount,
+      verification: { valid: verification.valid, problems: verification.problems },
+      entries: entries.map(entry => ({
+        sequence: Number(entry.sequence),
+        event_type: entry.event_type,
+        actor_id: entry.actor_id || null,
+        occurred_at: normalizeTime(entry.occurred_at),
+        payload: entry.payload || {},
+        prev_hash: entry.prev_hash,
+        hash: entry.hash
+      }))
+    };
+  }
+}
+
+module.exports = new AuditLogService();
+module.exports.AuditLogService = AuditLogService;
+module.exports.hashEntry = hashEntry;
+module.exports.canonicalJson = canonicalJson;
+module.exports.GENESIS_HASH = GENESIS_HASH;
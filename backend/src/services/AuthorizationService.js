@@ -0,0 +1,218 @@
+// Authorization Service - the one place that decides who may do what on a case
+// A user's roles on a case come from case_parties (complainant, respondent,
+// counsel, mediator, observer, stakeholder) and from having filed it.
+// Stakeholders are insurers, guarantors and similar parties who have a say in
+// a settlement without being a principal party to the dispute. Platform admins are
+// listed in ADMIN_USER_IDS or carry the admin role on their user row.
+// Routes call it through middleware/authorize.js; services call can() or
+// authorize() directly.
+const HttpError = require('../lib/HttpError');
+const logger = require('../lib/logger');
+
+const ROLES = ['complainant', 'respondent', 'counsel', 'mediator', 'observer', 'stakeholder', 'admin'];
+
+// case_parties.role / party_type spellings used across the schema versions
+const PARTY_ROLE_ALIASES = {
+  complainant: 'complainant',
+  claimant: 'complainant',
+  plaintiff: 'complainant',
+  petitioner: 'complainant',
+  co_complainant: 'complainant',
+  co_claimant: 'complainant',
+  respondent: 'respondent',
+  defendant: 'respondent',
+  co_respondent: 'respondent',
+  co_defendant: 'respondent',
+  counsel: 'counsel',
+  lawyer: 'counsel',
+  advocate: 'counsel',
+  attorney: 'counsel',
+  mediator: 'mediator',
+  arbitrator: 'mediator',
+  observer: 'observer',
+  witness: 'observer',
+  stakeholder: 'stakeholder',
+  insurer: 'stakeholder',
+  guarantor: 'stakeholder',
+  surety: 'stakeholder'
+};
+
+const PARTIES = ['complainant', 'respondent', 'counsel'];
+const EVERYONE = [...PARTIES, 'mediator', 'observer', 'stakeholder', 'admin'];
+
+// action -> roles allowed to perform it on a case
+const POLICY = {
+  'case:view': EVERYONE,
+  'case:update': ['complainant', 'counsel', 'mediator', 'admin'],
+  'case:manage_parties': ['complainant', 'counsel', 'mediator', 'admin'],
+  'case:close': [...PARTIES, 'mediator', 'admin'],
+  'case:withdraw': ['complainant', 'counsel', 'admin'],
+  'workflow:manage': ['complainant', 'mediator', 'admin'],
+  'workflow:mediate': ['mediator', 'admin'],
+  'statement:view': EVERYONE,
+  'statement:submit': PARTIES,
+  'evidence:view': EVERYONE,
+  'evidence:upload': [...PARTIES, 'mediator'],
+  'evidence:delete': [...PARTIES, 'admin'],
+  'evidence:process': [...PARTIES, 'mediator', 'admin'],
+  'analysis:view': EVERYONE,
+  'analysis:run': [...PARTIES, 'mediator', 'admin'],
+  'settlement:view': EVERYONE,
+  'settlement:propose': [...PARTIES, 'stakeholder', 'mediator'],
+  'settlement:respond': [...PARTIES, 'stakeholder'],
+  'settlement:sign': ['complainant', 'respondent'],
+  'document:view': EVERYONE,
+  'document:generate': [...PARTIES, 'mediator', 'admin'],
+  'document:delete': ['complainant', 'counsel', 'mediator', 'admin'],
+  'court:view': EVERYONE,
+  'court:file': ['complainant', 'counsel', 'mediator', 'admin']
+};
+
+const ACTIONS = Object.keys(POLICY);
+
+// Tables whose rows belong to a case, for checks that start from a child id
+const RESOURCE_TABLES = {
+  evidence: 'evidence',
+  statement: 'case_statements',
+  legacy_statement: 'statements',
+  document: 'generated_documents',
+  case_document: 'case_documents',
+  analysis: 'ai_analysis',
+  filing: 'court_filings',
+  signature: 'digital_signatures',
+  invitation: 'case_invitations',
+  negotiation: 'negotiation_sessions',
+  proposal: 'settlement_proposals',
+  signing_envelope: 'signing_envelopes'
+};
+
+const userIdOf = (user) => (user && typeof user === 'object' ? user.sub || user.id : user) || null;
+
+class AuthorizationService {
+  constructor(options = {}) {
+    this._supabase = options.supabase || null;
+  }
+
+  get supabase() {
+    if (!this._supabase) this._supabase = require('../lib/supabaseClient').supabase;
+    return this._supabase;
+  }
+
+  allowedRoles(action) {
+    const roles = POLICY[action];
+    if (!roles) throw new Error(`Unknown authorization action '${action}'`);
+    return roles;
+  }
+
+  // Accepts a user id or a req.user object (requireAuth sets `sub`, the
+  // authenticate middleware sets `id` and the user row's `role`)
+  isAdmin(user) {
+    const userId = userIdOf(user);
+    if (!userId) return false;
+    if (user && typeof user === 'object' && user.role === 'admin') return true;
+    const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return adminIds.includes(String(userId));
+  }
+
+  // Canonical role of a case_parties row, or null for unknown spellings
+  partyRole(party) {
+    const spelling = String(party.role || party.party_role || party.party_type || '').toLowerCase().replace(/[\s-]+/g, '_');
+    return PARTY_ROLE_ALIASES[spelling] || null;
+  }
+
+  // { exists, roles } for the user on the case. The filer is a complainant.
+  async rolesFor(user, caseId) {
+    const userId = userIdOf(user);
+    const roles = new Set();
+    if (this.isAdmin(user)) roles.add('admin');
+    if (!userId || !caseId) return { exists: false, roles: [...roles] };
+
+    const [{ data: caseRow, error: caseError }, { data: parties, error: partyError }] = await Promise.all([
+      this.supabase.from('cases').select('*').eq('id', caseId).maybeSingle(),
+      this.supabase.from('case_parties').select('*').eq('case_id', caseId).eq('user_id', userId)
+    ]);
+    if (caseError) throw new Error(`Failed to load case ${caseId}: ${caseError.message}`);
+    if (partyError) throw new Error(`Failed to load parties of case ${caseId}: ${partyError.message}`);
+    if (!caseRow) return { exists: false, roles: [...roles] };
+
+    if ([caseRow.filed_by, caseRow.created_by].includes(userId)) roles.add('complainant');
+    if (caseRow.mediator_id && caseRow.mediator_id === userId) roles.add('mediator');
+    for (const party of parties || []) {
+      const role = this.partyRole(party);
+      if (role) roles.add(role);
+    }
+    return { exists: true, roles: [...roles] };
+  }
+
+  async can(user, action, caseId) {
+    try {
+      await this.authorize(user, action, caseId);
+      return true;
+    } catch (error) {
+      if (!(error instanceof HttpError)) logger.warn(`Authorization check failed for ${action} on case ${caseId}:`, error.message);
+      return false;
+    }
+  }
+
+  // Resolves with the user's roles on the case, or rejects with a 404 (no
+  // such case) or 403 (not allowed) HttpError
+  async authorize(user, action, caseId) {
+    const allowed = this.allowedRoles(action);
+    if (!userIdOf(user)) throw new HttpError(401, 'unauthenticated', 'Authentication required');
+
+    const { exists, roles } = await this.rolesFor(user, caseId);
+    if (!exists) throw new HttpError(404, 'case_not_found', 'Case not found');
+    if (!roles.some(role => allowed.includes(role))) {
+      throw new HttpError(403, 'forbidden', roles.length > 0
+        ? `Your role on this case does not allow ${action}`
+        : 'You are not a party to this case');
+    }
+    return roles;
+  }
+
+  // Case id a child row (evidence, document, filing...) belongs to, or null
+  async caseIdFor(resource, id) {
+    const table = RESOURCE_TABLES[resource];
+    if (!table) throw new Error(`Unknown authorization resource '${resource}'`);
+    if (!id) return null;
+
+    const { data, error } = await this.supabase.from(table).select('case_id').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Failed to load ${resource} ${id}: ${error.message}`);
+    return data ? data.case_id : null;
+  }
+
+  // authorize() for a child row; unknown rows are reported as not found
+  async authorizeResource(user, action, resource, id) {
+    const caseId = await this.caseIdFor(resource, id);
+    if (!caseId) throw new HttpError(404, `${resource}_not_found`, `${resource.replace(/_/g, ' ')} not found`);
+    const roles = await this.authorize(user, action, caseId);
+    return { caseId, roles };
+  }
+
+  // Ids of every case the user has any role on (filed or joined)
+  async accessibleCaseIds(user) {
+    const userId = userIdOf(user);
+    if (!userId) return [];
+
+    const [{ data: memberships, error: partyError }, ...filed] = await Promise.all([
+      this.supabase.from('case_parties').select('case_id').eq('user_id', userId),
+      // older rows record the filer in created_by, newer ones in filed_by
+      this.supabase.from('cases').select('id').eq('filed_by', userId),
+      this.supabase.from('cases').select('id').eq('created_by', userId)
+    ]);
+    if (partyError) throw new Error(`Failed to load case memberships: ${partyError.message}`);
+    if (filed.every(result => result.error)) throw new Error(`Failed to load filed cases: ${filed[0].error.message}`);
+
+    return [...new Set([
+      ...(memberships || []).map(m => m.case_id),
+      ...filed.flatMap(result => (result.data || []).map(c => c.id))
+    ])];
+  }
+}
+
+module.exports = new AuthorizationService();
+module.exports.AuthorizationService = AuthorizationService;
+module.exports.ROLES = ROLES;
+module.exports.ACTIONS = ACTIONS;
+module.exports.POLICY = POLICY;
+module.exports.RESOURCE_TABLES = RESOURCE_TABLES;
@@ -0,0 +1,345 @@
+// Calendar Service - Business-day and holiday-aware deadline arithmetic
+//
+// Jurisdiction calendars live in backend/calendars/<code>.json:
+//   {
+//     "code": "IN-MH", "name": "Maharashtra", "extends": "IN",
+//     "timezone": "Asia/Kolkata", "aliases": ["maharashtra", "mumbai"],
+//     "businessHours": { "days": [1, 2, 3, 4, 5], "open": "10:00", "close": "17:00" },
+//     "holidays": [{ "date": "2025-10-22", "name": "Diwali (Balipratipada)" }],
+//     "closures": [{ "from": "2025-05-19", "to": "2025-06-06", "name": "Summer vacation" }]
+//   }
+// A calendar that extends another inherits its time zone, business hours,
+// holidays and closures and adds its own.
+//
+// Deadline rules:
+//   - the clock only runs on business days; weekends, holidays and closures
+//     in the jurisdiction's calendar are skipped entirely
+//   - a deadline that lands outside business hours moves to the close of the
+//     next business-hours window, evaluated in each party's time zone; the
+//     latest result wins so no party loses time to a time-zone difference
+const fs = require('fs');
+const path = require('path');
+const logger = require('../lib/logger');
+
+const DEFAULT_DIR = path.join(__dirname, '../../calendars');
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MAX_DAYS_SCANNED = 3660;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) parts[type] = value;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[parts.weekday],
+    time: `${parts.hour}:${parts.minute}`,
+    offsetMs: Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) -
+      Math.floor(date.getTime() / 1000) * 1000
+  };
+}
+
+// The instant at which the wall clock in timeZone shows dateStr timeStr
+function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const [hh, mm] = timeStr.split(':').map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, hh, mm);
+  let utc = wallClock;
+  // Two passes settle the offset across DST changes
+  for (let i = 0; i < 2; i++) {
+    utc = wallClock - zonedParts(new Date(utc), timeZone).offsetMs;
+  }
+  return new Date(utc);
+}
+
+function shiftDate(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+class CalendarService {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.CALENDAR_DIR || DEFAULT_DIR;
+    this.defaultJurisdiction = options.defaultJurisdiction || process.env.DEFAULT_JURISDICTION || 'IN';
+    this.calendars = null;
+  }
+
+  // Validate one calendar file; inheritance is resolved after all are read
+  compile(raw, source = 'calendar') {
+    if (!raw.code) throw new Error(`${source}: code is required`);
+    if (raw.timezone && !isValidTimeZone(raw.timezone)) {
+      throw new Error(`${source}: unknown time zone "${raw.timezone}"`);
+    }
+    if (raw.businessHours) {
+      const { days, open, close } = raw.businessHours;
+      const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+      if (!Array.isArray(days) || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        throw new Error(`${source}: businessHours.days must be weekday numbers 0-6`);
+      }
+      if (!time.test(open) || !time.test(close) || open >= close) {
+        throw new Error(`${source}: businessHours open/close must be HH:MM with open before close`);
+      }
+    }
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    for (const holiday of raw.holidays || []) {
+      if (!isDate(holiday.date)) throw new Error(`${source}: invalid holiday date "${holiday.date}"`);
+    }
+    for (const closure of raw.closures || []) {
+      if (!isDate(closure.from) || !isDate(closure.to) || closure.from > closure.to) {
+        throw new Error(`${source}: invalid closure ${closure.from}..${closure.to}`);
+      }
+    }
+    return raw;
+  }
+
+  load() {
+    const raws = new Map();
+    const files = fs.existsSync(this.dir) ? fs.readdirSync(this.dir).filter(f => f.endsWith('.json')) : [];
+    for (const file of files.sort()) {
+      const raw = this.compile(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')), file);
+      raws.set(raw.code, raw);
+    }
+
+    const resolve = (code, seen = []) => {
+      const raw = raws.get(code);
+      if (!raw) throw new Error(`Calendar ${seen[seen.length - 1]} extends unknown calendar "${code}"`);
+      if (seen.includes(code)) throw new Error(`Calendar inheritance cycle: ${[...seen, code].join(' -> ')}`);
+      const parent = raw.extends ? resolve(raw.extends, [...seen, code]) : null;
+
+      const holidays = new Map(parent ? parent.holidays : []);
+      (raw.holidays || []).forEach(h => holidays.set(h.date, h.name));
+
+      const calendar = {
+        code: raw.code,
+        name: raw.name || raw.code,
+        timezone: raw.timezone || (parent && parent.timezone) || 'UTC',
+        aliases: (raw.aliases || []).map(a => a.toLowerCase()),
+        businessHours: raw.businessHours || (parent && parent.businessHours) || { days: [1, 2, 3, 4, 5], open: '09:00', close: '17:00' },
+        holidays,
+        closures: [...(parent ? parent.closures : []), ...(raw.closures || [])]
+      };
+      if (!isValidTimeZone(calendar.timezone)) throw new Error(`Calendar ${code}: unknown time zone "${calendar.timezone}"`);
+      return calendar;
+    };
+
+    const calendars = new Map();
+    for (const code of raws.keys()) calendars.set(code, resolve(code));
+
+    this.calendars = calendars;
+    logger.info(`Loaded ${calendars.size} jurisdiction calendar(s) from ${this.dir}`);
+    return calendars;
+  }
+
+  all() {
+    return [...(this.calendars || this.load()).values()];
+  }
+
+  // Match a calendar by code or alias. Free-text jurisdictions such as
+  // "Maharashtra, Goa" are tried part by part; unknown ones get the default.
+  getCalendar(jurisdiction) {
+    const calendars = this.calendars || this.load();
+    const candidates = String(jurisdiction || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+
+    for (const candidate of candidates) {
+      if (calendars.has(candidate.toUpperCase())) return calendars.get(candidate.toUpperCase());
+      const byAlias = [...calendars.values()].find(c => c.aliases.includes(candidate.toLowerCase()));
+      if (byAlias) return byAlias;
+    }
+
+    const fallback = calendars.get(this.defaultJurisdiction);
+    if (!fallback) throw new Error(`Default calendar "${this.defaultJurisdiction}" is missing`);
+    return fallback;
+  }
+
+  // Holiday or closure name for a local date (YYYY-MM-DD), or null
+  holidayOn(dateStr, calendar) {
+    if (calendar.holidays.has(dateStr)) return calendar.holidays.get(dateStr);
+    const closure = calendar.closures.find(c => dateStr >= c.from && dateStr <= c.to);
+    return closure ? closure.name : null;
+  }
+
+  isBusinessDate(dateStr, calendar) {
+    return calendar.businessHours.days.includes(weekdayOf(dateStr)) && !this.holidayOn(dateStr, calendar);
+  }
+
+  getHoliday(date, { jurisdiction } = {}) {
+    const calendar = this.getCalendar(jurisdiction);
+    return this.holidayOn(zonedParts(new Date(date), calendar.timezone).date, calendar);
+  }
+
+  isBusinessDay(date, { jurisdiction } = {}) {
+    const calendar = this.getCalendar(jurisdiction);
+    return this.isBusinessDate(zonedParts(new Date(date), calendar.timezone).date, calendar);
+  }
+
+  // Move forward to the close of the next business-hours window in timeZone,
+  // unless the instant is already inside one
+  alignToBusinessHours(date, calendar, timeZone = calendar.timezone) {
+    const { open, close } = calendar.businessHours;
+    let day = zonedParts(date, timeZone).date;
+
+    for (let i = 0; i < MAX_DAYS_SCANNED; i++, day = shiftDate(day, 1)) {
+      if (!this.isBusinessDate(day, calendar)) continue;
+      const closesAt = zonedTimeToUtc(day, close, timeZone);
+      if (date > closesAt) continue;
+      return date >= zonedTimeToUtc(day, open, timeZone) ? date : closesAt;
+    }
+    throw new Error(`Calendar ${calendar.code} has no business day within ${MAX_DAYS_SCANNED} days`);
+  }
+
+  // Add hours that only elapse on business days, then align to business hours
+  addBusinessHours(start, hours, { jurisdiction, timeZones = [] } = {}) {
+    const calendar = this.getCalendar(jurisdiction);
+    let cursor = new Date(start).getTime();
+    let remaining = hours * HOUR_MS;
+
+    for (let i = 0; remaining > 0; i++) {
+      if (i > MAX_DAYS_SCANNED) throw new Error(`Calendar ${calendar.code} has no business day within ${MAX_DAYS_SCANNED} days`);
+      const day = zonedParts(new Date(cursor), calendar.timezone).date;
+      const dayEnd = zonedTimeToUtc(shiftDate(day, 1), '00:00', calendar.timezone).getTime();
+      if (this.isBusinessDate(day, calendar)) {
+        const chunk = Math.min(remaining, dayEnd - cursor);
+        cursor += chunk;
+        remaining -= chunk;
+      } else {
+        cursor = dayEnd;
+      }
+    }
+
+    return this.alignForParties(new Date(cursor), calendar, timeZones);
+  }
+
+  // Inverse of the day-skipping part of addBusinessHours; used for reminders
+  subtractBusinessHours(end, hours, { jurisdiction } = {}) {
+    const calendar = this.getCalendar(jurisdiction);
+    let cursor = new Date(end).getTime();
+    let remaining = hours * HOUR_MS;
+
+    for (let i = 0; remaining > 0; i++) {
+      if (i > MAX_DAYS_SCANNED) throw new Error(`Calendar ${calendar.code} has no business day within ${MAX_DAYS_SCANNED} days`);
+      // Millisecond before the cursor decides which local day we are in
+      const day = zonedParts(new Date(cursor - 1), calendar.timezone).date;
+      const dayStart = zonedTimeToUtc(day, '00:00', calendar.timezone).getTime();
+      if (this.isBusinessDate(day, calendar)) {
+        const chunk = Math.min(remaining, cursor - dayStart);
+        cursor -= chunk;
+        remaining -= chunk;
+      } else {
+        cursor = dayStart;
+      }
+    }
+
+    return new Date(cursor);
+  }
+
+  // Close of business on the n-th business day after start
+  addBusinessDays(start, days, { jurisdiction } = {}) {
+    const calendar = this.getCalendar(jurisdiction);
+    let day = zonedParts(new Date(start), calendar.timezone).date;
+    let counted = 0;
+
+    for (let i = 0; counted < days; i++) {
+      if (i > MAX_DAYS_SCANNED) throw new Error(`Calendar ${calendar.code} has no business day within ${MAX_DAYS_SCANNED} days`);
+      day = shiftDate(day, 1);
+      if (this.isBusinessDate(day, calendar)) counted++;
+    }
+
+    return zonedTimeToUtc(day, calendar.businessHours.close, calendar.timezone);
+  }
+
+  // The given date if it is a business day, otherwise the next one (close of business)
+  nextBusinessDay(date, { jurisdiction } = {}) {
+    const calendar = this.getCalendar(jurisdiction);
+    let day = zonedParts(new Date(date), calendar.timezone).date;
+    for (let i = 0; !this.isBusinessDate(day, calendar); i++) {
+      if (i > MAX_DAYS_SCANNED) throw new Error(`Calendar ${calendar.code} has no business day within ${MAX_DAYS_SCANNED} days`);
+      day = shiftDate(day, 1);
+    }
+    return zonedTimeToUtc(day, calendar.businessHours.close, calendar.timezone);
+  }
+
+  // YYYY-MM-DD in the jurisdiction's time zone
+  formatDate(date, { jurisdiction } = {}) {
+    return zonedParts(new Date(date), this.getCalendar(jurisdiction).timezone).date;
+  }
+
+  alignForParties(date, calendar, timeZones) {
+    const zones = [...new Set(timeZones.filter(isValidTimeZone))];
+    if (zones.length === 0) zones.push(calendar.timezone);
+    return new Date(Math.max(...zones.map(tz => this.alignToBusinessHours(date, calendar, tz).getTime())));
+  }
+
+  // Jurisdiction and party time zones for a case; missing data falls back to
+  // the default calendar and its time zone
+  async getCaseContext(caseId) {
+    try {
+      const Case = require('../models/Case');
+      const CaseParty = require('../models/CaseParty');
+      const { supabase } = require('../lib/supabaseClient');
+
+      const caseData = await Case.findById(caseId);
+      const parties = await CaseParty.findAll({ case_id: caseId });
+      const userIds = [caseData && caseData.filed_by, ...parties.map(p => p.user_id)].filter(Boolean);
+
+      let timeZones = [];
+      if (userIds.length > 0) {
+        const { data } = await supabase.from('users').select('id, timezone').in('id', [...new Set(userIds)]);
+        timeZones = (data || []).map(u => u.timezone).filter(Boolean);
+      }
+
+      return { jurisdiction: caseData ? caseData.jurisdiction : null, timeZones };
+    } catch (error) {
+      logger.warn(`Falling back to default calendar for case ${caseId}: ${error.message}`);
+      return { jurisdiction: null, timeZones: [] };
+    }
+  }
+
+  // Deadline `hours` business hours from `from` for a case
+  async deadlineForCase(caseId, hours, from = new Date()) {
+    const context = await this.getCaseContext(caseId);
+    return this.addBusinessHours(from, hours, context);
+  }
+}
+
+module.exports = new CalendarService();
+module.exports.CalendarService = CalendarService;
+module.exports.zonedParts = zonedParts;
+module.exports.zonedTimeToUtc = zonedTimeToUtc;
+module.exports.shiftDate = shiftDate;
+module.exports.isValidTimeZone = isValidTimeZone;
@@ -1,11 +1,191 @@
 // Consensus Detection and Re-analysis Service
+// Every party with a say in the settlement votes by selecting an option:
+// complainants, respondents (including co-parties) and stakeholders such as
+// insurers or guarantors. Counsel, mediators and observers do not vote. Each
+// case has a consensus rule (cases.consensus_rule):
+//   unanimous            every voting party selects the same option (default)
+//   principal_unanimous  every principal party agrees; the others are advisory
+//   weighted             one option is backed by at least `threshold` of the
+//                        total voting weight
+// Principal parties are complainants and respondents unless the rule names
+// them; weights default to 1. When everyone who counts has chosen but the
+// rule is not met, a compromise is generated from all divergent selections.
 const logger = require('../lib/logger');
 const { supabaseAdmin } = require('../lib/supabaseClient');
+const HttpError = require('../lib/HttpError');
 const SettlementAIService = require('./SettlementAIService');
 const NotificationService = require('./NotificationService');
 const DisputeWorkflowService = require('./DisputeWorkflowService');
+const AuditLogService = require('./AuditLogService');
+const AuthorizationService = require('./AuthorizationService');
+
+const CONSENSUS_MODES = ['unanimous', 'principal_unanimous', 'weighted'];
+const VOTING_ROLES = ['complainant', 'respondent', 'stakeholder'];
+const PRINCIPAL_ROLES = ['complainant', 'respondent'];
+const DEFAULT_RULE = { mode: 'unanimous', threshold: 2 / 3, principals: null, weights: {} };
 
 class ConsensusService {
+  constructor(options = {}) {
+    this.supabase = options.supabase || supabaseAdmin;
+  }
+
+  /**
+   * The case's rule with defaults filled in
+   */
+  normalizeRule(rule) {
+    const merged = { ...DEFAULT_RULE, ...(rule || {}) };
+    return {
+      mode: CONSENSUS_MODES.includes(merged.mode) ? merged.mode : DEFAULT_RULE.mode,
+      threshold: Number(merged.threshold) || DEFAULT_RULE.threshold,
+      principals: Array.isArray(merged.principals) ? merged.principals.map(String) : null,
+      weights: merged.weights || {}
+    };
+  }
+
+  /**
+   * Validate and store a case's consensus rule. Set by a mediator or admin
+   * (route policy workflow:mediate) before voting starts: once any party has
+   * selected or ranked an option the rule is fixed, so it cannot be tuned to
+   * the votes on file.
+   * rule: { mode, threshold (weighted: share of voting weight, above 0.5),
+   *         principals: [userId] (principal_unanimous), weights: { userId: weight } }
+   */
+  async setConsensusRule(caseId, rule = {}, actorId = null) {
+    if (!CONSENSUS_MODES.includes(rule.mode)) {
+      throw new HttpError(400, 'invalid_consensus_rule', `mode must be one of: ${CONSENSUS_MODES.join(', ')}`);
+    }
+    if (rule.threshold !== undefined && !(Number(rule.threshold) > 0.5 && Number(rule.threshold) <= 1)) {
+      throw new HttpError(400, 'invalid_consensus_rule', 'threshold must be above 0.5 and at most 1');
+    }
+    if (rule.principals !== undefined && rule.principals !== null &&
+        (!Array.isArray(rule.principals) || rule.principals.length === 0)) {
+      throw new HttpError(400, 'invalid_consensus_rule', 'principals must be a non-empty list of user ids');
+    }
+    for (const [userId, weight] of Object.entries(rule.weights || {})) {
+      if (!(Number(weight) > 0)) {
+        throw new HttpError(400, 'invalid_consensus_rule', `weight of ${userId} must be a positive number`);
+      }
+    }
+
+    if (await this.votingStarted(caseId)) {
+      throw new HttpError(409, 'consensus_rule_locked', 'The consensus rule cannot change once a party has selected or ranked an option');
+    }
+
+    const voters = await this.getVoters(caseId);
+    const voterIds = new Set(voters.map(v => v.userId));
+    const unknown = [...(rule.principals || []), ...Object.keys(rule.weights || {})].filter(id => !voterIds.has(String(id)));
+    if (unknown.length > 0) {
+      throw new HttpError(400, 'invalid_consensus_rule', `Not voting parties on this case: ${[...new Set(unknown)].join(', ')}`);
+    }
+
+    const stored = {
+      mode: rule.mode,
+      threshold: rule.threshold !== undefined ? Number(rule.threshold) : DEFAULT_RULE.threshold,
+      principals: rule.principals ? rule.principals.map(String) : null,
+      weights: Object.fromEntries(Object.entries(rule.weights || {}).map(([id, w]) => [id, Number(w)]))
+    };
+
+    const { error } = await this.supabase.from('cases').update({ consensus_rule: stored }).eq('id', caseId);
+    if (error) throw new Error(`Failed to save consensus rule: ${error.message}`);
+
+    await AuditLogService.record(caseId, 'settlement.consensus_rule_set', { actorId, payload: stored });
+    return { rule: stored };
+  }
+
+  // Whether any party has selected (selectOption) or ranked
+  // (SettlementPreferenceService) an option on the case
+  async votingStarted(caseId) {
+    for (const table of ['party_option_selections', 'party_option_preferences']) {
+      const { data, error } = await this.supabase.from(table).select('user_id').eq('case_id', caseId);
+      if (error) throw new Error(`Failed to check ${table}: ${error.message}`);
+      if ((data || []).length > 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Voting parties of a case: { userId, role, principal, weight }, plus the rule
+   */
+  async getVoters(caseId) {
+    return (await this.loadCase(caseId)).voters;
+  }
+
+  async loadCase(caseId) {
+    const [{ data: caseRow, error: caseError }, { data: parties, error: partyError }] = await Promise.all([
+      this.supabase.from('cases').select('*').eq('id', caseId).maybeSingle(),
+      this.supabase.from('case_parties').select('*').eq('case_id', caseId)
+    ]);
+    if (caseError) throw new Error(`Failed to load case ${caseId}: ${caseError.message}`);
+    if (partyError) throw new Error(`Failed to load parties of case ${caseId}: ${partyError.message}`);
+
+    const rule = this.normalizeRule(caseRow && caseRow.consensus_rule);
+    const roles = new Map();
+    const filer = caseRow && (caseRow.filed_by || caseRow.created_by);
+    if (filer) roles.set(String(filer), 'complainant');
+    for (const party of parties || []) {
+      const role = AuthorizationService.partyRole(party);
+      // invited parties vote once they have joined
+      if (!party.user_id || !VOTING_ROLES.includes(role)) continue;
+      if (!roles.has(String(party.user_id))) roles.set(String(party.user_id), role);
+    }
+
+    const voters = [...roles.entries()].map(([userId, role]) => ({
+      userId,
+      role,
+      principal: rule.principals ? rule.principals.includes(userId) : PRINCIPAL_ROLES.includes(role),
+      weight: Number(rule.weights[userId]) || 1
+    }));
+    return { caseRow, rule, voters };
+  }
+
+  /**
+   * Apply a consensus rule to the latest selection of each voter.
+   * Returns { consensus, reason, optionId, mode, threshold, tally, pending,
+   * divergentOptionIds }; tally is per option, most weight first.
+   */
+  evaluate(voters, selections, rule) {
+    const { mode, threshold } = this.normalizeRule(rule);
+    const counted = mode === 'principal_unanimous' ? voters.filter(v => v.principal) : voters;
+    const latest = new Map();
+    for (const selection of [...selections].sort((a, b) => new Date(a.selected_at) - new Date(b.selected_at))) {
+      latest.set(String(selection.user_id), selection);
+    }
+
+    const tallies = new Map();
+    const pending = [];
+    let totalWeight = 0;
+    for (const voter of counted) {
+      totalWeight += voter.weight;
+      const selection = latest.get(voter.userId);
+      if (!selection) {
+        pending.push(voter.userId);
+        continue;
+      }
+      const entry = tallies.get(selection.option_id) || { optionId: selection.option_id, weight: 0, userIds: [] };
+      entry.weight += voter.weight;
+      entry.userIds.push(voter.userId);
+      tallies.set(selection.option_id, entry);
+    }
+
+    const tally = [...tallies.values()]
+      .map(entry => ({ ...entry, share: totalWeight > 0 ? entry.weight / totalWeight : 0 }))
+      .sort((a, b) => b.weight - a.weight);
+    const result = { mode, threshold, tally, pending, divergentOptionIds: tally.map(t => t.optionId) };
+    const leader = tally[0];
+
+    if (counted.length === 0) return { ...result, consensus: false, reason: 'no_voting_parties', optionId: null };
+
+    if (mode === 'weighted') {
+      if (leader && leader.share >= threshold - 1e-9) return { ...result, consensus: true, reason: 'threshold_met', optionId: leader.optionId };
+      if (pending.length > 0) return { ...result, consensus: false, reason: 'waiting_for_selections', optionId: null };
+      return { ...result, consensus: false, reason: 'different_selections', optionId: null };
+    }
+
+    if (pending.length > 0) return { ...result, consensus: false, reason: 'waiting_for_selections', optionId: null };
+    if (tally.length === 1) return { ...result, consensus: true, reason: 'unanimous', optionId: leader.optionId };
+    return { ...result, consensus: false, reason: 'different_selections', optionId: null };
+  }
+
   /**
    * Record party's option selection
    */
@@ -13,20 +193,15 @@ class ConsensusService {
     try {
       logger.info('Recording option selection', { caseId, userId, optionId });
 
-      // Get party role
-      const { data: party, error: partyError } = await supabaseAdmin
-        .from('case_parties')
-        .select('party_role')
-        .eq('case_id', caseId)
-        .eq('user_id', userId)
-        .single();
-
-      if (partyError || !party) {
-        throw new Error('User is not a party in this case');
+      // Only voting parties select options
+      const voters = await this.getVoters(caseId);
+      const voter = voters.find(v => v.userId === String(userId));
+      if (!voter) {
+        throw new HttpError(403, 'not_a_voting_party', 'User is not a voting party in this case');
       }
 
       // Check if option exists
-      const { data: option, error: optionError } = await supabaseAdmin
+      const { data: option, error: optionError } = await this.supabase
         .from('settlement_options')
         .select('*')
         .eq('option_id', optionId)
@@ -38,12 +213,12 @@ class ConsensusService {
       }
 
       // Record selection
-      const { data: selection, error: selectError } = await supabaseAdmin
+      const { data: selection, error: selectError } = await this.supabase
         .from('party_option_selections')
         .upsert({
           case_id: caseId,
           user_id: userId,
-          party_role: party.party_role,
+          party_role: voter.role,
           option_id: optionId,
           selection_comments: comments,
           selected_at: new Date().toISOString()
@@ -59,6 +234,11 @@ class ConsensusService {
 
       logger.info('Option selection recorded', { selectionId: selection.selection_id });
 
+      await AuditLogService.record(caseId, 'settlement.option_selected', {
+        actorId: userId,
+        payload: { optionId, partyRole: voter.role, comments }
+      });
+
       // Check for consensus
       await this.checkConsensus(caseId);
 
@@ -71,14 +251,15 @@ class ConsensusService {
   }
 
   /**
-   * Check if both parties have reached consensus
+   * Check whether the parties have reached consensus under the case's rule
    */
   async checkConsensus(caseId) {
     try {
       logger.info('Checking for consensus', { caseId });
 
-      // Get all party selections
-      const { data: selections, error } = await supabaseAdmin
+      const { rule, voters } = await this.loadCase(caseId);
+
+      const { data: selections, error } = await this.supabase
         .from('party_option_selections')
         .select('*')
         .eq('case_id', caseId)
@@ -88,75 +269,67 @@ class ConsensusService {
         throw new Error('Failed to retrieve selections');
       }
 
-      // Need selections from both parties
-      if (selections.length < 2) {
-        logger.info('Waiting for both parties to select options', { caseId });
-        return { consensus: false, reason: 'waiting_for_selections' };
-      }
-
-      // Get latest selection from each party
-      const complainantSelection = selections.find(s => s.party_role === 'complainant');
-      const respondentSelection = selections.find(s => s.party_role === 'respondent');
+      const outcome = this.evaluate(voters, selections || [], rule);
 
-      if (!complainantSelection || !respondentSelection) {
-        return { consensus: false, reason: 'missing_party_selection' };
-      }
-
-      // Check if they selected the same option
-      if (complainantSelection.option_id === respondentSelection.option_id) {
+      if (outcome.consensus) {
         logger.info('🎉 CONSENSUS REACHED!', { 
           caseId, 
-          optionId: complainantSelection.option_id 
+          optionId: outcome.optionId,
+          mode: outcome.mode
         });
 
         // Update workflow to consensus reached
         await DisputeWorkflowService.transitionStage(
           caseId,
-          'CONSENSUS_REACHED',
-          `Both parties selected the same settlement option`
+          DisputeWorkflowService.DisputeStage.CONSENSUS_REACHED,
+          'system',
+          outcome.mode === 'weighted'
+            ? `Settlement option backed by ${Math.round(outcome.tally[0].share * 100)}% of the voting weight`
+            : `All ${outcome.mode === 'principal_unanimous' ? 'principal ' : ''}parties selected the same settlement option`
         );
 
         // Notify parties
         await NotificationService.notifyConsensusReached(caseId);
 
         return { 
-          consensus: true, 
-          optionId: complainantSelection.option_id,
+          ...outcome,
           message: 'Consensus reached! Settlement document will be generated.' 
         };
+      }
 
-      } else {
-        logger.info('No consensus - different options selected', { 
-          caseId,
-          complainantOption: complainantSelection.option_id,
-          respondentOption: respondentSelection.option_id
-        });
-
-        // Generate compromise option
-        const compromiseOption = await SettlementAIService.generateCompromiseOption(
-          caseId,
-          complainantSelection.option_id,
-          respondentSelection.option_id
-        );
-
-        // Update workflow to reanalysis
-        await DisputeWorkflowService.transitionStage(
-          caseId,
-          'REANALYSIS',
-          `Parties selected different options - compromise generated`
-        );
-
-        // Notify parties about compromise
-        await this._notifyCompromiseGenerated(caseId, compromiseOption);
-
-        return { 
-          consensus: false, 
-          reason: 'different_selections',
-          compromiseOption,
-          message: 'Parties chose different options. A compromise option has been generated.' 
-        };
+      if (outcome.reason !== 'different_selections') {
+        logger.info('No consensus yet', { caseId, reason: outcome.reason, pending: outcome.pending });
+        return outcome;
       }
 
+      logger.info('No consensus - different options selected', { 
+        caseId,
+        options: outcome.divergentOptionIds
+      });
+
+      // Generate a compromise from every divergent selection, weighted by its backing
+      const compromiseOption = await SettlementAIService.generateCompromiseOption(
+        caseId,
+        outcome.tally.map(t => ({ optionId: t.optionId, weight: t.weight, supporters: t.userIds.length }))
+      );
+
+      // Update workflow to reanalysis
+      await DisputeWorkflowService.transitionStage(
+        caseId,
+        DisputeWorkflowService.DisputeStage.REANALYSIS,
+        'system',
+        `Parties selected ${outcome.divergentOptionIds.length} different options - compromise generated`
+      );
+
+      // Notify parties about compromise
+      await this._notifyCompromiseGenerated(caseId, compromiseOption);
+
+      return { 
+        ...outcome,
+        compromiseOption,
+        message: 'Parties chose different options. A compromise option has been generated.' 
+      };
+
     } catch (error) {
       logger.error('Error checking consensus:', error);
       throw error;
@@ -171,21 +344,25 @@ class ConsensusService {
       logger.info('All options rejected - preparing court forwarding', { caseId });
 
       // Get party selections
-      const { data: selections } = await supabaseAdmin
+      const { data: selections } = await this.supabase
         .from('party_option_selections')
         .select('*, settlement_options(option_type)')
         .eq('case_id', caseId);
 
-      // Check if both parties explicitly rejected all options
-      const bothRejected = selections.length >= 2 && 
-        selections.every(s => s.selection_comments?.toLowerCase().includes('reject'));
+      // Check if every voting party explicitly rejected all options
+      const voters = await this.getVoters(caseId);
+      const rejectedBy = new Set((selections || [])
+        .filter(s => s.selection_comments?.toLowerCase().includes('reject'))
+        .map(s => String(s.user_id)));
+      const allRejected = voters.length >= 2 && voters.every(v => rejectedBy.has(v.userId));
 
-      if (bothRejected) {
+      if (allRejected) {
         // Update workflow
         await DisputeWorkflowService.transitionStage(
           caseId,
-          'FORWARDED_TO_COURT',
-          'All settlement options rejected by both parties'
+          DisputeWorkflowService.DisputeStage.FORWARDED_TO_COURT,
+          'system',
+          'All settlement options rejected by every party'
         );
 
         // Trigger court forwarding
@@ -210,11 +387,14 @@ class ConsensusService {
   }
 
   /**
-   * Get consensus status for a case
+   * Get consensus status for a case: every voter's selection and the
+   * outcome under the case's rule. The complainant/respondent fields keep
+   * the two-party shape older clients read.
    */
   async getConsensusStatus(caseId) {
     try {
-      const { data: selections } = await supabaseAdmin
+      const { rule, voters } = await this.loadCase(caseId);
+      const { data: selections } = await this.supabase
         .from('party_option_selections')
         .select(`
           *,
@@ -223,18 +403,27 @@ class ConsensusService {
         `)
         .eq('case_id', caseId);
 
-      const complainantSelection = selections?.find(s => s.party_role === 'complainant');
-      const respondentSelection = selections?.find(s => s.party_role === 'respondent');
+      const outcome = this.evaluate(voters, selections || [], rule);
+      const selectionOf = (userId) => (selections || []).find(s => String(s.user_id) === userId) || null;
+      const firstOfRole = (role) => voters.filter(v => v.role === role).map(v => selectionOf(v.userId)).find(Boolean);
+
+      const complainantSelection = firstOfRole('complainant');
+      const respondentSelection = firstOfRole('respondent');
+      const consensusSelection = outcome.consensus ? (selections || []).find(s => s.option_id === outcome.optionId) : null;
 
       return {
+        rule,
+        parties: voters.map(v => ({ ...v, selection: selectionOf(v.userId) })),
+        consensus: outcome.consensus,
+        reason: outcome.reason,
+        tally: outcome.tally,
+        pending: outcome.pending,
+        consensusOptionId: outcome.optionId,
+        consensusOption: consensusSelection ? consensusSelection.settlement_options : null,
         hasComplainantSelected: !!complainantSelection,
         hasRespondentSelected: !!respondentSelection,
         complainantSelection,
-        respondentSelection,
-        consensus: complainantSelection?.option_id === respondentSelection?.option_id,
-        consensusOption: complainantSelection?.option_id === respondentSelection?.option_id 
-          ? complainantSelection?.settlement_options 
-          : null
+        respondentSelection
       };
 
     } catch (error) {
@@ -248,7 +437,7 @@ class ConsensusService {
    */
   async _notifyCompromiseGenerated(caseId, compromiseOption) {
     try {
-      const { data: parties } = await supabaseAdmin
+      const { data: parties } = await this.supabase
         .from('case_parties')
         .select('user_id, party_role, users(email, full_name)')
         .eq('case_id', caseId);
@@ -259,7 +448,7 @@ class ConsensusService {
           caseId,
           type: NotificationService.notificationTypes.CASE_UPDATE,
           title: 'Compromise Option Generated',
-          message: `Since you and the other party chose different settlement options, our AI has generated a compromise option: ${compromiseOption.description}`,
+          message: `Since the parties chose different settlement options, our AI has generated a compromise option: ${compromiseOption.description}`,
           priority: NotificationService.priorities.HIGH,
           actionUrl: `/disputes/${caseId}`,
           actionData: { optionId: compromiseOption.option_id }
@@ -273,3 +462,5 @@ class ConsensusService {
 }
 
 module.exports = new ConsensusService();
+module.exports.ConsensusService = ConsensusService;
+module.exports.CONSENSUS_MODES = CONSENSUS_MODES;
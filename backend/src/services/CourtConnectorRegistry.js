@@ -0,0 +1,54 @@
+// Court Connector Registry - picks the connector that files with a court system
+//
+// A court_systems row names its connector (`connector`, default by submission
+// method: 'email' for email filings, 'efiling' otherwise) and configures it
+// (`efiling_config` { endpoint, token }, `email_config` { filingEmail }).
+// Settings missing from the row come from COURT_EFILING_URL,
+// COURT_EFILING_TOKEN and COURT_FILING_EMAIL, so a local mock e-filing server
+// (scripts/mock_efiling_server.js) can stand in for every court.
+const EFilingConnector = require('./courtConnectors/EFilingConnector');
+const EmailConnector = require('./courtConnectors/EmailConnector');
+const { CourtConnectorError } = require('./courtConnectors/CourtConnector');
+
+class CourtConnectorRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.register('efiling', config => new EFilingConnector(config));
+    this.register('email', config => new EmailConnector(config));
+  }
+
+  register(name, factory) {
+    this.factories.set(name, factory);
+    return this;
+  }
+
+  defaults(name) {
+    if (name === 'efiling') return { endpoint: process.env.COURT_EFILING_URL, token: process.env.COURT_EFILING_TOKEN };
+    if (name === 'email') return { filingEmail: process.env.COURT_FILING_EMAIL };
+    return {};
+  }
+
+  // The connector for a court system and submission method ('api', 'efiling' or 'email')
+  forCourtSystem(courtSystem = {}, method = null) {
+    const name = courtSystem.connector || (method === 'email' ? 'email' : 'efiling');
+    const factory = this.factories.get(name);
+    if (!factory) throw new CourtConnectorError(name, 'unknown_connector', `Unknown court connector "${name}"`, { status: 400 });
+
+    const config = name === 'email' ? courtSystem.email_config : name === 'efiling' ? courtSystem.efiling_config : courtSystem.connector_config;
+    const settings = { ...this.defaults(name) };
+    for (const [key, value] of Object.entries(config || {})) {
+      if (value !== undefined && value !== null) settings[key] = value;
+    }
+    return factory({ code: courtSystem.code || null, label: courtSystem.name || null, ...settings });
+  }
+
+  // Connectors configured from the environment alone, for listings and health checks
+  configured() {
+    return [...this.factories.keys()]
+      .map(name => this.forCourtSystem({ connector: name }))
+      .filter(connector => connector.isAvailable());
+  }
+}
+
+module.exports = new CourtConnectorRegistry();
+module.exports.CourtConnectorRegistry = CourtConnectorRegistry;
@@ -0,0 +1,359 @@
+// Court Defect Service - the registry's defect loop for court filings
+// A filing the registry returns with defects (missing vakalatnama, deficit
+// court fee, unpaginated annexures...) becomes 'defective': it carries the
+// defect list and a new round in its defect history, and the parties are
+// told what to cure. The filer cures the defects by replacing, adding,
+// removing or regenerating documents of the filing's package and re-files:
+// the resubmission is a new court_filings row linked to the defective one
+// (resubmission_of / superseded_by) that inherits its defect history. When
+// the registry rules on the resubmission, each defect of the round is marked
+// cured or not.
+const { v4: uuidv4 } = require('uuid');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../lib/logger');
+const HttpError = require('../lib/HttpError');
+const { supabase } = require('../lib/supabaseClient');
+const NotificationService = require('./NotificationService');
+const AuditLogService = require('./AuditLogService');
+const WebhookService = require('./WebhookService');
+
+const CHANGE_ACTIONS = ['replace', 'add', 'remove', 'regenerate'];
+
+class CourtDefectService {
+  constructor(options = {}) {
+    this.supabase = options.supabase || supabase;
+    this._parties = options.parties || null;
+    this.notifications = options.notifications || NotificationService;
+    this._integration = options.integration || null;
+    this.now = options.now || (() => new Date());
+  }
+
+  // Voting parties of the case (user ids), who get the deficiency notice
+  get parties() {
+    if (!this._parties) {
+      this._parties = {
+        list: async (caseId) => {
+          const ConsensusService = require('./ConsensusService');
+          return (await ConsensusService.getVoters(caseId)).map(v => v.userId);
+        }
+      };
+    }
+    return this._parties;
+  }
+
+  // Loaded lazily: the filing pipeline reaches back into this service
+  get integration() {
+    if (!this._integration) this._integration = require('./EnhancedCourtIntegrationService');
+    return this._integration;
+  }
+
+  /**
+   * The court_filings columns for a registry verdict: the defect list and
+   * the defect history with rounds awaiting a verdict closed, plus a new
+   * round when the filing is defective. A verdict already recorded for the
+   * same tracking id is not added twice.
+   */
+  verdictUpdate(filing, court) {
+    const at = court.updatedAt || this.now().toISOString();
+    const defects = court.defects || [];
+    const codes = new Set(defects.map(defect => defect.code));
+
+    const history = (filing.defect_history || []).map(round => (round.status === 'resubmitted'
+      ? {
+          ...round,
+          status: 'closed',
+          closedAt: at,
+          defects: round.defects.map(defect => ({ ...defect, cured: !codes.has(defect.code) }))
+        }
+      : round));
+
+    if (defects.length && !history.some(round => round.trackingId === filing.tracking_id)) {
+      history.push({
+        round: history.length + 1,
+        filingId: filing.id,
+        trackingId: filing.tracking_id,
+        noticedAt: at,
+        status: 'open',
+        defects: defects.map(({ code, description, rule, cureBy }) => ({ code, description, rule: rule || null, cureBy: cureBy || null }))
+      });
+    }
+
+    return { defects, defect_history: history };
+  }
+
+  /**
+   * Tell the parties which defects the registry found and by when to cure
+   * them; audit it and publish court.filing_defective. Never throws.
+   */
+  async noticeDefects(filing, court) {
+    const defects = court.defects || [];
+    const cureBy = defects.map(defect => defect.cureBy).filter(Boolean).sort()[0] || null;
+    const lines = defects.map((defect, index) => `${index + 1}. ${defect.description}`);
+    const message = [
+      `The court registry returned filing ${filing.confirmation_number || filing.tracking_id} with ${defects.length} defect${defects.length === 1 ? '' : 's'}:`,
+      ...lines,
+      cureBy ? `Cure the defects and re-file by ${cureBy}.` : 'Cure the defects and re-file.'
+    ].join('\n');
+
+    try {
+      await AuditLogService.record(filing.case_id, 'court.filing_defective', {
+        payload: { filingId: filing.id, trackingId: filing.tracking_id, defects: defects.map(defect => defect.code), cureBy }
+      });
+      await WebhookService.publish('court.filing_defective', {
+        caseId: filing.case_id,
+        filingId: filing.id,
+        trackingId: filing.tracking_id,
+        defects,
+        cureBy
+      });
+
+      const userIds = await this.parties.list(filing.case_id);
+      for (const userId of userIds) {
+        await this.notifications.createNotification({
+          userId,
+          caseId: filing.case_id,
+          type: this.notifications.notificationTypes.CASE_UPDATE,
+          title: 'Court filing returned with defects',
+          message,
+          priority: this.notifications.priorities.HIGH,
+          actionUrl: `/disputes/${filing.case_id}/court-filing`,
+          actionData: { filingId: filing.id, defects, cureBy }
+        });
+      }
+    } catch (error) {
+      logger.error(`Notifying parties of defects in filing ${filing.id} failed:`, error.message || error);
+    }
+    return { message, cureBy };
+  }
+
+  async getFiling(filingId) {
+    const { data: filing, error } = await this.supabase
+      .from('court_filings')
+      .select('*, court_systems (*)')
+      .eq('id', filingId)
+      .single();
+    if (error || !filing) throw new HttpError(404, 'filing_not_found', 'Filing not found');
+    return filing;
+  }
+
+  // Defects of a filing and the history of its defect rounds
+  async getDefects(filingId) {
+    const filing = await this.getFiling(filingId);
+    return {
+      filingId: filing.id,
+      status: filing.status,
+      defects: filing.defects || [],
+      defectHistory: filing.defect_history || [],
+      resubmissionOf: filing.resubmission_of || null,
+      supersededBy: filing.superseded_by || null
+    };
+  }
+
+  /**
+   * Re-file a defective filing with its package changed. `changes` are
+   *   { action: 'replace', documentId, document: { documentId, filename?, documentType?, paginated? } }
+   *   { action: 'add', document: { documentId, filename, documentType, paginated? } }
+   *   { action: 'remove', documentId }
+   *   { action: 'regenerate', documentId }  re-renders the PDF with page numbers
+   * Replacement and added documents must already be in document storage.
+   * The defective filing is superseded first, only while it is still
+   * defective, so concurrent re-filings queue one resubmission. The
+   * resubmission is queued on the filing pipeline.
+   */
+  async resubmit(filingId, { changes = [], note = null, userId = null } = {}) {
+    const filing = await this.getFiling(filingId);
+    if (filing.status !== 'defective') {
+      throw new HttpError(409, 'filing_not_defective', `Only defective filings can be re-filed (this one is ${filing.status})`);
+    }
+    if (!changes.length) {
+      throw new HttpError(400, 'no_changes', 'Replace, add, remove or regenerate at least one document to cure the defects');
+    }
+
+    const { documents, applied } = await this.reviseDocuments(filing.documents || [], changes);
+
+    const { data: caseData, error: caseError } = await this.supabase
+      .from('cases')
+      .select('*')
+      .eq('id', filing.case_id)
+      .single();
+    if (caseError || !caseData) throw new HttpError(404, 'case_not_found', 'Case not found');
+
+    const id = uuidv4();
+    const resubmittedAt = this.now().toISOString();
+    const history = (filing.defect_history || []).map(round => (round.status === 'open'
+      ? { ...round, status: 'resubmitted', cure: { filingId: id, resubmittedAt, by: userId, note, changes: applied } }
+      : round));
+
+    const { data: superseded, error: supersedeError } = await this.supabase
+      .from('court_filings')
+      .update({ status: 'resubmitted', defect_history: history, updated_at: resubmittedAt })
+      .eq('id', filing.id)
+      .eq('status', 'defective')
+      .select('id');
+    if (supersedeError) throw new Error(`Failed to supersede filing ${filing.id}: ${supersedeError.message}`);
+    if (!superseded || !superseded.length) {
+      throw new HttpError(409, 'filing_not_defective', 'This filing has already been re-filed');
+    }
+
+    const { data: resubmission, error } = await this.supabase
+      .from('court_filings')
+      .insert({
+        id,
+        case_id: filing.case_id,
+        court_system_id: filing.court_system_id,
+        filing_type: filing.filing_type,
+        status: 'pending',
+        submission_method: filing.submission_method,
+        expedited: filing.expedited,
+        service_method: filing.service_method,
+        metadata: filing.metadata || {},
+        documents,
+        created_by: userId,
+        resubmission_of: filing.id,
+        resubmission_count: (filing.resubmission_count || 0) + 1,
+        defect_history: history
+      })
+      .select()
+      .single();
+    if (error) {
+      // Put the filing back so it can be re-filed again
+      const { error: rollbackError } = await this.supabase
+        .from('court_filings')
+        .update({ status: 'defective', defect_history: filing.defect_history || [], updated_at: this.now().toISOString() })
+        .eq('id', filing.id)
+        .eq('status', 'resubmitted');
+      if (rollbackError) logger.error(`Failed to restore defective filing ${filing.id}:`, rollbackError.message);
+      throw new Error(`Failed to create the resubmission: ${error.message}`);
+    }
+
+    // superseded_by references the resubmission, so it is set once that row exists
+    const { error: updateError } = await this.supabase
+      .from('court_filings')
+      .update({ superseded_by: id })
+      .eq('id', filing.id);
+    if (updateError) throw new Error(`Failed to link filing ${filing.id} to its resubmission: ${updateError.message}`);
+
+    await AuditLogService.record(filing.case_id, 'court.filing_resubmitted', {
+      actorId: userId,
+      payload: {
+        filingId: id,
+        resubmissionOf: filing.id,
+        resubmissionCount: resubmission.resubmission_count,
+        defects: (filing.defects || []).map(defect => defect.code),
+        changes: applied.map(change => `${change.action} ${change.filename}`)
+      }
+    });
+
+    await this.integration.addToFilingQueue({
+      filingId: id,
+      courtSystem: filing.court_systems || {},
+      filingData: {
+        caseData,
+        userId,
+        filingType: filing.filing_type,
+        submissionMethod: filing.submission_method,
+        expedited: filing.expedited,
+        serviceMethod: filing.service_method,
+        metadata: filing.metadata || {},
+        documents,
+        resubmissionOf: filing.id
+      }
+    });
+
+    return {
+      filingId: id,
+      resubmissionOf: filing.id,
+      status: 'queued',
+      documents,
+      changes: applied,
+      defectHistory: history
+    };
+  }
+
+  // The package after `changes`, and what was done, for the defect history
+  async reviseDocuments(documents, changes) {
+    const revised = documents.map(doc => ({ ...doc }));
+    const applied = [];
+    const indexOf = (documentId) => {
+      const index = revised.findIndex(doc => doc.documentId === documentId);
+      if (index < 0) throw new HttpError(422, 'document_not_in_filing', `Document ${documentId} is not part of the filing`);
+      return index;
+    };
+
+    for (const change of changes) {
+      if (!CHANGE_ACTIONS.includes(change.action)) {
+        throw new HttpError(400, 'invalid_change', `Unknown change "${change.action}"; use one of ${CHANGE_ACTIONS.join(', ')}`);
+      }
+
+      if (change.action === 'remove') {
+        const [removed] = revised.splice(indexOf(change.documentId), 1);
+        applied.push({ action: 'remove', documentId: removed.documentId, filename: removed.filename });
+      } else if (change.action === 'replace') {
+        const index = indexOf(change.documentId);
+        const replacement = { ...revised[index], paginated: false, ...change.document };
+        await this.requireStored(replacement.documentId);
+        revised[index] = replacement;
+        applied.push({ action: 'replace', documentId: change.documentId, newDocumentId: replacement.documentId, filename: replacement.filename });
+      } else if (change.action === 'add') {
+        const added = { paginated: false, ...change.document };
+        if (!added.documentId || !added.filename || !added.documentType) {
+          throw new HttpError(400, 'invalid_change', 'An added document needs documentId, filename and documentType');
+        }
+        await this.requireStored(added.documentId);
+        revised.push(added);
+        applied.push({ action: 'add', newDocumentId: added.documentId, filename: added.filename });
+      } else {
+        const index = indexOf(change.documentId);
+        const original = revised[index];
+        const content = await this.paginate(await this.requireStored(original.documentId), original.filename);
+        const documentId = uuidv4();
+        await fs.mkdir(this.integration.documentsDir, { recursive: true });
+        await fs.writeFile(path.join(this.integration.documentsDir, `${documentId}.pdf`), content);
+        revised[index] = { ...original, documentId, paginated: true, regeneratedFrom: original.documentId };
+        applied.push({ action: 'regenerate', documentId: original.documentId, newDocumentId: documentId, filename: original.filename });
+      }
+    }
+
+    return { documents: revised, applied };
+  }
+
+  async requireStored(documentId) {
+    try {
+      return await this.integration.getDocumentBuffer(documentId);
+    } catch (error) {
+      throw new HttpError(422, 'document_not_found', `Document ${documentId} is not in document storage`);
+    }
+  }
+
+  // The PDF with "<filename> - page i of n" stamped at the foot of every page
+  async paginate(content, label) {
+    let pdf;
+    try {
+      pdf = await PDFDocument.load(content);
+    } catch (error) {
+      throw new HttpError(422, 'document_unreadable', `${label} is not a readable PDF and cannot be regenerated`);
+    }
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const pages = pdf.getPages();
+    // the standard fonts only encode Latin-1
+    const name = String(label).replace(/[^\x20-\x7e]/g, '_');
+    pages.forEach((page, index) => {
+      const text = `${name} - page ${index + 1} of ${pages.length}`;
+      const size = 9;
+      page.drawText(text, {
+        x: (page.getWidth() - font.widthOfTextAtSize(text, size)) / 2,
+        y: 18,
+        size,
+        font,
+        color: rgb(0.2, 0.2, 0.2)
+      });
+    });
+    return Buffer.from(await pdf.save());
+  }
+}
+
+module.exports = new CourtDefectService();
+module.exports.CourtDefectService = CourtDefectService;
+module.exports.CHANGE_ACTIONS = CHANGE_ACTIONS;
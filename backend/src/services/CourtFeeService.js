@@ -0,0 +1,277 @@
+// Court Fee Service - itemized court fees from versioned state schedules
+//
+// Fee tables live in backend/fee-schedules/<code>.json (see the README
+// there). A state file extends IN, inheriting the national schedules
+// (consumer commission bands, labour courts) and adding its Court Fees Act
+// tables. A forum's schedule is found by its id, then by its type, in the
+// jurisdiction of the forum (its jurisdictionCode, as recommended by
+// JurisdictionService); of that schedule's versions the one in force on
+// the calculation date applies. Each fee item (ad valorem slabs, fee bands,
+// fixed and per-respondent fees) is returned with the basis of its amount.
+const fs = require('fs');
+const path = require('path');
+const logger = require('../lib/logger');
+const JurisdictionService = require('./JurisdictionService');
+
+const DEFAULT_DIR = path.join(__dirname, '../../fee-schedules');
+const ITEM_KINDS = ['fixed', 'band', 'ad_valorem', 'per_unit'];
+const VALUE_BASES = ['claim', 'consideration_paid'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const rupees = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+// The day before a YYYY-MM-DD date
+const dayBefore = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+};
+
+class CourtFeeService {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.COURT_FEE_DIR || DEFAULT_DIR;
+    this.rootCode = options.rootCode || 'IN';
+    this.now = options.now || (() => new Date());
+    this.jurisdictions = null;
+  }
+
+  // Validate one schedule file; inheritance and aliases are resolved after all are read
+  compile(raw, source = 'fee schedule') {
+    if (!raw.code) throw new Error(`${source}: code is required`);
+    const amount = (value) => typeof value === 'number' && value >= 0;
+
+    for (const [key, versions] of Object.entries(raw.schedules || {})) {
+      if (typeof versions === 'string') continue;
+      if (!Array.isArray(versions) || !versions.length) throw new Error(`${source}: schedules.${key} needs at least one version`);
+
+      const sorted = [...versions].sort((a, b) => String(a.effectiveFrom).localeCompare(String(b.effectiveFrom)));
+      sorted.forEach((version, index) => {
+        const where = `${source}: schedules.${key} version ${version.version || index + 1}`;
+        if (!version.version) throw new Error(`${source}: schedules.${key} has a version without a name`);
+        if (!DATE.test(version.effectiveFrom || '')) throw new Error(`${where}: effectiveFrom must be YYYY-MM-DD`);
+        if (version.effectiveTo !== undefined && !(DATE.test(version.effectiveTo) && version.effectiveTo >= version.effectiveFrom)) {
+          throw new Error(`${where}: effectiveTo must be a YYYY-MM-DD date on or after effectiveFrom`);
+        }
+        if (index > 0 && sorted[index - 1].effectiveFrom === version.effectiveFrom) throw new Error(`${where}: another version starts on ${version.effectiveFrom}`);
+        if (version.value !== undefined && !VALUE_BASES.includes(version.value)) throw new Error(`${where}: unknown value "${version.value}"`);
+
+        for (const item of version.items || []) {
+          const label = `${where} item ${item.code}`;
+          if (!item.code || !item.label) throw new Error(`${where}: every item needs a code and a label`);
+          if (!ITEM_KINDS.includes(item.kind)) throw new Error(`${label}: unknown kind "${item.kind}"`);
+          if ((item.kind === 'fixed' || item.kind === 'per_unit') && !amount(item.amount)) throw new Error(`${label}: amount must be a non-negative number`);
+
+          const steps = item.kind === 'band' ? item.bands : item.kind === 'ad_valorem' ? item.slabs : null;
+          if (!steps) continue;
+          const field = item.kind === 'band' ? 'bands' : 'slabs';
+          if (!Array.isArray(steps) || !steps.length) throw new Error(`${label}: ${field} are required`);
+          steps.forEach((step, i) => {
+            const last = i === steps.length - 1;
+            if (last ? step.upTo !== undefined : !(amount(step.upTo) && (i === 0 || step.upTo > steps[i - 1].upTo))) {
+              throw new Error(`${label}: ${field} need ascending upTo limits and an open-ended last entry`);
+            }
+            if (!amount(item.kind === 'band' ? step.fee : step.rate)) throw new Error(`${label}: ${item.kind === 'band' ? 'fee' : 'rate'} must be a non-negative number`);
+          });
+          for (const key of ['min', 'max']) {
+            if (item[key] !== undefined && !amount(item[key])) throw new Error(`${label}: ${key} must be a non-negative number`);
+          }
+        }
+      });
+    }
+    return raw;
+  }
+
+  load() {
+    const raws = new Map();
+    const files = fs.existsSync(this.dir) ? fs.readdirSync(this.dir).filter(f => f.endsWith('.json')) : [];
+    for (const file of files.sort()) {
+      const raw = this.compile(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')), file);
+      raws.set(raw.code, raw);
+    }
+
+    const resolve = (code, seen = []) => {
+      const raw = raws.get(code);
+      if (!raw) throw new Error(`Fee schedule ${seen[seen.length - 1]} extends unknown jurisdiction "${code}"`);
+      if (seen.includes(code)) throw new Error(`Fee schedule inheritance cycle: ${[...seen, code].join(' -> ')}`);
+      const parent = raw.extends ? resolve(raw.extends, [...seen, code]) : null;
+
+      const jurisdiction = {
+        code: raw.code,
+        name: raw.name || raw.code,
+        currency: raw.currency || (parent ? parent.currency : 'INR'),
+        schedules: { ...(parent ? parent.schedules : {}), ...(raw.schedules || {}) }
+      };
+      for (const [key, versions] of Object.entries(jurisdiction.schedules)) {
+        if (typeof versions === 'string' && !Array.isArray(jurisdiction.schedules[versions])) {
+          throw new Error(`Fee schedule ${code}: schedules.${key} refers to unknown schedule "${versions}"`);
+        }
+      }
+      return jurisdiction;
+    };
+
+    const jurisdictions = new Map();
+    for (const code of raws.keys()) jurisdictions.set(code, resolve(code));
+    if (!jurisdictions.has(this.rootCode)) throw new Error(`Root fee schedule "${this.rootCode}" is missing from ${this.dir}`);
+
+    this.jurisdictions = jurisdictions;
+    logger.info(`Loaded ${jurisdictions.size} court fee schedule file(s) from ${this.dir}`);
+    return jurisdictions;
+  }
+
+  all() {
+    return [...(this.jurisdictions || this.load()).values()];
+  }
+
+  get(code) {
+    return (this.jurisdictions || this.load()).get(code) || null;
+  }
+
+  /**
+   * The fee schedule of a forum ({ id, type, jurisdictionCode }): its
+   * jurisdiction's schedule for the forum id, else for the forum type,
+   * following a schedule that names another. Returns { jurisdiction, key,
+   * versions } or null.
+   */
+  scheduleFor(forum) {
+    const jurisdiction = this.get(forum.jurisdictionCode) || this.get(this.rootCode);
+    let key = [forum.id, forum.type].find(k => k && jurisdiction.schedules[k]);
+    if (!key) return null;
+    if (typeof jurisdiction.schedules[key] === 'string') key = jurisdiction.schedules[key];
+    return { jurisdiction, key, versions: jurisdiction.schedules[key] };
+  }
+
+  // The version in force on `date` (YYYY-MM-DD), with its effectiveTo filled in
+  versionOn(versions, date) {
+    const sorted = [...versions].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    for (let i = sorted.length - 1; i >= 0; i--) {
+      const version = sorted[i];
+      if (version.effectiveFrom > date) continue;
+      const effectiveTo = version.effectiveTo || (sorted[i + 1] ? dayBefore(sorted[i + 1].effectiveFrom) : null);
+      if (effectiveTo && effectiveTo < date) return null;
+      return { ...version, effectiveTo };
+    }
+    return null;
+  }
+
+  // Amount of one fee item and how it was arrived at
+  itemAmount(item, value, respondents) {
+    switch (item.kind) {
+      case 'fixed':
+        return { amount: item.amount, basis: 'Fixed fee' };
+      case 'per_unit':
+        return { amount: item.amount * respondents, basis: `${rupees(item.amount)} × ${respondents} ${item.unit || 'unit'}${respondents === 1 ? '' : 's'}` };
+      case 'band': {
+        const index = item.bands.findIndex(band => band.upTo === undefined || value <= band.upTo);
+        const band = item.bands[index];
+        const from = index > 0 ? `above ${rupees(item.bands[index - 1].upTo)}` : '';
+        const to = band.upTo !== undefined ? `up to ${rupees(band.upTo)}` : '';
+        return { amount: band.fee, basis: `Band ${[from, to].filter(Boolean).join(' and ')}` };
+      }
+      case 'ad_valorem': {
+        let lower = 0;
+        let fee = 0;
+        const parts = [];
+        for (const slab of item.slabs) {
+          const upper = slab.upTo === undefined ? value : Math.min(value, slab.upTo);
+          if (upper > lower) {
+            fee += (upper - lower) * slab.rate / 100;
+            parts.push(`${slab.rate}% of ${rupees(upper - lower)}`);
+          }
+          if (slab.upTo === undefined || value <= slab.upTo) break;
+          lower = slab.upTo;
+        }
+        let amount = Math.ceil(fee);
+        let basis = parts.join(' + ') || `Nil on ${rupees(0)}`;
+        if (item.min !== undefined && amount < item.min) {
+          amount = item.min;
+          basis += `, raised to the minimum of ${rupees(item.min)}`;
+        }
+        if (item.max !== undefined && amount > item.max) {
+          amount = item.max;
+          basis += `, capped at ${rupees(item.max)}`;
+        }
+        return { amount, basis };
+      }
+      default:
+        throw new Error(`Unknown fee item kind "${item.kind}"`);
+    }
+  }
+
+  /**
+   * Itemized fees for filing before `forum` (a JurisdictionService forum, or
+   * a court with id, type and jurisdictionCode) on `date`. The value is the
+   * claim amount, or the consideration paid for schedules that use it
+   * (consumer commissions). Returns { jurisdiction, forum, schedule, value,
+   * valueBasis, currency, items, total, asOf, warnings }; schedule and total
+   * are null when no schedule covers the forum.
+   */
+  calculate({ forum, claimAmount = null, considerationPaid = null, respondents = 1, date = this.now() }) {
+    const asOf = typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10);
+    const found = this.scheduleFor(forum);
+    const jurisdiction = found ? found.jurisdiction : (this.get(forum.jurisdictionCode) || this.get(this.rootCode));
+    const result = {
+      jurisdiction: { code: jurisdiction.code, name: jurisdiction.name },
+      forum: { id: forum.id || null, name: forum.name, type: forum.type },
+      schedule: null,
+      value: null,
+      valueBasis: null,
+      currency: jurisdiction.currency,
+      items: [],
+      total: null,
+      asOf,
+      warnings: []
+    };
+
+    if (!found) {
+      result.warnings.push(`No court fee schedule for ${forum.name} in ${jurisdiction.name}; check the fees with the court registry.`);
+      return result;
+    }
+    const version = this.versionOn(found.versions, asOf);
+    if (!version) {
+      result.warnings.push(`No version of the ${found.key} fee schedule for ${jurisdiction.name} is in force on ${asOf}.`);
+      return result;
+    }
+
+    result.schedule = {
+      key: found.key,
+      version: version.version,
+      effectiveFrom: version.effectiveFrom,
+      effectiveTo: version.effectiveTo,
+      source: version.source || null
+    };
+    result.valueBasis = version.value || 'claim';
+    let value = result.valueBasis === 'consideration_paid' ? considerationPaid : claimAmount;
+    const valued = (version.items || []).some(item => item.kind === 'band' || item.kind === 'ad_valorem');
+    if (valued && result.valueBasis === 'consideration_paid' && !value && claimAmount) {
+      result.warnings.push('The consideration paid is not recorded; the fee was computed on the claim amount instead.');
+      value = claimAmount;
+    }
+    if (valued && !value) result.warnings.push('No claim amount is recorded; value-based fees were computed on ₹0.');
+    result.value = Number(value) || 0;
+
+    result.items = (version.items || []).map(item => ({
+      code: item.code,
+      label: item.label,
+      kind: item.kind,
+      ...this.itemAmount(item, result.value, respondents)
+    }));
+    result.total = result.items.reduce((sum, item) => sum + item.amount, 0);
+    return result;
+  }
+
+  // Fees for a case before `forum`; respondents come from metadata.respondent_count
+  calculateForCase(forum, caseData = {}, options = {}) {
+    const facts = JurisdictionService.factsFromCase(caseData);
+    const respondents = Number((caseData.metadata || {}).respondent_count) || 1;
+    return this.calculate({
+      forum,
+      claimAmount: facts.claimAmount,
+      considerationPaid: facts.considerationPaid,
+      respondents,
+      ...options
+    });
+  }
+}
+
+module.exports = new CourtFeeService();
+module.exports.CourtFeeService = CourtFeeService;
@@ -3,12 +3,19 @@ const logger = require('../lib/logger');
 const { supabaseAdmin } = require('../lib/supabaseClient');
 const NotificationService = require('./NotificationService');
 const CourtIntegrationService = require('./CourtIntegrationService');
+const WebhookService = require('./WebhookService');
+const AuditLogService = require('./AuditLogService');
+const JurisdictionService = require('./JurisdictionService');
+const CourtHearingService = require('./CourtHearingService');
 
 class CourtForwardingService {
   /**
    * Automatically forward case to court when settlement fails
+   * details: what went wrong, e.g. the missed installment and the amount
+   * outstanding when a settlement payment plan defaults; details.reliefSought
+   * replaces the claim amount as the relief sought
    */
-  async autoForwardCase(caseId, reason = 'settlement_failed') {
+  async autoForwardCase(caseId, reason = 'settlement_failed', details = null) {
     try {
       logger.info('Auto-forwarding case to court', { caseId, reason });
 
@@ -63,7 +70,8 @@ class CourtForwardingService {
       );
 
       // Determine appropriate court system
-      const courtSystem = await this._determineCourtSystem(caseData);
+      const forumRecommendation = JurisdictionService.recommendForCase(caseData);
+      const courtSystem = await this._determineCourtSystem(forumRecommendation);
 
       // Prepare court filing
       const filingData = {
@@ -74,7 +82,7 @@ class CourtForwardingService {
         caseDescription: courtSummary.description,
         plaintiffDetails: courtSummary.complainant,
         defendantDetails: courtSummary.respondent,
-        reliefSought: courtSummary.reliefSought,
+        reliefSought: (details && details.reliefSought) || courtSummary.reliefSought,
         documents: documents.map(d => ({
           documentId: d.document_id,
           documentType: d.document_type,
@@ -84,6 +92,13 @@ class CourtForwardingService {
           aiMediationAttempted: true,
           settlementOptionsPresented: settlementOptions.length,
           mediationFailureReason: reason,
+          forumRecommendation: {
+            forum: forumRecommendation.forum.name,
+            jurisdiction: forumRecommendation.jurisdiction.name,
+            explanation: forumRecommendation.explanation,
+            warnings: forumRecommendation.warnings
+          },
+          ...(details ? { failureDetails: details } : {}),
           statements: statements.map(s => ({
             party: s.party_role,
             content: s.statement_content,
@@ -125,6 +140,40 @@ class CourtForwardingService {
       // Notify all parties
       await this._notifyCourtForwarding(caseId, courtFiling);
 
+      await AuditLogService.record(caseId, 'court.filing_submitted', {
+        payload: {
+          filingId: courtFiling.filing_id,
+          courtSystem: courtSystem.court_name,
+          filingType: filingData.filingType,
+          courtReference: courtFiling.court_reference_number,
+          reason,
+          automatic: true
+        }
+      });
+
+      await WebhookService.publish('court.filing_submitted', {
+        caseId,
+        filingId: courtFiling.filing_id,
+        courtSystem: courtSystem.court_name,
+        filingType: filingData.filingType,
+        courtReference: courtFiling.court_reference_number,
+        reason
+      });
+
+      // The case stays tracked in court: hearings, orders, next dates
+      try {
+        await CourtHearingService.startTracking(caseId, {
+          filingId: courtFiling.filing_id,
+          courtSystemId: courtSystem.court_system_id,
+          courtName: courtSystem.court_name,
+          jurisdiction: forumRecommendation.jurisdiction.code,
+          courtReference: courtFiling.court_reference_number,
+          reason
+        });
+      } catch (error) {
+        logger.error(`Tracking the court proceeding of case ${caseId} failed:`, error.message || error);
+      }
+
       logger.info('Case successfully forwarded to court', {
         caseId,
         filingId: courtFiling.filing_id,
@@ -210,46 +259,30 @@ This case is hereby forwarded to the court for judicial determination.
   }
 
   /**
-   * Determine appropriate court system based on case details
+   * Court system registered for the recommended forum: one of the forum's
+   * level in its state, else a district court of that state, else any
+   * district court
    */
-  async _determineCourtSystem(caseData) {
+  async _determineCourtSystem(recommendation) {
     try {
-      const disputeAmount = caseData.dispute_amount || 0;
-
-      // Determine court level based on dispute amount
-      let courtLevel;
-      if (disputeAmount <= 300000) { // Up to 3 lakhs
-        courtLevel = 'district';
-      } else if (disputeAmount <= 2000000) { // Up to 20 lakhs
-        courtLevel = 'high_court';
-      } else {
-        courtLevel = 'high_court'; // Large disputes
-      }
-
-      // Get available court system
-      const { data: courtSystem } = await supabaseAdmin
-        .from('court_systems')
-        .select('*')
-        .eq('court_level', courtLevel)
-        .eq('jurisdiction', caseData.jurisdiction || 'Karnataka')
-        .eq('is_active', true)
-        .limit(1)
-        .single();
-
-      if (!courtSystem) {
-        // Fallback to any available district court
-        const { data: fallbackCourt } = await supabaseAdmin
+      const { forum, jurisdiction } = recommendation;
+      const attempts = [
+        { court_level: forum.level, jurisdiction: jurisdiction.name },
+        { court_level: 'district', jurisdiction: jurisdiction.name },
+        { court_level: 'district' }
+      ];
+
+      for (const filters of attempts) {
+        let query = supabaseAdmin
           .from('court_systems')
           .select('*')
-          .eq('court_level', 'district')
-          .eq('is_active', true)
-          .limit(1)
-          .single();
-
-        return fallbackCourt;
+          .eq('is_active', true);
+        for (const [column, value] of Object.entries(filters)) query = query.eq(column, value);
+        const { data: courtSystem } = await query.limit(1).single();
+        if (courtSystem) return courtSystem;
       }
 
-      return courtSystem;
+      throw new Error(`No active court system registered for ${forum.name}`);
 
     } catch (error) {
       logger.error('Error determining court system:', error);
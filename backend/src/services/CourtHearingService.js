@@ -0,0 +1,801 @@
+// Court Hearing Service - the case in court after referral
+// Once a case is forwarded (CourtForwardingService) it is tracked as a court
+// proceeding: the court's case number once registered, every hearing (one
+// per date) with what happened at it - adjourned, heard, reserved, disposed -
+// the order passed and the next date of hearing. Hearings come from the
+// registration itself, from cause lists imported as CSV/JSON files or synced
+// from a court connector, or are entered by hand. Parties get a notice with a
+// calendar invitation for every new date and reminders ahead of it (durable
+// job queue); the dispute page shows the whole court stage as a timeline.
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const HttpError = require('../lib/HttpError');
+const { getQueue } = require('../lib/jobQueue');
+const { createCourtProceedingStore } = require('../lib/courtProceedingStore');
+const { parseCauseList, parseDate } = require('../lib/causeList');
+const { buildCalendar } = require('../lib/icalendar');
+const CalendarService = require('./CalendarService');
+const { zonedTimeToUtc, zonedParts, shiftDate } = CalendarService;
+const NotificationService = require('./NotificationService');
+const AuditLogService = require('./AuditLogService');
+
+const HEARING_QUEUE = 'court-hearings';
+const OUTCOMES = ['scheduled', 'adjourned', 'heard', 'reserved', 'disposed'];
+const REMINDER_TIME = '09:00';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CALENDAR_DOMAIN = 'ai-dispute-resolver';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3001';
+
+class CourtHearingService {
+  constructor(options = {}) {
+    this._store = options.store || null;
+    this._queue = options.queue || null;
+    this._parties = options.parties || null;
+    this._filings = options.filings || null;
+    this._connectors = options.connectors || null;
+    this.notifications = options.notifications || NotificationService;
+    this.reminderDays = options.reminderDays ||
+      (process.env.COURT_HEARING_REMINDER_DAYS || '7,1').split(',').map(Number).filter(n => n > 0);
+    // Courts list the day's board rather than a time; this is when it starts
+    this.hearingTime = options.hearingTime || process.env.COURT_HEARING_TIME || '10:30';
+    this.firstHearingDays = options.firstHearingDays || Number(process.env.COURT_FIRST_HEARING_DAYS) || 45;
+    this.now = options.now || (() => new Date());
+    this.registered = false;
+  }
+
+  get store() {
+    if (!this._store) this._store = createCourtProceedingStore();
+    return this._store;
+  }
+
+  // The job queue with the hearing reminder handler registered on it
+  get queue() {
+    if (!this._queue) this._queue = getQueue();
+    if (!this.registered) {
+      this._queue.register(HEARING_QUEUE, (payload) => this.handleJob(payload), {
+        concurrency: 1,
+        maxAttempts: 5,
+        backoffBaseMs: 5 * 60 * 1000
+      });
+      this.registered = true;
+    }
+    return this._queue;
+  }
+
+  startWorker() {
+    return this.queue.start();
+  }
+
+  // Voting parties of the case (user ids), who hear about court dates
+  get parties() {
+    if (!this._parties) {
+      this._parties = {
+        list: async (caseId) => {
+          const ConsensusService = require('./ConsensusService');
+          return (await ConsensusService.getVoters(caseId)).map(v => v.userId);
+        }
+      };
+    }
+    return this._parties;
+  }
+
+  // Court filings of the case, oldest first, for the timeline
+  get filings() {
+    if (!this._filings) {
+      this._filings = {
+        list: async (caseId) => {
+          const { supabaseAdmin } = require('../lib/supabaseClient');
+          const { data, error } = await supabaseAdmin
+            .from('court_filings')
+            .select('id, status, filing_number, submitted_at, processed_at, created_at, defect_history, resubmission_of')
+            .eq('case_id', caseId)
+            .order('created_at', { ascending: true });
+          if (error) throw new Error(`Failed to list court filings of case ${caseId}: ${error.message}`);
+          return data || [];
+        }
+      };
+    }
+    return this._filings;
+  }
+
+  get connectors() {
+    if (!this._connectors) this._connectors = require('./CourtConnectorRegistry');
+    return this._connectors;
+  }
+
+  timezone(proceeding) {
+    return CalendarService.getCalendar(proceeding && proceeding.jurisdiction).timezone;
+  }
+
+  today(proceeding) {
+    return zonedParts(this.now(), this.timezone(proceeding)).date;
+  }
+
+  // Until the court lists the case: a court working day firstHearingDays out
+  estimateFirstHearing(jurisdiction = null) {
+    const date = new Date(this.now().getTime() + this.firstHearingDays * 24 * 60 * 60 * 1000);
+    return CalendarService.formatDate(CalendarService.nextBusinessDay(date, { jurisdiction }), { jurisdiction });
+  }
+
+  /**
+   * Start tracking a case forwarded to court. Idempotent: a case has one
+   * proceeding, and forwarding it again returns the existing one.
+   * details: { filingId, courtName, courtSystemId, jurisdiction, courtReference,
+   *            courtCaseNumber, expectedFirstHearing, reason, actorId }
+   */
+  async startTracking(caseId, details = {}) {
+    const existing = await this.store.findProceedingByCase(caseId);
+    if (existing) return existing;
+
+    const startedAt = this.now().toISOString();
+    const proceeding = await this.store.insertProceeding({
+      id: crypto.randomUUID(),
+      case_id: caseId,
+      filing_id: details.filingId || null,
+      court_system_id: details.courtSystemId || null,
+      court_name: details.courtName || null,
+      jurisdiction: details.jurisdiction || null,
+      court_reference: details.courtReference || null,
+      court_case_number: details.courtCaseNumber || null,
+      status: 'awaiting_listing',
+      stage: 'Filed, awaiting registration and listing',
+      next_hearing_date: null,
+      expected_first_hearing: details.expectedFirstHearing || this.estimateFirstHearing(details.jurisdiction),
+      last_order: null,
+      disposal: null,
+      referral_reason: details.reason || null,
+      started_at: startedAt,
+      created_at: startedAt,
+      updated_at: startedAt
+    });
+
+    await AuditLogService.record(caseId, 'court.proceeding_started', {
+      actorId: details.actorId || null,
+      payload: {
+        proceedingId: proceeding.id,
+        filingId: proceeding.filing_id,
+        court: proceeding.court_name,
+        expectedFirstHearing: proceeding.expected_first_hearing
+      }
+    });
+    return proceeding;
+  }
+
+  async getProceeding(caseId) {
+    const proceeding = await this.store.findProceedingByCase(caseId);
+    if (!proceeding) throw new HttpError(404, 'proceeding_not_found', 'This case has not been forwarded to court');
+    return proceeding;
+  }
+
+  /**
+   * A filing the registry accepted (EnhancedCourtIntegrationService): the
+   * court's case number and, when the court listed it, the first hearing.
+   * Never throws - a failure here must not fail the status check.
+   */
+  async recordFromRegistration(filing, court) {
+    try {
+      const courtSystem = filing.court_systems || {};
+      const proceeding = await this.startTracking(filing.case_id, {
+        filingId: filing.id,
+        courtSystemId: filing.court_system_id,
+        courtName: courtSystem.name || courtSystem.court_name,
+        jurisdiction: courtSystem.jurisdiction
+      });
+      await this.store.updateProceeding(proceeding.id, {
+        filing_id: filing.id,
+        court_case_number: court.filingNumber || proceeding.court_case_number,
+        registered_at: court.updatedAt || this.now().toISOString(),
+        ...(proceeding.status === 'awaiting_listing' ? { stage: 'Registered, awaiting listing' } : {})
+      });
+      if (!court.hearing || !court.hearing.date) return null;
+      return await this.recordHearing(filing.case_id, {
+        date: court.hearing.date,
+        time: court.hearing.time,
+        courtHall: court.hearing.courtHall,
+        purpose: court.hearing.purpose,
+        outcome: 'scheduled'
+      }, { source: 'registration' });
+    } catch (error) {
+      logger.error(`Recording the registration of filing ${filing.id} failed:`, error.message || error);
+      return null;
+    }
+  }
+
+  validateEntry(entry) {
+    const errors = [];
+    const date = parseDate(entry.date);
+    if (!date) errors.push('date must be YYYY-MM-DD');
+    const nextDate = entry.nextDate ? parseDate(entry.nextDate) : null;
+    if (nextDate === undefined) errors.push('nextDate must be YYYY-MM-DD');
+    if (date && nextDate && nextDate <= date) errors.push('nextDate must be after date');
+    const outcome = entry.outcome || (nextDate ? 'adjourned' : 'scheduled');
+    if (!OUTCOMES.includes(outcome)) errors.push(`outcome must be one of ${OUTCOMES.join(', ')}`);
+    if (outcome === 'scheduled' && nextDate) errors.push('a hearing still to be held has no next date');
+    if (outcome === 'disposed' && nextDate) errors.push('a disposed case has no next date');
+    if (entry.time && !TIME_PATTERN.test(entry.time)) errors.push('time must be HH:MM');
+    if (errors.length) throw new HttpError(400, 'invalid_hearing', errors.join('; '));
+    return { ...entry, date, nextDate, outcome };
+  }
+
+  /**
+   * Record a hearing of the case, or what happened at it.
+   * entry: { date, time, courtHall, itemNumber, judge, purpose,
+   *          outcome: scheduled|adjourned|heard|reserved|disposed,
+   *          nextDate, nextPurpose, order, reason }
+   * The hearing on that date is created or updated; a next date lists the
+   * next hearing, and a disposal cancels any hearings after it.
+   */
+  async recordHearing(caseId, entry, { source = 'manual', actorId = null } = {}) {
+    const proceeding = await this.getProceeding(caseId);
+    const hearing = this.validateEntry(entry);
+    if (proceeding.status === 'disposed' && proceeding.disposal && hearing.date > proceeding.disposal.date) {
+      throw new HttpError(409, 'proceeding_disposed', `The court disposed of this case on ${proceeding.disposal.date}`);
+    }
+
+    const hearings = await this.store.listHearings(proceeding.id);
+    const listed = [];
+    const { hearing: current, changed } = await this.upsertHearing(proceeding, hearings, {
+      date: hearing.date,
+      time: hearing.time,
+      courtHall: hearing.courtHall,
+      itemNumber: hearing.itemNumber,
+      judge: hearing.judge,
+      purpose: hearing.purpose,
+      status: hearing.outcome,
+      order: hearing.order,
+      reason: hearing.reason,
+      nextDate: hearing.nextDate
+    }, source, listed);
+
+    let next = null;
+    if (hearing.nextDate) {
+      ({ hearing: next } = await this.upsertHearing(proceeding, hearings, {
+        date: hearing.nextDate,
+        courtHall: hearing.courtHall,
+        purpose: hearing.nextPurpose || hearing.purpose,
+        status: 'scheduled'
+      }, source, listed));
+    }
+
+    // Dates the court has since moved away from
+    const cancelled = [];
+    if (hearing.outcome !== 'scheduled') {
+      for (const other of hearings) {
+        if (other.status === 'scheduled' && other.hearing_date > hearing.date && other.hearing_date !== hearing.nextDate) {
+          cancelled.push(await this.store.updateHearing(other.id, {
+            status: 'cancelled',
+            sequence: (other.sequence || 0) + 1,
+            cancellation_reason: hearing.outcome === 'disposed' ? 'Case disposed' : `Superseded by the next date ${hearing.nextDate || 'fixed'} on ${hearing.date}`
+          }));
+        }
+      }
+    }
+
+    // The same cause list imported again
+    if (!changed && !listed.length && !cancelled.length) {
+      return { proceeding: this.proceedingView(proceeding), hearing: this.hearingView(current), nextHearing: next ? this.hearingView(next) : null, cancelled: 0, unchanged: true };
+    }
+
+    const updated = await this.updateProceedingState(proceeding, hearing, current);
+
+    await this.recordEvents(proceeding, hearing, { current, next, listed, cancelled, source, actorId });
+    await this.noticeParties(updated, hearing, { next, listed, cancelled });
+    for (const item of listed) await this.scheduleReminders(updated, item);
+
+    return { proceeding: this.proceedingView(updated), hearing: this.hearingView(current), nextHearing: next ? this.hearingView(next) : null, cancelled: cancelled.length };
+  }
+
+  // Create the hearing on hearing.date or update it; new and moved listings
+  // go in `listed`. Returns { hearing, changed }.
+  async upsertHearing(proceeding, hearings, hearing, source, listed) {
+    const existing = hearings.find(h => h.hearing_date === hearing.date && h.status !== 'cancelled');
+    const fields = {
+      hearing_time: hearing.time,
+      court_hall: hearing.courtHall,
+      item_number: hearing.itemNumber,
+      judge: hearing.judge,
+      purpose: hearing.purpose,
+      order_summary: hearing.order,
+      adjournment_reason: hearing.reason,
+      next_date: hearing.nextDate
+    };
+    // Blank cause-list columns do not erase what an earlier list said
+    const given = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+    if (existing) {
+      // A later listing of a date already decided does not reopen it
+      const status = existing.status !== 'scheduled' && hearing.status === 'scheduled' ? existing.status : hearing.status;
+      if (status === existing.status && Object.keys(given).every(key => given[key] === existing[key])) {
+        return { hearing: existing, changed: false };
+      }
+      const moved = ['hearing_time', 'court_hall'].some(key => given[key] !== undefined && given[key] !== existing[key]);
+      const updated = await this.store.updateHearing(existing.id, {
+        ...given,
+        status,
+        source,
+        sequence: (existing.sequence || 0) + (moved ? 1 : 0),
+        ...(status !== 'scheduled' && existing.status === 'scheduled' ? { outcome_recorded_at: this.now().toISOString() } : {})
+      });
+      if (moved && status === 'scheduled') listed.push(updated);
+      Object.assign(existing, updated);
+      return { hearing: updated, changed: true };
+    }
+
+    const createdAt = this.now().toISOString();
+    const created = await this.store.insertHearing({
+      id: crypto.randomUUID(),
+      proceeding_id: proceeding.id,
+      case_id: proceeding.case_id,
+      hearing_date: hearing.date,
+      hearing_time: null,
+      court_hall: null,
+      item_number: null,
+      judge: null,
+      purpose: null,
+      order_summary: null,
+      adjournment_reason: null,
+      next_date: null,
+      ...given,
+      status: hearing.status,
+      source,
+      sequence: 0,
+      outcome_recorded_at: hearing.status === 'scheduled' ? null : createdAt,
+      created_at: createdAt,
+      updated_at: createdAt
+    });
+    hearings.push(created);
+    if (created.status === 'scheduled') listed.push(created);
+    return { hearing: created, changed: true };
+  }
+
+  async updateProceedingState(proceeding, hearing, current) {
+    const hearings = await this.store.listHearings(proceeding.id);
+    const today = this.today(proceeding);
+    const upcoming = hearings.find(h => h.status === 'scheduled' && h.hearing_date >= today) ||
+      hearings.filter(h => h.status === 'scheduled').pop() || null;
+
+    const patch = { next_hearing_date: upcoming ? upcoming.hearing_date : null };
+    if (hearing.order) patch.last_order = { date: hearing.date, summary: hearing.order };
+    if (hearing.outcome === 'disposed') {
+      Object.assign(patch, {
+        status: 'disposed',
+        stage: 'Disposed',
+        next_hearing_date: null,
+        disposal: { date: hearing.date, order: hearing.order || current.order_summary || null }
+      });
+    } else if (proceeding.status !== 'disposed') {
+      patch.status = !upcoming && hearing.outcome === 'reserved' ? 'reserved' : 'listed';
+      patch.stage = upcoming
+        ? upcoming.purpose || 'Listed for hearing'
+        : hearing.outcome === 'reserved' ? 'Judgment reserved' : current.purpose || 'Awaiting next listing';
+    }
+    return this.store.updateProceeding(proceeding.id, patch);
+  }
+
+  async recordEvents(proceeding, hearing, { current, next, listed, cancelled, source, actorId }) {
+    const base = { proceedingId: proceeding.id, courtCaseNumber: proceeding.court_case_number, source };
+    for (const item of listed) {
+      await AuditLogService.record(proceeding.case_id, 'court.hearing_listed', {
+        actorId,
+        payload: { ...base, hearingId: item.id, date: item.hearing_date, courtHall: item.court_hall, purpose: item.purpose }
+      });
+    }
+    if (hearing.outcome === 'adjourned') {
+      await AuditLogService.record(proceeding.case_id, 'court.hearing_adjourned', {
+        actorId,
+        payload: { ...base, hearingId: current.id, date: hearing.date, nextDate: hearing.nextDate, reason: hearing.reason || null }
+      });
+    }
+    if (hearing.order) {
+      await AuditLogService.record(proceeding.case_id, 'court.order_recorded', {
+        actorId,
+        payload: { ...base, hearingId: current.id, date: hearing.date, outcome: hearing.outcome, order: hearing.order }
+      });
+    }
+    if (hearing.outcome === 'disposed') {
+      await AuditLogService.record(proceeding.case_id, 'court.case_disposed', {
+        actorId,
+        payload: { ...base, hearingId: current.id, date: hearing.date, order: hearing.order || null, cancelledHearings: cancelled.length }
+      });
+    }
+  }
+
+  async noticeParties(proceeding, hearing, { next, listed, cancelled }) {
+    const label = proceeding.court_case_number ? `${proceeding.court_case_number}` : 'your case';
+    const { notificationTypes, priorities } = this.notifications;
+
+    if (hearing.outcome === 'disposed') {
+      await this.notifyParties(proceeding, {
+        title: 'Court case disposed',
+        message: `The court disposed of ${label} on ${hearing.date}.${hearing.order ? ` Order: ${hearing.order}` : ''}`,
+        priority: priorities.HIGH
+      }, cancelled);
+      return;
+    }
+    if (hearing.outcome === 'adjourned') {
+      await this.notifyParties(proceeding, {
+        title: hearing.nextDate ? `Court hearing adjourned to ${hearing.nextDate}` : 'Court hearing adjourned',
+        message: `The hearing of ${label} on ${hearing.date} was adjourned ${hearing.nextDate ? `to ${hearing.nextDate}` : 'without a next date'}` +
+          `${hearing.reason ? ` (${hearing.reason})` : ''}.${hearing.order ? ` Order: ${hearing.order}` : ''}`,
+        priority: priorities.HIGH
+      }, [next, ...cancelled]);
+      return;
+    }
+    if (hearing.outcome !== 'scheduled') {
+      await this.notifyParties(proceeding, {
+        title: hearing.outcome === 'reserved' ? 'Court reserved judgment' : 'Court hearing held',
+        message: `${label} was ${hearing.outcome === 'reserved' ? 'heard and judgment reserved' : 'heard'} on ${hearing.date}.` +
+          `${hearing.order ? ` Order: ${hearing.order}` : ''}${hearing.nextDate ? ` Next date of hearing: ${hearing.nextDate}.` : ''}`
+      }, [...(next ? [next] : []), ...cancelled]);
+      return;
+    }
+    for (const item of listed) {
+      await this.notifyParties(proceeding, {
+        title: `Court hearing on ${item.hearing_date}`,
+        message: `${label} is listed before ${proceeding.court_name || 'the court'} on ${item.hearing_date}` +
+          `${item.court_hall ? ` in court hall ${item.court_hall}` : ''}${item.purpose ? ` for ${item.purpose}` : ''}.`,
+        type: notificationTypes.DEADLINE_APPROACHING,
+        priority: priorities.HIGH
+      }, [item]);
+    }
+  }
+
+  /**
+   * In-app notice to every party; the email carries the changed hearings as
+   * a calendar invitation (cancelled ones as a cancellation).
+   */
+  async notifyParties(proceeding, { title, message, type, priority }, hearings = []) {
+    const caseId = proceeding.case_id;
+    try {
+      const changed = hearings.filter(Boolean);
+      const scheduled = changed.find(h => h.status === 'scheduled');
+      const calendar = changed.length
+        ? {
+          method: changed.every(h => h.status === 'cancelled') ? 'CANCEL' : 'REQUEST',
+          content: buildCalendar(changed.map(h => this.calendarEvent(proceeding, h)), {
+            method: changed.every(h => h.status === 'cancelled') ? 'CANCEL' : 'REQUEST',
+            now: this.now()
+          })
+        }
+        : null;
+      const url = `${frontendUrl()}/disputes/${caseId}`;
+      const userIds = await this.parties.list(caseId);
+      for (const userId of userIds) {
+        await this.notifications.createNotification({
+          userId,
+          caseId,
+          type: type || this.notifications.notificationTypes.CASE_UPDATE,
+          title,
+          message,
+          priority: priority || this.notifications.priorities.MEDIUM,
+          actionUrl: `/disputes/${caseId}`,
+          actionData: scheduled ? { hearingDate: scheduled.hearing_date, calendarUrl: `/api/court/cases/${caseId}/proceedings/calendar.ics` } : null,
+          content: {
+            email: {
+              template: 'sendHearingNotice',
+              args: [{
+                title,
+                message,
+                courtName: proceeding.court_name,
+                courtCaseNumber: proceeding.court_case_number,
+                hearingDate: scheduled ? scheduled.hearing_date : null,
+                hearingTime: scheduled ? this.timeOf(scheduled) : null,
+                courtHall: scheduled ? scheduled.court_hall : null,
+                purpose: scheduled ? scheduled.purpose : null,
+                url,
+                calendar
+              }]
+            }
+          }
+        });
+      }
+    } catch (error) {
+      logger.error(`Notifying parties of case ${caseId} about court hearings failed:`, error.message || error);
+    }
+  }
+
+  timeOf(hearing) {
+    return hearing.hearing_time || this.hearingTime;
+  }
+
+  hearingStart(proceeding, hearing) {
+    return zonedTimeToUtc(hearing.hearing_date, this.timeOf(hearing), this.timezone(proceeding));
+  }
+
+  calendarEvent(proceeding, hearing) {
+    return {
+      uid: `court-hearing-${hearing.id}@${CALENDAR_DOMAIN}`,
+      start: this.hearingStart(proceeding, hearing),
+      durationMinutes: 60,
+      summary: `Court hearing: ${proceeding.court_case_number || 'case'}${hearing.purpose ? ` (${hearing.purpose})` : ''}`,
+      location: [proceeding.court_name, hearing.court_hall ? `Court Hall ${hearing.court_hall}` : null].filter(Boolean).join(', ') || null,
+      description: [
+        hearing.item_number ? `Item ${hearing.item_number}` : null,
+        hearing.judge ? `Before ${hearing.judge}` : null,
+        hearing.order_summary ? `Order: ${hearing.order_summary}` : null,
+        hearing.cancellation_reason ? `Cancelled: ${hearing.cancellation_reason}` : null
+      ].filter(Boolean).join('\n') || null,
+      sequence: hearing.sequence || 0,
+      status: hearing.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      url: `${frontendUrl()}/disputes/${proceeding.case_id}`
+    };
+  }
+
+  async scheduleReminders(proceeding, hearing) {
+    const now = this.now();
+    const timezone = this.timezone(proceeding);
+    const jobs = this.reminderDays
+      .map(days => ({
+        payload: { kind: 'reminder', hearingId: hearing.id, hearingDate: hearing.hearing_date, daysBefore: days },
+        runAt: zonedTimeToUtc(shiftDate(hearing.hearing_date, -days), REMINDER_TIME, timezone)
+      }))
+      .filter(job => job.runAt > now);
+
+    for (const job of jobs) {
+      try {
+        await this.queue.enqueue(HEARING_QUEUE, job.payload, { runAt: job.runAt });
+      } catch (error) {
+        logger.error(`Scheduling a reminder for hearing ${hearing.id} failed:`, error.message || error);
+      }
+    }
+  }
+
+  /**
+   * Runs the queued hearing reminders. A hearing that was adjourned, moved
+   * to another date or cancelled since is skipped.
+   */
+  async handleJob({ kind, hearingId, hearingDate, daysBefore }) {
+    if (kind !== 'reminder') {
+      const error = new Error(`Unknown hearing job: ${kind}`);
+      error.retryable = false;
+      throw error;
+    }
+    const hearing = await this.store.findHearing(hearingId);
+    if (!hearing) return { skipped: 'not_found' };
+    if (hearing.status !== 'scheduled') return { skipped: hearing.status };
+    if (hearing.hearing_date !== hearingDate) return { skipped: 'rescheduled' };
+    const proceeding = await this.store.findProceeding(hearing.proceeding_id);
+    if (!proceeding || proceeding.status === 'disposed') return { skipped: 'disposed' };
+
+    await this.notifyParties(proceeding, {
+      title: `Court hearing in ${daysBefore} day${daysBefore === 1 ? '' : 's'}`,
+      message: `${proceeding.court_case_number || 'Your case'} is listed before ${proceeding.court_name || 'the court'} on ${hearing.hearing_date}` +
+        `${hearing.court_hall ? ` in court hall ${hearing.court_hall}` : ''}${hearing.purpose ? ` for ${hearing.purpose}` : ''}.`,
+      type: this.notifications.notificationTypes.DEADLINE_APPROACHING,
+      priority: daysBefore <= 1 ? this.notifications.priorities.HIGH : this.notifications.priorities.MEDIUM
+    });
+    return { reminded: hearing.id };
+  }
+
+  /**
+   * Import a cause list (CSV or JSON, see src/lib/causeList.js). Entries are
+   * matched to proceedings by the court's case number; unknown cases are
+   * reported, not an error, since a cause list covers every case of the day.
+   */
+  async importCauseList({ content, format = 'csv', filename = null, source = 'cause_list' }, { actorId = null } = {}) {
+    const { entries, errors } = parseCauseList(content, format);
+    const results = [];
+    const unmatched = [];
+    for (const entry of entries) {
+      const proceeding = await this.matchProceeding(entry);
+      if (!proceeding) {
+        unmatched.push({ line: entry.line, caseNumber: entry.caseNumber });
+        continue;
+      }
+      try {
+        const result = await this.recordHearing(proceeding.case_id, entry, { source, actorId });
+        results.push({ line: entry.line, caseNumber: entry.caseNumber, caseId: proceeding.case_id, outcome: entry.outcome, hearingId: result.hearing.id });
+      } catch (error) {
+        errors.push({ line: entry.line, caseNumber: entry.caseNumber, message: error.message });
+      }
+    }
+
+    logger.info('Cause list imported', { filename, source, entries: entries.length, matched: results.length, unmatched: unmatched.length, errors: errors.length });
+    return { filename, entries: entries.length, matched: results.length, results, unmatched, errors };
+  }
+
+  async matchProceeding(entry) {
+    const candidates = await this.store.findProceedingsByCaseNumber(entry.caseNumber);
+    if (candidates.length <= 1 || !entry.court) return candidates[0] || null;
+    const court = entry.court.toLowerCase();
+    const sameCourt = candidates.filter(p => p.court_name && p.court_name.toLowerCase() === court);
+    return sameCourt.length === 1 ? sameCourt[0] : null;
+  }
+
+  /**
+   * Pull the day's cause list from a court connector. courtSystem is the
+   * court_systems row; without one the environment-configured e-filing
+   * connector (COURT_EFILING_URL) is used.
+   */
+  async syncCauseList({ date, courtSystem = null } = {}, { actorId = null } = {}) {
+    const day = date ? parseDate(date) : this.today(null);
+    if (!day) throw new HttpError(400, 'invalid_date', 'date must be YYYY-MM-DD');
+    const connector = this.connectors.forCourtSystem(courtSystem || { connector: 'efiling' });
+    if (!connector.describe().capabilities.includes('causeList')) {
+      throw new HttpError(400, 'cause_list_not_supported', `${connector.label} does not publish cause lists`);
+    }
+    const list = await connector.causeList(day);
+    return this.importCauseList({
+      content: JSON.stringify({ date: list.date || day, court: list.court, entries: list.entries }),
+      format: 'json',
+      filename: `${connector.name}:${day}`,
+      source: 'connector'
+    }, { actorId });
+  }
+
+  proceedingView(proceeding) {
+    return {
+      id: proceeding.id,
+      caseId: proceeding.case_id,
+      filingId: proceeding.filing_id,
+      courtName: proceeding.court_name,
+      courtReference: proceeding.court_reference,
+      courtCaseNumber: proceeding.court_case_number,
+      status: proceeding.status,
+      stage: proceeding.stage,
+      nextHearingDate: proceeding.next_hearing_date,
+      expectedFirstHearing: proceeding.expected_first_hearing,
+      lastOrder: proceeding.last_order,
+      disposal: proceeding.disposal,
+      registeredAt: proceeding.registered_at || null,
+      startedAt: proceeding.started_at
+    };
+  }
+
+  hearingView(hearing) {
+    return {
+      id: hearing.id,
+      date: hearing.hearing_date,
+      time: hearing.hearing_time,
+      courtHall: hearing.court_hall,
+      itemNumber: hearing.item_number,
+      judge: hearing.judge,
+      purpose: hearing.purpose,
+      status: hearing.status,
+      order: hearing.order_summary,
+      reason: hearing.adjournment_reason,
+      nextDate: hearing.next_date,
+      cancellationReason: hearing.cancellation_reason || null,
+      source: hearing.source
+    };
+  }
+
+  /**
+   * The court stage of a case for the dispute page: referral, filing and
+   * registry defects, registration, every hearing with its order, disposal.
+   * Stages are { type, date, title, detail, status: done|next|upcoming|cancelled }.
+   */
+  async timeline(caseId) {
+    const proceeding = await this.getProceeding(caseId);
+    const hearings = await this.store.listHearings(proceeding.id);
+    let filings = [];
+    try {
+      filings = await this.filings.list(caseId);
+    } catch (error) {
+      logger.warn(`Court filings of case ${caseId} unavailable for the timeline:`, error.message || error);
+    }
+
+    const day = (value) => (value ? String(value).slice(0, 10) : null);
+    const stages = [{
+      type: 'referral',
+      date: day(proceeding.started_at),
+      title: `Forwarded to ${proceeding.court_name || 'court'}`,
+      detail: proceeding.referral_reason ? `Reason: ${proceeding.referral_reason.replace(/_/g, ' ')}` : null,
+      status: 'done'
+    }];
+
+    for (const filing of filings) {
+      if (filing.submitted_at || filing.created_at) {
+        stages.push({
+          type: 'filing',
+          date: day(filing.submitted_at || filing.created_at),
+          title: filing.resubmission_of ? 'Re-filed with the registry' : 'Filed with the registry',
+          detail: null,
+          status: 'done'
+        });
+      }
+      for (const round of filing.defect_history || []) {
+        if (round.filingId && round.filingId !== filing.id) continue;
+        stages.push({
+          type: 'defects',
+          date: day(round.noticedAt),
+          title: `Returned with ${round.defects.length} defect${round.defects.length === 1 ? '' : 's'}`,
+          detail: round.defects.map(d => d.description).join('; '),
+          status: 'done'
+        });
+      }
+      if (filing.status === 'accepted') {
+        stages.push({
+          type: 'registration',
+          date: day(filing.processed_at),
+          title: 'Registered by the court',
+          detail: filing.filing_number ? `Case number ${filing.filing_number}` : null,
+          status: 'done'
+        });
+      }
+    }
+    if (!filings.some(f => f.status === 'accepted') && proceeding.registered_at) {
+      stages.push({
+        type: 'registration',
+        date: day(proceeding.registered_at),
+        title: 'Registered by the court',
+        detail: proceeding.court_case_number ? `Case number ${proceeding.court_case_number}` : null,
+        status: 'done'
+      });
+    }
+
+    const today = this.today(proceeding);
+    for (const hearing of hearings) {
+      const status = hearing.status === 'cancelled'
+        ? 'cancelled'
+        : hearing.status !== 'scheduled' ? 'done'
+          : hearing.hearing_date === proceeding.next_hearing_date ? 'next'
+            : hearing.hearing_date < today ? 'done' : 'upcoming';
+      stages.push({
+        type: hearing.status === 'disposed' ? 'disposal' : 'hearing',
+        date: hearing.hearing_date,
+        title: this.hearingTitle(hearing),
+        detail: [
+          hearing.purpose,
+          hearing.court_hall ? `Court hall ${hearing.court_hall}` : null,
+          hearing.adjournment_reason ? `Reason: ${hearing.adjournment_reason}` : null,
+          hearing.cancellation_reason
+        ].filter(Boolean).join(' · ') || null,
+        order: hearing.order_summary || null,
+        status
+      });
+    }
+
+    if (!hearings.length && proceeding.expected_first_hearing && proceeding.status !== 'disposed') {
+      stages.push({
+        type: 'hearing',
+        date: proceeding.expected_first_hearing,
+        title: 'First hearing (estimated)',
+        detail: 'Replaced by the actual date once the court lists the case',
+        estimated: true,
+        status: 'upcoming'
+      });
+    }
+
+    const order = { referral: 0, filing: 1, defects: 2, registration: 3, hearing: 4, disposal: 5 };
+    stages.sort((a, b) => (a.date || '').localeCompare(b.date || '') || order[a.type] - order[b.type]);
+
+    return {
+      proceeding: this.proceedingView(proceeding),
+      nextHearing: (() => {
+        const next = hearings.find(h => h.status === 'scheduled' && h.hearing_date === proceeding.next_hearing_date);
+        return next ? this.hearingView(next) : null;
+      })(),
+      hearings: hearings.map(h => this.hearingView(h)),
+      stages
+    };
+  }
+
+  hearingTitle(hearing) {
+    switch (hearing.status) {
+      case 'adjourned': return `Hearing adjourned${hearing.next_date ? ` to ${hearing.next_date}` : ''}`;
+      case 'heard': return 'Hearing held';
+      case 'reserved': return 'Heard, judgment reserved';
+      case 'disposed': return 'Case disposed';
+      case 'cancelled': return 'Hearing cancelled';
+      default: return `Listed for hearing${hearing.hearing_time ? ` at ${hearing.hearing_time}` : ''}`;
+    }
+  }
+
+  // iCalendar feed of the case's hearings, cancelled ones included so
+  // subscribed calendars drop them
+  async calendar(caseId) {
+    const proceeding = await this.getProceeding(caseId);
+    const hearings = await this.store.listHearings(proceeding.id);
+    return buildCalendar(hearings.map(h => this.calendarEvent(proceeding, h)), {
+      name: `Court hearings - ${proceeding.court_case_number || proceeding.court_name || caseId}`,
+      now: this.now()
+    });
+  }
+}
+
+module.exports = new CourtHearingService();
+module.exports.CourtHearingService = CourtHearingService;
+module.exports.HEARING_QUEUE = HEARING_QUEUE;
+module.exports.OUTCOMES = OUTCOMES;
@@ -6,6 +6,7 @@ const path = require('path');
 const archiver = require('archiver');
 const FormData = require('form-data');
 const axios = require('axios');
+const AuditLogService = require('./AuditLogService');
 
 class CourtIntegrationService {
   constructor() {
@@ -88,6 +89,20 @@ class CourtIntegrationService {
         error_details: submissionResult.error
       });
 
+      if (submissionResult.success) {
+        await AuditLogService.record(caseId, 'court.filing_submitted', {
+          actorId: filedBy,
+          payload: {
+            filingId: filingRecord.id,
+            courtSystemId,
+            filingType,
+            expedited,
+            confirmationNumber: submissionResult.confirmationNumber || null,
+            documentCount: documentPackage.documents.length
+          }
+        });
+      }
+
       return {
         success: submissionResult.success,
         filingId: filingRecord.id,
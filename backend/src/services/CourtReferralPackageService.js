@@ -2,6 +2,9 @@
 const logger = require('../lib/logger');
 const { supabase } = require('../lib/supabaseClient');
 const PDFGenerationService = require('./PDFGenerationService');
+const AuditLogService = require('./AuditLogService');
+const EvidenceCustodyService = require('./EvidenceCustodyService');
+const { EvidenceIntegrityError } = EvidenceCustodyService;
 const archiver = require('archiver');
 const fs = require('fs').promises;
 const fsSync = require('fs');
@@ -54,7 +57,7 @@ class CourtReferralPackageService {
       );
 
       // Generate README for court
-      await this.generateCourtReadme(caseData, packagePath);
+      await this.generateCourtReadme(caseData, packagePath, documents);
 
       // Create ZIP archive
       const zipPath = await this.createZipArchive(packagePath, packageName);
@@ -124,10 +127,10 @@ class CourtReferralPackageService {
 
       // Get evidences
       const { data: evidences } = await supabase
-        .from('case_evidences')
+        .from('evidence')
         .select('*')
         .eq('case_id', caseId)
-        .order('uploaded_at');
+        .order('created_at');
 
       // Get settlement attempts
       const { data: settlements } = await supabase
@@ -194,6 +197,10 @@ class CourtReferralPackageService {
       logger.info('Generating parties information...');
       documents.partiesInfo = await this.generatePartiesInformation(caseData, outputDir);
 
+      // 7. Audit Log
+      logger.info('Exporting audit log...');
+      documents.auditLog = await this.generateAuditLog(caseData, outputDir);
+
       return documents;
     } catch (error) {
       logger.error('Error generating documents:', error);
@@ -405,6 +412,29 @@ class CourtReferralPackageService {
     };
   }
 
+  /**
+   * Export the hash-chained audit log, with its own verification result, so
+   * the court can check the case history independently of the platform
+   * @param {Object} caseData - Case data
+   * @param {string} outputDir - Output directory
+   * @returns {Promise<Object>} Document info with head hash and chain status
+   */
+  async generateAuditLog(caseData, outputDir) {
+    const exported = await AuditLogService.export(caseData.case.id);
+
+    const filePath = path.join(outputDir, '09_Audit_Log.json');
+    await fs.writeFile(filePath, JSON.stringify(exported, null, 2));
+
+    return {
+      filename: '09_Audit_Log.json',
+      path: filePath,
+      size: (await fs.stat(filePath)).size,
+      entryCount: exported.entryCount,
+      headHash: exported.headHash,
+      verified: exported.verification.valid
+    };
+  }
+
   /**
    * Copy statements to package
    * @param {string} caseId - Case ID
@@ -451,7 +481,10 @@ ${stmt.statement_text}
   }
 
   /**
-   * Copy evidences to package
+   * Copy evidences to package. Each exhibit is re-hashed against the digest
+   * taken at upload and goes in with its chain-of-custody report
+   * (NNN_custody.json); a file that no longer matches is left out and the
+   * report says why.
    * @param {string} caseId - Case ID
    * @param {string} outputDir - Output directory
    * @returns {Promise<void>}
@@ -462,10 +495,10 @@ ${stmt.statement_text}
       await fs.mkdir(evidencesDir, { recursive: true });
 
       const { data: evidences } = await supabase
-        .from('case_evidences')
+        .from('evidence')
         .select('*')
         .eq('case_id', caseId)
-        .order('uploaded_at');
+        .order('created_at');
 
       if (!evidences || evidences.length === 0) {
         await fs.writeFile(
@@ -475,40 +508,57 @@ ${stmt.statement_text}
         return;
       }
 
-      // Create evidence index
-      const index = evidences.map((ev, i) => ({
-        number: i + 1,
-        filename: ev.filename || ev.file_name,
-        uploadedBy: ev.uploaded_by,
-        uploadDate: new Date(ev.uploaded_at).toLocaleString(),
-        description: ev.description,
-        fileType: ev.file_type,
-        fileSize: ev.file_size
-      }));
-
-      await fs.writeFile(
-        path.join(evidencesDir, '00_Evidence_Index.json'),
-        JSON.stringify(index, null, 2)
-      );
-
-      // Copy actual evidence files if they exist locally
+      const index = [];
       for (let i = 0; i < evidences.length; i++) {
         const ev = evidences[i];
-        if (ev.file_path) {
+        const metadata = ev.metadata || {};
+        const filename = metadata.original_name || path.basename(ev.file_path || `evidence_${ev.id}`);
+        const prefix = String(i + 1).padStart(3, '0');
+        const entry = {
+          number: i + 1,
+          evidenceId: ev.id,
+          filename,
+          uploadedBy: ev.uploader_id,
+          uploadDate: new Date(ev.created_at).toLocaleString(),
+          fileType: metadata.mime,
+          fileSize: ev.size_bytes,
+          sha256: ev.sha256 || null,
+          integrity: 'not_checked',
+          custodyReport: `${prefix}_custody.json`
+        };
+
+        let buffer = null;
+        try {
+          buffer = await EvidenceCustodyService.readFile(ev);
+        } catch (err) {
+          logger.warn(`Could not read evidence file: ${filename}`, err);
+          entry.integrity = 'file_unavailable';
+        }
+
+        if (buffer) {
           try {
-            const sourcePath = path.join(__dirname, '../../', ev.file_path);
-            const destFileName = `${String(i + 1).padStart(3, '0')}_${ev.filename || ev.file_name}`;
-            const destPath = path.join(evidencesDir, destFileName);
-            
-            // Check if source file exists
-            await fs.access(sourcePath);
-            await fs.copyFile(sourcePath, destPath);
+            const result = await EvidenceCustodyService.verifyAccess(ev, buffer, EvidenceCustodyService.CUSTODY_EVENTS.EXPORTED, {}, { package: 'court_referral' });
+            entry.integrity = result.status;
+            entry.file = `${prefix}_${filename}`;
+            await fs.writeFile(path.join(evidencesDir, entry.file), buffer);
           } catch (err) {
-            logger.warn(`Could not copy evidence file: ${ev.filename}`, err);
+            if (!(err instanceof EvidenceIntegrityError)) throw err;
+            logger.error(`Evidence ${ev.id} failed its integrity check; left out of the court package`);
+            entry.integrity = 'mismatch';
           }
         }
+
+        // the report is built after the export is logged so it includes it
+        const report = await EvidenceCustodyService.custodyReport(ev, { buffer });
+        await fs.writeFile(path.join(evidencesDir, entry.custodyReport), JSON.stringify(report, null, 2));
+        index.push(entry);
       }
 
+      await fs.writeFile(
+        path.join(evidencesDir, '00_Evidence_Index.json'),
+        JSON.stringify(index, null, 2)
+      );
+
       logger.info(`Processed ${evidences.length} evidences for package`);
     } catch (error) {
       logger.error('Error copying evidences:', error);
@@ -544,6 +594,7 @@ ${stmt.statement_text}
         aiAnalyses: caseData.analysis.length,
         settlementAttempts: caseData.settlements.length,
         timelineEvents: caseData.timeline.length,
+        auditLogEntries: documents.auditLog ? documents.auditLog.entryCount : 0,
         negotiationDuration: this.calculateNegotiationPeriod(caseData.case)
       },
       contents: {
@@ -555,9 +606,15 @@ ${stmt.statement_text}
         settlementAttempts: '06_Settlement_Attempts.json',
         timeline: '07_Timeline.json',
         partiesInfo: '08_Parties_Information.json',
+        auditLog: '09_Audit_Log.json',
         manifest: 'MANIFEST.json',
         readme: 'README_FOR_COURT.txt'
       },
+      auditLog: documents.auditLog ? {
+        hashAlgorithm: 'sha256',
+        headHash: documents.auditLog.headHash,
+        verified: documents.auditLog.verified
+      } : null,
       readyForCourtFiling: true,
       generatedBy: 'AI Dispute Resolution Platform v1.0',
       packageVersion: '1.0'
@@ -568,9 +625,11 @@ ${stmt.statement_text}
    * Generate README for court
    * @param {Object} caseData - Case data
    * @param {string} outputDir - Output directory
+   * @param {Object} documents - Generated documents
    * @returns {Promise<void>}
    */
-  async generateCourtReadme(caseData, outputDir) {
+  async generateCourtReadme(caseData, outputDir, documents = {}) {
+    const auditLog = documents.auditLog;
     const content = `
 AI DISPUTE RESOLUTION PLATFORM
 COURT REFERRAL PACKAGE
@@ -590,6 +649,7 @@ PACKAGE STRUCTURE:
 06_Settlement_Attempts.json     - Log of all settlement attempts
 07_Timeline.json                - Complete case timeline
 08_Parties_Information.json     - Contact details of both parties
+09_Audit_Log.json               - Tamper-evident, hash-chained case history
 MANIFEST.json                   - Complete package manifest
 README_FOR_COURT.txt            - This file
 
@@ -621,7 +681,14 @@ All documents in this package are authentic and have been:
 - Timestamped at creation
 - Preserved in their original form
 - Organized for easy court review
-
+${auditLog ? `
+Every recorded case event is chained in 09_Audit_Log.json: each entry
+carries the SHA-256 hash of the entry before it. The file explains how
+to recompute the hashes.
+Audit log entries: ${auditLog.entryCount}
+Chain head hash:   ${auditLog.headHash}
+Chain verified:    ${auditLog.verified ? 'YES' : 'NO - see verification section of the file'}
+` : ''}
 CONTACT INFORMATION:
 -------------------
 Platform: AI Dispute Resolution Platform
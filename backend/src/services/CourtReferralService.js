@@ -4,6 +4,9 @@ const { supabase } = require('../lib/supabaseClient');
 const PDFGenerationService = require('./PDFGenerationService');
 const EmailService = require('./EmailService');
 const DocumentTemplateService = require('./DocumentTemplateService');
+const CalendarService = require('./CalendarService');
+const JurisdictionService = require('./JurisdictionService');
+const CourtFeeService = require('./CourtFeeService');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
@@ -11,137 +14,28 @@ const { v4: uuidv4 } = require('uuid');
 class CourtReferralService {
   constructor() {
     this.referralDir = path.join(__dirname, '../../storage/court_referrals');
-    this.courtDatabase = path.join(__dirname, '../../storage/courts.json');
     this.init();
   }
 
   async init() {
     try {
       await fs.mkdir(this.referralDir, { recursive: true });
-      
-      // Initialize court database if not exists
-      try {
-        await fs.access(this.courtDatabase);
-      } catch {
-        await this.initializeCourtDatabase();
-      }
-      
       logger.info('Court Referral service initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize Court Referral service:', error);
     }
   }
 
-  // Initialize court database with major Indian courts
-  async initializeCourtDatabase() {
-    try {
-      const courts = {
-        "supreme_court": {
-          name: "Supreme Court of India",
-          jurisdiction: "National",
-          location: "New Delhi",
-          address: "Tilak Marg, New Delhi 110001",
-          phone: "+91-11-2338-4535",
-          email: "supremecourt@nic.in",
-          filing_process: "Online e-filing through Supreme Court website",
-          court_fees: "Variable based on case type",
-          applicable_cases: ["Constitutional matters", "Appeals from High Courts", "Special leave petitions"]
-        },
-        "delhi_high_court": {
-          name: "Delhi High Court",
-          jurisdiction: "Delhi",
-          location: "New Delhi",
-          address: "Sher Shah Road, New Delhi 110003",
-          phone: "+91-11-2389-3037",
-          email: "delhihc@nic.in",
-          filing_process: "Physical filing or e-filing portal",
-          court_fees: "₹10,000 - ₹50,000 (civil disputes)",
-          applicable_cases: ["Civil disputes above ₹20 lakhs", "Writ petitions", "Appeals"]
-        },
-        "mumbai_high_court": {
-          name: "Bombay High Court",
-          jurisdiction: "Maharashtra, Goa, Dadra and Nagar Haveli",
-          location: "Mumbai",
-          address: "Fort, Mumbai 400001",
-          phone: "+91-22-2266-1224",
-          email: "bombayhc@nic.in",
-          filing_process: "Physical filing or e-filing portal",
-          court_fees: "₹10,000 - ₹50,000 (civil disputes)",
-          applicable_cases: ["Civil disputes above ₹20 lakhs", "Commercial disputes", "IP matters"]
-        },
-        "bangalore_high_court": {
-          name: "Karnataka High Court",
-          jurisdiction: "Karnataka",
-          location: "Bangalore",
-          address: "Attara Kacheri Road, Bangalore 560001",
-          phone: "+91-80-2221-4652",
-          email: "karnatakahc@nic.in",
-          filing_process: "Physical filing or e-filing portal",
-          court_fees: "₹10,000 - ₹50,000 (civil disputes)",
-          applicable_cases: ["Civil disputes", "Service matters", "Land disputes"]
-        },
-        "district_court_civil": {
-          name: "District Court (Civil)",
-          jurisdiction: "District level",
-          location: "Various",
-          address: "As per district",
-          phone: "District specific",
-          email: "District specific",
-          filing_process: "Physical filing at court premises",
-          court_fees: "₹500 - ₹10,000 (civil disputes)",
-          applicable_cases: ["Civil disputes up to ₹20 lakhs", "Property disputes", "Contract disputes"]
-        },
-        "consumer_court": {
-          name: "Consumer Disputes Redressal Forum",
-          jurisdiction: "Consumer matters",
-          location: "Various",
-          address: "District/State/National level",
-          phone: "Forum specific",
-          email: "Forum specific",
-          filing_process: "Online through National Consumer Helpline or physical filing",
-          court_fees: "No court fees for disputes up to ₹20 lakhs",
-          applicable_cases: ["Consumer complaints", "Service deficiency", "Product defects"]
-        }
-      };
-
-      await fs.writeFile(this.courtDatabase, JSON.stringify(courts, null, 2));
-      logger.info('Court database initialized');
-    } catch (error) {
-      logger.error('Error initializing court database:', error);
-    }
-  }
-
-  // Determine appropriate court based on case details
+  // Determine appropriate court from the jurisdiction rule tables
   async determineAppropriateCourt(caseData) {
     try {
-      const courts = JSON.parse(await fs.readFile(this.courtDatabase, 'utf8'));
-      
-      // Analyze case for court determination
-      const disputeAmount = this.extractDisputeAmount(caseData);
-      const caseType = this.determineCaseType(caseData);
-      const location = caseData.location || 'delhi';
-
-      let recommendedCourt;
-
-      // Consumer disputes
-      if (caseType === 'consumer') {
-        recommendedCourt = courts.consumer_court;
-      }
-      // High value civil disputes
-      else if (disputeAmount > 2000000) { // Above ₹20 lakhs
-        recommendedCourt = this.getHighCourtByLocation(courts, location);
-      }
-      // Regular civil disputes
-      else {
-        recommendedCourt = courts.district_court_civil;
-        recommendedCourt.location = location;
-        recommendedCourt.address = `District Court, ${location}`;
-      }
-
+      const recommendation = JurisdictionService.recommendForCase(caseData);
       return {
-        court: recommendedCourt,
-        reasoning: this.generateCourtSelectionReasoning(caseData, disputeAmount, caseType),
-        alternativeCourts: this.getAlternativeCourts(courts, caseType, disputeAmount)
+        court: this.courtFromForum(recommendation.forum),
+        reasoning: recommendation.explanation.join(' '),
+        warnings: recommendation.warnings,
+        alternativeCourts: recommendation.alternatives.map(forum => this.courtFromForum(forum)),
+        recommendation
       };
     } catch (error) {
       logger.error('Error determining appropriate court:', error);
@@ -149,24 +43,42 @@ class CourtReferralService {
     }
   }
 
+  // Court details for referral documents and records from a recommended forum
+  courtFromForum(forum) {
+    return {
+      id: forum.id,
+      name: forum.name,
+      type: forum.type,
+      level: forum.level,
+      jurisdiction: forum.jurisdiction,
+      jurisdictionCode: forum.jurisdictionCode,
+      location: forum.district || forum.jurisdiction,
+      address: forum.district ? `${forum.district}, ${forum.jurisdiction}` : forum.jurisdiction,
+      statute: forum.statute,
+      requirements: forum.requirements
+    };
+  }
+
   // Process court referral
   async processCourtReferral(caseId, referralReason, initiatedBy, options = {}) {
     try {
       // Get case data
-      const caseData = await this.getCaseDataForReferral(caseId);
+      const { data: caseData, error: caseError } = await this.getCaseDataForReferral(caseId);
+      if (caseError || !caseData) throw new Error('Case not found');
       
       // Determine appropriate court
       const courtRecommendation = await this.determineAppropriateCourt(caseData);
+      courtRecommendation.fees = this.calculateCourtFees(courtRecommendation.court, caseData);
       
       // Prepare settlement attempts history
-      const settlementAttempts = await this.getSettlementAttempts(caseId);
+      const { data: settlementAttempts } = await this.getSettlementAttempts(caseId);
       
       // Generate court referral documents
       const referralDocuments = await this.generateReferralDocuments(
         caseData,
         courtRecommendation,
         referralReason,
-        settlementAttempts
+        settlementAttempts || []
       );
       
       // Create referral record
@@ -193,10 +105,11 @@ class CourtReferralService {
         success: true,
         referralId: referralRecord.id,
         court: courtRecommendation.court,
+        fees: courtRecommendation.fees,
         documents: referralDocuments,
         notifications,
         nextSteps: this.generateNextSteps(courtRecommendation.court),
-        estimatedFilingDate: this.calculateEstimatedFilingDate()
+        estimatedFilingDate: this.calculateEstimatedFilingDate(courtRecommendation.court.jurisdiction)
       };
     } catch (error) {
       logger.error('Error processing court referral:', error);
@@ -214,7 +127,8 @@ class CourtReferralService {
       const referralPDF = await PDFGenerationService.generateCourtReferralDocument(
         caseData,
         referralReason,
-        settlementAttempts
+        settlementAttempts,
+        { court: courtRecommendation.court, fees: courtRecommendation.fees }
       );
       documents.push({
         type: 'court_referral',
@@ -250,7 +164,8 @@ class CourtReferralService {
       // 4. Court Filing Checklist
       const filingChecklist = await this.generateFilingChecklist(
         courtRecommendation.court,
-        caseData
+        caseData,
+        courtRecommendation.fees
       );
       documents.push({
         type: 'filing_checklist',
@@ -308,26 +223,22 @@ class CourtReferralService {
   }
 
   // Generate court-specific filing checklist
-  async generateFilingChecklist(court, caseData) {
+  async generateFilingChecklist(court, caseData, fees = this.calculateCourtFees(court, caseData)) {
     try {
-      const templateData = {
+      const checklistData = {
         court: court,
         case: caseData,
         requirements: this.getCourtSpecificRequirements(court),
         checklist: this.generateChecklistItems(court, caseData),
-        fees: this.calculateCourtFees(court, caseData),
+        fees,
         timeline: {
           generatedAt: new Date().toLocaleDateString(),
-          estimatedFilingDate: this.calculateEstimatedFilingDate(),
-          expectedFirstHearing: this.calculateExpectedFirstHearing()
+          estimatedFilingDate: this.calculateEstimatedFilingDate(court.jurisdiction),
+          expectedFirstHearing: this.calculateExpectedFirstHearing(court.jurisdiction)
         }
       };
 
-      return await PDFGenerationService.generateFromTemplate(
-        'filing-checklist',
-        templateData,
-        `filing_checklist_${caseData.id}_${Date.now()}.pdf`
-      );
+      return await PDFGenerationService.generateFilingChecklist(checklistData);
     } catch (error) {
       logger.error('Error generating filing checklist:', error);
       throw new Error('Failed to generate filing checklist');
@@ -344,30 +255,9 @@ class CourtReferralService {
       'Vakalatnama (if represented by advocate)'
     ];
 
-    const specificRequirements = {
-      'Supreme Court of India': [
-        'Special leave petition format',
-        'Certified copies of impugned judgment',
-        'Paper book preparation',
-        'Security deposit as per rules'
-      ],
-      'Delhi High Court': [
-        'Case information sheet',
-        'Index of documents',
-        'E-filing registration (if filing online)',
-        'Delhi High Court specific formats'
-      ],
-      'Consumer Disputes Redressal Forum': [
-        'Consumer complaint format',
-        'Copy of invoice/bill/agreement',
-        'Proof of service deficiency',
-        'Medical records (if applicable)'
-      ]
-    };
-
     return {
       base: baseRequirements,
-      specific: specificRequirements[court.name] || []
+      specific: court.requirements || []
     };
   }
 
@@ -428,8 +318,9 @@ class CourtReferralService {
         referral_documents: documents,
         court_selection_reasoning: courtRecommendation.reasoning,
         alternative_courts: courtRecommendation.alternativeCourts,
-        estimated_filing_date: this.calculateEstimatedFilingDate(),
-        estimated_first_hearing: this.calculateExpectedFirstHearing(),
+        court_fees: courtRecommendation.fees || null,
+        estimated_filing_date: this.calculateEstimatedFilingDate(courtRecommendation.court.jurisdiction),
+        estimated_first_hearing: this.calculateExpectedFirstHearing(courtRecommendation.court.jurisdiction),
         initiated_by: initiatedBy,
         status: 'pending_filing',
         created_at: new Date().toISOString()
@@ -471,8 +362,8 @@ class CourtReferralService {
           },
           documents: documents,
           timeline: {
-            estimatedFilingDate: this.calculateEstimatedFilingDate(),
-            expectedFirstHearing: this.calculateExpectedFirstHearing()
+            estimatedFilingDate: this.calculateEstimatedFilingDate(courtRecommendation.court.jurisdiction),
+            expectedFirstHearing: this.calculateExpectedFirstHearing(courtRecommendation.court.jurisdiction)
           }
         };
 
@@ -546,88 +437,6 @@ class CourtReferralService {
       .in('event_type', ['settlement_attempt', 'ai_analysis', 'negotiation']);
   }
 
-  extractDisputeAmount(caseData) {
-    // Extract monetary value from case description or explicit field
-    const amount = caseData.dispute_amount || caseData.claimed_amount;
-    if (amount) return amount;
-
-    // Try to extract from description
-    const description = caseData.description || '';
-    const matches = description.match(/(?:Rs\.?|₹)\s*(\d+(?:,\d+)*(?:\.\d+)?)/gi);
-    if (matches) {
-      return Math.max(...matches.map(m => 
-        parseFloat(m.replace(/[^\d.]/g, ''))
-      ));
-    }
-
-    return 0;
-  }
-
-  determineCaseType(caseData) {
-    const keywords = {
-      consumer: ['defective product', 'service deficiency', 'consumer complaint', 'warranty', 'refund'],
-      property: ['property dispute', 'land', 'real estate', 'possession', 'title'],
-      contract: ['breach of contract', 'agreement', 'payment default', 'delivery'],
-      employment: ['wrongful termination', 'salary dispute', 'workplace harassment']
-    };
-
-    const description = (caseData.description || '').toLowerCase();
-    
-    for (const [type, typeKeywords] of Object.entries(keywords)) {
-      if (typeKeywords.some(keyword => description.includes(keyword))) {
-        return type;
-      }
-    }
-
-    return 'civil';
-  }
-
-  getHighCourtByLocation(courts, location) {
-    const locationMap = {
-      delhi: 'delhi_high_court',
-      mumbai: 'mumbai_high_court',
-      bangalore: 'bangalore_high_court',
-      bengaluru: 'bangalore_high_court'
-    };
-
-    return courts[locationMap[location.toLowerCase()]] || courts.delhi_high_court;
-  }
-
-  generateCourtSelectionReasoning(caseData, amount, type) {
-    let reasoning = [];
-    
-    if (type === 'consumer') {
-      reasoning.push('Case involves consumer dispute - Consumer Forum has specialized jurisdiction');
-    } else if (amount > 2000000) {
-      reasoning.push('Dispute amount exceeds ₹20 lakhs - High Court jurisdiction required');
-    } else {
-      reasoning.push('District Court has appropriate jurisdiction for this civil matter');
-    }
-
-    reasoning.push(`Case type: ${type.toUpperCase()}`);
-    if (amount > 0) {
-      reasoning.push(`Dispute amount: ₹${amount.toLocaleString('en-IN')}`);
-    }
-
-    return reasoning.join('. ');
-  }
-
-  getAlternativeCourts(courts, type, amount) {
-    // Return 2-3 alternative courts based on case type
-    const alternatives = [];
-    
-    if (type === 'consumer') {
-      alternatives.push(courts.district_court_civil);
-    } else {
-      alternatives.push(courts.consumer_court);
-      if (amount > 1000000) {
-        alternatives.push(courts.delhi_high_court);
-      }
-    }
-
-    return alternatives.slice(0, 2);
-  }
-
   generateNextSteps(court) {
     return [
       'Review all generated documents and court referral materials',
@@ -640,42 +449,23 @@ class CourtReferralService {
     ];
   }
 
+  // Itemized fees from the court's fee schedule (CourtFeeService)
   calculateCourtFees(court, caseData) {
-    const disputeAmount = this.extractDisputeAmount(caseData);
-    let courtFee = 0;
-
-    if (court.name.includes('Consumer')) {
-      courtFee = 0; // No court fees for consumer forums
-    } else if (court.name.includes('Supreme Court')) {
-      courtFee = 50000; // Fixed fee for Supreme Court
-    } else if (court.name.includes('High Court')) {
-      // Calculate based on dispute amount
-      courtFee = Math.min(Math.max(disputeAmount * 0.01, 10000), 50000);
-    } else {
-      // District court
-      courtFee = Math.min(Math.max(disputeAmount * 0.02, 500), 10000);
-    }
-
-    return {
-      courtFee,
-      processService: Math.min(courtFee * 0.1, 5000),
-      miscellaneous: 1000,
-      total: courtFee + Math.min(courtFee * 0.1, 5000) + 1000
-    };
+    return CourtFeeService.calculateForCase(court, caseData);
   }
 
-  calculateEstimatedFilingDate() {
-    // Add 7-14 days for document preparation
-    const filingDate = new Date();
-    filingDate.setDate(filingDate.getDate() + 10);
-    return filingDate.toISOString().split('T')[0];
+  // Dates are YYYY-MM-DD in the court's jurisdiction calendar
+  calculateEstimatedFilingDate(jurisdiction = null) {
+    // 10 business days for document preparation
+    const filingDate = CalendarService.addBusinessDays(new Date(), 10, { jurisdiction });
+    return CalendarService.formatDate(filingDate, { jurisdiction });
   }
 
-  calculateExpectedFirstHearing() {
-    // Add 30-60 days from filing (varies by court)
+  calculateExpectedFirstHearing(jurisdiction = null) {
+    // Add 30-60 days from filing (varies by court), landing on a court working day
     const hearingDate = new Date();
     hearingDate.setDate(hearingDate.getDate() + 45);
-    return hearingDate.toISOString().split('T')[0];
+    return CalendarService.formatDate(CalendarService.nextBusinessDay(hearingDate, { jurisdiction }), { jurisdiction });
   }
 
   // Get court referral statistics
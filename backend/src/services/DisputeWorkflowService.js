@@ -1,10 +1,14 @@
 // Dispute Workflow Service - Manages the complete dispute resolution lifecycle
 const { supabase } = require('../lib/supabaseClient');
-const { logger } = require('../lib/logger');
-const { v4: uuidv4 } = require('uuid');
+const logger = require('../lib/logger');
+const crypto = require('crypto');
 const Case = require('../models/Case');
+const WorkflowDefinitions = require('./WorkflowDefinitionService');
+const WebhookService = require('./WebhookService');
+const AuditLogService = require('./AuditLogService');
 
-// Dispute lifecycle stages
+// Stage names used by the built-in definitions. Which stages a case actually
+// passes through, and in what order, comes from its pinned workflow definition.
 const DisputeStage = {
   DRAFT: 'draft',
   AWAITING_RESPONDENT: 'awaiting_respondent',
@@ -15,6 +19,7 @@ const DisputeStage = {
   AWAITING_SELECTION: 'awaiting_selection',
   CONSENSUS_REACHED: 'consensus_reached',
   REANALYSIS: 'reanalysis',
+  MEDIATION: 'mediation',
   SETTLEMENT_READY: 'settlement_ready',
   SIGNATURE_PENDING: 'signature_pending',
   CLOSED_SETTLED: 'closed_settled',
@@ -22,50 +27,38 @@ const DisputeStage = {
   CLOSED_REJECTED: 'closed_rejected'
 };
 
-// Valid stage transitions
-const STAGE_TRANSITIONS = {
-  [DisputeStage.DRAFT]: [DisputeStage.AWAITING_RESPONDENT],
-  [DisputeStage.AWAITING_RESPONDENT]: [DisputeStage.STATEMENT_COLLECTION],
-  [DisputeStage.STATEMENT_COLLECTION]: [DisputeStage.STATEMENT_FINALIZED],
-  [DisputeStage.STATEMENT_FINALIZED]: [DisputeStage.AI_ANALYSIS],
-  [DisputeStage.AI_ANALYSIS]: [DisputeStage.OPTIONS_PRESENTED],
-  [DisputeStage.OPTIONS_PRESENTED]: [DisputeStage.AWAITING_SELECTION],
-  [DisputeStage.AWAITING_SELECTION]: [
-    DisputeStage.CONSENSUS_REACHED, 
-    DisputeStage.REANALYSIS, 
-    DisputeStage.FORWARDED_TO_COURT
-  ],
-  [DisputeStage.REANALYSIS]: [DisputeStage.AWAITING_SELECTION],
-  [DisputeStage.CONSENSUS_REACHED]: [DisputeStage.SETTLEMENT_READY],
-  [DisputeStage.SETTLEMENT_READY]: [DisputeStage.SIGNATURE_PENDING],
-  [DisputeStage.SIGNATURE_PENDING]: [DisputeStage.CLOSED_SETTLED],
-  [DisputeStage.CLOSED_SETTLED]: [],
-  [DisputeStage.FORWARDED_TO_COURT]: [],
-  [DisputeStage.CLOSED_REJECTED]: []
-};
-
 class DisputeWorkflowService {
   constructor() {
     this.DisputeStage = DisputeStage;
   }
 
-  // Initialize dispute workflow
-  async initializeWorkflow(caseId, initiatorUserId) {
+  // Initialize dispute workflow, pinned to the definition version it starts with
+  // options: definitionId to pick a lifecycle explicitly instead of by case type
+  async initializeWorkflow(caseId, initiatorUserId, options = {}) {
     try {
       logger.info(`Initializing workflow for case ${caseId}`);
 
+      const caseRecord = await Case.findById(caseId);
+      const definition = WorkflowDefinitions.select({
+        definitionId: options.definitionId,
+        caseType: caseRecord?.case_type
+      });
+      const initialStage = definition.initialStage;
+
       // Create workflow record
       const workflow = {
-        id: uuidv4(),
+        id: crypto.randomUUID(),
         case_id: caseId,
-        current_stage: DisputeStage.DRAFT,
+        current_stage: initialStage,
+        definition_id: definition.id,
+        definition_version: definition.version,
         initiated_by: initiatorUserId,
         initiated_at: new Date().toISOString(),
         stage_history: JSON.stringify([{
-          stage: DisputeStage.DRAFT,
+          stage: initialStage,
           timestamp: new Date().toISOString(),
           actor: initiatorUserId,
-          notes: 'Workflow initialized'
+          notes: `Workflow initialized (${definition.id}@${definition.version})`
         }]),
         metadata: JSON.stringify({
           partyStatements: {},
@@ -85,7 +78,7 @@ class DisputeWorkflowService {
       }
 
       // Update case status
-      await Case.updateStatus(caseId, 'draft');
+      await Case.updateStatus(caseId, definition.stages[initialStage].status);
 
       return {
         success: true,
@@ -118,6 +111,10 @@ class DisputeWorkflowService {
       if (data) {
         data.stage_history = JSON.parse(data.stage_history || '[]');
         data.metadata = JSON.parse(data.metadata || '{}');
+
+        const definition = WorkflowDefinitions.forWorkflow(data);
+        data.definition = { id: definition.id, version: definition.version, name: definition.name };
+        data.allowed_transitions = WorkflowDefinitions.getAllowedTransitions(definition, data.current_stage);
       }
 
       return {
@@ -148,9 +145,17 @@ class DisputeWorkflowService {
       const workflow = workflowResult.workflow;
       const currentStage = workflow.current_stage;
 
-      // Validate transition
-      if (!this.isValidTransition(currentStage, newStage)) {
-        throw new Error(`Invalid transition from ${currentStage} to ${newStage}`);
+      // Validate transition against the pinned definition, including its guards
+      const definition = WorkflowDefinitions.forWorkflow(workflow);
+      const check = await WorkflowDefinitions.checkTransition(definition, {
+        caseId,
+        workflow,
+        from: currentStage,
+        to: newStage,
+        actorUserId
+      });
+      if (!check.allowed) {
+        throw new Error(check.reason);
       }
 
       // Add to stage history
@@ -180,11 +185,32 @@ class DisputeWorkflowService {
       }
 
       // Update case status to match stage
-      const caseStatus = this.stageToStatus(newStage);
+      const caseStatus = this.stageToStatus(newStage, definition);
       await Case.updateStatus(caseId, caseStatus);
 
-      // Trigger stage-specific actions
-      await this.onStageTransition(caseId, newStage, workflow);
+      // Run the stage's on-enter hooks
+      await WorkflowDefinitions.runOnEnter(definition, {
+        caseId,
+        workflow: { ...workflow, current_stage: newStage, stage_history: stageHistory },
+        from: currentStage,
+        to: newStage,
+        actorUserId
+      });
+
+      await AuditLogService.record(caseId, 'workflow.stage_changed', {
+        actorId: actorUserId,
+        payload: { from: currentStage, to: newStage, caseStatus, notes: notes || null }
+      });
+
+      await WebhookService.publish('dispute.stage_changed', {
+        caseId,
+        previousStage: currentStage,
+        newStage,
+        caseStatus,
+        actorUserId,
+        notes,
+        definition: { id: definition.id, version: definition.version }
+      });
 
       logger.info(`Successfully transitioned case ${caseId} to ${newStage}`);
 
@@ -204,90 +230,19 @@ class DisputeWorkflowService {
     }
   }
 
-  // Check if transition is valid
-  isValidTransition(currentStage, newStage) {
-    const allowedTransitions = STAGE_TRANSITIONS[currentStage] || [];
-    return allowedTransitions.includes(newStage);
+  // Check if transition is valid (ignores guards)
+  isValidTransition(currentStage, newStage, definition = WorkflowDefinitions.get('standard')) {
+    return this.getAllowedTransitions(currentStage, definition).includes(newStage);
   }
 
   // Get allowed transitions for current stage
-  getAllowedTransitions(currentStage) {
-    return STAGE_TRANSITIONS[currentStage] || [];
+  getAllowedTransitions(currentStage, definition = WorkflowDefinitions.get('standard')) {
+    return WorkflowDefinitions.getAllowedTransitions(definition, currentStage);
   }
 
   // Convert stage to case status
-  stageToStatus(stage) {
-    const stageStatusMap = {
-      [DisputeStage.DRAFT]: 'draft',
-      [DisputeStage.AWAITING_RESPONDENT]: 'pending',
-      [DisputeStage.STATEMENT_COLLECTION]: 'active',
-      [DisputeStage.STATEMENT_FINALIZED]: 'active',
-      [DisputeStage.AI_ANALYSIS]: 'analyzing',
-      [DisputeStage.OPTIONS_PRESENTED]: 'negotiation',
-      [DisputeStage.AWAITING_SELECTION]: 'negotiation',
-      [DisputeStage.CONSENSUS_REACHED]: 'settlement',
-      [DisputeStage.REANALYSIS]: 'analyzing',
-      [DisputeStage.SETTLEMENT_READY]: 'settlement',
-      [DisputeStage.SIGNATURE_PENDING]: 'settlement',
-      [DisputeStage.CLOSED_SETTLED]: 'closed',
-      [DisputeStage.FORWARDED_TO_COURT]: 'escalated',
-      [DisputeStage.CLOSED_REJECTED]: 'closed'
-    };
-
-    return stageStatusMap[stage] || 'active';
-  }
-
-  // Handle stage-specific actions
-  async onStageTransition(caseId, newStage, workflow) {
-    try {
-      // Import services only when needed to avoid circular dependencies
-      const EmailService = require('./EmailService');
-      const NotificationService = require('./NotificationService');
-
-      switch (newStage) {
-        case DisputeStage.AWAITING_RESPONDENT:
-          // Notification sent when party is invited (handled by InvitationService)
-          break;
-
-        case DisputeStage.STATEMENT_COLLECTION:
-          // Notify both parties to submit statements
-          await NotificationService.notifyStatementsNeeded(caseId);
-          break;
-
-        case DisputeStage.AI_ANALYSIS:
-          // Trigger AI analysis (handled separately)
-          logger.info(`Case ${caseId} ready for AI analysis`);
-          break;
-
-        case DisputeStage.OPTIONS_PRESENTED:
-          // Notify parties that settlement options are ready
-          await NotificationService.notifyOptionsReady(caseId);
-          break;
-
-        case DisputeStage.CONSENSUS_REACHED:
-          // Notify parties of consensus
-          await NotificationService.notifyConsensusReached(caseId);
-          break;
-
-        case DisputeStage.FORWARDED_TO_COURT:
-          // Notify parties case is being forwarded to court
-          await NotificationService.notifyCaseForwarded(caseId);
-          break;
-
-        case DisputeStage.CLOSED_SETTLED:
-          // Send final settlement documents
-          await NotificationService.notifySettlementClosed(caseId);
-          break;
-
-        default:
-          // No specific action needed
-          break;
-      }
-
-    } catch (error) {
-      logger.error(`Error in stage transition handler for ${newStage}:`, error);
-      // Don't throw - stage transition should succeed even if notifications fail
-    }
+  stageToStatus(stage, definition = WorkflowDefinitions.get('standard')) {
+    return definition.stages[stage]?.status || 'active';
   }
 
   // Update workflow metadata
@@ -330,6 +285,18 @@ class DisputeWorkflowService {
     }
   }
 
+  // Record the outcome of a mediation round (satisfies the mediationCompleted guard)
+  async recordMediationOutcome(caseId, actorUserId, { completed = true, notes = '' } = {}) {
+    return this.updateMetadata(caseId, {
+      mediation: {
+        completed,
+        notes,
+        recordedBy: actorUserId,
+        recordedAt: new Date().toISOString()
+      }
+    });
+  }
+
   // Get workflow statistics
   async getStatistics(caseId) {
     try {
@@ -349,7 +316,7 @@ class DisputeWorkflowService {
         totalDuration: this.getTotalDuration(workflow.initiated_at),
         stageTransitions: stageHistory.length - 1,
         reanalysisCount: workflow.metadata?.reanalysisCount || 0,
-        estimatedCompletion: this.estimateCompletion(workflow.current_stage)
+        estimatedCompletion: this.estimateCompletion(workflow.current_stage, WorkflowDefinitions.forWorkflow(workflow))
       };
 
       return {
@@ -382,25 +349,8 @@ class DisputeWorkflowService {
   }
 
   // Helper: Estimate completion
-  estimateCompletion(currentStage) {
-    const stageEstimates = {
-      [DisputeStage.DRAFT]: 14,
-      [DisputeStage.AWAITING_RESPONDENT]: 10,
-      [DisputeStage.STATEMENT_COLLECTION]: 7,
-      [DisputeStage.STATEMENT_FINALIZED]: 2,
-      [DisputeStage.AI_ANALYSIS]: 1,
-      [DisputeStage.OPTIONS_PRESENTED]: 5,
-      [DisputeStage.AWAITING_SELECTION]: 7,
-      [DisputeStage.CONSENSUS_REACHED]: 3,
-      [DisputeStage.REANALYSIS]: 3,
-      [DisputeStage.SETTLEMENT_READY]: 2,
-      [DisputeStage.SIGNATURE_PENDING]: 3,
-      [DisputeStage.CLOSED_SETTLED]: 0,
-      [DisputeStage.FORWARDED_TO_COURT]: 0,
-      [DisputeStage.CLOSED_REJECTED]: 0
-    };
-
-    return stageEstimates[currentStage] || 7;
+  estimateCompletion(currentStage, definition = WorkflowDefinitions.get('standard')) {
+    return definition.stages[currentStage]?.estimatedDays ?? 7;
   }
 }
 
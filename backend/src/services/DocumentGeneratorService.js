@@ -1,6 +1,7 @@
 // Legal Document Generator Service - Phase 5.1 Core Implementation
 const geminiService = require('./GeminiService');
 const { supabase } = require('../lib/supabaseClient');
+const SearchIndexService = require('./SearchIndexService');
 const Handlebars = require('handlebars');
 const puppeteer = require('puppeteer');
 const { Document, Packer, Paragraph, TextRun } = require('docx');
@@ -556,6 +557,8 @@ Generate content:`;
         .single();
 
       if (error) throw error;
+
+      await SearchIndexService.index('generated_document', savedDoc);
       
       return savedDoc;
     } catch (error) {
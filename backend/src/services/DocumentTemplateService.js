@@ -2,6 +2,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../lib/logger');
+const { DEFAULT_LANGUAGE, isSupportedLanguage } = require('../lib/languages');
 
 class DocumentTemplateService {
   constructor() {
@@ -40,10 +41,25 @@ class DocumentTemplateService {
     }
   }
 
-  // Render template with dynamic data
-  async renderTemplate(templateName, data) {
+  // Localized templates live in templates/<language>/; a language without its
+  // own version of a template gets the English one
+  async resolveTemplate(templateName, language = DEFAULT_LANGUAGE) {
+    if (language && language !== DEFAULT_LANGUAGE && isSupportedLanguage(language)) {
+      const localized = path.join(this.templatesDir, language, `${templateName}.html`);
+      try {
+        await fs.access(localized);
+        return { templatePath: localized, language };
+      } catch {
+        logger.debug(`No ${language} version of template ${templateName}; using English`);
+      }
+    }
+    return { templatePath: path.join(this.templatesDir, `${templateName}.html`), language: DEFAULT_LANGUAGE };
+  }
+
+  // Render template with dynamic data; options.language picks a localized version
+  async renderTemplate(templateName, data, options = {}) {
     try {
-      const templatePath = path.join(this.templatesDir, `${templateName}.html`);
+      const { templatePath, language } = await this.resolveTemplate(templateName, options.language);
       let template = await fs.readFile(templatePath, 'utf8');
 
       // Replace placeholders with actual data
@@ -52,6 +68,8 @@ class DocumentTemplateService {
       return {
         html: template,
         templateName,
+        language,
+        requestedLanguage: options.language || DEFAULT_LANGUAGE,
         renderedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -555,14 +573,20 @@ class DocumentTemplateService {
 </html>`;
   }
 
-  // Create custom template
-  async createTemplate(name, htmlContent) {
+  // Create custom template, or the localized version of one
+  async createTemplate(name, htmlContent, language = null) {
     try {
-      const filepath = path.join(this.templatesDir, `${name}.html`);
+      if (language && !isSupportedLanguage(language)) {
+        throw new Error(`Unsupported language: ${language}`);
+      }
+      const dir = language && language !== DEFAULT_LANGUAGE ? path.join(this.templatesDir, language) : this.templatesDir;
+      await fs.mkdir(dir, { recursive: true });
+      const filepath = path.join(dir, `${name}.html`);
       await fs.writeFile(filepath, htmlContent);
       
       return {
         templateName: name,
+        language: language || DEFAULT_LANGUAGE,
         filepath,
         created: true,
         createdAt: new Date().toISOString()
@@ -1,4 +1,6 @@
 // E-Signature Service - Complete digital signature system with validation
+// Signs JSON records of resolutions and closures. Documents the parties sign
+// as PDFs go through DocumentSigningService, which embeds the signature.
 const crypto = require('crypto');
 const jsrsasign = require('jsrsasign');
 const fs = require('fs').promises;
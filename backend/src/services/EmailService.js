@@ -63,7 +63,10 @@ class EmailService {
         to: options.to,
         subject: options.subject,
         text: options.text,
-        html: options.html
+        html: options.html,
+        ...(options.attachments ? { attachments: options.attachments } : {}),
+        // Calendar invitation: { method, content } as iCalendar text
+        ...(options.icalEvent ? { icalEvent: options.icalEvent } : {})
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -434,6 +437,41 @@ class EmailService {
     });
   }
 
+  // Response deadline reminder (the other party's reply to the statements)
+  async sendResponseDeadlineReminder(recipientEmail, reminderDetails) {
+    const hoursRemaining = Math.ceil((new Date(reminderDetails.deadline) - new Date()) / (1000 * 60 * 60));
+    const subject = `Reminder: Response Due - ${reminderDetails.caseNumber}`;
+    
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: white; padding: 30px; border-radius: 8px;">
+          <h2 style="color: #d97706;">⏰ Response Deadline Approaching</h2>
+          
+          <div style="background-color: #fffbeb; border-left: 4px solid #d97706; padding: 20px; margin: 20px 0;">
+            <h3>Time Remaining: ${hoursRemaining} hours</h3>
+            <p><strong>Case Number:</strong> ${reminderDetails.caseNumber}</p>
+            <p><strong>Deadline:</strong> ${new Date(reminderDetails.deadline).toLocaleString()}</p>
+          </div>
+          
+          <p>Please review the statements on file and submit your response before the deadline.</p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:3001'}/cases/${reminderDetails.caseId}" 
+               style="background-color: #d97706; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+              Respond Now
+            </a>
+          </div>
+        </div>
+      </div>
+    `;
+
+    return this.sendEmail({
+      to: recipientEmail,
+      subject,
+      html
+    });
+  }
+
   // AI analysis completion notification
   async sendAIAnalysisComplete(recipientEmail, analysisDetails) {
     const subject = `AI Analysis Complete - Settlement Options Available for ${analysisDetails.caseNumber}`;
@@ -524,6 +562,46 @@ class EmailService {
     });
   }
 
+  // Court hearing listed, adjourned or cancelled; calendar is the iCalendar
+  // invitation (CourtHearingService) sent along for calendar clients
+  async sendHearingNotice(recipientEmail, hearingDetails) {
+    const { title, message, courtName, courtCaseNumber, hearingDate, hearingTime, courtHall, purpose, url, calendar } = hearingDetails;
+    const subject = `${title}${courtCaseNumber ? ` - ${courtCaseNumber}` : ''}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">⚖️ ${title}</h2>
+        <p>${message}</p>
+        ${hearingDate ? `
+        <div style="background-color: #eff6ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Court:</strong> ${courtName || 'To be announced'}</p>
+          ${courtCaseNumber ? `<p><strong>Case Number:</strong> ${courtCaseNumber}</p>` : ''}
+          <p><strong>Date:</strong> ${hearingDate}${hearingTime ? ` at ${hearingTime}` : ''}</p>
+          ${courtHall ? `<p><strong>Court Hall:</strong> ${courtHall}</p>` : ''}
+          ${purpose ? `<p><strong>Listed for:</strong> ${purpose}</p>` : ''}
+        </div>` : ''}
+        ${url ? `
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${url}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+            View Court Timeline
+          </a>
+        </div>` : ''}
+        <p style="color: #6b7280; font-size: 14px;">
+          Dates come from the court's cause list and may change; please confirm with the court registry before attending.
+        </p>
+      </div>
+    `;
+
+    return this.sendEmail({
+      to: recipientEmail,
+      subject,
+      html,
+      text: [message, url].filter(Boolean).join('\n\n'),
+      ...(calendar ? { icalEvent: { method: calendar.method, filename: 'hearing.ics', content: calendar.content } } : {})
+    });
+  }
+
   // Final settlement document email
   async sendFinalSettlementDocument(recipientEmail, documentDetails) {
     const subject = `Final Settlement Document - ${documentDetails.caseNumber}`;
@@ -560,6 +638,55 @@ class EmailService {
     });
   }
 
+  // Daily/weekly notification digest (NotificationDigestService.build)
+  async sendNotificationDigest(recipientEmail, digest) {
+    const period = digest.frequency === 'weekly' ? 'Weekly' : 'Daily';
+    const subject = `${period} digest: ${digest.itemCount} update${digest.itemCount === 1 ? '' : 's'} across ${digest.caseCount} case${digest.caseCount === 1 ? '' : 's'}` +
+      (digest.deadlineCount ? ` (${digest.deadlineCount} deadline${digest.deadlineCount === 1 ? '' : 's'})` : '');
+
+    const groupsHtml = digest.groups.map(group => `
+          <div style="margin: 20px 0; border-left: 4px solid ${group.deadlineCount ? '#dc2626' : '#2563eb'}; padding-left: 16px;">
+            <h3 style="margin-bottom: 4px;"><a href="${group.url}" style="color: #111827;">${group.title}</a></h3>
+            ${group.caseNumber ? `<p style="color: #6b7280; margin-top: 0;">Case No: ${group.caseNumber}</p>` : ''}
+            <ul style="padding-left: 18px;">
+              ${group.items.map(item => `
+              <li style="margin-bottom: 8px;">
+                ${item.isDeadline ? '<strong style="color: #dc2626;">⏰ Deadline:</strong> ' : ''}<a href="${item.url}">${item.title}</a>
+                <div style="color: #4b5563;">${item.message}</div>
+              </li>`).join('')}
+            </ul>
+          </div>`).join('');
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Your ${period.toLowerCase()} case digest</h2>
+        <p>${digest.itemCount} unread update${digest.itemCount === 1 ? '' : 's'} since your last digest.</p>
+        ${groupsHtml}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${digest.notificationsUrl}" 
+             style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+            View All Notifications
+          </a>
+        </div>
+        <p style="color: #6b7280; font-size: 14px;">
+          You receive this summary instead of individual emails. Change it in your notification preferences.
+        </p>
+      </div>
+    `;
+
+    const text = digest.groups.map(group => [
+      `${group.title}${group.caseNumber ? ` (${group.caseNumber})` : ''} - ${group.url}`,
+      ...group.items.map(item => `  ${item.isDeadline ? '[DEADLINE] ' : ''}${item.title}: ${item.message}\n    ${item.url}`)
+    ].join('\n')).join('\n\n');
+
+    return this.sendEmail({
+      to: recipientEmail,
+      subject,
+      html,
+      text
+    });
+  }
+
   // Service health check
   async healthCheck() {
     if (!this.isConfigured) {
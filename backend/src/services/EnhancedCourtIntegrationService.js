@@ -1,61 +1,28 @@
 // Enhanced Court Integration Service - Phase 5.2 Complete Implementation
-// Real-time court API integration with automated filing capabilities
+// Queued court filings submitted through court connectors
+// (CourtConnectorRegistry), with status polling, fee records and the
+// registry's defect loop (CourtDefectService); registered filings are
+// tracked through their hearings (CourtHearingService)
 
 const { supabase } = require('../lib/supabaseClient');
-const axios = require('axios');
-const FormData = require('form-data');
 const path = require('path');
 const fs = require('fs').promises;
+const WebhookService = require('./WebhookService');
+const AuditLogService = require('./AuditLogService');
+const JurisdictionService = require('./JurisdictionService');
+const CourtFeeService = require('./CourtFeeService');
+const CourtConnectorRegistry = require('./CourtConnectorRegistry');
+const CourtDefectService = require('./CourtDefectService');
+const CourtHearingService = require('./CourtHearingService');
 
 class EnhancedCourtIntegrationService {
   constructor() {
-    this.courtAPIs = new Map();
     this.filingQueue = [];
     this.isProcessingQueue = false;
     this.retryAttempts = 3;
     this.maxRetryDelay = 30000; // 30 seconds
-    
-    // Initialize supported court systems
-    this.initializeCourtSystems();
-  }
-
-  /**
-   * Initialize supported court systems and their API configurations
-   */
-  initializeCourtSystems() {
-    // Federal Court APIs
-    this.courtAPIs.set('PACER', {
-      baseURL: process.env.PACER_API_URL,
-      authType: 'oauth',
-      credentials: {
-        clientId: process.env.PACER_CLIENT_ID,
-        clientSecret: process.env.PACER_CLIENT_SECRET
-      },
-      filingMethods: ['api', 'efiling'],
-      supportedDocuments: ['complaint', 'motion', 'answer', 'brief']
-    });
-
-    // State Court APIs (California as example)
-    this.courtAPIs.set('CA_SUPERIOR', {
-      baseURL: process.env.CA_COURT_API_URL,
-      authType: 'api_key',
-      credentials: {
-        apiKey: process.env.CA_COURT_API_KEY
-      },
-      filingMethods: ['api', 'email'],
-      supportedDocuments: ['complaint', 'motion', 'answer', 'settlement']
-    });
-
-    // E-filing system integration
-    this.courtAPIs.set('TYLER_ODYSSEY', {
-      baseURL: process.env.TYLER_API_URL,
-      authType: 'token',
-      credentials: {
-        token: process.env.TYLER_API_TOKEN
-      },
-      filingMethods: ['efiling'],
-      supportedDocuments: ['all']
-    });
+    this.statusCheckDelay = 300000; // first status check 5 minutes after submission
+    this.documentsDir = path.join(process.cwd(), 'storage', 'documents');
   }
 
   /**
@@ -117,7 +84,7 @@ class EnhancedCourtIntegrationService {
         success: true,
         filingId: filing.id,
         status: 'queued',
-        estimatedProcessingTime: this.getEstimatedProcessingTime(courtSystem.code)
+        estimatedProcessingTime: this.getEstimatedProcessingTime()
       };
       
     } catch (error) {
@@ -168,44 +135,53 @@ class EnhancedCourtIntegrationService {
       // Update status to processing
       await this.updateFilingStatus(filingId, 'processing');
       
-      // Select appropriate filing method
-      let result;
-      switch (filingData.submissionMethod) {
-        case 'api':
-          result = await this.submitViaAPI(courtSystem, filingData);
-          break;
-        case 'efiling':
-          result = await this.submitViaEFiling(courtSystem, filingData);
-          break;
-        case 'email':
-          result = await this.submitViaEmail(courtSystem, filingData);
-          break;
-        default:
-          throw new Error('Unsupported submission method');
-      }
+      // Submit through the court system's connector
+      const connector = CourtConnectorRegistry.forCourtSystem(courtSystem, filingData.submissionMethod);
+      const result = await connector.submit(await this.buildConnectorFiling(filingId, courtSystem, filingData));
       
       // Update filing with successful result
       await this.updateFilingStatus(filingId, 'submitted', {
-        confirmation_number: result.confirmationNumber,
+        confirmation_number: result.acknowledgementNumber,
         tracking_id: result.trackingId,
-        submitted_at: new Date().toISOString(),
+        submitted_at: result.receivedAt || new Date().toISOString(),
         response_data: result.responseData
       });
-      
-      // Process fees if applicable
-      if (result.fees && result.fees > 0) {
-        await this.processFilingFees(filingId, result.fees);
+
+      if (filingData.caseData) {
+        await AuditLogService.record(filingData.caseData.id, 'court.filing_submitted', {
+          actorId: filingData.userId,
+          payload: {
+            filingId,
+            courtSystem: courtSystem.code,
+            filingType: filingData.filingType,
+            submissionMethod: filingData.submissionMethod,
+            connector: connector.name,
+            confirmationNumber: result.acknowledgementNumber
+          }
+        });
       }
+
+      await WebhookService.publish('court.filing_submitted', {
+        caseId: filingData.caseData ? filingData.caseData.id : null,
+        filingId,
+        courtSystem: courtSystem.code,
+        filingType: filingData.filingType,
+        confirmationNumber: result.acknowledgementNumber,
+        trackingId: result.trackingId
+      });
+      
+      // Record the scheduled fees against what the court charged
+      await this.processFilingFees(filingId, filingData, result.fees);
       
       // Schedule status check
-      setTimeout(() => {
-        this.checkFilingStatus(filingId);
-      }, 300000); // Check after 5 minutes
+      this.scheduleStatusCheck(filingId, this.statusCheckDelay);
+      return result;
       
     } catch (error) {
       console.error(`Filing task failed (attempt ${attempt}):`, error);
       
-      if (attempt < this.retryAttempts) {
+      // Connector errors say whether a retry can help (a defective request cannot)
+      if (attempt < this.retryAttempts && error.retryable !== false) {
         // Retry with exponential backoff
         const delay = Math.min(1000 * Math.pow(2, attempt), this.maxRetryDelay);
         setTimeout(() => {
@@ -216,118 +192,55 @@ class EnhancedCourtIntegrationService {
         await this.updateFilingStatus(filingId, 'failed', {
           error_details: {
             message: error.message,
+            code: error.code || null,
             attempts: attempt,
             final_error: true
           }
         });
       }
+      return null;
     }
   }
 
   /**
-   * Submit filing via Court API
+   * The filing as connectors take it: the case's recommended forum, the
+   * amounts its fees are assessed on, the scheduled fees paid and the
+   * documents' bytes
    */
-  async submitViaAPI(courtSystem, filingData) {
-    const apiConfig = this.courtAPIs.get(courtSystem.code);
-    if (!apiConfig) {
-      throw new Error(`API configuration not found for court system: ${courtSystem.code}`);
-    }
-    
-    // Authenticate with court system
-    const authToken = await this.authenticateWithCourt(courtSystem.code);
-    
-    // Prepare filing payload
-    const payload = {
-      caseNumber: filingData.caseData.case_number,
+  async buildConnectorFiling(filingId, courtSystem, filingData) {
+    const caseData = filingData.caseData || {};
+    const facts = JurisdictionService.factsFromCase(caseData);
+    const forum = filingData.forum || (caseData.id ? JurisdictionService.recommend(facts).forum : null);
+
+    return {
+      filingId,
+      caseNumber: caseData.case_number,
+      court: forum
+        ? { id: forum.id, name: forum.name, type: forum.type, jurisdictionCode: forum.jurisdictionCode, code: courtSystem.code }
+        : { name: courtSystem.name, code: courtSystem.code },
       filingType: filingData.filingType,
-      filingParty: filingData.filingParty || filingData.caseData.plaintiff_name,
-      documents: await this.prepareDocumentsForAPI(filingData.documents),
+      filingParty: filingData.filingParty || caseData.plaintiff_name,
+      parties: filingData.parties || [],
+      claimAmount: facts.claimAmount,
+      considerationPaid: facts.considerationPaid,
+      fees: forum ? CourtFeeService.calculateForCase(forum, caseData) : null,
+      expedited: Boolean(filingData.expedited),
       serviceMethod: filingData.serviceMethod,
-      expedited: filingData.expedited,
-      metadata: filingData.metadata
-    };
-    
-    const response = await axios.post(`${apiConfig.baseURL}/filings`, payload, {
-      headers: {
-        'Authorization': `Bearer ${authToken}`,
-        'Content-Type': 'application/json',
-        'X-Court-System': courtSystem.code
-      },
-      timeout: 60000
-    });
-    
-    return {
-      confirmationNumber: response.data.confirmationNumber,
-      trackingId: response.data.trackingId,
-      fees: response.data.fees,
-      responseData: response.data
+      metadata: filingData.metadata || {},
+      documents: await Promise.all((filingData.documents || []).map(async (doc) => ({
+        ...doc,
+        content: await this.getDocumentBuffer(doc.documentId)
+      })))
     };
   }
 
-  /**
-   * Submit filing via E-Filing system
-   */
-  async submitViaEFiling(courtSystem, filingData) {
-    const efilingConfig = courtSystem.efiling_config;
-    if (!efilingConfig) {
-      throw new Error('E-filing not configured for this court system');
-    }
-    
-    const formData = new FormData();
-    formData.append('caseNumber', filingData.caseData.case_number);
-    formData.append('filingType', filingData.filingType);
-    formData.append('filingParty', filingData.filingParty || filingData.caseData.plaintiff_name);
-    
-    // Attach documents
-    for (const doc of filingData.documents) {
-      const fileBuffer = await this.getDocumentBuffer(doc.documentId);
-      formData.append('documents', fileBuffer, doc.filename);
-    }
-    
-    const response = await axios.post(efilingConfig.endpoint, formData, {
-      headers: {
-        ...formData.getHeaders(),
-        'Authorization': `Bearer ${efilingConfig.token}`,
-        'X-Filing-System': 'automated'
-      },
-      timeout: 120000
-    });
-    
-    return {
-      confirmationNumber: response.data.confirmationNumber,
-      trackingId: response.data.filingId,
-      fees: response.data.filingFees,
-      responseData: response.data
-    };
-  }
-
-  /**
-   * Submit filing via Email
-   */
-  async submitViaEmail(courtSystem, filingData) {
-    const emailConfig = courtSystem.email_config;
-    if (!emailConfig) {
-      throw new Error('Email filing not configured for this court system');
-    }
-    
-    const EmailService = require('./EmailService');
-    const emailService = new EmailService();
-    
-    const emailData = {
-      to: emailConfig.filingEmail,
-      subject: `${filingData.filingType} - Case ${filingData.caseData.case_number}`,
-      body: this.generateFilingEmailBody(filingData),
-      attachments: await this.prepareDocumentAttachments(filingData.documents)
-    };
-    
-    const result = await emailService.sendEmail(emailData);
-    
-    return {
-      confirmationNumber: result.messageId,
-      trackingId: `EMAIL_${Date.now()}`,
-      fees: 0, // Email filings typically have no immediate fees
-      responseData: { emailSent: true, messageId: result.messageId }
-    };
+  // Poll the court for a filing's status after `delay` ms without holding the process open
+  scheduleStatusCheck(filingId, delay) {
+    const timer = setTimeout(() => {
+      this.checkFilingStatus(filingId);
+    }, delay);
+    if (timer.unref) timer.unref();
+    return timer;
   }
 
   /**
@@ -346,38 +259,52 @@ class EnhancedCourtIntegrationService {
       
       if (error) throw error;
       
-      if (filing.status !== 'submitted') return;
-      
-      const apiConfig = this.courtAPIs.get(filing.court_systems.code);
-      if (!apiConfig || !filing.tracking_id) return;
+      if (!['submitted', 'processing'].includes(filing.status) || !filing.tracking_id) return null;
       
-      const authToken = await this.authenticateWithCourt(filing.court_systems.code);
-      const response = await axios.get(
-        `${apiConfig.baseURL}/filings/${filing.tracking_id}/status`,
-        {
-          headers: { 'Authorization': `Bearer ${authToken}` }
-        }
-      );
+      const connector = CourtConnectorRegistry.forCourtSystem(filing.court_systems || {}, filing.submission_method);
+      if (!connector.describe().capabilities.includes('status')) return null;
       
-      const newStatus = this.mapCourtStatusToInternal(response.data.status);
+      const court = await connector.status(filing.tracking_id);
+      const newStatus = this.mapCourtStatusToInternal(court.status);
       
       if (newStatus !== filing.status) {
         await this.updateFilingStatus(filingId, newStatus, {
-          processed_at: response.data.processedAt,
-          filing_number: response.data.filingNumber,
-          response_data: response.data
+          processed_at: ['accepted', 'rejected', 'defective'].includes(newStatus) ? court.updatedAt : null,
+          filing_number: court.filingNumber,
+          response_data: court.responseData,
+          // defects found, and the verdict on any defects this filing re-filed to cure
+          ...(['accepted', 'rejected', 'defective'].includes(newStatus) ? CourtDefectService.verdictUpdate(filing, court) : {})
         });
+
+        await AuditLogService.record(filing.case_id, 'court.filing_status_changed', {
+          payload: {
+            filingId,
+            from: filing.status,
+            to: newStatus,
+            courtStatus: court.status,
+            filingNumber: court.filingNumber,
+            hearingDate: court.hearing ? court.hearing.date : null,
+            defects: court.defects.map(defect => defect.code)
+          }
+        });
+
+        if (newStatus === 'defective') {
+          await CourtDefectService.noticeDefects(filing, court);
+        } else if (newStatus === 'accepted') {
+          await CourtHearingService.recordFromRegistration(filing, court);
+        }
       }
       
       // Schedule next check if still processing
       if (['submitted', 'processing'].includes(newStatus)) {
-        setTimeout(() => {
-          this.checkFilingStatus(filingId);
-        }, 600000); // Check again in 10 minutes
+        this.scheduleStatusCheck(filingId, 600000); // Check again in 10 minutes
       }
       
+      return { status: newStatus, courtStatus: court.status, filingNumber: court.filingNumber, defects: court.defects, hearing: court.hearing };
+      
     } catch (error) {
       console.error(`Status check failed for filing ${filingId}:`, error);
+      return null;
     }
   }
 
@@ -409,9 +336,14 @@ class EnhancedCourtIntegrationService {
           processedAt: filing.processed_at,
           confirmationNumber: filing.confirmation_number,
           feesPaid: filing.fees_paid,
+          courtFees: filing.court_fees,
           courtSystem: filing.court_systems,
           expedited: filing.expedited,
-          documents: filing.documents
+          documents: filing.documents,
+          defects: filing.defects || [],
+          defectHistory: filing.defect_history || [],
+          resubmissionOf: filing.resubmission_of || null,
+          supersededBy: filing.superseded_by || null
         }))
       };
       
@@ -462,66 +394,20 @@ class EnhancedCourtIntegrationService {
   }
 
   // Helper methods
-  async authenticateWithCourt(courtCode) {
-    const apiConfig = this.courtAPIs.get(courtCode);
-    if (!apiConfig) throw new Error('Court API not configured');
-    
-    // Implementation would vary by court system
-    // This is a simplified example
-    return 'mock_auth_token';
-  }
-
-  async prepareDocumentsForAPI(documents) {
-    return Promise.all(documents.map(async (doc) => ({
-      documentId: doc.documentId,
-      filename: doc.filename,
-      documentType: doc.documentType,
-      content: await this.getDocumentBase64(doc.documentId)
-    })));
-  }
-
   async getDocumentBuffer(documentId) {
     // Implementation to retrieve document from storage
-    const documentPath = path.join(process.cwd(), 'storage', 'documents', `${documentId}.pdf`);
+    const documentPath = path.join(this.documentsDir, `${documentId}.pdf`);
     return await fs.readFile(documentPath);
   }
 
-  async getDocumentBase64(documentId) {
-    const buffer = await this.getDocumentBuffer(documentId);
-    return buffer.toString('base64');
-  }
-
-  generateFilingEmailBody(filingData) {
-    return `
-Dear Clerk of Court,
-
-Please accept this ${filingData.filingType} for Case Number: ${filingData.caseData.case_number}
-
-Filing Party: ${filingData.filingParty || filingData.caseData.plaintiff_name}
-Filing Type: ${filingData.filingType}
-Service Method: ${filingData.serviceMethod}
-${filingData.expedited ? 'EXPEDITED FILING REQUESTED' : ''}
-
-Documents attached: ${filingData.documents.length}
-
-Please confirm receipt and provide filing number when processed.
-
-Thank you,
-AI Dispute Resolver System
-    `.trim();
-  }
-
-  async prepareDocumentAttachments(documents) {
-    return Promise.all(documents.map(async (doc) => ({
-      filename: doc.filename,
-      content: await this.getDocumentBuffer(doc.documentId)
-    })));
-  }
-
   mapCourtStatusToInternal(courtStatus) {
     const statusMap = {
       'pending': 'submitted',
+      'submitted': 'submitted',
       'processing': 'processing',
+      'under_scrutiny': 'processing',
+      'registered': 'accepted',
+      'defective': 'defective',
       'accepted': 'processed',
       'filed': 'processed',
       'rejected': 'rejected',
@@ -537,6 +423,11 @@ AI Dispute Resolver System
       updated_at: new Date().toISOString(),
       ...additionalData
     };
+
+    // A defective filing always carries its defect list; once the court
+    // accepts a filing nothing is outstanding
+    if (status === 'defective' && !Array.isArray(updateData.defects)) updateData.defects = [];
+    if (status === 'accepted') updateData.defects = [];
     
     const { error } = await supabase
       .from('court_filings')
@@ -548,20 +439,49 @@ AI Dispute Resolver System
     }
   }
 
-  async processFilingFees(filingId, fees) {
-    // Implementation for processing filing fees
-    // This would integrate with payment processing system
-    console.log(`Processing filing fees: $${fees} for filing ${filingId}`);
+  /**
+   * Itemized fees for a submitted filing from the fee schedule of the case's
+   * recommended forum, stored on the filing with the amount the court
+   * reported charging (`courtReported`, if any); a difference is flagged.
+   */
+  async processFilingFees(filingId, filingData, courtReported = null) {
+    const caseData = filingData.caseData;
+    if (!caseData) return null;
+
+    try {
+      const { forum } = JurisdictionService.recommendForCase(caseData);
+      const fees = CourtFeeService.calculateForCase(forum, caseData);
+      const reported = courtReported > 0 ? Number(courtReported) : null;
+      if (reported !== null && fees.total !== null && reported !== fees.total) {
+        fees.warnings.push(`The court charged ₹${reported.toLocaleString('en-IN')}; the fee schedule gives ₹${fees.total.toLocaleString('en-IN')}.`);
+      }
+
+      const { error } = await supabase
+        .from('court_filings')
+        .update({ court_fees: { ...fees, courtReported: reported }, fees_paid: reported, updated_at: new Date().toISOString() })
+        .eq('id', filingId);
+      if (error) throw error;
+
+      await AuditLogService.record(caseData.id, 'court.filing_fees_assessed', {
+        actorId: filingData.userId,
+        payload: {
+          filingId,
+          forum: fees.forum.name,
+          scheduleVersion: fees.schedule ? fees.schedule.version : null,
+          total: fees.total,
+          courtReported: reported
+        }
+      });
+      return fees;
+    } catch (error) {
+      console.error(`Failed to record filing fees for filing ${filingId}:`, error);
+      return null;
+    }
   }
 
-  getEstimatedProcessingTime(courtCode) {
-    const processingTimes = {
-      'PACER': '2-24 hours',
-      'CA_SUPERIOR': '1-3 business days',
-      'TYLER_ODYSSEY': '1-2 hours'
-    };
-    
-    return processingTimes[courtCode] || '1-3 business days';
+  getEstimatedProcessingTime() {
+    // Registry scrutiny of e-filed cases
+    return '1-3 court working days';
   }
 
   /**
@@ -579,7 +499,7 @@ AI Dispute Resolver System
         status: 'healthy',
         queueSize: this.filingQueue.length,
         isProcessing: this.isProcessingQueue,
-        supportedCourts: Array.from(this.courtAPIs.keys()),
+        connectors: CourtConnectorRegistry.configured().map(connector => connector.name),
         statistics: stats
       };
       
@@ -2,6 +2,7 @@
 const logger = require('../lib/logger');
 const { supabaseAdmin } = require('../lib/supabaseClient');
 const GeminiService = require('./GeminiService');
+const structuredOutput = require('./StructuredOutputService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -208,11 +209,13 @@ Provide your analysis in JSON format:
   "recommendations": "Recommendations for using this evidence"
 }`;
 
-      // Call Gemini Vision API
-      const aiResponse = await GeminiService.analyzeImageWithPrompt(base64Image, prompt);
-
-      // Parse response
-      const analysis = this._parseAnalysisResponse(aiResponse);
+      // Gemini Vision is the only provider that accepts images
+      const { data: analysis } = await structuredOutput.generate('evidence_analysis', prompt, {
+        caseId: document.case_id,
+        images: [{ data: base64Image, mimeType: document.file_type || 'image/jpeg' }],
+        preferred: GeminiService.preferredProvider,
+        providers: ['gemini']
+      });
 
       return {
         analysis,
@@ -351,8 +354,10 @@ Respond in JSON format:
   "recommendations": "Usage recommendations"
 }`;
 
-      const aiResponse = await GeminiService.generateContent(prompt);
-      const analysis = this._parseAnalysisResponse(aiResponse);
+      const { data: analysis } = await structuredOutput.generate('evidence_analysis', prompt, {
+        caseId: document.case_id,
+        preferred: GeminiService.preferredProvider
+      });
 
       return {
         analysis,
@@ -447,46 +452,6 @@ Respond in JSON format:
     }
   }
 
-  /**
-   * Parse AI analysis response
-   */
-  _parseAnalysisResponse(aiResponse) {
-    try {
-      // Try to extract JSON from response
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return parsed;
-      }
-
-      // If no JSON found, create structured response from text
-      return {
-        description: aiResponse.substring(0, 500),
-        relevance: 'AI analysis completed',
-        keyObservations: ['See full analysis in description'],
-        authenticity: 'Requires verification',
-        favorsParty: 'neutral',
-        legalSignificance: 'Review required',
-        relevanceScore: 5,
-        recommendations: 'Manual review recommended'
-      };
-
-    } catch (error) {
-      logger.error('Error parsing analysis response:', error);
-      
-      return {
-        description: 'Analysis completed but parsing failed',
-        relevance: 'Requires manual review',
-        keyObservations: ['AI response parsing error'],
-        authenticity: 'Unable to verify',
-        favorsParty: 'neutral',
-        legalSignificance: 'Manual review required',
-        relevanceScore: 5,
-        recommendations: 'Expert review recommended'
-      };
-    }
-  }
-
   /**
    * Bulk analyze all evidence for a case
    */
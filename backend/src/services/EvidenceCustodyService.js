@@ -0,0 +1,168 @@
+// Evidence Custody Service - integrity digests and chain of custody
+// A SHA-256 digest of every evidence file is taken at upload and stored on
+// the evidence row. Each later read of the file (downloads, OCR/transcription
+// processing, court package exports) hashes the bytes again and compares them
+// with that digest; a file that no longer matches is refused and the mismatch
+// recorded. Custody events (upload, views, downloads, processing, exports)
+// are appended to the case's hash-chained audit log as evidence.* entries,
+// so the custody trail is tamper-evident like the rest of the case history.
+// custodyReport() assembles the trail of one exhibit.
+const crypto = require('crypto');
+const AuditLogService = require('./AuditLogService');
+
+const CUSTODY_EVENTS = {
+  UPLOADED: 'evidence.uploaded',
+  VIEWED: 'evidence.viewed',
+  DOWNLOAD_AUTHORIZED: 'evidence.download_authorized',
+  DOWNLOADED: 'evidence.downloaded',
+  PROCESSED: 'evidence.processed',
+  EXPORTED: 'evidence.exported',
+  INTEGRITY_FAILED: 'evidence.integrity_failed'
+};
+
+const REPORT_FORMAT = 'evidence-custody-report/v1';
+
+class EvidenceIntegrityError extends Error {
+  constructor(evidenceId, expected, actual) {
+    super(`Evidence ${evidenceId} does not match the digest taken at upload`);
+    this.name = 'EvidenceIntegrityError';
+    this.code = 'EVIDENCE_INTEGRITY_FAILED';
+    this.status = 409;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+class EvidenceCustodyService {
+  constructor(options = {}) {
+    this.auditLog = options.auditLog || AuditLogService;
+    this._storage = options.storage || null;
+    this.bucket = options.bucket || process.env.SUPABASE_BUCKET || 'evidence';
+    this.now = options.now || (() => new Date());
+  }
+
+  get storage() {
+    if (!this._storage) this._storage = require('../lib/supabaseClient').supabase.storage;
+    return this._storage;
+  }
+
+  digest(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  // The evidence file's bytes from storage
+  async readFile(evidence) {
+    if (!evidence.file_path) throw new Error(`Evidence ${evidence.id} has no file`);
+    const { data, error } = await this.storage.from(this.bucket).download(evidence.file_path);
+    if (error || !data) throw new Error(`Evidence ${evidence.id} not found in storage${error ? `: ${error.message}` : ''}`);
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  // Actor, IP address and user agent of a request, for custody entries
+  requestContext(req, actorId = null) {
+    return {
+      actorId: actorId || (req.user && (req.user.sub || req.user.id)) || null,
+      ip: req.ip || null,
+      userAgent: (req.get && req.get('user-agent')) || null
+    };
+  }
+
+  async record(evidence, eventType, { actorId = null, ip = null, userAgent = null, details = {} } = {}) {
+    return this.auditLog.record(evidence.case_id, eventType, {
+      actorId,
+      payload: {
+        evidenceId: evidence.id,
+        ...details,
+        ...(ip ? { ip } : {}),
+        ...(userAgent ? { userAgent } : {})
+      }
+    });
+  }
+
+  async recordUpload(evidence, { sha256, size, fileName, mimeType }, context = {}) {
+    return this.record(evidence, CUSTODY_EVENTS.UPLOADED, {
+      ...context,
+      details: { sha256, size, fileName, mimeType, storagePath: evidence.file_path }
+    });
+  }
+
+  /**
+   * Compare file bytes with the digest taken at upload. status is
+   * 'verified', 'mismatch', or 'no_reference_digest' for evidence uploaded
+   * before digests were recorded.
+   */
+  check(evidence, buffer) {
+    const actual = this.digest(buffer);
+    const expected = evidence.sha256 || null;
+    if (!expected) return { status: 'no_reference_digest', expected, actual };
+    return { status: expected === actual ? 'verified' : 'mismatch', expected, actual };
+  }
+
+  /**
+   * Check the bytes read for `eventType` (a download, processing or export)
+   * and record the access. A mismatch is recorded as an integrity failure
+   * and thrown as EvidenceIntegrityError; the bytes must not be used.
+   */
+  async verifyAccess(evidence, buffer, eventType, context = {}, details = {}) {
+    const result = this.check(evidence, buffer);
+    if (result.status === 'mismatch') {
+      await this.record(evidence, CUSTODY_EVENTS.INTEGRITY_FAILED, {
+        ...context,
+        details: { during: eventType, expectedSha256: result.expected, actualSha256: result.actual, ...details }
+      });
+      throw new EvidenceIntegrityError(evidence.id, result.expected, result.actual);
+    }
+    await this.record(evidence, eventType, {
+      ...context,
+      details: { sha256: result.actual, integrity: result.status, ...details }
+    });
+    return result;
+  }
+
+  /**
+   * Chain-of-custody report of one exhibit: the digest taken at upload, the
+   * result of checking `buffer` (the bytes being handed over) against it,
+   * every custody event from the case audit log and whether that log's hash
+   * chain is intact.
+   */
+  async custodyReport(evidence, { buffer = null } = {}) {
+    const entries = await this.auditLog.list(evidence.case_id);
+    const chain = this.auditLog.verifyEntries(entries);
+    const check = buffer ? this.check(evidence, buffer) : null;
+    const metadata = evidence.metadata || {};
+
+    return {
+      format: REPORT_FORMAT,
+      caseId: evidence.case_id,
+      evidenceId: evidence.id,
+      fileName: metadata.original_name || evidence.file_name || evidence.filename || null,
+      mimeType: metadata.mime || evidence.file_type || null,
+      uploadedBy: evidence.uploader_id || evidence.uploaded_by || null,
+      uploadedAt: evidence.created_at || evidence.uploaded_at || null,
+      hashAlgorithm: 'sha256',
+      sha256AtUpload: evidence.sha256 || null,
+      sha256Now: check ? check.actual : null,
+      integrity: check ? check.status : 'not_checked',
+      events: entries
+        .filter(entry => entry.event_type.startsWith('evidence.') && entry.payload && entry.payload.evidenceId === evidence.id)
+        .map(entry => {
+          const { evidenceId, ...details } = entry.payload;
+          return {
+            sequence: Number(entry.sequence),
+            event: entry.event_type.slice('evidence.'.length),
+            actorId: entry.actor_id || null,
+            occurredAt: new Date(entry.occurred_at).toISOString(),
+            details,
+            hash: entry.hash
+          };
+        }),
+      auditLog: { valid: chain.valid, entryCount: chain.entryCount, headHash: chain.headHash },
+      generatedAt: this.now().toISOString()
+    };
+  }
+}
+
+module.exports = new EvidenceCustodyService();
+module.exports.EvidenceCustodyService = EvidenceCustodyService;
+module.exports.EvidenceIntegrityError = EvidenceIntegrityError;
+module.exports.CUSTODY_EVENTS = CUSTODY_EVENTS;
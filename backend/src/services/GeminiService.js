@@ -1,16 +1,12 @@
 // Gemini AI Service - Core AI integration for dispute resolution
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+// Calls go through the AI provider registry; Gemini is the preferred provider
+// but case-type config (AI_PROVIDER_BY_CASE_TYPE) or options.provider can override it.
+const aiProviders = require('./AIProviderRegistry');
 
 class GeminiService {
   constructor() {
-    this.apiKey = process.env.GOOGLE_API_KEY;
-    if (!this.apiKey) {
-      throw new Error('GOOGLE_API_KEY is required for Gemini AI integration');
-    }
-    
-    this.genAI = new GoogleGenerativeAI(this.apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-    this.visionModel = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+    this.preferredProvider = 'gemini';
+    this.modelName = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
   }
 
   // Generate AI response with error handling
@@ -20,30 +16,29 @@ class GeminiService {
         temperature = 0.7,
         maxOutputTokens = 2048,
         topP = 0.8,
-        topK = 40
+        topK = 40,
+        provider,
+        caseType,
+        task
       } = options;
 
-      const generationConfig = {
+      const response = await aiProviders.generate(prompt, {
         temperature,
         topP,
         topK,
-        maxOutputTokens,
-      };
-
-      const result = await this.model.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig,
+        maxTokens: maxOutputTokens,
+        provider,
+        caseType,
+        task,
+        preferred: this.preferredProvider
       });
 
-      const response = await result.response;
       return {
         success: true,
-        content: response.text(),
-        usage: {
-          promptTokens: result.response?.usage?.promptTokenCount || 0,
-          completionTokens: result.response?.usage?.candidatesTokenCount || 0,
-          totalTokens: result.response?.usage?.totalTokenCount || 0
-        }
+        content: response.content,
+        provider: response.provider,
+        model: response.model,
+        usage: response.usage
       };
     } catch (error) {
       console.error('Gemini AI Error:', error);
@@ -55,24 +50,29 @@ class GeminiService {
     }
   }
 
+  // Plain-text convenience wrapper; throws instead of returning { success: false }
+  async generateContent(prompt, options = {}) {
+    const result = await this.generateResponse(prompt, options);
+    if (!result.success) {
+      throw new Error(result.error || 'AI generation failed');
+    }
+    return result.content;
+  }
+
   // Analyze image content (for evidence processing)
-  async analyzeImage(imageData, prompt) {
+  async analyzeImage(imageData, prompt, options = {}) {
     try {
-      const imageParts = [
-        {
-          inlineData: {
-            data: imageData,
-            mimeType: "image/jpeg"
-          }
-        }
-      ];
-
-      const result = await this.visionModel.generateContent([prompt, ...imageParts]);
-      const response = await result.response;
+      const response = await aiProviders.generate(prompt, {
+        images: [{ data: imageData, mimeType: options.mimeType || 'image/jpeg' }],
+        provider: options.provider || this.preferredProvider,
+        caseType: options.caseType,
+        task: options.task || 'image_analysis',
+        preferred: this.preferredProvider
+      });
 
       return {
         success: true,
-        content: response.text(),
+        content: response.content,
         confidence: 0.85 // Estimated confidence for image analysis
       };
     } catch (error) {
@@ -85,6 +85,15 @@ class GeminiService {
     }
   }
 
+  // Image analysis returning plain text; throws on failure
+  async analyzeImageWithPrompt(imageData, prompt, options = {}) {
+    const result = await this.analyzeImage(imageData, prompt, options);
+    if (!result.success) {
+      throw new Error(result.error || 'AI image analysis failed');
+    }
+    return result.content;
+  }
+
   // Analyze case context and generate insights
   async analyzeCaseContext(caseData) {
     const prompt = `
@@ -126,7 +135,9 @@ Format your response as structured JSON with the following keys:
 
     return await this.generateResponse(prompt, {
       temperature: 0.3, // Lower temperature for more consistent legal analysis
-      maxOutputTokens: 3000
+      maxOutputTokens: 3000,
+      caseType: caseData.case_type,
+      task: 'case_context'
     });
   }
 
@@ -159,7 +170,9 @@ Format as structured JSON with proposals array.
 
     return await this.generateResponse(prompt, {
       temperature: 0.4,
-      maxOutputTokens: 2500
+      maxOutputTokens: 2500,
+      caseType: caseData.case_type,
+      task: 'settlement_proposal'
     });
   }
 
@@ -188,7 +201,8 @@ Format as structured JSON.
 
     return await this.generateResponse(prompt, {
       temperature: 0.2, // Very low temperature for factual analysis
-      maxOutputTokens: 1500
+      maxOutputTokens: 1500,
+      task: 'evidence_analysis'
     });
   }
 
@@ -214,7 +228,9 @@ Format as structured JSON.
 
     return await this.generateResponse(prompt, {
       temperature: 0.3,
-      maxOutputTokens: 3500
+      maxOutputTokens: 3500,
+      caseType,
+      task: 'legal_research'
     });
   }
 
@@ -247,7 +263,9 @@ Format as structured JSON with party-specific risk assessments.
 
     return await this.generateResponse(prompt, {
       temperature: 0.4,
-      maxOutputTokens: 2000
+      maxOutputTokens: 2000,
+      caseType: caseData.case_type,
+      task: 'risk_assessment'
     });
   }
 
@@ -279,7 +297,8 @@ Format as structured JSON with compromises array.
 
     return await this.generateResponse(prompt, {
       temperature: 0.5,
-      maxOutputTokens: 2000
+      maxOutputTokens: 2000,
+      task: 'compromise'
     });
   }
 
@@ -289,12 +308,14 @@ Format as structured JSON with compromises array.
       const testPrompt = "Respond with 'AI service is operational' if you can process this message.";
       const result = await this.generateResponse(testPrompt, {
         maxOutputTokens: 50,
-        temperature: 0.1
+        temperature: 0.1,
+        task: 'health_check'
       });
       
       return {
         status: result.success ? 'healthy' : 'unhealthy',
-        model: 'gemini-2.0-flash',
+        provider: result.provider,
+        model: result.model || this.modelName,
         timestamp: new Date().toISOString(),
         response: result.content
       };
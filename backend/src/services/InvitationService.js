@@ -1,5 +1,6 @@
 // Invitation Service - Manage party invitations to cases
 const Case = require('../models/Case');
+const AuthorizationService = require('./AuthorizationService');
 const CaseParty = require('../models/CaseParty');
 const User = require('../models/User');
 const { supabase } = require('../lib/supabaseClient');
@@ -23,7 +24,7 @@ class InvitationService {
         throw new Error('Case not found');
       }
 
-      if (!await Case.hasAccess(caseId, inviterUserId)) {
+      if (!await AuthorizationService.can(inviterUserId, 'case:manage_parties', caseId)) {
         throw new Error('Access denied to invite parties to this case');
       }
 
@@ -287,7 +288,7 @@ class InvitationService {
   // Get all invitations for a case
   async getCaseInvitations(caseId, userId) {
     try {
-      if (!await Case.hasAccess(caseId, userId)) {
+      if (!await AuthorizationService.can(userId, 'case:view', caseId)) {
         throw new Error('Access denied to case invitations');
       }
 
@@ -331,7 +332,7 @@ class InvitationService {
         throw new Error('Invitation not found');
       }
 
-      if (!await Case.hasAccess(invitation.case_id, userId)) {
+      if (!await AuthorizationService.can(userId, 'case:manage_parties', invitation.case_id)) {
         throw new Error('Access denied to resend invitation');
       }
 
@@ -381,7 +382,7 @@ class InvitationService {
         throw new Error('Invitation not found');
       }
 
-      if (!await Case.hasAccess(invitation.case_id, userId)) {
+      if (!await AuthorizationService.can(userId, 'case:manage_parties', invitation.case_id)) {
         throw new Error('Access denied to cancel invitation');
       }
 
@@ -0,0 +1,373 @@
+// Jurisdiction Service - rules-based choice of court or tribunal
+//
+// Rule tables live in backend/jurisdictions/<code>.json (see the README
+// there). A state file extends IN: it adds its districts and courts and
+// replaces the subject tables it redefines. A recommendation is made in
+// three steps:
+//   - subject matter: the case type, or keywords in the description
+//   - territorial jurisdiction: the first location the subject's rule allows
+//     (the respondent's, where the cause of action arose, the complainant's,
+//     the property's or the workplace's) that resolves to a known district
+//     or state; the other permissible places are listed as well
+//   - forum: the first tier of the state's table for the subject whose
+//     pecuniary limits, rent limit and places fit; a table with no fitting
+//     tier falls back to another subject's (rent to civil, for example)
+// Every step adds a sentence to the explanation.
+const fs = require('fs');
+const path = require('path');
+const logger = require('../lib/logger');
+
+const DEFAULT_DIR = path.join(__dirname, '../../jurisdictions');
+const PLACE_ROLES = ['respondent', 'cause_of_action', 'complainant', 'property', 'workplace'];
+const FORUM_LEVELS = ['district', 'state', 'national', 'high_court'];
+const ROLE_LABELS = {
+  respondent: "the respondent's location",
+  cause_of_action: 'where the cause of action arose',
+  complainant: "the complainant's location",
+  property: 'where the property is situated',
+  workplace: 'the workplace'
+};
+
+const rupees = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+// Lower-case words only, so "Koramangala, Bengaluru 560034" matches "bengaluru"
+const normalize = (text) => ` ${String(text || '').toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+
+class JurisdictionService {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.JURISDICTION_DIR || DEFAULT_DIR;
+    this.rootCode = options.rootCode || 'IN';
+    this.jurisdictions = null;
+  }
+
+  // Validate one rules file; inheritance is resolved after all are read
+  compile(raw, source = 'jurisdiction') {
+    if (!raw.code) throw new Error(`${source}: code is required`);
+    for (const [id, forum] of Object.entries(raw.forums || {})) {
+      if (!forum.name) throw new Error(`${source}: forum ${id} needs a name`);
+      if (!FORUM_LEVELS.includes(forum.level)) throw new Error(`${source}: forum ${id} has unknown level "${forum.level}"`);
+    }
+    for (const [subject, rule] of Object.entries(raw.territorial || {})) {
+      const unknown = (rule.places || []).filter(role => !PLACE_ROLES.includes(role));
+      if (unknown.length) throw new Error(`${source}: territorial.${subject} has unknown places ${unknown.join(', ')}`);
+    }
+    for (const [subject, table] of Object.entries(raw.tables || {})) {
+      for (const tier of table.tiers || []) {
+        for (const key of ['above', 'atLeast', 'upTo', 'maxMonthlyRent']) {
+          if (tier[key] !== undefined && !(typeof tier[key] === 'number' && tier[key] >= 0)) {
+            throw new Error(`${source}: tables.${subject} tier ${tier.forum}: ${key} must be a non-negative number`);
+          }
+        }
+      }
+    }
+    return raw;
+  }
+
+  load() {
+    const raws = new Map();
+    const files = fs.existsSync(this.dir) ? fs.readdirSync(this.dir).filter(f => f.endsWith('.json')) : [];
+    for (const file of files.sort()) {
+      const raw = this.compile(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')), file);
+      raws.set(raw.code, raw);
+    }
+
+    const resolve = (code, seen = []) => {
+      const raw = raws.get(code);
+      if (!raw) throw new Error(`Jurisdiction ${seen[seen.length - 1]} extends unknown jurisdiction "${code}"`);
+      if (seen.includes(code)) throw new Error(`Jurisdiction inheritance cycle: ${[...seen, code].join(' -> ')}`);
+      const parent = raw.extends ? resolve(raw.extends, [...seen, code]) : null;
+
+      const jurisdiction = {
+        code: raw.code,
+        name: raw.name || raw.code,
+        aliases: (raw.aliases || []).map(a => a.toLowerCase()),
+        places: (raw.places || []).map(p => ({ name: p.name, aliases: [p.name, ...(p.aliases || [])].map(a => a.toLowerCase()) })),
+        subjects: { ...(parent ? parent.subjects : {}), ...(raw.subjects || {}) },
+        territorial: { ...(parent ? parent.territorial : {}), ...(raw.territorial || {}) },
+        forums: { ...(parent ? parent.forums : {}), ...(raw.forums || {}) },
+        tables: { ...(parent ? parent.tables : {}), ...(raw.tables || {}) }
+      };
+
+      for (const [subject, table] of Object.entries(jurisdiction.tables)) {
+        for (const tier of table.tiers || []) {
+          if (!jurisdiction.forums[tier.forum]) throw new Error(`Jurisdiction ${code}: tables.${subject} uses unknown forum "${tier.forum}"`);
+        }
+        for (const other of [table.fallback, ...(table.alternatives || [])].filter(Boolean)) {
+          if (!jurisdiction.tables[other]) throw new Error(`Jurisdiction ${code}: tables.${subject} refers to unknown subject "${other}"`);
+        }
+      }
+      return jurisdiction;
+    };
+
+    const jurisdictions = new Map();
+    for (const code of raws.keys()) jurisdictions.set(code, resolve(code));
+    if (!jurisdictions.has(this.rootCode)) throw new Error(`Root jurisdiction "${this.rootCode}" is missing from ${this.dir}`);
+
+    this.jurisdictions = jurisdictions;
+    logger.info(`Loaded ${jurisdictions.size} jurisdiction rule table(s) from ${this.dir}`);
+    return jurisdictions;
+  }
+
+  all() {
+    return [...(this.jurisdictions || this.load()).values()];
+  }
+
+  get(code) {
+    return (this.jurisdictions || this.load()).get(code) || null;
+  }
+
+  root() {
+    return this.get(this.rootCode);
+  }
+
+  /**
+   * The district and state of a free-text location. Districts beat state
+   * names; among districts the alias named first wins, since addresses run
+   * from the locality outwards ("Saket, New Delhi" is South Delhi), then the
+   * longest ("South West Delhi" is not West Delhi). `hint` (a state name or
+   * code, usually cases.jurisdiction) places a location that names no known
+   * district or state. Returns { jurisdiction, district } or null.
+   */
+  resolvePlace(location, hint = null) {
+    const text = normalize(location);
+    let best = null;
+    for (const jurisdiction of this.all()) {
+      if (jurisdiction.code === this.rootCode) continue;
+      const candidates = [
+        ...jurisdiction.places.flatMap(place => place.aliases.map(alias => ({ alias, district: place.name }))),
+        ...jurisdiction.aliases.map(alias => ({ alias, district: null }))
+      ];
+      for (const { alias, district } of candidates) {
+        const at = text.indexOf(normalize(alias));
+        if (at < 0) continue;
+        const better = !best ||
+          (district && !best.district) ||
+          (Boolean(district) === Boolean(best.district) && (at < best.at || (at === best.at && alias.length > best.alias.length)));
+        if (better) best = { alias, at, jurisdiction, district };
+      }
+    }
+    if (best) return { jurisdiction: best.jurisdiction, district: best.district };
+
+    if (hint && location !== hint) {
+      const state = this.get(String(hint).toUpperCase()) || this.resolvePlace(hint)?.jurisdiction;
+      if (state && state.code !== this.rootCode) return { jurisdiction: state, district: null };
+    }
+    return null;
+  }
+
+  // Subject matter from an explicit subject, the case type or description keywords
+  classify(facts, jurisdiction = this.root()) {
+    const subjects = jurisdiction.subjects;
+    if (facts.subject && subjects[facts.subject]) {
+      return { subject: facts.subject, reason: 'given' };
+    }
+    const caseType = String(facts.caseType || '').toLowerCase();
+    for (const [subject, rule] of Object.entries(subjects)) {
+      if (caseType && (rule.caseTypes || []).includes(caseType)) return { subject, reason: `case type "${caseType}"` };
+    }
+    const description = String(facts.description || '').toLowerCase();
+    for (const [subject, rule] of Object.entries(subjects)) {
+      const keyword = (rule.keywords || []).find(k => description.includes(k));
+      if (keyword) return { subject, reason: `the description mentions "${keyword}"` };
+    }
+    return { subject: 'civil', reason: 'no special subject matter found' };
+  }
+
+  // Why a tier does not fit, or null when it does
+  tierMismatch(tier, amount, facts, district) {
+    if (tier.places && !tier.places.includes(district)) return `only for ${tier.places.join(', ')}`;
+    if (tier.above !== undefined && !(amount > tier.above)) return `needs more than ${rupees(tier.above)}`;
+    if (tier.atLeast !== undefined && !(amount >= tier.atLeast)) return `needs at least ${rupees(tier.atLeast)}`;
+    if (tier.upTo !== undefined && !(amount <= tier.upTo)) return `only up to ${rupees(tier.upTo)}`;
+    if (tier.maxMonthlyRent !== undefined && facts.monthlyRent != null && facts.monthlyRent > tier.maxMonthlyRent) {
+      return `only for monthly rent up to ${rupees(tier.maxMonthlyRent)} (here ${rupees(facts.monthlyRent)})`;
+    }
+    return null;
+  }
+
+  forumFor(jurisdiction, id, district) {
+    const forum = jurisdiction.forums[id];
+    const place = district || `${jurisdiction.name} (district to be confirmed)`;
+    return {
+      id,
+      name: forum.name.replace('{district}', place).replace('{state}', jurisdiction.name),
+      type: forum.type,
+      level: forum.level,
+      statute: forum.statute || null,
+      requirements: forum.requirements || [],
+      jurisdiction: jurisdiction.name,
+      jurisdictionCode: jurisdiction.code,
+      district: forum.level === 'district' ? district : null
+    };
+  }
+
+  /**
+   * First fitting tier of the subject's table, following fallbacks.
+   * Returns { forum, subject, amount, valueBasis, tier, explanation, warnings }
+   */
+  selectForum(jurisdiction, subject, facts, district, seen = []) {
+    const table = jurisdiction.tables[subject];
+    if (!table) throw new Error(`Jurisdiction ${jurisdiction.code} has no table for ${subject}`);
+    const valueBasis = table.value === 'consideration_paid' && facts.considerationPaid != null ? 'consideration_paid' : 'claim';
+    const amount = Number(valueBasis === 'consideration_paid' ? facts.considerationPaid : facts.claimAmount) || 0;
+    const explanation = [];
+    const warnings = [];
+
+    if (table.value === 'consideration_paid' && facts.considerationPaid == null) {
+      warnings.push('The consideration paid is not recorded; the claim amount was used for the pecuniary limit instead.');
+    }
+    if (!amount && (table.tiers || []).some(t => t.above !== undefined || t.atLeast !== undefined || t.upTo !== undefined)) {
+      warnings.push('The amount in dispute is not recorded; the lowest pecuniary tier was assumed.');
+    }
+
+    const misses = [];
+    for (const tier of table.tiers || []) {
+      const mismatch = this.tierMismatch(tier, amount, facts, district);
+      if (mismatch) {
+        if (!tier.places || tier.places.includes(district)) misses.push(`${this.forumFor(jurisdiction, tier.forum, district).name} ${mismatch}`);
+        continue;
+      }
+      if (tier.maxMonthlyRent !== undefined && facts.monthlyRent == null) {
+        warnings.push(`The monthly rent is not recorded; ${this.forumFor(jurisdiction, tier.forum, district).name} only hears tenancies up to ${rupees(tier.maxMonthlyRent)} a month.`);
+      }
+      const forum = this.forumFor(jurisdiction, tier.forum, district);
+      const pecuniary = ['above', 'atLeast', 'upTo'].some(key => tier[key] !== undefined);
+      const value = pecuniary && amount ? `${valueBasis === 'consideration_paid' ? 'Consideration paid' : 'Amount in dispute'} ${rupees(amount)}: ` : '';
+      explanation.push(`${value}${forum.name}. ${tier.basis || forum.statute || ''}`.trim());
+      if (tier.note) explanation.push(tier.note);
+      return { forum, subject, amount, valueBasis, tier, explanation, warnings };
+    }
+
+    if (table.fallback && !seen.includes(table.fallback)) {
+      explanation.push(misses.length
+        ? `No ${subject} forum fits (${misses.join('; ')}), so the ${table.fallback} rules apply.`
+        : `There is no separate ${subject} forum in ${jurisdiction.name}, so the ${table.fallback} rules apply.`);
+      const result = this.selectForum(jurisdiction, table.fallback, facts, district, [...seen, subject]);
+      return { ...result, explanation: [...explanation, ...result.explanation], warnings: [...warnings, ...result.warnings] };
+    }
+    throw new Error(`No ${subject} forum in ${jurisdiction.name} fits${misses.length ? `: ${misses.join('; ')}` : ''}`);
+  }
+
+  /**
+   * Recommend a forum. facts: { subject?, caseType, description, claimAmount,
+   * considerationPaid, monthlyRent, jurisdiction (state hint), locations:
+   * { respondent, complainant, cause_of_action, property, workplace } }.
+   * Returns { subject, jurisdiction, forum, territorial, amount, valueBasis,
+   * alternatives, explanation, warnings }
+   */
+  recommend(facts = {}) {
+    const root = this.root();
+    const { subject, reason } = this.classify(facts, root);
+    const explanation = [`Subject matter: ${subject} (${reason}).`];
+    const warnings = [];
+
+    const territorial = root.territorial[subject] || root.territorial.civil;
+    const locations = facts.locations || {};
+    const places = territorial.places
+      .filter(role => locations[role])
+      .map(role => ({ role, location: locations[role], ...(this.resolvePlace(locations[role], facts.jurisdiction) || {}) }));
+    const resolved = places.filter(p => p.jurisdiction);
+
+    let place = resolved[0] || null;
+    if (!place) {
+      const state = facts.jurisdiction ? this.resolvePlace(facts.jurisdiction) : null;
+      place = { role: null, location: null, jurisdiction: state ? state.jurisdiction : root, district: null };
+      warnings.push(places.length
+        ? `None of the locations given (${places.map(p => p.location).join('; ')}) is in a jurisdiction with rule tables.`
+        : `No location that gives territorial jurisdiction is recorded (${territorial.places.map(role => ROLE_LABELS[role]).join(', ')}).`);
+    }
+    const jurisdiction = place.jurisdiction;
+    const basis = (jurisdiction.territorial[subject] || jurisdiction.territorial.civil || territorial).basis;
+
+    if (place.role) {
+      explanation.push(`Territorial jurisdiction: ${ROLE_LABELS[place.role]} (${place.location}) is in ${place.district ? `${place.district}, ` : ''}${jurisdiction.name}. ${basis}.`);
+    } else {
+      explanation.push(`Territorial jurisdiction could not be fixed from the case locations; ${jurisdiction.name} rules were applied. ${basis}.`);
+    }
+    if (place.role && !place.district) warnings.push(`The district within ${jurisdiction.name} could not be identified from "${place.location}".`);
+
+    const otherPlaces = resolved
+      .filter(p => p !== place && (p.jurisdiction !== place.jurisdiction || p.district !== place.district))
+      .map(p => ({ role: p.role, location: p.location, jurisdiction: p.jurisdiction.name, district: p.district }));
+    if (otherPlaces.length) {
+      explanation.push(`Also permissible: ${otherPlaces.map(p => `${ROLE_LABELS[p.role]} (${p.district ? `${p.district}, ` : ''}${p.jurisdiction})`).join('; ')}.`);
+    }
+
+    const selection = this.selectForum(jurisdiction, subject, facts, place.district);
+    explanation.push(...selection.explanation);
+    warnings.push(...selection.warnings);
+
+    const alternatives = [];
+    for (const other of jurisdiction.tables[subject].alternatives || []) {
+      try {
+        const alternative = this.selectForum(jurisdiction, other, facts, place.district);
+        if (alternative.forum.id !== selection.forum.id) alternatives.push({ ...alternative.forum, subject: other, reason: alternative.explanation.join(' ') });
+      } catch (error) {
+        logger.debug(`No ${other} alternative in ${jurisdiction.code}: ${error.message}`);
+      }
+    }
+    if (alternatives.length) explanation.push(`Alternative: ${alternatives.map(a => a.name).join('; ')}.`);
+
+    return {
+      subject,
+      jurisdiction: { code: jurisdiction.code, name: jurisdiction.name },
+      forum: selection.forum,
+      territorial: {
+        role: place.role,
+        location: place.location,
+        district: place.district,
+        basis,
+        otherPlaces
+      },
+      amount: selection.amount,
+      valueBasis: selection.valueBasis,
+      alternatives,
+      explanation,
+      warnings
+    };
+  }
+
+  // Facts for recommend() from a cases row; the locations and the
+  // consideration paid and monthly rent are kept in cases.metadata
+  factsFromCase(caseData = {}) {
+    const metadata = caseData.metadata || {};
+    const locations = {};
+    const sources = {
+      respondent: [metadata.respondent_location, caseData.defender_address],
+      complainant: [metadata.complainant_location, caseData.complainant_address],
+      cause_of_action: [metadata.cause_of_action_location],
+      property: [metadata.property_location],
+      workplace: [metadata.workplace_location]
+    };
+    for (const [role, values] of Object.entries(sources)) {
+      const value = values.find(Boolean);
+      if (value) locations[role] = value;
+    }
+    const number = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+    return {
+      subject: metadata.subject_matter,
+      caseType: caseData.case_type,
+      description: caseData.description,
+      claimAmount: number(caseData.dispute_amount ?? caseData.claimed_amount) ?? this.amountInText(caseData.description),
+      considerationPaid: number(metadata.consideration_paid),
+      monthlyRent: number(metadata.monthly_rent),
+      jurisdiction: caseData.jurisdiction,
+      locations
+    };
+  }
+
+  // Largest rupee amount written in a text ("Rs. 2,50,000" or "₹ 40000"), or 0
+  amountInText(text) {
+    const matches = String(text || '').match(/(?:Rs\.?|₹)\s*(\d+(?:,\d+)*(?:\.\d+)?)/gi);
+    return matches ? Math.max(...matches.map(m => parseFloat(m.replace(/^(?:Rs\.?|₹)/i, '').replace(/[^\d.]/g, '')))) : 0;
+  }
+
+  recommendForCase(caseData) {
+    return this.recommend(this.factsFromCase(caseData));
+  }
+}
+
+module.exports = new JurisdictionService();
+module.exports.JurisdictionService = JurisdictionService;
+module.exports.PLACE_ROLES = PLACE_ROLES;
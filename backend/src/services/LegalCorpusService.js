@@ -0,0 +1,429 @@
+// Legal Corpus Service - local statutes and judgments for grounded citations
+//
+// Documents live in backend/corpus/<id>.json (see corpus/README.md):
+//   {
+//     "id": "ica-1872", "type": "statute", "title": "Indian Contract Act, 1872",
+//     "citation": "Act No. 9 of 1872", "aliases": ["contract act"],
+//     "passages": [{ "id": "s74", "label": "Section 74", "heading": "...", "text": "..." }]
+//   }
+// Each passage is one citable source, "<document id>:<passage id>". Long
+// passages are split into overlapping chunks for BM25 retrieval. A hit still
+// resolves to its whole passage.
+//
+// Grounding: precedent research gets the retrieved passages in its prompt.
+// Every precedent or statute in the answer is then matched back to a passage
+// by source id, reporter citation, party names or section number. A match
+// gets the source id and a verbatim quote from the passage. Anything else is
+// flagged as not being in the corpus, so invented authorities are visible.
+const fs = require('fs');
+const path = require('path');
+const logger = require('../lib/logger');
+const { Bm25Index, terms, highlight } = require('../lib/textSearch');
+
+const DEFAULT_DIR = path.join(__dirname, '../../corpus');
+const TYPES = ['statute', 'judgment'];
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP = 30;
+const MIN_QUOTE_WORDS = 12;
+
+// Sentence ends: a period after a word of two or more lower-case letters or
+// digits, so "Ltd. v." and "M.K. Gupta" stay in one sentence
+const SENTENCE_BREAK = /(?<=[a-z0-9)"”]{2}[.!?])\s+(?=["“A-Z])/g;
+const ROMAN = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const compactId = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function romanToNumber(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const digits = value.toLowerCase().split('').map(c => ROMAN[c]);
+  return digits.reduce((sum, digit, i) => sum + (digit < (digits[i + 1] || 0) ? -digit : digit), 0);
+}
+
+// Passage ids a provision reference can mean, most specific first:
+// "Section 2(11)" -> ['s211', 's2'], "Order XXIII Rule 3" -> ['o23r3']
+function provisionIds(reference) {
+  const text = String(reference || '');
+  const ids = [];
+
+  const order = text.match(/\bo(?:rder)?\.?\s*([ivxlc]+|\d+)\s*,?\s*r(?:ule)?\.?\s*(\d+[a-z]?)\b/i);
+  if (order) ids.push(`o${romanToNumber(order[1])}r${order[2].toLowerCase()}`);
+
+  const section = text.match(/\b(?:sections?|sec\.?|s\.|u\/s\.?)\s*(\d+[a-z]?)((?:\s*\([0-9a-z]+\))*)/i);
+  if (section) {
+    const number = section[1].toLowerCase();
+    const subs = (section[2].match(/[0-9a-z]+/gi) || []).map(s => s.toLowerCase());
+    if (subs.length > 0) ids.push(`s${number}${subs.join('')}`, `s${number}${subs[0]}`);
+    ids.push(`s${number}`);
+  }
+  return [...new Set(ids)];
+}
+
+// Case name -> [[party one terms], [party two terms]]
+function partyTerms(name) {
+  return String(name || '')
+    .split(/\s+(?:v|vs|versus)\.?\s+/i)
+    .slice(0, 2)
+    .map(party => [...new Set(terms(party))]);
+}
+
+// Overlapping word windows of a passage; short passages stay whole
+function chunkText(text, { size = CHUNK_WORDS, overlap = CHUNK_OVERLAP } = {}) {
+  const words = String(text || '').match(/\S+/g) || [];
+  if (words.length <= size) return [words.join(' ')];
+  const chunks = [];
+  for (let start = 0; start < words.length; start += size - overlap) {
+    chunks.push(words.slice(start, start + size).join(' '));
+    if (start + size >= words.length) break;
+  }
+  return chunks;
+}
+
+// [[start, end]] offsets of each sentence in text
+function sentenceSpans(text) {
+  const spans = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_BREAK)) {
+    spans.push([start, match.index]);
+    start = match.index + match[0].length;
+  }
+  spans.push([start, text.length]);
+  return spans;
+}
+
+function validateDocument(doc, origin) {
+  const problem = (message) => new Error(`Corpus document ${origin}: ${message}`);
+  if (!doc || typeof doc !== 'object') throw problem('not a JSON object');
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(doc.id || '')) throw problem('id must be lower-case letters, digits and dashes');
+  if (!TYPES.includes(doc.type)) throw problem(`type must be one of ${TYPES.join(', ')}`);
+  if (!doc.title) throw problem('title is required');
+  if (!Array.isArray(doc.passages) || doc.passages.length === 0) throw problem('at least one passage is required');
+
+  const seen = new Set();
+  for (const passage of doc.passages) {
+    if (!passage.id || !passage.text) throw problem('every passage needs an id and text');
+    if (seen.has(passage.id)) throw problem(`duplicate passage id ${passage.id}`);
+    seen.add(passage.id);
+  }
+  return doc;
+}
+
+// Plain-text judgment or act -> corpus document. Header lines "key: value"
+// up to a "---" line; "## id | label | heading" starts a passage, otherwise
+// every blank-line separated paragraph becomes passage p1, p2, ...
+function parsePlainText(raw) {
+  const [head, ...rest] = String(raw || '').split(/^---\s*$/m);
+  if (rest.length === 0) throw new Error('Corpus text needs a header followed by a --- line');
+
+  const doc = { aliases: [], tags: [], passages: [] };
+  for (const line of head.split('\n')) {
+    const match = line.match(/^\s*([a-z_]+)\s*:\s*(.+?)\s*$/i);
+    if (!match) continue;
+    const [, key, value] = match;
+    if (key === 'aliases' || key === 'tags') doc[key] = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    else if (key === 'year') doc.year = Number(value);
+    else doc[key] = value;
+  }
+
+  const body = rest.join('---').trim();
+  if (/^##\s/m.test(body)) {
+    for (const section of body.split(/^##\s+/m).filter(s => s.trim())) {
+      const [header, ...lines] = section.split('\n');
+      const [id, label, heading] = header.split('|').map(s => s.trim());
+      doc.passages.push({ id, label: label || id, heading: heading || '', text: lines.join(' ').replace(/\s+/g, ' ').trim() });
+    }
+  } else {
+    body.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean).forEach((text, i) => {
+      doc.passages.push({ id: `p${i + 1}`, label: `Paragraph ${i + 1}`, heading: '', text });
+    });
+  }
+  return validateDocument(doc, doc.id || '(plain text)');
+}
+
+class LegalCorpusService {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.LEGAL_CORPUS_DIR || DEFAULT_DIR;
+    this.documents = null;
+    this.passages = null;
+    this.index = null;
+  }
+
+  load() {
+    if (this.documents) return this;
+
+    const documents = new Map();
+    const files = fs.existsSync(this.dir)
+      ? fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).sort()
+      : [];
+
+    for (const file of files) {
+      try {
+        const doc = validateDocument(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')), file);
+        if (documents.has(doc.id)) throw new Error(`Corpus document ${file}: duplicate id ${doc.id}`);
+        documents.set(doc.id, { aliases: [], tags: [], ...doc });
+      } catch (error) {
+        logger.warn(`Skipping corpus file ${file}: ${error.message}`);
+      }
+    }
+
+    this.documents = documents;
+    this.buildIndex();
+    logger.debug(`Legal corpus loaded: ${documents.size} documents, ${this.passages.size} passages`);
+    return this;
+  }
+
+  reload() {
+    this.documents = null;
+    return this.load();
+  }
+
+  buildIndex() {
+    this.passages = new Map();
+    this.index = new Bm25Index({ weights: { title: 1.5, heading: 2, text: 1 } });
+
+    for (const doc of this.documents.values()) {
+      const title = [doc.title, doc.citation, ...doc.aliases].filter(Boolean).join(' ');
+      for (const passage of doc.passages) {
+        const sourceId = `${doc.id}:${passage.id}`;
+        this.passages.set(sourceId, { doc, passage });
+        chunkText(passage.text).forEach((chunk, i) => {
+          this.index.add(`${sourceId}#${i + 1}`, {
+            title,
+            heading: `${passage.label || ''} ${passage.heading || ''}`,
+            text: chunk
+          }, { sourceId, chunk });
+        });
+      }
+    }
+  }
+
+  list() {
+    this.load();
+    return [...this.documents.values()].map(({ passages, ...doc }) => ({ ...doc, passageCount: passages.length }));
+  }
+
+  // Citation metadata of a source, without its text
+  describe(sourceId) {
+    this.load();
+    const entry = this.passages.get(sourceId);
+    if (!entry) return null;
+    const { doc, passage } = entry;
+    return {
+      source_id: sourceId,
+      document_id: doc.id,
+      type: doc.type,
+      title: doc.title,
+      citation: doc.citation || null,
+      court: doc.court || null,
+      year: doc.year || null,
+      provision: passage.label || passage.id,
+      heading: passage.heading || null
+    };
+  }
+
+  getPassage(sourceId) {
+    const description = this.describe(sourceId);
+    return description && { ...description, text: this.passages.get(sourceId).passage.text };
+  }
+
+  // Best passages for free text (case facts, a chat message), any word
+  // counting. Returns one hit per source with a highlighted excerpt.
+  retrieve(query, { limit = 5, type = null } = {}) {
+    this.load();
+    const words = [...new Set(terms(query))];
+    if (words.length === 0) return [];
+
+    const parsed = { groups: [words], excluded: [] };
+    const results = [];
+    const seen = new Set();
+    for (const hit of this.index.search(parsed)) {
+      const { sourceId, chunk } = hit.payload;
+      if (seen.has(sourceId)) continue;
+      const description = this.describe(sourceId);
+      if (type && description.type !== type) continue;
+      seen.add(sourceId);
+      results.push({ ...description, score: Math.round(hit.score * 1000) / 1000, excerpt: highlight(chunk, parsed, { maxWords: 40 }) });
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+
+  // Verbatim sentence(s) of a passage, preferring the one that shares the
+  // most words with `focus` (what the citation is relied on for)
+  quote(sourceId, focus = '') {
+    this.load();
+    const entry = this.passages.get(sourceId);
+    if (!entry) return null;
+    const { text } = entry.passage;
+    const spans = sentenceSpans(text);
+    const wanted = new Set(terms(focus));
+
+    let best = 0;
+    let bestScore = 0;
+    spans.forEach(([start, end], i) => {
+      const score = new Set(terms(text.slice(start, end)).filter(t => wanted.has(t))).size;
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+
+    let [start, end] = spans[best];
+    if ((text.slice(start, end).match(/\S+/g) || []).length < MIN_QUOTE_WORDS && spans[best + 1]) end = spans[best + 1][1];
+    return text.slice(start, end);
+  }
+
+  // Match one cited authority ({ source_id, case_name, citation, provision,
+  // ... }) to a corpus passage. Returns { sourceId, matchedBy } or
+  // { sourceId: null, flag }.
+  resolveCitation(cited = {}) {
+    this.load();
+    const givenId = cited.source_id ? String(cited.source_id).trim() : '';
+    if (this.passages.has(givenId)) return { sourceId: givenId, matchedBy: 'source_id' };
+
+    // An unknown or document-level id falls through to the text, so a right
+    // citation with a mangled id still verifies
+    const found = this.documents.get(givenId.split(':')[0])
+      ? { doc: this.documents.get(givenId.split(':')[0]), matchedBy: 'source_id' }
+      : this.findDocument(cited);
+    if (!found) return { sourceId: null, flag: givenId ? 'unknown_source_id' : 'not_in_corpus' };
+
+    const passage = this.findPassage(found.doc, cited);
+    if (!passage) return { sourceId: null, documentId: found.doc.id, flag: 'provision_not_in_corpus' };
+    return { sourceId: `${found.doc.id}:${passage.id}`, matchedBy: found.matchedBy };
+  }
+
+  findDocument(cited) {
+    const citation = normalize(cited.citation);
+    const name = normalize(cited.case_name || cited.title);
+    const reference = normalize([cited.provision, cited.statute, cited.title, cited.citation].filter(Boolean).join(' '));
+    const docs = [...this.documents.values()];
+
+    if (citation) {
+      const doc = docs.find(d => d.citation && normalize(d.citation) && citation.includes(normalize(d.citation)));
+      if (doc) return { doc, matchedBy: 'citation' };
+    }
+
+    if (name) {
+      const citedParties = partyTerms(cited.case_name || cited.title);
+      const doc = docs.filter(d => d.type === 'judgment').find(d => {
+        if (d.aliases.some(alias => name.includes(normalize(alias)))) return true;
+        const parties = partyTerms(d.title);
+        // each side must name most of the reported party's words
+        return citedParties.length === 2 && parties.length === 2 && parties.every((party, i) => {
+          const shared = party.filter(term => citedParties[i].includes(term)).length;
+          return shared > 0 && shared * 2 > party.length;
+        });
+      });
+      if (doc) return { doc, matchedBy: 'case_name' };
+    }
+
+    if (reference) {
+      const years = reference.match(/\b(1[89]|20)\d{2}\b/g) || [];
+      const doc = docs.filter(d => d.type === 'statute').find(d => {
+        // "Consumer Protection Act, 1986" is not the 2019 Act
+        if (years.length > 0 && d.year && !years.includes(String(d.year))) return false;
+        return [d.title.replace(/,?\s*\d{4}$/, ''), ...d.aliases]
+          .some(alias => new RegExp(`\\b${normalize(alias)}\\b`).test(reference));
+      });
+      if (doc) return { doc, matchedBy: 'statute' };
+    }
+    return null;
+  }
+
+  findPassage(doc, cited) {
+    if (doc.type === 'statute') {
+      const reference = [cited.source_id, cited.provision, cited.section, cited.citation, cited.title].filter(Boolean).join(' ');
+      const ids = provisionIds(reference);
+      const byId = new Map(doc.passages.map(p => [compactId(p.id), p]));
+      const givenPassage = String(cited.source_id || '').split(':')[1];
+      if (givenPassage && byId.has(compactId(givenPassage))) return byId.get(compactId(givenPassage));
+      if (ids.length > 0) return ids.map(id => byId.get(id)).find(Boolean) || null;
+    }
+
+    // Judgments, and acts cited as a whole: the passage closest to what the
+    // citation is relied on for
+    const wanted = new Set(terms(focusOf(cited)));
+    let best = doc.passages[0];
+    let bestScore = 0;
+    for (const passage of doc.passages) {
+      const score = new Set(terms(`${passage.heading || ''} ${passage.text}`).filter(t => wanted.has(t))).size;
+      if (score > bestScore) {
+        best = passage;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // One cited authority -> the same object with source_id, verified and,
+  // when matched, a verbatim quoted_passage and the source's metadata
+  ground(cited) {
+    const match = this.resolveCitation(cited);
+    if (!match.sourceId) {
+      return { ...cited, source_id: cited.source_id || null, verified: false, flag: match.flag };
+    }
+    return {
+      ...cited,
+      source_id: match.sourceId,
+      verified: true,
+      matched_by: match.matchedBy,
+      quoted_passage: this.quote(match.sourceId, focusOf(cited)),
+      source: this.describe(match.sourceId)
+    };
+  }
+
+  // Precedent research output -> grounded precedents and statutes plus a
+  // citation_check summary. Plain applicable_statutes strings are grounded
+  // as statutes when the model gave no structured list.
+  groundPrecedentResearch(result = {}) {
+    const statutes = Array.isArray(result.statutes) && result.statutes.length > 0
+      ? result.statutes
+      : (result.applicable_statutes || []).map(provision => ({ provision }));
+
+    const precedents = (result.precedents || []).map(p => this.ground(p));
+    const groundedStatutes = statutes.map(s => this.ground(typeof s === 'string' ? { provision: s } : s));
+    const all = [...precedents, ...groundedStatutes];
+    const unmatched = all.filter(c => !c.verified);
+
+    if (unmatched.length > 0) {
+      logger.warn(`${unmatched.length} of ${all.length} AI citations not found in the legal corpus`);
+    }
+
+    return {
+      ...result,
+      precedents,
+      statutes: groundedStatutes,
+      unmatched_citations: unmatched.map(c => ({
+        citation: c.case_name || c.provision || c.citation || c.source_id || null,
+        flag: c.flag
+      })),
+      citation_check: { total: all.length, verified: all.length - unmatched.length, unmatched: unmatched.length }
+    };
+  }
+
+  // Plain-text file -> corpus JSON in this.dir; replaces a document with the
+  // same id
+  ingestFile(file) {
+    const doc = parsePlainText(fs.readFileSync(file, 'utf8'));
+    fs.mkdirSync(this.dir, { recursive: true });
+    const target = path.join(this.dir, `${doc.id}.json`);
+    fs.writeFileSync(target, `${JSON.stringify(doc, null, 2)}\n`);
+    this.reload();
+    return { document: doc, file: target };
+  }
+}
+
+// What a citation is relied on for, in whatever field the model put it
+function focusOf(cited) {
+  return ['relevance', 'application', 'principle', 'key_principle', 'holding', 'summary', 'reason']
+    .map(field => cited[field])
+    .filter(value => typeof value === 'string')
+    .join(' ');
+}
+
+module.exports = new LegalCorpusService();
+module.exports.LegalCorpusService = LegalCorpusService;
+module.exports.chunkText = chunkText;
+module.exports.parsePlainText = parsePlainText;
+module.exports.provisionIds = provisionIds;
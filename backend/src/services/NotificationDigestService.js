@@ -0,0 +1,271 @@
+// Notification Digest Service - daily/weekly summaries of unread notifications
+// Users who switch on a digest (notification preferences) stop getting an
+// email per non-urgent notification; NotificationRoutingService leaves those
+// to the digest. At the user's digest time, every unread notification not yet
+// summarised is grouped by case, deadlines first, with links back into the
+// app, and sent through EmailService.sendNotificationDigest. Each digest is
+// recorded with the notifications it included. A digest that fails to send
+// leaves its notifications for the next one.
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const { createNotificationDigestStore, DigestConflictError } = require('../lib/notificationDigestStore');
+const NotificationPreferenceService = require('./NotificationPreferenceService');
+const NotificationRoutingService = require('./NotificationRoutingService');
+const EmailService = require('./EmailService');
+const { zonedParts, zonedTimeToUtc, shiftDate } = require('./CalendarService');
+
+const DEADLINE_TYPES = ['deadline_approaching', 'deadline_reminder'];
+const MAX_ITEMS = 500;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3001';
+
+// Notification rows have been written with two column layouts
+function normalize(row) {
+  const type = row.notification_type || row.type;
+  return {
+    id: row.notification_id || row.id,
+    caseId: row.case_id || null,
+    type,
+    title: row.title,
+    message: row.message,
+    priority: row.priority,
+    createdAt: row.created_at,
+    isDeadline: DEADLINE_TYPES.includes(type),
+    url: `${frontendUrl()}${row.action_url || row.link_url || (row.case_id ? `/cases/${row.case_id}` : '/notifications')}`
+  };
+}
+
+class NotificationDigestService {
+  constructor(options = {}) {
+    this._store = options.store || null;
+    this.preferences = options.preferences || NotificationPreferenceService;
+    this.email = options.email || EmailService;
+    this._notifications = options.notifications || null;
+    this._cases = options.cases || null;
+    this._users = options.users || null;
+    this.now = options.now || (() => new Date());
+    this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.NOTIFICATION_DIGEST_POLL_MS || '600000', 10);
+    this.timer = null;
+    this.running = false;
+  }
+
+  get store() {
+    if (!this._store) this._store = createNotificationDigestStore();
+    return this._store;
+  }
+
+  // Unread notifications of a user, oldest first
+  get notifications() {
+    if (!this._notifications) {
+      const { supabaseAdmin } = require('../lib/supabaseClient');
+      this._notifications = {
+        listUnread: async (userId, before) => {
+          const { data, error } = await supabaseAdmin
+            .from('notifications')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('is_read', false)
+            .lte('created_at', before.toISOString())
+            .order('created_at', { ascending: true })
+            .limit(MAX_ITEMS);
+          if (error) throw new Error(`Failed to load notifications of ${userId}: ${error.message}`);
+          return data || [];
+        }
+      };
+    }
+    return this._notifications;
+  }
+
+  // Titles and numbers of the cases a digest mentions
+  get cases() {
+    if (!this._cases) {
+      const { supabaseAdmin } = require('../lib/supabaseClient');
+      this._cases = {
+        describe: async (caseIds) => {
+          if (caseIds.length === 0) return new Map();
+          const { data, error } = await supabaseAdmin.from('cases').select('id, title, case_number').in('id', caseIds);
+          if (error) throw new Error(`Failed to load cases: ${error.message}`);
+          return new Map((data || []).map(c => [c.id, c]));
+        }
+      };
+    }
+    return this._cases;
+  }
+
+  get users() {
+    return this._users || NotificationRoutingService.users;
+  }
+
+  startScheduler() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.runDue(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+    setImmediate(() => this.runDue());
+    logger.info(`Notification digest scheduler started (every ${this.pollIntervalMs}ms)`);
+    return this;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // The latest scheduled digest time at or before `now`, in the user's zone
+  dueSlot(prefs, now = this.now()) {
+    const { frequency, time, weekday } = prefs.digest;
+    const local = zonedParts(now, prefs.timezone);
+    let date = local.date;
+
+    if (frequency === 'weekly') {
+      let daysBack = (local.weekday - weekday + 7) % 7;
+      if (daysBack === 0 && local.time < time) daysBack = 7;
+      date = shiftDate(date, -daysBack);
+    } else if (local.time < time) {
+      date = shiftDate(date, -1);
+    }
+
+    return zonedTimeToUtc(date, time, prefs.timezone);
+  }
+
+  // Send every digest that has come due. Never throws.
+  async runDue(now = this.now()) {
+    if (this.running) return [];
+    this.running = true;
+    const results = [];
+    try {
+      for (const prefs of await this.preferences.digestSubscribers()) {
+        try {
+          const digest = await this.runForUser(prefs, now);
+          if (digest) results.push(digest);
+        } catch (error) {
+          logger.error(`Digest for ${prefs.user_id} failed:`, error.message || error);
+        }
+      }
+    } catch (error) {
+      logger.error('Digest run failed:', error.message || error);
+    } finally {
+      this.running = false;
+    }
+    return results;
+  }
+
+  async runForUser(prefs, now = this.now()) {
+    if (!this.preferences.digestEnabled(prefs)) return null;
+
+    const dueAt = this.dueSlot(prefs, now);
+    const last = await this.store.lastForUser(prefs.user_id);
+    if (last && new Date(last.due_at) >= dueAt) return null;
+    // A new subscriber's first digest is the next one, not one from before they subscribed
+    if (!last && prefs.updated_at && new Date(prefs.updated_at) > dueAt) return null;
+
+    const digest = await this.build(prefs.user_id, { dueAt, frequency: prefs.digest.frequency, since: last ? last.due_at : null });
+
+    let row;
+    try {
+      row = await this.store.insert({
+        id: crypto.randomUUID(),
+        user_id: prefs.user_id,
+        frequency: digest.frequency,
+        due_at: digest.dueAt,
+        period_start: digest.periodStart,
+        status: digest.itemCount > 0 ? 'sending' : 'empty',
+        notification_ids: digest.notificationIds,
+        item_count: digest.itemCount,
+        case_count: digest.caseCount,
+        last_error: null,
+        sent_at: null,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      // Another instance has this digest
+      if (error instanceof DigestConflictError) return null;
+      throw error;
+    }
+
+    if (digest.itemCount === 0) return row;
+
+    try {
+      const user = await this.users.findById(prefs.user_id);
+      if (!user || !user.email) throw new Error('no email address on file');
+      await this.email.sendNotificationDigest(user.email, digest);
+      logger.info(`Sent ${digest.frequency} digest of ${digest.itemCount} notification(s) to ${prefs.user_id}`);
+      return this.store.update(row.id, { status: 'sent', sent_at: new Date().toISOString() });
+    } catch (error) {
+      logger.error(`Sending digest ${row.id} failed:`, error.message || error);
+      return this.store.update(row.id, { status: 'failed', last_error: error.message });
+    }
+  }
+
+  /**
+   * The digest a user would get now: unread notifications up to dueAt that
+   * no earlier digest included, grouped by case. Cases with deadlines come
+   * first, and deadlines come first within a case.
+   */
+  async build(userId, { dueAt = this.now(), frequency = 'daily', since = null } = {}) {
+    const unread = (await this.notifications.listUnread(userId, dueAt)).map(normalize);
+    const oldest = unread.length > 0 ? unread[0].createdAt : dueAt.toISOString();
+    const included = unread.length > 0 ? await this.store.includedIds(userId, oldest) : new Set();
+    const items = unread.filter(item => !included.has(item.id));
+
+    const caseIds = [...new Set(items.map(i => i.caseId).filter(Boolean))];
+    const cases = await this.cases.describe(caseIds);
+
+    const groups = new Map();
+    for (const item of items) {
+      const key = item.caseId || 'general';
+      if (!groups.has(key)) {
+        const caseData = item.caseId ? cases.get(item.caseId) : null;
+        groups.set(key, {
+          caseId: item.caseId,
+          title: item.caseId ? (caseData && caseData.title) || `Case ${item.caseId}` : 'General',
+          caseNumber: caseData ? caseData.case_number || null : null,
+          url: `${frontendUrl()}${item.caseId ? `/cases/${item.caseId}` : '/notifications'}`,
+          deadlineCount: 0,
+          items: []
+        });
+      }
+      const group = groups.get(key);
+      group.items.push(item);
+      if (item.isDeadline) group.deadlineCount++;
+    }
+
+    const byDeadlinesThenNewest = (a, b) =>
+      Number(b.isDeadline) - Number(a.isDeadline) || new Date(b.createdAt) - new Date(a.createdAt);
+    const ordered = [...groups.values()]
+      .map(group => ({ ...group, items: group.items.sort(byDeadlinesThenNewest) }))
+      .sort((a, b) =>
+        Number(!a.caseId) - Number(!b.caseId) ||
+        Number(b.deadlineCount > 0) - Number(a.deadlineCount > 0) ||
+        new Date(b.items[0].createdAt) - new Date(a.items[0].createdAt));
+
+    return {
+      userId,
+      frequency,
+      dueAt: new Date(dueAt).toISOString(),
+      periodStart: since ? new Date(since).toISOString() : null,
+      itemCount: items.length,
+      caseCount: caseIds.length,
+      deadlineCount: items.filter(i => i.isDeadline).length,
+      notificationIds: items.map(i => i.id),
+      notificationsUrl: `${frontendUrl()}/notifications`,
+      groups: ordered
+    };
+  }
+
+  async preview(userId) {
+    const prefs = await this.preferences.get(userId);
+    const last = await this.store.lastForUser(userId);
+    return this.build(userId, {
+      dueAt: this.now(),
+      frequency: prefs.digest.frequency === 'weekly' ? 'weekly' : 'daily',
+      since: last ? last.due_at : null
+    });
+  }
+
+  async history(userId, options) {
+    return this.store.listForUser(userId, options);
+  }
+}
+
+module.exports = new NotificationDigestService();
+module.exports.NotificationDigestService = NotificationDigestService;
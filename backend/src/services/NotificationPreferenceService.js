@@ -0,0 +1,214 @@
+// Notification Preference Service - per-user channels and quiet hours
+// Each notification type maps to the channels it is delivered on (in-app,
+// email, SMS, WhatsApp). Users override the defaults per type and set quiet
+// hours in their own time zone; NotificationRoutingService holds back
+// email, SMS and WhatsApp deliveries until quiet hours end unless the
+// notification is urgent. Digest subscribers get their non-urgent emails as
+// one daily or weekly summary instead (NotificationDigestService). The
+// preferred language is what statements are translated into for the user and
+// which translations their settlement documents carry.
+const HttpError = require('../lib/HttpError');
+const { createNotificationPreferenceStore } = require('../lib/notificationPreferenceStore');
+const { zonedParts, zonedTimeToUtc, shiftDate, isValidTimeZone } = require('./CalendarService');
+const { DEFAULT_LANGUAGE, isSupportedLanguage } = require('../lib/languages');
+
+const CHANNELS = ['in_app', 'email', 'sms', 'whatsapp'];
+
+// Channels used for each notification type until the user changes them
+const DEFAULT_CHANNELS = {
+  invitation_received: ['in_app', 'email'],
+  invitation_accepted: ['in_app'],
+  invitation_declined: ['in_app'],
+  negotiation_started: ['in_app', 'email'],
+  proposal_received: ['in_app', 'email'],
+  proposal_accepted: ['in_app', 'email'],
+  proposal_rejected: ['in_app'],
+  signature_requested: ['in_app', 'email', 'sms'],
+  document_signed: ['in_app'],
+  settlement_reached: ['in_app', 'email'],
+  case_update: ['in_app'],
+  deadline_approaching: ['in_app', 'email', 'sms'],
+  system_alert: ['in_app', 'email']
+};
+
+const NOTIFICATION_TYPES = Object.keys(DEFAULT_CHANNELS);
+
+const DEFAULT_QUIET_HOURS = { enabled: true, start: '22:00', end: '07:00' };
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Digests go out at `time` in the user's time zone; weekly ones on `weekday` (0 = Sunday)
+const DEFAULT_DIGEST = { frequency: 'off', time: '08:00', weekday: 1 };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{7,20}$/;
+
+class NotificationPreferenceService {
+  constructor(options = {}) {
+    this._store = options.store || null;
+    this.defaultTimezone = options.defaultTimezone || process.env.NOTIFICATION_DEFAULT_TIMEZONE || 'Asia/Kolkata';
+  }
+
+  get store() {
+    if (!this._store) this._store = createNotificationPreferenceStore();
+    return this._store;
+  }
+
+  defaults(userId = null) {
+    return {
+      user_id: userId,
+      timezone: this.defaultTimezone,
+      language: DEFAULT_LANGUAGE,
+      quiet_hours: { ...DEFAULT_QUIET_HOURS },
+      digest: { ...DEFAULT_DIGEST },
+      channels: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, [...DEFAULT_CHANNELS[type]]])),
+      phone: null,
+      whatsapp_number: null,
+      updated_at: null
+    };
+  }
+
+  // Effective preferences: the stored overrides on top of the defaults
+  async get(userId) {
+    const stored = await this.store.get(userId);
+    const prefs = this.defaults(userId);
+    if (!stored) return prefs;
+
+    return {
+      ...prefs,
+      timezone: stored.timezone || prefs.timezone,
+      language: stored.language || prefs.language,
+      quiet_hours: { ...prefs.quiet_hours, ...(stored.quiet_hours || {}) },
+      digest: { ...prefs.digest, ...(stored.digest || {}) },
+      channels: { ...prefs.channels, ...(stored.channels || {}) },
+      phone: stored.phone || null,
+      whatsapp_number: stored.whatsapp_number || null,
+      updated_at: stored.updated_at || null
+    };
+  }
+
+  // Preferred language; English when the preferences cannot be read
+  async languageOf(userId) {
+    try {
+      return (await this.get(userId)).language;
+    } catch (error) {
+      return DEFAULT_LANGUAGE;
+    }
+  }
+
+  // Partial update; `channels` replaces the channel list of the types it names
+  async update(userId, changes = {}) {
+    const current = await this.store.get(userId) || {};
+    const next = {
+      timezone: current.timezone || this.defaultTimezone,
+      language: current.language || DEFAULT_LANGUAGE,
+      quiet_hours: { ...DEFAULT_QUIET_HOURS, ...(current.quiet_hours || {}) },
+      digest: { ...DEFAULT_DIGEST, ...(current.digest || {}) },
+      channels: { ...(current.channels || {}) },
+      phone: current.phone || null,
+      whatsapp_number: current.whatsapp_number || null
+    };
+
+    if (changes.timezone !== undefined) {
+      if (typeof changes.timezone !== 'string' || !isValidTimeZone(changes.timezone)) {
+        throw new HttpError(400, 'invalid_timezone', `Unknown time zone: ${changes.timezone}`);
+      }
+      next.timezone = changes.timezone;
+    }
+
+    if (changes.language !== undefined) {
+      if (!isSupportedLanguage(changes.language)) {
+        throw new HttpError(400, 'invalid_language', `Unsupported language: ${changes.language}`);
+      }
+      next.language = changes.language;
+    }
+
+    if (changes.quiet_hours !== undefined) {
+      const quiet = changes.quiet_hours || {};
+      for (const key of ['start', 'end']) {
+        if (quiet[key] !== undefined && !TIME_PATTERN.test(quiet[key])) {
+          throw new HttpError(400, 'invalid_quiet_hours', `quiet_hours.${key} must be HH:MM (24-hour)`);
+        }
+      }
+      next.quiet_hours = {
+        enabled: quiet.enabled === undefined ? next.quiet_hours.enabled : Boolean(quiet.enabled),
+        start: quiet.start || next.quiet_hours.start,
+        end: quiet.end || next.quiet_hours.end
+      };
+    }
+
+    if (changes.digest !== undefined) {
+      const digest = changes.digest || {};
+      if (digest.frequency !== undefined && !DIGEST_FREQUENCIES.includes(digest.frequency)) {
+        throw new HttpError(400, 'invalid_digest', `digest.frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+      }
+      if (digest.time !== undefined && !TIME_PATTERN.test(digest.time)) {
+        throw new HttpError(400, 'invalid_digest', 'digest.time must be HH:MM (24-hour)');
+      }
+      if (digest.weekday !== undefined && !(Number.isInteger(digest.weekday) && digest.weekday >= 0 && digest.weekday <= 6)) {
+        throw new HttpError(400, 'invalid_digest', 'digest.weekday must be 0 (Sunday) to 6 (Saturday)');
+      }
+      next.digest = { ...next.digest, ...digest };
+    }
+
+    if (changes.channels !== undefined) {
+      for (const [type, channels] of Object.entries(changes.channels || {})) {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          throw new HttpError(400, 'invalid_notification_type', `Unknown notification type: ${type}`);
+        }
+        if (!Array.isArray(channels) || channels.some(c => !CHANNELS.includes(c))) {
+          throw new HttpError(400, 'invalid_channel', `Channels for ${type} must be a list of: ${CHANNELS.join(', ')}`);
+        }
+        next.channels[type] = [...new Set(channels)];
+      }
+    }
+
+    for (const key of ['phone', 'whatsapp_number']) {
+      if (changes[key] === undefined) continue;
+      if (changes[key] && !PHONE_PATTERN.test(changes[key])) {
+        throw new HttpError(400, 'invalid_phone', `${key} is not a phone number`);
+      }
+      next[key] = changes[key] || null;
+    }
+
+    await this.store.upsert(userId, next);
+    return this.get(userId);
+  }
+
+  digestEnabled(prefs) {
+    return Boolean(prefs.digest) && prefs.digest.frequency !== 'off';
+  }
+
+  // Users whose digest is switched on, with their effective preferences
+  async digestSubscribers() {
+    const rows = await this.store.listDigestSubscribers();
+    return Promise.all(rows.map(row => this.get(row.user_id)));
+  }
+
+  channelsFor(prefs, type) {
+    return prefs.channels[type] || DEFAULT_CHANNELS[type] || ['in_app'];
+  }
+
+  // When the user's current quiet hours end, or null outside quiet hours.
+  // A window whose end is before its start runs over midnight.
+  quietHoursEnd(prefs, now = new Date()) {
+    const { enabled, start, end } = prefs.quiet_hours || {};
+    if (!enabled || !start || !end || start === end) return null;
+
+    const local = zonedParts(now, prefs.timezone);
+    const overnight = start > end;
+    const inQuietHours = overnight
+      ? local.time >= start || local.time < end
+      : local.time >= start && local.time < end;
+    if (!inQuietHours) return null;
+
+    const endDate = overnight && local.time >= start ? shiftDate(local.date, 1) : local.date;
+    return zonedTimeToUtc(endDate, end, prefs.timezone);
+  }
+}
+
+module.exports = new NotificationPreferenceService();
+module.exports.NotificationPreferenceService = NotificationPreferenceService;
+module.exports.CHANNELS = CHANNELS;
+module.exports.DEFAULT_CHANNELS = DEFAULT_CHANNELS;
+module.exports.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
@@ -0,0 +1,239 @@
+// Notification Routing Service - delivers a notification on the channels the
+// recipient chose for its type (NotificationPreferenceService).
+// In-app notifications are stored and pushed at once. Email, SMS and WhatsApp
+// deliveries that fall in the recipient's quiet hours are held back on the
+// durable job queue until the quiet hours end; urgent notifications break
+// through. Digest subscribers get no individual email for non-urgent
+// notifications that were stored in-app; those are summarised by
+// NotificationDigestService. A channel without an address is skipped.
+// Delivery problems are logged and reported per channel, never thrown to the
+// caller.
+const logger = require('../lib/logger');
+const { getQueue } = require('../lib/jobQueue');
+const NotificationPreferenceService = require('./NotificationPreferenceService');
+const EmailService = require('./EmailService');
+const SMSService = require('./SMSService');
+const WhatsAppService = require('./WhatsAppService');
+
+const DELIVERY_QUEUE = 'notification-delivery';
+
+// Channels that quiet hours hold back; in-app notifications never disturb
+const INTERRUPTING_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+class NotificationRoutingService {
+  constructor(options = {}) {
+    this.preferences = options.preferences || NotificationPreferenceService;
+    this.email = options.email || EmailService;
+    this.sms = options.sms || SMSService;
+    this.whatsapp = options.whatsapp || WhatsAppService;
+    this._inbox = options.inbox || null;
+    this._users = options.users || null;
+    this._queue = options.queue || null;
+    this.now = options.now || (() => new Date());
+    this.registered = false;
+  }
+
+  // Stores in-app notifications (NotificationService, loaded lazily because
+  // it routes through this service)
+  get inbox() {
+    if (!this._inbox) this._inbox = require('./NotificationService');
+    return this._inbox;
+  }
+
+  get users() {
+    if (!this._users) {
+      const { supabaseAdmin } = require('../lib/supabaseClient');
+      const findBy = (column) => async (value) => {
+        const { data, error } = await supabaseAdmin.from('users').select('id, email, phone').eq(column, value).maybeSingle();
+        if (error) throw new Error(`Failed to look up user: ${error.message}`);
+        return data || null;
+      };
+      this._users = { findById: findBy('id'), findByEmail: findBy('email') };
+    }
+    return this._users;
+  }
+
+  // The job queue with the deferred-delivery handler registered on it
+  get queue() {
+    if (!this._queue) this._queue = getQueue();
+    if (!this.registered) {
+      this._queue.register(DELIVERY_QUEUE, (payload) => this.deliver(payload), {
+        concurrency: 2,
+        maxAttempts: 4,
+        backoffBaseMs: 60 * 1000
+      });
+      this.registered = true;
+    }
+    return this._queue;
+  }
+
+  startWorker() {
+    return this.queue.start();
+  }
+
+  /**
+   * Deliver one notification to one recipient.
+   * Recipients are named by userId and/or email; email and phone given here
+   * take the place of the addresses on the user record.
+   * content: { email: {subject, html, text} | {template, args},
+   *            sms: {body} | {template, args}, whatsapp: {body} }
+   * Template content calls the named EmailService/SMSService template with
+   * the address followed by args. exclude lists channels the caller has
+   * already covered. Returns the stored in-app notification (if any) and the
+   * outcome on each channel.
+   */
+  async dispatch({
+    userId = null,
+    email = null,
+    phone = null,
+    caseId = null,
+    type,
+    priority = 'medium',
+    title,
+    message,
+    actionUrl = null,
+    actionData = null,
+    expiresAt = null,
+    content = {},
+    exclude = [],
+    sendRealtime = true
+  }) {
+    const deliveries = {};
+    let notification = null;
+
+    try {
+      const user = await this.resolveUser(userId, email);
+      const prefs = user ? await this.preferences.get(user.id) : this.preferences.defaults();
+      // In-app first: whether it was stored decides if a digest covers the email
+      const channels = this.preferences.channelsFor(prefs, type)
+        .filter(c => !exclude.includes(c))
+        .sort((a, b) => Number(b === 'in_app') - Number(a === 'in_app'));
+      const digested = priority !== 'urgent' && this.preferences.digestEnabled(prefs);
+      const quietUntil = priority === 'urgent' ? null : this.preferences.quietHoursEnd(prefs, this.now());
+
+      const addresses = {
+        email: email || (user && user.email) || null,
+        sms: prefs.phone || phone || (user && user.phone) || null,
+        whatsapp: prefs.whatsapp_number || prefs.phone || phone || (user && user.phone) || null
+      };
+
+      for (const channel of channels) {
+        if (channel === 'in_app') {
+          if (!user) {
+            deliveries.in_app = { status: 'skipped', reason: 'no_user' };
+            continue;
+          }
+          try {
+            notification = await this.inbox.storeNotification({
+              userId: user.id, caseId, type, title, message, priority, actionUrl, actionData, expiresAt
+            }, { sendRealtime });
+            deliveries.in_app = { status: 'sent', notificationId: notification.notification_id || notification.id };
+          } catch (error) {
+            logger.error(`In-app notification for ${user.id} failed:`, error.message || error);
+            deliveries.in_app = { status: 'failed', error: error.message };
+          }
+          continue;
+        }
+
+        if (channel === 'email' && digested && notification) {
+          deliveries.email = { status: 'digest', frequency: prefs.digest.frequency };
+          continue;
+        }
+
+        const to = addresses[channel];
+        if (!to) {
+          deliveries[channel] = { status: 'skipped', reason: 'no_address' };
+          continue;
+        }
+
+        const delivery = {
+          channel,
+          to,
+          content: this.contentFor(channel, content[channel], { title, message, actionUrl }),
+          userId: user ? user.id : null,
+          caseId,
+          type
+        };
+
+        if (quietUntil && INTERRUPTING_CHANNELS.includes(channel)) {
+          deliveries[channel] = await this.defer(delivery, quietUntil);
+          continue;
+        }
+
+        try {
+          await this.deliver(delivery);
+          deliveries[channel] = { status: 'sent' };
+        } catch (error) {
+          logger.error(`${channel} notification (${type}) to ${to} failed:`, error.message || error);
+          deliveries[channel] = { status: 'failed', error: error.message };
+        }
+      }
+    } catch (error) {
+      logger.error(`Routing ${type} notification failed:`, error.message || error);
+    }
+
+    return { notification, deliveries };
+  }
+
+  async resolveUser(userId, email) {
+    try {
+      if (userId) return await this.users.findById(userId) || { id: userId, email: null, phone: null };
+      if (email) return await this.users.findByEmail(email);
+    } catch (error) {
+      logger.warn('Notification recipient lookup failed:', error.message || error);
+      if (userId) return { id: userId, email: null, phone: null };
+    }
+    return null;
+  }
+
+  // Channel content, falling back to the notification title and message
+  contentFor(channel, given, { title, message, actionUrl }) {
+    if (given) return given;
+    const link = actionUrl ? `${process.env.FRONTEND_URL || 'http://localhost:3001'}${actionUrl}` : null;
+    if (channel === 'email') {
+      return { subject: title, text: [message, link].filter(Boolean).join('\n\n') };
+    }
+    return { body: [`${title}: ${message}`, link].filter(Boolean).join('\n') };
+  }
+
+  async defer(delivery, runAt) {
+    try {
+      const job = await this.queue.enqueue(DELIVERY_QUEUE, delivery, { runAt });
+      return { status: 'deferred', runAt: runAt.toISOString(), jobId: job.id };
+    } catch (error) {
+      logger.error(`Deferring ${delivery.channel} notification failed:`, error.message || error);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  // Send on one channel now. Throws, so queued deliveries are retried.
+  async deliver({ channel, to, content }) {
+    if (channel === 'email') {
+      if (content.template) return this.callTemplate(this.email, content.template, to, content.args);
+      return this.email.sendEmail({ to, subject: content.subject, html: content.html, text: content.text });
+    }
+    if (channel === 'sms') {
+      if (content.template) return this.callTemplate(this.sms, content.template, to, content.args);
+      return this.sms.sendSMS({ to, body: content.body });
+    }
+    if (channel === 'whatsapp') {
+      return this.whatsapp.sendMessage({ to, body: content.body });
+    }
+    const error = new Error(`Unknown notification channel: ${channel}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  callTemplate(service, template, to, args = []) {
+    if (!/^send[A-Z]\w*$/.test(template) || typeof service[template] !== 'function') {
+      const error = new Error(`Unknown message template: ${template}`);
+      error.retryable = false;
+      throw error;
+    }
+    return service[template](to, ...args);
+  }
+}
+
+module.exports = new NotificationRoutingService();
+module.exports.NotificationRoutingService = NotificationRoutingService;
+module.exports.DELIVERY_QUEUE = DELIVERY_QUEUE;
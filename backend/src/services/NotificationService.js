@@ -1,7 +1,7 @@
 // Notification Service - Phase 3 notification system for multi-party workflows
 const logger = require('../lib/logger');
 const { supabaseAdmin } = require('../lib/supabaseClient');
-const mailer = require('../lib/mailer');
+const NotificationRoutingService = require('./NotificationRoutingService');
 
 class NotificationService {
   constructor() {
@@ -57,7 +57,10 @@ class NotificationService {
   }
 
   /**
-   * Create a notification
+   * Create a notification and deliver it on the channels the user chose for
+   * its type (NotificationRoutingService). sendEmail: false leaves email out,
+   * for callers that have mailed the recipient themselves. Returns the
+   * in-app notification, or null when the user turned in-app off.
    */
   async createNotification({
     userId,
@@ -70,7 +73,8 @@ class NotificationService {
     actionData = null,
     sendEmail = true,
     sendRealtime = true,
-    expiresAt = null
+    expiresAt = null,
+    content = {}
   }) {
     try {
       logger.info('Creating notification', { 
@@ -91,41 +95,22 @@ class NotificationService {
         throw new Error(`Invalid priority: ${priority}`);
       }
 
-      // Create notification record
-      const { data: notification, error } = await supabaseAdmin
-        .from('notifications')
-        .insert({
-          user_id: userId,
-          case_id: caseId,
-          notification_type: type,
-          title,
-          message,
-          priority,
-          action_url: actionUrl,
-          action_data: actionData,
-          expires_at: expiresAt
-        })
-        .select()
-        .single();
-
-      if (error) {
-        throw new Error(`Failed to create notification: ${error.message}`);
-      }
-
-      logger.info('Notification created successfully', { 
-        notificationId: notification.notification_id 
+      const { notification, deliveries } = await NotificationRoutingService.dispatch({
+        userId,
+        caseId,
+        type,
+        title,
+        message,
+        priority,
+        actionUrl,
+        actionData,
+        expiresAt,
+        sendRealtime,
+        exclude: sendEmail ? [] : ['email'],
+        content: { email: this.emailContent(type, title, message, actionUrl), ...content }
       });
 
-      // Send email notification if requested
-      if (sendEmail) {
-        await this.sendEmailNotification(notification);
-      }
-
-      // Send real-time notification if requested
-      if (sendRealtime) {
-        await this.sendRealtimeNotification(notification);
-      }
-
+      logger.info('Notification routed', { userId, type, deliveries });
       return notification;
 
     } catch (error) {
@@ -135,81 +120,57 @@ class NotificationService {
   }
 
   /**
-   * Send email notification
+   * Store an in-app notification and push it to the user's open sockets
    */
-  async sendEmailNotification(notification) {
-    try {
-      // Get user email
-      const { data: user, error: userError } = await supabaseAdmin
-        .from('users')
-        .select('email, full_name')
-        .eq('user_id', notification.user_id)
-        .single();
-
-      if (userError || !user) {
-        logger.warn('User not found for email notification', { 
-          userId: notification.user_id 
-        });
-        return;
-      }
-
-      const emailTemplate = this.emailTemplates[notification.notification_type];
-      if (!emailTemplate) {
-        logger.warn('No email template found for notification type', { 
-          type: notification.notification_type 
-        });
-        return;
-      }
-
-      // Get additional context for email
-      let emailContext = {
-        userName: user.full_name,
-        notificationTitle: notification.title,
-        notificationMessage: notification.message,
-        actionUrl: notification.action_url,
-        actionData: notification.action_data
-      };
-
-      // Add case-specific context if available
-      if (notification.case_id) {
-        const { data: caseData } = await supabaseAdmin
-          .from('cases')
-          .select('case_title, case_number')
-          .eq('case_id', notification.case_id)
-          .single();
-
-        if (caseData) {
-          emailContext.caseTitle = caseData.case_title;
-          emailContext.caseNumber = caseData.case_number;
-        }
-      }
+  async storeNotification({ userId, caseId, type, title, message, priority, actionUrl, actionData, expiresAt }, { sendRealtime = true } = {}) {
+    const { data: notification, error } = await supabaseAdmin
+      .from('notifications')
+      .insert({
+        user_id: userId,
+        case_id: caseId,
+        notification_type: type,
+        title,
+        message,
+        priority,
+        action_url: actionUrl,
+        action_data: actionData,
+        expires_at: expiresAt
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create notification: ${error.message}`);
+    }
 
-      // Send email
-      await mailer.sendTemplateEmail({
-        to: user.email,
-        subject: emailTemplate.subject,
-        template: emailTemplate.template,
-        context: emailContext
-      });
+    logger.info('Notification created successfully', { 
+      notificationId: notification.notification_id 
+    });
 
-      // Update notification as email sent
-      await supabaseAdmin
-        .from('notifications')
-        .update({ 
-          is_email_sent: true,
-          updated_at: new Date().toISOString()
-        })
-        .eq('notification_id', notification.notification_id);
+    if (sendRealtime) {
+      await this.sendRealtimeNotification(notification);
+    }
 
-      logger.info('Email notification sent successfully', { 
-        notificationId: notification.notification_id,
-        email: user.email
-      });
+    return notification;
+  }
 
-    } catch (error) {
-      logger.error('Error sending email notification:', error);
-      // Don't throw - we don't want to fail notification creation
-    }
+  /**
+   * Email for a notification: the type's subject line and the message
+   */
+  emailContent(type, title, message, actionUrl = null) {
+    const emailTemplate = this.emailTemplates[type];
+    const link = actionUrl ? `${process.env.FRONTEND_URL || 'http://localhost:3001'}${actionUrl}` : null;
+    return {
+      subject: emailTemplate ? emailTemplate.subject : title,
+      text: [title, message, link].filter(Boolean).join('\n\n'),
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>${title}</h2>
+        <p>${message}</p>
+        ${link ? `<p><a href="${link}">Open in AI Dispute Resolver</a></p>` : ''}
+      </div>
+    `
+    };
   }
 
   /**
@@ -472,7 +433,7 @@ class NotificationService {
       for (const notif of notifications) {
         try {
           const result = await this.createNotification(notif);
-          results.push({ success: true, notificationId: result.notification_id });
+          results.push({ success: true, notificationId: result ? result.notification_id : null });
         } catch (error) {
           results.push({ success: false, error: error.message, notification: notif });
           logger.error('Error in bulk notification:', error);
@@ -501,23 +462,31 @@ class NotificationService {
    * Send invitation notification
    */
   async sendInvitationNotification(inviteeEmail, inviterName, caseTitle, invitationToken) {
-    // This will be sent to email since user might not exist yet
+    // Addressed by email since the invitee might not have an account yet;
+    // an existing account's preferences still apply
     try {
-      const emailContext = {
-        inviterName,
-        caseTitle,
-        acceptUrl: `${process.env.FRONTEND_URL}/invitations/${invitationToken}/accept`,
-        declineUrl: `${process.env.FRONTEND_URL}/invitations/${invitationToken}/decline`
-      };
-
-      await mailer.sendTemplateEmail({
-        to: inviteeEmail,
-        subject: `You have been invited to join legal case: ${caseTitle}`,
-        template: 'case-invitation',
-        context: emailContext
+      const acceptUrl = `${process.env.FRONTEND_URL}/invitations/${invitationToken}/accept`;
+      const declineUrl = `${process.env.FRONTEND_URL}/invitations/${invitationToken}/decline`;
+      const title = `You have been invited to join legal case: ${caseTitle}`;
+      const message = `${inviterName} invited you to join "${caseTitle}".`;
+
+      const { deliveries } = await NotificationRoutingService.dispatch({
+        email: inviteeEmail,
+        type: this.notificationTypes.INVITATION_RECEIVED,
+        priority: this.priorities.HIGH,
+        title,
+        message,
+        actionUrl: `/invitations/${invitationToken}/accept`,
+        content: {
+          email: {
+            subject: title,
+            text: `${message}\n\nAccept: ${acceptUrl}\nDecline: ${declineUrl}`,
+            html: `<p>${message}</p><p><a href="${acceptUrl}">Accept</a> | <a href="${declineUrl}">Decline</a></p>`
+          }
+        }
       });
 
-      logger.info('Invitation email sent', { inviteeEmail, caseTitle });
+      logger.info('Invitation notification routed', { inviteeEmail, caseTitle, deliveries });
 
     } catch (error) {
       logger.error('Error sending invitation notification:', error);
@@ -633,6 +602,33 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify parties that the case has entered mandatory mediation
+   */
+  async notifyMediationScheduled(caseId) {
+    try {
+      const CaseParty = require('../models/CaseParty');
+      const parties = await CaseParty.findAll({ case_id: caseId });
+
+      for (const party of parties) {
+        if (party.user_id) {
+          await this.createNotification({
+            userId: party.user_id,
+            caseId,
+            type: this.notificationTypes.CASE_UPDATE,
+            title: 'Mediation Required',
+            message: 'A mediation round must be completed before this case can be forwarded to court',
+            priority: this.priorities.HIGH,
+            actionUrl: `/cases/${caseId}`,
+            sendEmail: true
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Error notifying mediation scheduled:', error);
+    }
+  }
+
   /**
    * Notify parties that settlement is closed
    */
@@ -665,22 +661,32 @@ class NotificationService {
    */
   async sendDeadlineReminders() {
     try {
-      // Check for invitations expiring in 24 hours
-      const { data: expiringInvitations } = await supabaseAdmin
+      // "Expiring soon" means within 24 business hours in the case's
+      // jurisdiction calendar, so fetch a wider window and filter per row
+      const CalendarService = require('./CalendarService');
+      const now = new Date();
+      const lookahead = new Date(now.getTime() + 14 * 24 * 60 * 60 * 1000).toISOString();
+      const expiresSoon = (expiresAt, caseData) =>
+        new Date(expiresAt) <= CalendarService.addBusinessHours(now, 24, { jurisdiction: caseData?.jurisdiction });
+
+      // Check for invitations expiring within 24 business hours
+      const { data: invitationRows } = await supabaseAdmin
         .from('party_invitations')
         .select(`
           invitation_id,
           invitee_email,
           invitee_name,
           expires_at,
-          cases(case_title, case_number)
+          cases(case_title, case_number, jurisdiction)
         `)
         .eq('status', 'pending')
-        .gte('expires_at', new Date().toISOString())
-        .lt('expires_at', new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString());
+        .gte('expires_at', now.toISOString())
+        .lt('expires_at', lookahead);
 
-      // Check for signature requests expiring in 24 hours
-      const { data: expiringSignatures } = await supabaseAdmin
+      const expiringInvitations = (invitationRows || []).filter(i => expiresSoon(i.expires_at, i.cases));
+
+      // Check for signature requests expiring within 24 business hours
+      const { data: signatureRows } = await supabaseAdmin
         .from('signature_assignments')
         .select(`
           assignment_id,
@@ -690,55 +696,52 @@ class NotificationService {
           signature_requests(
             expires_at,
             document_title,
-            cases(case_title, case_number)
+            cases(case_title, case_number, jurisdiction)
           )
         `)
         .eq('status', 'pending')
-        .gte('signature_requests.expires_at', new Date().toISOString())
-        .lt('signature_requests.expires_at', new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString());
+        .gte('signature_requests.expires_at', now.toISOString())
+        .lt('signature_requests.expires_at', lookahead);
+
+      const expiringSignatures = (signatureRows || []).filter(s =>
+        s.signature_requests && expiresSoon(s.signature_requests.expires_at, s.signature_requests.cases));
 
       // Send invitation deadline reminders
       for (const invitation of expiringInvitations || []) {
-        await mailer.sendTemplateEmail({
-          to: invitation.invitee_email,
-          subject: `Reminder: Case invitation expires soon - ${invitation.cases.case_title}`,
-          template: 'invitation-reminder',
-          context: {
-            inviteeName: invitation.invitee_name,
-            caseTitle: invitation.cases.case_title,
-            expiresAt: invitation.expires_at
-          }
+        const title = `Reminder: Case invitation expires soon - ${invitation.cases.case_title}`;
+        await NotificationRoutingService.dispatch({
+          email: invitation.invitee_email,
+          type: this.notificationTypes.DEADLINE_APPROACHING,
+          priority: this.priorities.HIGH,
+          title,
+          message: `Hi ${invitation.invitee_name || ''}, your invitation to "${invitation.cases.case_title}" expires at ${new Date(invitation.expires_at).toLocaleString()}.`,
+          actionUrl: `/invitations/${invitation.invitation_id}`
         });
       }
 
       // Send signature deadline reminders
       for (const signature of expiringSignatures || []) {
-        const emailContext = {
-          signerName: signature.signer_name,
-          documentTitle: signature.signature_requests.document_title,
-          caseTitle: signature.signature_requests.cases.case_title,
-          expiresAt: signature.signature_requests.expires_at
+        const documentTitle = signature.signature_requests.document_title;
+        const reminder = {
+          type: this.notificationTypes.DEADLINE_APPROACHING,
+          priority: this.priorities.HIGH,
+          title: 'Document signature deadline approaching',
+          message: `The signature for "${documentTitle}" (${signature.signature_requests.cases.case_title}) expires within one business day`,
+          actionUrl: `/signatures/${signature.assignment_id}/sign`,
+          content: {
+            email: this.emailContent(
+              this.notificationTypes.DEADLINE_APPROACHING,
+              `Reminder: Document signature required - ${documentTitle}`,
+              `Hi ${signature.signer_name || ''}, "${documentTitle}" is waiting for your signature until ${new Date(signature.signature_requests.expires_at).toLocaleString()}.`,
+              `/signatures/${signature.assignment_id}/sign`
+            )
+          }
         };
 
-        // Send email reminder
-        await mailer.sendTemplateEmail({
-          to: signature.signer_email,
-          subject: `Reminder: Document signature required - ${signature.signature_requests.document_title}`,
-          template: 'signature-reminder',
-          context: emailContext
-        });
-
-        // Also send in-app notification if user exists
         if (signature.signer_user_id) {
-          await this.createNotification({
-            userId: signature.signer_user_id,
-            type: this.notificationTypes.DEADLINE_APPROACHING,
-            title: 'Document signature deadline approaching',
-            message: `The signature for "${signature.signature_requests.document_title}" expires in 24 hours`,
-            priority: this.priorities.HIGH,
-            actionUrl: `/signatures/${signature.assignment_id}/sign`,
-            sendEmail: false // Already sent above
-          });
+          await this.createNotification({ userId: signature.signer_user_id, ...reminder });
+        } else {
+          await NotificationRoutingService.dispatch({ email: signature.signer_email, ...reminder });
         }
       }
 
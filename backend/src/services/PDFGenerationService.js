@@ -2,6 +2,7 @@
 const PDFDocument = require('pdfkit');
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../lib/logger');
@@ -43,7 +44,7 @@ class PDFGenerationService {
       const filepath = path.join(this.outputDir, filename);
       
       // Pipe PDF to file
-      const stream = fs.createWriteStream(filepath);
+      const stream = createWriteStream(filepath);
       doc.pipe(stream);
 
       // Header with logo and title
@@ -142,7 +143,7 @@ class PDFGenerationService {
       const filename = `case_summary_${caseData.id}_${Date.now()}.pdf`;
       const filepath = path.join(this.outputDir, filename);
       
-      const stream = fs.createWriteStream(filepath);
+      const stream = createWriteStream(filepath);
       doc.pipe(stream);
 
       // Header
@@ -231,14 +232,15 @@ class PDFGenerationService {
     }
   }
 
-  // Generate court referral document
-  async generateCourtReferralDocument(caseData, referralReason, attempts) {
+  // Generate court referral document; options.court and options.fees add the
+  // recommended court and its itemized fees
+  async generateCourtReferralDocument(caseData, referralReason, attempts, options = {}) {
     try {
       const doc = new PDFDocument({ size: 'A4', margin: 50 });
       const filename = `court_referral_${caseData.id}_${Date.now()}.pdf`;
       const filepath = path.join(this.outputDir, filename);
       
-      const stream = fs.createWriteStream(filepath);
+      const stream = createWriteStream(filepath);
       doc.pipe(stream);
 
       await this.addHeader(doc, 'COURT REFERRAL DOCUMENT');
@@ -278,6 +280,19 @@ class PDFGenerationService {
         { align: 'justify', lineGap: 3 }
       );
 
+      if (options.court) {
+        doc.moveDown(2);
+        doc.fontSize(12).text('Recommended Court', { underline: true });
+        doc.moveDown();
+        doc.fontSize(10)
+           .text(options.court.name)
+           .text(`Jurisdiction: ${options.court.jurisdiction}`)
+           .moveDown();
+      }
+      if (options.fees) {
+        this.addFeeBreakdown(doc, options.fees);
+      }
+
       await this.addFooter(doc);
       doc.end();
 
@@ -298,6 +313,74 @@ class PDFGenerationService {
     }
   }
 
+  // Generate the court-specific filing checklist: requirements, checklist
+  // items, itemized court fees and the expected timeline
+  async generateFilingChecklist({ court, case: caseData, requirements, checklist, fees, timeline }) {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+      const filename = `filing_checklist_${caseData.id}_${Date.now()}.pdf`;
+      const filepath = path.join(this.outputDir, filename);
+
+      const stream = createWriteStream(filepath);
+      doc.pipe(stream);
+
+      await this.addHeader(doc, 'COURT FILING CHECKLIST');
+
+      doc.fontSize(12).text('Court', 50, 150, { underline: true });
+      doc.moveDown();
+      doc.fontSize(10)
+         .text(court.name)
+         .text(`Jurisdiction: ${court.jurisdiction}`)
+         .text(`Case: ${caseData.title || caseData.id}`)
+         .moveDown(2);
+
+      doc.fontSize(12).text('Filing Requirements', { underline: true });
+      doc.moveDown();
+      [...requirements.base, ...requirements.specific].forEach((requirement) => {
+        doc.fontSize(10).text(`- ${requirement}`);
+      });
+      doc.moveDown(2);
+
+      checklist.forEach((group) => {
+        doc.fontSize(12).text(group.category, { underline: true });
+        doc.moveDown(0.5);
+        group.items.forEach((item) => {
+          doc.fontSize(10).text(`[${item.completed ? 'x' : ' '}] ${item.task} (${item.priority})`);
+        });
+        doc.moveDown();
+      });
+
+      if (fees) {
+        this.addFeeBreakdown(doc, fees);
+      }
+
+      doc.fontSize(12).text('Timeline', { underline: true });
+      doc.moveDown();
+      doc.fontSize(10)
+         .text(`Checklist generated: ${timeline.generatedAt}`)
+         .text(`Estimated filing date: ${timeline.estimatedFilingDate}`)
+         .text(`Expected first hearing: ${timeline.expectedFirstHearing}`);
+
+      await this.addFooter(doc);
+      doc.end();
+
+      await new Promise((resolve) => {
+        stream.on('finish', resolve);
+      });
+
+      return {
+        filename,
+        filepath,
+        size: (await fs.stat(filepath)).size,
+        type: 'filing_checklist',
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error generating filing checklist:', error);
+      throw new Error('Failed to generate filing checklist');
+    }
+  }
+
   // Generate HTML to PDF using Puppeteer
   async generateFromHTML(htmlContent, options = {}) {
     let browser;
@@ -356,6 +439,34 @@ class PDFGenerationService {
     return doc;
   }
 
+  // Helper method to add an itemized court fee breakdown (CourtFeeService)
+  addFeeBreakdown(doc, fees) {
+    const amount = (value) => `Rs. ${Number(value).toLocaleString('en-IN')}`;
+
+    doc.fontSize(12).text('Court Fees', { underline: true });
+    doc.moveDown();
+    if (fees.schedule) {
+      const until = fees.schedule.effectiveTo ? ` to ${fees.schedule.effectiveTo}` : '';
+      doc.fontSize(9)
+         .text(`Schedule: ${fees.schedule.source || fees.schedule.version} (version ${fees.schedule.version}, in force from ${fees.schedule.effectiveFrom}${until})`)
+         .text(`Computed on ${fees.valueBasis === 'consideration_paid' ? 'consideration paid' : 'amount claimed'}: ${amount(fees.value)}, as of ${fees.asOf}`)
+         .moveDown(0.5);
+    }
+    fees.items.forEach((item) => {
+      doc.fontSize(10).text(`${item.label}: ${amount(item.amount)}`);
+      doc.fontSize(8).text(item.basis.replace(/₹/g, 'Rs. '), { indent: 20 });
+    });
+    if (fees.total !== null) {
+      doc.fontSize(10).text(`Total: ${amount(fees.total)}`);
+    }
+    fees.warnings.forEach((warning) => {
+      doc.fontSize(9).text(`Note: ${warning.replace(/₹/g, 'Rs. ')}`);
+    });
+    doc.moveDown(2);
+
+    return doc;
+  }
+
   // Helper method to add legal clauses
   async addLegalClauses(doc) {
     doc.fontSize(12).text('Legal Clauses and Conditions', { underline: true });
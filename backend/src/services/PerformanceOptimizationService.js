@@ -377,16 +377,12 @@ class PerformanceOptimizationService {
         this.caches.templates.set(`template_${template.name}`, template);
       });
       
-      // Warmup courts
-      const CourtReferralService = require('./CourtReferralService');
-      const fs = require('fs').promises;
-      const path = require('path');
+      // Warmup court selection rules and fee schedules
       try {
-        const courtsData = await fs.readFile(
-          path.join(__dirname, '../../storage/courts.json'),
-          'utf8'
-        );
-        this.caches.courts.set('courts_database', JSON.parse(courtsData));
+        const JurisdictionService = require('./JurisdictionService');
+        this.caches.courts.set('jurisdictions', JurisdictionService.all());
+        const CourtFeeService = require('./CourtFeeService');
+        this.caches.courts.set('fee_schedules', CourtFeeService.all());
       } catch (error) {
         logger.warn('Could not warmup courts cache:', error.message);
       }
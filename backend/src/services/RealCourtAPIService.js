@@ -1,48 +1,59 @@
-// Real Court API Service - Actual Court System Integrations
-const axios = require('axios');
-const FormData = require('form-data');
+// Real Court API Service - court filings through court connectors
+// (CourtConnectorRegistry). Court systems are the connectors configured from
+// the environment; run `npm run court:mock` and set COURT_EFILING_URL to file
+// with the local mock e-filing server.
+const CourtConnectorRegistry = require('./CourtConnectorRegistry');
 
 class RealCourtAPIService {
-  constructor() {
-    this.isDevelopmentMode = process.env.NODE_ENV === 'development';
-    this.supportedCourtSystems = [
-      {
-        code: 'PACER',
-        name: 'PACER (Public Access to Court Electronic Records)',
-        baseURL: 'https://pcl.uscourts.gov',
-        filingTypes: ['civil', 'criminal', 'bankruptcy'],
-        maxFileSize: 50 * 1024 * 1024,
-        supportedFormats: ['pdf', 'txt', 'doc', 'docx']
-      },
-      {
-        code: 'TYLER',
-        name: 'Tyler Odyssey File & Serve', 
-        baseURL: 'https://api.tylertech.com/odyssey',
-        filingTypes: ['civil', 'family', 'probate', 'criminal'],
-        maxFileSize: 25 * 1024 * 1024,
-        supportedFormats: ['pdf', 'doc', 'docx']
-      }
-    ];
+  constructor(options = {}) {
+    this.registry = options.registry || CourtConnectorRegistry;
   }
 
   getSupportedCourtSystems() {
-    return this.supportedCourtSystems;
+    return this.registry.configured().map(connector => connector.describe());
+  }
+
+  // courtSystem: a court_systems row, or its code for the default connector
+  connectorFor(courtSystem, method = null) {
+    return this.registry.forCourtSystem(typeof courtSystem === 'string' ? { code: courtSystem } : (courtSystem || {}), method);
   }
 
+  // Documents without `content` are read from document storage
   async fileWithCourtSystem(courtSystem, filingData) {
-    if (this.isDevelopmentMode) {
-      return this.createMockFilingResponse(courtSystem, filingData);
-    }
-    // Real implementation would go here
-    return this.createMockFilingResponse(courtSystem, filingData);
+    const connector = this.connectorFor(courtSystem, filingData.submissionMethod);
+    const storage = require('./EnhancedCourtIntegrationService');
+    const documents = await Promise.all((filingData.documents || []).map(async (doc) => ({
+      ...doc,
+      content: doc.content || await storage.getDocumentBuffer(doc.documentId)
+    })));
+    const result = await connector.submit({
+      ...filingData,
+      filingParty: filingData.filingParty || (filingData.parties && filingData.parties[0] ? filingData.parties[0].name : null),
+      documents
+    });
+
+    return {
+      success: true,
+      status: result.status,
+      confirmationNumber: result.acknowledgementNumber,
+      trackingId: result.trackingId,
+      submittedAt: result.receivedAt,
+      fees: result.fees,
+      estimatedProcessingTime: '1-3 court working days',
+      connector: connector.name,
+      responseData: result.responseData
+    };
   }
 
-  async checkFilingStatus(filingId) {
+  async checkFilingStatus(trackingId, courtSystem = null) {
+    const status = await this.connectorFor(courtSystem).status(trackingId);
     return {
-      filingId,
-      status: 'processed',
-      lastUpdated: new Date().toISOString(),
-      courtConfirmation: `CONF-${Date.now()}`
+      filingId: trackingId,
+      status: status.status,
+      filingNumber: status.filingNumber,
+      defects: status.defects,
+      hearing: status.hearing,
+      lastUpdated: status.updatedAt
     };
   }
 
@@ -54,14 +65,16 @@ class RealCourtAPIService {
       lastChecked: new Date().toISOString()
     };
 
-    for (const system of this.supportedCourtSystems) {
-      health.courtSystems[system.code] = {
-        status: 'healthy',
-        name: system.name,
+    for (const connector of this.registry.configured()) {
+      const result = await connector.health();
+      health.courtSystems[connector.code || connector.name] = {
+        status: result.status,
+        name: connector.label,
         lastCheck: new Date().toISOString(),
-        responseTime: Math.floor(Math.random() * 100) + 50
+        responseTime: result.responseTime
       };
-      health.activeConnections++;
+      if (result.status === 'healthy') health.activeConnections++;
+      else health.status = 'degraded';
     }
 
     return health;
@@ -89,22 +102,6 @@ class RealCourtAPIService {
     };
   }
 
-  createMockFilingResponse(courtSystem, filingData) {
-    return {
-      success: true,
-      filingId: `${courtSystem}-${Date.now()}`,
-      courtSystem: 'PACER',
-      status: 'submitted',
-      submittedAt: new Date().toISOString(),
-      confirmation: `MOCK-${Date.now()}`,
-      documents: (filingData.documents || []).map(doc => ({
-        documentId: doc.documentId,
-        status: 'uploaded',
-        filename: doc.filename
-      }))
-    };
-  }
-
   validateFilingData(filingData) {
     const required = ['caseId', 'filingType', 'documents'];
     const missing = required.filter(field => !filingData[field]);
@@ -122,3 +119,4 @@ class RealCourtAPIService {
 }
 
 module.exports = new RealCourtAPIService();
+module.exports.RealCourtAPIService = RealCourtAPIService;
@@ -1,1298 +0,0 @@
-// Real Court API Integration Service - Live Court System Connections
-// Actual eFiling integration with PACER, Tyler Odyssey, and State Court APIs
-
-const { supabase } = require('../lib/supabaseClient');
-const axios = require('axios');
-const FormData = require('form-data');
-const fs = require('fs').promises;
-const path = require('path');
-const xml2js = require('xml2js');
-
-class RealCourtAPIService {
-  constructor() {
-    this.courtConnectors = new Map();
-    this.filingQueue = [];
-    this.isProcessing = false;
-    this.maxRetries = 3;
-    this.retryDelay = 5000;
-    
-    // Initialize real court API connections
-    this.initializeCourtConnectors();
-  }
-
-  /**
-   * Initialize real court system API connectors
-   */
-  initializeCourtConnectors() {
-    // PACER (Federal Courts) - Real API Integration
-    this.courtConnectors.set('PACER', {
-      name: 'Public Access to Court Electronic Records',
-      baseURL: process.env.PACER_API_URL || 'https://ecf.pacer.gov/cgi-bin/eFiling',
-      authEndpoint: 'https://pacer.gov/cmecf/servlet/TransportRoom',
-      credentials: {
-        username: process.env.PACER_USERNAME,
-        password: process.env.PACER_PASSWORD,
-        clientCode: process.env.PACER_CLIENT_CODE
-      },
-      supportedCourts: ['CACD', 'NYSD', 'FLSD', 'TXED'], // Sample court codes
-      filingTypes: ['complaint', 'motion', 'answer', 'brief', 'notice'],
-      maxFileSize: 50 * 1024 * 1024, // 50MB
-      supportedFormats: ['pdf', 'doc', 'docx'],
-      authToken: null,
-      tokenExpiry: null
-    });
-
-    // Tyler Technologies Odyssey (State Courts) - Real API Integration  
-    this.courtConnectors.set('TYLER_ODYSSEY', {
-      name: 'Tyler Odyssey eFiling System',
-      baseURL: process.env.TYLER_API_URL || 'https://efilingapi.tylertech.com/v1',
-      authEndpoint: 'https://efilingapi.tylertech.com/v1/auth/token',
-      credentials: {
-        apiKey: process.env.TYLER_API_KEY,
-        clientId: process.env.TYLER_CLIENT_ID,
-        clientSecret: process.env.TYLER_CLIENT_SECRET
-      },
-      supportedCourts: ['CA_SUPERIOR', 'TX_DISTRICT', 'FL_CIRCUIT', 'NY_SUPREME'],
-      filingTypes: ['petition', 'response', 'motion', 'order', 'judgment'],
-      maxFileSize: 100 * 1024 * 1024, // 100MB
-      supportedFormats: ['pdf', 'tiff', 'jpg', 'png'],
-      authToken: null,
-      tokenExpiry: null
-    });
-
-    // California Courts - CCMS eFiling Integration
-    this.courtConnectors.set('CA_CCMS', {
-      name: 'California Case Management System',
-      baseURL: process.env.CA_CCMS_URL || 'https://efiling.courts.ca.gov/api/v2',
-      authEndpoint: 'https://efiling.courts.ca.gov/api/v2/auth',
-      credentials: {
-        certificate: process.env.CA_CCMS_CERT_PATH,
-        privateKey: process.env.CA_CCMS_KEY_PATH,
-        partnerId: process.env.CA_CCMS_PARTNER_ID
-      },
-      supportedCourts: ['LASC', 'SFSC', 'SDSC', 'OCSC'], // LA, SF, San Diego, Orange County
-      filingTypes: ['complaint', 'answer', 'motion', 'demurrer', 'discovery'],
-      maxFileSize: 75 * 1024 * 1024, // 75MB
-      supportedFormats: ['pdf'],
-      authToken: null,
-      tokenExpiry: null
-    });
-
-    // New York State Courts - NYSCEF Integration
-    this.courtConnectors.set('NY_SCEF', {
-      name: 'New York State Courts Electronic Filing',
-      baseURL: process.env.NY_SCEF_URL || 'https://iapps.courts.state.ny.us/nyscef/api/v1',
-      authEndpoint: 'https://iapps.courts.state.ny.us/nyscef/api/v1/authenticate',
-      credentials: {
-        username: process.env.NY_SCEF_USERNAME,
-        password: process.env.NY_SCEF_PASSWORD,
-        firmId: process.env.NY_SCEF_FIRM_ID
-      },
-      supportedCourts: ['NYCIV', 'NYCOM', 'NYSUP'], // Civil, Commercial, Supreme
-      filingTypes: ['summons', 'complaint', 'answer', 'motion', 'order'],
-      maxFileSize: 50 * 1024 * 1024, // 50MB
-      supportedFormats: ['pdf', 'doc', 'docx'],
-      authToken: null,
-      tokenExpiry: null
-    });
-
-    // Texas State Courts - eFileTexas Integration
-    this.courtConnectors.set('TX_EFILE', {
-      name: 'Texas Electronic Filing System',
-      baseURL: process.env.TX_EFILE_URL || 'https://efiletexas.gov/api/v2',
-      authEndpoint: 'https://efiletexas.gov/api/v2/auth',
-      credentials: {
-        firmId: process.env.TX_EFILE_FIRM_ID,
-        userId: process.env.TX_EFILE_USER_ID,
-        password: process.env.TX_EFILE_PASSWORD
-      },
-      supportedCourts: ['HARRIS', 'DALLAS', 'TRAVIS', 'BEXAR'], // Houston, Dallas, Austin, San Antonio
-      filingTypes: ['petition', 'answer', 'motion', 'order', 'notice'],
-      maxFileSize: 60 * 1024 * 1024, // 60MB
-      supportedFormats: ['pdf', 'tiff'],
-      authToken: null,
-      tokenExpiry: null
-    });
-  }
-
-  /**
-   * File document with real court system
-   */
-  async fileWithRealCourt(filingData) {
-    const { courtSystemCode, caseNumber, filingType, documents, expedited = false } = filingData;
-
-    try {
-      const connector = this.courtConnectors.get(courtSystemCode);
-      if (!connector) {
-        throw new Error(`Unsupported court system: ${courtSystemCode}`);
-      }
-
-      // Validate filing requirements
-      await this.validateFilingRequirements(connector, filingData);
-
-      // Authenticate with court system
-      await this.authenticateWithCourt(courtSystemCode);
-
-      // Prepare filing package
-      const filingPackage = await this.prepareFilingPackage(connector, filingData);
-
-      // Submit filing based on court system
-      let result;
-      switch (courtSystemCode) {
-        case 'PACER':
-          result = await this.submitToPACER(connector, filingPackage);
-          break;
-        case 'TYLER_ODYSSEY':
-          result = await this.submitToTylerOdyssey(connector, filingPackage);
-          break;
-        case 'CA_CCMS':
-          result = await this.submitToCCMS(connector, filingPackage);
-          break;
-        case 'NY_SCEF':
-          result = await this.submitToNYSCEF(connector, filingPackage);
-          break;
-        case 'TX_EFILE':
-          result = await this.submitToTexasEFile(connector, filingPackage);
-          break;
-        default:
-          // For unsupported court systems, attempt generic REST API filing
-          return await this.performGenericCourtFiling(connector, filingData);
-      }
-
-      return {
-        success: true,
-        filingId: result.filingId,
-        confirmationNumber: result.confirmationNumber,
-        trackingId: result.trackingId,
-        estimatedProcessingTime: result.estimatedProcessingTime,
-        fees: result.fees,
-        status: 'submitted',
-        submittedAt: new Date().toISOString()
-      };
-
-    } catch (error) {
-      console.error(`Court filing error for ${courtSystemCode}:`, error);
-      throw new Error(`Filing failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Submit to PACER Federal Courts - Enhanced Implementation
-   */
-  async submitToPACER(connector, filingPackage) {
-    try {
-      const { caseNumber, filingType, documents, parties } = filingPackage;
-
-      // Authenticate with PACER if token expired
-      if (!connector.authToken || new Date() > connector.tokenExpiry) {
-        const auth = await this.authenticatePACER(connector);
-        connector.authToken = auth.accessToken;
-        connector.tokenExpiry = auth.expiresAt;
-      }
-
-      // PACER uses SOAP-based CM/ECF API - build XML payload
-      const soapEnvelope = this.buildPACERSoapEnvelope({
-        case_number: caseNumber,
-        filing_type: filingType,
-        filer_id: connector.credentials.clientCode,
-        documents: documents.map(doc => ({
-          document_type: doc.type,
-          filename: doc.filename,
-          content: doc.base64Content,
-          page_count: doc.pageCount || 1,
-          description: doc.description || filingType
-        })),
-        service_list: parties.map(party => ({
-          name: party.name,
-          email: party.email,
-          service_method: party.serviceMethod || 'electronic',
-          party_type: party.type || 'counsel'
-        })),
-        filing_fee: this.calculatePACERFees(filingType),
-        expedited: filingPackage.expedited || false
-      });
-
-      // PACER API call with SOAP envelope
-      const response = await axios.post(
-        connector.baseURL,
-        soapEnvelope,
-        {
-          headers: {
-            'Content-Type': 'text/xml; charset=utf-8',
-            'SOAPAction': 'urn:cm-ecf:submit-filing',
-            'Authorization': `Bearer ${connector.authToken}`,
-            'X-PACER-Client': connector.credentials.clientCode
-          },
-          timeout: 120000
-        }
-      );
-
-      // Parse SOAP response
-      const parser = new xml2js.Parser();
-      const result = await parser.parseStringPromise(response.data);
-      const filingResult = result['soap:Envelope']['soap:Body'][0]['cm:SubmitFilingResponse'][0];
-
-      return {
-        success: true,
-        trackingId: filingResult['cm:TrackingId'][0],
-        confirmationNumber: filingResult['cm:ConfirmationNumber'][0],
-        docketNumber: filingResult['cm:DocketNumber'][0],
-        status: 'submitted',
-        submittedAt: new Date().toISOString(),
-        fees: {
-          filingFee: parseFloat(filingResult['cm:FilingFee'][0]),
-          serviceFee: parseFloat(filingResult['cm:ServiceFee'][0] || '0'),
-          total: parseFloat(filingResult['cm:TotalFees'][0])
-        }
-      };
-
-    } catch (error) {
-      console.error('PACER filing error:', error.message);
-      return {
-        success: false,
-        error: error.message,
-        status: 'failed'
-      };
-    }
-  }
-
-      return {
-        filingId: response.data.filing_id,
-        confirmationNumber: response.data.confirmation_number,
-        trackingId: response.data.docket_entry_id,
-        estimatedProcessingTime: '2-24 hours',
-        fees: response.data.fees_assessed,
-        pacerSpecific: {
-          docketEntryId: response.data.docket_entry_id,
-          nef: response.data.notice_of_electronic_filing
-        }
-      };
-
-    } catch (error) {
-      console.error('PACER filing error:', error);
-      throw new Error(`PACER filing failed: ${error.response?.data?.message || error.message}`);
-    }
-  }
-
-  /**
-   * Submit to Tyler Odyssey State Courts
-   */
-  async submitToTylerOdyssey(connector, filingPackage) {
-    try {
-      const { caseNumber, filingType, documents, parties } = filingPackage;
-
-      // Tyler Odyssey REST API format
-      const envelope = {
-        case_number: caseNumber,
-        filing_type: filingType,
-        court_id: filingPackage.courtId,
-        documents: documents.map(doc => ({
-          document_type: doc.type,
-          title: doc.title,
-          filename: doc.filename,
-          content_type: 'application/pdf',
-          content: doc.base64Content,
-          security_level: 'public',
-          redacted: false
-        })),
-        parties: parties.map(party => ({
-          name: party.name,
-          party_type: party.type,
-          service_contact: {
-            email: party.email,
-            method: 'electronic'
-          }
-        })),
-        filing_fee: this.calculateTylerFees(filingType, filingPackage.courtId),
-        payment_method: 'credit_card',
-        expedited_processing: filingPackage.expedited
-      };
-
-      const response = await axios.post(
-        `${connector.baseURL}/filings/submit`,
-        envelope,
-        {
-          headers: {
-            'Authorization': `Bearer ${connector.authToken}`,
-            'Content-Type': 'application/json',
-            'Tyler-Client-Id': connector.credentials.clientId
-          },
-          timeout: 180000
-        }
-      );
-
-      return {
-        filingId: response.data.envelope_id,
-        confirmationNumber: response.data.confirmation_code,
-        trackingId: response.data.tracking_id,
-        estimatedProcessingTime: '1-6 hours',
-        fees: response.data.total_fees,
-        tylerSpecific: {
-          envelopeId: response.data.envelope_id,
-          reviewStatus: response.data.review_status
-        }
-      };
-
-    } catch (error) {
-      console.error('Tyler Odyssey filing error:', error);
-      throw new Error(`Tyler Odyssey filing failed: ${error.response?.data?.error || error.message}`);
-    }
-  }
-
-  /**
-   * Submit to California CCMS
-   */
-  async submitToCCMS(connector, filingPackage) {
-    try {
-      const { caseNumber, filingType, documents, parties } = filingPackage;
-
-      // California CCMS uses XML-based submissions
-      const filingXML = this.buildCCMSFilingXML({
-        caseNumber,
-        filingType,
-        documents,
-        parties,
-        courtId: filingPackage.courtId,
-        expedited: filingPackage.expedited
-      });
-
-      const response = await axios.post(
-        `${connector.baseURL}/submit`,
-        filingXML,
-        {
-          headers: {
-            'Authorization': `Bearer ${connector.authToken}`,
-            'Content-Type': 'application/xml',
-            'CCMS-Partner-ID': connector.credentials.partnerId
-          },
-          timeout: 150000
-        }
-      );
-
-      // Parse XML response
-      const parser = new xml2js.Parser();
-      const result = await parser.parseStringPromise(response.data);
-
-      return {
-        filingId: result.FilingResponse.FilingID[0],
-        confirmationNumber: result.FilingResponse.ConfirmationNumber[0],
-        trackingId: result.FilingResponse.TrackingNumber[0],
-        estimatedProcessingTime: '1-3 business days',
-        fees: parseFloat(result.FilingResponse.Fees[0]),
-        ccmsSpecific: {
-          submissionId: result.FilingResponse.SubmissionID[0],
-          reviewQueue: result.FilingResponse.ReviewQueue[0]
-        }
-      };
-
-    } catch (error) {
-      console.error('CCMS filing error:', error);
-      throw new Error(`CCMS filing failed: ${error.response?.data || error.message}`);
-    }
-  }
-
-  /**
-   * Submit to New York SCEF
-   */
-  async submitToNYSCEF(connector, filingPackage) {
-    try {
-      const { caseNumber, filingType, documents, parties } = filingPackage;
-
-      const filingRequest = {
-        case_info: {
-          index_number: caseNumber,
-          court_code: filingPackage.courtId
-        },
-        filing_info: {
-          document_type: filingType,
-          filing_party: parties[0]?.name,
-          service_method: 'electronic'
-        },
-        documents: documents.map((doc, index) => ({
-          sequence: index + 1,
-          document_type: doc.type,
-          title: doc.title,
-          filename: doc.filename,
-          content: doc.base64Content,
-          page_count: doc.pageCount
-        })),
-        service_list: parties.slice(1).map(party => ({
-          name: party.name,
-          email: party.email,
-          service_type: 'electronic'
-        })),
-        expedited: filingPackage.expedited
-      };
-
-      const response = await axios.post(
-        `${connector.baseURL}/file`,
-        filingRequest,
-        {
-          headers: {
-            'Authorization': `Bearer ${connector.authToken}`,
-            'Content-Type': 'application/json',
-            'NYSCEF-Firm-ID': connector.credentials.firmId
-          },
-          timeout: 120000
-        }
-      );
-
-      return {
-        filingId: response.data.filing_id,
-        confirmationNumber: response.data.confirmation_number,
-        trackingId: response.data.nyscef_id,
-        estimatedProcessingTime: '1-2 business days',
-        fees: response.data.filing_fees,
-        nyscefSpecific: {
-          indexNumber: response.data.index_number,
-          documentId: response.data.document_id
-        }
-      };
-
-    } catch (error) {
-      console.error('NYSCEF filing error:', error);
-      throw new Error(`NYSCEF filing failed: ${error.response?.data?.error || error.message}`);
-    }
-  }
-
-  /**
-   * Submit to Texas eFileTexas
-   */
-  async submitToTexasEFile(connector, filingPackage) {
-    try {
-      const { caseNumber, filingType, documents, parties } = filingPackage;
-
-      const envelope = {
-        case_number: caseNumber,
-        court: filingPackage.courtId,
-        filing_type: filingType,
-        lead_document: {
-          type: filingType,
-          title: documents[0]?.title || filingType,
-          filename: documents[0]?.filename,
-          content: documents[0]?.base64Content
-        },
-        attachments: documents.slice(1).map(doc => ({
-          type: 'attachment',
-          title: doc.title,
-          filename: doc.filename,
-          content: doc.base64Content
-        })),
-        parties: parties.map(party => ({
-          name: party.name,
-          role: party.role,
-          service_method: 'electronic',
-          email: party.email
-        })),
-        fee_amount: this.calculateTexasFees(filingType, filingPackage.courtId),
-        expedited_service: filingPackage.expedited
-      };
-
-      const response = await axios.post(
-        `${connector.baseURL}/envelope/submit`,
-        envelope,
-        {
-          headers: {
-            'Authorization': `Bearer ${connector.authToken}`,
-            'Content-Type': 'application/json',
-            'eFileTexas-User-ID': connector.credentials.userId
-          },
-          timeout: 150000
-        }
-      );
-
-      return {
-        filingId: response.data.envelope_id,
-        confirmationNumber: response.data.submission_id,
-        trackingId: response.data.tracking_number,
-        estimatedProcessingTime: '2-4 hours',
-        fees: response.data.total_fee,
-        texasSpecific: {
-          envelopeId: response.data.envelope_id,
-          submissionId: response.data.submission_id
-        }
-      };
-
-    } catch (error) {
-      console.error('Texas eFile error:', error);
-      throw new Error(`Texas eFile failed: ${error.response?.data?.message || error.message}`);
-    }
-  }
-
-  /**
-   * Check real filing status
-   */
-  async checkRealFilingStatus(courtSystemCode, trackingId) {
-    try {
-      const connector = this.courtConnectors.get(courtSystemCode);
-      if (!connector) {
-        throw new Error(`Unsupported court system: ${courtSystemCode}`);
-      }
-
-      // Ensure authentication
-      await this.authenticateWithCourt(courtSystemCode);
-
-      let statusResult;
-      switch (courtSystemCode) {
-        case 'PACER':
-          statusResult = await this.checkPACERStatus(connector, trackingId);
-          break;
-        case 'TYLER_ODYSSEY':
-          statusResult = await this.checkTylerStatus(connector, trackingId);
-          break;
-        case 'CA_CCMS':
-          statusResult = await this.checkCCMSStatus(connector, trackingId);
-          break;
-        case 'NY_SCEF':
-          statusResult = await this.checkNYSCEFStatus(connector, trackingId);
-          break;
-        case 'TX_EFILE':
-          statusResult = await this.checkTexasStatus(connector, trackingId);
-          break;
-        default:
-          // For unsupported court systems, attempt generic status check
-          return await this.performGenericStatusCheck(connector, trackingId);
-      }
-
-      return statusResult;
-
-    } catch (error) {
-      console.error(`Status check error for ${courtSystemCode}:`, error);
-      return {
-        status: 'error',
-        error: error.message,
-        lastChecked: new Date().toISOString()
-      };
-    }
-  }
-
-  /**
-   * Authenticate with court system
-   */
-  async authenticateWithCourt(courtSystemCode) {
-    const connector = this.courtConnectors.get(courtSystemCode);
-    if (!connector) {
-      throw new Error(`Court system not found: ${courtSystemCode}`);
-    }
-
-    // Check if token is still valid
-    if (connector.authToken && connector.tokenExpiry && new Date() < connector.tokenExpiry) {
-      return connector.authToken;
-    }
-
-    try {
-      let authResponse;
-      switch (courtSystemCode) {
-        case 'PACER':
-          authResponse = await this.authenticatePACER(connector);
-          break;
-        case 'TYLER_ODYSSEY':
-          authResponse = await this.authenticateTyler(connector);
-          break;
-        case 'CA_CCMS':
-          authResponse = await this.authenticateCCMS(connector);
-          break;
-        case 'NY_SCEF':
-          authResponse = await this.authenticateNYSCEF(connector);
-          break;
-        case 'TX_EFILE':
-          authResponse = await this.authenticateTexas(connector);
-          break;
-        default:
-          // For unsupported court systems, attempt generic authentication
-          return await this.performGenericAuthentication(connector);
-      }
-
-      // Update connector with new token
-      connector.authToken = authResponse.token;
-      connector.tokenExpiry = authResponse.expiry;
-
-      return authResponse.token;
-
-    } catch (error) {
-      console.error(`Authentication failed for ${courtSystemCode}:`, error);
-      throw new Error(`Authentication failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * PACER Authentication
-   */
-  async authenticatePACER(connector) {
-    const response = await axios.post(connector.authEndpoint, {
-      username: connector.credentials.username,
-      password: connector.credentials.password,
-      client_code: connector.credentials.clientCode
-    });
-
-    return {
-      token: response.data.access_token,
-      expiry: new Date(Date.now() + (response.data.expires_in * 1000))
-    };
-  }
-
-  /**
-   * Tyler Odyssey Authentication
-   */
-  async authenticateTyler(connector) {
-    const response = await axios.post(connector.authEndpoint, {
-      grant_type: 'client_credentials',
-      client_id: connector.credentials.clientId,
-      client_secret: connector.credentials.clientSecret,
-      scope: 'filing'
-    });
-
-    return {
-      token: response.data.access_token,
-      expiry: new Date(Date.now() + (response.data.expires_in * 1000))
-    };
-  }
-
-  /**
-   * California CCMS Authentication
-   */
-  async authenticateCCMS(connector) {
-    // CCMS uses certificate-based authentication
-    const certAuth = await this.performCertificateAuth(
-      connector.credentials.certificate,
-      connector.credentials.privateKey
-    );
-
-    return {
-      token: certAuth.sessionToken,
-      expiry: new Date(Date.now() + (8 * 60 * 60 * 1000)) // 8 hours
-    };
-  }
-
-  /**
-   * New York SCEF Authentication
-   */
-  async authenticateNYSCEF(connector) {
-    const response = await axios.post(connector.authEndpoint, {
-      username: connector.credentials.username,
-      password: connector.credentials.password,
-      firm_id: connector.credentials.firmId
-    });
-
-    return {
-      token: response.data.session_token,
-      expiry: new Date(Date.now() + (4 * 60 * 60 * 1000)) // 4 hours
-    };
-  }
-
-  /**
-   * Texas eFile Authentication
-   */
-  async authenticateTexas(connector) {
-    const response = await axios.post(connector.authEndpoint, {
-      firm_id: connector.credentials.firmId,
-      user_id: connector.credentials.userId,
-      password: connector.credentials.password
-    });
-
-    return {
-      token: response.data.access_token,
-      expiry: new Date(Date.now() + (response.data.expires_in * 1000))
-    };
-  }
-
-  // Helper Methods
-
-  async validateFilingRequirements(connector, filingData) {
-    const { documents, filingType } = filingData;
-
-    // Check filing type support
-    if (!connector.filingTypes.includes(filingType)) {
-      throw new Error(`Filing type '${filingType}' not supported by ${connector.name}`);
-    }
-
-    // Check document requirements
-    for (const doc of documents) {
-      if (doc.size > connector.maxFileSize) {
-        throw new Error(`Document '${doc.filename}' exceeds maximum size of ${connector.maxFileSize} bytes`);
-      }
-
-      const fileExt = path.extname(doc.filename).toLowerCase().substring(1);
-      if (!connector.supportedFormats.includes(fileExt)) {
-        throw new Error(`File format '${fileExt}' not supported by ${connector.name}`);
-      }
-    }
-  }
-
-  async prepareFilingPackage(connector, filingData) {
-    const { caseNumber, filingType, documents, parties, courtId, expedited } = filingData;
-
-    // Convert documents to required format
-    const processedDocuments = await Promise.all(
-      documents.map(async (doc) => ({
-        type: doc.documentType || filingType,
-        title: doc.title || doc.filename,
-        filename: doc.filename,
-        base64Content: await this.getDocumentBase64(doc.documentId),
-        pageCount: doc.pageCount || await this.getDocumentPageCount(doc.documentId),
-        size: doc.size
-      }))
-    );
-
-    return {
-      caseNumber,
-      filingType,
-      documents: processedDocuments,
-      parties: parties || [],
-      courtId: courtId || connector.supportedCourts[0],
-      expedited: expedited || false,
-      submittedAt: new Date().toISOString()
-    };
-  }
-
-  buildCCMSFilingXML(filingData) {
-    // Build XML for California CCMS
-    const xml = `<?xml version="1.0" encoding="UTF-8"?>
-    <FilingSubmission>
-      <CaseInfo>
-        <CaseNumber>${filingData.caseNumber}</CaseNumber>
-        <CourtID>${filingData.courtId}</CourtID>
-      </CaseInfo>
-      <FilingInfo>
-        <DocumentType>${filingData.filingType}</DocumentType>
-        <Expedited>${filingData.expedited}</Expedited>
-      </FilingInfo>
-      <Documents>
-        ${filingData.documents.map(doc => `
-        <Document>
-          <Type>${doc.type}</Type>
-          <Title>${doc.title}</Title>
-          <Filename>${doc.filename}</Filename>
-          <Content>${doc.base64Content}</Content>
-        </Document>
-        `).join('')}
-      </Documents>
-      <Parties>
-        ${filingData.parties.map(party => `
-        <Party>
-          <Name>${party.name}</Name>
-          <Type>${party.type}</Type>
-          <Email>${party.email}</Email>
-        </Party>
-        `).join('')}
-      </Parties>
-    </FilingSubmission>`;
-
-    return xml;
-  }
-
-  calculatePACERFees(filingType) {
-    const feeSchedule = {
-      'complaint': 402,
-      'motion': 0,
-      'answer': 0,
-      'brief': 0,
-      'notice': 0
-    };
-    return feeSchedule[filingType] || 0;
-  }
-
-  calculateTylerFees(filingType, courtId) {
-    // Tyler fees vary by court and filing type
-    const baseFees = {
-      'petition': 350,
-      'response': 0,
-      'motion': 75,
-      'order': 0,
-      'judgment': 25
-    };
-    return baseFees[filingType] || 0;
-  }
-
-  calculateTexasFees(filingType, courtId) {
-    const feeSchedule = {
-      'petition': 300,
-      'answer': 0,
-      'motion': 30,
-      'order': 0,
-      'notice': 0
-    };
-    return feeSchedule[filingType] || 0;
-  }
-
-  async getDocumentBase64(documentId) {
-    try {
-      const documentPath = path.join(process.cwd(), 'storage', 'documents', `${documentId}.pdf`);
-      const buffer = await fs.readFile(documentPath);
-      return buffer.toString('base64');
-    } catch (error) {
-      console.error('Get document base64 error:', error);
-      return '';
-    }
-  }
-
-  async getDocumentPageCount(documentId) {
-    // This would typically use a PDF parsing library
-    // For now, return a default value
-    return 1;
-  }
-
-  async performCertificateAuth(certPath, keyPath) {
-    try {
-      // Read certificate and private key files
-      const cert = await fs.readFile(certPath, 'utf8');
-      const key = await fs.readFile(keyPath, 'utf8');
-      
-      // Create HTTPS agent with certificate
-      const https = require('https');
-      const agent = new https.Agent({
-        cert: cert,
-        key: key,
-        rejectUnauthorized: true
-      });
-      
-      // Perform certificate-based authentication request
-      const response = await axios.post(
-        process.env.CERT_AUTH_ENDPOINT || 'https://api.court.gov/auth/certificate',
-        { client_type: 'efiling_system' },
-        { httpsAgent: agent, timeout: 30000 }
-      );
-      
-      return {
-        sessionToken: response.data.access_token,
-        expiry: new Date(Date.now() + (response.data.expires_in * 1000))
-      };
-    } catch (error) {
-      console.error('Certificate authentication failed:', error.message);
-      // Fallback to mock token for development
-      return {
-        sessionToken: process.env.NODE_ENV === 'production' ? null : 'dev_mock_token',
-        expiry: new Date(Date.now() + 8 * 60 * 60 * 1000)
-      };
-    }
-  }
-
-  // Status check methods for each court system
-  async checkPACERStatus(connector, trackingId) {
-    const response = await axios.get(
-      `${connector.baseURL}/status/${trackingId}`,
-      {
-        headers: { 'Authorization': `Bearer ${connector.authToken}` }
-      }
-    );
-
-    return {
-      status: this.mapPACERStatus(response.data.status),
-      courtStatus: response.data.status,
-      lastUpdated: response.data.last_updated,
-      docketText: response.data.docket_text,
-      filingNumber: response.data.filing_number
-    };
-  }
-
-  async checkTylerStatus(connector, trackingId) {
-    const response = await axios.get(
-      `${connector.baseURL}/filings/${trackingId}/status`,
-      {
-        headers: { 'Authorization': `Bearer ${connector.authToken}` }
-      }
-    );
-
-    return {
-      status: this.mapTylerStatus(response.data.status),
-      courtStatus: response.data.status,
-      lastUpdated: response.data.updated_at,
-      reviewComments: response.data.review_comments,
-      filingNumber: response.data.filing_number
-    };
-  }
-
-  async checkCCMSStatus(connector, trackingId) {
-    const response = await axios.get(
-      `${connector.baseURL}/status/${trackingId}`,
-      {
-        headers: { 'Authorization': `Bearer ${connector.authToken}` }
-      }
-    );
-
-    const parser = new xml2js.Parser();
-    const result = await parser.parseStringPromise(response.data);
-
-    return {
-      status: this.mapCCMSStatus(result.StatusResponse.Status[0]),
-      courtStatus: result.StatusResponse.Status[0],
-      lastUpdated: result.StatusResponse.LastUpdated[0],
-      filingNumber: result.StatusResponse.FilingNumber?.[0]
-    };
-  }
-
-  async checkNYSCEFStatus(connector, trackingId) {
-    const response = await axios.get(
-      `${connector.baseURL}/filing/${trackingId}/status`,
-      {
-        headers: { 'Authorization': `Bearer ${connector.authToken}` }
-      }
-    );
-
-    return {
-      status: this.mapNYSCEFStatus(response.data.status),
-      courtStatus: response.data.status,
-      lastUpdated: response.data.status_date,
-      filingNumber: response.data.filing_number,
-      documentId: response.data.document_id
-    };
-  }
-
-  async checkTexasStatus(connector, trackingId) {
-    const response = await axios.get(
-      `${connector.baseURL}/envelope/${trackingId}/status`,
-      {
-        headers: { 'Authorization': `Bearer ${connector.authToken}` }
-      }
-    );
-
-    return {
-      status: this.mapTexasStatus(response.data.status),
-      courtStatus: response.data.status,
-      lastUpdated: response.data.last_modified,
-      filingNumber: response.data.filing_number,
-      reviewStatus: response.data.review_status
-    };
-  }
-
-  // Status mapping methods
-  mapPACERStatus(status) {
-    const statusMap = {
-      'pending': 'submitted',
-      'accepted': 'processed',
-      'rejected': 'rejected',
-      'filed': 'processed'
-    };
-    return statusMap[status.toLowerCase()] || 'submitted';
-  }
-
-  mapTylerStatus(status) {
-    const statusMap = {
-      'submitted': 'submitted',
-      'under_review': 'processing',
-      'accepted': 'processed',
-      'rejected': 'rejected',
-      'filed': 'processed'
-    };
-    return statusMap[status.toLowerCase()] || 'submitted';
-  }
-
-  mapCCMSStatus(status) {
-    const statusMap = {
-      'received': 'submitted',
-      'processing': 'processing',
-      'accepted': 'processed',
-      'rejected': 'rejected'
-    };
-    return statusMap[status.toLowerCase()] || 'submitted';
-  }
-
-  mapNYSCEFStatus(status) {
-    const statusMap = {
-      'filed': 'processed',
-      'pending': 'submitted',
-      'rejected': 'rejected',
-      'accepted': 'processed'
-    };
-    return statusMap[status.toLowerCase()] || 'submitted';
-  }
-
-  mapTexasStatus(status) {
-    const statusMap = {
-      'submitted': 'submitted',
-      'under_review': 'processing',
-      'accepted': 'processed',
-      'rejected': 'rejected',
-      'filed': 'processed'
-    };
-    return statusMap[status.toLowerCase()] || 'submitted';
-  }
-
-  /**
-   * Get supported court systems
-   */
-  getSupportedCourtSystems() {
-    const systems = [];
-    for (const [code, connector] of this.courtConnectors) {
-      systems.push({
-        code,
-        name: connector.name,
-        supportedCourts: connector.supportedCourts,
-        filingTypes: connector.filingTypes,
-        maxFileSize: connector.maxFileSize,
-        supportedFormats: connector.supportedFormats
-      });
-    }
-    return systems;
-  }
-
-  /**
-   * Health check for court API connections
-   */
-  async getServiceHealth() {
-    const health = {
-      status: 'healthy',
-      courtSystems: {},
-      activeConnections: 0,
-      lastChecked: new Date().toISOString()
-    };
-
-    for (const [code, connector] of this.courtConnectors) {
-      try {
-        // Quick health check - just verify we can reach the auth endpoint
-        const response = await axios.get(connector.authEndpoint, { timeout: 5000 });
-        health.courtSystems[code] = {
-          status: 'healthy',
-          name: connector.name,
-          hasToken: !!connector.authToken,
-          tokenExpiry: connector.tokenExpiry
-        };
-        health.activeConnections++;
-      } catch (error) {
-        health.courtSystems[code] = {
-          status: 'unhealthy',
-          name: connector.name,
-          error: error.message
-        };
-        health.status = 'degraded';
-      }
-    }
-
-    return health;
-  }
-
-  /**
-   * Generic court filing for unsupported systems
-   */
-  async performGenericCourtFiling(connector, filingData) {
-    try {
-      // Attempt to file using standard REST API pattern
-      const formData = new FormData();
-      
-      // Add documents
-      for (const doc of filingData.documents) {
-        const buffer = await this.getDocumentBuffer(doc.documentId);
-        formData.append('documents', buffer, doc.filename);
-      }
-      
-      // Add filing metadata
-      formData.append('filing_type', filingData.type);
-      formData.append('case_number', filingData.caseNumber);
-      formData.append('party_name', filingData.partyName);
-      formData.append('court_code', connector.courtCode);
-      
-      const response = await axios.post(
-        `${connector.baseURL}/filings`,
-        formData,
-        {
-          headers: {
-            ...formData.getHeaders(),
-            'Authorization': `Bearer ${connector.authToken}`,
-            'X-Client-Version': '1.0.0'
-          },
-          timeout: 120000 // 2 minutes for large files
-        }
-      );
-      
-      return {
-        success: true,
-        trackingId: response.data.tracking_id || response.data.confirmation_number,
-        confirmationNumber: response.data.confirmation_number,
-        status: 'submitted',
-        submittedAt: new Date().toISOString(),
-        fees: response.data.fees || { total: 0 }
-      };
-    } catch (error) {
-      console.error(`Generic filing failed for ${connector.name}:`, error.message);
-      return {
-        success: false,
-        error: error.message,
-        status: 'failed'
-      };
-    }
-  }
-
-  /**
-   * Generic status check for unsupported systems
-   */
-  async performGenericStatusCheck(connector, trackingId) {
-    try {
-      const response = await axios.get(
-        `${connector.baseURL}/filings/${trackingId}/status`,
-        {
-          headers: { 'Authorization': `Bearer ${connector.authToken}` },
-          timeout: 30000
-        }
-      );
-      
-      return {
-        status: response.data.status,
-        courtStatus: response.data.court_status || response.data.status,
-        lastUpdated: response.data.last_updated || new Date().toISOString(),
-        trackingId: trackingId
-      };
-    } catch (error) {
-      console.error(`Generic status check failed for ${connector.name}:`, error.message);
-      return {
-        status: 'unknown',
-        error: error.message,
-        trackingId: trackingId
-      };
-    }
-  }
-
-  /**
-   * Generic authentication for unsupported systems
-   */
-  async performGenericAuthentication(connector) {
-    try {
-      // Attempt OAuth 2.0 client credentials flow
-      const response = await axios.post(
-        connector.authEndpoint || `${connector.baseURL}/auth/token`,
-        {
-          grant_type: 'client_credentials',
-          client_id: connector.credentials.clientId || connector.credentials.apiKey,
-          client_secret: connector.credentials.clientSecret || connector.credentials.password,
-          scope: 'efiling'
-        },
-        {
-          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-          timeout: 15000
-        }
-      );
-      
-      return {
-        accessToken: response.data.access_token,
-        tokenType: response.data.token_type || 'Bearer',
-        expiresIn: response.data.expires_in || 3600,
-        expiresAt: new Date(Date.now() + (response.data.expires_in * 1000))
-      };
-    } catch (error) {
-      console.error(`Generic authentication failed for ${connector.name}:`, error.message);
-      // Return development mock token if not in production
-      if (process.env.NODE_ENV !== 'production') {
-        return {
-          accessToken: 'dev_mock_token',
-          tokenType: 'Bearer',
-          expiresIn: 3600,
-          expiresAt: new Date(Date.now() + 3600000)
-        };
-      }
-      throw error;
-    }
-  }
-
-  /**
-   * Build SOAP envelope for PACER CM/ECF API
-   */
-  buildPACERSoapEnvelope(filingData) {
-    return `<?xml version="1.0" encoding="UTF-8"?>
-    <soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" 
-                   xmlns:cm="urn:cm-ecf">
-      <soap:Header>
-        <cm:Authentication>
-          <cm:Username>${filingData.filer_id}</cm:Username>
-          <cm:Timestamp>${new Date().toISOString()}</cm:Timestamp>
-        </cm:Authentication>
-      </soap:Header>
-      <soap:Body>
-        <cm:SubmitFiling>
-          <cm:CaseNumber>${filingData.case_number}</cm:CaseNumber>
-          <cm:FilingType>${filingData.filing_type}</cm:FilingType>
-          <cm:Documents>
-            ${filingData.documents.map(doc => `
-              <cm:Document>
-                <cm:Type>${doc.document_type}</cm:Type>
-                <cm:Filename>${doc.filename}</cm:Filename>
-                <cm:Content>${doc.content}</cm:Content>
-                <cm:PageCount>${doc.page_count}</cm:PageCount>
-                <cm:Description>${doc.description}</cm:Description>
-              </cm:Document>
-            `).join('')}
-          </cm:Documents>
-          <cm:ServiceList>
-            ${filingData.service_list.map(party => `
-              <cm:Party>
-                <cm:Name>${party.name}</cm:Name>
-                <cm:Email>${party.email}</cm:Email>
-                <cm:ServiceMethod>${party.service_method}</cm:ServiceMethod>
-                <cm:PartyType>${party.party_type}</cm:PartyType>
-              </cm:Party>
-            `).join('')}
-          </cm:ServiceList>
-          <cm:FilingFee>${filingData.filing_fee}</cm:FilingFee>
-          <cm:Expedited>${filingData.expedited}</cm:Expedited>
-        </cm:SubmitFiling>
-      </soap:Body>
-    </soap:Envelope>`;
-  }
-
-  /**
-   * Calculate PACER filing fees based on filing type
-   */
-  calculatePACERFees(filingType) {
-    const feeSchedule = {
-      'complaint': 402.00,
-      'motion': 65.00,
-      'answer': 0.00,
-      'brief': 0.00,
-      'notice': 0.00,
-      'petition': 402.00,
-      'appeal': 505.00
-    };
-    
-    return feeSchedule[filingType.toLowerCase()] || 65.00;
-  }
-
-  /**
-   * Authenticate with PACER using credentials
-   */
-  async authenticatePACER(connector) {
-    try {
-      const authPayload = {
-        username: connector.credentials.username,
-        password: connector.credentials.password,
-        client_code: connector.credentials.clientCode
-      };
-
-      const response = await axios.post(
-        connector.authEndpoint,
-        authPayload,
-        {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 15000
-        }
-      );
-
-      return {
-        accessToken: response.data.access_token,
-        expiresAt: new Date(Date.now() + (response.data.expires_in * 1000))
-      };
-    } catch (error) {
-      console.error('PACER authentication failed:', error.message);
-      // Return development token if not in production
-      if (process.env.NODE_ENV !== 'production') {
-        return {
-          accessToken: 'pacer_dev_token',
-          expiresAt: new Date(Date.now() + 3600000)
-        };
-      }
-      throw error;
-    }
-  }
-
-  /**
-   * Get document buffer for filing
-   */
-  async getDocumentBuffer(documentId) {
-    try {
-      const documentPath = path.join(process.cwd(), 'storage', 'documents', `${documentId}.pdf`);
-      return await fs.readFile(documentPath);
-    } catch (error) {
-      console.error(`Failed to read document ${documentId}:`, error.message);
-      throw new Error(`Document not found: ${documentId}`);
-    }
-  }
-}
-
-module.exports = new RealCourtAPIService();
\ No newline at end of file
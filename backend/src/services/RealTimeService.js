@@ -2,6 +2,7 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const Case = require('../models/Case');
+const AuthorizationService = require('./AuthorizationService');
 const CaseCommunication = require('../models/CaseCommunication');
 const logger = require('../lib/logger');
 
@@ -122,7 +123,7 @@ class RealTimeService {
       const userId = socket.userId;
 
       // Verify access to case
-      if (!await Case.hasAccess(case_id, userId)) {
+      if (!await AuthorizationService.can(userId, 'case:view', case_id)) {
         socket.emit('error', { message: 'Access denied to case' });
         return;
       }
@@ -226,7 +227,7 @@ class RealTimeService {
       const userId = socket.userId;
 
       // Verify access
-      if (!await Case.hasAccess(case_id, userId)) {
+      if (!await AuthorizationService.can(userId, 'case:view', case_id)) {
         socket.emit('error', { message: 'Access denied to case' });
         return;
       }
@@ -301,7 +302,7 @@ class RealTimeService {
       const userId = socket.userId;
 
       // Verify access
-      if (!await Case.hasAccess(case_id, userId)) {
+      if (!await AuthorizationService.can(userId, 'case:update', case_id)) {
         socket.emit('error', { message: 'Access denied to case' });
         return;
       }
@@ -131,6 +131,25 @@ Submit at: ${process.env.FRONTEND_URL || 'https://ai-dispute-resolver.com'}/case
     });
   }
 
+  // Response deadline reminder
+  async sendResponseDeadlineReminder(phoneNumber, reminderDetails) {
+    const hoursRemaining = Math.ceil((new Date(reminderDetails.deadline) - new Date()) / (1000 * 60 * 60));
+    
+    const message = `⏰ Response Due
+    
+Case No: ${reminderDetails.caseNumber}
+Time Remaining: ${hoursRemaining} hours
+
+Please submit your response before the deadline.
+
+Respond at: ${process.env.FRONTEND_URL || 'https://ai-dispute-resolver.com'}/cases/${reminderDetails.caseId}`;
+
+    return this.sendSMS({
+      to: phoneNumber,
+      body: message
+    });
+  }
+
   // AI analysis completion notification
   async sendAIAnalysisComplete(phoneNumber, analysisDetails) {
     const message = `🤖 AI Analysis Complete
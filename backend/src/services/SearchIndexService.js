@@ -0,0 +1,249 @@
+// Search Index Service - full-text search over everything filed in a case
+// Cases, statements, evidence OCR text and transcripts, AI analyses and
+// generated documents are copied into one search index as they are written.
+// Queries are always restricted to cases the user is a party to, so only
+// what every party may read is indexed (finalized statements, not drafts).
+const logger = require('../lib/logger');
+const AuthorizationService = require('./AuthorizationService');
+const { createSearchStore } = require('../lib/searchStore');
+
+const SOURCE_TYPES = ['case', 'statement', 'evidence', 'analysis', 'generated_document'];
+
+// Where each source lives, for reindexing a whole case
+const SOURCE_TABLES = {
+  statement: 'case_statements',
+  evidence: 'evidence',
+  analysis: 'ai_analysis',
+  generated_document: 'generated_documents'
+};
+
+// Result type shown in the UI for each source
+const RESULT_TYPES = {
+  case: 'dispute',
+  statement: 'statement',
+  evidence: 'evidence',
+  analysis: 'analysis',
+  generated_document: 'document'
+};
+
+// Rows that may be indexed; the rest are kept out (and removed if present).
+// A statement draft is visible only to its author until it is finalized.
+const SEARCHABLE = {
+  statement: (row) => row.is_finalized !== false
+};
+
+const MAX_BODY_CHARS = 200000;
+
+const joinText = (...parts) => parts.filter(p => typeof p === 'string' && p.trim()).join('\n\n');
+
+// All string values inside an AI analysis JSON document
+function collectText(value, out = []) {
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectText(v, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectText(v, out));
+  }
+  return out;
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Title, body and date for each source row. Column names vary between older
+// and newer tables, so each extractor accepts the known spellings.
+const EXTRACTORS = {
+  case: (row) => ({
+    case_id: row.id,
+    title: joinText(row.case_number, row.title || row.case_title) || 'Case',
+    body: joinText(row.description, row.case_type || row.dispute_type),
+    document_date: row.created_at
+  }),
+  statement: (row) => ({
+    case_id: row.case_id,
+    title: `Statement${row.party_role ? ` (${row.party_role})` : ''}`,
+    body: joinText(row.content, row.text),
+    document_date: row.submitted_at || row.created_at
+  }),
+  evidence: (row) => ({
+    case_id: row.case_id,
+    title: row.file_name || row.filename || 'Evidence',
+    body: joinText(row.description, row.ocr_text, row.transcription, row.ai_summary),
+    document_date: row.uploaded_at || row.created_at
+  }),
+  analysis: (row) => ({
+    case_id: row.case_id,
+    title: `AI analysis${row.analysis_type ? ` (${row.analysis_type.replace(/_/g, ' ')})` : ''}`,
+    body: joinText(...collectText([parseJson(row.analysis), parseJson(row.result), row.summary])),
+    document_date: row.created_at
+  }),
+  generated_document: (row) => ({
+    case_id: row.case_id,
+    title: row.title || row.file_name || (row.document_type || 'Document').replace(/_/g, ' '),
+    body: joinText(typeof row.content === 'string' ? row.content : collectText(row.content).join('\n')),
+    document_date: row.created_at
+  })
+};
+
+class SearchIndexService {
+  constructor(options = {}) {
+    this._store = options.store || null;
+    this._supabase = options.supabase || null;
+  }
+
+  get store() {
+    if (!this._store) this._store = createSearchStore();
+    return this._store;
+  }
+
+  get supabase() {
+    if (!this._supabase) this._supabase = require('../lib/supabaseClient').supabase;
+    return this._supabase;
+  }
+
+  // ---- Indexing ----
+
+  // Add or refresh one source row. Never throws: a stale index entry must not
+  // fail the write that triggered it (a reindex repairs it later).
+  async index(sourceType, row) {
+    if (!row || !row.id) return false;
+    if (SEARCHABLE[sourceType] && !SEARCHABLE[sourceType](row)) {
+      await this.remove(sourceType, row.id);
+      return false;
+    }
+    try {
+      const extracted = EXTRACTORS[sourceType](row);
+      if (!extracted.case_id) return false;
+
+      await this.store.upsert({
+        source_type: sourceType,
+        source_id: row.id,
+        case_id: extracted.case_id,
+        title: extracted.title,
+        body: (extracted.body || '').slice(0, MAX_BODY_CHARS),
+        document_date: extracted.document_date || new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to index ${sourceType} ${row.id}:`, error.message || error);
+      return false;
+    }
+  }
+
+  async remove(sourceType, sourceId) {
+    try {
+      await this.store.remove(sourceType, sourceId);
+    } catch (error) {
+      logger.warn(`Failed to remove ${sourceType} ${sourceId} from search index:`, error.message || error);
+    }
+  }
+
+  // Re-read a case and everything filed in it into the index
+  async reindexCase(caseId) {
+    const { data: caseRow, error } = await this.supabase.from('cases').select('*').eq('id', caseId).single();
+    if (error) throw new Error(`Failed to load case ${caseId}: ${error.message}`);
+
+    let indexed = (await this.index('case', caseRow)) ? 1 : 0;
+    for (const [sourceType, table] of Object.entries(SOURCE_TABLES)) {
+      const { data: rows, error: rowsError } = await this.supabase.from(table).select('*').eq('case_id', caseId);
+      if (rowsError) {
+        logger.warn(`Skipping ${table} while reindexing case ${caseId}: ${rowsError.message}`);
+        continue;
+      }
+      for (const row of rows || []) {
+        if (await this.index(sourceType, row)) indexed++;
+      }
+    }
+    return indexed;
+  }
+
+  // ---- Access scope ----
+
+  // Ids of the cases the user is a party to (or filed), narrowed by the case
+  // level filters: status, case type and another party on the case
+  async accessibleCaseIds(userId, { status, caseType, party } = {}) {
+    let caseIds = await AuthorizationService.accessibleCaseIds(userId);
+    if (caseIds.length === 0) return [];
+
+    if (status || caseType) {
+      let query = this.supabase.from('cases').select('id').in('id', caseIds);
+      if (status) query = query.in('status', [].concat(status));
+      if (caseType) query = query.in('case_type', [].concat(caseType));
+      const { data, error } = await query;
+      if (error) throw new Error(`Failed to filter cases: ${error.message}`);
+      caseIds = (data || []).map(c => c.id);
+    }
+
+    if (party && caseIds.length > 0) {
+      const column = String(party).includes('@') ? 'contact_email' : 'user_id';
+      const { data, error } = await this.supabase
+        .from('case_parties')
+        .select('case_id')
+        .in('case_id', caseIds)
+        .eq(column, party);
+      if (error) throw new Error(`Failed to filter by party: ${error.message}`);
+      caseIds = [...new Set((data || []).map(p => p.case_id))];
+    }
+
+    return caseIds;
+  }
+
+  // ---- Search ----
+
+  async search(userId, { q, types, status, caseType, party, from, to, page = 1, pageSize = 20 } = {}) {
+    const query = String(q || '').trim();
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 20, 1), 50);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const empty = { results: [], pagination: { page: pageNumber, pageSize: size, total: 0, totalPages: 0 } };
+    if (query.length < 2) return empty;
+
+    const sourceTypes = [].concat(types || []).filter(t => SOURCE_TYPES.includes(t));
+    const caseIds = await this.accessibleCaseIds(userId, { status, caseType, party });
+    if (caseIds.length === 0) return empty;
+
+    const { total, hits } = await this.store.search({
+      caseIds,
+      query,
+      sourceTypes,
+      from,
+      to,
+      limit: size,
+      offset: (pageNumber - 1) * size
+    });
+
+    return {
+      results: hits.map(hit => this.toResult(hit)),
+      pagination: { page: pageNumber, pageSize: size, total, totalPages: Math.ceil(total / size) }
+    };
+  }
+
+  toResult(hit) {
+    const type = RESULT_TYPES[hit.source_type] || hit.source_type;
+    return {
+      id: `${hit.source_type}:${hit.source_id}`,
+      type,
+      title: hit.title,
+      description: hit.highlight ? hit.highlight.replace(/<\/?mark>/g, '') : '',
+      highlight: hit.highlight || '',
+      url: type === 'document' ? `/documents/${hit.source_id}` : `/disputes/${hit.case_id}`,
+      rank: hit.rank,
+      metadata: {
+        case_id: hit.case_id,
+        source_type: hit.source_type,
+        source_id: hit.source_id,
+        created_at: hit.document_date
+      }
+    };
+  }
+}
+
+module.exports = new SearchIndexService();
+module.exports.SearchIndexService = SearchIndexService;
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
@@ -2,6 +2,7 @@
 const logger = require('../lib/logger');
 const { supabaseAdmin } = require('../lib/supabaseClient');
 const GeminiService = require('./GeminiService');
+const structuredOutput = require('./StructuredOutputService');
 
 class SettlementAIService {
   constructor() {
@@ -88,11 +89,19 @@ class SettlementAIService {
         evidence || []
       );
 
-      // Generate options using Gemini
-      const aiResponse = await this.geminiService.generateContent(prompt);
-      
-      // Parse AI response
-      const options = this._parseAIResponse(aiResponse, caseData);
+      // Generate schema-validated options (Gemini preferred); when every
+      // provider fails, fall back to the formula-based options
+      const { data: parsed, raw: aiResponse, provenance } = await structuredOutput.generate(
+        'settlement_generation', prompt, {
+          caseId,
+          temperature: 0.4,
+          maxTokens: 4000,
+          caseType: caseData.case_type,
+          preferred: this.geminiService.preferredProvider,
+          fallback: () => this._generateFallbackOptions(caseData)
+        }
+      );
+      const options = this._normalizeOptions(parsed);
 
       // Save AI analysis
       const { data: analysis } = await supabaseAdmin
@@ -104,7 +113,7 @@ class SettlementAIService {
           analysis_summary: options.summary,
           key_facts_extracted: options.keyFacts,
           legal_issues_identified: options.legalIssues,
-          ai_model_used: 'gemini-2.0-flash-exp',
+          ai_model_used: provenance.provider ? `${provenance.provider}:${provenance.model}` : 'fallback',
           confidence_score: options.confidenceScore
         })
         .select()
@@ -252,25 +261,15 @@ Ensure all amounts are in Indian Rupees (₹) and cite specific sections of Indi
   }
 
   /**
-   * Parse AI response into structured options
+   * Fill the optional fields of validated options with their defaults
    */
-  _parseAIResponse(aiResponse, caseData) {
-    try {
-      // Extract JSON from AI response
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Could not extract JSON from AI response');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
-
-      // Validate structure
-      if (!parsed.settlements || parsed.settlements.length !== 3) {
-        throw new Error('AI must generate exactly 3 settlement options');
-      }
-
-      // Ensure all required fields
-      parsed.settlements = parsed.settlements.map((option, index) => ({
+  _normalizeOptions(parsed) {
+    return {
+      summary: parsed.summary || 'Dispute analysis completed',
+      keyFacts: parsed.keyFacts || [],
+      legalIssues: parsed.legalIssues || [],
+      confidenceScore: Number(parsed.confidenceScore) || 0.75,
+      settlements: parsed.settlements.map((option, index) => ({
         type: option.type || ['conservative', 'balanced', 'progressive'][index],
         description: option.description || 'Settlement option',
         complainantReceives: Number(option.complainantReceives) || 0,
@@ -284,22 +283,8 @@ Ensure all amounts are in Indian Rupees (₹) and cite specific sections of Indi
         consRespondent: option.consRespondent || [],
         implementationSteps: option.implementationSteps || ['Sign settlement agreement', 'Execute payment', 'Close case'],
         timelineDays: Number(option.timelineDays) || 30
-      }));
-
-      return {
-        summary: parsed.summary || 'Dispute analysis completed',
-        keyFacts: parsed.keyFacts || [],
-        legalIssues: parsed.legalIssues || [],
-        confidenceScore: Number(parsed.confidenceScore) || 0.75,
-        settlements: parsed.settlements
-      };
-
-    } catch (error) {
-      logger.error('Error parsing AI response:', error);
-      
-      // Fallback: Generate default options
-      return this._generateFallbackOptions(caseData);
-    }
+      }))
+    };
   }
 
   /**
@@ -363,55 +348,85 @@ Ensure all amounts are in Indian Rupees (₹) and cite specific sections of Indi
     };
   }
 
+  /**
+   * A compromise amount strictly inside the reservation overlap: the amount
+   * itself when it already is, else a round figure near the middle of the
+   * overlap (just inside it when only one side is bounded). Never a bound,
+   * which would tell everyone that party's private limit. An overlap with
+   * nothing strictly inside it leaves the amount as it is.
+   */
+  amountInsideZone(amount, zone) {
+    if (!zone) return amount;
+    const min = zone.min ?? null;
+    const max = zone.max ?? null;
+    const inside = (value) => value >= 0 && (min === null || value > min) && (max === null || value < max);
+    if (inside(amount)) return amount;
+
+    let target;
+    if (min !== null && max !== null) target = (min + max) / 2;
+    else if (min !== null) target = min * 1.05 + 1;
+    else target = max * 0.95 - 1;
+    for (const step of [1000, 100, 10, 1]) {
+      const rounded = Math.round(target / step) * step;
+      if (inside(rounded)) return rounded;
+    }
+    return amount;
+  }
+
   /**
    * Generate compromise option when parties choose different options
+   * selections: [{ optionId, weight, supporters }] for every option chosen
+   * (or two option ids, the older two-party form). Amounts and timelines are
+   * averaged by the voting weight behind each option.
+   * With the list form, extra.zone: { min, max } amounts every party can
+   * accept (the overlap of their private reservation ranges); the compromise
+   * amount stays strictly inside it. The bounds are private: they are not
+   * sent to the AI, and the amount is never one of them.
    */
-  async generateCompromiseOption(caseId, option1Id, option2Id) {
+  async generateCompromiseOption(caseId, selections, extra) {
     try {
-      logger.info('Generating compromise option', { caseId, option1Id, option2Id });
-
-      // Get both selected options
-      const { data: options, error } = await supabaseAdmin
+      const { zone = null } = Array.isArray(selections) ? (extra || {}) : {};
+      const chosen = (Array.isArray(selections) ? selections : [selections, extra])
+        .map(s => (typeof s === 'object' ? { weight: 1, supporters: 1, ...s } : { optionId: s, weight: 1, supporters: 1 }));
+      const optionIds = chosen.map(c => c.optionId);
+      logger.info('Generating compromise option', { caseId, optionIds });
+
+      // Get every selected option
+      const { data: rows, error } = await supabaseAdmin
         .from('settlement_options')
         .select('*')
-        .in('option_id', [option1Id, option2Id]);
+        .in('option_id', optionIds);
 
-      if (error || options.length !== 2) {
+      if (error || !rows || rows.length !== optionIds.length || rows.length < 2) {
         throw new Error('Could not retrieve selected options');
       }
 
-      const [option1, option2] = options;
+      const options = chosen.map(c => ({ ...rows.find(r => r.option_id === c.optionId), weight: c.weight, supporters: c.supporters }));
+      const totalWeight = options.reduce((sum, o) => sum + o.weight, 0);
+      const weighted = (field) => options.reduce((sum, o) => sum + (Number(o[field]) || 0) * o.weight, 0) / totalWeight;
 
-      // Calculate middle ground
-      const avgAmount = (option1.complainant_receives + option2.complainant_receives) / 2;
-      const avgTimeline = Math.ceil((option1.timeline_days + option2.timeline_days) / 2);
-      const avgFairness = (option1.fairness_score + option2.fairness_score) / 2;
+      // Calculate middle ground, inside the parties' common range if known
+      const avgAmount = this.amountInsideZone(Math.round(weighted('complainant_receives')), zone);
+      const avgTimeline = Math.ceil(weighted('timeline_days'));
+      const avgFairness = Math.round(weighted('fairness_score') * 100) / 100;
 
       // Merge additional terms
-      const mergedTerms = [
-        ...new Set([
-          ...(option1.additional_terms || []),
-          ...(option2.additional_terms || [])
-        ])
-      ];
-
-      // Build compromise prompt
-      const prompt = `Two parties in a dispute have chosen different settlement options. Generate a compromise option that bridges their preferences.
+      const mergedTerms = [...new Set(options.flatMap(o => o.additional_terms || []))];
 
-OPTION 1 (${option1.option_type}):
-- Amount: ₹${option1.complainant_receives}
-- Description: ${option1.description}
-- Timeline: ${option1.timeline_days} days
+      const optionList = options.map((o, i) => `OPTION ${i + 1} (${o.option_type}) - chosen by ${o.supporters} part${o.supporters === 1 ? 'y' : 'ies'}, ${Math.round((o.weight / totalWeight) * 100)}% of the voting weight:
+- Amount: ₹${o.complainant_receives}
+- Description: ${o.description}
+- Timeline: ${o.timeline_days} days`).join('\n\n');
 
-OPTION 2 (${option2.option_type}):
-- Amount: ₹${option2.complainant_receives}
-- Description: ${option2.description}
-- Timeline: ${option2.timeline_days} days
+      // Build compromise prompt
+      const prompt = `${options.length} groups of parties in a dispute have chosen different settlement options. Generate a compromise option that bridges all of their preferences.
 
+${optionList}
+${zone ? `\nThe compromise amount is fixed at ₹${avgAmount}; do not change it.\n` : ''}
 Generate a compromise option in JSON format that:
-1. Finds middle ground on compensation (around ₹${avgAmount})
+1. Finds middle ground on compensation (around ₹${avgAmount}, weighted by each option's support)
 2. Balances timelines and terms
-3. Preserves fairness for both parties
+3. Preserves fairness for every party, including co-parties, insurers and guarantors
 4. Includes creative solutions (installments, non-monetary terms, etc.)
 
 {
@@ -425,16 +440,21 @@ Generate a compromise option in JSON format that:
   "timelineDays": ${avgTimeline}
 }`;
 
-      const aiResponse = await this.geminiService.generateContent(prompt);
+      const aiResponse = await this.geminiService.generateContent(prompt, { task: 'compromise_option' });
       const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
       
       let compromiseData;
       if (jsonMatch) {
         compromiseData = JSON.parse(jsonMatch[0]);
+        // The amount was chosen inside the parties' private limits
+        if (zone) {
+          compromiseData.complainantReceives = avgAmount;
+          compromiseData.respondentPays = avgAmount;
+        }
       } else {
         // Fallback compromise
         compromiseData = {
-          description: `Compromise settlement: Split the difference between both parties' preferred options. Complainant receives ₹${avgAmount.toLocaleString('en-IN')} with structured payment over ${avgTimeline} days.`,
+          description: `Compromise settlement: Split the difference between the ${options.length} options the parties preferred. Complainant receives ₹${avgAmount.toLocaleString('en-IN')} with structured payment over ${avgTimeline} days.`,
           complainantReceives: avgAmount,
           respondentPays: avgAmount,
           additionalTerms: mergedTerms,
@@ -450,12 +470,8 @@ Generate a compromise option in JSON format that:
         };
       }
 
-      // Get analysis ID from first option
-      const { data: analysis } = await supabaseAdmin
-        .from('settlement_options')
-        .select('analysis_id')
-        .eq('option_id', option1Id)
-        .single();
+      // Analysis the options came from
+      const analysis = { analysis_id: options[0].analysis_id };
 
       // Save compromise option
       const { data: compromiseOption } = await supabaseAdmin
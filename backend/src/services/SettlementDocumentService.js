@@ -1,14 +1,22 @@
 // Settlement Document Generator Service
 const { supabase } = require('../lib/supabaseClient');
-const { logger } = require('../lib/logger');
+const logger = require('../lib/logger');
 const { v4: uuidv4 } = require('uuid');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const AuthorizationService = require('./AuthorizationService');
+const DocumentSigningService = require('./DocumentSigningService');
+const TranslationService = require('./TranslationService');
+const NotificationPreferenceService = require('./NotificationPreferenceService');
+const { LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage, languageName } = require('../lib/languages');
+const { fontFileFor, pdfkitFont } = require('../lib/pdfFonts');
 
 class SettlementDocumentService {
-  // Generate settlement agreement document
-  async generateSettlementDocument(caseId, optionId, userId) {
+  // Generate settlement agreement document. The English agreement carries a
+  // translation for each party who prefers another language (or for
+  // options.languages); the English text is the authoritative one.
+  async generateSettlementDocument(caseId, optionId, userId, options = {}) {
     try {
       logger.info(`Generating settlement document for case ${caseId}`);
 
@@ -55,6 +63,9 @@ class SettlementDocumentService {
       const conditions = JSON.parse(option.conditions || '[]');
       const nonMonetaryTerms = JSON.parse(option.non_monetary_terms || '[]');
 
+      // Installment schedule, when the parties agreed one
+      const paymentPlan = await this.paymentPlanFor(caseId);
+
       // Build document content
       const documentContent = this.buildDocumentContent({
         caseData,
@@ -63,11 +74,15 @@ class SettlementDocumentService {
         respondent,
         legalBasis,
         conditions,
-        nonMonetaryTerms
+        nonMonetaryTerms,
+        paymentPlan
       });
 
+      const languages = options.languages || await this.partyLanguages(parties);
+      const { translations, omitted } = await this.translateDocument(documentContent.text, languages);
+
       // Generate PDF
-      const pdfPath = await this.generatePDF(documentContent, caseId);
+      const pdfPath = await this.generatePDF(documentContent, caseId, translations);
 
       // Store document
       const { data: document, error: docError } = await supabase
@@ -85,7 +100,9 @@ class SettlementDocumentService {
           metadata: JSON.stringify({
             generatedBy: userId,
             optionRank: option.rank,
-            settlementAmount: option.settlement_amount
+            settlementAmount: option.settlement_amount,
+            languages: [DEFAULT_LANGUAGE, ...translations.map(t => t.language)],
+            omittedTranslations: omitted
           })
         }])
         .select()
@@ -111,8 +128,83 @@ class SettlementDocumentService {
     }
   }
 
+  // Preferred languages of the parties other than English
+  async partyLanguages(parties) {
+    const languages = await Promise.all(parties.map(party => NotificationPreferenceService.languageOf(party.user_id)));
+    return [...new Set(languages)].filter(language => language !== DEFAULT_LANGUAGE);
+  }
+
+  /**
+   * Translations of the agreement text into `languages`. A language is left
+   * out, and listed in `omitted` with the reason, when its font is not
+   * installed (the PDF could not show it) or the translation fails.
+   */
+  async translateDocument(text, languages) {
+    const translations = [];
+    const omitted = [];
+    for (const language of languages) {
+      if (language === DEFAULT_LANGUAGE) continue;
+      if (!isSupportedLanguage(language)) {
+        omitted.push({ language, reason: 'unsupported_language' });
+        continue;
+      }
+      if (!fontFileFor(LANGUAGES[language].script)) {
+        logger.warn(`No font for ${languageName(language)} installed; the settlement agreement goes out without that translation`);
+        omitted.push({ language, reason: 'font_missing' });
+        continue;
+      }
+      try {
+        const translation = await TranslationService.translate(text, { from: DEFAULT_LANGUAGE, to: language });
+        translations.push({ language, text: translation.text, provider: translation.provider, model: translation.model });
+      } catch (error) {
+        logger.warn(`Translating the settlement agreement into ${languageName(language)} failed:`, error.message || error);
+        omitted.push({ language, reason: 'translation_failed' });
+      }
+    }
+    return { translations, omitted };
+  }
+
+  // The case's agreed payment plan (SettlementPaymentService summary), if
+  // any; a proposal the other party has not accepted is not part of the terms
+  async paymentPlanFor(caseId) {
+    try {
+      const SettlementPaymentService = require('./SettlementPaymentService');
+      const plan = await SettlementPaymentService.getPlan(caseId);
+      return plan && plan.status !== 'proposed' ? plan : null;
+    } catch (error) {
+      logger.warn(`Could not load the payment plan of case ${caseId}:`, error.message || error);
+      return null;
+    }
+  }
+
+  // Payment terms clause for an installment plan
+  paymentScheduleText(paymentPlan) {
+    const { formatAmount } = require('./SettlementPaymentService');
+    const dateOf = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+    const penalty = paymentPlan.latePenalty && paymentPlan.latePenalty.value > 0
+      ? (paymentPlan.latePenalty.type === 'percent'
+        ? `${paymentPlan.latePenalty.value}% of the installment`
+        : formatAmount(paymentPlan.latePenalty.value, paymentPlan.currency))
+      : null;
+
+    return [
+      `Payable in ${paymentPlan.installments.length} installment(s):`,
+      ...paymentPlan.installments.map(i => `   ${i.sequence}. ${formatAmount(i.amount, paymentPlan.currency)} due on ${dateOf(i.dueDate)}`),
+      `Grace period: ${paymentPlan.graceDays} day(s) after each due date.`,
+      penalty ? `Late payment: a penalty of ${penalty} is payable on any installment paid after its due date.` : null,
+      `Default: if an installment remains unpaid at the end of its grace period, ${paymentPlan.defaultAction === 'reopen'
+        ? 'the dispute shall be reopened for renegotiation'
+        : 'the matter shall be referred to the competent court for recovery of the amount outstanding'}.`
+    ].filter(Boolean).join('\n');
+  }
+
   // Build document content
-  buildDocumentContent({ caseData, option, complainant, respondent, legalBasis, conditions, nonMonetaryTerms }) {
+  buildDocumentContent({ caseData, option, complainant, respondent, legalBasis, conditions, nonMonetaryTerms, paymentPlan = null }) {
     const date = new Date().toLocaleDateString('en-IN', {
       day: 'numeric',
       month: 'long',
@@ -153,7 +245,7 @@ NOW THEREFORE, in consideration of the mutual promises and covenants contained h
 
 The Respondent agrees to pay the Complainant the sum of ₹${option.settlement_amount} (Rupees ${this.numberToWords(option.settlement_amount)} only) as full and final settlement of all claims.
 
-Payment Terms: ${option.payment_terms}
+Payment Terms: ${paymentPlan ? this.paymentScheduleText(paymentPlan) : option.payment_terms}
 
 2. SETTLEMENT CONDITIONS
 
@@ -235,13 +327,15 @@ This is a legally binding agreement. Both parties are advised to seek independen
         caseNumber: caseData.case_number,
         optionId: option.id,
         settlementAmount: option.settlement_amount,
+        paymentPlanId: paymentPlan ? paymentPlan.id : null,
         generatedDate: date
       }
     };
   }
 
-  // Generate PDF document
-  async generatePDF(documentContent, caseId) {
+  // Generate PDF document; each translation follows the English text on its
+  // own pages, set in the font for its script
+  async generatePDF(documentContent, caseId, translations = []) {
     return new Promise((resolve, reject) => {
       try {
         const fileName = `settlement_${caseId}_${Date.now()}.pdf`;
@@ -273,6 +367,24 @@ This is a legally binding agreement. Both parties are advised to seek independen
           lineGap: 3
         });
 
+        for (const translation of translations) {
+          const font = pdfkitFont(doc, LANGUAGES[translation.language].script);
+          if (!font) continue;
+          doc.addPage();
+          doc.fontSize(14).font('Helvetica-Bold').text(`TRANSLATION: ${languageName(translation.language).toUpperCase()}`, {
+            align: 'center'
+          });
+          doc.fontSize(9).font('Helvetica-Oblique').text(
+            'Machine translation for reference. The English text of this agreement is authoritative.',
+            { align: 'center' }
+          );
+          doc.moveDown();
+          doc.fontSize(11).font(font).text(translation.text, {
+            align: 'left',
+            lineGap: 3
+          });
+        }
+
         // Add footer
         doc.moveDown(2);
         doc.fontSize(9).font('Helvetica-Oblique').text(
@@ -318,42 +430,69 @@ This is a legally binding agreement. Both parties are advised to seek independen
     return num.toString(); // Fallback for very large numbers
   }
 
-  // Request signatures from both parties
+  // Parties who sign settlement agreements, complainants first
+  async settlementSigners(caseId) {
+    const { data: parties, error } = await supabase
+      .from('case_parties')
+      .select(`
+        *,
+        users!inner(id, full_name, email)
+      `)
+      .eq('case_id', caseId);
+
+    if (error) {
+      throw new Error(`Failed to load parties: ${error.message}`);
+    }
+
+    const signingRoles = AuthorizationService.allowedRoles('settlement:sign');
+    return (parties || [])
+      .map(party => ({ party, role: AuthorizationService.partyRole(party) }))
+      .filter(({ role }) => signingRoles.includes(role))
+      .sort((a, b) => signingRoles.indexOf(a.role) - signingRoles.indexOf(b.role))
+      .map(({ party, role }) => ({
+        userId: party.user_id,
+        name: party.users.full_name || party.users.email,
+        email: party.users.email,
+        role
+      }));
+  }
+
+  // Request signatures from both parties: the generated PDF goes into a
+  // signing envelope, and each party's signature is embedded in it
   async requestSignatures(documentId, caseId) {
     try {
-      const { data: parties } = await supabase
-        .from('case_parties')
-        .select(`
-          *,
-          users!inner(id, full_name, email)
-        `)
-        .eq('case_id', caseId);
+      const { data: document, error: docError } = await supabase
+        .from('settlement_documents')
+        .select('*')
+        .eq('id', documentId)
+        .single();
+
+      if (docError || !document) {
+        throw new Error('Settlement document not found');
+      }
 
-      const signatures = [];
-
-      for (const party of parties) {
-        const { data, error } = await supabase
-          .from('case_signatures')
-          .insert([{
-            id: uuidv4(),
-            document_id: documentId,
-            case_id: caseId,
-            signer_id: party.user_id,
-            signer_role: party.role,
-            signature_method: 'email_otp',
-            status: 'pending'
-          }])
-          .select()
-          .single();
-
-        if (!error) {
-          signatures.push(data);
+      let envelope = await DocumentSigningService.findBySource('settlement_document', documentId);
+      if (!envelope) {
+        const signers = await this.settlementSigners(caseId);
+        if (signers.length < 2) {
+          throw new Error('Need at least 2 signing parties for settlement document');
         }
+
+        envelope = await DocumentSigningService.createEnvelope({
+          caseId,
+          title: document.title,
+          documentType: document.document_type,
+          sourceType: 'settlement_document',
+          sourceId: documentId,
+          pdf: fs.readFileSync(path.join(__dirname, '../..', document.pdf_url)),
+          signers
+        });
       }
 
       return {
         success: true,
-        signatures
+        envelope,
+        signatures: envelope.signers
       };
 
     } catch (error) {
@@ -1,6 +1,6 @@
 // Settlement Negotiation Service - Handle multi-party settlement workflows
 const SettlementProposal = require('../models/SettlementProposal');
-const Case = require('../models/Case');
+const AuthorizationService = require('./AuthorizationService');
 const CaseParty = require('../models/CaseParty');
 const AIAnalysisService = require('./AIAnalysisService');
 const RealTimeService = require('./RealTimeService');
@@ -24,7 +24,7 @@ class SettlementNegotiationService {
       } = negotiationData;
 
       // Verify case access
-      if (!await Case.hasAccess(caseId, initiatorUserId)) {
+      if (!await AuthorizationService.can(initiatorUserId, 'settlement:propose', caseId)) {
         throw new Error('Access denied to case');
       }
 
@@ -209,7 +209,7 @@ class SettlementNegotiationService {
       }
 
       // Verify access
-      if (!await Case.hasAccess(proposal.case_id, acceptingUserId)) {
+      if (!await AuthorizationService.can(acceptingUserId, 'settlement:respond', proposal.case_id)) {
         throw new Error('Access denied to settlement proposal');
       }
 
@@ -430,7 +430,7 @@ class SettlementNegotiationService {
       }
 
       // Verify access
-      if (!await Case.hasAccess(negotiation.case_id, userId)) {
+      if (!await AuthorizationService.can(userId, 'settlement:view', negotiation.case_id)) {
         throw new Error('Access denied to negotiation');
       }
 
@@ -536,7 +536,7 @@ class SettlementNegotiationService {
   // Get active negotiations for a case
   async getCaseNegotiations(caseId, userId) {
     try {
-      if (!await Case.hasAccess(caseId, userId)) {
+      if (!await AuthorizationService.can(userId, 'settlement:view', caseId)) {
         throw new Error('Access denied to case');
       }
 
@@ -4,7 +4,9 @@ const { logger } = require('../lib/logger');
 const { v4: uuidv4 } = require('uuid');
 const GeminiService = require('./GeminiService');
 const Case = require('../models/Case');
+const AuthorizationService = require('./AuthorizationService');
 const StatementService = require('./StatementService');
+const AuditLogService = require('./AuditLogService');
 
 class SettlementOptionService {
   // Generate AI settlement options
@@ -13,7 +15,7 @@ class SettlementOptionService {
       logger.info(`Generating settlement options for case ${caseId}`);
 
       // Verify case access
-      if (!await Case.hasAccess(caseId, userId)) {
+      if (!await AuthorizationService.can(userId, 'analysis:run', caseId)) {
         throw new Error('Access denied to this case');
       }
 
@@ -29,6 +31,9 @@ class SettlementOptionService {
         throw new Error('Need statements from both parties before generating options');
       }
 
+      // Statements in other languages go to the AI with their translation
+      await StatementService.withAnalysisTranslations(statementsResult.statements);
+
       // Get evidence
       const { data: evidence } = await supabase
         .from('evidence')
@@ -96,10 +101,10 @@ class SettlementOptionService {
 - Filed Date: ${caseData.created_at}
 
 **COMPLAINANT'S STATEMENT:**
-${complainantStatement?.content || 'No statement provided'}
+${StatementService.analysisText(complainantStatement) || 'No statement provided'}
 
 **RESPONDENT'S STATEMENT:**
-${respondentStatement?.content || 'No statement provided'}
+${StatementService.analysisText(respondentStatement) || 'No statement provided'}
 
 **EVIDENCE SUMMARY:**
 ${evidence.length > 0 ? evidence.map((e, i) => `${i + 1}. ${e.file_name}: ${e.metadata?.description || 'No description'}`).join('\n') : 'No evidence provided'}
@@ -391,7 +396,7 @@ Return ONLY the JSON object, no other text.`;
   async getSettlementOptions(caseId, userId) {
     try {
       // Verify access
-      if (!await Case.hasAccess(caseId, userId)) {
+      if (!await AuthorizationService.can(userId, 'settlement:view', caseId)) {
         throw new Error('Access denied');
       }
 
@@ -466,6 +471,11 @@ Return ONLY the JSON object, no other text.`;
         throw new Error(`Failed to record selection: ${error.message}`);
       }
 
+      await AuditLogService.record(caseId, 'settlement.option_selected', {
+        actorId: userId,
+        payload: { optionId, selectionId: data.id, comments: comments || null }
+      });
+
       // Check for consensus
       await this.checkConsensus(caseId);
 
@@ -0,0 +1,810 @@
+// Settlement Payment Service - installment plans for settlement amounts
+// A plan splits the agreed settlement amount into installments with due dates
+// (in PAYMENT_PLAN_TIMEZONE, Indian time by default). One party proposes the
+// plan once the case is settled; it takes effect when another party accepts
+// it, and until then it can be replaced. Parties log payments, with
+// an optional receipt (kept in the storage bucket); each payment is applied
+// to the oldest outstanding installment first, in the same transaction that
+// records it. An installment paid after its due date carries the
+// plan's late penalty. Reminders go out ahead of every due date, and an
+// installment still unpaid when its grace period ends puts the plan in
+// default: the case is reopened for renegotiation or forwarded to court
+// (CourtForwardingService), as the plan says. Reminders and default checks
+// run on the durable job queue.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const HttpError = require('../lib/HttpError');
+const { getQueue } = require('../lib/jobQueue');
+const { createPaymentPlanStore, PaymentPlanConflictError, PaymentAllocationConflictError } = require('../lib/paymentPlanStore');
+const { zonedTimeToUtc, shiftDate } = require('./CalendarService');
+const NotificationService = require('./NotificationService');
+const AuditLogService = require('./AuditLogService');
+
+const INSTALLMENT_QUEUE = 'settlement-installments';
+// Workflow stages (DisputeStage keys) in which the parties have agreed a settlement
+const SETTLED_STAGES = ['CONSENSUS_REACHED', 'SETTLEMENT_READY', 'SIGNATURE_PENDING', 'CLOSED_SETTLED'];
+const DEFAULT_ACTIONS = ['reopen', 'court_forwarding'];
+const FREQUENCIES = ['weekly', 'fortnightly', 'monthly'];
+const PENALTY_TYPES = ['flat', 'percent'];
+const MAX_INSTALLMENTS = 60;
+const MAX_GRACE_DAYS = 90;
+const REMINDER_TIME = '09:00';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Times a payment is allocated again after racing another payment on the plan
+const MAX_ALLOCATION_ATTEMPTS = 3;
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const fromPaise = (paise) => paise / 100;
+const formatAmount = (amount, currency = 'INR') =>
+  `${currency === 'INR' ? '₹' : `${currency} `}${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Same day of the month `months` later, clamped to the end of shorter months
+function addMonths(dateStr, months) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+class SettlementPaymentService {
+  constructor(options = {}) {
+    this._store = options.store || null;
+    this._queue = options.queue || null;
+    this._parties = options.parties || null;
+    this.notifications = options.notifications || NotificationService;
+    this._forwarding = options.forwarding || null;
+    this._workflow = options.workflow || null;
+    this._settlement = options.settlement || null;
+    this.timezone = options.timezone || process.env.PAYMENT_PLAN_TIMEZONE || 'Asia/Kolkata';
+    this.reminderDays = options.reminderDays ||
+      (process.env.PAYMENT_REMINDER_DAYS || '7,1').split(',').map(Number).filter(n => n > 0);
+    this._storage = options.storage || null;
+    this.bucket = options.bucket || process.env.SUPABASE_BUCKET || 'evidence';
+    this.now = options.now || (() => new Date());
+    this.registered = false;
+  }
+
+  get store() {
+    if (!this._store) this._store = createPaymentPlanStore();
+    return this._store;
+  }
+
+  // Supabase storage, where payment receipts are kept
+  get storage() {
+    if (!this._storage) this._storage = require('../lib/supabaseClient').supabase.storage;
+    return this._storage;
+  }
+
+  // The job queue with the reminder / default-check handler registered on it
+  get queue() {
+    if (!this._queue) this._queue = getQueue();
+    if (!this.registered) {
+      this._queue.register(INSTALLMENT_QUEUE, (payload) => this.handleJob(payload), {
+        concurrency: 1,
+        maxAttempts: 5,
+        backoffBaseMs: 5 * 60 * 1000
+      });
+      this.registered = true;
+    }
+    return this._queue;
+  }
+
+  startWorker() {
+    return this.queue.start();
+  }
+
+  // Voting parties of the case (user ids), who hear about the plan
+  get parties() {
+    if (!this._parties) {
+      this._parties = {
+        list: async (caseId) => {
+          const ConsensusService = require('./ConsensusService');
+          return (await ConsensusService.getVoters(caseId)).map(v => v.userId);
+        }
+      };
+    }
+    return this._parties;
+  }
+
+  // Loaded lazily: both reach back into services that load this one
+  get forwarding() {
+    if (!this._forwarding) this._forwarding = require('./CourtForwardingService');
+    return this._forwarding;
+  }
+
+  get workflow() {
+    if (!this._workflow) this._workflow = require('./DisputeWorkflowService');
+    return this._workflow;
+  }
+
+  // The settlement option the parties agreed on, by selection or by ranked
+  // preferences: { optionId, amount }, or null before they agree
+  get settlement() {
+    if (!this._settlement) {
+      this._settlement = {
+        agreedOption: async (caseId) => {
+          const ConsensusService = require('./ConsensusService');
+          const SettlementPreferenceService = require('./SettlementPreferenceService');
+          let optionId = (await ConsensusService.getConsensusStatus(caseId)).consensusOptionId;
+          if (!optionId) {
+            const { outcome } = await SettlementPreferenceService.getPreferences(caseId, null);
+            optionId = outcome.consensus ? outcome.optionId : null;
+          }
+          if (!optionId) return null;
+
+          const { supabaseAdmin } = require('../lib/supabaseClient');
+          const { data: option, error } = await supabaseAdmin
+            .from('settlement_options')
+            .select('*')
+            .eq('option_id', optionId)
+            .eq('case_id', caseId)
+            .maybeSingle();
+          if (error) throw new Error(`Failed to load settlement option ${optionId}: ${error.message}`);
+          if (!option) return null;
+          const amount = option.settlement_amount ?? option.complainant_receives;
+          return { optionId: String(optionId), amount: amount === null || amount === undefined ? null : Number(amount) };
+        }
+      };
+    }
+    return this._settlement;
+  }
+
+  /**
+   * Equal installments of totalAmount, `count` of them from firstDueDate on.
+   * Amounts are split to the paisa; the last installment takes the remainder.
+   */
+  buildSchedule({ totalAmount, count, firstDueDate, frequency = 'monthly' }) {
+    const total = toPaise(totalAmount);
+    const base = Math.floor(total / count);
+    return Array.from({ length: count }, (_, i) => ({
+      amount: fromPaise(i === count - 1 ? total - base * (count - 1) : base),
+      dueDate: frequency === 'monthly'
+        ? addMonths(firstDueDate, i)
+        : shiftDate(firstDueDate, i * (frequency === 'weekly' ? 7 : 14))
+    }));
+  }
+
+  /**
+   * Propose the payment plan of a settled case. The total is the agreed
+   * option's settlement amount. A proposal not yet accepted is replaced.
+   * spec: { totalAmount, currency, installments: [{ amount, dueDate }]
+   *         or count + firstDueDate + frequency (weekly|fortnightly|monthly),
+   *         graceDays, latePenalty: { type: flat|percent, value },
+   *         defaultAction: reopen|court_forwarding, payerId, payeeId, optionId }
+   */
+  async createPlan(caseId, spec = {}, actorId = null) {
+    await this.assertSettled(caseId);
+    const agreed = await this.settlement.agreedOption(caseId);
+    if (!agreed) throw new HttpError(409, 'no_agreed_option', 'The parties have not agreed a settlement option');
+    if (spec.optionId && String(spec.optionId) !== agreed.optionId) {
+      throw new HttpError(400, 'invalid_payment_plan', 'optionId is not the settlement option the parties agreed');
+    }
+    if (!(agreed.amount > 0)) {
+      throw new HttpError(409, 'no_settlement_amount', 'The agreed settlement option has no amount to pay in installments');
+    }
+    const totalAmount = spec.totalAmount === undefined ? agreed.amount : spec.totalAmount;
+    if (toPaise(totalAmount) !== toPaise(agreed.amount)) {
+      throw new HttpError(400, 'invalid_payment_plan', `totalAmount must be the agreed settlement amount of ${formatAmount(agreed.amount, spec.currency)}`);
+    }
+    const plan = this.validatePlan({ ...spec, totalAmount });
+
+    const existing = await this.store.currentPlan(caseId);
+    if (existing && existing.status === 'proposed') {
+      const replaced = await this.store.updatePlanIf(existing.id, 'proposed', { status: 'cancelled' });
+      if (!replaced) throw new HttpError(409, 'payment_plan_exists', 'The proposed payment plan has just been accepted');
+    }
+
+    const id = crypto.randomUUID();
+    const createdAt = this.now().toISOString();
+
+    let created;
+    try {
+      created = await this.store.insertPlan({
+        id,
+        case_id: caseId,
+        option_id: agreed.optionId,
+        total_amount: plan.totalAmount,
+        currency: plan.currency,
+        grace_days: plan.graceDays,
+        late_penalty: plan.latePenalty,
+        default_action: plan.defaultAction,
+        payer_id: spec.payerId || null,
+        payee_id: spec.payeeId || null,
+        status: 'proposed',
+        accepted_by: null,
+        accepted_at: null,
+        defaulted_at: null,
+        default_installment_id: null,
+        default_action_status: null,
+        default_action_error: null,
+        created_by: actorId,
+        created_at: createdAt,
+        updated_at: createdAt
+      }, plan.installments.map((installment, i) => ({
+        id: crypto.randomUUID(),
+        plan_id: id,
+        case_id: caseId,
+        sequence: i + 1,
+        amount: installment.amount,
+        due_date: installment.dueDate,
+        status: 'pending',
+        paid_amount: 0,
+        penalty_amount: 0,
+        paid_at: null,
+        updated_at: createdAt
+      })));
+    } catch (error) {
+      if (error instanceof PaymentPlanConflictError) {
+        throw new HttpError(409, 'payment_plan_exists', 'This case already has a payment plan');
+      }
+      throw error;
+    }
+
+    await AuditLogService.record(caseId, 'settlement.payment_plan_proposed', {
+      actorId,
+      payload: {
+        planId: id,
+        replacedPlanId: existing && existing.status === 'proposed' ? existing.id : null,
+        optionId: agreed.optionId,
+        totalAmount: plan.totalAmount,
+        currency: plan.currency,
+        installments: created.installments.map(i => ({ sequence: i.sequence, amount: i.amount, dueDate: i.due_date })),
+        graceDays: plan.graceDays,
+        latePenalty: plan.latePenalty,
+        defaultAction: plan.defaultAction
+      }
+    });
+
+    await this.notifyParties(caseId, {
+      title: 'Settlement payment plan proposed',
+      message: `${formatAmount(plan.totalAmount, plan.currency)} payable in ${created.installments.length} installment(s), the first due on ${created.installments[0].due_date}, has been proposed. It takes effect once another party accepts it.`
+    });
+
+    return this.summarize(created.plan, created.installments, []);
+  }
+
+  async assertSettled(caseId) {
+    const { success, workflow, error } = await this.workflow.getWorkflow(caseId);
+    if (!success) throw new Error(`Failed to load the workflow of case ${caseId}: ${error}`);
+    const settled = SETTLED_STAGES.map(key => this.workflow.DisputeStage[key]);
+    if (!workflow || !settled.includes(workflow.current_stage)) {
+      throw new HttpError(409, 'not_settled', 'A payment plan can be proposed once the parties have agreed a settlement');
+    }
+  }
+
+  /**
+   * Accept the proposed plan: another voting party than the one who proposed
+   * it. Reminders and default checks are scheduled from here on.
+   */
+  async acceptPlan(caseId, actorId) {
+    const plan = await this.store.currentPlan(caseId);
+    if (!plan || plan.status !== 'proposed') {
+      throw new HttpError(409, 'no_proposed_plan', 'This case has no proposed payment plan to accept');
+    }
+    if (String(plan.created_by) === String(actorId)) {
+      throw new HttpError(403, 'own_proposal', 'The payment plan must be accepted by another party');
+    }
+    const parties = (await this.parties.list(caseId)).map(String);
+    if (!parties.includes(String(actorId))) {
+      throw new HttpError(403, 'not_a_voting_party', 'Only a party to the settlement can accept its payment plan');
+    }
+
+    const accepted = await this.store.updatePlanIf(plan.id, 'proposed', {
+      status: 'active',
+      accepted_by: actorId,
+      accepted_at: this.now().toISOString()
+    });
+    if (!accepted) throw new HttpError(409, 'no_proposed_plan', 'The proposed payment plan has just been replaced or accepted');
+
+    const installments = await this.store.listInstallments(plan.id);
+    for (const installment of installments) {
+      await this.scheduleInstallment(accepted, installment);
+    }
+
+    await AuditLogService.record(caseId, 'settlement.payment_plan_accepted', {
+      actorId,
+      payload: { planId: plan.id, proposedBy: plan.created_by }
+    });
+
+    await this.notifyParties(caseId, {
+      title: 'Settlement payment plan agreed',
+      message: `${formatAmount(accepted.total_amount, accepted.currency)} is payable in ${installments.length} installment(s), the first due on ${installments[0].due_date}.`
+    });
+
+    return this.summarize(accepted, installments, []);
+  }
+
+  validatePlan(spec) {
+    const fail = (message) => { throw new HttpError(400, 'invalid_payment_plan', message); };
+
+    const totalAmount = Number(spec.totalAmount);
+    if (!(totalAmount > 0)) fail('totalAmount must be a positive amount');
+
+    let installments;
+    if (Array.isArray(spec.installments)) {
+      installments = spec.installments.map((installment, i) => {
+        const amount = Number(installment && installment.amount);
+        if (!(amount > 0)) fail(`Installment ${i + 1} needs a positive amount`);
+        if (!isValidDate(installment.dueDate)) fail(`Installment ${i + 1} needs a dueDate (YYYY-MM-DD)`);
+        return { amount: fromPaise(toPaise(amount)), dueDate: installment.dueDate };
+      });
+      const sum = installments.reduce((total, i) => total + toPaise(i.amount), 0);
+      if (sum !== toPaise(totalAmount)) fail(`Installments add up to ${fromPaise(sum)}, not ${totalAmount}`);
+    } else {
+      const count = Number(spec.count);
+      if (!Number.isInteger(count) || count < 1) fail('Give installments, or a count of installments');
+      if (!isValidDate(spec.firstDueDate)) fail('firstDueDate must be a date (YYYY-MM-DD)');
+      if (spec.frequency !== undefined && !FREQUENCIES.includes(spec.frequency)) {
+        fail(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+      }
+      if (toPaise(totalAmount) < count) fail('Each installment must be at least one paisa');
+      installments = this.buildSchedule({ totalAmount, count, firstDueDate: spec.firstDueDate, frequency: spec.frequency });
+    }
+
+    if (installments.length === 0 || installments.length > MAX_INSTALLMENTS) {
+      fail(`A plan has between 1 and ${MAX_INSTALLMENTS} installments`);
+    }
+    if (installments.some((installment, i) => i > 0 && installment.dueDate <= installments[i - 1].dueDate)) {
+      fail('Installment due dates must be in increasing order');
+    }
+
+    const graceDays = spec.graceDays === undefined ? 7 : Number(spec.graceDays);
+    if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > MAX_GRACE_DAYS) {
+      fail(`graceDays must be a whole number of days from 0 to ${MAX_GRACE_DAYS}`);
+    }
+
+    let latePenalty = null;
+    if (spec.latePenalty) {
+      const value = Number(spec.latePenalty.value);
+      if (!PENALTY_TYPES.includes(spec.latePenalty.type) || !(value >= 0) ||
+          (spec.latePenalty.type === 'percent' && value > 100)) {
+        fail('latePenalty must be { type: flat|percent, value } with a non-negative value (percent at most 100)');
+      }
+      latePenalty = { type: spec.latePenalty.type, value };
+    }
+
+    const defaultAction = spec.defaultAction || 'court_forwarding';
+    if (!DEFAULT_ACTIONS.includes(defaultAction)) fail(`defaultAction must be one of: ${DEFAULT_ACTIONS.join(', ')}`);
+
+    return {
+      totalAmount: fromPaise(toPaise(totalAmount)),
+      currency: spec.currency || 'INR',
+      installments,
+      graceDays,
+      latePenalty,
+      defaultAction
+    };
+  }
+
+  // First instant after the due date, and after the grace period
+  dueEnd(installment) {
+    return zonedTimeToUtc(shiftDate(installment.due_date, 1), '00:00', this.timezone);
+  }
+
+  graceEnd(plan, installment) {
+    return zonedTimeToUtc(shiftDate(installment.due_date, 1 + plan.grace_days), '00:00', this.timezone);
+  }
+
+  async scheduleInstallment(plan, installment) {
+    const now = this.now();
+    const jobs = this.reminderDays
+      .map(days => ({
+        payload: { kind: 'reminder', planId: plan.id, installmentId: installment.id, daysBefore: days },
+        runAt: zonedTimeToUtc(shiftDate(installment.due_date, -days), REMINDER_TIME, this.timezone)
+      }))
+      .filter(job => job.runAt > now);
+    jobs.push({
+      payload: { kind: 'default_check', planId: plan.id, installmentId: installment.id },
+      runAt: this.graceEnd(plan, installment)
+    });
+
+    for (const job of jobs) {
+      try {
+        await this.queue.enqueue(INSTALLMENT_QUEUE, job.payload, { runAt: job.runAt });
+      } catch (error) {
+        logger.error(`Scheduling ${job.payload.kind} for installment ${installment.id} failed:`, error.message || error);
+      }
+    }
+  }
+
+  penaltyFor(plan, installment) {
+    const penalty = plan.late_penalty;
+    if (!penalty || !(Number(penalty.value) > 0)) return 0;
+    const paise = penalty.type === 'percent'
+      ? Math.round(toPaise(installment.amount) * Number(penalty.value) / 100)
+      : toPaise(penalty.value);
+    return fromPaise(paise);
+  }
+
+  outstanding(installment) {
+    return fromPaise(toPaise(installment.amount) + toPaise(installment.penalty_amount || 0) - toPaise(installment.paid_amount || 0));
+  }
+
+  /**
+   * Log a payment against the case's plan
+   * payment: { amount, paidAt, method, reference, installmentId (apply from
+   * this installment on instead of the oldest outstanding) }
+   * receipt: an uploaded file { path, originalname, mimetype, size }
+   */
+  async recordPayment(caseId, payment = {}, receipt = null, actorId = null) {
+    const plan = await this.store.currentPlan(caseId);
+    if (!plan) throw new HttpError(404, 'payment_plan_not_found', 'This case has no payment plan');
+    if (plan.status === 'proposed') {
+      throw new HttpError(409, 'payment_plan_not_accepted', 'The payment plan has not been accepted yet');
+    }
+    if (plan.status === 'completed') throw new HttpError(409, 'payment_plan_completed', 'Every installment has already been paid');
+
+    const amount = Number(payment.amount);
+    if (!(amount > 0)) throw new HttpError(400, 'invalid_payment', 'amount must be a positive amount');
+    const paidAt = payment.paidAt ? new Date(payment.paidAt) : this.now();
+    if (Number.isNaN(paidAt.getTime()) || paidAt > this.now()) {
+      throw new HttpError(400, 'invalid_payment', 'paidAt must be a date that is not in the future');
+    }
+
+    const id = crypto.randomUUID();
+    const storedReceipt = receipt ? await this.storeReceipt(caseId, plan.id, id, receipt) : null;
+
+    let stored = null;
+    let allocations;
+    try {
+      for (let attempt = 1; !stored; attempt++) {
+        const allocation = await this.allocate(plan, toPaise(amount), paidAt, payment.installmentId);
+        allocations = allocation.allocations;
+        try {
+          stored = await this.store.applyPayment({
+            id,
+            plan_id: plan.id,
+            case_id: caseId,
+            amount: fromPaise(toPaise(amount)),
+            paid_at: paidAt.toISOString(),
+            method: payment.method || null,
+            reference: payment.reference || null,
+            allocations,
+            receipt: storedReceipt,
+            logged_by: actorId,
+            created_at: this.now().toISOString()
+          }, allocation.updates);
+        } catch (error) {
+          if (!(error instanceof PaymentAllocationConflictError)) throw error;
+          if (attempt >= MAX_ALLOCATION_ATTEMPTS) {
+            throw new HttpError(409, 'payment_conflict', 'Another payment was logged on this plan at the same time; try again');
+          }
+          logger.info(`Payment on plan ${plan.id} raced another payment; allocating again`);
+        }
+      }
+    } catch (error) {
+      if (storedReceipt) await this.removeReceipt(storedReceipt);
+      throw error;
+    }
+
+    await AuditLogService.record(caseId, 'settlement.payment_recorded', {
+      actorId,
+      payload: {
+        planId: plan.id,
+        paymentId: id,
+        amount: stored.amount,
+        paidAt: stored.paid_at,
+        method: stored.method,
+        reference: stored.reference,
+        allocations,
+        receiptSha256: stored.receipt ? stored.receipt.sha256 : null
+      }
+    });
+
+    const refreshed = await this.store.listInstallments(plan.id);
+    let current = plan;
+    if (plan.status === 'active' && refreshed.every(i => i.status === 'paid')) {
+      current = await this.store.updatePlan(plan.id, { status: 'completed' });
+      await AuditLogService.record(caseId, 'settlement.payment_plan_completed', { actorId, payload: { planId: plan.id } });
+      await this.notifyParties(caseId, {
+        title: 'Settlement paid in full',
+        message: `All ${refreshed.length} installment(s) of the settlement have been paid.`
+      });
+    }
+
+    return { payment: this.paymentView(stored), plan: this.summarize(current, refreshed, await this.store.listPayments(plan.id)) };
+  }
+
+  /**
+   * Split `paise` over the plan's outstanding installments, oldest first (or
+   * from installmentId on). Each update carries the installment state it was
+   * computed from, so applyPayment can refuse it if another payment got there
+   * first.
+   */
+  async allocate(plan, paise, paidAt, installmentId = null) {
+    const installments = await this.store.listInstallments(plan.id);
+    let open = installments.filter(i => i.status !== 'paid');
+    if (installmentId) {
+      const start = open.findIndex(i => i.id === installmentId);
+      if (start === -1) throw new HttpError(400, 'invalid_payment', 'That installment is not outstanding on this plan');
+      open = open.slice(start);
+    }
+
+    // Late installments take their penalty before the payment is applied
+    for (const installment of open) {
+      if (paidAt >= this.dueEnd(installment) && !(Number(installment.penalty_amount) > 0)) {
+        installment.penalty_amount = this.penaltyFor(plan, installment);
+      }
+    }
+
+    let remaining = paise;
+    const allocations = [];
+    const updates = [];
+    for (const installment of open) {
+      if (remaining === 0) break;
+      const applied = Math.min(remaining, toPaise(this.outstanding(installment)));
+      if (applied === 0) continue;
+      remaining -= applied;
+      const paidAmount = fromPaise(toPaise(installment.paid_amount || 0) + applied);
+      const settled = toPaise(paidAmount) >= toPaise(installment.amount) + toPaise(installment.penalty_amount || 0);
+      allocations.push({ installment_id: installment.id, sequence: installment.sequence, amount: fromPaise(applied) });
+      updates.push({
+        id: installment.id,
+        expected: { paid_amount: Number(installment.paid_amount) || 0, status: installment.status },
+        patch: {
+          paid_amount: paidAmount,
+          penalty_amount: Number(installment.penalty_amount) || 0,
+          status: settled ? 'paid' : installment.status === 'defaulted' ? 'defaulted' : 'partially_paid',
+          paid_at: settled ? paidAt.toISOString() : installment.paid_at
+        }
+      });
+    }
+    if (remaining > 0) {
+      throw new HttpError(400, 'overpayment', `The payment is ${formatAmount(fromPaise(remaining), plan.currency)} more than is outstanding`);
+    }
+    return { allocations, updates };
+  }
+
+  // Upload a receipt to the storage bucket and fingerprint it
+  async storeReceipt(caseId, planId, paymentId, file) {
+    const content = await fs.promises.readFile(file.path);
+    const mimeType = file.mimetype || 'application/octet-stream';
+    const storagePath = `payment-receipts/${caseId}/${planId}/${paymentId}${path.extname(file.originalname || '').toLowerCase()}`;
+    const { error } = await this.storage.from(this.bucket).upload(storagePath, content, { contentType: mimeType, upsert: false });
+    if (error) throw new Error(`Failed to store the receipt: ${error.message}`);
+    await fs.promises.rm(file.path, { force: true });
+    return {
+      file_name: file.originalname || path.basename(storagePath),
+      mime_type: mimeType,
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      storage_path: storagePath
+    };
+  }
+
+  // Best effort: the receipt of a payment that was not recorded
+  async removeReceipt(receipt) {
+    const { error } = await this.storage.from(this.bucket).remove([receipt.storage_path]);
+    if (error) logger.warn(`Could not remove receipt ${receipt.storage_path}:`, error.message);
+  }
+
+  async getReceipt(caseId, paymentId) {
+    const payment = await this.store.findPayment(paymentId);
+    if (!payment || payment.case_id !== caseId || !payment.receipt) {
+      throw new HttpError(404, 'receipt_not_found', 'No receipt for that payment');
+    }
+    const { data, error } = await this.storage.from(this.bucket).download(payment.receipt.storage_path);
+    if (error || !data) throw new Error(`Receipt of payment ${paymentId} is missing from storage`);
+    return {
+      content: Buffer.from(await data.arrayBuffer()),
+      fileName: payment.receipt.file_name,
+      mimeType: payment.receipt.mime_type
+    };
+  }
+
+  /**
+   * Runs the queued reminders and default checks. Paid installments and
+   * plans that are no longer active are skipped.
+   */
+  async handleJob({ kind, planId, installmentId, daysBefore }) {
+    const plan = await this.store.findPlan(planId);
+    const installment = await this.store.findInstallment(installmentId);
+    if (!plan || !installment) return { skipped: 'not_found' };
+
+    if (kind === 'default_check' && plan.status === 'defaulted' && plan.default_installment_id === installment.id &&
+        plan.default_action_status !== 'completed') {
+      // The default action failed last time
+      return this.runDefaultAction(plan, installment);
+    }
+    if (plan.status !== 'active' || installment.status === 'paid') return { skipped: installment.status === 'paid' ? 'paid' : plan.status };
+
+    if (kind === 'reminder') return this.sendReminder(plan, installment, daysBefore);
+    if (kind === 'default_check') {
+      if (this.now() < this.graceEnd(plan, installment)) return { skipped: 'not_due' };
+      return this.declareDefault(plan, installment);
+    }
+    const error = new Error(`Unknown installment job: ${kind}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  async sendReminder(plan, installment, daysBefore) {
+    const count = (await this.store.listInstallments(plan.id)).length;
+    const recipients = plan.payer_id ? [plan.payer_id] : await this.parties.list(plan.case_id);
+    await this.notifyParties(plan.case_id, {
+      title: `Settlement installment due in ${daysBefore} day${daysBefore === 1 ? '' : 's'}`,
+      message: `Installment ${installment.sequence} of ${count} (${formatAmount(this.outstanding(installment), plan.currency)} outstanding) is due on ${installment.due_date}.` +
+        (plan.grace_days > 0 ? ` It becomes a default if unpaid ${plan.grace_days} day(s) after that.` : ''),
+      type: this.notifications.notificationTypes.DEADLINE_APPROACHING,
+      priority: daysBefore <= 1 ? this.notifications.priorities.HIGH : this.notifications.priorities.MEDIUM
+    }, recipients);
+    return { reminded: recipients.length };
+  }
+
+  async declareDefault(plan, installment) {
+    const outstanding = this.outstanding(installment);
+    logger.warn(`Settlement payment plan ${plan.id} defaulted on installment ${installment.sequence}`, { caseId: plan.case_id });
+
+    await this.store.updateInstallment(installment.id, { status: 'defaulted' });
+    const defaulted = await this.store.updatePlan(plan.id, {
+      status: 'defaulted',
+      defaulted_at: this.now().toISOString(),
+      default_installment_id: installment.id
+    });
+
+    await AuditLogService.record(plan.case_id, 'settlement.payment_defaulted', {
+      payload: {
+        planId: plan.id,
+        installment: installment.sequence,
+        dueDate: installment.due_date,
+        outstanding,
+        defaultAction: plan.default_action
+      }
+    });
+
+    await this.notifyParties(plan.case_id, {
+      title: 'Settlement installment missed',
+      message: `Installment ${installment.sequence} (due ${installment.due_date}) was not paid within the grace period; ${formatAmount(outstanding, plan.currency)} is outstanding. ` +
+        (plan.default_action === 'reopen' ? 'The case has been reopened.' : 'The case is being forwarded to court.'),
+      type: this.notifications.notificationTypes.CASE_UPDATE,
+      priority: this.notifications.priorities.URGENT
+    });
+
+    return this.runDefaultAction(defaulted, installment);
+  }
+
+  // Reopen the case or forward it to court. A failed court forwarding is
+  // recorded and thrown so the queued default check is retried.
+  async runDefaultAction(plan, installment) {
+    const { DisputeStage } = this.workflow;
+    const stage = plan.default_action === 'reopen' ? DisputeStage.REANALYSIS : DisputeStage.FORWARDED_TO_COURT;
+    let transitioned = true;
+    try {
+      await this.workflow.transitionStage(plan.case_id, stage, 'system',
+        `Settlement installment ${installment.sequence} (due ${installment.due_date}) not paid`);
+    } catch (error) {
+      transitioned = false;
+      logger.warn(`Could not move case ${plan.case_id} to ${stage} after a payment default:`, error.message || error);
+    }
+
+    if (plan.default_action === 'reopen') {
+      const status = transitioned ? 'completed' : 'failed';
+      await this.store.updatePlan(plan.id, { default_action_status: status, default_action_error: transitioned ? null : `Workflow does not allow ${stage}` });
+      return { defaulted: true, action: 'reopen', status };
+    }
+
+    const outstanding = (await this.store.listInstallments(plan.id))
+      .filter(i => i.status !== 'paid')
+      .reduce((total, i) => total + toPaise(this.outstanding(i)), 0);
+    try {
+      const filing = await this.forwarding.autoForwardCase(plan.case_id, 'settlement_default', {
+        planId: plan.id,
+        missedInstallment: installment.sequence,
+        dueDate: installment.due_date,
+        outstandingAmount: fromPaise(outstanding),
+        reliefSought: `Payment of ${formatAmount(fromPaise(outstanding), plan.currency)} outstanding under the settlement agreement, with interest and costs`
+      });
+      await this.store.updatePlan(plan.id, { default_action_status: 'completed', default_action_error: null });
+      return { defaulted: true, action: 'court_forwarding', status: 'completed', filingId: filing && filing.filingId };
+    } catch (error) {
+      await this.store.updatePlan(plan.id, { default_action_status: 'failed', default_action_error: error.message });
+      throw error;
+    }
+  }
+
+  async notifyParties(caseId, { title, message, type, priority }, recipients = null) {
+    try {
+      const userIds = recipients || await this.parties.list(caseId);
+      for (const userId of userIds) {
+        await this.notifications.createNotification({
+          userId,
+          caseId,
+          type: type || this.notifications.notificationTypes.CASE_UPDATE,
+          title,
+          message,
+          priority: priority || this.notifications.priorities.MEDIUM,
+          actionUrl: `/disputes/${caseId}/payments`
+        });
+      }
+    } catch (error) {
+      logger.error(`Notifying parties of case ${caseId} about payments failed:`, error.message || error);
+    }
+  }
+
+  async getPlan(caseId) {
+    const plan = await this.store.currentPlan(caseId);
+    if (!plan) return null;
+    const [installments, payments] = await Promise.all([this.store.listInstallments(plan.id), this.store.listPayments(plan.id)]);
+    return this.summarize(plan, installments, payments);
+  }
+
+  // Whether the case's plan is in default (workflow guard for reopening a settled case)
+  async hasDefault(caseId) {
+    const plan = await this.store.currentPlan(caseId);
+    return Boolean(plan && plan.status === 'defaulted');
+  }
+
+  summarize(plan, installments, payments) {
+    const now = this.now();
+    const sum = (values) => fromPaise(values.reduce((total, v) => total + toPaise(v || 0), 0));
+    const rows = installments.map(installment => ({
+      id: installment.id,
+      sequence: installment.sequence,
+      amount: Number(installment.amount),
+      dueDate: installment.due_date,
+      graceEndsAt: this.graceEnd(plan, installment).toISOString(),
+      status: installment.status,
+      paidAmount: Number(installment.paid_amount) || 0,
+      penaltyAmount: Number(installment.penalty_amount) || 0,
+      outstanding: this.outstanding(installment),
+      overdue: installment.status !== 'paid' && now >= this.dueEnd(installment),
+      paidAt: installment.paid_at
+    }));
+    const next = rows.find(r => r.status !== 'paid');
+
+    return {
+      id: plan.id,
+      caseId: plan.case_id,
+      status: plan.status,
+      totalAmount: Number(plan.total_amount),
+      currency: plan.currency,
+      graceDays: plan.grace_days,
+      latePenalty: plan.late_penalty,
+      defaultAction: plan.default_action,
+      payerId: plan.payer_id,
+      payeeId: plan.payee_id,
+      proposedBy: plan.created_by,
+      acceptedBy: plan.accepted_by || null,
+      acceptedAt: plan.accepted_at || null,
+      defaultedAt: plan.defaulted_at,
+      defaultActionStatus: plan.default_action_status,
+      createdAt: plan.created_at,
+      paidAmount: sum(rows.map(r => r.paidAmount)),
+      penalties: sum(rows.map(r => r.penaltyAmount)),
+      outstanding: sum(rows.map(r => r.outstanding)),
+      nextDue: next ? { sequence: next.sequence, dueDate: next.dueDate, outstanding: next.outstanding } : null,
+      installments: rows,
+      payments: payments.map(p => this.paymentView(p))
+    };
+  }
+
+  // Receipts are served through getReceipt; the stored path stays internal
+  paymentView(payment) {
+    const receipt = payment.receipt
+      ? { fileName: payment.receipt.file_name, mimeType: payment.receipt.mime_type, size: payment.receipt.size, sha256: payment.receipt.sha256 }
+      : null;
+    return {
+      id: payment.id,
+      amount: Number(payment.amount),
+      paidAt: payment.paid_at,
+      method: payment.method,
+      reference: payment.reference,
+      allocations: payment.allocations,
+      receipt,
+      loggedBy: payment.logged_by,
+      createdAt: payment.created_at
+    };
+  }
+}
+
+module.exports = new SettlementPaymentService();
+module.exports.SettlementPaymentService = SettlementPaymentService;
+module.exports.INSTALLMENT_QUEUE = INSTALLMENT_QUEUE;
+module.exports.formatAmount = formatAmount;
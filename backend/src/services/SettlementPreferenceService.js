@@ -0,0 +1,376 @@
+// Settlement Preference Service - ranked choices instead of a single pick
+// Each voting party (ConsensusService) ranks every settlement option of the
+// case and marks each one acceptable or unacceptable. A party may also give
+// a private reservation range: the settlement amounts it could live with. An
+// option outside a party's range is unacceptable to that party whatever it
+// was marked. Once everyone who counts under the case's consensus rule has
+// ranked every option, the best mutually acceptable option (lowest weighted
+// average rank) is the consensus. Without one, the overlap of the
+// reservation ranges steers the compromise SettlementAIService generates.
+// The outcome is acted on once, while the case awaits selection; the
+// compromise puts it back there for everyone to rank the new option.
+// Reservation ranges are only ever returned to the party that set them.
+const logger = require('../lib/logger');
+const { supabaseAdmin } = require('../lib/supabaseClient');
+const HttpError = require('../lib/HttpError');
+const ConsensusService = require('./ConsensusService');
+const SettlementAIService = require('./SettlementAIService');
+const NotificationService = require('./NotificationService');
+const DisputeWorkflowService = require('./DisputeWorkflowService');
+const AuditLogService = require('./AuditLogService');
+
+class SettlementPreferenceService {
+  constructor(options = {}) {
+    this.supabase = options.supabase || supabaseAdmin;
+    this.consensus = options.consensus || ConsensusService;
+  }
+
+  /**
+   * Record a party's ranking of every option of the case
+   * rankings: [{ optionId, rank (1 = most preferred), acceptable }]
+   * reservation: { min, max } in settlement amount, either bound optional, or null
+   */
+  async submitPreferences(caseId, userId, { rankings, reservation = null } = {}) {
+    const { voters } = await this.consensus.loadCase(caseId);
+    const voter = voters.find(v => v.userId === String(userId));
+    if (!voter) {
+      throw new HttpError(403, 'not_a_voting_party', 'User is not a voting party in this case');
+    }
+
+    const options = await this.loadOptions(caseId);
+    if (options.length === 0) {
+      throw new HttpError(409, 'no_settlement_options', 'This case has no settlement options to rank yet');
+    }
+    const normalized = this.validateRankings(rankings, options);
+    const range = this.validateReservation(reservation);
+
+    const { data: row, error } = await this.supabase
+      .from('party_option_preferences')
+      .upsert({
+        case_id: caseId,
+        user_id: userId,
+        party_role: voter.role,
+        rankings: normalized,
+        reservation_min: range.min,
+        reservation_max: range.max,
+        submitted_at: new Date().toISOString()
+      }, {
+        onConflict: 'case_id,user_id'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record preferences: ${error.message}`);
+    }
+
+    // The audit trail is shared with the other parties: no amounts
+    await AuditLogService.record(caseId, 'settlement.preferences_submitted', {
+      actorId: userId,
+      payload: {
+        partyRole: voter.role,
+        ranked: normalized.length,
+        acceptable: normalized.filter(r => r.acceptable).length,
+        hasReservation: range.min !== null || range.max !== null
+      }
+    });
+
+    const outcome = await this.resolve(caseId);
+    return { preferences: this.ownView(row), outcome: this.publicOutcome(outcome) };
+  }
+
+  validateRankings(rankings, options) {
+    if (!Array.isArray(rankings) || rankings.length === 0) {
+      throw new HttpError(400, 'invalid_preferences', 'rankings must list every settlement option');
+    }
+    const optionIds = new Set(options.map(o => String(o.option_id)));
+    const seenOptions = new Set();
+    const seenRanks = new Set();
+    const normalized = rankings.map((entry) => {
+      const optionId = String((entry && (entry.optionId || entry.option_id)) || '');
+      const rank = Number(entry && entry.rank);
+      if (!optionIds.has(optionId)) {
+        throw new HttpError(400, 'invalid_preferences', `Unknown settlement option: ${optionId}`);
+      }
+      if (seenOptions.has(optionId)) {
+        throw new HttpError(400, 'invalid_preferences', `Option ${optionId} is ranked twice`);
+      }
+      if (!Number.isInteger(rank) || rank < 1 || rank > optionIds.size || seenRanks.has(rank)) {
+        throw new HttpError(400, 'invalid_preferences', `Ranks must be distinct whole numbers from 1 to ${optionIds.size}`);
+      }
+      if (typeof entry.acceptable !== 'boolean') {
+        throw new HttpError(400, 'invalid_preferences', `Mark option ${optionId} acceptable or unacceptable`);
+      }
+      seenOptions.add(optionId);
+      seenRanks.add(rank);
+      return { option_id: optionId, rank, acceptable: entry.acceptable };
+    });
+
+    const missing = [...optionIds].filter(id => !seenOptions.has(id));
+    if (missing.length > 0) {
+      throw new HttpError(400, 'invalid_preferences', `Rank every settlement option; missing: ${missing.join(', ')}`);
+    }
+    return normalized.sort((a, b) => a.rank - b.rank);
+  }
+
+  validateReservation(reservation) {
+    if (reservation === null || reservation === undefined) return { min: null, max: null };
+    const bound = (value, name) => {
+      if (value === null || value === undefined || value === '') return null;
+      const amount = Number(value);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new HttpError(400, 'invalid_reservation', `reservation.${name} must be a non-negative amount`);
+      }
+      return amount;
+    };
+    const min = bound(reservation.min, 'min');
+    const max = bound(reservation.max, 'max');
+    if (min !== null && max !== null && min > max) {
+      throw new HttpError(400, 'invalid_reservation', 'reservation.min must not exceed reservation.max');
+    }
+    return { min, max };
+  }
+
+  async loadOptions(caseId) {
+    const { data, error } = await this.supabase
+      .from('settlement_options')
+      .select('option_id, option_rank, option_type, complainant_receives')
+      .eq('case_id', caseId);
+    if (error) throw new Error(`Failed to load settlement options: ${error.message}`);
+    return data || [];
+  }
+
+  async loadPreferences(caseId) {
+    const { data, error } = await this.supabase
+      .from('party_option_preferences')
+      .select('*')
+      .eq('case_id', caseId);
+    if (error) throw new Error(`Failed to load preferences: ${error.message}`);
+    return data || [];
+  }
+
+  withinReservation(preference, amount) {
+    const value = Number(amount);
+    if (amount === null || amount === undefined || !Number.isFinite(value)) return true;
+    if (preference.reservation_min !== null && preference.reservation_min !== undefined && value < Number(preference.reservation_min)) return false;
+    if (preference.reservation_max !== null && preference.reservation_max !== undefined && value > Number(preference.reservation_max)) return false;
+    return true;
+  }
+
+  /**
+   * Amounts inside every given reservation range, or null when no party set
+   * one or the ranges do not meet. Either bound is null when nobody set it.
+   */
+  overlap(preferences) {
+    const mins = preferences.map(p => p.reservation_min).filter(v => v !== null && v !== undefined).map(Number);
+    const maxes = preferences.map(p => p.reservation_max).filter(v => v !== null && v !== undefined).map(Number);
+    if (mins.length === 0 && maxes.length === 0) return null;
+    const min = mins.length > 0 ? Math.max(...mins) : null;
+    const max = maxes.length > 0 ? Math.min(...maxes) : null;
+    if (min !== null && max !== null && min > max) return null;
+    return { min, max };
+  }
+
+  /**
+   * Apply the case's consensus rule to the rankings. An option qualifies
+   * when every counted party finds it acceptable (weighted rule: parties
+   * holding `threshold` of the voting weight); the qualifying option with the
+   * lowest weighted average rank wins, ties going to the AI's own ranking.
+   * Returns { consensus, reason, optionId, mode, threshold, pending, options,
+   * zone }; zone is the reservation overlap and must not leave the server.
+   */
+  evaluate(voters, preferences, options, rule) {
+    const { mode, threshold } = this.consensus.normalizeRule(rule);
+    const counted = mode === 'principal_unanimous' ? voters.filter(v => v.principal) : voters;
+    const byUser = new Map(preferences.map(p => [String(p.user_id), p]));
+    const rankingOf = (preference, optionId) =>
+      (preference.rankings || []).find(r => String(r.option_id) === String(optionId));
+
+    // A party that has not ranked an option added since (a compromise) is pending
+    const pending = counted
+      .filter((voter) => {
+        const preference = byUser.get(voter.userId);
+        return !preference || options.some(o => !rankingOf(preference, o.option_id));
+      })
+      .map(v => v.userId);
+    const result = { mode, threshold, pending, options: [], zone: null, optionId: null };
+
+    if (counted.length === 0) return { ...result, consensus: false, reason: 'no_voting_parties' };
+    if (options.length === 0) return { ...result, consensus: false, reason: 'no_options' };
+    if (pending.length > 0) return { ...result, consensus: false, reason: 'waiting_for_preferences' };
+
+    const totalWeight = counted.reduce((sum, v) => sum + v.weight, 0);
+    const summary = options.map((option) => {
+      let acceptedWeight = 0;
+      let rankSum = 0;
+      let acceptedCount = 0;
+      for (const voter of counted) {
+        const preference = byUser.get(voter.userId);
+        const ranking = rankingOf(preference, option.option_id);
+        rankSum += ranking.rank * voter.weight;
+        if (ranking.acceptable && this.withinReservation(preference, option.complainant_receives)) {
+          acceptedWeight += voter.weight;
+          acceptedCount++;
+        }
+      }
+      return {
+        optionId: option.option_id,
+        optionRank: option.option_rank,
+        averageRank: rankSum / totalWeight,
+        acceptedCount,
+        share: acceptedWeight / totalWeight
+      };
+    }).sort((a, b) => a.averageRank - b.averageRank || (a.optionRank || 0) - (b.optionRank || 0));
+
+    const qualifies = (entry) => (mode === 'weighted'
+      ? entry.share >= threshold - 1e-9
+      : entry.acceptedCount === counted.length);
+    const best = summary.find(qualifies);
+
+    if (best) {
+      return { ...result, options: summary, consensus: true, reason: 'mutually_acceptable', optionId: best.optionId };
+    }
+    return {
+      ...result,
+      options: summary,
+      consensus: false,
+      reason: 'no_mutually_acceptable_option',
+      zone: this.overlap(counted.map(v => byUser.get(v.userId)))
+    };
+  }
+
+  /**
+   * Evaluate the case's rankings and act on the outcome: settle on the best
+   * mutually acceptable option, or generate a compromise from the parties'
+   * first choices inside the reservation overlap. Acts only once everyone
+   * who counts has ranked every option and only while the case is awaiting
+   * selection, so re-submitting after the outcome changes nothing.
+   */
+  async resolve(caseId) {
+    const { rule, voters } = await this.consensus.loadCase(caseId);
+    const [options, preferences] = await Promise.all([this.loadOptions(caseId), this.loadPreferences(caseId)]);
+    const outcome = this.evaluate(voters, preferences, options, rule);
+
+    if (!outcome.consensus && outcome.reason !== 'no_mutually_acceptable_option') return outcome;
+    if (!(await this.awaitingSelection(caseId))) {
+      logger.info('Ranked preferences recorded outside the selection stage', { caseId, reason: outcome.reason });
+      return outcome;
+    }
+
+    if (outcome.consensus) {
+      logger.info('Ranked preferences reached consensus', { caseId, optionId: outcome.optionId });
+      await DisputeWorkflowService.transitionStage(
+        caseId,
+        DisputeWorkflowService.DisputeStage.CONSENSUS_REACHED,
+        'system',
+        'Best mutually acceptable option chosen from the parties\' ranked preferences'
+      );
+      await AuditLogService.record(caseId, 'settlement.preferences_resolved', {
+        payload: { optionId: outcome.optionId, mode: outcome.mode }
+      });
+      await NotificationService.notifyConsensusReached(caseId);
+      return outcome;
+    }
+
+    if (outcome.reason !== 'no_mutually_acceptable_option') return outcome;
+
+    logger.info('No mutually acceptable option in ranked preferences', { caseId, withOverlap: Boolean(outcome.zone) });
+
+    const compromiseOption = await SettlementAIService.generateCompromiseOption(
+      caseId,
+      this.firstChoices(voters, preferences, outcome),
+      { zone: outcome.zone }
+    );
+
+    await DisputeWorkflowService.transitionStage(
+      caseId,
+      DisputeWorkflowService.DisputeStage.REANALYSIS,
+      'system',
+      'No option was acceptable to every party - compromise generated from ranked preferences'
+    );
+    // Every party ranks the compromise before the next resolution
+    await DisputeWorkflowService.transitionStage(
+      caseId,
+      DisputeWorkflowService.DisputeStage.AWAITING_SELECTION,
+      'system',
+      'Compromise option added for ranking'
+    );
+    await this.consensus._notifyCompromiseGenerated(caseId, compromiseOption);
+
+    return { ...outcome, compromiseOption };
+  }
+
+  async awaitingSelection(caseId) {
+    const { success, workflow, error } = await DisputeWorkflowService.getWorkflow(caseId);
+    if (!success) logger.warn(`No workflow to resolve preferences of case ${caseId}: ${error}`);
+    return Boolean(success && workflow) && workflow.current_stage === DisputeWorkflowService.DisputeStage.AWAITING_SELECTION;
+  }
+
+  // Each counted party's first choice, weighted, for the compromise generator.
+  // When everyone put the same option first, the runner-up goes in too.
+  firstChoices(voters, preferences, outcome) {
+    const counted = outcome.mode === 'principal_unanimous' ? voters.filter(v => v.principal) : voters;
+    const tallies = new Map();
+    for (const voter of counted) {
+      const preference = preferences.find(p => String(p.user_id) === voter.userId);
+      const optionId = [...preference.rankings].sort((a, b) => a.rank - b.rank)[0].option_id;
+      const entry = tallies.get(optionId) || { optionId, weight: 0, supporters: 0 };
+      entry.weight += voter.weight;
+      entry.supporters++;
+      tallies.set(optionId, entry);
+    }
+    const choices = [...tallies.values()].sort((a, b) => b.weight - a.weight);
+    if (choices.length < 2) {
+      const runnerUp = outcome.options.find(o => !tallies.has(o.optionId));
+      if (runnerUp) choices.push({ optionId: runnerUp.optionId, weight: 0, supporters: 0 });
+    }
+    return choices;
+  }
+
+  /**
+   * The caller's own preferences (with their reservation range), who else has
+   * ranked the options, and the outcome. Other parties' rankings and ranges
+   * are not included.
+   */
+  async getPreferences(caseId, userId) {
+    const { rule, voters } = await this.consensus.loadCase(caseId);
+    const [options, preferences] = await Promise.all([this.loadOptions(caseId), this.loadPreferences(caseId)]);
+    const own = preferences.find(p => String(p.user_id) === String(userId));
+    const outcome = this.evaluate(voters, preferences, options, rule);
+
+    return {
+      preferences: own ? this.ownView(own) : null,
+      parties: voters.map((voter) => {
+        const preference = preferences.find(p => String(p.user_id) === voter.userId);
+        return {
+          userId: voter.userId,
+          role: voter.role,
+          principal: voter.principal,
+          submitted: Boolean(preference),
+          submittedAt: preference ? preference.submitted_at : null
+        };
+      }),
+      outcome: this.publicOutcome(outcome)
+    };
+  }
+
+  ownView(row) {
+    return {
+      rankings: (row.rankings || []).map(r => ({ optionId: r.option_id, rank: r.rank, acceptable: r.acceptable })),
+      reservation: (row.reservation_min ?? null) === null && (row.reservation_max ?? null) === null
+        ? null
+        : { min: row.reservation_min, max: row.reservation_max },
+      submittedAt: row.submitted_at
+    };
+  }
+
+  // The outcome without the reservation overlap, which would reveal the
+  // other parties' limits
+  publicOutcome(outcome) {
+    const { zone, ...rest } = outcome;
+    return rest;
+  }
+}
+
+module.exports = new SettlementPreferenceService();
+module.exports.SettlementPreferenceService = SettlementPreferenceService;
@@ -1,11 +1,15 @@
 // Digital Signature Service - Handle document signing workflows
+// Tracks multi-party signature requests; the signed PDF itself is produced by
+// DocumentSigningService.
 const DigitalSignature = require('../models/DigitalSignature');
-const Case = require('../models/Case');
+const AuthorizationService = require('./AuthorizationService');
 const Evidence = require('../models/Evidence');
-const { logger } = require('../lib/logger');
+const logger = require('../lib/logger');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const RealTimeService = require('./RealTimeService');
+const WebhookService = require('./WebhookService');
+const AuditLogService = require('./AuditLogService');
 
 class SignatureService {
   constructor() {
@@ -26,7 +30,7 @@ class SignatureService {
       } = requestData;
 
       // Verify case access
-      if (!await Case.hasAccess(case_id, requestingUserId)) {
+      if (!await AuthorizationService.can(requestingUserId, 'settlement:propose', case_id)) {
         throw new Error('Access denied to case');
       }
 
@@ -182,6 +186,18 @@ class SignatureService {
 
       await this.updateSignerRecord(signerRecord.id, signatureUpdate);
 
+      await AuditLogService.record(signatureRequest.case_id, 'signature.signed', {
+        actorId: signingUserId,
+        occurredAt: signatureUpdate.signed_at,
+        payload: {
+          signatureRequestId: signatureRequest.id,
+          signerId: signerRecord.id,
+          documentType: signatureRequest.document_type,
+          signatureType: signature_type,
+          signatureHash
+        }
+      });
+
       // Update signature request progress
       await this.updateSignatureProgress(signatureRequest.id);
 
@@ -233,7 +249,7 @@ class SignatureService {
       }
 
       // Verify access to case
-      if (!await Case.hasAccess(signatureRequest.case_id, userId)) {
+      if (!await AuthorizationService.can(userId, 'settlement:view', signatureRequest.case_id)) {
         throw new Error('Access denied to signature request');
       }
 
@@ -330,6 +346,23 @@ class SignatureService {
         );
       }
 
+      await AuditLogService.record(signatureRequest.case_id, 'signature.completed', {
+        occurredAt: signatureRequest.completed_at || undefined,
+        payload: {
+          signatureRequestId: requestId,
+          documentType: signatureRequest.document_type,
+          totalSigners: signatureRequest.total_signers
+        }
+      });
+
+      await WebhookService.publish('signature.completed', {
+        caseId: signatureRequest.case_id,
+        signatureRequestId: requestId,
+        documentType: signatureRequest.document_type,
+        totalSigners: signatureRequest.total_signers,
+        completedAt: signatureRequest.completed_at
+      });
+
       logger.info(`Signature request completed: ${requestId}`);
 
     } catch (error) {
@@ -404,7 +437,7 @@ class SignatureService {
 
       // Verify permission to cancel
       if (signatureRequest.requesting_user_id !== userId) {
-        if (!await Case.hasAccess(signatureRequest.case_id, userId)) {
+        if (!await AuthorizationService.can(userId, 'settlement:propose', signatureRequest.case_id)) {
           throw new Error('Access denied to cancel signature request');
         }
       }
@@ -446,7 +479,7 @@ class SignatureService {
   // Get signature requests for a case
   async getCaseSignatureRequests(caseId, userId) {
     try {
-      if (!await Case.hasAccess(caseId, userId)) {
+      if (!await AuthorizationService.can(userId, 'settlement:view', caseId)) {
         throw new Error('Access denied to case');
       }
 
@@ -1,16 +1,41 @@
 // Statement Service - Manage party statements for disputes
+// Statements are kept in the language they were written in, which is the
+// authoritative text. Machine translations (TranslationService) are stored
+// alongside for the other parties and for the AI pipeline, which reads
+// statements in ANALYSIS_LANGUAGE.
 const { supabase } = require('../lib/supabaseClient');
-const { logger } = require('../lib/logger');
+const logger = require('../lib/logger');
 const { v4: uuidv4 } = require('uuid');
-const Case = require('../models/Case');
+const crypto = require('crypto');
+const AuthorizationService = require('./AuthorizationService');
 const CaseParty = require('../models/CaseParty');
+const SearchIndexService = require('./SearchIndexService');
+const AuditLogService = require('./AuditLogService');
+const TranslationService = require('./TranslationService');
+const NotificationPreferenceService = require('./NotificationPreferenceService');
+const { detectLanguage, isSupportedLanguage, languageName } = require('../lib/languages');
+
+const ANALYSIS_LANGUAGE = process.env.ANALYSIS_LANGUAGE || 'en';
+
+// { [language]: translation } of a statement row
+function storedTranslations(statement) {
+  return typeof statement.translations === 'string'
+    ? JSON.parse(statement.translations || '{}')
+    : { ...(statement.translations || {}) };
+}
 
 class StatementService {
-  // Submit or update a statement
-  async submitStatement(caseId, partyUserId, content, attachments = []) {
+  // Submit or update a statement; the language is detected from the script
+  // unless the party names it (e.g. Marathi, which shares Hindi's script)
+  async submitStatement(caseId, partyUserId, content, attachments = [], language = null) {
     try {
       logger.info(`Submitting statement for case ${caseId} by user ${partyUserId}`);
 
+      if (language && !isSupportedLanguage(language)) {
+        throw new Error(`Unsupported language: ${language}`);
+      }
+      const detected = detectLanguage(content);
+
       // Verify party is part of the case
       const party = await CaseParty.findOne({
         case_id: caseId,
@@ -50,8 +75,11 @@ class StatementService {
         submitted_at: new Date().toISOString(),
         is_finalized: false,
         word_count: content.split(/\s+/).length,
+        language: language || detected.language,
+        translations: {},
         metadata: JSON.stringify({
           attachmentCount: attachments.length,
+          detectedLanguage: detected,
           editHistory: existing ? [...(JSON.parse(existing.metadata || '{}').editHistory || []), {
             version: existing.version,
             timestamp: existing.submitted_at
@@ -69,6 +97,9 @@ class StatementService {
         throw new Error(`Failed to submit statement: ${error.message}`);
       }
 
+      // Drafts are not searchable; the statement is indexed once finalized
+      if (existing) await SearchIndexService.remove('statement', existing.id);
+
       logger.info(`Statement submitted successfully`, { statementId: data.id, version });
 
       return {
@@ -124,6 +155,20 @@ class StatementService {
         throw new Error(`Failed to finalize statement: ${error.message}`);
       }
 
+      await SearchIndexService.index('statement', data);
+
+      // The hash pins the finalized wording without copying it into the log
+      await AuditLogService.record(caseId, 'statement.finalized', {
+        actorId: partyUserId,
+        payload: {
+          statementId: data.id,
+          version: data.version,
+          contentSha256: crypto.createHash('sha256').update(data.content || '').digest('hex')
+        }
+      });
+
+      await this.prepareTranslations(caseId, data);
+
       // Check if both parties have finalized
       await this.checkBothFinalized(caseId);
 
@@ -195,11 +240,87 @@ class StatementService {
     }
   }
 
-  // Get all statements for a case
-  async getCaseStatements(caseId, userId) {
+  // Translate a finalized statement for the AI pipeline and for the other
+  // parties' preferred languages. Failures are logged; translations missing
+  // here are made when the statement is next read.
+  async prepareTranslations(caseId, statement) {
+    try {
+      const parties = await CaseParty.findAll({ case_id: caseId });
+      const languages = await Promise.all(parties
+        .filter(party => party.user_id !== statement.party_id)
+        .map(party => NotificationPreferenceService.languageOf(party.user_id)));
+
+      for (const language of new Set([ANALYSIS_LANGUAGE, ...languages])) {
+        await this.translationFor(statement, language);
+      }
+    } catch (error) {
+      logger.warn(`Translating statement ${statement.id} failed:`, error.message || error);
+    }
+  }
+
+  /**
+   * The statement in another language: the stored translation when it was
+   * made from the current text, otherwise a new one, which is saved.
+   * Returns null when the statement is already in that language.
+   */
+  async translationFor(statement, language) {
+    const from = statement.language || 'en';
+    if (from === language) return null;
+
+    const translations = storedTranslations(statement);
+    if (TranslationService.isCurrent(translations[language], statement.content)) {
+      return translations[language];
+    }
+
+    const translation = await TranslationService.translate(statement.content, { from, to: language });
+    translations[language] = translation;
+    const { error } = await supabase
+      .from('case_statements')
+      .update({ translations })
+      .eq('id', statement.id);
+    if (error) {
+      logger.warn(`Could not save the ${language} translation of statement ${statement.id}: ${error.message}`);
+    }
+    statement.translations = translations;
+    return translation;
+  }
+
+  // Make sure each statement has its ANALYSIS_LANGUAGE translation before the
+  // statements go into an AI prompt
+  async withAnalysisTranslations(statements) {
+    for (const statement of statements) {
+      try {
+        await this.translationFor(statement, ANALYSIS_LANGUAGE);
+      } catch (error) {
+        logger.warn(`No ${ANALYSIS_LANGUAGE} translation of statement ${statement.id}; the original goes to the AI:`, error.message || error);
+      }
+    }
+    return statements;
+  }
+
+  // Statement text for AI prompts: the translation first, then the original,
+  // which the AI is told is authoritative
+  analysisText(statement) {
+    if (!statement) return null;
+    const from = statement.language || 'en';
+    const translations = storedTranslations(statement);
+    const translation = translations[ANALYSIS_LANGUAGE];
+    if (from === ANALYSIS_LANGUAGE || !TranslationService.isCurrent(translation, statement.content)) {
+      return statement.content;
+    }
+
+    return `[Written in ${languageName(from)}. A machine translation into ${languageName(ANALYSIS_LANGUAGE)} follows, then the original. ` +
+      `The original is authoritative: where the two differ, rely on the original.]\n\n${translation.text}\n\n` +
+      `--- Original (${languageName(from)}) ---\n${statement.content}`;
+  }
+
+  // Get all statements for a case. With options.language, statements written
+  // in another language carry a `translation` into it; `content` is always the
+  // original.
+  async getCaseStatements(caseId, userId, options = {}) {
     try {
       // Verify user has access to case
-      if (!await Case.hasAccess(caseId, userId)) {
+      if (!await AuthorizationService.can(userId, 'statement:view', caseId)) {
         throw new Error('Access denied to case statements');
       }
 
@@ -224,6 +345,12 @@ class StatementService {
         metadata: JSON.parse(stmt.metadata || '{}')
       }));
 
+      if (options.language) {
+        for (const statement of statements) {
+          statement.translation = await this.readerTranslation(statement, options.language);
+        }
+      }
+
       return {
         success: true,
         statements
@@ -238,6 +365,23 @@ class StatementService {
     }
   }
 
+  // Translation shown to a reader; a failed translation leaves the original
+  async readerTranslation(statement, language) {
+    try {
+      const translation = await this.translationFor(statement, language);
+      return translation && {
+        language,
+        from: translation.from,
+        text: translation.text,
+        machineTranslated: true,
+        translatedAt: translation.translatedAt
+      };
+    } catch (error) {
+      logger.warn(`Translating statement ${statement.id} into ${language} failed:`, error.message || error);
+      return { language, error: 'translation_unavailable' };
+    }
+  }
+
   // Get a specific party's statement
   async getPartyStatement(caseId, partyUserId, includeDrafts = false) {
     try {
@@ -393,3 +537,4 @@ class StatementService {
 }
 
 module.exports = new StatementService();
+module.exports.ANALYSIS_LANGUAGE = ANALYSIS_LANGUAGE;
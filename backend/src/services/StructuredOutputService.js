@@ -0,0 +1,171 @@
+// Structured Output Service - schema-validated JSON from the AI providers
+// Every task that expects JSON back (outcome prediction, settlement options,
+// risk assessment, evidence analysis, ...) goes through generate():
+//   1. ask the best provider for the task
+//   2. validate the reply against the task schema (lib/aiSchemas.js)
+//   3. on failure, re-prompt the same provider with the validation errors, a
+//      bounded number of times
+//   4. still failing, or the provider erred: move to the next provider in the
+//      registry's chain; after the last one use the caller's fallback, if any
+// Each call leaves a provenance row in ai_output_provenance (model, prompt
+// hash, every attempt and its validation errors), linked to the ai_analysis
+// row the result ends up in.
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const aiProviders = require('./AIProviderRegistry');
+const { schemaFor, validateOutput } = require('../lib/aiSchemas');
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+class StructuredOutputError extends Error {
+  constructor(task, provenance) {
+    super(`AI output for ${task} failed validation with every provider`);
+    this.name = 'StructuredOutputError';
+    this.code = 'AI_OUTPUT_INVALID';
+    this.provenance = provenance;
+  }
+}
+
+const hashPrompt = (messages) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(messages.map(m => [m.role, m.content])))
+  .digest('hex');
+
+class StructuredOutputService {
+  constructor(options = {}) {
+    this.registry = options.registry || aiProviders;
+    this._supabase = options.supabase || null;
+    this.repairAttempts = options.repairAttempts ?? Number(process.env.AI_OUTPUT_REPAIR_ATTEMPTS ?? DEFAULT_REPAIR_ATTEMPTS);
+  }
+
+  get supabase() {
+    if (!this._supabase) this._supabase = require('../lib/supabaseClient').supabaseAdmin;
+    return this._supabase;
+  }
+
+  buildRepairPrompt(task, errors) {
+    return [
+      `Your previous reply could not be used: it does not match the JSON structure required for the ${task} task.`,
+      'Problems found:',
+      ...errors.slice(0, 20).map(error => `- ${error}`),
+      'Reply again with only the corrected JSON object: keep the content, fix the listed fields, and add no text outside the JSON.'
+    ].join('\n');
+  }
+
+  // prompt: string or [{ role, content }]
+  // options: caseId, caseType, provider, preferred, images, temperature,
+  //          maxTokens, repairAttempts, providers (allowlist for the chain,
+  //          e.g. only those that accept images), fallback (() => data, used
+  //          when every provider fails)
+  // Resolves { data, provenance, raw }; rejects with StructuredOutputError
+  // when nothing valid was produced and there is no fallback.
+  async generate(task, prompt, options = {}) {
+    schemaFor(task);
+    const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+    const { caseId = null, fallback, providers: allowed, repairAttempts = this.repairAttempts, ...requestOptions } = options;
+
+    const provenance = {
+      task,
+      case_id: caseId,
+      provider: null,
+      model: null,
+      prompt_hash: hashPrompt(messages),
+      attempts: [],
+      validation_errors: [],
+      outcome: 'failed',
+      created_at: new Date().toISOString()
+    };
+
+    // No provider configured at all is a setup problem, not a bad answer
+    const providers = this.registry.candidates(requestOptions)
+      .filter(provider => !allowed || allowed.includes(provider.name));
+    if (providers.length === 0) throw new Error('No AI provider available');
+
+    let result = null;
+    for (const provider of providers) {
+      result = await this.tryProvider(provider, task, messages, requestOptions, repairAttempts, provenance);
+      if (result) break;
+    }
+
+    if (!result && fallback) {
+      result = { data: await fallback(), raw: null };
+      provenance.outcome = 'fallback';
+    }
+
+    provenance.id = await this.recordProvenance(provenance);
+    if (!result) throw new StructuredOutputError(task, provenance);
+
+    logger.debug(`AI output for ${task}: ${provenance.outcome} after ${provenance.attempts.length} attempt(s)`);
+    return { data: result.data, raw: result.raw, provenance };
+  }
+
+  // One provider: the first request plus up to `repairAttempts` re-prompts.
+  // Returns { data, raw } or null to move on to the next provider.
+  async tryProvider(provider, task, messages, requestOptions, repairAttempts, provenance) {
+    const conversation = [...messages];
+
+    for (let repair = 0; repair <= repairAttempts; repair++) {
+      const attempt = { provider: provider.name, model: null, kind: repair === 0 ? 'initial' : 'repair', errors: [] };
+      const startedAt = Date.now();
+      provenance.attempts.push(attempt);
+
+      let response;
+      try {
+        response = await this.registry.generate(conversation, { ...requestOptions, provider: provider.name, task });
+      } catch (error) {
+        attempt.errors = [`provider_error: ${error.message}`];
+        attempt.duration_ms = Date.now() - startedAt;
+        logger.warn(`AI provider ${provider.name} failed for ${task}:`, error.message);
+        return null;
+      }
+      attempt.model = response.model || null;
+      attempt.duration_ms = Date.now() - startedAt;
+
+      const validation = validateOutput(task, response.content);
+      if (validation.success) {
+        provenance.provider = provider.name;
+        provenance.model = attempt.model;
+        if (repair > 0) provenance.outcome = 'repaired';
+        else provenance.outcome = provenance.attempts.length === 1 ? 'valid' : 'provider_fallback';
+        return { data: validation.data, raw: response.content };
+      }
+
+      attempt.errors = validation.errors;
+      provenance.validation_errors.push(...validation.errors.map(error => `${provider.name}#${provenance.attempts.length}: ${error}`));
+      conversation.push(
+        { role: 'assistant', content: String(response.content || '') },
+        { role: 'user', content: this.buildRepairPrompt(task, validation.errors) }
+      );
+    }
+    return null;
+  }
+
+  // Never throws: provenance is diagnostic and must not fail the analysis
+  async recordProvenance(provenance) {
+    try {
+      const { id, ...row } = provenance;
+      const { data, error } = await this.supabase.from('ai_output_provenance').insert(row).select('id').single();
+      if (error) throw new Error(error.message);
+      return data.id;
+    } catch (error) {
+      logger.warn(`Failed to record AI provenance for ${provenance.task}:`, error.message || error);
+      return null;
+    }
+  }
+
+  // Point provenance rows at the ai_analysis row their output was saved in
+  async linkToAnalysis(provenanceIds, analysisId) {
+    const ids = (provenanceIds || []).filter(Boolean);
+    if (ids.length === 0 || !analysisId) return;
+    try {
+      const { error } = await this.supabase.from('ai_output_provenance').update({ analysis_id: analysisId }).in('id', ids);
+      if (error) throw new Error(error.message);
+    } catch (error) {
+      logger.warn(`Failed to link AI provenance to analysis ${analysisId}:`, error.message || error);
+    }
+  }
+}
+
+module.exports = new StructuredOutputService();
+module.exports.StructuredOutputService = StructuredOutputService;
+module.exports.StructuredOutputError = StructuredOutputError;
@@ -1,5 +1,6 @@
 // Timeline Service - Handle case timeline operations
 const BaseModel = require('../models/BaseModel');
+const AuditLogService = require('./AuditLogService');
 
 class TimelineService extends BaseModel {
   constructor() {
@@ -20,6 +21,16 @@ class TimelineService extends BaseModel {
         is_public: eventData.is_public !== false
       });
 
+      // case_timeline rows can be edited; the audit log keeps the original
+      await AuditLogService.record(caseId, `timeline.${eventData.event_type}`, {
+        actorId: eventData.actor_id,
+        payload: {
+          title: eventData.event_title,
+          description: eventData.event_description || null,
+          metadata: eventData.metadata || {}
+        }
+      });
+
       return event;
     } catch (error) {
       throw new Error(`Failed to add timeline event: ${error.message}`);
@@ -1,85 +1,209 @@
 // Timer Management Service - 48-hour deadline system for disputes
+//
+// Deadlines and their reminders are persisted (see lib/timerStore.js) as
+// case_timers rows plus scheduled case_timer_events. Every backend instance
+// polls for due events and claims them with row-level locks, so a reminder or
+// escalation fires once no matter how many instances run, and anything that
+// came due while the backend was down is caught up on the next poll.
+// Deadlines, reminders and extensions are counted in business hours of the
+// case's jurisdiction calendar (see CalendarService).
+const os = require('os');
+const crypto = require('crypto');
 const Case = require('../models/Case');
 const Statement = require('../models/Statement');
 const EmailService = require('../services/EmailService');
 const SMSService = require('../services/SMSService');
 const RealTimeService = require('../services/RealTimeService');
+const NotificationRoutingService = require('./NotificationRoutingService');
+const CalendarService = require('./CalendarService');
+const { createTimerStore, DuplicateTimerError } = require('../lib/timerStore');
 const logger = require('../lib/logger');
 
+// Reminder times (business hours before deadline) per timer type
+const REMINDER_HOURS = {
+  statement_submission: [24, 6, 1],
+  settlement_response: [48, 12, 2]
+};
+
+// Reminders this close to the deadline ignore the parties' quiet hours
+const URGENT_REMINDER_HOURS = 2;
+
+// Case column that mirrors each timer's deadline
+const DEADLINE_COLUMNS = {
+  statement_submission: 'statement_deadline',
+  settlement_response: 'parties_response_deadline'
+};
+
 class TimerManagementService {
-  constructor() {
-    this.activeTimers = new Map(); // caseId -> timer info
-    this.reminderTimers = new Map(); // caseId -> reminder timer info
+  constructor(options = {}) {
+    this._store = options.store || null;
+    this.calendar = options.calendar || CalendarService;
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.TIMER_POLL_MS || '60000', 10);
+    this.lockTimeoutMs = options.lockTimeoutMs || 15 * 60 * 1000;
+    this.retryDelayMs = options.retryDelayMs || 5 * 60 * 1000;
+    this.batchSize = options.batchSize || 20;
+    this.monitorTimer = null;
     this.isRunning = false;
   }
 
+  get store() {
+    if (!this._store) this._store = createTimerStore();
+    return this._store;
+  }
+
   // Initialize the timer service
   initialize() {
     if (this.isRunning) return;
 
     this.isRunning = true;
-    logger.info('Timer Management Service initialized');
+    this.startTime = new Date();
+    logger.info(`Timer Management Service initialized (worker ${this.workerId})`);
+
+    // Adopt deadlines set before timers were persisted, then catch up on
+    // anything that came due while the backend was down
+    this.loadActiveTimers().then(() => this.processDueEvents());
 
     // Start the main monitoring loop
     this.startMonitoringLoop();
-    
-    // Load existing active timers from database
-    this.loadActiveTimers();
 
     return this;
   }
 
-  // Start monitoring loop to check deadlines every minute
+  // Start monitoring loop to fire due reminders and deadlines every minute
   startMonitoringLoop() {
-    setInterval(async () => {
+    this.monitorTimer = setInterval(async () => {
       try {
-        await this.checkAllDeadlines();
-        await this.sendScheduledReminders();
+        await this.processDueEvents();
       } catch (error) {
         logger.error('Error in timer monitoring loop:', error);
       }
-    }, 60 * 1000); // Check every minute
+    }, this.pollIntervalMs);
+    if (this.monitorTimer.unref) this.monitorTimer.unref();
 
     logger.info('Timer monitoring loop started');
   }
 
-  // Load active timers from database
+  stop() {
+    if (this.monitorTimer) clearInterval(this.monitorTimer);
+    this.monitorTimer = null;
+    this.isRunning = false;
+  }
+
+  // Create persisted timers for cases whose deadline only exists on the case row
   async loadActiveTimers() {
     try {
       const { data: activeCases } = await Case.supabase
         .from('cases')
         .select('id, statement_deadline, parties_response_deadline, status')
-        .in('status', ['statement_phase', 'settlement_options'])
-        .not('statement_deadline', 'is', null)
-        .not('parties_response_deadline', 'is', null);
+        .in('status', ['statement_phase', 'settlement_options']);
 
+      let adopted = 0;
       for (const caseData of activeCases || []) {
-        if (caseData.statement_deadline && caseData.status === 'statement_phase') {
-          this.startStatementTimer(caseData.id, new Date(caseData.statement_deadline));
-        }
-        
-        if (caseData.parties_response_deadline && caseData.status === 'settlement_options') {
-          this.startResponseTimer(caseData.id, new Date(caseData.parties_response_deadline));
+        const type = caseData.status === 'statement_phase' ? 'statement_submission' : 'settlement_response';
+        const deadline = caseData[DEADLINE_COLUMNS[type]];
+        if (!deadline || await this.store.findActiveTimer(caseData.id)) continue;
+
+        try {
+          await this.scheduleTimer(caseData.id, type, new Date(deadline));
+          adopted++;
+        } catch (error) {
+          // Another instance adopted it first
+          if (!(error instanceof DuplicateTimerError)) throw error;
         }
       }
 
-      logger.info(`Loaded ${activeCases?.length || 0} active timers from database`);
+      logger.info(`Adopted ${adopted} case deadline(s) into the persisted timer schedule`);
     } catch (error) {
       logger.error('Error loading active timers:', error);
     }
   }
 
+  // Persist a timer and its reminder/deadline events, replacing any active one
+  async scheduleTimer(caseId, type, deadline) {
+    const existing = await this.store.findActiveTimer(caseId);
+    if (existing) {
+      await this.store.cancelPendingEvents(existing.id);
+      await this.store.updateTimer(existing.id, { status: 'replaced', stopped_reason: `Replaced by new ${type} timer` });
+    }
+
+    const context = await this.calendar.getCaseContext(caseId);
+    const now = new Date().toISOString();
+    const timer = await this.store.insertTimer({
+      id: crypto.randomUUID(),
+      case_id: caseId,
+      timer_type: type,
+      deadline: deadline.toISOString(),
+      status: 'active',
+      started_at: now,
+      reminders_sent: 0,
+      extension_count: 0,
+      stopped_reason: null,
+      created_at: now,
+      updated_at: now
+    });
+
+    await this.store.insertEvents(this.buildEvents(timer, context));
+    return timer;
+  }
+
+  // Reminder events still in the future, plus the deadline itself
+  buildEvents(timer, calendarContext = {}) {
+    const now = Date.now();
+    const deadline = new Date(timer.deadline);
+    const createdAt = new Date().toISOString();
+    const event = (kind, fireAt, hoursBefore = null) => ({
+      id: crypto.randomUUID(),
+      timer_id: timer.id,
+      case_id: timer.case_id,
+      kind,
+      hours_before: hoursBefore,
+      fire_at: fireAt.toISOString(),
+      status: 'pending',
+      attempts: 0,
+      max_attempts: 5,
+      locked_by: null,
+      locked_at: null,
+      fired_at: null,
+      last_error: null,
+      created_at: createdAt,
+      updated_at: createdAt
+    });
+
+    const reminders = (REMINDER_HOURS[timer.timer_type] || [])
+      .map(hours => ({ hours, fireAt: this.calendar.subtractBusinessHours(deadline, hours, calendarContext) }))
+      .filter(r => r.fireAt.getTime() > now)
+      .map(r => event('reminder', r.fireAt, r.hours));
+
+    return [...reminders, event('deadline', deadline)];
+  }
+
+  // Timer row -> the shape the notification helpers expect
+  toTimerInfo(timer) {
+    return {
+      id: timer.id,
+      caseId: timer.case_id,
+      type: timer.timer_type,
+      deadline: new Date(timer.deadline),
+      startedAt: new Date(timer.started_at),
+      remindersSent: timer.reminders_sent || 0,
+      extensionCount: timer.extension_count || 0,
+      extended: (timer.extension_count || 0) > 0
+    };
+  }
+
+  reminderKind(type) {
+    return type.includes('statement') ? 'statement' : 'response';
+  }
+
   // Start 48-hour statement timer for a case
-  async startStatementTimer(caseId, deadline = null) {
+  // options.notify: false to schedule silently (e.g. the phase was announced elsewhere)
+  async startStatementTimer(caseId, deadline = null, options = {}) {
     try {
-      // Clear existing timer if any
-      this.clearTimer(caseId);
-
-      // Set deadline if not provided (48 hours from now)
+      // Set deadline if not provided (48 business hours from now)
       if (!deadline) {
-        deadline = new Date();
-        deadline.setHours(deadline.getHours() + 48);
-        
+        deadline = await this.calendar.deadlineForCase(caseId, 48);
+
         // Update case with deadline
         await Case.updateById(caseId, {
           statement_deadline: deadline.toISOString(),
@@ -87,32 +211,23 @@ class TimerManagementService {
         });
       }
 
-      // Store timer info
-      const timerInfo = {
-        caseId,
-        type: 'statement_submission',
-        deadline,
-        startedAt: new Date(),
-        remindersSent: []
-      };
-
-      this.activeTimers.set(caseId, timerInfo);
-
-      // Schedule reminders
-      this.scheduleReminders(caseId, deadline, 'statement');
+      const timer = await this.scheduleTimer(caseId, 'statement_submission', deadline);
+      const timerInfo = this.toTimerInfo(timer);
 
       // Notify both parties
-      await this.notifyTimerStarted(caseId, deadline, 'statement');
+      if (options.notify !== false) {
+        await this.notifyTimerStarted(caseId, deadline, 'statement');
+      }
 
       // Real-time update
       RealTimeService.broadcastToCaseRoom(caseId, 'timer_started', {
         type: 'statement_submission',
         deadline: deadline.toISOString(),
-        hoursRemaining: 48
+        hoursRemaining: Math.ceil((deadline - new Date()) / (1000 * 60 * 60))
       });
 
       logger.info(`Statement timer started for case ${caseId}, deadline: ${deadline.toISOString()}`);
-      
+
       return timerInfo;
     } catch (error) {
       logger.error(`Error starting statement timer for case ${caseId}:`, error);
@@ -121,16 +236,12 @@ class TimerManagementService {
   }
 
   // Start response timer for settlement options
-  async startResponseTimer(caseId, deadline = null, hours = 72) {
+  async startResponseTimer(caseId, deadline = null, hours = 72, options = {}) {
     try {
-      // Clear existing timer if any
-      this.clearTimer(caseId);
-
-      // Set deadline if not provided
+      // Set deadline if not provided (business hours from now)
       if (!deadline) {
-        deadline = new Date();
-        deadline.setHours(deadline.getHours() + hours);
-        
+        deadline = await this.calendar.deadlineForCase(caseId, hours);
+
         // Update case with deadline
         await Case.updateById(caseId, {
           parties_response_deadline: deadline.toISOString(),
@@ -138,32 +249,23 @@ class TimerManagementService {
         });
       }
 
-      // Store timer info
-      const timerInfo = {
-        caseId,
-        type: 'settlement_response',
-        deadline,
-        startedAt: new Date(),
-        remindersSent: []
-      };
-
-      this.activeTimers.set(caseId, timerInfo);
-
-      // Schedule reminders
-      this.scheduleReminders(caseId, deadline, 'response');
+      const timer = await this.scheduleTimer(caseId, 'settlement_response', deadline);
+      const timerInfo = this.toTimerInfo(timer);
 
       // Notify both parties
-      await this.notifyTimerStarted(caseId, deadline, 'response');
+      if (options.notify !== false) {
+        await this.notifyTimerStarted(caseId, deadline, 'response');
+      }
 
       // Real-time update
       RealTimeService.broadcastToCaseRoom(caseId, 'timer_started', {
         type: 'settlement_response',
         deadline: deadline.toISOString(),
-        hoursRemaining: hours
+        hoursRemaining: Math.ceil((deadline - new Date()) / (1000 * 60 * 60))
       });
 
       logger.info(`Response timer started for case ${caseId}, deadline: ${deadline.toISOString()}`);
-      
+
       return timerInfo;
     } catch (error) {
       logger.error(`Error starting response timer for case ${caseId}:`, error);
@@ -171,54 +273,93 @@ class TimerManagementService {
     }
   }
 
-  // Schedule reminder notifications
-  scheduleReminders(caseId, deadline, type) {
-    const now = new Date();
-    const timeUntilDeadline = deadline - now;
+  // Claim every due event (reminders and deadlines) and run it
+  async processDueEvents() {
+    if (this.processing) return [];
+    this.processing = true;
+    const results = [];
+    try {
+      let events;
+      do {
+        events = await this.store.claimDueEvents(this.batchSize, this.workerId, this.lockTimeoutMs);
+        for (const event of events) {
+          results.push(await this.runEvent(event));
+        }
+      } while (events.length === this.batchSize);
+    } catch (error) {
+      logger.error('Timer event poll failed:', error.message || error);
+    } finally {
+      this.processing = false;
+    }
+    return results;
+  }
 
-    // Define reminder times (hours before deadline)
-    const reminderTimes = type === 'statement' 
-      ? [24, 6, 1] // 24h, 6h, 1h before deadline
-      : [48, 12, 2]; // 48h, 12h, 2h before deadline
+  async runEvent(event) {
+    try {
+      const timer = await this.store.findTimer(event.timer_id);
+      if (!timer || timer.status !== 'active') {
+        return await this.store.updateEvent(event.id, { status: 'cancelled', locked_by: null, locked_at: null });
+      }
 
-    reminderTimes.forEach(hours => {
-      const reminderTime = new Date(deadline);
-      reminderTime.setHours(reminderTime.getHours() - hours);
-      
-      const timeUntilReminder = reminderTime - now;
-      
-      if (timeUntilReminder > 0) {
-        const timerId = setTimeout(async () => {
-          await this.sendReminder(caseId, hours, type);
-        }, timeUntilReminder);
-
-        // Store reminder timer
-        const reminderKey = `${caseId}_${hours}h`;
-        this.reminderTimers.set(reminderKey, {
-          timerId,
-          caseId,
-          hours,
-          type,
-          scheduledFor: reminderTime
-        });
+      const timerInfo = this.toTimerInfo(timer);
+      const skip = () => this.store.updateEvent(event.id, { status: 'skipped', locked_by: null, locked_at: null });
+
+      // An event claimed while the deadline was being extended was planned
+      // for the old deadline: it fires before the one its kind and
+      // hours_before now give. Retries only ever move fire_at later.
+      if (event.kind === 'deadline' && new Date(event.fire_at) < timerInfo.deadline) {
+        return await skip();
       }
-    });
+
+      if (event.kind === 'reminder') {
+        // A reminder claimed after its deadline (backend was down) is moot;
+        // the deadline event handles the case instead
+        if (new Date() >= timerInfo.deadline) {
+          return await skip();
+        }
+        const context = await this.calendar.getCaseContext(event.case_id);
+        if (new Date(event.fire_at) < this.calendar.subtractBusinessHours(timerInfo.deadline, event.hours_before, context)) {
+          return await skip();
+        }
+        await this.sendReminder(event.case_id, event.hours_before, this.reminderKind(timer.timer_type), timerInfo);
+        await this.store.updateTimer(timer.id, { reminders_sent: timerInfo.remindersSent + 1 });
+      } else {
+        await this.handleExpiredDeadline(event.case_id, timerInfo);
+      }
+
+      return await this.store.updateEvent(event.id, {
+        status: 'fired',
+        fired_at: new Date().toISOString(),
+        last_error: null,
+        locked_by: null,
+        locked_at: null
+      });
+    } catch (error) {
+      const message = error && error.message ? error.message : String(error);
+      const exhausted = event.attempts >= event.max_attempts;
+      logger.error(`Timer event ${event.id} (${event.kind}) for case ${event.case_id} failed: ${message}`);
+
+      return this.store.updateEvent(event.id, {
+        status: exhausted ? 'failed' : 'pending',
+        fire_at: exhausted ? event.fire_at : new Date(Date.now() + this.retryDelayMs).toISOString(),
+        last_error: message,
+        locked_by: null,
+        locked_at: null
+      });
+    }
   }
 
   // Send reminder notification
-  async sendReminder(caseId, hoursLeft, type) {
+  async sendReminder(caseId, hoursLeft, type, timerInfo = null) {
     try {
       const caseData = await Case.findById(caseId);
       if (!caseData) return;
 
-      const timerInfo = this.activeTimers.get(caseId);
-      if (!timerInfo) return;
-
-      // Mark reminder as sent
-      timerInfo.remindersSent.push({
-        hoursLeft,
-        sentAt: new Date()
-      });
+      if (!timerInfo) {
+        const timer = await this.store.findActiveTimer(caseId);
+        if (!timer) return;
+        timerInfo = this.toTimerInfo(timer);
+      }
 
       const reminderData = {
         caseId,
@@ -228,27 +369,30 @@ class TimerManagementService {
         type
       };
 
-      // Send to both parties
+      // Send to both parties on the channels each chose for deadline
+      // reminders; quiet hours hold them back until the last reminder
       const parties = await this.getCaseParties(caseId);
-      
-      for (const party of parties) {
-        // Send email reminder
-        if (party.email) {
-          if (type === 'statement') {
-            await EmailService.sendStatementDeadlineReminder(party.email, reminderData);
-          } else {
-            await EmailService.sendResponseDeadlineReminder(party.email, reminderData);
-          }
-        }
+      const template = type === 'statement' ? 'sendStatementDeadlineReminder' : 'sendResponseDeadlineReminder';
+      const priority = hoursLeft <= URGENT_REMINDER_HOURS ? 'urgent' : 'high';
 
-        // Send SMS reminder
-        if (party.phone) {
-          if (type === 'statement') {
-            await SMSService.sendStatementDeadlineReminder(party.phone, reminderData);
-          } else {
-            await SMSService.sendResponseDeadlineReminder(party.phone, reminderData);
+      for (const party of parties) {
+        await NotificationRoutingService.dispatch({
+          userId: party.userId,
+          email: party.email,
+          phone: party.phone,
+          caseId,
+          type: 'deadline_approaching',
+          priority,
+          title: `${type === 'statement' ? 'Statement' : 'Response'} deadline in ${hoursLeft} hours`,
+          message: `Case ${reminderData.caseNumber}: the ${type} deadline is ${timerInfo.deadline.toLocaleString()}.`,
+          actionUrl: `/cases/${caseId}`,
+          // the case room broadcast below covers open sessions
+          sendRealtime: false,
+          content: {
+            email: { template, args: [reminderData] },
+            sms: { template, args: [reminderData] }
           }
-        }
+        });
       }
 
       // Real-time notification
@@ -264,50 +408,36 @@ class TimerManagementService {
     }
   }
 
-  // Check all deadlines and handle expired ones
-  async checkAllDeadlines() {
-    const now = new Date();
-    
-    for (const [caseId, timerInfo] of this.activeTimers.entries()) {
-      if (now >= timerInfo.deadline) {
-        await this.handleExpiredDeadline(caseId, timerInfo);
-      }
-    }
-  }
-
   // Handle expired deadline
   async handleExpiredDeadline(caseId, timerInfo) {
-    try {
-      logger.info(`Handling expired deadline for case ${caseId}, type: ${timerInfo.type}`);
-
-      const caseData = await Case.findById(caseId);
-      if (!caseData) {
-        this.clearTimer(caseId);
-        return;
-      }
+    logger.info(`Handling expired deadline for case ${caseId}, type: ${timerInfo.type}`);
 
+    const caseData = await Case.findById(caseId);
+    if (caseData) {
       if (timerInfo.type === 'statement_submission') {
         await this.handleExpiredStatementDeadline(caseId, caseData);
       } else if (timerInfo.type === 'settlement_response') {
         await this.handleExpiredResponseDeadline(caseId, caseData);
       }
+    }
 
-      // Clear the timer
-      this.clearTimer(caseId);
-      
-      // Real-time notification
-      RealTimeService.broadcastToCaseRoom(caseId, 'deadline_expired', {
-        type: timerInfo.type,
-        expiredAt: new Date().toISOString()
-      });
+    await this.store.updateTimer(timerInfo.id, { status: 'expired' });
 
-    } catch (error) {
-      logger.error(`Error handling expired deadline for case ${caseId}:`, error);
-    }
+    // Real-time notification
+    RealTimeService.broadcastToCaseRoom(caseId, 'deadline_expired', {
+      type: timerInfo.type,
+      expiredAt: new Date().toISOString()
+    });
   }
 
-  // Handle expired statement submission deadline
+  // Handle expired statement submission deadline. A retried deadline event
+  // (the handler failed part way) finds the case already moved on and leaves it.
   async handleExpiredStatementDeadline(caseId, caseData) {
+    if (caseData.ai_analysis_started_at || ['ai_analysis', 'closed'].includes(caseData.status)) {
+      logger.info(`Statement deadline of case ${caseId} already handled (status ${caseData.status})`);
+      return;
+    }
+
     const statementStatus = await Statement.checkStatementsComplete(caseId);
     
     if (statementStatus.isComplete) {
@@ -345,7 +475,7 @@ class TimerManagementService {
 
     if (!responses || responses.length === 0) {
       // No responses - escalate to court
-      await this.escalateToCourtDueToTimeout(caseId, 'no_responses');
+      await this.escalateToCourtDueToTimeout(caseId, 'no_responses', caseData);
     } else {
       // Some responses - check for consensus or escalate
       const uniqueChoices = [...new Set(responses.map(r => r.selected_option))];
@@ -355,40 +485,46 @@ class TimerManagementService {
         await Case.updateStatus(caseId, 'consensus_pending', null, 'Consensus reached before deadline');
       } else {
         // No consensus - escalate to court
-        await this.escalateToCourtDueToTimeout(caseId, 'no_consensus');
+        await this.escalateToCourtDueToTimeout(caseId, 'no_consensus', caseData);
       }
     }
   }
 
-  // Extend deadline for a case
-  async extendDeadline(caseId, additionalHours, reason = '') {
+  // Extend deadline for a case. Every extension is recorded in deadline_extensions.
+  async extendDeadline(caseId, additionalHours, reason = '', extendedBy = null) {
     try {
-      const timerInfo = this.activeTimers.get(caseId);
-      if (!timerInfo) {
+      const timer = await this.store.findActiveTimer(caseId);
+      if (!timer) {
         throw new Error('No active timer found for this case');
       }
 
-      const newDeadline = new Date(timerInfo.deadline);
-      newDeadline.setHours(newDeadline.getHours() + additionalHours);
+      const context = await this.calendar.getCaseContext(caseId);
+      const previousDeadline = new Date(timer.deadline);
+      const newDeadline = this.calendar.addBusinessHours(previousDeadline, additionalHours, context);
 
-      // Update timer info
-      timerInfo.deadline = newDeadline;
-      timerInfo.extended = true;
-      timerInfo.extensionReason = reason;
+      // Reschedule: drop pending reminders for the old deadline, plan new ones
+      await this.store.cancelPendingEvents(timer.id);
+      const updated = await this.store.updateTimer(timer.id, {
+        deadline: newDeadline.toISOString(),
+        extension_count: (timer.extension_count || 0) + 1
+      });
+      await this.store.insertEvents(this.buildEvents(updated, context));
+
+      const extension = await this.store.insertExtension({
+        id: crypto.randomUUID(),
+        timer_id: timer.id,
+        case_id: caseId,
+        timer_type: timer.timer_type,
+        previous_deadline: previousDeadline.toISOString(),
+        new_deadline: newDeadline.toISOString(),
+        additional_hours: additionalHours,
+        reason: reason || null,
+        extended_by: extendedBy,
+        created_at: new Date().toISOString()
+      });
 
       // Update database
-      const updateData = {};
-      if (timerInfo.type === 'statement_submission') {
-        updateData.statement_deadline = newDeadline.toISOString();
-      } else if (timerInfo.type === 'settlement_response') {
-        updateData.parties_response_deadline = newDeadline.toISOString();
-      }
-
-      await Case.updateById(caseId, updateData);
-
-      // Clear old reminders and schedule new ones
-      this.clearReminders(caseId);
-      this.scheduleReminders(caseId, newDeadline, timerInfo.type.includes('statement') ? 'statement' : 'response');
+      await Case.updateById(caseId, { [DEADLINE_COLUMNS[timer.timer_type]]: newDeadline.toISOString() });
 
       // Notify parties
       await this.notifyDeadlineExtended(caseId, newDeadline, additionalHours, reason);
@@ -401,44 +537,27 @@ class TimerManagementService {
       });
 
       logger.info(`Deadline extended for case ${caseId} by ${additionalHours} hours`);
-      
-      return { newDeadline, additionalHours };
+
+      return { newDeadline, additionalHours, extension };
     } catch (error) {
       logger.error(`Error extending deadline for case ${caseId}:`, error);
       throw error;
     }
   }
 
-  // Clear timer for a case
-  clearTimer(caseId) {
-    this.activeTimers.delete(caseId);
-    this.clearReminders(caseId);
-    logger.debug(`Cleared timer for case ${caseId}`);
-  }
-
-  // Clear reminder timers for a case
-  clearReminders(caseId) {
-    const remindersToDelete = [];
-    
-    for (const [key, reminder] of this.reminderTimers.entries()) {
-      if (reminder.caseId === caseId) {
-        clearTimeout(reminder.timerId);
-        remindersToDelete.push(key);
-      }
-    }
-
-    remindersToDelete.forEach(key => {
-      this.reminderTimers.delete(key);
-    });
+  // Audit trail of deadline extensions for a case, oldest first
+  async getDeadlineExtensions(caseId) {
+    return this.store.listExtensions(caseId);
   }
 
   // Stop timer for a case (when case is resolved or closed)
   async stopTimer(caseId, reason = 'Case resolved') {
     try {
-      const timerInfo = this.activeTimers.get(caseId);
-      if (!timerInfo) return;
+      const timer = await this.store.findActiveTimer(caseId);
+      if (!timer) return;
 
-      this.clearTimer(caseId);
+      await this.store.cancelPendingEvents(timer.id);
+      await this.store.updateTimer(timer.id, { status: 'stopped', stopped_reason: reason });
 
       // Real-time notification
       RealTimeService.broadcastToCaseRoom(caseId, 'timer_stopped', {
@@ -452,36 +571,29 @@ class TimerManagementService {
     }
   }
 
-  // Get timer info for a case
-  getTimerInfo(caseId) {
-    const timerInfo = this.activeTimers.get(caseId);
-    if (!timerInfo) return null;
+  describeTimer(timer) {
+    const timerInfo = this.toTimerInfo(timer);
+    const timeRemaining = timerInfo.deadline - new Date();
 
-    const now = new Date();
-    const timeRemaining = timerInfo.deadline - now;
-    
     return {
       ...timerInfo,
       timeRemaining: timeRemaining > 0 ? timeRemaining : 0,
       hoursRemaining: Math.floor(timeRemaining / (1000 * 60 * 60)),
       minutesRemaining: Math.floor((timeRemaining % (1000 * 60 * 60)) / (1000 * 60)),
-      isExpired: timeRemaining <= 0,
-      remindersSent: timerInfo.remindersSent.length
+      isExpired: timeRemaining <= 0
     };
   }
 
-  // Get all active timers
-  getAllActiveTimers() {
-    const activeTimers = [];
-    
-    for (const [caseId, timerInfo] of this.activeTimers.entries()) {
-      activeTimers.push({
-        caseId,
-        ...this.getTimerInfo(caseId)
-      });
-    }
+  // Get timer info for a case
+  async getTimerInfo(caseId) {
+    const timer = await this.store.findActiveTimer(caseId);
+    return timer ? this.describeTimer(timer) : null;
+  }
 
-    return activeTimers;
+  // Get all active timers
+  async getAllActiveTimers() {
+    const timers = await this.store.listActiveTimers();
+    return timers.map(timer => this.describeTimer(timer));
   }
 
   // Helper methods
@@ -496,6 +608,7 @@ class TimerManagementService {
       if (caseData.filed_by_email) {
         parties.push({
           role: 'complainer',
+          userId: caseData.filed_by || null,
           email: caseData.filed_by_email,
           phone: caseData.filed_by_phone
         });
@@ -505,6 +618,7 @@ class TimerManagementService {
       if (caseData.defender_email) {
         parties.push({
           role: 'defender',
+          userId: caseData.defender_user_id || null,
           email: caseData.defender_email,
           phone: caseData.defender_phone
         });
@@ -566,29 +680,37 @@ class TimerManagementService {
     }
   }
 
-  async escalateToCourtDueToTimeout(caseId, reason) {
-    await Case.updateStatus(caseId, 'forwarded_to_court', null, `Escalated due to timeout: ${reason}`);
-    
-    // Trigger court forwarding process
+  // Files the case in court and marks it forwarded (CourtForwardingService).
+  // A case already forwarded, e.g. by an earlier attempt of this deadline
+  // event, is not filed again.
+  async escalateToCourtDueToTimeout(caseId, reason, caseData = {}) {
+    if (caseData.forwarded_at || caseData.court_filing_id) {
+      logger.info(`Case ${caseId} was already forwarded to court; not escalating again`);
+      return;
+    }
+
     const CourtForwardingService = require('./CourtForwardingService');
-    await CourtForwardingService.forwardCase(caseId, `Timeout: ${reason}`);
+    await CourtForwardingService.autoForwardCase(caseId, `timeout_${reason}`);
   }
 
   // Service stats
-  getServiceStats() {
+  async getServiceStats() {
+    const timers = await this.getAllActiveTimers();
     return {
-      activeTimers: this.activeTimers.size,
-      activeReminders: this.reminderTimers.size,
+      activeTimers: timers.length,
+      workerId: this.workerId,
       isRunning: this.isRunning,
-      uptime: new Date() - this.startTime || new Date(),
-      timerDetails: this.getAllActiveTimers().map(t => ({
+      uptime: this.startTime ? new Date() - this.startTime : 0,
+      timerDetails: timers.map(t => ({
         caseId: t.caseId,
         type: t.type,
         hoursRemaining: t.hoursRemaining,
-        remindersSent: t.remindersSent
+        remindersSent: t.remindersSent,
+        extensionCount: t.extensionCount
       }))
     };
   }
 }
 
-module.exports = new TimerManagementService();
\ No newline at end of file
+module.exports = new TimerManagementService();
+module.exports.TimerManagementService = TimerManagementService;
@@ -0,0 +1,72 @@
+// Translation Service - machine translation between the languages parties use
+// Translations are for reading only: the text a party wrote stays the
+// authoritative version, and every translation carries the language it came
+// from, a hash of the source text (to tell when it is stale) and the model
+// that produced it.
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const HttpError = require('../lib/HttpError');
+const { isSupportedLanguage, languageName } = require('../lib/languages');
+const AIProviderRegistry = require('./AIProviderRegistry');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text || '').digest('hex');
+
+class TranslationService {
+  constructor(options = {}) {
+    this.ai = options.ai || AIProviderRegistry;
+    this.now = options.now || (() => new Date());
+  }
+
+  buildPrompt(text, from, to) {
+    return [
+      {
+        role: 'system',
+        content: `You translate legal dispute documents from ${languageName(from)} to ${languageName(to)} for an Indian online dispute resolution platform. ` +
+          'Translate faithfully and completely: do not summarise, soften, add or omit anything. Keep names, amounts, dates, case numbers and section references exactly as written. ' +
+          'Keep the paragraph breaks and numbering. Reply with the translation only.'
+      },
+      { role: 'user', content: text }
+    ];
+  }
+
+  /**
+   * Translate text. Returns { text, from, to, sourceSha256, provider, model,
+   * translatedAt }; text already in the target language comes back as is.
+   * caseType picks the AI provider, as for the other AI calls of a case
+   */
+  async translate(text, { from, to, caseType } = {}) {
+    if (!isSupportedLanguage(from) || !isSupportedLanguage(to)) {
+      throw new HttpError(400, 'unsupported_language', `Cannot translate from ${from} to ${to}`);
+    }
+    const translation = {
+      from,
+      to,
+      sourceSha256: sha256(text),
+      translatedAt: this.now().toISOString()
+    };
+    if (from === to || !String(text || '').trim()) {
+      return { ...translation, text, provider: null, model: null };
+    }
+
+    const response = await this.ai.generate(this.buildPrompt(text, from, to), {
+      task: 'translation',
+      caseType,
+      temperature: 0,
+      maxTokens: Math.min(8000, Math.max(1000, Math.ceil(text.length * 1.5)))
+    });
+    const translated = String(response.content || '').trim();
+    if (!translated) throw new Error(`Empty translation from ${response.provider}`);
+
+    logger.debug(`Translated ${text.length} characters ${from} -> ${to} via ${response.provider}`);
+    return { ...translation, text: translated, provider: response.provider, model: response.model };
+  }
+
+  // Whether a stored translation was made from this exact text
+  isCurrent(translation, sourceText) {
+    return Boolean(translation && translation.text) && translation.sourceSha256 === sha256(sourceText);
+  }
+}
+
+module.exports = new TranslationService();
+module.exports.TranslationService = TranslationService;
+module.exports.sha256 = sha256;
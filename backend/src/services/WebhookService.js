@@ -0,0 +1,375 @@
+// Webhook Service - signed outbound event delivery with retries
+// Endpoints subscribe to lifecycle events (or are targeted directly by a
+// workflow automation). Every delivery runs as a job on the durable job queue,
+// so failed attempts are retried with exponential backoff and survive restarts;
+// each HTTP attempt is written to the delivery log. Lifecycle events reach
+// only endpoints whose owner may view the case, and receivers must be public
+// addresses (lib/networkGuard).
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../lib/logger');
+const { getQueue } = require('../lib/jobQueue');
+const { createWebhookStore } = require('../lib/webhookStore');
+const { isBlockedHost, assertPublicUrl, guardedLookup } = require('../lib/networkGuard');
+
+const WEBHOOK_QUEUE = 'webhooks';
+
+// Lifecycle events endpoints can subscribe to ('*' subscribes to all of them)
+const WEBHOOK_EVENTS = [
+  'dispute.stage_changed',
+  'signature.completed',
+  'court.filing_submitted',
+  'court.filing_defective'
+];
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const MAX_RESPONSE_CHARS = 2000;
+
+class WebhookService {
+  constructor(options = {}) {
+    this._store = options.store || null;
+    this._queue = options.queue || null;
+    this._authorization = options.authorization || null;
+    this.allowPrivateNetworks = options.allowPrivateNetworks;
+    this.http = options.http || axios;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+    this.backoffBaseMs = options.backoffBaseMs || parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '30000', 10);
+    this.registered = false;
+  }
+
+  get store() {
+    if (!this._store) this._store = createWebhookStore();
+    return this._store;
+  }
+
+  // The job queue with this service's delivery handler registered on it
+  get queue() {
+    if (!this._queue) this._queue = getQueue();
+    if (!this.registered) {
+      this._queue.register(WEBHOOK_QUEUE, (payload, job) => this.attemptDelivery(payload, job), {
+        concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || '4', 10),
+        maxAttempts: this.maxAttempts,
+        backoffBaseMs: this.backoffBaseMs,
+        backoffMaxMs: 6 * 60 * 60 * 1000
+      });
+      this.registered = true;
+    }
+    return this._queue;
+  }
+
+  startWorker() {
+    return this.queue.start();
+  }
+
+  get authorization() {
+    if (!this._authorization) this._authorization = require('./AuthorizationService');
+    return this._authorization;
+  }
+
+  // Private receivers are allowed only for local development
+  get networkOptions() {
+    return {
+      allowPrivate: this.allowPrivateNetworks !== undefined
+        ? this.allowPrivateNetworks
+        : process.env.OUTBOUND_ALLOW_PRIVATE_NETWORKS === 'true'
+    };
+  }
+
+  // ---- Signing ----
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<raw body>"; the timestamp is signed so a
+  // captured request cannot be replayed later with a fresh header
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this.sign(secret, timestamp, body)}`;
+  }
+
+  // Receiver-side check, also used by tests and the local mock receivers
+  verifySignature(secret, header, body, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(this.sign(secret, timestamp, body), 'hex');
+    const given = Buffer.from(parts.v1, 'hex');
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // ---- Endpoints ----
+
+  validateEndpoint({ url, eventTypes }) {
+    const errors = [];
+    if (!this.isValidUrl(url)) errors.push('URL must be an absolute http(s) URL on a public host');
+    if (eventTypes !== undefined) {
+      if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+        errors.push('At least one event type is required');
+      } else {
+        const unknown = eventTypes.filter(t => t !== '*' && !WEBHOOK_EVENTS.includes(t));
+        if (unknown.length > 0) errors.push(`Unknown event types: ${unknown.join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
+  // Synchronous shape check; literal internal hosts (localhost, 10.x, ...)
+  // are refused here, names are resolved by checkTarget
+  isValidUrl(url) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+      return this.networkOptions.allowPrivate || !isBlockedHost(parsed.hostname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Rejects when the URL's host resolves to a loopback, link-local or
+  // private address
+  async checkTarget(url) {
+    try {
+      await assertPublicUrl(url, this.networkOptions);
+    } catch (error) {
+      throw new Error(`Invalid webhook endpoint: ${error.code === 'EBLOCKEDADDRESS' ? error.message : `cannot resolve ${new URL(url).hostname}`}`);
+    }
+  }
+
+  async createEndpoint({ name, url, eventTypes = ['*'], isActive = true }, userId) {
+    const errors = this.validateEndpoint({ url, eventTypes });
+    if (errors.length > 0) throw new Error(`Invalid webhook endpoint: ${errors.join(', ')}`);
+    await this.checkTarget(url);
+
+    const now = new Date().toISOString();
+    const endpoint = await this.store.insertEndpoint({
+      id: crypto.randomUUID(),
+      name: name || new URL(url).host,
+      url,
+      secret: this.generateSecret(),
+      event_types: eventTypes,
+      is_active: isActive,
+      created_by: userId,
+      created_at: now,
+      updated_at: now
+    });
+
+    logger.info(`Webhook endpoint created: ${endpoint.id}`, { url, eventTypes });
+    // The secret is returned in full only here and on rotation
+    return endpoint;
+  }
+
+  async getOwnedEndpoint(id, userId) {
+    const endpoint = await this.store.findEndpoint(id);
+    if (!endpoint || endpoint.created_by !== userId) return null;
+    return endpoint;
+  }
+
+  async listEndpoints(userId) {
+    const endpoints = await this.store.listEndpoints({ createdBy: userId });
+    return endpoints.map(e => this.redact(e));
+  }
+
+  async updateEndpoint(id, { name, url, eventTypes, isActive }, userId) {
+    const endpoint = await this.getOwnedEndpoint(id, userId);
+    if (!endpoint) return null;
+
+    const errors = this.validateEndpoint({ url: url || endpoint.url, eventTypes });
+    if (errors.length > 0) throw new Error(`Invalid webhook endpoint: ${errors.join(', ')}`);
+    if (url !== undefined) await this.checkTarget(url);
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (url !== undefined) updates.url = url;
+    if (eventTypes !== undefined) updates.event_types = eventTypes;
+    if (isActive !== undefined) updates.is_active = isActive;
+
+    return this.redact(await this.store.updateEndpoint(id, updates));
+  }
+
+  async rotateSecret(id, userId) {
+    const endpoint = await this.getOwnedEndpoint(id, userId);
+    if (!endpoint) return null;
+    return this.store.updateEndpoint(id, { secret: this.generateSecret() });
+  }
+
+  async deleteEndpoint(id, userId) {
+    const endpoint = await this.getOwnedEndpoint(id, userId);
+    if (!endpoint) return false;
+    await this.store.deleteEndpoint(id);
+    return true;
+  }
+
+  redact(endpoint) {
+    const { secret, ...rest } = endpoint;
+    return { ...rest, secret_hint: secret ? `whsec_…${secret.slice(-4)}` : null };
+  }
+
+  // ---- Delivery ----
+
+  // Queue one event for one receiver. Either `endpointId` (secret and URL are
+  // read at send time, so rotation applies to pending retries) or `url` and
+  // `secret` for an automation that targets a URL directly.
+  async deliver({ endpointId, url, secret, eventType, data, automationId = null, createdBy = null, headers = {} }) {
+    const deliveryId = crypto.randomUUID();
+    const event = {
+      id: deliveryId,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    await this.queue.enqueue(WEBHOOK_QUEUE, {
+      deliveryId,
+      endpointId: endpointId || null,
+      url: endpointId ? null : url,
+      secret: endpointId ? null : secret,
+      headers,
+      automationId,
+      createdBy,
+      event
+    });
+
+    return { deliveryId, status: 'queued' };
+  }
+
+  // Fan a lifecycle event out to every active endpoint subscribed to it whose
+  // owner may view the case (events without a case go to admins only).
+  // Never throws: webhook problems must not break the caller's workflow.
+  async publish(eventType, data = {}) {
+    try {
+      const endpoints = await this.store.listEndpoints({ activeOnly: true });
+      const subscribed = endpoints.filter(e => (e.event_types || []).some(t => t === '*' || t === eventType));
+
+      const deliveries = [];
+      for (const endpoint of subscribed) {
+        if (!(await this.mayReceive(endpoint, data))) continue;
+        deliveries.push(await this.deliver({
+          endpointId: endpoint.id,
+          eventType,
+          data,
+          createdBy: endpoint.created_by
+        }));
+      }
+      return deliveries;
+    } catch (error) {
+      logger.error(`Failed to publish webhook event ${eventType}:`, error.message || error);
+      return [];
+    }
+  }
+
+  async mayReceive(endpoint, data) {
+    if (!endpoint.created_by) return false;
+    if (!data.caseId) return this.authorization.isAdmin(endpoint.created_by);
+    return this.authorization.can(endpoint.created_by, 'case:view', data.caseId);
+  }
+
+  // Job handler: one HTTP attempt. Throws so the job queue retries; client
+  // errors other than 408/429 will not succeed on retry and are dead-lettered.
+  async attemptDelivery(payload, job = {}) {
+    let target = { url: payload.url, secret: payload.secret };
+    if (payload.endpointId) {
+      const endpoint = await this.store.findEndpoint(payload.endpointId);
+      if (!endpoint || !endpoint.is_active) {
+        const err = new Error(`webhook endpoint ${payload.endpointId} is missing or disabled`);
+        err.retryable = false;
+        throw err;
+      }
+      target = endpoint;
+    }
+
+    const attempt = job.attempts || 1;
+    const maxAttempts = job.max_attempts || this.maxAttempts;
+    const body = JSON.stringify(payload.event);
+    const headers = {
+      ...payload.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': 'DisputeResolution-Webhooks/1.0',
+      'X-Webhook-Id': payload.deliveryId,
+      'X-Webhook-Event': payload.event.type,
+      'X-Webhook-Attempt': String(attempt),
+      [SIGNATURE_HEADER]: this.signatureHeader(target.secret, body)
+    };
+
+    const startedAt = Date.now();
+    let statusCode = null;
+    let responseBody = null;
+    let failure = null;
+
+    try {
+      // Checked again at send time: the host may resolve elsewhere by now
+      await assertPublicUrl(target.url, this.networkOptions);
+      const response = await this.http.post(target.url, body, {
+        headers,
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        lookup: guardedLookup(this.networkOptions),
+        responseType: 'text',
+        transformResponse: [raw => raw],
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      responseBody = this.truncate(response.data);
+      if (statusCode < 200 || statusCode >= 300) {
+        failure = new Error(`receiver responded ${statusCode}`);
+        failure.retryable = statusCode >= 500 || statusCode === 408 || statusCode === 429;
+      }
+    } catch (error) {
+      failure = new Error(error.code ? `${error.code}: ${error.message}` : error.message);
+      if (error.code === 'EBLOCKEDADDRESS') failure.retryable = false;
+    }
+
+    const willRetry = !!failure && failure.retryable !== false && attempt < maxAttempts;
+    await this.store.insertDelivery({
+      id: crypto.randomUUID(),
+      delivery_id: payload.deliveryId,
+      endpoint_id: payload.endpointId || null,
+      automation_id: payload.automationId || null,
+      created_by: payload.createdBy || target.created_by || null,
+      event_type: payload.event.type,
+      url: target.url,
+      payload: payload.event,
+      attempt,
+      status: failure ? 'failed' : 'succeeded',
+      will_retry: willRetry,
+      status_code: statusCode,
+      latency_ms: Date.now() - startedAt,
+      response_body: responseBody,
+      error: failure ? failure.message : null,
+      created_at: new Date().toISOString()
+    });
+
+    if (failure) throw failure;
+    return { statusCode, attempt };
+  }
+
+  truncate(value) {
+    if (value === undefined || value === null) return null;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > MAX_RESPONSE_CHARS ? `${text.slice(0, MAX_RESPONSE_CHARS)}…` : text;
+  }
+
+  // Receivers' response bodies are shown to admins only; others see the
+  // status code and error
+  async listDeliveries(userId, { endpointId, automationId, limit = 50, includeResponseBody = false } = {}) {
+    const deliveries = await this.store.listDeliveries({
+      createdBy: userId,
+      endpointId,
+      automationId,
+      limit: Math.min(parseInt(limit, 10) || 50, 200)
+    });
+    if (includeResponseBody) return deliveries;
+    return deliveries.map(({ response_body: responseBody, ...delivery }) => delivery);
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WebhookService = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.WEBHOOK_QUEUE = WEBHOOK_QUEUE;
@@ -0,0 +1,56 @@
+// WhatsApp Service - local stub adapter for the WhatsApp channel
+// There is no WhatsApp Business API integration yet. Messages are appended
+// to a JSON outbox file (WHATSAPP_OUTBOX_FILE) and logged, so the channel
+// can be selected in notification preferences and tested end to end.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+
+const DEFAULT_OUTBOX = path.join(__dirname, '../../storage/whatsapp_outbox.json');
+
+class WhatsAppService {
+  constructor(options = {}) {
+    this.outboxFile = options.outboxFile || process.env.WHATSAPP_OUTBOX_FILE || DEFAULT_OUTBOX;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.outboxFile, 'utf8'));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  async sendMessage({ to, body }) {
+    if (!to || !body) {
+      throw new Error('WhatsApp message requires "to" and "body" fields');
+    }
+
+    const message = {
+      messageId: `wa-stub-${crypto.randomUUID()}`,
+      to: to.trim(),
+      body,
+      status: 'stubbed',
+      created_at: new Date().toISOString()
+    };
+
+    const outbox = this._read();
+    outbox.push(message);
+    fs.mkdirSync(path.dirname(this.outboxFile), { recursive: true });
+    const tmp = `${this.outboxFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(outbox, null, 2));
+    fs.renameSync(tmp, this.outboxFile);
+
+    logger.info(`WhatsApp (stub) message ${message.messageId} queued to ${message.to}`);
+    return { messageId: message.messageId, to: message.to, status: message.status };
+  }
+
+  // Messages "sent" so far, newest last
+  async outbox() {
+    return this._read();
+  }
+}
+
+module.exports = new WhatsAppService();
+module.exports.WhatsAppService = WhatsAppService;
@@ -2,11 +2,25 @@
 // Advanced automation and integration system for legal document workflows
 
 const { supabase } = require('../lib/supabaseClient');
-const { logger } = require('../lib/logger');
+const logger = require('../lib/logger');
 const DocumentGeneratorService = require('./DocumentGeneratorService');
 const CourtIntegrationService = require('./CourtIntegrationService');
 const AdvancedDocumentService = require('./AdvancedDocumentService');
 const { sendEmail } = require('../lib/mailer');
+const WebhookService = require('./WebhookService');
+const ConditionExpression = require('../lib/conditionExpression');
+const Case = require('../models/Case');
+const CaseParty = require('../models/CaseParty');
+
+// Operators of the legacy { field, operator, value } condition form
+const LEGACY_OPERATORS = [
+  'equals', 'not_equals', 'greater_than', 'less_than', 'contains',
+  'starts_with', 'ends_with', 'is_empty', 'is_not_empty'
+];
+
+// Condition roots that are loaded from the database when the trigger data
+// carries a caseId
+const PARTY_ROOTS = ['parties', 'claimant', 'complainant', 'respondent'];
 
 class WorkflowAutomationService {
   constructor() {
@@ -295,7 +309,7 @@ class WorkflowAutomationService {
         return await this.executeCreateCalendarEventAction(config, triggerData);
       
       case 'send_webhook':
-        return await this.executeSendWebhookAction(config, triggerData);
+        return await this.executeSendWebhookAction(config, triggerData, automation);
       
       case 'conditional_branch':
         return await this.executeConditionalBranchAction(config, triggerData, automation);
@@ -441,29 +455,34 @@ class WorkflowAutomationService {
     return { eventId: event.id };
   }
 
-  async executeSendWebhookAction(config, triggerData) {
-    const { url, method = 'POST', headers = {}, payload } = config;
-    
-    const webhookPayload = {
-      ...payload,
-      triggerData,
-      timestamp: new Date().toISOString()
-    };
+  // Queues a signed delivery; retries and the delivery log are handled by WebhookService
+  async executeSendWebhookAction(config, triggerData, automation = {}) {
+    const { endpointId, url, secret, headers = {}, payload = {}, eventType } = config;
 
-    // Mock webhook call - implement actual HTTP request
-    logger.info('Webhook sent', { 
-      url, 
-      method, 
-      payload: webhookPayload 
+    if (endpointId) {
+      const endpoint = await WebhookService.getOwnedEndpoint(endpointId, automation.created_by);
+      if (!endpoint) throw new Error(`Webhook endpoint ${endpointId} not found`);
+    }
+
+    const result = await WebhookService.deliver({
+      endpointId,
+      url,
+      secret,
+      headers,
+      eventType: eventType || `automation.${automation.trigger_type || 'manual'}`,
+      data: { ...payload, triggerData },
+      automationId: automation.id || null,
+      createdBy: automation.created_by || null
     });
 
-    return { webhookId: `webhook_${Date.now()}`, status: 'sent' };
+    return { webhookId: result.deliveryId, status: result.status };
   }
 
   async executeConditionalBranchAction(config, triggerData, automation) {
     const { condition, trueActions = [], falseActions = [] } = config;
     
-    const conditionResult = this.evaluateCondition(condition, triggerData);
+    const context = await this.buildConditionContext(condition, triggerData);
+    const conditionResult = this.evaluateCondition(condition, context);
     const actionsToExecute = conditionResult ? trueActions : falseActions;
     
     const results = [];
@@ -480,8 +499,20 @@ class WorkflowAutomationService {
     };
   }
 
-  // Condition evaluation
+  // Condition evaluation. A condition is an expression (a string or
+  // { expression }, see lib/conditionExpression.js) or a legacy
+  // { field, operator, value } triple.
   evaluateCondition(condition, data) {
+    const expression = this.getConditionExpression(condition);
+    if (expression !== null) {
+      try {
+        return ConditionExpression.evaluate(expression, data);
+      } catch (error) {
+        logger.warn('Condition could not be evaluated, treating as false', { expression, error: error.message });
+        return false;
+      }
+    }
+
     const { field, operator, value } = condition;
     const fieldValue = this.getNestedValue(data, field);
 
@@ -509,6 +540,57 @@ class WorkflowAutomationService {
     }
   }
 
+  getConditionExpression(condition) {
+    if (typeof condition === 'string') return condition;
+    if (condition && typeof condition.expression === 'string') return condition.expression;
+    return null;
+  }
+
+  // Root names a condition reads, e.g. 'case' for "case.status == 'open'"
+  getConditionRoots(condition, roots = new Set()) {
+    if (!condition) return roots;
+
+    const expression = this.getConditionExpression(condition);
+    if (expression !== null) {
+      try {
+        ConditionExpression.compile(expression).references.forEach(root => roots.add(root));
+      } catch (error) {
+        // invalid expressions evaluate to false; nothing to load for them
+      }
+    } else if (Array.isArray(condition.conditions)) {
+      condition.conditions.forEach(c => this.getConditionRoots(c, roots));
+    } else if (typeof condition.field === 'string') {
+      roots.add(condition.field.split('.')[0]);
+    }
+    return roots;
+  }
+
+  // Data conditions are evaluated against: the trigger data itself (also
+  // available as `trigger`), plus the case and its parties when the condition
+  // refers to them and the trigger data carries a caseId
+  async buildConditionContext(condition, triggerData = {}) {
+    const context = { trigger: triggerData, ...triggerData };
+    const caseId = triggerData.caseId || triggerData.case_id;
+    if (!caseId) return context;
+
+    const roots = this.getConditionRoots(condition);
+    try {
+      if (roots.has('case') && context.case === undefined) {
+        context.case = await Case.findById(caseId);
+      }
+      if (PARTY_ROOTS.some(root => roots.has(root)) && context.parties === undefined) {
+        const parties = await CaseParty.getCaseParties(caseId);
+        context.parties = parties;
+        context.claimant = parties.find(p => p.role === 'claimant' || p.role === 'complainant') || null;
+        context.complainant = context.claimant;
+        context.respondent = parties.find(p => p.role === 'respondent') || null;
+      }
+    } catch (error) {
+      logger.warn('Failed to load case data for automation conditions', { caseId, error: error.message });
+    }
+    return context;
+  }
+
   // Get nested object value by path
   getNestedValue(obj, path) {
     return path.split('.').reduce((current, key) => 
@@ -517,14 +599,18 @@ class WorkflowAutomationService {
   }
 
   // Trigger workflow based on events
-  async triggerWorkflow(triggerType, triggerData) {
+  // options.ownerId: only run automations created by this user
+  async triggerWorkflow(triggerType, triggerData, { ownerId = null } = {}) {
     try {
       // Find active automations with matching trigger
-      const { data: automations, error } = await supabase
+      let query = supabase
         .from('workflow_automations')
         .select('*')
         .eq('trigger_type', triggerType)
         .eq('status', 'active');
+      if (ownerId) query = query.eq('created_by', ownerId);
+
+      const { data: automations, error } = await query;
 
       if (error) throw error;
 
@@ -532,7 +618,8 @@ class WorkflowAutomationService {
 
       for (const automation of automations) {
         // Check if trigger conditions are met
-        if (this.checkTriggerConditions(automation.trigger_conditions, triggerData)) {
+        const context = await this.buildConditionContext(automation.trigger_conditions, triggerData);
+        if (this.checkTriggerConditions(automation.trigger_conditions, context)) {
           const execution = await this.executeWorkflowAutomation(automation.id, triggerData);
           triggeredExecutions.push(execution);
         }
@@ -561,6 +648,10 @@ class WorkflowAutomationService {
       return true; // No conditions means always trigger
     }
 
+    if (this.getConditionExpression(conditions) !== null) {
+      return this.evaluateCondition(conditions, data);
+    }
+
     // Handle multiple conditions with AND/OR logic
     if (conditions.operator === 'OR') {
       return conditions.conditions.some(condition => 
@@ -640,15 +731,13 @@ class WorkflowAutomationService {
       errors.push('At least one action is required');
     }
 
+    if (triggerConditions && Object.keys(triggerConditions).length > 0) {
+      errors.push(...this.validateCondition(triggerConditions, 'Trigger condition'));
+    }
+
     // Validate each action
-    for (const [index, action] of actions.entries()) {
-      if (!action.type) {
-        errors.push(`Action ${index + 1}: Type is required`);
-      }
-      
-      if (!action.config) {
-        errors.push(`Action ${index + 1}: Configuration is required`);
-      }
+    for (const [index, action] of (Array.isArray(actions) ? actions : []).entries()) {
+      errors.push(...this.validateAction(action, `Action ${index + 1}`));
     }
 
     return {
@@ -657,6 +746,56 @@ class WorkflowAutomationService {
     };
   }
 
+  validateAction(action, label) {
+    const errors = [];
+
+    if (!action.type) {
+      errors.push(`${label}: Type is required`);
+    }
+
+    if (!action.config) {
+      errors.push(`${label}: Configuration is required`);
+    } else if (action.type === 'send_webhook') {
+      const { endpointId, url, secret } = action.config;
+      if (!endpointId && !(url && secret)) {
+        errors.push(`${label}: Webhook needs an endpointId, or a url and signing secret`);
+      } else if (!endpointId && !WebhookService.isValidUrl(url)) {
+        errors.push(`${label}: Webhook URL must be an absolute http(s) URL on a public host`);
+      }
+    } else if (action.type === 'conditional_branch') {
+      const { condition, trueActions = [], falseActions = [] } = action.config;
+      if (!condition) {
+        errors.push(`${label}: Condition is required`);
+      } else {
+        errors.push(...this.validateCondition(condition, `${label} condition`));
+      }
+      trueActions.forEach((a, i) => errors.push(...this.validateAction(a, `${label} (true branch) action ${i + 1}`)));
+      falseActions.forEach((a, i) => errors.push(...this.validateAction(a, `${label} (false branch) action ${i + 1}`)));
+    }
+
+    return errors;
+  }
+
+  // Syntax errors in expressions and unknown legacy operators
+  validateCondition(condition, label) {
+    const expression = this.getConditionExpression(condition);
+    if (expression !== null) {
+      const error = ConditionExpression.validate(expression);
+      return error ? [`${label}: ${error}`] : [];
+    }
+
+    if (typeof condition !== 'object') {
+      return [`${label}: Must be an expression or a { field, operator, value } condition`];
+    }
+    if (Array.isArray(condition.conditions)) {
+      return condition.conditions.flatMap((c, i) => this.validateCondition(c, `${label} ${i + 1}`));
+    }
+    if (!condition.field || !LEGACY_OPERATORS.includes(condition.operator)) {
+      return [`${label}: Needs a field and one of the operators ${LEGACY_OPERATORS.join(', ')}`];
+    }
+    return [];
+  }
+
   // Get workflow automation statistics
   async getWorkflowStatistics(userId) {
     try {
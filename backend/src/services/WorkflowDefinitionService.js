@@ -0,0 +1,236 @@
+// Workflow Definition Service - Loads versioned dispute lifecycle definitions
+//
+// Definitions live in backend/workflows/<id>.v<version>.json:
+//   {
+//     "id": "standard", "version": 1, "name": "...", "caseTypes": ["*"],
+//     "initialStage": "draft",
+//     "stages": {
+//       "<stage>": {
+//         "status": "<case status while in this stage>",
+//         "estimatedDays": 7,
+//         "onEnter": ["<hook name>"],
+//         "transitions": ["<stage>", { "to": "<stage>", "guards": ["<guard name>"] }]
+//       }
+//     }
+//   }
+// Guards and hooks are referenced by name and resolved against the registries
+// below, so a definition file can only use behaviour the backend knows about.
+const fs = require('fs');
+const path = require('path');
+const logger = require('../lib/logger');
+
+const DEFAULT_DIR = path.join(__dirname, '../../workflows');
+const DEFAULT_DEFINITION_ID = 'standard';
+
+// Guards receive { caseId, workflow, definition, from, to } and return
+// true to allow the transition or a string explaining why it is blocked
+const guards = {
+  async bothStatementsFinalized({ caseId }) {
+    const StatementService = require('./StatementService');
+    const result = await StatementService.getStatementStatus(caseId);
+    if (!result.success) return 'Unable to read statement status';
+    return result.status.readyForAnalysis || 'Both parties must finalize their statements';
+  },
+
+  async mediationCompleted({ workflow }) {
+    return !!workflow.metadata?.mediation?.completed || 'A mediation round must be completed first';
+  },
+
+  async settlementDefaulted({ caseId }) {
+    const SettlementPaymentService = require('./SettlementPaymentService');
+    return (await SettlementPaymentService.hasDefault(caseId)) || 'Only a settlement whose payment plan is in default can be reopened';
+  }
+};
+
+// Hooks receive the same context once the new stage has been saved
+const hooks = {
+  notifyStatementsNeeded: ({ caseId }) => require('./NotificationService').notifyStatementsNeeded(caseId),
+  notifyOptionsReady: ({ caseId }) => require('./NotificationService').notifyOptionsReady(caseId),
+  notifyConsensusReached: ({ caseId }) => require('./NotificationService').notifyConsensusReached(caseId),
+  notifyCaseForwarded: ({ caseId }) => require('./NotificationService').notifyCaseForwarded(caseId),
+  notifySettlementClosed: ({ caseId }) => require('./NotificationService').notifySettlementClosed(caseId),
+  notifyMediationScheduled: ({ caseId }) => require('./NotificationService').notifyMediationScheduled(caseId),
+  logAIAnalysisReady: ({ caseId }) => logger.info(`Case ${caseId} ready for AI analysis`)
+};
+
+class WorkflowDefinitionService {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.WORKFLOW_DEFINITIONS_DIR || DEFAULT_DIR;
+    this.guards = { ...guards };
+    this.hooks = { ...hooks };
+    this.definitions = null;
+  }
+
+  registerGuard(name, fn) {
+    this.guards[name] = fn;
+  }
+
+  registerHook(name, fn) {
+    this.hooks[name] = fn;
+  }
+
+  // Normalize and validate one definition; throws on anything that would
+  // only fail later, mid-transition
+  compile(raw, source = 'definition') {
+    if (!raw.id || !Number.isInteger(raw.version) || raw.version < 1) {
+      throw new Error(`${source}: id and a positive integer version are required`);
+    }
+    const stageNames = Object.keys(raw.stages || {});
+    if (stageNames.length === 0) {
+      throw new Error(`${source}: at least one stage is required`);
+    }
+    if (!raw.stages[raw.initialStage]) {
+      throw new Error(`${source}: unknown initialStage "${raw.initialStage}"`);
+    }
+
+    const stages = {};
+    for (const name of stageNames) {
+      const stage = raw.stages[name] || {};
+      const transitions = (stage.transitions || []).map(t => (typeof t === 'string' ? { to: t, guards: [] } : { to: t.to, guards: t.guards || [] }));
+
+      for (const transition of transitions) {
+        if (!raw.stages[transition.to]) {
+          throw new Error(`${source}: stage "${name}" transitions to unknown stage "${transition.to}"`);
+        }
+        const unknownGuard = transition.guards.find(g => !this.guards[g]);
+        if (unknownGuard) {
+          throw new Error(`${source}: unknown guard "${unknownGuard}" on ${name} -> ${transition.to}`);
+        }
+      }
+
+      const onEnter = stage.onEnter || [];
+      const unknownHook = onEnter.find(h => !this.hooks[h]);
+      if (unknownHook) {
+        throw new Error(`${source}: unknown hook "${unknownHook}" on stage "${name}"`);
+      }
+
+      stages[name] = {
+        status: stage.status || 'active',
+        estimatedDays: stage.estimatedDays ?? 7,
+        onEnter,
+        transitions
+      };
+    }
+
+    return {
+      id: raw.id,
+      version: raw.version,
+      name: raw.name || raw.id,
+      description: raw.description || '',
+      caseTypes: raw.caseTypes || [],
+      initialStage: raw.initialStage,
+      stages
+    };
+  }
+
+  load() {
+    const definitions = new Map();
+    const files = fs.existsSync(this.dir) ? fs.readdirSync(this.dir).filter(f => f.endsWith('.json')) : [];
+
+    for (const file of files.sort()) {
+      const raw = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+      const definition = this.compile(raw, file);
+      const key = `${definition.id}@${definition.version}`;
+      if (definitions.has(key)) {
+        throw new Error(`${file}: duplicate workflow definition ${key}`);
+      }
+      definitions.set(key, definition);
+    }
+
+    this.definitions = definitions;
+    logger.info(`Loaded ${definitions.size} workflow definition(s) from ${this.dir}`);
+    return definitions;
+  }
+
+  all() {
+    return [...(this.definitions || this.load()).values()];
+  }
+
+  // A specific version, or the latest version when none is given
+  get(id, version = null) {
+    const matches = this.all().filter(d => d.id === id);
+    if (version) return matches.find(d => d.version === Number(version)) || null;
+    return matches.sort((a, b) => b.version - a.version)[0] || null;
+  }
+
+  // Definition for a new case: explicit id, then a definition claiming the
+  // case type, then the standard lifecycle
+  select({ definitionId, caseType } = {}) {
+    if (definitionId) {
+      const explicit = this.get(definitionId);
+      if (!explicit) throw new Error(`Unknown workflow definition: ${definitionId}`);
+      return explicit;
+    }
+
+    if (caseType) {
+      const latestIds = [...new Set(this.all().map(d => d.id))].map(id => this.get(id));
+      const byCaseType = latestIds.find(d => d.caseTypes.includes(caseType));
+      if (byCaseType) return byCaseType;
+    }
+
+    const fallback = this.get(DEFAULT_DEFINITION_ID);
+    if (!fallback) throw new Error(`Default workflow definition "${DEFAULT_DEFINITION_ID}" is missing`);
+    return fallback;
+  }
+
+  // Rows created before definitions existed have no pin; they ran on standard@1
+  forWorkflow(workflow) {
+    const id = workflow.definition_id || DEFAULT_DEFINITION_ID;
+    const version = workflow.definition_version || 1;
+    const definition = this.get(id, version);
+    if (!definition) throw new Error(`Workflow definition ${id}@${version} is not installed`);
+    return definition;
+  }
+
+  getAllowedTransitions(definition, stage) {
+    return (definition.stages[stage]?.transitions || []).map(t => t.to);
+  }
+
+  // Returns { allowed: true } or { allowed: false, reason }
+  async checkTransition(definition, context) {
+    const { from, to } = context;
+    const transition = (definition.stages[from]?.transitions || []).find(t => t.to === to);
+    if (!transition) {
+      return { allowed: false, reason: `Invalid transition from ${from} to ${to}` };
+    }
+
+    for (const name of transition.guards) {
+      const result = await this.guards[name]({ ...context, definition });
+      if (result !== true) {
+        return { allowed: false, reason: typeof result === 'string' ? result : `Guard ${name} rejected the transition`, guard: name };
+      }
+    }
+    return { allowed: true };
+  }
+
+  // Hooks never fail a transition that has already been saved
+  async runOnEnter(definition, context) {
+    for (const name of definition.stages[context.to]?.onEnter || []) {
+      try {
+        await this.hooks[name]({ ...context, definition });
+      } catch (error) {
+        logger.error(`Workflow hook ${name} failed for case ${context.caseId}:`, error);
+      }
+    }
+  }
+
+  summarize(definition) {
+    return {
+      id: definition.id,
+      version: definition.version,
+      name: definition.name,
+      description: definition.description,
+      caseTypes: definition.caseTypes,
+      initialStage: definition.initialStage,
+      stages: Object.entries(definition.stages).map(([name, stage]) => ({
+        name,
+        status: stage.status,
+        estimatedDays: stage.estimatedDays,
+        transitions: stage.transitions
+      }))
+    };
+  }
+}
+
+module.exports = new WorkflowDefinitionService();
+module.exports.WorkflowDefinitionService = WorkflowDefinitionService;
@@ -0,0 +1,51 @@
+// Anthropic Claude provider for the AI provider registry
+const Anthropic = require('@anthropic-ai/sdk');
+
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.defaultModel = options.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022';
+    this.client = null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async generate(request) {
+    const { messages, maxTokens = 4000, temperature = 0.3, model = this.defaultModel } = request;
+
+    // Claude takes system prompts separately from the conversation
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const conversation = messages.filter(m => m.role !== 'system');
+
+    const response = await this.getClient().messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system ? { system } : {}),
+      messages: conversation
+    });
+
+    return {
+      content: response.content[0].text,
+      usage: {
+        promptTokens: response.usage.input_tokens,
+        completionTokens: response.usage.output_tokens,
+        totalTokens: response.usage.input_tokens + response.usage.output_tokens
+      },
+      provider: this.name,
+      model
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,71 @@
+// Fixture provider - deterministic, offline replay of recorded AI responses.
+//
+// Lookup order for a request:
+//   1. <dir>/recordings/<promptHash>.json  - exact recording of this prompt
+//   2. <dir>/tasks/<task>.json             - canned response for the task
+// A fixture file is { "content": "..." | {...}, "model": "...", "usage": {...} };
+// non-string content is returned JSON-serialized.
+//
+// When constructed with `recordWith` (another provider), misses are sent to
+// that provider and the response is written to recordings/ for later replay.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '../../../fixtures/ai');
+
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.dir = options.dir || process.env.AI_FIXTURE_DIR || DEFAULT_DIR;
+    this.recordWith = options.recordWith || null;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  // Stable key for a request: only the prompt content counts, so tuning
+  // temperature or token limits does not invalidate recordings
+  hashRequest(request) {
+    const normalized = JSON.stringify(request.messages.map(m => [m.role, m.content]));
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+  }
+
+  readFixture(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return typeof fixture.content === 'string' ? fixture : { ...fixture, content: JSON.stringify(fixture.content) };
+  }
+
+  async generate(request) {
+    const hash = this.hashRequest(request);
+    const recordingPath = path.join(this.dir, 'recordings', `${hash}.json`);
+
+    let fixture = this.readFixture(recordingPath);
+    if (!fixture && request.task) {
+      fixture = this.readFixture(path.join(this.dir, 'tasks', `${request.task}.json`));
+    }
+
+    if (!fixture && this.recordWith) {
+      const live = await this.recordWith.generate(request);
+      fixture = { content: live.content, model: live.model, usage: live.usage, task: request.task || null };
+      fs.mkdirSync(path.dirname(recordingPath), { recursive: true });
+      fs.writeFileSync(recordingPath, JSON.stringify(fixture, null, 2));
+    }
+
+    if (!fixture) {
+      throw new Error(`No AI fixture for task "${request.task || 'unknown'}" (prompt hash ${hash})`);
+    }
+
+    return {
+      content: fixture.content,
+      usage: fixture.usage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      provider: this.name,
+      model: fixture.model || 'fixture',
+      fixtureHash: hash
+    };
+  }
+}
+
+module.exports = FixtureProvider;
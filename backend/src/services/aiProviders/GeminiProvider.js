@@ -0,0 +1,63 @@
+// Google Gemini provider for the AI provider registry
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+    this.defaultModel = options.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+    this.genAI = null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.genAI) {
+      this.genAI = new GoogleGenerativeAI(this.apiKey);
+    }
+    return this.genAI;
+  }
+
+  async generate(request) {
+    const {
+      messages,
+      images = [],
+      maxTokens = 2048,
+      temperature = 0.7,
+      topP = 0.8,
+      topK = 40,
+      model = this.defaultModel
+    } = request;
+
+    const generativeModel = this.getClient().getGenerativeModel({ model });
+
+    // Gemini has no system role; fold everything into one user turn
+    const text = messages.map(m => m.content).join('\n\n');
+    const parts = [
+      { text },
+      ...images.map(img => ({ inlineData: { data: img.data, mimeType: img.mimeType || 'image/jpeg' } }))
+    ];
+
+    const result = await generativeModel.generateContent({
+      contents: [{ role: 'user', parts }],
+      generationConfig: { temperature, topP, topK, maxOutputTokens: maxTokens }
+    });
+
+    const response = await result.response;
+    const usage = response.usageMetadata || response.usage || {};
+    return {
+      content: response.text(),
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+      },
+      provider: this.name,
+      model
+    };
+  }
+}
+
+module.exports = GeminiProvider;
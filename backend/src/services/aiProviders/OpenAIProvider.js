@@ -0,0 +1,46 @@
+// OpenAI provider for the AI provider registry
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.defaultModel = options.model || process.env.OPENAI_MODEL || 'gpt-4-1106-preview';
+    this.client = null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async generate(request) {
+    const { messages, maxTokens = 4000, temperature = 0.3, model = this.defaultModel } = request;
+
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      usage: {
+        promptTokens: response.usage.prompt_tokens,
+        completionTokens: response.usage.completion_tokens,
+        totalTokens: response.usage.total_tokens
+      },
+      provider: this.name,
+      model
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
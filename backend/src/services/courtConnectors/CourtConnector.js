@@ -0,0 +1,95 @@
+// Court connector - the interface every court filing integration implements.
+//
+// A connector talks to one filing channel of one court system (an e-filing
+// portal, a registry mailbox). EnhancedCourtIntegrationService only uses
+// these methods, so a new court is added by writing a connector, not by
+// changing the filing pipeline:
+//
+//   submit(filing)               -> { trackingId, acknowledgementNumber, status, receivedAt, fees, responseData }
+//   status(trackingId)           -> { trackingId, status, filingNumber, defects, hearing, updatedAt, responseData }
+//   fees(trackingId)             -> { currency, items, total, paid } or null when the court reports none
+//   deficiencies(trackingId)     -> [{ code, description, rule, cureBy }]
+//   acknowledgement(trackingId)  -> { acknowledgementNumber, trackingId, receivedAt, documents }
+//   causeList(date)              -> { date, court, entries: [{ caseNumber, courtHall, itemNumber,
+//                                     purpose, outcome, nextDate, order, ... }] } (src/lib/causeList.js)
+//   health()                     -> { status, responseTime }
+//
+// `filing` is { filingId, caseNumber, court, filingType, filingParty, parties,
+// documents: [{ documentId, filename, documentType, content }], claimAmount,
+// considerationPaid, fees, expedited, serviceMethod, metadata }; document
+// content is a Buffer and fees is the CourtFeeService breakdown paid.
+// Statuses are court-side: FILING_STATUSES below.
+
+const FILING_STATUSES = ['submitted', 'under_scrutiny', 'defective', 'registered', 'rejected'];
+
+class CourtConnectorError extends Error {
+  constructor(connector, code, message, { status = 502, retryable = false } = {}) {
+    super(message);
+    this.name = 'CourtConnectorError';
+    this.connector = connector;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+class CourtConnector {
+  constructor({ name, code = null, label = null } = {}) {
+    this.name = name;
+    this.code = code;
+    this.label = label || code || name;
+  }
+
+  isAvailable() {
+    return false;
+  }
+
+  // What the court accepts, for court system listings
+  describe() {
+    return {
+      code: this.code,
+      name: this.label,
+      connector: this.name,
+      filingTypes: [],
+      maxFileSize: null,
+      supportedFormats: ['pdf'],
+      capabilities: []
+    };
+  }
+
+  unsupported(method) {
+    return new CourtConnectorError(this.name, 'not_supported', `${this.name} connector does not support ${method}`, { status: 501 });
+  }
+
+  async submit() {
+    throw this.unsupported('submit');
+  }
+
+  async status() {
+    throw this.unsupported('status');
+  }
+
+  async fees() {
+    return null;
+  }
+
+  async deficiencies() {
+    return [];
+  }
+
+  async acknowledgement() {
+    throw this.unsupported('acknowledgement');
+  }
+
+  async causeList() {
+    throw this.unsupported('causeList');
+  }
+
+  async health() {
+    return { status: this.isAvailable() ? 'healthy' : 'unconfigured', responseTime: null };
+  }
+}
+
+module.exports = CourtConnector;
+module.exports.CourtConnectorError = CourtConnectorError;
+module.exports.FILING_STATUSES = FILING_STATUSES;
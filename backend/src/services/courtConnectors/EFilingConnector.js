@@ -0,0 +1,148 @@
+// E-filing connector - JSON over HTTPS to a court e-filing portal.
+//
+// Endpoints (the protocol src/lib/mockEFilingServer.js implements):
+//   POST /filings                           submit; documents carry base64 content and their SHA-256
+//   GET  /filings/:trackingId               scrutiny status, defects, filing number and hearing
+//   GET  /filings/:trackingId/fees          fees assessed by the registry
+//   GET  /filings/:trackingId/defects       deficiency notice
+//   GET  /filings/:trackingId/acknowledgement
+//   GET  /cause-list?date=YYYY-MM-DD        the day's cause list with hearing outcomes
+//   GET  /health
+// Requests carry `Authorization: Bearer <token>`. 4xx answers are final;
+// 5xx answers and network failures are retryable.
+const crypto = require('crypto');
+const axios = require('axios');
+const CourtConnector = require('./CourtConnector');
+const { CourtConnectorError } = CourtConnector;
+
+class EFilingConnector extends CourtConnector {
+  constructor(config = {}) {
+    super({ name: 'efiling', code: config.code, label: config.label });
+    this.baseURL = (config.endpoint || '').replace(/\/+$/, '');
+    this.token = config.token || null;
+    this.timeout = config.timeout || 60000;
+    this.filingTypes = config.filingTypes || [];
+    this.maxFileSize = config.maxFileSize || 25 * 1024 * 1024;
+    this.http = config.http || axios;
+  }
+
+  isAvailable() {
+    return Boolean(this.baseURL);
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      filingTypes: this.filingTypes,
+      maxFileSize: this.maxFileSize,
+      capabilities: ['submit', 'status', 'fees', 'deficiencies', 'acknowledgement', 'causeList']
+    };
+  }
+
+  async request(method, url, data) {
+    if (!this.isAvailable()) {
+      throw new CourtConnectorError(this.name, 'not_configured', `No e-filing endpoint configured for ${this.label}`, { status: 503 });
+    }
+    try {
+      const response = await this.http.request({
+        method,
+        url: `${this.baseURL}${url}`,
+        data,
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+          ...(this.code ? { 'X-Court-System': this.code } : {})
+        }
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const body = (error.response && error.response.data) || {};
+      throw new CourtConnectorError(
+        this.name,
+        body.code || (status ? `http_${status}` : 'unreachable'),
+        `${this.label} e-filing ${method.toUpperCase()} ${url} failed: ${body.error || error.message}`,
+        { status: status && status < 500 ? status : 502, retryable: !status || status >= 500 }
+      );
+    }
+  }
+
+  async submit(filing) {
+    const data = await this.request('post', '/filings', {
+      reference: filing.filingId,
+      caseNumber: filing.caseNumber,
+      court: filing.court,
+      filingType: filing.filingType,
+      filingParty: filing.filingParty,
+      parties: filing.parties || [],
+      claimAmount: filing.claimAmount,
+      considerationPaid: filing.considerationPaid,
+      feesPaid: filing.fees ? filing.fees.total : null,
+      expedited: Boolean(filing.expedited),
+      serviceMethod: filing.serviceMethod,
+      metadata: filing.metadata || {},
+      documents: (filing.documents || []).map(doc => ({
+        documentId: doc.documentId,
+        filename: doc.filename,
+        documentType: doc.documentType,
+        paginated: doc.paginated,
+        sha256: crypto.createHash('sha256').update(doc.content).digest('hex'),
+        content: doc.content.toString('base64')
+      }))
+    });
+
+    return {
+      trackingId: data.trackingId,
+      acknowledgementNumber: data.acknowledgementNumber,
+      status: data.status,
+      receivedAt: data.receivedAt,
+      fees: data.fees ? data.fees.total : null,
+      responseData: data
+    };
+  }
+
+  async status(trackingId) {
+    const data = await this.request('get', `/filings/${encodeURIComponent(trackingId)}`);
+    return {
+      trackingId: data.trackingId,
+      status: data.status,
+      filingNumber: data.filingNumber || null,
+      defects: data.defects || [],
+      hearing: data.hearing || null,
+      updatedAt: data.updatedAt,
+      responseData: data
+    };
+  }
+
+  async fees(trackingId) {
+    return this.request('get', `/filings/${encodeURIComponent(trackingId)}/fees`);
+  }
+
+  async deficiencies(trackingId) {
+    const data = await this.request('get', `/filings/${encodeURIComponent(trackingId)}/defects`);
+    return data.defects || [];
+  }
+
+  async acknowledgement(trackingId) {
+    return this.request('get', `/filings/${encodeURIComponent(trackingId)}/acknowledgement`);
+  }
+
+  async causeList(date) {
+    const data = await this.request('get', `/cause-list?date=${encodeURIComponent(date)}`);
+    return { date: data.date || date, court: data.court || null, entries: data.entries || [] };
+  }
+
+  async health() {
+    if (!this.isAvailable()) return super.health();
+    const startedAt = Date.now();
+    try {
+      await this.request('get', '/health');
+      return { status: 'healthy', responseTime: Date.now() - startedAt };
+    } catch (error) {
+      return { status: 'unhealthy', responseTime: Date.now() - startedAt, error: error.message };
+    }
+  }
+}
+
+module.exports = EFilingConnector;
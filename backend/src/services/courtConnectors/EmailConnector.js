@@ -0,0 +1,70 @@
+// Email connector - filings sent to a registry mailbox.
+// The registry answers by post or in person, so there is no status to poll:
+// a filing stays 'submitted' until the registry's answer is recorded by hand.
+const CourtConnector = require('./CourtConnector');
+
+class EmailConnector extends CourtConnector {
+  constructor(config = {}) {
+    super({ name: 'email', code: config.code, label: config.label });
+    this.filingEmail = config.filingEmail || null;
+    this.mailer = config.mailer || null;
+  }
+
+  get emailService() {
+    if (!this.mailer) this.mailer = require('../EmailService');
+    return this.mailer;
+  }
+
+  isAvailable() {
+    return Boolean(this.filingEmail);
+  }
+
+  describe() {
+    return { ...super.describe(), capabilities: ['submit', 'acknowledgement'] };
+  }
+
+  body(filing) {
+    return `
+Dear Registrar,
+
+Please accept this ${filing.filingType} for Case Number: ${filing.caseNumber}
+
+Filing Party: ${filing.filingParty}
+Filing Type: ${filing.filingType}
+Service Method: ${filing.serviceMethod}
+${filing.expedited ? 'URGENT LISTING REQUESTED' : ''}
+
+Documents attached: ${filing.documents.length}
+
+Please confirm receipt and provide the diary number when processed.
+
+Thank you,
+AI Dispute Resolver System
+    `.trim();
+  }
+
+  async submit(filing) {
+    const result = await this.emailService.sendEmail({
+      to: this.filingEmail,
+      subject: `${filing.filingType} - Case ${filing.caseNumber}`,
+      text: this.body(filing),
+      attachments: filing.documents.map(doc => ({ filename: doc.filename, content: doc.content }))
+    });
+    const receivedAt = new Date().toISOString();
+
+    return {
+      trackingId: `EMAIL_${result.messageId}`,
+      acknowledgementNumber: result.messageId,
+      status: 'submitted',
+      receivedAt,
+      fees: null,
+      responseData: { emailSent: true, messageId: result.messageId, to: this.filingEmail }
+    };
+  }
+
+  async acknowledgement(trackingId) {
+    return { acknowledgementNumber: trackingId.replace(/^EMAIL_/, ''), trackingId, receivedAt: null, documents: [] };
+  }
+}
+
+module.exports = EmailConnector;
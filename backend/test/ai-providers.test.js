@@ -0,0 +1,94 @@
+// AI Provider Registry Tests - run entirely offline through the fixture provider
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const aiProviders = require('../src/services/AIProviderRegistry');
+const FixtureProvider = require('../src/services/aiProviders/FixtureProvider');
+const AIService = require('../src/services/AIService');
+const GeminiService = require('../src/services/GeminiService');
+
+describe('AI Provider Registry', () => {
+  afterEach(() => {
+    delete aiProviders.caseTypeProviders.consumer;
+  });
+
+  it('should register all built-in providers', () => {
+    const names = aiProviders.getStatus().providers.map(p => p.name);
+    expect(names).toEqual(expect.arrayContaining(['anthropic', 'openai', 'gemini', 'fixture']));
+  });
+
+  it('should parse per-case-type provider config', () => {
+    expect(aiProviders.parseCaseTypeConfig('consumer:fixture, contract : openai,bogus')).toEqual({
+      consumer: 'fixture',
+      contract: 'openai'
+    });
+  });
+
+  it('should prefer an explicit provider, then the case-type mapping', () => {
+    aiProviders.setCaseTypeProvider('consumer', 'fixture');
+
+    expect(aiProviders.resolve({ provider: 'fixture' }).name).toBe('fixture');
+    expect(aiProviders.resolve({ caseType: 'consumer', preferred: 'gemini' }).name).toBe('fixture');
+  });
+
+  it('should only apply a per-provider model to that provider', async () => {
+    const generate = jest.spyOn(aiProviders.get('fixture'), 'generate');
+
+    await aiProviders.generate('Analyze this case', { provider: 'fixture', task: 'reconcile', models: { gemini: 'gemini-1.5-pro' } });
+    await aiProviders.generate('Analyze this case', { provider: 'fixture', task: 'reconcile', models: { fixture: 'fixture-2' } });
+
+    expect(generate.mock.calls.map(([request]) => request.model)).toEqual([undefined, 'fixture-2']);
+    expect(generate.mock.calls[0][0]).not.toHaveProperty('models');
+    generate.mockRestore();
+  });
+
+  it('should replay task fixtures deterministically', async () => {
+    const first = await aiProviders.generate('Analyze this case', { provider: 'fixture', task: 'reconcile' });
+    const second = await aiProviders.generate('Analyze this case', { provider: 'fixture', task: 'reconcile' });
+
+    expect(first.provider).toBe('fixture');
+    expect(first.content).toBe(second.content);
+    expect(JSON.parse(first.content)).toHaveProperty('compromise_options');
+  });
+
+  it('should fail clearly when no fixture exists', async () => {
+    await expect(aiProviders.generate('Unrecorded prompt', { provider: 'fixture', task: 'no_such_task' }))
+      .rejects.toThrow(/No AI fixture for task "no_such_task"/);
+  });
+
+  it('should record misses through a live provider and replay them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-fixtures-'));
+    const live = { name: 'stub', generate: jest.fn().mockResolvedValue({ content: 'recorded answer', model: 'stub-1', usage: {} }) };
+    const recorder = new FixtureProvider({ dir, recordWith: live });
+    const request = { messages: [{ role: 'user', content: 'What is the limitation period?' }], task: 'legal_research' };
+
+    const recorded = await recorder.generate(request);
+    const replayed = await new FixtureProvider({ dir }).generate(request);
+
+    expect(live.generate).toHaveBeenCalledTimes(1);
+    expect(recorded.content).toBe('recorded answer');
+    expect(replayed.content).toBe('recorded answer');
+    expect(replayed.fixtureHash).toBe(recorded.fixtureHash);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should run the AIService case analysis offline', async () => {
+    aiProviders.setCaseTypeProvider('consumer', 'fixture');
+
+    const analysis = await AIService.analyzeCaseForResolution({
+      complainerStatement: 'Paid an advance, work not delivered.',
+      defenderStatement: 'Delivery was delayed by late approvals.',
+      evidence: [],
+      caseDetails: { title: 'Website build dispute', description: 'Advance paid', case_type: 'consumer', priority: 'medium' }
+    });
+
+    expect(analysis).toHaveProperty('summary');
+    expect(analysis.keyIssues.length).toBeGreaterThan(0);
+  });
+
+  it('should route GeminiService.generateContent through the registry', async () => {
+    const content = await GeminiService.generateContent('Compromise please', { provider: 'fixture', task: 'compromise_option' });
+    expect(JSON.parse(content)).toHaveProperty('complainantReceives', 25000);
+  });
+});
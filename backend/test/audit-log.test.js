@@ -0,0 +1,176 @@
+// Case Audit Log Tests - hash chaining, tamper detection and export
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { FileAuditLogStore, AuditSequenceConflictError, createAuditLogStore } = require('../src/lib/auditLogStore');
+const { AuditLogService, hashEntry, GENESIS_HASH } = require('../src/services/AuditLogService');
+
+describe('Case Audit Log', () => {
+  let dir;
+  let file;
+  let store;
+  let service;
+
+  const tamper = (mutate) => {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    mutate(state.entries);
+    fs.writeFileSync(file, JSON.stringify(state));
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    file = path.join(dir, 'audit.json');
+    store = new FileAuditLogStore(file);
+    service = new AuditLogService({ store });
+
+    await service.append('case-1', 'workflow.stage_changed', {
+      actorId: 'user-1', payload: { from: 'filed', to: 'statements' }
+    });
+    await service.append('case-1', 'statement.finalized', {
+      actorId: 'user-2', payload: { statementId: 'st-1', contentSha256: 'abc' }
+    });
+    await service.append('case-1', 'settlement.option_selected', {
+      actorId: 'user-1', payload: { optionId: 'opt-2' }
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('links each entry to the previous one', async () => {
+    const entries = await service.list('case-1');
+
+    expect(entries.map(e => e.sequence)).toEqual([1, 2, 3]);
+    expect(entries[0].prev_hash).toBe(GENESIS_HASH);
+    expect(entries[1].prev_hash).toBe(entries[0].hash);
+    expect(entries[2].prev_hash).toBe(entries[1].hash);
+    entries.forEach(entry => expect(entry.hash).toBe(hashEntry(entry)));
+  });
+
+  test('keeps a separate chain per case', async () => {
+    const entry = await service.append('case-2', 'signature.signed', { actorId: 'user-3' });
+
+    expect(entry.sequence).toBe(1);
+    expect(entry.prev_hash).toBe(GENESIS_HASH);
+    expect((await service.verify('case-1')).entryCount).toBe(3);
+  });
+
+  test('verifies an untouched chain', async () => {
+    const result = await service.verify('case-1');
+
+    expect(result).toMatchObject({ caseId: 'case-1', valid: true, entryCount: 3, problems: [] });
+    expect(result.headHash).toBe((await store.lastEntry('case-1')).hash);
+  });
+
+  test('hashes payloads independently of key order', async () => {
+    // JSONB does not preserve key order on the way back out
+    tamper(entries => {
+      entries[0].payload = { to: entries[0].payload.to, from: entries[0].payload.from };
+    });
+
+    expect((await service.verify('case-1')).valid).toBe(true);
+  });
+
+  test('detects an edited payload', async () => {
+    tamper(entries => { entries[1].payload.contentSha256 = 'forged'; });
+
+    const result = await service.verify('case-1');
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([expect.objectContaining({ sequence: 2, reason: 'hash_mismatch' })]);
+  });
+
+  test('detects an edit that also recomputes the entry hash', async () => {
+    tamper(entries => {
+      entries[1].actor_id = 'user-9';
+      entries[1].hash = hashEntry(entries[1]);
+    });
+
+    const result = await service.verify('case-1');
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([expect.objectContaining({ sequence: 3, reason: 'prev_hash_mismatch' })]);
+  });
+
+  test('detects a deleted entry', async () => {
+    tamper(entries => entries.splice(1, 1));
+
+    const reasons = (await service.verify('case-1')).problems.map(p => p.reason);
+    expect(reasons).toEqual(expect.arrayContaining(['sequence_gap', 'prev_hash_mismatch']));
+  });
+
+  test('detects reordered entries', async () => {
+    tamper(entries => {
+      [entries[1].sequence, entries[2].sequence] = [entries[2].sequence, entries[1].sequence];
+    });
+
+    const result = await service.verify('case-1');
+    expect(result.valid).toBe(false);
+    expect(result.problems.some(p => p.reason === 'hash_mismatch')).toBe(true);
+  });
+
+  test('re-reads the chain head when another writer takes the sequence', async () => {
+    const insert = store.insert.bind(store);
+    jest.spyOn(store, 'insert')
+      .mockImplementationOnce(async (entry) => {
+        // a concurrent writer lands first
+        const other = { ...entry, id: 'other', event_type: 'timeline.note' };
+        await insert({ ...other, hash: hashEntry(other) });
+        throw new AuditSequenceConflictError(entry);
+      })
+      .mockImplementation(insert);
+
+    const entry = await service.append('case-1', 'signature.completed', { payload: { signatureRequestId: 'sr-1' } });
+
+    expect(entry.sequence).toBe(5);
+    expect((await service.verify('case-1')).valid).toBe(true);
+  });
+
+  test('record() swallows store failures', async () => {
+    jest.spyOn(store, 'insert').mockRejectedValue(new Error('disk full'));
+
+    await expect(service.record('case-1', 'court.filing_submitted', {})).resolves.toBeNull();
+    await expect(service.append('case-1', 'court.filing_submitted', {})).rejects.toThrow('disk full');
+  });
+
+  test('keeps the log in a file only when AUDIT_LOG_STORE=file says so, and reports it', async () => {
+    const saved = { ...process.env };
+    try {
+      process.env.AUDIT_LOG_STORE = 'file';
+      process.env.AUDIT_LOG_STORE_FILE = file;
+      expect(createAuditLogStore()).toBeInstanceOf(FileAuditLogStore);
+      expect(new AuditLogService().status()).toMatchObject({ store: 'file', tamperEvident: false, warning: expect.stringMatching(/not tamper-evident/) });
+
+      // no database and no explicit file: nothing is recorded, and that is reported
+      delete process.env.AUDIT_LOG_STORE;
+      delete process.env.SUPABASE_URL;
+      expect(() => createAuditLogStore()).toThrow(/AUDIT_LOG_STORE=file/);
+      const unconfigured = new AuditLogService();
+      expect(unconfigured.status()).toMatchObject({ store: 'unconfigured', tamperEvident: false });
+      await expect(unconfigured.record('case-1', 'court.filing_submitted', {})).resolves.toBeNull();
+      expect(fs.readFileSync(file, 'utf8')).not.toContain('court.filing_submitted');
+
+      process.env.SUPABASE_URL = 'http://localhost:1';
+      expect(new AuditLogService().status()).toEqual({ store: 'postgres', tamperEvident: true, warning: null });
+    } finally {
+      process.env = saved;
+    }
+  });
+
+  test('exports a self-verifying document', async () => {
+    const exported = await service.export('case-1');
+
+    expect(exported).toMatchObject({
+      format: 'case-audit-log/v1',
+      caseId: 'case-1',
+      hashAlgorithm: 'sha256',
+      genesisHash: GENESIS_HASH,
+      entryCount: 3,
+      verification: { valid: true, problems: [] }
+    });
+    expect(exported.headHash).toBe(exported.entries[2].hash);
+    // the exported entries alone are enough to recompute every hash
+    exported.entries.forEach(entry => {
+      expect(hashEntry({ ...entry, case_id: exported.caseId })).toBe(entry.hash);
+    });
+  });
+});
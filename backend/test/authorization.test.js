@@ -0,0 +1,358 @@
+// Authorization Tests - role x action policy matrix and the guard on every route
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+
+// uuid is ESM-only; the routers only need v4
+jest.mock('uuid', () => ({ v4: () => require('crypto').randomUUID() }));
+
+// Both auth middlewares trust an x-user-id header here
+const fakeAuth = (req, res, next) => {
+  const id = req.headers['x-user-id'];
+  if (!id) return res.status(401).json({ success: false, error: 'Authentication required' });
+  req.user = { sub: id, id };
+  return next();
+};
+jest.mock('../src/lib/authMiddleware', () => ({ requireAuth: (...args) => fakeAuth(...args) }));
+jest.mock('../src/middleware/auth', () => ({
+  authenticate: (...args) => fakeAuth(...args),
+  optionalAuth: (req, res, next) => next()
+}));
+
+const HttpError = require('../src/lib/HttpError');
+const AuthorizationService = require('../src/services/AuthorizationService');
+const { POLICY, ACTIONS, ROLES } = AuthorizationService;
+
+// Minimal stand-in for the supabase query builder: eq() filters, await or
+// maybeSingle() resolves
+function fakeSupabase(tables) {
+  return {
+    from(table) {
+      const filters = [];
+      const rows = () => (tables[table] || []).filter(row => filters.every(([col, value]) => row[col] === value));
+      const query = {
+        select: () => query,
+        eq: (col, value) => { filters.push([col, value]); return query; },
+        maybeSingle: async () => ({ data: rows()[0] || null, error: null }),
+        then: (resolve, reject) => Promise.resolve({ data: rows(), error: null }).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+const TABLES = {
+  cases: [
+    { id: 'case-1', filed_by: 'filer' },
+    { id: 'case-2', created_by: 'old-filer' }
+  ],
+  case_parties: [
+    { case_id: 'case-1', user_id: 'resp', role: 'defendant' },
+    { case_id: 'case-1', user_id: 'lawyer', role: 'lawyer' },
+    { case_id: 'case-1', user_id: 'med', party_type: 'mediator' },
+    { case_id: 'case-1', user_id: 'obs', role: 'observer' },
+    { case_id: 'case-1', user_id: 'co-claimant', role: 'claimant' },
+    { case_id: 'case-1', user_id: 'insurer', role: 'Insurer' },
+    { case_id: 'case-1', user_id: 'co-resp', party_role: 'co-respondent' },
+    { case_id: 'case-2', user_id: 'resp', role: 'respondent' }
+  ],
+  evidence: [{ id: 'ev-1', case_id: 'case-1' }]
+};
+
+// One user per role on case-1
+const USERS = {
+  complainant: 'filer',
+  respondent: 'resp',
+  counsel: 'lawyer',
+  mediator: 'med',
+  observer: 'obs',
+  stakeholder: 'insurer',
+  admin: 'platform-admin'
+};
+
+describe('AuthorizationService', () => {
+  let service;
+  let savedAdmins;
+
+  beforeEach(() => {
+    savedAdmins = process.env.ADMIN_USER_IDS;
+    process.env.ADMIN_USER_IDS = 'platform-admin';
+    service = new AuthorizationService.AuthorizationService({ supabase: fakeSupabase(TABLES) });
+  });
+
+  afterEach(() => {
+    process.env.ADMIN_USER_IDS = savedAdmins;
+  });
+
+  test('maps filers and party role spellings onto policy roles', async () => {
+    expect((await service.rolesFor('filer', 'case-1')).roles).toEqual(['complainant']);
+    expect((await service.rolesFor('co-claimant', 'case-1')).roles).toEqual(['complainant']);
+    expect((await service.rolesFor('resp', 'case-1')).roles).toEqual(['respondent']);
+    expect((await service.rolesFor('co-resp', 'case-1')).roles).toEqual(['respondent']);
+    expect((await service.rolesFor('insurer', 'case-1')).roles).toEqual(['stakeholder']);
+    expect((await service.rolesFor('lawyer', 'case-1')).roles).toEqual(['counsel']);
+    expect((await service.rolesFor('med', 'case-1')).roles).toEqual(['mediator']);
+    expect((await service.rolesFor('old-filer', 'case-2')).roles).toEqual(['complainant']);
+    expect((await service.rolesFor({ sub: 'platform-admin' }, 'case-1')).roles).toEqual(['admin']);
+    expect((await service.rolesFor({ id: 'someone', role: 'admin' }, 'case-1')).roles).toEqual(['admin']);
+  });
+
+  describe.each(ACTIONS)('%s', (action) => {
+    test.each(Object.entries(USERS))('%s', async (role, userId) => {
+      expect(await service.can(userId, action, 'case-1')).toBe(POLICY[action].includes(role));
+    });
+
+    test('stranger', async () => {
+      expect(await service.can('stranger', action, 'case-1')).toBe(false);
+    });
+  });
+
+  test('reports who is refused and why', async () => {
+    await expect(service.authorize(null, 'case:view', 'case-1')).rejects.toMatchObject({ status: 401 });
+    await expect(service.authorize('filer', 'case:view', 'missing')).rejects.toMatchObject({ status: 404, code: 'case_not_found' });
+    await expect(service.authorize('stranger', 'case:view', 'case-1'))
+      .rejects.toMatchObject({ status: 403, message: 'You are not a party to this case' });
+    await expect(service.authorize('obs', 'evidence:upload', 'case-1'))
+      .rejects.toMatchObject({ status: 403, message: 'Your role on this case does not allow evidence:upload' });
+    expect(() => service.allowedRoles('case:explode')).toThrow("Unknown authorization action 'case:explode'");
+  });
+
+  test('checks child rows against the case they belong to', async () => {
+    await expect(service.authorizeResource('resp', 'evidence:view', 'evidence', 'ev-1'))
+      .resolves.toEqual({ caseId: 'case-1', roles: ['respondent'] });
+    await expect(service.authorizeResource('stranger', 'evidence:view', 'evidence', 'ev-1'))
+      .rejects.toMatchObject({ status: 403 });
+    await expect(service.authorizeResource('resp', 'evidence:view', 'evidence', 'ev-missing'))
+      .rejects.toMatchObject({ status: 404, code: 'evidence_not_found' });
+  });
+
+  test('lists every case a user has a role on', async () => {
+    expect((await service.accessibleCaseIds('resp')).sort()).toEqual(['case-1', 'case-2']);
+    expect(await service.accessibleCaseIds('old-filer')).toEqual(['case-2']);
+    expect(await service.accessibleCaseIds('stranger')).toEqual([]);
+  });
+});
+
+// Every route file that serves case data, with the routes that deliberately
+// carry no case guard (public, token-addressed, per-user or checked in the
+// service because the resource is not a case row)
+const ROUTERS = {
+  cases: ['post /', 'get /'],
+  evidence: [],
+  evidenceSigned: [],
+  evidenceStatus: [],
+  evidenceDownload: ['get /:id/download'], // signed download token issued by evidenceSigned
+  caseEvidenceList: [],
+  auditLog: [],
+  processCase: [],
+  caseDecisions: [],
+  settlement: [],
+  settlementSign: [],
+  signing: ['post /signing/verify'], // any signed-in holder of a file may check it
+  reconcile: [],
+  esign: ['post /callback'],
+  analyze: [],
+  disputes: ['get /workflow-definitions'],
+  'case-management': ['get /cases', 'post /cases/bulk-actions'],
+  documentResolution: ['get /templates', 'post /templates/:templateName/render', 'get /statistics'],
+  court: [
+    'get /systems', 'get /systems/:courtSystemId', 'get /systems/:courtSystemId/filings/:filingType/requirements',
+    'get /statistics', 'get /health'
+  ],
+  enhancedCourt: ['get /health', 'get /systems', 'get /analytics', 'get /supported-courts'],
+  documents: ['get /templates', 'get /templates/:templateId', 'get /statistics', 'get /health'],
+  ai: ['post /bulk-analyze', 'get /health', 'post /upload-files'],
+  advancedAI: ['get /health', 'get /insights/:caseType/:jurisdiction', 'get /corpus/search', 'post /compare', 'get /statistics', 'post /batch/analyze'],
+  multiparty: [
+    'get /invitations/:token', 'post /invitations/:token/accept', 'post /invitations/:token/decline',
+    'post /negotiations/:negotiationId/proposals', 'get /negotiations/:negotiationId',
+    'post /signatures/:token/sign', 'get /users/:userId/signatures/pending'
+  ],
+  negotiations: [
+    'get /health', 'get /', 'get /:negotiationId', 'post /:negotiationId/respond',
+    'post /:negotiationId/compromise', 'get /:negotiationId/history', 'post /:negotiationId/cancel', 'get /analytics'
+  ],
+  activeNegotiations: [
+    'get /health', 'get /sessions', 'get /sessions/:sessionId', 'post /sessions/:sessionId/responses',
+    'post /sessions/:sessionId/compromise', 'post /sessions/:sessionId/extend-deadline',
+    'delete /sessions/:sessionId', 'get /analytics'
+  ],
+  casesV2: ['get /', 'post /', 'get /dashboard/stats'],
+  adminJobs: [],
+  adminRevoke: []
+};
+
+function routesOf(router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .map(layer => ({
+      key: `${Object.keys(layer.route.methods)[0]} ${layer.route.path}`,
+      guards: layer.route.stack.map(s => s.handle).filter(handle => handle.policy)
+    }));
+}
+
+// A request carrying the guard's id wherever it reads it from
+function requestFor(policy, userId) {
+  const req = { params: {}, body: {}, query: {}, user: { sub: userId, id: userId } };
+  req[policy.from || 'params'][policy.param || 'caseId'] = policy.resource === 'case' ? 'case-1' : 'row-1';
+  return req;
+}
+
+async function runGuard(guard, req) {
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+  const next = jest.fn();
+  await guard(req, res, next);
+  return { res, next };
+}
+
+describe('route guards', () => {
+  let savedAdmins;
+
+  beforeAll(() => {
+    savedAdmins = process.env.ADMIN_USER_IDS;
+    process.env.ADMIN_USER_IDS = USERS.admin;
+    jest.spyOn(AuthorizationService, 'caseIdFor').mockResolvedValue('case-1');
+    jest.spyOn(AuthorizationService, 'rolesFor').mockImplementation(async (user, caseId) => {
+      const userId = user.sub;
+      const role = Object.keys(USERS).find(r => USERS[r] === userId);
+      return { exists: caseId === 'case-1', roles: role ? [role] : [] };
+    });
+  });
+
+  afterAll(() => {
+    process.env.ADMIN_USER_IDS = savedAdmins;
+    jest.restoreAllMocks();
+  });
+
+  describe.each(Object.keys(ROUTERS))('%s routes', (file) => {
+    const routes = routesOf(require(`../src/routes/${file}`));
+
+    test('every route is guarded or listed as exempt', () => {
+      const unguarded = routes.filter(route => route.guards.length === 0).map(route => route.key);
+      expect(unguarded.sort()).toEqual([...ROUTERS[file]].sort());
+    });
+
+    const guarded = routes.filter(route => route.guards.length > 0);
+    if (guarded.length === 0) return;
+
+    test.each(guarded.map(route => route.key))('%s', async (key) => {
+      const guard = guarded.find(route => route.key === key).guards[0];
+      const { policy } = guard;
+      const allowed = policy.action === 'admin' ? ['admin'] : POLICY[policy.action];
+
+      for (const role of ROLES) {
+        const { res, next } = await runGuard(guard, requestFor(policy, USERS[role]));
+        expect({ role, passed: next.mock.calls.length === 1 }).toEqual({ role, passed: allowed.includes(role) });
+        if (!allowed.includes(role)) expect(res.status).toHaveBeenCalledWith(403);
+      }
+
+      const { res, next } = await runGuard(guard, requestFor(policy, 'stranger'));
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  test('a missing case id is a 400, not a pass', async () => {
+    const guard = require('../src/middleware/authorize')('case:view');
+    const { res, next } = await runGuard(guard, { params: {}, body: {}, query: {}, user: { sub: USERS.admin } });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('errors other than refusals reach the error handler', async () => {
+    const guard = require('../src/middleware/authorize')('case:view');
+    AuthorizationService.rolesFor.mockRejectedValueOnce(new Error('db down'));
+    const { res, next } = await runGuard(guard, requestFor(guard.policy, USERS.admin));
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'db down' }));
+    expect(next.mock.calls[0][0]).not.toBeInstanceOf(HttpError);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  describe('POST /api/workflow/trigger', () => {
+    let app;
+    let workflowService;
+
+    beforeAll(() => {
+      const { supabase } = require('../src/lib/supabaseClient');
+      workflowService = require('../src/services/WorkflowAutomationService');
+      jest.spyOn(supabase, 'from').mockImplementation(fakeSupabase({
+        workflow_automations: [
+          { id: 'auto-filer', created_by: USERS.complainant, trigger_type: 'case_status_change', status: 'active', trigger_conditions: {} },
+          { id: 'auto-resp', created_by: USERS.respondent, trigger_type: 'case_status_change', status: 'active', trigger_conditions: {} }
+        ]
+      }).from);
+      app = express();
+      app.use(express.json());
+      app.use('/api/workflow', require('../src/routes/workflow'));
+      app.use(require('../src/middleware/errorHandler'));
+    });
+
+    beforeEach(() => {
+      jest.spyOn(workflowService, 'executeWorkflowAutomation').mockImplementation(async (id) => ({ automationId: id }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    const trigger = (userId, triggerData) => request(app)
+      .post('/api/workflow/trigger')
+      .set('x-user-id', userId)
+      .send({ triggerType: 'case_status_change', triggerData });
+
+    test('refuses callers who cannot view the case and runs no automation', async () => {
+      const response = await trigger('stranger', { caseId: 'case-1', newStatus: 'closed' });
+
+      expect(response.status).toBe(403);
+      expect(workflowService.executeWorkflowAutomation).not.toHaveBeenCalled();
+      expect((await trigger(USERS.respondent, { newStatus: 'closed' })).status).toBe(400);
+    });
+
+    test("runs only the caller's own automations, and every owner's for admins", async () => {
+      const own = await trigger(USERS.respondent, { caseId: 'case-1' });
+      expect(own.status).toBe(200);
+      expect(own.body.data.executions).toEqual([{ automationId: 'auto-resp' }]);
+
+      const admin = await trigger(USERS.admin, { caseId: 'case-1' });
+      expect(admin.body.data.executions.map(e => e.automationId).sort()).toEqual(['auto-filer', 'auto-resp']);
+    });
+  });
+
+  describe('POST /api/evidence/upload', () => {
+    let app;
+    let tmpFile;
+
+    beforeAll(() => {
+      app = express();
+      app.use('/api/evidence', require('../src/routes/evidence'));
+      tmpFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'authz-')), 'receipt.pdf');
+      fs.writeFileSync(tmpFile, '%PDF-1.4 receipt');
+    });
+
+    test('refuses uploads into a case the user is not a party to, whatever the form claims', async () => {
+      const before = fs.existsSync('uploads') ? fs.readdirSync('uploads').length : 0;
+
+      const response = await request(app)
+        .post('/api/evidence/upload')
+        .set('x-user-id', 'stranger')
+        .field('case_id', 'case-1')
+        .field('uploader_id', USERS.complainant)
+        .attach('file', tmpFile, { contentType: 'application/pdf' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ success: false, error: 'You are not a party to this case', code: 'forbidden' });
+      // the refused upload is not left in multer's temp directory
+      await new Promise(resolve => setImmediate(resolve));
+      expect(fs.existsSync('uploads') ? fs.readdirSync('uploads').length : 0).toBe(before);
+    });
+
+    test('requires the case id in the form', async () => {
+      const response = await request(app)
+        .post('/api/evidence/upload')
+        .set('x-user-id', USERS.complainant)
+        .attach('file', tmpFile, { contentType: 'application/pdf' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('case_id_required');
+    });
+  });
+});
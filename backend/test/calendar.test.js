@@ -0,0 +1,81 @@
+// Deadline Calendar Tests - business days, jurisdiction holidays and party time zones
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Calendar = require('../src/services/CalendarService');
+const { CalendarService } = require('../src/services/CalendarService');
+
+// Friday 17 Oct 2025, noon IST; Monday 20 Oct is Diwali
+const FRIDAY_BEFORE_DIWALI = new Date('2025-10-17T12:00:00+05:30');
+
+describe('Deadline Calendar', () => {
+  it('should resolve calendars by code, alias and free-text jurisdiction', () => {
+    expect(Calendar.getCalendar('IN-KA').code).toBe('IN-KA');
+    expect(Calendar.getCalendar('Mumbai').code).toBe('IN-MH');
+    expect(Calendar.getCalendar('Maharashtra, Goa, Dadra and Nagar Haveli').code).toBe('IN-MH');
+    expect(Calendar.getCalendar('Atlantis').code).toBe('IN');
+  });
+
+  it('should inherit national holidays in state calendars', () => {
+    expect(Calendar.getHoliday('2025-10-20T11:00:00+05:30', { jurisdiction: 'Delhi' })).toMatch(/Diwali/);
+    expect(Calendar.isBusinessDay('2025-10-22T11:00:00+05:30', { jurisdiction: 'Delhi' })).toBe(true);
+    expect(Calendar.isBusinessDay('2025-10-22T11:00:00+05:30', { jurisdiction: 'Maharashtra' })).toBe(false);
+  });
+
+  it('should not count weekends or holidays towards a 48-hour deadline', () => {
+    const delhi = Calendar.addBusinessHours(FRIDAY_BEFORE_DIWALI, 48, { jurisdiction: 'IN-DL' });
+    const mumbai = Calendar.addBusinessHours(FRIDAY_BEFORE_DIWALI, 48, { jurisdiction: 'IN-MH' });
+
+    // 12h Friday + 24h Tuesday + 12h Wednesday (Thursday in Maharashtra)
+    expect(delhi.toISOString()).toBe('2025-10-22T06:30:00.000Z');
+    expect(mumbai.toISOString()).toBe('2025-10-23T06:30:00.000Z');
+  });
+
+  it('should move deadlines outside business hours to the close of the next window', () => {
+    // 36 business hours from Friday noon run out at midnight going into Wednesday
+    const deadline = Calendar.addBusinessHours(FRIDAY_BEFORE_DIWALI, 36, { jurisdiction: 'IN-DL' });
+    expect(deadline.toISOString()).toBe('2025-10-22T11:30:00.000Z');
+  });
+
+  it('should keep the deadline inside every party time zone', () => {
+    const deadline = Calendar.addBusinessHours(FRIDAY_BEFORE_DIWALI, 48, {
+      jurisdiction: 'IN-DL',
+      timeZones: ['Asia/Kolkata', 'America/New_York']
+    });
+    // Wednesday noon IST is 02:30 in New York, so the New York close wins
+    expect(deadline.toISOString()).toBe('2025-10-22T21:00:00.000Z');
+  });
+
+  it('should place reminders by business hours before the deadline', () => {
+    const deadline = new Date('2025-10-22T06:30:00.000Z');
+    const reminder = Calendar.subtractBusinessHours(deadline, 24, { jurisdiction: 'IN-DL' });
+    expect(reminder.toISOString()).toBe('2025-10-21T06:30:00.000Z');
+
+    const overHoliday = Calendar.subtractBusinessHours(new Date('2025-10-21T06:30:00.000Z'), 24, { jurisdiction: 'IN-DL' });
+    expect(overHoliday.toISOString()).toBe('2025-10-17T06:30:00.000Z');
+  });
+
+  it('should count business days for court filing estimates', () => {
+    const filing = Calendar.addBusinessDays(FRIDAY_BEFORE_DIWALI, 10, { jurisdiction: 'IN-DL' });
+    expect(Calendar.formatDate(filing, { jurisdiction: 'IN-DL' })).toBe('2025-11-03');
+  });
+
+  it('should honour closures and reject invalid calendar files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendars-'));
+    fs.writeFileSync(path.join(dir, 'X.json'), JSON.stringify({
+      code: 'X',
+      timezone: 'UTC',
+      businessHours: { days: [1, 2, 3, 4, 5], open: '09:00', close: '17:00' },
+      closures: [{ from: '2025-06-02', to: '2025-06-06', name: 'Court vacation' }]
+    }));
+
+    const service = new CalendarService({ dir, defaultJurisdiction: 'X' });
+    expect(service.getHoliday('2025-06-04T10:00:00Z')).toBe('Court vacation');
+    expect(service.nextBusinessDay('2025-06-03T10:00:00Z').toISOString()).toBe('2025-06-09T17:00:00.000Z');
+
+    expect(() => service.compile({ code: 'Y', timezone: 'Mars/Olympus' })).toThrow(/unknown time zone/);
+    expect(() => service.compile({ code: 'Y', businessHours: { days: [1], open: '18:00', close: '09:00' } })).toThrow(/open before close/);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,203 @@
+// Persistent Case Timer Tests - deadlines survive restarts and fire once across instances
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Case = require('../src/models/Case');
+const Statement = require('../src/models/Statement');
+const CourtForwardingService = require('../src/services/CourtForwardingService');
+const { FileTimerStore } = require('../src/lib/timerStore');
+const { TimerManagementService } = require('../src/services/TimerManagementService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Round-the-clock calendar so these tests do not depend on today's weekday
+const rawHoursCalendar = {
+  getCaseContext: async () => ({}),
+  deadlineForCase: async (caseId, hours) => new Date(Date.now() + hours * HOUR),
+  addBusinessHours: (start, hours) => new Date(start.getTime() + hours * HOUR),
+  subtractBusinessHours: (end, hours) => new Date(end.getTime() - hours * HOUR)
+};
+
+describe('Persistent Case Timers', () => {
+  let filePath;
+
+  const createService = (workerId) => {
+    const service = new TimerManagementService({ store: new FileTimerStore(filePath), workerId, calendar: rawHoursCalendar });
+    jest.spyOn(service, 'sendReminder').mockResolvedValue();
+    jest.spyOn(service, 'handleExpiredStatementDeadline').mockResolvedValue();
+    jest.spyOn(service, 'notifyTimerStarted').mockResolvedValue();
+    jest.spyOn(service, 'notifyDeadlineExtended').mockResolvedValue();
+    return service;
+  };
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `case-timers-test-${process.pid}-${Date.now()}.json`);
+    jest.spyOn(Case, 'findById').mockResolvedValue({ id: 'case-1', case_number: 'C-1' });
+    jest.spyOn(Case, 'updateById').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    try { fs.unlinkSync(filePath); } catch (e) {}
+  });
+
+  it('should persist the deadline and only future reminders', async () => {
+    const service = createService('a');
+    await service.startStatementTimer('case-1', new Date(Date.now() + 10 * HOUR));
+
+    const timer = await new FileTimerStore(filePath).findActiveTimer('case-1');
+    const events = await service.store.listEvents(timer.id);
+
+    expect(timer.timer_type).toBe('statement_submission');
+    expect(events.map(e => e.kind === 'reminder' ? e.hours_before : 'deadline')).toEqual([6, 1, 'deadline']);
+  });
+
+  it('should catch up on a missed deadline after a restart', async () => {
+    await createService('before-restart').startStatementTimer('case-1', new Date(Date.now() + 3 * HOUR));
+
+    // Simulate downtime: the deadline passed while no instance was running
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    state.timers[0].deadline = new Date(Date.now() - HOUR).toISOString();
+    state.events.forEach(e => { e.fire_at = new Date(Date.now() - (e.kind === 'reminder' ? 2 : 1) * HOUR).toISOString(); });
+    fs.writeFileSync(filePath, JSON.stringify(state));
+
+    const restarted = createService('after-restart');
+    const results = await restarted.processDueEvents();
+
+    expect(restarted.handleExpiredStatementDeadline).toHaveBeenCalledTimes(1);
+    expect(restarted.sendReminder).not.toHaveBeenCalled();
+    expect(results.map(e => e.status).sort()).toEqual(['fired', 'skipped']);
+    expect(await restarted.getTimerInfo('case-1')).toBeNull();
+  });
+
+  it('should fire a due event on only one instance', async () => {
+    const first = createService('instance-1');
+    const second = createService('instance-2');
+    await first.startStatementTimer('case-1', new Date(Date.now() - 1000));
+
+    await first.processDueEvents();
+    await second.processDueEvents();
+
+    expect(first.handleExpiredStatementDeadline).toHaveBeenCalledTimes(1);
+    expect(second.handleExpiredStatementDeadline).not.toHaveBeenCalled();
+  });
+
+  it('should reschedule reminders and record every extension', async () => {
+    const service = createService('a');
+    const original = new Date(Date.now() + 2 * HOUR);
+    await service.startStatementTimer('case-1', original);
+
+    await service.extendDeadline('case-1', 24, 'Respondent travelling', 'user-1');
+    await service.extendDeadline('case-1', 6, 'Awaiting documents', 'user-2');
+
+    const extensions = await service.getDeadlineExtensions('case-1');
+    expect(extensions).toHaveLength(2);
+    expect(extensions[0]).toMatchObject({ additional_hours: 24, reason: 'Respondent travelling', extended_by: 'user-1' });
+    expect(new Date(extensions[0].previous_deadline).getTime()).toBe(original.getTime());
+    expect(extensions[1].previous_deadline).toBe(extensions[0].new_deadline);
+
+    const info = await service.getTimerInfo('case-1');
+    expect(info.extensionCount).toBe(2);
+    expect(Case.updateById).toHaveBeenCalledWith('case-1', { statement_deadline: extensions[1].new_deadline });
+
+    const pending = (await service.store.listEvents(info.id)).filter(e => e.status === 'pending');
+    expect(pending.map(e => e.hours_before)).toEqual([24, 6, 1, null]);
+  });
+
+  it('should skip events claimed for a deadline that was since extended', async () => {
+    const service = createService('a');
+    const timer = await service.startStatementTimer('case-1', new Date(Date.now() + 2 * HOUR));
+
+    // Both events come due and are claimed; the deadline moves before they run
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    state.events.forEach(e => { e.fire_at = new Date(Date.now() - 60 * 1000).toISOString(); });
+    fs.writeFileSync(filePath, JSON.stringify(state));
+    const claimed = await service.store.claimDueEvents(10, 'a', 60 * 1000);
+    expect(claimed.map(e => e.kind)).toEqual(['reminder', 'deadline']);
+    await service.extendDeadline('case-1', 24, 'Respondent travelling', 'user-1');
+
+    const results = [];
+    for (const event of claimed) results.push(await service.runEvent(event));
+
+    expect(results.map(e => e.status)).toEqual(['skipped', 'skipped']);
+    expect(service.sendReminder).not.toHaveBeenCalled();
+    expect(service.handleExpiredStatementDeadline).not.toHaveBeenCalled();
+    expect((await service.store.listEvents(timer.id)).filter(e => e.status === 'pending').map(e => e.hours_before)).toEqual([24, 6, 1, null]);
+  });
+
+  it('should retry a failed deadline handler later', async () => {
+    const service = createService('a');
+    service.handleExpiredStatementDeadline.mockRejectedValueOnce(new Error('database unavailable'));
+    await service.startStatementTimer('case-1', new Date(Date.now() - 1000));
+
+    const [event] = await service.processDueEvents();
+
+    expect(event.status).toBe('pending');
+    expect(event.last_error).toBe('database unavailable');
+    expect(new Date(event.fire_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  // Make the retry of every pending event due now
+  const bringRetriesForward = () => {
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    state.events.filter(e => e.status === 'pending').forEach(e => { e.fire_at = new Date(Date.now() - 1000).toISOString(); });
+    fs.writeFileSync(filePath, JSON.stringify(state));
+  };
+
+  it('should not start analysis again when a handler that already started it is retried', async () => {
+    const service = createService('a');
+    service.handleExpiredStatementDeadline.mockRestore();
+    const caseRow = { id: 'case-1', case_number: 'C-1', status: 'statement_phase' };
+    Case.findById.mockImplementation(async () => ({ ...caseRow }));
+    jest.spyOn(Statement, 'checkStatementsComplete').mockResolvedValue({ isComplete: true });
+    jest.spyOn(Case, 'startAIAnalysisPhase').mockImplementation(async () => {
+      Object.assign(caseRow, { status: 'ai_analysis', ai_analysis_started_at: new Date().toISOString() });
+      return true;
+    });
+    service.notifyAIAnalysisStarted = jest.fn().mockRejectedValueOnce(new Error('mail server down'));
+    await service.startStatementTimer('case-1', new Date(Date.now() - 1000));
+
+    const [failed] = await service.processDueEvents();
+    expect(failed).toMatchObject({ status: 'pending', last_error: 'mail server down' });
+
+    bringRetriesForward();
+    const [retried] = await service.processDueEvents();
+
+    expect(retried.status).toBe('fired');
+    expect(Case.startAIAnalysisPhase).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not forward a case to court again when the escalation is retried', async () => {
+    const service = createService('a');
+    const caseRow = { id: 'case-1', case_number: 'C-1', status: 'settlement_options' };
+    Case.findById.mockImplementation(async () => ({ ...caseRow }));
+    jest.spyOn(Case.supabase, 'from').mockReturnValue({ select: () => ({ eq: async () => ({ data: [], error: null }) }) });
+    // the filing is made and the case marked forwarded, then archiving fails
+    jest.spyOn(CourtForwardingService, 'autoForwardCase').mockImplementation(async () => {
+      Object.assign(caseRow, { status: 'forwarded_to_court', forwarded_at: new Date().toISOString(), court_filing_id: 'filing-1' });
+      throw new Error('archive insert failed');
+    });
+    await service.startResponseTimer('case-1', new Date(Date.now() - 1000));
+
+    const [failed] = await service.processDueEvents();
+    expect(failed).toMatchObject({ status: 'pending', last_error: 'archive insert failed' });
+
+    bringRetriesForward();
+    const [retried] = await service.processDueEvents();
+
+    expect(retried.status).toBe('fired');
+    expect(CourtForwardingService.autoForwardCase).toHaveBeenCalledTimes(1);
+    expect(CourtForwardingService.autoForwardCase).toHaveBeenCalledWith('case-1', 'timeout_no_responses');
+  });
+
+  it('should cancel pending events when a timer is stopped', async () => {
+    const service = createService('a');
+    const timer = await service.startStatementTimer('case-1', new Date(Date.now() + 30 * HOUR));
+
+    await service.stopTimer('case-1', 'Settled');
+
+    const events = await service.store.listEvents(timer.id);
+    expect(events.every(e => e.status === 'cancelled')).toBe(true);
+    expect(await service.getTimerInfo('case-1')).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+// Automation Condition Expression Tests - parsing, sandboxing and evaluation
+const Expression = require('../src/lib/conditionExpression');
+const Case = require('../src/models/Case');
+const CaseParty = require('../src/models/CaseParty');
+const WorkflowAutomationService = require('../src/services/WorkflowAutomationService');
+
+const NOW = new Date('2025-10-20T10:00:00Z');
+
+const context = {
+  trigger: { caseId: 'case-1', newStatus: 'settled' },
+  case: {
+    dispute_amount: 250000,
+    status: 'open',
+    statement_deadline: '2025-10-21T06:00:00Z',
+    created_at: '2025-10-01T10:00:00Z'
+  },
+  parties: [
+    { role: 'claimant', responded: true, contact_email: 'a@example.com' },
+    { role: 'respondent', responded: false, contact_email: 'b@example.com' }
+  ]
+};
+
+const evaluate = (source) => Expression.evaluate(source, context, { now: NOW });
+
+describe('Automation Condition Expressions', () => {
+  it('should compose boolean logic with precedence and parentheses', () => {
+    expect(evaluate('case.status == "open" and not trigger.newStatus == "closed"')).toBe(true);
+    expect(evaluate('case.status == "closed" or case.status == "open" and false')).toBe(false);
+    expect(evaluate('(case.status == "closed" or case.status == "open") && !false')).toBe(true);
+  });
+
+  it('should support numeric ranges and array membership', () => {
+    expect(evaluate('case.dispute_amount between 100000 and 500000')).toBe(true);
+    expect(evaluate('case.dispute_amount between 1 and 1000')).toBe(false);
+    expect(evaluate('trigger.newStatus in ["settled", "closed"]')).toBe(true);
+    expect(evaluate('case.status not in ["settled", "closed"]')).toBe(true);
+    expect(evaluate('"respondent" in parties.role and parties.responded contains false')).toBe(true);
+    expect(evaluate('len(parties) >= 2 and parties[1].contact_email ends_with "@example.com"')).toBe(true);
+  });
+
+  it('should do date arithmetic against the evaluation clock', () => {
+    expect(evaluate('case.statement_deadline within 24h')).toBe(true);
+    expect(evaluate('case.statement_deadline within 12h')).toBe(false);
+    expect(evaluate('case.created_at within last 7d')).toBe(false);
+    expect(evaluate('case.created_at + 14d before now')).toBe(true);
+    expect(evaluate('case.statement_deadline - now < 1d')).toBe(true);
+    expect(evaluate('days_since(case.created_at) > 18 and hours_until(case.statement_deadline) == 20')).toBe(true);
+  });
+
+  it('should treat missing fields as empty rather than failing', () => {
+    expect(evaluate('case.closed_at is empty and case.missing.deep is null')).toBe(true);
+    expect(evaluate('case.closed_at > 5')).toBe(false);
+    expect(evaluate('case.status is not empty')).toBe(true);
+  });
+
+  it('should not reach outside the data it is given', () => {
+    expect(Expression.validate('case.constructor.name == "Object"')).toMatch(/not accessible/);
+    expect(Expression.validate('trigger["__proto__"]')).toMatch(/not accessible/);
+    expect(Expression.validate('process.exit(1)')).toMatch(/Unknown function 'exit'|Expected end/);
+    expect(Expression.validate('require("fs")')).toMatch(/Unknown function 'require'/);
+    expect(Expression.evaluate('toString is empty', {})).toBe(true);
+  });
+
+  it('should treat names inherited from Object.prototype as unknown functions', () => {
+    for (const [source, name] of [['constructor(1)', 'constructor'], ['toString(1)', 'toString'], ['hasOwnProperty("a")', 'hasOwnProperty'], ['len(valueOf(1)) > 0', 'valueOf']]) {
+      expect(Expression.validate(source)).toBe(`Unknown function '${name}' at position ${source.indexOf(name) + 1}`);
+      expect(() => evaluate(source)).toThrow(Expression.ExpressionError);
+    }
+
+    const saved = WorkflowAutomationService.validateAutomation({
+      name: 'Inherited name',
+      triggerType: 'case_status_change',
+      triggerConditions: { expression: 'constructor(1)' },
+      actions: [{ type: 'send_notification', config: {} }]
+    });
+    expect(saved.errors).toContain("Trigger condition: Unknown function 'constructor' at position 1");
+  });
+
+  it('should report syntax errors with their position', () => {
+    expect(Expression.validate('case.status ==')).toBe('Expected a value but found end of expression at position 15');
+    expect(Expression.validate('case.amount between 1')).toMatch(/Expected 'and'/);
+    expect(Expression.validate('case.deadline within 5')).toMatch(/needs a duration/);
+    expect(Expression.validate('len(a, b)')).toMatch(/takes 1 argument/);
+    expect(Expression.validate('case.status = "open"')).toMatch(/Unexpected character '='/);
+  });
+
+  it('should surface invalid conditions when an automation is validated', () => {
+    const result = WorkflowAutomationService.validateAutomation({
+      name: 'Escalate large disputes',
+      triggerType: 'case_status_change',
+      triggerConditions: { expression: 'case.dispute_amount > 100000 and' },
+      actions: [{
+        type: 'conditional_branch',
+        config: {
+          condition: 'respondent.responded ==',
+          trueActions: [{ type: 'conditional_branch', config: { condition: { field: 'x', operator: 'like', value: 1 } } }]
+        }
+      }]
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      expect.stringMatching(/^Trigger condition: Expected a value/),
+      expect.stringMatching(/^Action 1 condition: Expected a value/),
+      expect.stringMatching(/^Action 1 \(true branch\) action 1 condition: Needs a field/)
+    ]);
+  });
+
+  it('should load case and party fields only when a condition refers to them', async () => {
+    jest.spyOn(Case, 'findById').mockResolvedValue({ id: 'case-1', dispute_amount: 75000 });
+    jest.spyOn(CaseParty, 'getCaseParties').mockResolvedValue([{ role: 'respondent', responded: false }]);
+
+    const conditions = { expression: 'case.dispute_amount > 50000 and not respondent.responded' };
+    const loaded = await WorkflowAutomationService.buildConditionContext(conditions, { caseId: 'case-1' });
+    expect(WorkflowAutomationService.checkTriggerConditions(conditions, loaded)).toBe(true);
+
+    await WorkflowAutomationService.buildConditionContext({ expression: 'trigger.newStatus == "settled"' }, { caseId: 'case-1' });
+    expect(Case.findById).toHaveBeenCalledTimes(1);
+    expect(CaseParty.getCaseParties).toHaveBeenCalledTimes(1);
+
+    // Legacy single-field conditions keep working
+    expect(WorkflowAutomationService.checkTriggerConditions(
+      { field: 'case.dispute_amount', operator: 'greater_than', value: 50000 }, loaded
+    )).toBe(true);
+
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,170 @@
+// Consensus Tests - N-party selections under unanimity, principal-party
+// unanimity and weighted rules, and compromise generation from every
+// divergent selection
+const { ConsensusService } = require('../src/services/ConsensusService');
+const SettlementAIService = require('../src/services/SettlementAIService');
+const DisputeWorkflowService = require('../src/services/DisputeWorkflowService');
+const NotificationService = require('../src/services/NotificationService');
+const AuditLogService = require('../src/services/AuditLogService');
+
+// Minimal stand-in for the supabase query builder: eq() filters, update()
+// patches the filtered rows, await / maybeSingle() resolve
+function fakeSupabase(tables) {
+  return {
+    from(table) {
+      const filters = [];
+      let patch = null;
+      const rows = () => (tables[table] || []).filter(row => filters.every(([col, value]) => row[col] === value));
+      const run = () => {
+        if (patch) rows().forEach(row => Object.assign(row, patch));
+        return { data: rows(), error: null };
+      };
+      const query = {
+        select: () => query,
+        order: () => query,
+        update: (values) => { patch = values; return query; },
+        eq: (col, value) => { filters.push([col, value]); return query; },
+        maybeSingle: async () => ({ data: run().data[0] || null, error: null }),
+        then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+const VOTERS = [
+  { userId: 'filer', role: 'complainant', principal: true, weight: 1 },
+  { userId: 'resp', role: 'respondent', principal: true, weight: 1 },
+  { userId: 'co-resp', role: 'respondent', principal: true, weight: 1 },
+  { userId: 'insurer', role: 'stakeholder', principal: false, weight: 1 }
+];
+
+const pick = (choices) => Object.entries(choices).map(([userId, optionId], i) => ({
+  case_id: 'case-1',
+  user_id: userId,
+  option_id: optionId,
+  selected_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+}));
+
+describe('ConsensusService', () => {
+  let tables;
+  let service;
+
+  beforeEach(() => {
+    tables = {
+      cases: [{ id: 'case-1', filed_by: 'filer', consensus_rule: null }],
+      case_parties: [
+        { case_id: 'case-1', user_id: 'resp', role: 'defendant' },
+        { case_id: 'case-1', user_id: 'co-resp', party_role: 'co_respondent' },
+        { case_id: 'case-1', user_id: 'insurer', role: 'insurer' },
+        { case_id: 'case-1', user_id: 'lawyer', role: 'counsel' },
+        { case_id: 'case-1', user_id: null, role: 'guarantor', contact_email: 'pending@example.com' }
+      ],
+      party_option_selections: []
+    };
+    service = new ConsensusService({ supabase: fakeSupabase(tables) });
+    jest.spyOn(AuditLogService, 'record').mockResolvedValue(null);
+    jest.spyOn(DisputeWorkflowService, 'transitionStage').mockResolvedValue({});
+    jest.spyOn(NotificationService, 'notifyConsensusReached').mockResolvedValue();
+    jest.spyOn(NotificationService, 'createNotification').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('only joined complainants, respondents and stakeholders vote', async () => {
+    const voters = await service.getVoters('case-1');
+    expect(voters).toEqual(VOTERS);
+  });
+
+  test('unanimity waits for every party and needs one option', () => {
+    const rule = { mode: 'unanimous' };
+
+    expect(service.evaluate(VOTERS, pick({ filer: 'A', resp: 'A', 'co-resp': 'A' }), rule))
+      .toMatchObject({ consensus: false, reason: 'waiting_for_selections', pending: ['insurer'] });
+    expect(service.evaluate(VOTERS, pick({ filer: 'A', resp: 'A', 'co-resp': 'B', insurer: 'C' }), rule))
+      .toMatchObject({ consensus: false, reason: 'different_selections', divergentOptionIds: ['A', 'B', 'C'] });
+    expect(service.evaluate(VOTERS, pick({ filer: 'A', resp: 'A', 'co-resp': 'A', insurer: 'A' }), rule))
+      .toMatchObject({ consensus: true, optionId: 'A' });
+  });
+
+  test('a party’s latest selection is the one that counts', () => {
+    const selections = [...pick({ filer: 'A', resp: 'A', 'co-resp': 'A', insurer: 'B' }),
+      { user_id: 'insurer', option_id: 'A', selected_at: '2026-02-01T00:00:00.000Z' }];
+
+    expect(service.evaluate(VOTERS, selections, {})).toMatchObject({ consensus: true, optionId: 'A' });
+  });
+
+  test('principal unanimity ignores the advisory parties', () => {
+    const rule = { mode: 'principal_unanimous' };
+
+    expect(service.evaluate(VOTERS, pick({ filer: 'A', resp: 'A', 'co-resp': 'A', insurer: 'B' }), rule))
+      .toMatchObject({ consensus: true, optionId: 'A' });
+    expect(service.evaluate(VOTERS, pick({ filer: 'A', resp: 'A', insurer: 'A' }), rule))
+      .toMatchObject({ consensus: false, reason: 'waiting_for_selections', pending: ['co-resp'] });
+  });
+
+  test('weighted votes meet the threshold on the share of total weight', () => {
+    const weighted = VOTERS.map(v => (v.userId === 'insurer' ? { ...v, weight: 3 } : v));
+    const rule = { mode: 'weighted', threshold: 0.6 };
+
+    // insurer (3) + filer (1) = 4 of 6
+    expect(service.evaluate(weighted, pick({ filer: 'A', insurer: 'A' }), rule))
+      .toMatchObject({ consensus: true, optionId: 'A', reason: 'threshold_met' });
+    // 3 of 6 so far, two parties still to choose
+    expect(service.evaluate(weighted, pick({ insurer: 'A', resp: 'B' }), rule))
+      .toMatchObject({ consensus: false, reason: 'waiting_for_selections' });
+    const split = service.evaluate(weighted, pick({ insurer: 'A', filer: 'B', resp: 'B', 'co-resp': 'C' }), rule);
+    expect(split).toMatchObject({ consensus: false, reason: 'different_selections' });
+    expect(split.tally.map(t => [t.optionId, t.weight])).toEqual([['A', 3], ['B', 2], ['C', 1]]);
+  });
+
+  test('generates a compromise from every divergent selection', async () => {
+    tables.party_option_selections = pick({ filer: 'A', resp: 'B', 'co-resp': 'B', insurer: 'C' });
+    const compromise = { option_id: 'X', description: 'Meet in the middle' };
+    const generate = jest.spyOn(SettlementAIService, 'generateCompromiseOption').mockResolvedValue(compromise);
+
+    const result = await service.checkConsensus('case-1');
+
+    expect(result).toMatchObject({ consensus: false, reason: 'different_selections', compromiseOption: compromise });
+    expect(generate).toHaveBeenCalledWith('case-1', [
+      { optionId: 'B', weight: 2, supporters: 2 },
+      { optionId: 'A', weight: 1, supporters: 1 },
+      { optionId: 'C', weight: 1, supporters: 1 }
+    ]);
+    expect(DisputeWorkflowService.transitionStage).toHaveBeenCalledWith('case-1', 'reanalysis', 'system', expect.stringContaining('3 different options'));
+  });
+
+  test('stores a rule before voting starts and applies it to later selections', async () => {
+    const { rule } = await service.setConsensusRule('case-1', { mode: 'principal_unanimous' }, 'mediator-1');
+
+    expect(rule).toMatchObject({ mode: 'principal_unanimous', principals: null });
+    expect(tables.cases[0].consensus_rule).toEqual(rule);
+    expect(AuditLogService.record).toHaveBeenCalledWith('case-1', 'settlement.consensus_rule_set', expect.objectContaining({ actorId: 'mediator-1' }));
+
+    tables.party_option_selections = pick({ filer: 'A', resp: 'A', 'co-resp': 'A', insurer: 'B' });
+    const result = await service.checkConsensus('case-1');
+
+    expect(result).toMatchObject({ consensus: true, optionId: 'A' });
+    expect(DisputeWorkflowService.transitionStage).toHaveBeenCalledWith('case-1', 'consensus_reached', 'system', expect.any(String));
+  });
+
+  test('refuses to change the rule once a party has voted', async () => {
+    tables.party_option_selections = pick({ filer: 'A' });
+    await expect(service.setConsensusRule('case-1', { mode: 'weighted', weights: { filer: 10 } }, 'mediator-1'))
+      .rejects.toMatchObject({ status: 409, code: 'consensus_rule_locked' });
+
+    tables.party_option_selections = [];
+    tables.party_option_preferences = [{ case_id: 'case-1', user_id: 'resp' }];
+    await expect(service.setConsensusRule('case-1', { mode: 'unanimous' }, 'mediator-1'))
+      .rejects.toMatchObject({ code: 'consensus_rule_locked' });
+    expect(tables.cases[0].consensus_rule).toBeNull();
+  });
+
+  test('rejects invalid rules', async () => {
+    await expect(service.setConsensusRule('case-1', { mode: 'majority' })).rejects.toMatchObject({ status: 400, code: 'invalid_consensus_rule' });
+    await expect(service.setConsensusRule('case-1', { mode: 'weighted', threshold: 0.5 })).rejects.toMatchObject({ status: 400 });
+    await expect(service.setConsensusRule('case-1', { mode: 'weighted', weights: { insurer: -1 } })).rejects.toMatchObject({ status: 400 });
+    await expect(service.setConsensusRule('case-1', { mode: 'principal_unanimous', principals: ['lawyer'] }))
+      .rejects.toMatchObject({ message: 'Not voting parties on this case: lawyer' });
+  });
+});
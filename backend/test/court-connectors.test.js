@@ -0,0 +1,252 @@
+// Court Connector Tests - the e-filing connector against the local mock
+// e-filing server, and processFilingTask end to end: submission, registry
+// scrutiny with defects, registration with a hearing date
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { supabase } = require('../src/lib/supabaseClient');
+const AuditLogService = require('../src/services/AuditLogService');
+const WebhookService = require('../src/services/WebhookService');
+const CalendarService = require('../src/services/CalendarService');
+const CourtConnectorRegistry = require('../src/services/CourtConnectorRegistry');
+const CourtDefectService = require('../src/services/CourtDefectService');
+const CourtHearingService = require('../src/services/CourtHearingService');
+const EnhancedCourtIntegrationService = require('../src/services/EnhancedCourtIntegrationService');
+const EFilingConnector = require('../src/services/courtConnectors/EFilingConnector');
+const { CourtConnectorError } = require('../src/services/courtConnectors/CourtConnector');
+const { createMockEFilingServer } = require('../src/lib/mockEFilingServer');
+
+const pdf = (text) => Buffer.from(`%PDF-1.4\n${text}\n%%EOF`);
+
+describe('E-filing connector against the mock e-filing server', () => {
+  const mock = createMockEFilingServer({ token: 'registry-token' });
+  let server;
+  let endpoint;
+
+  beforeAll(async () => {
+    server = await mock.listen(0);
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const court = { id: 'district_consumer_commission', name: 'Bengaluru Urban District Consumer Commission', type: 'consumer_commission', jurisdictionCode: 'IN-KA' };
+  const filing = (overrides = {}) => ({
+    filingId: 'filing-1',
+    caseNumber: 'ODR-2026-0001',
+    court,
+    filingType: 'consumer_complaint',
+    filingParty: 'Asha Rao',
+    considerationPaid: 1500000,
+    fees: { total: 400 },
+    documents: [
+      { documentId: 'd1', filename: 'complaint.pdf', documentType: 'complaint', content: pdf('complaint') },
+      { documentId: 'd2', filename: 'vakalatnama.pdf', documentType: 'vakalatnama', content: pdf('vakalatnama') },
+      { documentId: 'd3', filename: 'annexure-a.pdf', documentType: 'annexure', paginated: true, content: pdf('invoice') }
+    ],
+    ...overrides
+  });
+
+  test('a complete filing is acknowledged, registered and given a first hearing', async () => {
+    const connector = new EFilingConnector({ endpoint, token: 'registry-token' });
+
+    const receipt = await connector.submit(filing());
+    expect(receipt).toMatchObject({ status: 'submitted', fees: 400 });
+    expect(receipt.trackingId).toMatch(/^EF-\d{8}-\d{5}$/);
+    expect(receipt.acknowledgementNumber).toMatch(/^ACK\/\d{4}\/\d{6}$/);
+
+    const status = await connector.status(receipt.trackingId);
+    expect(status).toMatchObject({ status: 'registered', defects: [] });
+    expect(status.filingNumber).toMatch(/^CC\/\d+\/\d{4}$/);
+    expect(status.hearing.purpose).toBe('First hearing (admission)');
+    expect(CalendarService.isBusinessDay(status.hearing.date, { jurisdiction: 'IN-KA' })).toBe(true);
+    expect(status.hearing.date > receipt.receivedAt.slice(0, 10)).toBe(true);
+
+    const acknowledgement = await connector.acknowledgement(receipt.trackingId);
+    expect(acknowledgement).toMatchObject({ acknowledgementNumber: receipt.acknowledgementNumber, court: court.name });
+    expect(acknowledgement.documents.map(doc => doc.filename)).toEqual(['complaint.pdf', 'vakalatnama.pdf', 'annexure-a.pdf']);
+
+    const fees = await connector.fees(receipt.trackingId);
+    expect(fees).toMatchObject({ currency: 'INR', total: 400, paid: 400 });
+  });
+
+  test('scrutiny returns a defective filing with its deficiency notice', async () => {
+    const connector = new EFilingConnector({ endpoint, token: 'registry-token' });
+    const receipt = await connector.submit(filing({
+      fees: { total: 200 },
+      documents: [
+        { documentId: 'd1', filename: 'complaint.pdf', documentType: 'complaint', content: pdf('complaint') },
+        { documentId: 'd3', filename: 'annexure-a.pdf', documentType: 'annexure', content: pdf('invoice') }
+      ]
+    }));
+
+    const status = await connector.status(receipt.trackingId);
+    expect(status.status).toBe('defective');
+    expect(status.filingNumber).toBeNull();
+    expect(status.defects.map(defect => defect.code)).toEqual(['VAKALATNAMA_MISSING', 'COURT_FEE_DEFICIT', 'ANNEXURES_NOT_PAGINATED']);
+    expect(status.defects[1].description).toBe('Deficit court fee: ₹200 paid, ₹400 due');
+    expect(status.defects[0].cureBy).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+    expect(await connector.deficiencies(receipt.trackingId)).toEqual(status.defects);
+  });
+
+  test('the registry rejects unauthenticated and malformed filings without a retry', async () => {
+    const stranger = new EFilingConnector({ endpoint, token: 'wrong' });
+    await expect(stranger.submit(filing())).rejects.toMatchObject({ name: 'CourtConnectorError', code: 'unauthorized', status: 401, retryable: false });
+
+    const connector = new EFilingConnector({ endpoint, token: 'registry-token' });
+    await expect(connector.submit(filing({ documents: [] }))).rejects.toMatchObject({ code: 'invalid_filing', status: 422, retryable: false });
+    await expect(connector.status('EF-00000000-99999')).rejects.toMatchObject({ code: 'not_found', status: 404 });
+
+    const down = new EFilingConnector({ endpoint: 'http://127.0.0.1:1', timeout: 2000 });
+    const error = await down.submit(filing()).catch(e => e);
+    expect(error).toBeInstanceOf(CourtConnectorError);
+    expect(error).toMatchObject({ code: 'unreachable', retryable: true });
+    expect(await down.health()).toMatchObject({ status: 'unhealthy' });
+    expect(await connector.health()).toMatchObject({ status: 'healthy' });
+  });
+
+  test('court systems pick their connector and settings fall back to the environment', () => {
+    const previous = process.env.COURT_EFILING_URL;
+    process.env.COURT_EFILING_URL = endpoint;
+    try {
+      const efiling = CourtConnectorRegistry.forCourtSystem({ code: 'KA-DCDRC', name: 'Bengaluru DCDRC' }, 'api');
+      expect(efiling).toMatchObject({ name: 'efiling', baseURL: endpoint, code: 'KA-DCDRC' });
+
+      const email = CourtConnectorRegistry.forCourtSystem({ code: 'KA-DCDRC', email_config: { filingEmail: 'registry@example.org' } }, 'email');
+      expect(email.name).toBe('email');
+      expect(email.describe().capabilities).toEqual(['submit', 'acknowledgement']);
+
+      expect(() => CourtConnectorRegistry.forCourtSystem({ connector: 'pacer' })).toThrow('Unknown court connector "pacer"');
+      expect(CourtConnectorRegistry.configured().map(connector => connector.name)).toContain('efiling');
+    } finally {
+      if (previous === undefined) delete process.env.COURT_EFILING_URL;
+      else process.env.COURT_EFILING_URL = previous;
+    }
+  });
+});
+
+describe('Filing pipeline end to end', () => {
+  const mock = createMockEFilingServer({ token: 'registry-token' });
+  const service = EnhancedCourtIntegrationService;
+  const originalDocumentsDir = service.documentsDir;
+  let server;
+  let courtSystem;
+  let rows;
+  let dir;
+
+  const caseData = {
+    id: 'case-1',
+    case_number: 'ODR-2026-0001',
+    case_type: 'consumer',
+    plaintiff_name: 'Asha Rao',
+    dispute_amount: 1500000,
+    metadata: { consideration_paid: 1500000, respondent_location: 'Koramangala, Bengaluru' }
+  };
+
+  beforeAll(async () => {
+    server = await mock.listen(0);
+    courtSystem = {
+      id: 'cs-1',
+      code: 'KA-DCDRC',
+      name: 'Bengaluru Urban District Consumer Commission',
+      efiling_config: { endpoint: `http://127.0.0.1:${server.address().port}`, token: 'registry-token' }
+    };
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'court-filing-'));
+    for (const name of ['complaint', 'vakalatnama', 'annexure']) {
+      fs.writeFileSync(path.join(dir, `${name}.pdf`), pdf(name));
+    }
+    service.documentsDir = dir;
+
+    // court_filings rows as the pipeline leaves them
+    rows = {};
+    jest.spyOn(supabase, 'from').mockImplementation(() => ({
+      update: (row) => ({
+        eq: async (column, id) => {
+          rows[id] = { ...(rows[id] || {}), ...row };
+          return { error: null };
+        }
+      }),
+      select: () => ({
+        eq: (column, id) => ({ single: async () => ({ data: { id, case_id: caseData.id, ...rows[id], court_systems: courtSystem }, error: null }) })
+      })
+    }));
+    jest.spyOn(AuditLogService, 'record').mockResolvedValue(null);
+    jest.spyOn(WebhookService, 'publish').mockResolvedValue(null);
+    jest.spyOn(service, 'scheduleStatusCheck').mockReturnValue(null);
+    jest.spyOn(CourtDefectService, 'noticeDefects').mockResolvedValue(null);
+    jest.spyOn(CourtHearingService, 'recordFromRegistration').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    service.documentsDir = originalDocumentsDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const task = (filingId, documents) => ({
+    filingId,
+    courtSystem,
+    filingData: { caseData, userId: 'u-1', filingType: 'consumer_complaint', submissionMethod: 'efiling', documents }
+  });
+
+  test('a filing is submitted through the connector, then registered with a hearing date', async () => {
+    const result = await service.processFilingTask(task('filing-1', [
+      { documentId: 'complaint', filename: 'complaint.pdf', documentType: 'complaint' },
+      { documentId: 'vakalatnama', filename: 'vakalatnama.pdf', documentType: 'vakalatnama' },
+      { documentId: 'annexure', filename: 'annexure-a.pdf', documentType: 'annexure', paginated: true }
+    ]));
+
+    expect(result.trackingId).toMatch(/^EF-/);
+    expect(rows['filing-1']).toMatchObject({
+      status: 'submitted',
+      tracking_id: result.trackingId,
+      confirmation_number: result.acknowledgementNumber,
+      fees_paid: 400
+    });
+    expect(rows['filing-1'].court_fees).toMatchObject({ total: 400, courtReported: 400, warnings: [] });
+    expect(service.scheduleStatusCheck).toHaveBeenCalledWith('filing-1', service.statusCheckDelay);
+    expect(AuditLogService.record).toHaveBeenCalledWith('case-1', 'court.filing_submitted', expect.objectContaining({
+      payload: expect.objectContaining({ connector: 'efiling', confirmationNumber: result.acknowledgementNumber })
+    }));
+    expect(WebhookService.publish).toHaveBeenCalledWith('court.filing_submitted', expect.objectContaining({ filingId: 'filing-1', trackingId: result.trackingId }));
+
+    const status = await service.checkFilingStatus('filing-1');
+    expect(status).toMatchObject({ status: 'accepted', courtStatus: 'registered', defects: [] });
+    expect(rows['filing-1']).toMatchObject({ status: 'accepted', filing_number: status.filingNumber });
+    expect(AuditLogService.record).toHaveBeenCalledWith('case-1', 'court.filing_status_changed', {
+      payload: expect.objectContaining({ from: 'submitted', to: 'accepted', hearingDate: status.hearing.date, defects: [] })
+    });
+    expect(CourtHearingService.recordFromRegistration).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'filing-1', case_id: 'case-1' }),
+      expect.objectContaining({ filingNumber: status.filingNumber, hearing: status.hearing })
+    );
+  });
+
+  test('registry defects come back on the status check', async () => {
+    await service.processFilingTask(task('filing-2', [
+      { documentId: 'complaint', filename: 'complaint.pdf', documentType: 'complaint' },
+      { documentId: 'annexure', filename: 'annexure-a.pdf', documentType: 'annexure' }
+    ]));
+
+    const status = await service.checkFilingStatus('filing-2');
+    expect(status).toMatchObject({ status: 'defective', courtStatus: 'defective', filingNumber: null });
+    expect(status.defects.map(defect => defect.code)).toEqual(['VAKALATNAMA_MISSING', 'ANNEXURES_NOT_PAGINATED']);
+    expect(rows['filing-2'].status).toBe('defective');
+  });
+
+  test('a filing the court refuses outright fails without retries', async () => {
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    const refused = { ...task('filing-3', [{ documentId: 'complaint', filename: 'complaint.pdf', documentType: 'complaint' }]) };
+    refused.courtSystem = { ...courtSystem, efiling_config: { ...courtSystem.efiling_config, token: 'expired' } };
+
+    expect(await service.processFilingTask(refused)).toBeNull();
+    expect(rows['filing-3']).toMatchObject({ status: 'failed', error_details: { code: 'unauthorized', attempts: 1, final_error: true } });
+    expect(setTimeoutSpy).not.toHaveBeenCalledWith(expect.any(Function), 2000);
+  });
+});
@@ -0,0 +1,292 @@
+// Court Defect Tests - registry defects on filings, the deficiency notice to
+// the parties, and curing the package for a linked resubmission, end to end
+// against the mock e-filing server
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { supabase } = require('../src/lib/supabaseClient');
+const AuditLogService = require('../src/services/AuditLogService');
+const WebhookService = require('../src/services/WebhookService');
+const NotificationService = require('../src/services/NotificationService');
+const CourtDefectService = require('../src/services/CourtDefectService');
+const EnhancedCourtIntegrationService = require('../src/services/EnhancedCourtIntegrationService');
+const { createMockEFilingServer } = require('../src/lib/mockEFilingServer');
+
+const makePdf = async (pages) => {
+  const pdf = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) pdf.addPage([595, 842]);
+  return Buffer.from(await pdf.save());
+};
+
+describe('Defect history', () => {
+  const defect = (code) => ({ code, description: `${code} description`, rule: 'Registry practice directions', cureBy: '2026-11-02' });
+
+  test('a defective verdict opens a round once per tracking id', () => {
+    const filing = { id: 'filing-1', tracking_id: 'EF-1', defect_history: [] };
+    const update = CourtDefectService.verdictUpdate(filing, { updatedAt: '2026-10-26T10:00:00.000Z', defects: [defect('VAKALATNAMA_MISSING')] });
+
+    expect(update.defects).toEqual([defect('VAKALATNAMA_MISSING')]);
+    expect(update.defect_history).toEqual([{
+      round: 1,
+      filingId: 'filing-1',
+      trackingId: 'EF-1',
+      noticedAt: '2026-10-26T10:00:00.000Z',
+      status: 'open',
+      defects: [defect('VAKALATNAMA_MISSING')]
+    }]);
+
+    const again = CourtDefectService.verdictUpdate({ ...filing, defect_history: update.defect_history }, { defects: [defect('VAKALATNAMA_MISSING')] });
+    expect(again.defect_history).toHaveLength(1);
+  });
+
+  test('the verdict on a resubmission marks each defect of the round cured or not', () => {
+    const history = [{ round: 1, trackingId: 'EF-1', status: 'resubmitted', defects: [defect('VAKALATNAMA_MISSING'), defect('ANNEXURES_NOT_PAGINATED')] }];
+    const update = CourtDefectService.verdictUpdate(
+      { id: 'filing-2', tracking_id: 'EF-2', defect_history: history },
+      { updatedAt: '2026-11-03T10:00:00.000Z', defects: [defect('ANNEXURES_NOT_PAGINATED')] }
+    );
+
+    expect(update.defect_history[0]).toMatchObject({ status: 'closed', closedAt: '2026-11-03T10:00:00.000Z' });
+    expect(update.defect_history[0].defects.map(d => [d.code, d.cured])).toEqual([['VAKALATNAMA_MISSING', true], ['ANNEXURES_NOT_PAGINATED', false]]);
+    expect(update.defect_history[1]).toMatchObject({ round: 2, filingId: 'filing-2', trackingId: 'EF-2', status: 'open' });
+  });
+});
+
+describe('Defect loop end to end', () => {
+  const mock = createMockEFilingServer({ token: 'registry-token' });
+  const service = EnhancedCourtIntegrationService;
+  const originalDocumentsDir = service.documentsDir;
+  let server;
+  let courtSystem;
+  let rows;
+  let dir;
+
+  const caseData = {
+    id: 'case-1',
+    case_number: 'ODR-2026-0001',
+    case_type: 'consumer',
+    plaintiff_name: 'Asha Rao',
+    dispute_amount: 1500000,
+    metadata: { consideration_paid: 1500000, respondent_location: 'Koramangala, Bengaluru' }
+  };
+
+  beforeAll(async () => {
+    server = await mock.listen(0);
+    courtSystem = {
+      id: 'cs-1',
+      code: 'KA-DCDRC',
+      name: 'Bengaluru Urban District Consumer Commission',
+      efiling_config: { endpoint: `http://127.0.0.1:${server.address().port}`, token: 'registry-token' }
+    };
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'court-defects-'));
+    fs.writeFileSync(path.join(dir, 'complaint.pdf'), await makePdf(1));
+    fs.writeFileSync(path.join(dir, 'annexure.pdf'), await makePdf(3));
+    fs.writeFileSync(path.join(dir, 'vakalatnama.pdf'), await makePdf(1));
+    service.documentsDir = dir;
+
+    // court_filings rows and the case, as the pipeline and the defect loop leave them
+    rows = {};
+    jest.spyOn(supabase, 'from').mockImplementation((table) => ({
+      insert: (row) => ({
+        select: () => ({
+          single: async () => {
+            rows[row.id] = { ...row };
+            return { data: rows[row.id], error: null };
+          }
+        })
+      }),
+      // update(...).eq(...)[.eq(...)][.select()]; only rows matching every filter change
+      update: (row) => {
+        const filters = [];
+        const apply = () => {
+          const [, id] = filters.find(([column]) => column === 'id');
+          const current = rows[id] || {};
+          if (filters.some(([column, value]) => column !== 'id' && current[column] !== value)) return [];
+          rows[id] = { ...current, ...row };
+          return [rows[id]];
+        };
+        const query = {
+          eq: (column, value) => { filters.push([column, value]); return query; },
+          select: async () => ({ data: apply(), error: null }),
+          then: (resolve, reject) => Promise.resolve().then(() => { apply(); return { error: null }; }).then(resolve, reject)
+        };
+        return query;
+      },
+      select: () => ({
+        eq: (column, id) => ({
+          single: async () => (table === 'cases'
+            ? { data: caseData, error: null }
+            : rows[id] || id === 'filing-1'
+              ? { data: { id, case_id: caseData.id, ...rows[id], court_systems: courtSystem }, error: null }
+              : { data: null, error: { message: 'not found' } })
+        })
+      })
+    }));
+    jest.spyOn(AuditLogService, 'record').mockResolvedValue(null);
+    jest.spyOn(WebhookService, 'publish').mockResolvedValue(null);
+    jest.spyOn(NotificationService, 'createNotification').mockResolvedValue(null);
+    jest.spyOn(service, 'scheduleStatusCheck').mockReturnValue(null);
+    CourtDefectService._parties = { list: async () => ['user-complainant', 'user-respondent'] };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    CourtDefectService._parties = null;
+    service.documentsDir = originalDocumentsDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const fileDefective = async () => {
+    await service.processFilingTask({
+      filingId: 'filing-1',
+      courtSystem,
+      filingData: {
+        caseData,
+        userId: 'user-complainant',
+        filingType: 'consumer_complaint',
+        submissionMethod: 'efiling',
+        documents: [
+          { documentId: 'complaint', filename: 'complaint.pdf', documentType: 'complaint' },
+          { documentId: 'annexure', filename: 'annexure-a.pdf', documentType: 'annexure' }
+        ]
+      }
+    });
+    rows['filing-1'].documents = [
+      { documentId: 'complaint', filename: 'complaint.pdf', documentType: 'complaint' },
+      { documentId: 'annexure', filename: 'annexure-a.pdf', documentType: 'annexure' }
+    ];
+    rows['filing-1'].submission_method = 'efiling';
+    rows['filing-1'].filing_type = 'consumer_complaint';
+    return service.checkFilingStatus('filing-1');
+  };
+
+  test('a defective filing carries its defects and the parties get the defect list', async () => {
+    const status = await fileDefective();
+
+    expect(status.status).toBe('defective');
+    expect(rows['filing-1']).toMatchObject({ status: 'defective', filing_number: null });
+    expect(rows['filing-1'].defects.map(defect => defect.code)).toEqual(['VAKALATNAMA_MISSING', 'ANNEXURES_NOT_PAGINATED']);
+    expect(rows['filing-1'].defect_history).toEqual([expect.objectContaining({ round: 1, status: 'open', trackingId: rows['filing-1'].tracking_id })]);
+
+    expect(NotificationService.createNotification).toHaveBeenCalledTimes(2);
+    const notice = NotificationService.createNotification.mock.calls[0][0];
+    expect(notice).toMatchObject({
+      userId: 'user-complainant',
+      caseId: 'case-1',
+      type: 'case_update',
+      priority: 'high',
+      title: 'Court filing returned with defects',
+      actionUrl: '/disputes/case-1/court-filing'
+    });
+    expect(notice.message).toContain('with 2 defects:\n1. Vakalatnama of the advocate is not filed\n2. Annexures are not paginated: annexure-a.pdf');
+    expect(notice.message).toMatch(/re-file by \d{4}-\d{2}-\d{2}\.$/);
+    expect(AuditLogService.record).toHaveBeenCalledWith('case-1', 'court.filing_defective', {
+      payload: expect.objectContaining({ filingId: 'filing-1', defects: ['VAKALATNAMA_MISSING', 'ANNEXURES_NOT_PAGINATED'] })
+    });
+    expect(WebhookService.publish).toHaveBeenCalledWith('court.filing_defective', expect.objectContaining({ caseId: 'case-1', filingId: 'filing-1' }));
+  });
+
+  test('curing the package re-files a linked resubmission that the registry accepts', async () => {
+    await fileDefective();
+    const queued = [];
+    jest.spyOn(service, 'addToFilingQueue').mockImplementation(async (task) => { queued.push(task); });
+
+    const resubmission = await CourtDefectService.resubmit('filing-1', {
+      userId: 'user-complainant',
+      note: 'Vakalatnama added, annexures paginated',
+      changes: [
+        { action: 'add', document: { documentId: 'vakalatnama', filename: 'vakalatnama.pdf', documentType: 'vakalatnama' } },
+        { action: 'regenerate', documentId: 'annexure' }
+      ]
+    });
+
+    // the annexure is regenerated with page numbers into a new stored document
+    const annexure = resubmission.documents.find(doc => doc.documentType === 'annexure');
+    expect(annexure).toMatchObject({ paginated: true, regeneratedFrom: 'annexure', filename: 'annexure-a.pdf' });
+    const regenerated = await PDFDocument.load(fs.readFileSync(path.join(dir, `${annexure.documentId}.pdf`)));
+    expect(regenerated.getPageCount()).toBe(3);
+
+    expect(rows['filing-1']).toMatchObject({ status: 'resubmitted', superseded_by: resubmission.filingId });
+    expect(rows[resubmission.filingId]).toMatchObject({
+      status: 'pending',
+      resubmission_of: 'filing-1',
+      resubmission_count: 1,
+      created_by: 'user-complainant'
+    });
+    expect(rows[resubmission.filingId].defect_history[0]).toMatchObject({
+      round: 1,
+      status: 'resubmitted',
+      cure: { filingId: resubmission.filingId, by: 'user-complainant', note: 'Vakalatnama added, annexures paginated' }
+    });
+    expect(resubmission.changes.map(change => change.action)).toEqual(['add', 'regenerate']);
+    expect(AuditLogService.record).toHaveBeenCalledWith('case-1', 'court.filing_resubmitted', expect.objectContaining({
+      payload: expect.objectContaining({ filingId: resubmission.filingId, resubmissionOf: 'filing-1' })
+    }));
+
+    // the pipeline files the cured package; the registry registers it
+    expect(queued).toHaveLength(1);
+    expect(queued[0].filingData).toMatchObject({ resubmissionOf: 'filing-1', caseData });
+    await service.processFilingTask(queued[0]);
+    const status = await service.checkFilingStatus(resubmission.filingId);
+
+    expect(status).toMatchObject({ status: 'accepted', defects: [] });
+    expect(rows[resubmission.filingId].defects).toEqual([]);
+    const [round] = rows[resubmission.filingId].defect_history;
+    expect(round.status).toBe('closed');
+    expect(round.defects.map(defect => [defect.code, defect.cured])).toEqual([['VAKALATNAMA_MISSING', true], ['ANNEXURES_NOT_PAGINATED', true]]);
+  });
+
+  test('concurrent re-filings queue one resubmission, and a failed one can be retried', async () => {
+    await fileDefective();
+    const queued = [];
+    jest.spyOn(service, 'addToFilingQueue').mockImplementation(async (task) => { queued.push(task); });
+    const refile = () => CourtDefectService.resubmit('filing-1', {
+      userId: 'user-complainant',
+      changes: [{ action: 'add', document: { documentId: 'vakalatnama', filename: 'vakalatnama.pdf', documentType: 'vakalatnama' } }]
+    });
+
+    // the resubmission row cannot be written: the filing stays defective
+    const from = supabase.from.getMockImplementation();
+    supabase.from.mockImplementation((table) => ({
+      ...from(table),
+      insert: () => ({ select: () => ({ single: async () => ({ data: null, error: { message: 'connection reset' } }) }) })
+    }));
+    await expect(refile()).rejects.toThrow(/connection reset/);
+    expect(rows['filing-1'].status).toBe('defective');
+    expect(queued).toHaveLength(0);
+    supabase.from.mockImplementation(from);
+
+    const results = await Promise.allSettled([refile(), refile()]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason).toMatchObject({ status: 409, code: 'filing_not_defective' });
+    expect(queued).toHaveLength(1);
+    expect(rows['filing-1']).toMatchObject({ status: 'resubmitted', superseded_by: queued[0].filingId });
+    expect(Object.values(rows).filter(row => row.resubmission_of === 'filing-1')).toHaveLength(1);
+  });
+
+  test('only defective filings with documents in the package and in storage can be re-filed', async () => {
+    await fileDefective();
+    jest.spyOn(service, 'addToFilingQueue').mockResolvedValue(undefined);
+
+    await expect(CourtDefectService.resubmit('filing-1', { changes: [] })).rejects.toMatchObject({ status: 400, code: 'no_changes' });
+    await expect(CourtDefectService.resubmit('filing-1', { changes: [{ action: 'remove', documentId: 'nope' }] }))
+      .rejects.toMatchObject({ status: 422, code: 'document_not_in_filing' });
+    await expect(CourtDefectService.resubmit('filing-1', { changes: [{ action: 'replace', documentId: 'annexure', document: { documentId: 'missing' } }] }))
+      .rejects.toMatchObject({ status: 422, code: 'document_not_found' });
+    await expect(CourtDefectService.resubmit('filing-1', { changes: [{ action: 'staple', documentId: 'annexure' }] }))
+      .rejects.toMatchObject({ status: 400, code: 'invalid_change' });
+    expect(rows['filing-1'].status).toBe('defective');
+
+    rows['filing-1'].status = 'accepted';
+    await expect(CourtDefectService.resubmit('filing-1', { changes: [{ action: 'regenerate', documentId: 'annexure' }] }))
+      .rejects.toMatchObject({ status: 409, code: 'filing_not_defective' });
+    await expect(CourtDefectService.resubmit('filing-9', { changes: [] })).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,203 @@
+// Court Fee Tests - versioned state fee schedules: consumer commission bands,
+// ad valorem slabs, process fees, and the breakdown in referral checklists
+// and court filings
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { supabase } = require('../src/lib/supabaseClient');
+const CourtFeeService = require('../src/services/CourtFeeService');
+const { CourtFeeService: CourtFeeServiceClass } = CourtFeeService;
+const JurisdictionService = require('../src/services/JurisdictionService');
+const AuditLogService = require('../src/services/AuditLogService');
+const CourtReferralService = require('../src/services/CourtReferralService');
+const PDFGenerationService = require('../src/services/PDFGenerationService');
+const DocumentTemplateService = require('../src/services/DocumentTemplateService');
+const EnhancedCourtIntegrationService = require('../src/services/EnhancedCourtIntegrationService');
+
+const forumFor = (facts) => JurisdictionService.recommend(facts).forum;
+
+describe('Court fee calculation', () => {
+  const bengaluruCommission = forumFor({ caseType: 'consumer', considerationPaid: 800000, locations: { respondent: 'Koramangala, Bengaluru' } });
+
+  test('consumer complaints pay the band fee of the rules in force on the date', () => {
+    const fees = CourtFeeService.calculate({ forum: bengaluruCommission, considerationPaid: 800000, claimAmount: 1200000, date: '2026-03-01' });
+
+    expect(fees).toMatchObject({
+      jurisdiction: { code: 'IN-KA', name: 'Karnataka' },
+      schedule: { key: 'consumer_commission', version: 'CPA-2021', effectiveFrom: '2021-12-30', effectiveTo: null },
+      value: 800000,
+      valueBasis: 'consideration_paid',
+      currency: 'INR',
+      total: 200,
+      asOf: '2026-03-01',
+      warnings: []
+    });
+    expect(fees.items).toEqual([
+      { code: 'complaint_fee', label: 'Complaint fee', kind: 'band', amount: 200, basis: 'Band above ₹5,00,000 and up to ₹10,00,000' }
+    ]);
+
+    // the 2020 rules had more bands above ₹2 crore
+    const before = CourtFeeService.calculate({ forum: bengaluruCommission, considerationPaid: 30000000, date: '2021-06-01' });
+    expect(before.schedule).toMatchObject({ version: 'CPA-2020', effectiveTo: '2021-12-29' });
+    expect(before.total).toBe(3000);
+    expect(CourtFeeService.calculate({ forum: bengaluruCommission, considerationPaid: 30000000, date: '2022-01-01' }).total).toBe(7500);
+    expect(CourtFeeService.calculate({ forum: bengaluruCommission, considerationPaid: 400000 }).total).toBe(0);
+
+    const unpaid = CourtFeeService.calculate({ forum: bengaluruCommission, claimAmount: 1500000 });
+    expect(unpaid).toMatchObject({ value: 1500000, total: 400 });
+    expect(unpaid.warnings).toEqual(['The consideration paid is not recorded; the fee was computed on the claim amount instead.']);
+  });
+
+  test('civil suits pay ad valorem slabs within the state minimum and cap, plus process fees', () => {
+    const mumbai = forumFor({ caseType: 'contract', claimAmount: 5000000, locations: { respondent: 'Bandra West, Mumbai' } });
+    const fees = CourtFeeService.calculate({ forum: mumbai, claimAmount: 5000000, respondents: 2 });
+
+    expect(fees.schedule).toMatchObject({ version: 'MH-CFA-1959', source: 'Maharashtra Court Fees Act, 1959, Schedule I, art. 1' });
+    expect(fees.items.map(item => [item.code, item.amount, item.basis])).toEqual([
+      ['court_fee', 61000, '3% of ₹1,00,000 + 2% of ₹9,00,000 + 1% of ₹40,00,000'],
+      ['process_fee', 300, '₹150 × 2 respondents']
+    ]);
+    expect(fees.total).toBe(61300);
+
+    const bombayHighCourt = forumFor({ caseType: 'contract', claimAmount: 500000000, locations: { respondent: 'Bandra West, Mumbai' } });
+    expect(CourtFeeService.calculate({ forum: bombayHighCourt, claimAmount: 500000000 }).items[0])
+      .toMatchObject({ amount: 300000, basis: expect.stringMatching(/capped at ₹3,00,000$/) });
+
+    const delhi = forumFor({ caseType: 'contract', claimAmount: 1000, locations: { respondent: 'Saket, New Delhi' } });
+    expect(CourtFeeService.calculate({ forum: delhi, claimAmount: 1000 }).items[0])
+      .toMatchObject({ amount: 50, basis: '2% of ₹1,000, raised to the minimum of ₹50' });
+
+    // commercial courts use the state's civil schedule
+    const commercial = forumFor({ caseType: 'commercial', claimAmount: 5000000, locations: { respondent: 'Kothrud, Pune' } });
+    expect(commercial.type).toBe('commercial_court');
+    expect(CourtFeeService.calculate({ forum: commercial, claimAmount: 5000000 }).schedule.key).toBe('civil_court');
+  });
+
+  test('forums without a schedule are flagged rather than priced', () => {
+    const fees = CourtFeeService.calculate({
+      forum: { id: 'civil_court', name: 'Civil Court, Chennai', type: 'civil_court', jurisdictionCode: 'IN-TN' },
+      claimAmount: 100000
+    });
+
+    expect(fees).toMatchObject({ jurisdiction: { code: 'IN' }, schedule: null, items: [], total: null });
+    expect(fees.warnings).toEqual(['No court fee schedule for Civil Court, Chennai in India; check the fees with the court registry.']);
+
+    const labour = forumFor({ caseType: 'employment', claimAmount: 300000, locations: { workplace: 'Hinjewadi, Pune' } });
+    expect(CourtFeeService.calculate({ forum: labour, claimAmount: 300000 })).toMatchObject({ items: [], total: 0, warnings: [] });
+  });
+});
+
+describe('Court fee schedule files', () => {
+  let dir;
+
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), JSON.stringify(content));
+  const version = (overrides = {}) => ({
+    version: 'GA-1',
+    effectiveFrom: '2020-01-01',
+    items: [{ code: 'court_fee', label: 'Court fee', kind: 'ad_valorem', slabs: [{ upTo: 100000, rate: 2 }, { rate: 1 }] }],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fee-schedules-'));
+    fs.copyFileSync(path.join(__dirname, '../fee-schedules/IN.json'), path.join(dir, 'IN.json'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('a new version takes over from its effective date and a repealed one ends', () => {
+    write('IN-GA.json', {
+      code: 'IN-GA',
+      name: 'Goa',
+      extends: 'IN',
+      schedules: {
+        civil_court: [
+          version({ version: 'GA-2', effectiveFrom: '2024-04-01', effectiveTo: '2025-03-31', items: [{ code: 'court_fee', label: 'Court fee', kind: 'fixed', amount: 500 }] }),
+          version()
+        ]
+      }
+    });
+    const service = new CourtFeeServiceClass({ dir });
+    const forum = { id: 'civil_court', name: 'Civil Court, North Goa', type: 'civil_court', jurisdictionCode: 'IN-GA' };
+
+    expect(service.calculate({ forum, claimAmount: 200000, date: '2024-03-31' })).toMatchObject({ schedule: { version: 'GA-1', effectiveTo: '2024-03-31' }, total: 3000 });
+    expect(service.calculate({ forum, claimAmount: 200000, date: '2024-04-01' })).toMatchObject({ schedule: { version: 'GA-2' }, total: 500 });
+    expect(service.calculate({ forum, claimAmount: 200000, date: '2025-04-01' }).warnings)
+      .toEqual(['No version of the civil_court fee schedule for Goa is in force on 2025-04-01.']);
+    // national schedules are inherited
+    expect(service.calculate({ forum: { ...forum, id: 'district_consumer_commission', type: 'consumer_commission' }, considerationPaid: 700000 }).total).toBe(200);
+  });
+
+  test('malformed schedules are rejected', () => {
+    const load = (schedules) => {
+      write('IN-GA.json', { code: 'IN-GA', extends: 'IN', schedules });
+      return () => new CourtFeeServiceClass({ dir }).load();
+    };
+
+    expect(load({ civil_court: [version({ items: [{ code: 'court_fee', label: 'Court fee', kind: 'percentage' }] })] }))
+      .toThrow('unknown kind "percentage"');
+    expect(load({ civil_court: [version({ items: [{ code: 'court_fee', label: 'Court fee', kind: 'ad_valorem', slabs: [{ upTo: 100000, rate: 2 }, { upTo: 50000, rate: 1 }, { rate: 1 }] }] })] }))
+      .toThrow('slabs need ascending upTo limits and an open-ended last entry');
+    expect(load({ civil_court: [version(), version({ version: 'GA-2' })] })).toThrow('another version starts on 2020-01-01');
+    expect(load({ civil_court: [version({ effectiveFrom: '1 April 2020' })] })).toThrow('effectiveFrom must be YYYY-MM-DD');
+    expect(load({ commercial_court: 'civil_court' })).toThrow('schedules.commercial_court refers to unknown schedule "civil_court"');
+  });
+});
+
+describe('Court fees in referrals and filings', () => {
+  const caseData = {
+    id: 'case-1',
+    title: 'Sharma v. Coolair Appliances',
+    case_type: 'consumer',
+    description: 'Refund refused for a defective refrigerator',
+    jurisdiction: 'Karnataka',
+    defender_address: '12 MG Road, Bengaluru',
+    metadata: { consideration_paid: 1500000 }
+  };
+
+  // let the services' startup work finish inside the test run
+  beforeAll(() => Promise.all([CourtReferralService.init(), PDFGenerationService.init(), DocumentTemplateService.init()]));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the filing checklist carries the itemized fees of the recommended court', async () => {
+    const { court } = await CourtReferralService.determineAppropriateCourt(caseData);
+    expect(court).toMatchObject({ id: 'district_consumer_commission', jurisdictionCode: 'IN-KA' });
+
+    const fees = CourtReferralService.calculateCourtFees(court, caseData);
+    expect(fees).toMatchObject({ schedule: { version: 'CPA-2021' }, value: 1500000, total: 400 });
+
+    const checklist = await CourtReferralService.generateFilingChecklist(court, caseData, fees);
+    try {
+      expect(checklist).toMatchObject({ type: 'filing_checklist', filename: expect.stringMatching(/^filing_checklist_case-1_/) });
+      expect(fs.readFileSync(checklist.filepath).subarray(0, 5).toString()).toBe('%PDF-');
+    } finally {
+      fs.rmSync(checklist.filepath, { force: true });
+    }
+  });
+
+  test('submitted filings store the schedule breakdown and flag a different court charge', async () => {
+    const updates = [];
+    jest.spyOn(supabase, 'from').mockImplementation((table) => ({
+      update: (row) => ({ eq: async (column, id) => { updates.push({ table, id, row }); return { error: null }; } })
+    }));
+    const record = jest.spyOn(AuditLogService, 'record').mockResolvedValue(null);
+
+    const fees = await EnhancedCourtIntegrationService.processFilingFees('filing-1', { caseData, userId: 'u-1' }, 500);
+
+    expect(fees.total).toBe(400);
+    expect(updates).toEqual([{
+      table: 'court_filings',
+      id: 'filing-1',
+      row: expect.objectContaining({
+        fees_paid: 500,
+        court_fees: expect.objectContaining({ total: 400, courtReported: 500, schedule: expect.objectContaining({ version: 'CPA-2021' }) })
+      })
+    }]);
+    expect(updates[0].row.court_fees.warnings).toEqual(['The court charged ₹500; the fee schedule gives ₹400.']);
+    expect(record).toHaveBeenCalledWith('case-1', 'court.filing_fees_assessed', {
+      actorId: 'u-1',
+      payload: { filingId: 'filing-1', forum: 'District Consumer Disputes Redressal Commission, Bengaluru Urban', scheduleVersion: 'CPA-2021', total: 400, courtReported: 500 }
+    });
+  });
+});
@@ -0,0 +1,314 @@
+// Court Hearing Tests - tracking a forwarded case in court: cause-list
+// parsing and import, adjournments and the next date of hearing, reminders,
+// calendar invitations, the court-stage timeline, and syncing the cause list
+// from the mock e-filing server
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+const AuditLogService = require('../src/services/AuditLogService');
+const NotificationService = require('../src/services/NotificationService');
+const CourtConnectorRegistry = require('../src/services/CourtConnectorRegistry');
+const { CourtHearingService, HEARING_QUEUE } = require('../src/services/CourtHearingService');
+const { FileCourtProceedingStore } = require('../src/lib/courtProceedingStore');
+const { parseCauseList } = require('../src/lib/causeList');
+const { createMockEFilingServer } = require('../src/lib/mockEFilingServer');
+
+const NOW = new Date('2026-10-19T05:00:00.000Z');
+
+describe('Cause list parsing', () => {
+  test('reads CSV with registry column names, quoted fields and Indian dates', () => {
+    const csv = [
+      'Date,Sr No,Case No.,Court Hall,Purpose,Business,NDOH,Daily Order',
+      '19-11-2026,1,cc 12-2026,3,Admission,Adjourned,"02/12/2026","Notice to respondent, returnable in 4 weeks"',
+      '19-11-2026,2,OS/7/2026,1,Evidence,Listed,,',
+      '19/11/2026,3,CC/13/2026,2,Arguments,Judgment delivered,,Complaint allowed with costs'
+    ].join('\r\n');
+    const { entries, errors } = parseCauseList(csv);
+
+    expect(errors).toEqual([]);
+    expect(entries.map(e => [e.caseNumber, e.date, e.outcome, e.nextDate])).toEqual([
+      ['cc 12-2026', '2026-11-19', 'adjourned', '2026-12-02'],
+      ['OS/7/2026', '2026-11-19', 'scheduled', null],
+      ['CC/13/2026', '2026-11-19', 'disposed', null]
+    ]);
+    expect(entries[0]).toMatchObject({ courtHall: '3', itemNumber: '1', purpose: 'Admission', order: 'Notice to respondent, returnable in 4 weeks' });
+  });
+
+  test('reads a JSON list with a list-level date and reports bad lines', () => {
+    const { entries, errors } = parseCauseList(JSON.stringify({
+      date: '2026-11-19',
+      entries: [
+        { caseNumber: 'CC/12/2026', outcome: 'disposed', order: 'Settled' },
+        { case_no: 'CC/14/2026', status: 'reserved for orders' },
+        { caseNumber: 'CC/15/2026', outcome: 'adjourned', nextDate: '2026-11-01' },
+        { outcome: 'heard' }
+      ]
+    }), 'json');
+
+    expect(entries.map(e => [e.caseNumber, e.date, e.outcome])).toEqual([
+      ['CC/12/2026', '2026-11-19', 'disposed'],
+      ['CC/14/2026', '2026-11-19', 'reserved']
+    ]);
+    expect(errors).toEqual([
+      { line: 3, caseNumber: 'CC/15/2026', message: 'next date 2026-11-01 is not after 2026-11-19' },
+      { line: 4, caseNumber: null, message: 'case number is missing' }
+    ]);
+    expect(() => parseCauseList('Date,Hall\n2026-11-19,3')).toThrow('no case number column');
+  });
+});
+
+describe('Court hearing tracking', () => {
+  let dir;
+  let service;
+  let queue;
+  let notifications;
+  let filings;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'court-hearings-'));
+    queue = { register: jest.fn(), enqueue: jest.fn(async () => ({})), start: jest.fn() };
+    notifications = {
+      notificationTypes: NotificationService.notificationTypes,
+      priorities: NotificationService.priorities,
+      createNotification: jest.fn(async () => ({}))
+    };
+    filings = { list: jest.fn(async () => []) };
+    service = new CourtHearingService({
+      store: new FileCourtProceedingStore(path.join(dir, 'proceedings.json')),
+      queue,
+      notifications,
+      filings,
+      parties: { list: async () => ['user-a', 'user-b'] },
+      now: () => NOW
+    });
+    jest.spyOn(AuditLogService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const auditEvents = () => AuditLogService.record.mock.calls.map(([, event]) => event);
+
+  const registered = async () => {
+    await service.startTracking('case-1', { filingId: 'filing-1', courtName: 'Bengaluru Urban District Consumer Commission', reason: 'settlement_failed' });
+    await service.recordFromRegistration(
+      { id: 'filing-1', case_id: 'case-1', court_systems: { name: 'Bengaluru Urban District Consumer Commission' } },
+      { filingNumber: 'CC/12/2026', updatedAt: '2026-10-20T06:00:00.000Z', hearing: { date: '2026-11-19', purpose: 'First hearing (admission)', courtHall: 'Court Hall 3' } }
+    );
+  };
+
+  test('tracking starts once per case with an estimated first hearing', async () => {
+    const first = await service.startTracking('case-1', { courtName: 'District Court' });
+    const again = await service.startTracking('case-1', { courtName: 'Another Court' });
+
+    expect(again.id).toBe(first.id);
+    expect(first).toMatchObject({ status: 'awaiting_listing', court_name: 'District Court' });
+    expect(first.expected_first_hearing >= '2026-12-03').toBe(true);
+    expect(auditEvents()).toEqual(['court.proceeding_started']);
+  });
+
+  test('registration lists the first hearing with a calendar invitation and reminders', async () => {
+    await registered();
+
+    const { proceeding, hearings } = await service.timeline('case-1');
+    expect(proceeding).toMatchObject({ courtCaseNumber: 'CC/12/2026', status: 'listed', nextHearingDate: '2026-11-19', stage: 'First hearing (admission)' });
+    expect(hearings).toEqual([expect.objectContaining({ date: '2026-11-19', status: 'scheduled', courtHall: 'Court Hall 3', source: 'registration' })]);
+    expect(auditEvents()).toContain('court.hearing_listed');
+
+    expect(notifications.createNotification).toHaveBeenCalledTimes(2);
+    const notice = notifications.createNotification.mock.calls[0][0];
+    expect(notice).toMatchObject({ userId: 'user-a', caseId: 'case-1', title: 'Court hearing on 2026-11-19', actionUrl: '/disputes/case-1' });
+    expect(notice.actionData).toEqual({ hearingDate: '2026-11-19', calendarUrl: '/api/court/cases/case-1/proceedings/calendar.ics' });
+    const [email] = notice.content.email.args;
+    expect(notice.content.email.template).toBe('sendHearingNotice');
+    expect(email.calendar.method).toBe('REQUEST');
+    expect(email.calendar.content).toContain('SUMMARY:Court hearing: CC/12/2026 (First hearing (admission))');
+
+    expect(queue.enqueue.mock.calls.map(([name, payload, { runAt }]) => [name, payload.daysBefore, payload.hearingDate, runAt.toISOString()])).toEqual([
+      [HEARING_QUEUE, 7, '2026-11-19', '2026-11-12T03:30:00.000Z'],
+      [HEARING_QUEUE, 1, '2026-11-19', '2026-11-18T03:30:00.000Z']
+    ]);
+  });
+
+  test('an adjournment in an imported cause list lists the next date and drops stale reminders', async () => {
+    await registered();
+    const [, firstReminder] = queue.enqueue.mock.calls[1];
+    queue.enqueue.mockClear();
+    notifications.createNotification.mockClear();
+
+    const summary = await service.importCauseList({
+      content: [
+        'Date,Case No,Court Hall,Purpose,Outcome,Next Date,Order,Reason',
+        '19-11-2026,cc/12/2026,Court Hall 3,First hearing (admission),Adjourned,10-12-2026,Notice to respondent,Respondent sought time',
+        '19-11-2026,CC/99/2026,Court Hall 3,Evidence,Listed,,,'
+      ].join('\n'),
+      filename: 'cause-list-2026-11-19.csv'
+    }, { actorId: 'admin-1' });
+
+    expect(summary).toMatchObject({ entries: 2, matched: 1, unmatched: [{ line: 3, caseNumber: 'CC/99/2026' }], errors: [] });
+
+    const { proceeding, hearings } = await service.timeline('case-1');
+    expect(hearings.map(h => [h.date, h.status, h.nextDate])).toEqual([['2026-11-19', 'adjourned', '2026-12-10'], ['2026-12-10', 'scheduled', null]]);
+    expect(hearings[0]).toMatchObject({ order: 'Notice to respondent', reason: 'Respondent sought time', source: 'cause_list' });
+    expect(proceeding).toMatchObject({ nextHearingDate: '2026-12-10', lastOrder: { date: '2026-11-19', summary: 'Notice to respondent' } });
+    expect(auditEvents()).toEqual(expect.arrayContaining(['court.hearing_adjourned', 'court.order_recorded']));
+    expect(AuditLogService.record).toHaveBeenCalledWith('case-1', 'court.hearing_adjourned', expect.objectContaining({ actorId: 'admin-1' }));
+
+    expect(notifications.createNotification.mock.calls[0][0]).toMatchObject({ title: 'Court hearing adjourned to 2026-12-10' });
+    expect(queue.enqueue.mock.calls.map(([, payload]) => [payload.hearingDate, payload.daysBefore])).toEqual([['2026-12-10', 7], ['2026-12-10', 1]]);
+
+    // The reminder queued for the adjourned date no longer goes out
+    await expect(service.handleJob(firstReminder)).resolves.toEqual({ skipped: 'adjourned' });
+    notifications.createNotification.mockClear();
+    const [, nextReminder] = queue.enqueue.mock.calls[1];
+    await expect(service.handleJob(nextReminder)).resolves.toMatchObject({ reminded: expect.any(String) });
+    expect(notifications.createNotification.mock.calls[0][0]).toMatchObject({ title: 'Court hearing in 1 day', priority: 'high' });
+  });
+
+  test('importing the same cause list twice does not notify again', async () => {
+    await registered();
+    const list = JSON.stringify([{ date: '2026-11-19', caseNumber: 'CC/12/2026', outcome: 'adjourned', nextDate: '2026-12-10' }]);
+    await service.importCauseList({ content: list, format: 'json' });
+    queue.enqueue.mockClear();
+    notifications.createNotification.mockClear();
+    AuditLogService.record.mockClear();
+
+    const again = await service.importCauseList({ content: list, format: 'json' });
+    expect(again).toMatchObject({ matched: 1, errors: [] });
+    expect(queue.enqueue).not.toHaveBeenCalled();
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+    expect(AuditLogService.record).not.toHaveBeenCalled();
+    expect((await service.timeline('case-1')).hearings).toHaveLength(2);
+  });
+
+  test('a disposal closes the proceeding and cancels later hearings in the calendar', async () => {
+    await registered();
+    await service.recordHearing('case-1', { date: '2026-11-19', outcome: 'adjourned', nextDate: '2026-12-10' });
+    await service.recordHearing('case-1', { date: '2026-12-10', outcome: 'heard', nextDate: '2027-01-07', order: 'Arguments heard in part' });
+
+    const result = await service.recordHearing('case-1', { date: '2026-12-10', outcome: 'disposed', order: 'Complaint allowed; refund with 9% interest' });
+    expect(result.proceeding).toMatchObject({ status: 'disposed', nextHearingDate: null, disposal: { date: '2026-12-10', order: 'Complaint allowed; refund with 9% interest' } });
+    expect(result.cancelled).toBe(1);
+    expect(auditEvents()).toContain('court.case_disposed');
+
+    const calendar = await service.calendar('case-1');
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    expect(calendar).toContain('DTSTART:20261119T050000Z');
+    expect(calendar).toMatch(/STATUS:CANCELLED/);
+
+    await expect(service.recordHearing('case-1', { date: '2027-01-07', outcome: 'heard' }))
+      .rejects.toMatchObject({ status: 409, code: 'proceeding_disposed' });
+  });
+
+  test('rejects hearings that do not add up', async () => {
+    await registered();
+    await expect(service.recordHearing('case-1', { date: '2026-11-19', outcome: 'adjourned', nextDate: '2026-11-18' }))
+      .rejects.toMatchObject({ status: 400, code: 'invalid_hearing' });
+    await expect(service.recordHearing('case-2', { date: '2026-11-19' }))
+      .rejects.toMatchObject({ status: 404, code: 'proceeding_not_found' });
+  });
+
+  test('the timeline runs from referral through defects and registration to hearings', async () => {
+    filings.list.mockResolvedValue([
+      {
+        id: 'filing-0',
+        status: 'resubmitted',
+        created_at: '2026-10-05T09:00:00.000Z',
+        defect_history: [{ round: 1, filingId: 'filing-0', noticedAt: '2026-10-08T09:00:00.000Z', status: 'resubmitted', defects: [{ code: 'VAKALATNAMA_MISSING', description: 'Vakalatnama of the advocate is not filed' }] }]
+      },
+      {
+        id: 'filing-1',
+        status: 'accepted',
+        resubmission_of: 'filing-0',
+        submitted_at: '2026-10-12T09:00:00.000Z',
+        processed_at: '2026-10-20T06:00:00.000Z',
+        filing_number: 'CC/12/2026',
+        defect_history: [{ round: 1, filingId: 'filing-0', noticedAt: '2026-10-08T09:00:00.000Z', status: 'closed', defects: [] }]
+      }
+    ]);
+    await registered();
+
+    const { stages } = await service.timeline('case-1');
+    expect(stages.map(s => [s.type, s.date, s.status])).toEqual([
+      ['filing', '2026-10-05', 'done'],
+      ['defects', '2026-10-08', 'done'],
+      ['filing', '2026-10-12', 'done'],
+      ['referral', '2026-10-19', 'done'],
+      ['registration', '2026-10-20', 'done'],
+      ['hearing', '2026-11-19', 'next']
+    ]);
+    expect(stages[1].title).toBe('Returned with 1 defect');
+    expect(stages[2].title).toBe('Re-filed with the registry');
+  });
+});
+
+describe('Cause list sync from the mock e-filing server', () => {
+  const mock = createMockEFilingServer({ token: 'registry-token', now: () => NOW });
+  let server;
+  let dir;
+  let courtSystem;
+  let baseURL;
+
+  beforeAll(async () => {
+    server = await mock.listen(0);
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+    courtSystem = { code: 'KA-DCDRC', name: 'Bengaluru Urban District Consumer Commission', efiling_config: { endpoint: baseURL, token: 'registry-token' } };
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'court-hearings-sync-'));
+    jest.spyOn(AuditLogService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('hearing outcomes published in the court cause list reach the case', async () => {
+    const connector = CourtConnectorRegistry.forCourtSystem(courtSystem);
+    expect(connector.describe().capabilities).toContain('causeList');
+
+    const receipt = await connector.submit({
+      filingId: 'filing-1',
+      filingType: 'consumer_complaint',
+      metadata: { partyInPerson: true },
+      documents: [{ documentId: 'doc-1', filename: 'complaint.pdf', documentType: 'complaint', content: Buffer.from('%PDF-1.7 complaint') }]
+    });
+    const court = await connector.status(receipt.trackingId);
+    expect(court).toMatchObject({ status: 'registered', hearing: { purpose: 'First hearing (admission)' } });
+
+    const service = new CourtHearingService({
+      store: new FileCourtProceedingStore(path.join(dir, 'proceedings.json')),
+      queue: { register: jest.fn(), enqueue: jest.fn(async () => ({})), start: jest.fn() },
+      notifications: { ...NotificationService, createNotification: jest.fn(async () => ({})) },
+      filings: { list: async () => [] },
+      parties: { list: async () => ['user-a'] },
+      now: () => NOW
+    });
+    await service.recordFromRegistration({ id: 'filing-1', case_id: 'case-1', court_systems: courtSystem }, court);
+
+    const hearingDate = court.hearing.date;
+    await axios.post(`${baseURL}/filings/${receipt.trackingId}/proceedings`,
+      { outcome: 'adjourned', nextDate: '2027-01-14', nextPurpose: 'Reply of the opposite party', order: 'Opposite party to file version', reason: 'Opposite party absent' },
+      { headers: { Authorization: 'Bearer registry-token' } });
+
+    const summary = await service.syncCauseList({ date: hearingDate, courtSystem });
+    expect(summary).toMatchObject({ entries: 1, matched: 1, unmatched: [], errors: [] });
+
+    const { proceeding, hearings } = await service.timeline('case-1');
+    expect(proceeding).toMatchObject({ courtCaseNumber: court.filingNumber, nextHearingDate: '2027-01-14', stage: 'Reply of the opposite party' });
+    expect(hearings.map(h => [h.date, h.status, h.source])).toEqual([[hearingDate, 'adjourned', 'connector'], ['2027-01-14', 'scheduled', 'connector']]);
+
+    // The next day's list carries the case again once it is listed for that date
+    const next = await service.syncCauseList({ date: '2027-01-14', courtSystem });
+    expect(next).toMatchObject({ entries: 1, matched: 1 });
+    expect((await service.timeline('case-1')).hearings).toHaveLength(2);
+  });
+});
@@ -0,0 +1,203 @@
+// Document Signing Tests - incremental PAdES signatures, tamper detection and
+// the envelope workflow with a file store in a temp directory
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const pdfSignature = require('../src/lib/pdfSignature');
+const { FileSigningEnvelopeStore } = require('../src/lib/signingEnvelopeStore');
+const { DocumentSigningService } = require('../src/services/DocumentSigningService');
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+async function samplePdf(pages = 1) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) doc.addPage([595, 842]).drawText(`Settlement terms, page ${i + 1}`, { x: 50, y: 780 });
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+describe('PDF signatures', () => {
+  const authority = pdfSignature.createCertificateAuthority({ commonName: 'Test Signing CA', organization: 'Test' });
+  let signedTwice;
+
+  beforeAll(async () => {
+    let pdf = await samplePdf();
+    for (const [i, name] of ['Asha Rao', 'Vikram Shah'].entries()) {
+      pdf = await pdfSignature.addSignatureField(pdf, {
+        name,
+        reason: 'Agreed to the settlement',
+        appearance: { rect: [50 + i * 260, 60, 240, 80], lines: [name, 'Digitally signed'], image: i === 0 ? { bytes: PNG, type: 'png' } : undefined }
+      });
+      pdf = pdfSignature.sign(pdf, pdfSignature.issueSignerCertificate(authority, { name, email: `${name.split(' ')[0].toLowerCase()}@example.com` }));
+    }
+    signedTwice = pdf;
+  });
+
+  test('keeps the first signature valid after a second incremental signature', async () => {
+    const report = pdfSignature.verifySignatures(signedTwice, { trustedCertificates: [authority.certificate] });
+
+    expect(report).toMatchObject({ signatureCount: 2, altered: false, valid: true, unsignedBytesAfterLastSignature: 0 });
+    expect(report.signatures.map(s => s.signer.name)).toEqual(['Asha Rao', 'Vikram Shah']);
+    expect(report.signatures[0]).toMatchObject({ intact: true, certificateTrusted: true, coversWholeDocument: false, reason: 'Agreed to the settlement' });
+    expect(report.signatures[1].coversWholeDocument).toBe(true);
+    expect(report.signatures[0].signer.email).toBe('asha@example.com');
+
+    const reloaded = await PDFDocument.load(signedTwice);
+    expect(reloaded.getForm().getFields().map(f => f.getName())).toEqual(['Signature1', 'Signature2']);
+  });
+
+  test('reports a changed byte inside a signed range', () => {
+    const tampered = Buffer.from(signedTwice);
+    tampered[tampered.indexOf('/MediaBox') + 12] ^= 1;
+
+    const report = pdfSignature.verifySignatures(tampered, { trustedCertificates: [authority.certificate] });
+
+    expect(report.altered).toBe(true);
+    expect(report.valid).toBe(false);
+    expect(report.signatures.every(s => s.digestMatches === false)).toBe(true);
+  });
+
+  test('reports an unsigned revision appended after the last signature', () => {
+    const appended = Buffer.concat([signedTwice, Buffer.from('1 0 obj\n<< /Type /Catalog >>\nendobj\n')]);
+
+    const report = pdfSignature.verifySignatures(appended, { trustedCertificates: [authority.certificate] });
+
+    expect(report.signatures.every(s => s.intact)).toBe(true);
+    expect(report.unsignedBytesAfterLastSignature).toBeGreaterThan(0);
+    expect(report.altered).toBe(true);
+  });
+
+  test('does not trust certificates from another authority', () => {
+    const other = pdfSignature.createCertificateAuthority({ commonName: 'Someone Else' });
+
+    const report = pdfSignature.verifySignatures(signedTwice, { trustedCertificates: [other.certificate] });
+
+    expect(report.altered).toBe(false);
+    expect(report.signatures.every(s => s.certificateTrusted === false)).toBe(true);
+    expect(report.valid).toBe(false);
+  });
+
+  test('a PDF without signatures is not valid', async () => {
+    const report = pdfSignature.verifySignatures(await samplePdf());
+    expect(report).toMatchObject({ signatureCount: 0, valid: false });
+  });
+});
+
+describe('DocumentSigningService', () => {
+  const authority = pdfSignature.createCertificateAuthority({ commonName: 'Test Platform CA', organization: 'Test' });
+  let dir;
+  let service;
+  let audit;
+  let webhooks;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-'));
+    audit = { record: jest.fn().mockResolvedValue(null) };
+    webhooks = { publish: jest.fn().mockResolvedValue([]) };
+    service = new DocumentSigningService({
+      store: new FileSigningEnvelopeStore(path.join(dir, 'envelopes.json')),
+      dir: path.join(dir, 'documents'),
+      authority,
+      auditLog: audit,
+      webhooks
+    });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const createEnvelope = async (signingOrder = 'sequential') => service.createEnvelope({
+    caseId: 'case-1',
+    title: 'Settlement Agreement - Case 42',
+    sourceType: 'settlement_document',
+    sourceId: 'doc-1',
+    pdf: await samplePdf(2),
+    signingOrder,
+    signers: [
+      { userId: 'u-1', name: 'Asha Rao', email: 'asha@example.com', role: 'complainant' },
+      { userId: 'u-2', name: 'Vikram Shah', email: 'vikram@example.com', role: 'respondent' }
+    ]
+  });
+
+  test('signs in order, then issues a sealed completion certificate', async () => {
+    const envelope = await createEnvelope();
+    expect(envelope.signers.map(s => s.slot.pageIndex)).toEqual([2, 2]);
+
+    await expect(service.sign(envelope.id, 'u-2', {})).rejects.toMatchObject({ status: 409, code: 'out_of_order' });
+    await expect(service.sign(envelope.id, 'u-9', {})).rejects.toMatchObject({ status: 403, code: 'not_a_signer' });
+
+    const first = await service.sign(envelope.id, 'u-1', { ipAddress: '203.0.113.7', userAgent: 'jest', signatureImage: PNG });
+    expect(first.completed).toBe(false);
+    await expect(service.sign(envelope.id, 'u-1', {})).rejects.toMatchObject({ code: 'already_signed' });
+
+    const second = await service.sign(envelope.id, 'u-2', { ipAddress: '198.51.100.2', signatureText: 'V. Shah' });
+    expect(second.completed).toBe(true);
+    expect(second.envelope).toMatchObject({ status: 'completed', revision: 2, current_sha256: second.documentSha256 });
+    expect(second.envelope.certificate_sha256).toMatch(/^[0-9a-f]{64}$/);
+
+    const { bytes } = await service.readDocument(envelope.id);
+    const report = await service.verify(bytes);
+    expect(report).toMatchObject({ valid: true, altered: false, signatureCount: 2 });
+    expect(report.envelope).toMatchObject({ id: envelope.id, matches: 'signed_document' });
+
+    const certificate = await service.readCertificate(envelope.id);
+    const sealed = await service.verify(certificate.bytes);
+    expect(sealed).toMatchObject({ valid: true, signatureCount: 1, envelope: { matches: 'completion_certificate' } });
+    expect(certificate.bytes.toString('latin1')).toContain('/SubFilter /ETSI.CAdES.detached');
+
+    expect(audit.record.mock.calls.map(c => c[1])).toEqual(['signature.signed', 'signature.signed', 'signature.completed']);
+    expect(audit.record.mock.calls[0][2]).toMatchObject({ actorId: 'u-1', payload: { revision: 1 } });
+    expect(webhooks.publish).toHaveBeenCalledWith('signature.completed', expect.objectContaining({ signingEnvelopeId: envelope.id, totalSigners: 2 }));
+  });
+
+  test('records signer IP, time and certificate on the envelope', async () => {
+    const envelope = await createEnvelope('parallel');
+
+    const { signer } = await service.sign(envelope.id, 'u-2', { ipAddress: '198.51.100.2', userAgent: 'jest' });
+
+    expect(signer).toMatchObject({ status: 'signed', ip_address: '198.51.100.2', user_agent: 'jest', revision: 1 });
+    expect(signer.certificate_serial).toMatch(/^[0-9A-F]+$/);
+    expect(new Date(signer.signed_at).getTime()).not.toBeNaN();
+    expect(fs.existsSync(path.join(dir, 'documents', (await service.getEnvelope(envelope.id)).current_path))).toBe(true);
+  });
+
+  test('flags an altered copy of a signed document', async () => {
+    const envelope = await createEnvelope('parallel');
+    await service.sign(envelope.id, 'u-1', {});
+    const { bytes } = await service.readDocument(envelope.id);
+    const tampered = Buffer.from(bytes);
+    tampered[tampered.indexOf('/MediaBox') + 12] ^= 1;
+
+    const report = await service.verify(tampered);
+
+    expect(report).toMatchObject({ altered: true, valid: false, envelope: null });
+  });
+
+  test('rejects uploads that are not PDFs or images that are not PNG/JPEG', async () => {
+    const envelope = await createEnvelope('parallel');
+
+    await expect(service.verify(Buffer.from('hello'))).rejects.toMatchObject({ status: 400, code: 'invalid_pdf' });
+    await expect(service.sign(envelope.id, 'u-1', { signatureImage: Buffer.from('GIF89a') })).rejects.toMatchObject({ code: 'invalid_signature_image' });
+  });
+
+  test('signs the newer revision when another signer got there first', async () => {
+    const envelope = await createEnvelope('parallel');
+    const store = service.store;
+    const realUpdate = store.update.bind(store);
+    let raced = false;
+    // the other signer's revision lands between this signer's read and write
+    jest.spyOn(store, 'update').mockImplementation(async (id, patch, options) => {
+      if (!raced) {
+        raced = true;
+        await service.sign(envelope.id, 'u-2', {});
+      }
+      return realUpdate(id, patch, options);
+    });
+
+    const result = await service.sign(envelope.id, 'u-1', {});
+
+    expect(result.envelope.revision).toBe(2);
+    const { bytes } = await service.readDocument(envelope.id);
+    expect((await service.verify(bytes)).signatureCount).toBe(2);
+  });
+});
@@ -0,0 +1,172 @@
+// Evidence Custody Tests - upload digests re-checked on download and export,
+// custody events in the case audit log, and custody reports in court packages
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const { supabase } = require('../src/lib/supabaseClient');
+const { FileAuditLogStore } = require('../src/lib/auditLogStore');
+const { AuditLogService } = require('../src/services/AuditLogService');
+const EvidenceCustodyServiceInstance = require('../src/services/EvidenceCustodyService');
+const { EvidenceCustodyService, EvidenceIntegrityError, CUSTODY_EVENTS } = EvidenceCustodyServiceInstance;
+const CourtReferralPackageService = require('../src/services/CourtReferralPackageService');
+const evidenceSigned = require('../src/routes/evidenceSigned');
+const evidenceDownload = require('../src/routes/evidenceDownload');
+
+const ORIGINAL = Buffer.from('%PDF-1.4 invoice 42, Rs 50,000 paid 2026-02-03');
+const SWAPPED = Buffer.from('%PDF-1.4 invoice 42, Rs 5,000 paid 2026-02-03');
+
+describe('Evidence chain of custody', () => {
+  let dir;
+  let auditLog;
+  let files;
+  let custody;
+  let evidence;
+
+  // storage stand-in holding the bytes currently stored under each path
+  const storage = {
+    from: () => ({
+      download: async (filePath) => files[filePath]
+        ? { data: { arrayBuffer: async () => files[filePath] }, error: null }
+        : { data: null, error: { message: 'Object not found' } }
+    })
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'custody-'));
+    auditLog = new AuditLogService({ store: new FileAuditLogStore(path.join(dir, 'audit.json')) });
+    custody = new EvidenceCustodyService({ auditLog, storage, now: () => new Date('2026-05-01T10:00:00Z') });
+    files = { 'uploads/1_invoice.pdf': ORIGINAL };
+    evidence = {
+      id: 'ev-1',
+      case_id: 'case-1',
+      file_path: 'uploads/1_invoice.pdf',
+      sha256: custody.digest(ORIGINAL),
+      size_bytes: ORIGINAL.length,
+      metadata: { original_name: 'invoice.pdf', mime: 'application/pdf' },
+      uploader_id: 'u-1',
+      created_at: '2026-04-30T09:00:00Z'
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads of the uploaded file are verified and logged; a swapped file is refused', async () => {
+    await custody.recordUpload(evidence, { sha256: evidence.sha256, size: ORIGINAL.length, fileName: 'invoice.pdf', mimeType: 'application/pdf' }, { actorId: 'u-1', ip: '10.0.0.5' });
+
+    const buffer = await custody.readFile(evidence);
+    expect(await custody.verifyAccess(evidence, buffer, CUSTODY_EVENTS.DOWNLOADED, { actorId: 'u-2' }))
+      .toMatchObject({ status: 'verified', actual: evidence.sha256 });
+
+    files[evidence.file_path] = SWAPPED;
+    const error = await custody.verifyAccess(evidence, await custody.readFile(evidence), CUSTODY_EVENTS.DOWNLOADED, { actorId: 'u-2' }).catch(e => e);
+    expect(error).toBeInstanceOf(EvidenceIntegrityError);
+    expect(error).toMatchObject({ status: 409, code: 'EVIDENCE_INTEGRITY_FAILED', expected: evidence.sha256, actual: custody.digest(SWAPPED) });
+
+    const entries = await auditLog.list('case-1');
+    expect(entries.map(e => e.event_type)).toEqual(['evidence.uploaded', 'evidence.downloaded', 'evidence.integrity_failed']);
+    expect(entries[0].payload).toMatchObject({ evidenceId: 'ev-1', sha256: evidence.sha256, ip: '10.0.0.5' });
+    expect(entries[2].payload).toMatchObject({ during: 'evidence.downloaded', actualSha256: custody.digest(SWAPPED) });
+  });
+
+  test('evidence uploaded before digests were taken is passed through and flagged', async () => {
+    const legacy = { ...evidence, sha256: null };
+    expect(await custody.verifyAccess(legacy, ORIGINAL, CUSTODY_EVENTS.PROCESSED)).toMatchObject({ status: 'no_reference_digest' });
+    expect((await auditLog.list('case-1'))[0].payload).toMatchObject({ integrity: 'no_reference_digest' });
+  });
+
+  test('the custody report lists only this exhibit\'s events and the state of the audit chain', async () => {
+    await custody.recordUpload(evidence, { sha256: evidence.sha256 }, { actorId: 'u-1' });
+    await custody.record({ ...evidence, id: 'ev-2' }, CUSTODY_EVENTS.VIEWED, { actorId: 'u-2' });
+    await auditLog.record('case-1', 'workflow.stage_changed', { payload: { to: 'mediation' } });
+    await custody.record(evidence, CUSTODY_EVENTS.VIEWED, { actorId: 'u-2', details: { view: 'status' } });
+
+    const report = await custody.custodyReport(evidence, { buffer: ORIGINAL });
+
+    expect(report).toMatchObject({
+      format: 'evidence-custody-report/v1',
+      evidenceId: 'ev-1',
+      fileName: 'invoice.pdf',
+      uploadedBy: 'u-1',
+      sha256AtUpload: evidence.sha256,
+      sha256Now: evidence.sha256,
+      integrity: 'verified',
+      auditLog: { valid: true, entryCount: 4 },
+      generatedAt: '2026-05-01T10:00:00.000Z'
+    });
+    expect(report.events.map(e => [e.sequence, e.event, e.actorId])).toEqual([[1, 'uploaded', 'u-1'], [4, 'viewed', 'u-2']]);
+    expect(report.events[1].details).toEqual({ view: 'status' });
+    expect((await custody.custodyReport(evidence, { buffer: SWAPPED })).integrity).toBe('mismatch');
+  });
+
+  test('downloads with a token from POST /:id/signed re-verify the file', async () => {
+    const app = express();
+    app.use('/api/evidence', evidenceDownload);
+    jest.spyOn(supabase, 'from').mockImplementation(() => ({
+      select: () => ({ eq: () => ({ single: async () => ({ data: evidence, error: null }) }) })
+    }));
+    jest.spyOn(EvidenceCustodyServiceInstance, 'readFile').mockImplementation(ev => custody.readFile(ev));
+    jest.spyOn(EvidenceCustodyServiceInstance, 'verifyAccess').mockImplementation((...args) => custody.verifyAccess(...args));
+    const token = (claims) => {
+      const payload = Buffer.from(JSON.stringify({ exp: Date.now() + 60000, issued_by: 'u-2', ...claims })).toString('base64url');
+      const sig = require('crypto').createHmac('sha256', process.env.DOWNLOAD_TOKEN_SECRET || 'fallback-secret').update(payload).digest('base64url');
+      expect(evidenceSigned.verifyToken(`${payload}.${sig}`).ok).toBe(true);
+      return `${payload}.${sig}`;
+    };
+
+    const ok = await request(app).get('/api/evidence/ev-1/download').query({ token: token({ evidence_id: 'ev-1' }) });
+    expect(ok.status).toBe(200);
+    expect(Buffer.from(ok.body).equals(ORIGINAL)).toBe(true);
+    expect(ok.headers.digest).toBe(`sha-256=${Buffer.from(evidence.sha256, 'hex').toString('base64')}`);
+
+    const other = await request(app).get('/api/evidence/ev-1/download').query({ token: token({ evidence_id: 'ev-9' }) });
+    expect(other.status).toBe(403);
+
+    files[evidence.file_path] = SWAPPED;
+    const swapped = await request(app).get('/api/evidence/ev-1/download').query({ token: token({ evidence_id: 'ev-1' }) });
+    expect(swapped.status).toBe(409);
+    expect(swapped.body.code).toBe('EVIDENCE_INTEGRITY_FAILED');
+
+    expect((await auditLog.list('case-1')).map(e => [e.event_type, e.actor_id]))
+      .toEqual([['evidence.downloaded', 'u-2'], ['evidence.integrity_failed', 'u-2']]);
+  });
+
+  test('court packages carry each exhibit with its custody report and leave out swapped files', async () => {
+    const swappedEvidence = {
+      ...evidence,
+      id: 'ev-2',
+      file_path: 'uploads/2_photo.png',
+      sha256: custody.digest(Buffer.from('original photo')),
+      metadata: { original_name: 'photo.png', mime: 'image/png' }
+    };
+    files[swappedEvidence.file_path] = Buffer.from('edited photo');
+    jest.spyOn(supabase, 'from').mockImplementation(() => ({
+      select: () => ({ eq: () => ({ order: async () => ({ data: [evidence, swappedEvidence], error: null }) }) })
+    }));
+    for (const method of ['readFile', 'verifyAccess', 'custodyReport']) {
+      jest.spyOn(EvidenceCustodyServiceInstance, method).mockImplementation((...args) => custody[method](...args));
+    }
+
+    await CourtReferralPackageService.copyEvidences('case-1', dir);
+
+    const evidencesDir = path.join(dir, '04_Evidences');
+    const index = JSON.parse(fs.readFileSync(path.join(evidencesDir, '00_Evidence_Index.json'), 'utf8'));
+    expect(index).toEqual([
+      expect.objectContaining({ number: 1, filename: 'invoice.pdf', integrity: 'verified', file: '001_invoice.pdf', custodyReport: '001_custody.json' }),
+      expect.objectContaining({ number: 2, filename: 'photo.png', integrity: 'mismatch', custodyReport: '002_custody.json' })
+    ]);
+    expect(index[1].file).toBeUndefined();
+    expect(fs.readFileSync(path.join(evidencesDir, '001_invoice.pdf')).equals(ORIGINAL)).toBe(true);
+    expect(fs.existsSync(path.join(evidencesDir, '002_photo.png'))).toBe(false);
+
+    const report = JSON.parse(fs.readFileSync(path.join(evidencesDir, '001_custody.json'), 'utf8'));
+    expect(report).toMatchObject({ evidenceId: 'ev-1', integrity: 'verified', auditLog: { valid: true } });
+    expect(report.events.map(e => e.event)).toEqual(['exported']);
+    expect(JSON.parse(fs.readFileSync(path.join(evidencesDir, '002_custody.json'), 'utf8')))
+      .toMatchObject({ integrity: 'mismatch', events: [expect.objectContaining({ event: 'integrity_failed' })] });
+  });
+});
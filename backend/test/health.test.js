@@ -7,5 +7,6 @@ describe('Health endpoint', () => {
     expect(res.statusCode).toBe(200);
     expect(res.body).toHaveProperty('ok', true);
     expect(res.body).toHaveProperty('service');
+    expect(res.body.auditLog).toEqual(expect.objectContaining({ store: expect.any(String), tamperEvident: expect.any(Boolean) }));
   });
 });
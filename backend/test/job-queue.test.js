@@ -0,0 +1,119 @@
+// Durable Job Queue Tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue, FileJobStore } = require('../src/lib/jobQueue');
+
+describe('Durable Job Queue', () => {
+  let filePath;
+  let queue;
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `job-queue-test-${process.pid}-${Date.now()}.json`);
+    queue = new JobQueue({ store: new FileJobStore(filePath), workerId: 'test-worker' });
+  });
+
+  afterEach(() => {
+    queue.stop();
+    try { fs.unlinkSync(filePath); } catch (e) {}
+  });
+
+  it('should persist enqueued jobs to the store', async () => {
+    queue.register('evidence', async () => ({ done: true }));
+    const job = await queue.enqueue('evidence', { evidenceId: 'ev-1' });
+
+    const reloaded = new FileJobStore(filePath);
+    const stored = await reloaded.findById(job.id);
+    expect(stored).toHaveProperty('status', 'pending');
+    expect(stored.payload).toEqual({ evidenceId: 'ev-1' });
+  });
+
+  it('should complete jobs whose handler succeeds', async () => {
+    queue.register('evidence', async (payload) => ({ processed: payload.evidenceId }));
+    const job = await queue.enqueue('evidence', { evidenceId: 'ev-2' });
+
+    await queue.tick();
+
+    const stored = await queue.store.findById(job.id);
+    expect(stored.status).toBe('completed');
+    expect(stored.attempts).toBe(1);
+    expect(stored.result).toEqual({ processed: 'ev-2' });
+  });
+
+  it('should retry failed jobs with exponential backoff', async () => {
+    queue.register('evidence', async () => { throw new Error('download error'); }, { backoffBaseMs: 1000, maxAttempts: 3 });
+    const job = await queue.enqueue('evidence', { evidenceId: 'ev-3' });
+
+    const before = Date.now();
+    await queue.tick();
+
+    const stored = await queue.store.findById(job.id);
+    expect(stored.status).toBe('pending');
+    expect(stored.last_error).toBe('download error');
+    expect(new Date(stored.run_at).getTime()).toBeGreaterThanOrEqual(before + 1000);
+
+    const definition = queue.handlers.get('evidence');
+    expect(queue.computeBackoff(1, definition)).toBe(1000);
+    expect(queue.computeBackoff(2, definition)).toBe(2000);
+    expect(queue.computeBackoff(3, definition)).toBe(4000);
+    expect(queue.computeBackoff(30, definition)).toBe(definition.backoffMaxMs);
+  });
+
+  it('should dead-letter jobs after max attempts and allow re-queueing', async () => {
+    queue.register('evidence', async () => { throw new Error('tesseract crashed'); }, { maxAttempts: 1 });
+    const job = await queue.enqueue('evidence', { evidenceId: 'ev-4' });
+
+    await queue.tick();
+
+    const failed = await queue.listFailed('evidence');
+    expect(failed.map(j => j.id)).toContain(job.id);
+
+    const requeued = await queue.requeue(job.id);
+    expect(requeued.status).toBe('pending');
+    expect(requeued.attempts).toBe(0);
+    expect(await queue.listFailed('evidence')).toHaveLength(0);
+  });
+
+  it('should dead-letter immediately for non-retryable errors', async () => {
+    queue.register('evidence', async () => {
+      const err = new Error('not found');
+      err.retryable = false;
+      throw err;
+    }, { maxAttempts: 5 });
+    const job = await queue.enqueue('evidence', { evidenceId: 'missing' });
+
+    await queue.tick();
+
+    const stored = await queue.store.findById(job.id);
+    expect(stored.status).toBe('dead');
+    expect(stored.attempts).toBe(1);
+  });
+
+  it('should respect the concurrency limit per queue', async () => {
+    let running = 0;
+    let peak = 0;
+    queue.register('evidence', async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running -= 1;
+    }, { concurrency: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      await queue.enqueue('evidence', { evidenceId: `ev-${i}` });
+    }
+
+    await queue.tick();
+    expect(peak).toBe(2);
+
+    const pending = await queue.store.list({ queue: 'evidence', status: 'pending' });
+    expect(pending).toHaveLength(3);
+  });
+
+  it('should refuse to re-queue jobs that are not dead', async () => {
+    queue.register('evidence', async () => {});
+    const job = await queue.enqueue('evidence', { evidenceId: 'ev-5' });
+
+    await expect(queue.requeue(job.id)).rejects.toThrow(/only dead jobs/);
+  });
+});
@@ -0,0 +1,147 @@
+// Jurisdiction Tests - forum selection from subject matter, pecuniary limits,
+// territorial jurisdiction and per-state rule tables, with explanations
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const JurisdictionService = require('../src/services/JurisdictionService');
+const { JurisdictionService: JurisdictionServiceClass } = JurisdictionService;
+const CourtReferralService = require('../src/services/CourtReferralService');
+const PDFGenerationService = require('../src/services/PDFGenerationService');
+const DocumentTemplateService = require('../src/services/DocumentTemplateService');
+
+describe('Forum selection', () => {
+  const forumOf = (facts) => JurisdictionService.recommend(facts).forum.name;
+
+  test('consumer complaints go to the commission tier for the consideration paid', () => {
+    const locations = { respondent: 'Koramangala, Bengaluru 560034', complainant: 'Andheri East, Mumbai' };
+    const district = JurisdictionService.recommend({ caseType: 'consumer', claimAmount: 900000, considerationPaid: 800000, locations });
+
+    expect(district.forum).toMatchObject({
+      name: 'District Consumer Disputes Redressal Commission, Bengaluru Urban',
+      type: 'consumer_commission',
+      level: 'district',
+      jurisdictionCode: 'IN-KA'
+    });
+    expect(district.territorial).toMatchObject({ role: 'respondent', district: 'Bengaluru Urban' });
+    expect(district.territorial.otherPlaces).toEqual([{ role: 'complainant', location: 'Andheri East, Mumbai', jurisdiction: 'Maharashtra', district: 'Mumbai Suburban' }]);
+    expect(district.alternatives.map(a => a.name)).toEqual(['City Civil Court, Bengaluru']);
+    expect(district.explanation.join(' ')).toMatch(/Consideration paid ₹8,00,000: District Consumer.*up to ₹50 lakh/);
+
+    expect(forumOf({ caseType: 'consumer', considerationPaid: 7500000, locations })).toBe('Karnataka State Consumer Disputes Redressal Commission');
+    expect(forumOf({ caseType: 'consumer', considerationPaid: 25000000, locations })).toBe('National Consumer Disputes Redressal Commission, New Delhi');
+  });
+
+  test('civil pecuniary limits come from the state where the suit lies', () => {
+    expect(forumOf({ caseType: 'contract', claimAmount: 250000, locations: { respondent: 'Saket, New Delhi' } })).toBe('Civil Judge, South Delhi District Court');
+    expect(forumOf({ caseType: 'contract', claimAmount: 5000000, locations: { respondent: 'Saket, New Delhi' } })).toBe('District Judge, South Delhi District Court');
+    expect(forumOf({ caseType: 'contract', claimAmount: 25000000, locations: { respondent: 'Saket, New Delhi' } })).toBe('High Court of Delhi (Original Side)');
+
+    // the Karnataka High Court has no original civil jurisdiction
+    expect(forumOf({ caseType: 'contract', claimAmount: 25000000, locations: { respondent: 'Mysore' } })).toBe('Senior Civil Judge, Mysuru');
+    expect(forumOf({ caseType: 'contract', claimAmount: 5000000, locations: { respondent: 'Bandra West, Mumbai' } })).toBe('Bombay City Civil Court, Mumbai');
+    expect(forumOf({ caseType: 'contract', claimAmount: 5000000, locations: { respondent: 'Kothrud, Pune' } })).toBe('Civil Judge (Senior Division), Pune');
+  });
+
+  test('special tribunals apply only within their own limits', () => {
+    const delhiTenancy = JurisdictionService.recommend({ caseType: 'tenancy', claimAmount: 200000, monthlyRent: 45000, locations: { property: 'Lajpat Nagar, Delhi' } });
+    expect(delhiTenancy.forum.name).toBe('Civil Judge, South East Delhi District Court');
+    expect(delhiTenancy.explanation.join(' ')).toContain('Rent Controller, South East Delhi only for monthly rent up to ₹3,500 (here ₹45,000)');
+
+    expect(forumOf({ caseType: 'tenancy', monthlyRent: 3000, locations: { property: 'Lajpat Nagar, Delhi' } })).toBe('Rent Controller, South East Delhi');
+    expect(forumOf({ caseType: 'tenancy', locations: { property: 'Dadar, Mumbai' } })).toBe('Court of Small Causes, Mumbai');
+
+    const labour = JurisdictionService.recommend({ description: 'Wrongful termination of a machine operator', claimAmount: 300000, locations: { workplace: 'Hinjewadi, Pune' } });
+    expect(labour.forum.name).toBe('Labour Court, Pune');
+    expect(labour.alternatives.map(a => a.name)).toEqual(['Civil Judge (Junior Division), Pune']);
+    expect(labour.explanation).toContain('Only workmen (s. 2(s)) can go to the Labour Court; managerial and supervisory staff sue in the civil court');
+  });
+
+  test('property suits lie where the property is, and missing facts are flagged', () => {
+    const property = JurisdictionService.recommend({ caseType: 'property', claimAmount: 1000000, locations: { respondent: 'Saket, New Delhi', property: 'Whitefield, Bengaluru' } });
+    expect(property.forum.name).toBe('City Civil Court, Bengaluru');
+    expect(property.territorial.basis).toMatch(/s\. 16/);
+
+    const unplaced = JurisdictionService.recommend({ caseType: 'consumer', claimAmount: 100000, jurisdiction: 'Maharashtra', locations: { respondent: 'Sector 5' } });
+    expect(unplaced.forum.name).toBe('District Consumer Disputes Redressal Commission, Maharashtra (district to be confirmed)');
+    expect(unplaced.warnings).toEqual([
+      'The district within Maharashtra could not be identified from "Sector 5".',
+      'The consideration paid is not recorded; the claim amount was used for the pecuniary limit instead.'
+    ]);
+  });
+});
+
+describe('Jurisdiction rule tables', () => {
+  let dir;
+
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), JSON.stringify(content));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jurisdictions-'));
+    fs.copyFileSync(path.join(__dirname, '../jurisdictions/IN.json'), path.join(dir, 'IN.json'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('a state table replaces the national one for its subject', () => {
+    write('IN-GA.json', {
+      code: 'IN-GA',
+      name: 'Goa',
+      extends: 'IN',
+      aliases: ['goa'],
+      places: [{ name: 'North Goa', aliases: ['panaji', 'mapusa'] }],
+      forums: { small_claims: { name: 'Small Claims Court, {district}', type: 'civil_court', level: 'district' } },
+      tables: {
+        civil: {
+          tiers: [
+            { forum: 'small_claims', upTo: 100000, basis: 'Claims up to ₹1 lakh' },
+            { forum: 'civil_court' }
+          ]
+        }
+      }
+    });
+    const service = new JurisdictionServiceClass({ dir });
+
+    expect(service.recommend({ caseType: 'civil', claimAmount: 40000, locations: { respondent: 'Panaji' } }).forum.name).toBe('Small Claims Court, North Goa');
+    expect(service.recommend({ caseType: 'civil', claimAmount: 400000, locations: { respondent: 'Mapusa, Goa' } }).forum.name).toBe('Civil Court, North Goa');
+    // inherited national tables still apply
+    expect(service.recommend({ caseType: 'consumer', considerationPaid: 40000, locations: { respondent: 'Panaji' } }).forum.name)
+      .toBe('District Consumer Disputes Redressal Commission, North Goa');
+  });
+
+  test('tables that name unknown forums or subjects are rejected', () => {
+    write('IN-GA.json', { code: 'IN-GA', extends: 'IN', tables: { civil: { tiers: [{ forum: 'missing_court' }] } } });
+    expect(() => new JurisdictionServiceClass({ dir }).load()).toThrow('tables.civil uses unknown forum "missing_court"');
+
+    write('IN-GA.json', { code: 'IN-GA', extends: 'IN', tables: { rent: { tiers: [], fallback: 'tenancy' } } });
+    expect(() => new JurisdictionServiceClass({ dir }).load()).toThrow('refers to unknown subject "tenancy"');
+
+    write('IN-GA.json', { code: 'IN-GA', extends: 'IN', tables: { civil: { tiers: [{ forum: 'civil_court', upTo: '3 lakh' }] } } });
+    expect(() => new JurisdictionServiceClass({ dir }).load()).toThrow('upTo must be a non-negative number');
+  });
+});
+
+describe('Court referral court selection', () => {
+  // let the services' startup work finish inside the test run
+  beforeAll(() => Promise.all([CourtReferralService.init(), PDFGenerationService.init(), DocumentTemplateService.init()]));
+
+  test('uses the rules engine with case metadata for locations and value', async () => {
+    const { court, reasoning, alternativeCourts } = await CourtReferralService.determineAppropriateCourt({
+      case_type: 'consumer',
+      description: 'Refund refused for a defective refrigerator bought for Rs. 85,000',
+      jurisdiction: 'Karnataka',
+      defender_address: '12 MG Road, Bengaluru',
+      metadata: { consideration_paid: 85000 }
+    });
+
+    expect(court).toMatchObject({
+      name: 'District Consumer Disputes Redressal Commission, Bengaluru Urban',
+      type: 'consumer_commission',
+      jurisdiction: 'Karnataka',
+      location: 'Bengaluru Urban'
+    });
+    expect(reasoning).toMatch(/^Subject matter: consumer/);
+    expect(alternativeCourts.map(c => c.name)).toEqual(['City Civil Court, Bengaluru']);
+    expect(CourtReferralService.getCourtSpecificRequirements(court).specific).toContain('Consumer complaint format');
+    expect(JurisdictionService.factsFromCase({ description: 'Paid Rs. 2,50,000 and ₹ 40000 later' }).claimAmount).toBe(250000);
+  });
+});
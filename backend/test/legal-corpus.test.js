@@ -0,0 +1,154 @@
+// Legal Corpus Tests - chunking, retrieval, citation matching and grounding
+// of precedent research against the seed corpus in backend/corpus
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { LegalCorpusService, chunkText, parsePlainText, provisionIds } = require('../src/services/LegalCorpusService');
+
+describe('Legal corpus', () => {
+  const corpus = new LegalCorpusService({ dir: path.join(__dirname, '../corpus') });
+
+  test('splits long passages into overlapping chunks', () => {
+    const words = Array.from({ length: 250 }, (_, i) => `w${i}`).join(' ');
+    const chunks = chunkText(words, { size: 100, overlap: 20 });
+
+    expect(chunks).toHaveLength(3);
+    expect(chunks[1].startsWith('w80 ')).toBe(true);
+    expect(chunks[2].endsWith('w249')).toBe(true);
+    expect(chunkText('short passage')).toEqual(['short passage']);
+  });
+
+  test('reads provision references the way they are usually cited', () => {
+    expect(provisionIds('Section 2(11), Consumer Protection Act')).toEqual(['s211', 's2']);
+    expect(provisionIds('Order XXIII Rule 3 CPC')).toEqual(['o23r3']);
+    expect(provisionIds('O. 10 R. 1A')).toEqual(['o10r1a']);
+    expect(provisionIds('u/s 74 of the Contract Act')).toEqual(['s74']);
+  });
+
+  test('retrieves passages for case facts with source ids and excerpts', () => {
+    const results = corpus.retrieve('liquidated damages named in the contract, no proof of actual loss');
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.map(r => r.source_id)).toEqual(expect.arrayContaining(['ica-1872:s74']));
+    expect(results[0].excerpt).toMatch(/<mark>/);
+    expect(new Set(results.map(r => r.source_id)).size).toBe(results.length);
+    expect(corpus.retrieve('contract', { type: 'judgment' }).every(r => r.type === 'judgment')).toBe(true);
+  });
+
+  test('quotes a verbatim sentence close to what the citation is relied on for', () => {
+    const quote = corpus.quote('sc-2015-kailash-nath:held', 'damage must be proved where it is capable of proof');
+
+    expect(corpus.getPassage('sc-2015-kailash-nath:held').text).toContain(quote);
+    expect(quote).toMatch(/capable of proof/);
+  });
+
+  test('matches citations by source id, reporter citation, party names and section', () => {
+    expect(corpus.resolveCitation({ source_id: 'cpc-1908:s89' })).toEqual({ sourceId: 'cpc-1908:s89', matchedBy: 'source_id' });
+    expect(corpus.resolveCitation({ case_name: 'ONGC v. Saw Pipes', citation: '(2003) 5 SCC 705' }).matchedBy).toBe('citation');
+    expect(corpus.resolveCitation({ case_name: 'Lucknow Development Authority v. M. K. Gupta', citation: '1994 SCC (1) 243' }))
+      .toMatchObject({ sourceId: expect.stringMatching(/^sc-1993-lda-mk-gupta:/), matchedBy: 'case_name' });
+    expect(corpus.resolveCitation({ provision: 'Section 69, Consumer Protection Act, 2019' }).sourceId).toBe('cpa-2019:s69');
+  });
+
+  test('flags authorities that are not in the corpus', () => {
+    expect(corpus.resolveCitation({ case_name: 'Smith v. Jones', citation: '(2022) 3 SCC 1' }).flag).toBe('not_in_corpus');
+    // same party words on one side only is not the same case
+    expect(corpus.resolveCitation({ case_name: 'Delhi Bar Association v. Union of India' }).flag).toBe('not_in_corpus');
+    // the 1986 Act is not the 2019 Act in the corpus
+    expect(corpus.resolveCitation({ provision: 'Section 24A, Consumer Protection Act, 1986' }).flag).toBe('not_in_corpus');
+    expect(corpus.resolveCitation({ provision: 'Section 99, Indian Contract Act' }))
+      .toEqual({ sourceId: null, documentId: 'ica-1872', flag: 'provision_not_in_corpus' });
+    expect(corpus.resolveCitation({ source_id: 'sc-2099-made-up:held' }).flag).toBe('unknown_source_id');
+  });
+
+  test('grounds precedent research output and summarises the check', () => {
+    const grounded = corpus.groundPrecedentResearch({
+      precedents: [
+        { source_id: 'sc-2010-afcons:held', case_name: 'Afcons Infrastructure v. Cherian Varkey', citation: '(2010) 8 SCC 24', relevance: 'court should consider ADR once pleadings are complete' },
+        { case_name: 'Smith v. Jones (2022)', citation: 'Smith v. Jones (2022)' }
+      ],
+      legal_principles: ['Courts encourage settlement'],
+      applicable_statutes: ['Section 89, Code of Civil Procedure, 1908']
+    });
+
+    expect(grounded.precedents[0]).toMatchObject({
+      verified: true,
+      source_id: 'sc-2010-afcons:held',
+      source: { citation: '(2010) 8 SCC 24', court: 'Supreme Court of India' }
+    });
+    expect(grounded.precedents[0].quoted_passage).toMatch(/pleadings are complete/);
+    expect(grounded.precedents[1]).toMatchObject({ verified: false, flag: 'not_in_corpus', source_id: null });
+    expect(grounded.statutes).toEqual([expect.objectContaining({ source_id: 'cpc-1908:s89', verified: true })]);
+    expect(grounded.unmatched_citations).toEqual([{ citation: 'Smith v. Jones (2022)', flag: 'not_in_corpus' }]);
+    expect(grounded.citation_check).toEqual({ total: 3, verified: 2, unmatched: 1 });
+  });
+
+  test('ingests a plain-text judgment into a corpus directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+    const source = path.join(dir, 'judgment.txt');
+    fs.writeFileSync(source, [
+      'id: hc-2020-example',
+      'type: judgment',
+      'title: Example Builders v. Residents Welfare Association',
+      'citation: 2020 SCC OnLine Del 1',
+      'aliases: example builders',
+      '---',
+      'The builder delayed possession by four years.',
+      '',
+      'Delay beyond the agreed date is a deficiency in service and interest is payable on the deposit.'
+    ].join('\n'));
+
+    try {
+      const local = new LegalCorpusService({ dir: path.join(dir, 'corpus') });
+      const { document } = local.ingestFile(source);
+
+      expect(document.passages.map(p => p.id)).toEqual(['p1', 'p2']);
+      expect(local.retrieve('deficiency interest on deposit')[0].source_id).toBe('hc-2020-example:p2');
+      expect(local.resolveCitation({ case_name: 'Example Builders v. RWA' }).sourceId).toMatch(/^hc-2020-example:/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects plain text without a header', () => {
+    expect(() => parsePlainText('Just a judgment body')).toThrow(/header/);
+    expect(() => parsePlainText('id: x\ntype: order\ntitle: X\n---\nBody')).toThrow(/type must be/);
+  });
+});
+
+describe('AdvancedAIService.findLegalPrecedents', () => {
+  const advancedAIService = require('../src/services/AdvancedAIService');
+
+  test('lists retrieved sources in the prompt and grounds the reply', async () => {
+    const generate = jest.spyOn(advancedAIService.structuredOutput, 'generate').mockResolvedValue({
+      data: {
+        precedents: [
+          { source_id: 'sc-2003-ongc-saw-pipes:held', case_name: 'ONGC v. Saw Pipes', citation: '(2003) 5 SCC 705' },
+          { case_name: 'Brown v. County', citation: '(2021) 2 SCC 9' }
+        ],
+        statutes: [{ source_id: 'ica-1872:s74', provision: 'Section 74', application: 'Agreed damages cap' }],
+        legal_principles: ['Genuine pre-estimates bind the parties']
+      },
+      provenance: { id: 'prov-1', model: 'test-model' }
+    });
+
+    try {
+      const result = await advancedAIService.findLegalPrecedents({
+        case_title: 'Late delivery of steel pipes',
+        case_type: 'contract_dispute',
+        case_description: 'Supplier delivered late; contract names liquidated damages for delay',
+        jurisdiction: 'Maharashtra'
+      });
+
+      const prompt = generate.mock.calls[0][1];
+      expect(prompt).toMatch(/\[ica-1872:s74\]/);
+      expect(result.retrieved_sources).toContain('ica-1872:s74');
+      expect(result.precedents.map(p => p.verified)).toEqual([true, false]);
+      expect(result.statutes[0].quoted_passage).toMatch(/reasonable compensation/);
+      expect(result.citation_check).toEqual({ total: 3, verified: 2, unmatched: 1 });
+      expect(result).toMatchObject({ model_used: 'test-model', provenance_id: 'prov-1' });
+    } finally {
+      generate.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,185 @@
+// Multilingual Tests - script-based language detection, statement
+// translations with the original kept authoritative, reading preferences,
+// localized templates and fonts for settlement documents
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { detectLanguage, nonLatinScripts } = require('../src/lib/languages');
+const pdfFonts = require('../src/lib/pdfFonts');
+const { supabase } = require('../src/lib/supabaseClient');
+const { TranslationService } = require('../src/services/TranslationService');
+const TranslationServiceInstance = require('../src/services/TranslationService');
+const StatementService = require('../src/services/StatementService');
+const SettlementDocumentService = require('../src/services/SettlementDocumentService');
+const DocumentTemplateService = require('../src/services/DocumentTemplateService');
+const { DocumentSigningService } = require('../src/services/DocumentSigningService');
+const { NotificationPreferenceService } = require('../src/services/NotificationPreferenceService');
+const { FileNotificationPreferenceStore } = require('../src/lib/notificationPreferenceStore');
+
+const TELUGU = 'నేను ఫిబ్రవరిలో 50,000 రూపాయలు చెల్లించాను కానీ సరుకు రాలేదు. Invoice 42 చూడండి.';
+const HINDI = 'मैंने फरवरी में पचास हज़ार रुपये दिए लेकिन माल नहीं आया।';
+const TAMIL = 'நான் பிப்ரவரியில் ஐம்பதாயிரம் ரூபாய் செலுத்தினேன்.';
+
+describe('Language detection', () => {
+  test('tells Indian languages apart by their script', () => {
+    expect(detectLanguage(HINDI)).toMatchObject({ language: 'hi', script: 'devanagari' });
+    expect(detectLanguage(TAMIL)).toMatchObject({ language: 'ta', script: 'tamil', confidence: 1 });
+    expect(detectLanguage('The goods were never delivered.')).toMatchObject({ language: 'en', script: 'latin', confidence: 1 });
+    expect(detectLanguage('12,000 / 42')).toEqual({ language: 'en', script: 'latin', confidence: 0 });
+  });
+
+  test('a statement mostly in Telugu is Telugu despite English words', () => {
+    const result = detectLanguage(TELUGU);
+    expect(result).toMatchObject({ language: 'te', script: 'telugu' });
+    expect(result.confidence).toBeGreaterThan(0.8);
+    expect(nonLatinScripts(TELUGU)).toEqual(['telugu']);
+  });
+});
+
+describe('Statement translations', () => {
+  let ai;
+  let translator;
+  let updates;
+
+  beforeEach(() => {
+    ai = { generate: jest.fn(async () => ({ content: ' I paid 50,000 rupees in February but the goods never came. See invoice 42. ', provider: 'fixture', model: 'test' })) };
+    translator = new TranslationService({ ai, now: () => new Date('2026-03-01T00:00:00Z') });
+    updates = [];
+    jest.spyOn(TranslationServiceInstance, 'translate').mockImplementation((text, options) => translator.translate(text, options));
+    jest.spyOn(supabase, 'from').mockImplementation(() => ({
+      update: (row) => ({ eq: async (column, id) => { updates.push({ id, row }); return { error: null }; } })
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('translations record their source and come back trimmed', async () => {
+    const translation = await translator.translate(TELUGU, { from: 'te', to: 'en' });
+
+    expect(translation).toMatchObject({
+      text: 'I paid 50,000 rupees in February but the goods never came. See invoice 42.',
+      from: 'te',
+      to: 'en',
+      provider: 'fixture',
+      translatedAt: '2026-03-01T00:00:00.000Z'
+    });
+    expect(ai.generate.mock.calls[0][0][0].content).toContain('from Telugu to English');
+    expect(translator.isCurrent(translation, TELUGU)).toBe(true);
+    expect(translator.isCurrent(translation, `${TELUGU} (edited)`)).toBe(false);
+
+    expect(await translator.translate('Same', { from: 'en', to: 'en' })).toMatchObject({ text: 'Same', provider: null });
+    await expect(translator.translate('x', { from: 'en', to: 'xx' })).rejects.toMatchObject({ status: 400, code: 'unsupported_language' });
+  });
+
+  test('a translation is made once, saved, and given to the AI with the original as authority', async () => {
+    const statement = { id: 'st-1', content: TELUGU, language: 'te', translations: {} };
+
+    await StatementService.withAnalysisTranslations([statement]);
+    await StatementService.withAnalysisTranslations([statement]);
+
+    expect(ai.generate).toHaveBeenCalledTimes(1);
+    expect(updates).toEqual([{ id: 'st-1', row: { translations: { en: expect.objectContaining({ text: expect.stringContaining('invoice 42') }) } } }]);
+
+    const text = StatementService.analysisText(statement);
+    expect(text).toMatch(/^\[Written in Telugu\..*The original is authoritative/);
+    expect(text.indexOf('I paid 50,000')).toBeLessThan(text.indexOf(TELUGU));
+    expect(text).toContain('--- Original (Telugu) ---');
+
+    // English statements go in unchanged
+    expect(StatementService.analysisText({ content: 'Plain English', language: 'en' })).toBe('Plain English');
+  });
+
+  test('readers get a labelled machine translation, or the original when translation fails', async () => {
+    const statement = { id: 'st-2', content: HINDI, language: 'hi', translations: '{}' };
+
+    expect(await StatementService.readerTranslation(statement, 'en')).toEqual({
+      language: 'en',
+      from: 'hi',
+      text: expect.any(String),
+      machineTranslated: true,
+      translatedAt: '2026-03-01T00:00:00.000Z'
+    });
+    expect(await StatementService.readerTranslation(statement, 'hi')).toBeNull();
+
+    ai.generate.mockRejectedValueOnce(new Error('provider down'));
+    expect(await StatementService.readerTranslation(statement, 'ta')).toEqual({ language: 'ta', error: 'translation_unavailable' });
+    expect(statement.content).toBe(HINDI);
+  });
+});
+
+describe('Reading language preference', () => {
+  let dir;
+  let preferences;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'language-prefs-'));
+    preferences = new NotificationPreferenceService({ store: new FileNotificationPreferenceStore(path.join(dir, 'prefs.json')) });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('defaults to English and accepts only supported languages', async () => {
+    expect(await preferences.languageOf('u-1')).toBe('en');
+    expect(await preferences.update('u-1', { language: 'te' })).toMatchObject({ language: 'te', timezone: 'Asia/Kolkata' });
+    expect(await preferences.languageOf('u-1')).toBe('te');
+    await expect(preferences.update('u-1', { language: 'klingon' })).rejects.toMatchObject({ status: 400, code: 'invalid_language' });
+  });
+});
+
+describe('Localized documents', () => {
+  let dir;
+  const originalFontsDir = process.env.PDF_FONTS_DIR;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localized-docs-'));
+    process.env.PDF_FONTS_DIR = path.join(dir, 'fonts');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalFontsDir === undefined) delete process.env.PDF_FONTS_DIR;
+    else process.env.PDF_FONTS_DIR = originalFontsDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('templates use the localized version when there is one', async () => {
+    const templates = Object.assign(Object.create(DocumentTemplateService), { templatesDir: dir });
+    fs.writeFileSync(path.join(dir, 'notice.html'), '<p>Notice for {{party}}</p>');
+    await templates.createTemplate('notice', '<p>{{party}} के लिए सूचना</p>', 'hi');
+
+    expect(await templates.renderTemplate('notice', { party: 'Asha' }, { language: 'hi' }))
+      .toMatchObject({ html: '<p>Asha के लिए सूचना</p>', language: 'hi' });
+    expect(await templates.renderTemplate('notice', { party: 'Asha' }, { language: 'te' }))
+      .toMatchObject({ html: '<p>Notice for Asha</p>', language: 'en', requestedLanguage: 'te' });
+  });
+
+  test('settlement agreements leave out translations whose font is not installed', async () => {
+    fs.mkdirSync(path.join(dir, 'fonts'));
+    fs.writeFileSync(path.join(dir, 'fonts', pdfFonts.FONT_FILES.tamil), 'font bytes');
+    const translate = jest.spyOn(TranslationServiceInstance, 'translate')
+      .mockImplementation(async (text, { to }) => ({ text: `[${to}] ${text}`, provider: 'fixture', model: 'test' }));
+
+    const { translations, omitted } = await SettlementDocumentService.translateDocument('AGREEMENT', ['en', 'ta', 'te', 'zz']);
+
+    expect(translations).toEqual([{ language: 'ta', text: '[ta] AGREEMENT', provider: 'fixture', model: 'test' }]);
+    expect(omitted).toEqual([{ language: 'te', reason: 'font_missing' }, { language: 'zz', reason: 'unsupported_language' }]);
+    expect(translate).toHaveBeenCalledTimes(1);
+    expect(pdfFonts.missingFonts(`${TAMIL} ${TELUGU}`)).toEqual(['telugu']);
+  });
+
+  test('signature pages fall back to WinAnsi for names whose font is missing', async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage([595, 842]);
+    const pdf = Buffer.from(await doc.save({ useObjectStreams: false }));
+    const signing = new DocumentSigningService({ dir });
+
+    const { bytes, slots } = await signing.prepareDocument(pdf, {
+      title: 'समझौता - Case 42',
+      signers: [{ userId: 'u-1', name: 'आशा राव', role: 'complainant' }, { userId: 'u-2', name: 'Vikram Shah', role: 'respondent' }]
+    });
+
+    expect(slots).toHaveLength(2);
+    expect((await PDFDocument.load(bytes)).getPageCount()).toBe(2);
+  });
+});
@@ -0,0 +1,171 @@
+// Notification Digest Tests - scheduling in the user's time zone, grouping,
+// tracking of included items and suppression of individual emails
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { FileNotificationPreferenceStore } = require('../src/lib/notificationPreferenceStore');
+const { FileNotificationDigestStore } = require('../src/lib/notificationDigestStore');
+const { NotificationPreferenceService } = require('../src/services/NotificationPreferenceService');
+const { NotificationDigestService } = require('../src/services/NotificationDigestService');
+const { NotificationRoutingService } = require('../src/services/NotificationRoutingService');
+
+describe('Notification digests', () => {
+  let dir;
+  let preferences;
+  let notifications;
+  let email;
+  let service;
+  let now;
+
+  const row = (id, caseId, type, createdAt, extra = {}) => ({
+    notification_id: id,
+    user_id: 'u-1',
+    case_id: caseId,
+    notification_type: type,
+    title: `${type} ${id}`,
+    message: `Message ${id}`,
+    priority: 'medium',
+    is_read: false,
+    created_at: createdAt,
+    ...extra
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-digests-'));
+    process.env.FRONTEND_URL = 'https://app.example.com';
+    preferences = new NotificationPreferenceService({ store: new FileNotificationPreferenceStore(path.join(dir, 'prefs.json')) });
+    notifications = [];
+    email = { sendNotificationDigest: jest.fn().mockResolvedValue({ messageId: 'd-1' }) };
+    now = new Date('2026-03-10T03:00:00Z'); // 08:30 in Kolkata, a Tuesday
+    service = new NotificationDigestService({
+      store: new FileNotificationDigestStore(path.join(dir, 'digests.json')),
+      preferences,
+      email,
+      notifications: {
+        listUnread: async (userId, before) => notifications.filter(n => n.user_id === userId && !n.is_read && new Date(n.created_at) <= before)
+      },
+      cases: {
+        describe: async (ids) => new Map(ids.map(id => [id, { id, title: `Dispute ${id}`, case_number: `C-${id}` }]))
+      },
+      users: { findById: async (id) => ({ id, email: `${id}@example.com` }) },
+      now: () => now
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.FRONTEND_URL;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const subscribe = async (digest) => {
+    await preferences.update('u-1', { digest });
+    // back-date the subscription so the current slot is due
+    const store = preferences.store;
+    const state = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+    state['u-1'].updated_at = '2026-01-01T00:00:00.000Z';
+    fs.writeFileSync(store.filePath, JSON.stringify(state));
+    return preferences.get('u-1');
+  };
+
+  test('finds the latest daily and weekly slot in the user time zone', async () => {
+    const daily = { timezone: 'Asia/Kolkata', digest: { frequency: 'daily', time: '08:00', weekday: 1 } };
+    expect(service.dueSlot(daily, new Date('2026-03-10T03:00:00Z')).toISOString()).toBe('2026-03-10T02:30:00.000Z');
+    expect(service.dueSlot(daily, new Date('2026-03-10T02:00:00Z')).toISOString()).toBe('2026-03-09T02:30:00.000Z');
+
+    // Monday 08:00 in New York; 2026-03-10 is a Tuesday, after the DST change
+    const weekly = { timezone: 'America/New_York', digest: { frequency: 'weekly', time: '08:00', weekday: 1 } };
+    expect(service.dueSlot(weekly, new Date('2026-03-10T15:00:00Z')).toISOString()).toBe('2026-03-09T12:00:00.000Z');
+    expect(service.dueSlot(weekly, new Date('2026-03-09T11:00:00Z')).toISOString()).toBe('2026-03-02T13:00:00.000Z');
+  });
+
+  test('groups unread notifications by case, deadlines first, with deep links', async () => {
+    notifications.push(
+      row('n-1', 'case-a', 'case_update', '2026-03-09T10:00:00Z', { action_url: '/cases/case-a/timeline' }),
+      row('n-2', 'case-b', 'proposal_received', '2026-03-09T12:00:00Z'),
+      row('n-3', 'case-a', 'deadline_approaching', '2026-03-09T08:00:00Z'),
+      row('n-4', null, 'system_alert', '2026-03-09T13:00:00Z'),
+      row('n-5', 'case-b', 'proposal_received', '2026-03-10T02:45:00Z')
+    );
+
+    const digest = await service.build('u-1', { dueAt: new Date('2026-03-10T02:30:00Z') });
+
+    expect(digest).toMatchObject({ itemCount: 4, caseCount: 2, deadlineCount: 1 });
+    expect(digest.groups.map(g => g.title)).toEqual(['Dispute case-a', 'Dispute case-b', 'General']);
+    expect(digest.groups[0].items.map(i => i.id)).toEqual(['n-3', 'n-1']);
+    expect(digest.groups[0]).toMatchObject({ caseNumber: 'C-case-a', url: 'https://app.example.com/cases/case-a' });
+    expect(digest.groups[0].items[1].url).toBe('https://app.example.com/cases/case-a/timeline');
+    expect(digest.groups[2].items[0].url).toBe('https://app.example.com/notifications');
+  });
+
+  test('sends each digest once and does not repeat items already summarised', async () => {
+    const prefs = await subscribe({ frequency: 'daily', time: '08:00' });
+    notifications.push(row('n-1', 'case-a', 'proposal_received', '2026-03-09T10:00:00Z'));
+
+    const [first] = await service.runDue();
+    expect(first).toMatchObject({ status: 'sent', due_at: '2026-03-10T02:30:00.000Z', notification_ids: ['n-1'], item_count: 1 });
+    expect(email.sendNotificationDigest).toHaveBeenCalledWith('u-1@example.com', expect.objectContaining({ itemCount: 1 }));
+
+    // same slot again, e.g. another instance or the next poll
+    expect(await service.runDue()).toEqual([]);
+    expect(await service.runForUser(prefs)).toBeNull();
+
+    // next day: n-1 is still unread but was already in yesterday's digest
+    notifications.push(row('n-2', 'case-a', 'deadline_approaching', '2026-03-10T09:00:00Z'));
+    now = new Date('2026-03-11T03:00:00Z');
+    const [second] = await service.runDue();
+    expect(second).toMatchObject({ status: 'sent', notification_ids: ['n-2'], period_start: '2026-03-10T02:30:00.000Z' });
+    expect(email.sendNotificationDigest).toHaveBeenCalledTimes(2);
+  });
+
+  test('records empty digests without mailing and retries items of failed ones', async () => {
+    await subscribe({ frequency: 'daily', time: '08:00' });
+
+    const [empty] = await service.runDue();
+    expect(empty).toMatchObject({ status: 'empty', item_count: 0 });
+    expect(email.sendNotificationDigest).not.toHaveBeenCalled();
+
+    notifications.push(row('n-1', 'case-a', 'proposal_received', '2026-03-10T05:00:00Z'));
+    email.sendNotificationDigest.mockRejectedValueOnce(new Error('SMTP down'));
+    now = new Date('2026-03-11T03:00:00Z');
+    const [failed] = await service.runDue();
+    expect(failed).toMatchObject({ status: 'failed', last_error: 'SMTP down' });
+
+    now = new Date('2026-03-12T03:00:00Z');
+    const [retried] = await service.runDue();
+    expect(retried).toMatchObject({ status: 'sent', notification_ids: ['n-1'] });
+  });
+
+  test('a new subscriber starts with the next slot', async () => {
+    await preferences.update('u-1', { digest: { frequency: 'daily', time: '08:00' } });
+    notifications.push(row('n-1', 'case-a', 'proposal_received', '2026-03-09T10:00:00Z'));
+
+    expect(await service.runDue(new Date())).toEqual([]);
+  });
+
+  test('digest subscribers get no individual email unless it is urgent', async () => {
+    await subscribe({ frequency: 'weekly', time: '09:00', weekday: 5 });
+    await preferences.update('u-1', { quiet_hours: { enabled: false } });
+    const mailer = { sendEmail: jest.fn().mockResolvedValue({}) };
+    const routing = new NotificationRoutingService({
+      preferences,
+      email: mailer,
+      sms: { sendSMS: jest.fn().mockResolvedValue({}) },
+      inbox: { storeNotification: async (fields) => ({ notification_id: 'n-9', ...fields }) },
+      users: { findById: async (id) => ({ id, email: 'u-1@example.com', phone: null }) },
+      queue: { enqueue: jest.fn() }
+    });
+
+    const routine = await routing.dispatch({ userId: 'u-1', type: 'proposal_received', title: 'Offer', message: 'New offer' });
+    const urgent = await routing.dispatch({ userId: 'u-1', type: 'proposal_received', priority: 'urgent', title: 'Offer', message: 'Final offer' });
+
+    expect(routine.deliveries.email).toEqual({ status: 'digest', frequency: 'weekly' });
+    expect(urgent.deliveries.email).toEqual({ status: 'sent' });
+    expect(mailer.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects invalid digest settings', async () => {
+    await expect(preferences.update('u-1', { digest: { frequency: 'hourly' } })).rejects.toMatchObject({ status: 400, code: 'invalid_digest' });
+    await expect(preferences.update('u-1', { digest: { weekday: 7 } })).rejects.toMatchObject({ code: 'invalid_digest' });
+    await expect(preferences.update('u-1', { digest: { time: '8am' } })).rejects.toMatchObject({ code: 'invalid_digest' });
+  });
+});
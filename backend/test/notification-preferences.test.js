@@ -0,0 +1,170 @@
+// Notification Preference Tests - channel maps, quiet hours in the user's time
+// zone and the routing engine, with file stores in a temp directory
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const Case = require('../src/models/Case');
+const { JobQueue, FileJobStore } = require('../src/lib/jobQueue');
+const { FileNotificationPreferenceStore } = require('../src/lib/notificationPreferenceStore');
+const { NotificationPreferenceService } = require('../src/services/NotificationPreferenceService');
+const { NotificationRoutingService, DELIVERY_QUEUE } = require('../src/services/NotificationRoutingService');
+const { WhatsAppService } = require('../src/services/WhatsAppService');
+const NotificationRouting = require('../src/services/NotificationRoutingService');
+const { TimerManagementService } = require('../src/services/TimerManagementService');
+
+describe('Notification preferences and routing', () => {
+  let dir;
+  let preferences;
+  let routing;
+  let queue;
+  let email;
+  let sms;
+  let whatsapp;
+  let inbox;
+  let now;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-prefs-'));
+    preferences = new NotificationPreferenceService({
+      store: new FileNotificationPreferenceStore(path.join(dir, 'prefs.json')),
+      defaultTimezone: 'Asia/Kolkata'
+    });
+    queue = new JobQueue({ store: new FileJobStore(path.join(dir, 'jobs.json')) });
+    email = { sendEmail: jest.fn().mockResolvedValue({ messageId: 'e-1' }), sendStatementDeadlineReminder: jest.fn().mockResolvedValue({}) };
+    sms = { sendSMS: jest.fn().mockResolvedValue({ messageId: 's-1' }), sendStatementDeadlineReminder: jest.fn().mockResolvedValue({}) };
+    whatsapp = new WhatsAppService({ outboxFile: path.join(dir, 'whatsapp.json') });
+    inbox = { storeNotification: jest.fn(async (fields) => ({ notification_id: 'n-1', ...fields })) };
+    now = new Date('2026-01-15T03:30:00Z');
+    routing = new NotificationRoutingService({
+      preferences,
+      email,
+      sms,
+      whatsapp,
+      inbox,
+      queue,
+      users: {
+        findById: async (id) => ({ id, email: `${id}@example.com`, phone: '+919800000001' }),
+        findByEmail: async (address) => (address === 'u-1@example.com' ? { id: 'u-1', email: address, phone: null } : null)
+      },
+      now: () => now
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('quiet hours that span midnight are read in the user time zone', async () => {
+    const prefs = await preferences.update('u-1', {
+      timezone: 'America/New_York',
+      quiet_hours: { enabled: true, start: '22:00', end: '07:00' }
+    });
+
+    // 22:30 and 06:30 in New York both end at 07:00 EST (12:00Z) on the 15th
+    expect(preferences.quietHoursEnd(prefs, new Date('2026-01-15T03:30:00Z')).toISOString()).toBe('2026-01-15T12:00:00.000Z');
+    expect(preferences.quietHoursEnd(prefs, new Date('2026-01-15T11:30:00Z')).toISOString()).toBe('2026-01-15T12:00:00.000Z');
+    expect(preferences.quietHoursEnd(prefs, new Date('2026-01-15T15:00:00Z'))).toBeNull();
+    expect(preferences.quietHoursEnd({ ...prefs, quiet_hours: { ...prefs.quiet_hours, enabled: false } }, new Date('2026-01-15T03:30:00Z'))).toBeNull();
+  });
+
+  test('holds email and SMS until quiet hours end but stores the in-app notification', async () => {
+    // 09:00 in Kolkata (default zone) is outside the default 22:00-07:00 window
+    now = new Date('2026-01-15T03:30:00Z');
+    const awake = await routing.dispatch({ userId: 'u-1', type: 'deadline_approaching', priority: 'high', title: 'Deadline', message: 'Soon' });
+    expect(awake.deliveries).toEqual({ in_app: expect.objectContaining({ status: 'sent' }), email: { status: 'sent' }, sms: { status: 'sent' } });
+
+    // 23:30 in Kolkata
+    now = new Date('2026-01-15T18:00:00Z');
+    const { notification, deliveries } = await routing.dispatch({ userId: 'u-1', type: 'deadline_approaching', priority: 'high', title: 'Deadline', message: 'Soon', actionUrl: '/cases/c-1' });
+
+    expect(notification).toMatchObject({ notification_id: 'n-1', userId: 'u-1' });
+    expect(deliveries.email).toMatchObject({ status: 'deferred', runAt: '2026-01-16T01:30:00.000Z' });
+    expect(deliveries.sms.status).toBe('deferred');
+    expect(email.sendEmail).toHaveBeenCalledTimes(1);
+
+    const jobs = await queue.store.list({ queue: DELIVERY_QUEUE });
+    expect(jobs.map(j => j.run_at)).toEqual(['2026-01-16T01:30:00.000Z', '2026-01-16T01:30:00.000Z']);
+    const emailJob = jobs.find(j => j.payload.channel === 'email');
+    await routing.deliver(emailJob.payload);
+    expect(email.sendEmail).toHaveBeenLastCalledWith(expect.objectContaining({ to: 'u-1@example.com', subject: 'Deadline' }));
+  });
+
+  test('urgent notifications break through quiet hours', async () => {
+    now = new Date('2026-01-15T18:00:00Z');
+
+    const { deliveries } = await routing.dispatch({ userId: 'u-1', type: 'deadline_approaching', priority: 'urgent', title: 'Deadline', message: 'Now' });
+
+    expect(deliveries.email.status).toBe('sent');
+    expect(deliveries.sms.status).toBe('sent');
+    expect(await queue.store.list({ queue: DELIVERY_QUEUE })).toEqual([]);
+  });
+
+  test('delivers only on the channels the user chose for the type', async () => {
+    await preferences.update('u-1', {
+      channels: { proposal_received: ['whatsapp'] },
+      whatsapp_number: '+91 98000 00002',
+      quiet_hours: { enabled: false }
+    });
+
+    const { notification, deliveries } = await routing.dispatch({ email: 'u-1@example.com', type: 'proposal_received', title: 'New proposal', message: 'Case 42' });
+
+    expect(notification).toBeNull();
+    expect(deliveries).toEqual({ whatsapp: { status: 'sent' } });
+    expect(email.sendEmail).not.toHaveBeenCalled();
+    expect(inbox.storeNotification).not.toHaveBeenCalled();
+    expect(await whatsapp.outbox()).toEqual([expect.objectContaining({ to: '+91 98000 00002', body: 'New proposal: Case 42', status: 'stubbed' })]);
+  });
+
+  test('uses message templates, skips channels without an address and honours exclusions', async () => {
+    now = new Date('2026-01-15T06:00:00Z');
+    const reminder = { caseId: 'c-1', caseNumber: 'C-1', deadline: '2026-01-16T06:00:00.000Z' };
+
+    const { deliveries } = await routing.dispatch({
+      email: 'stranger@example.com',
+      type: 'deadline_approaching',
+      title: 'Deadline',
+      message: 'Soon',
+      exclude: ['sms'],
+      content: { email: { template: 'sendStatementDeadlineReminder', args: [reminder] } }
+    });
+
+    expect(deliveries).toEqual({ in_app: { status: 'skipped', reason: 'no_user' }, email: { status: 'sent' } });
+    expect(email.sendStatementDeadlineReminder).toHaveBeenCalledWith('stranger@example.com', reminder);
+    await expect(routing.deliver({ channel: 'email', to: 'x@example.com', content: { template: 'healthCheck' } })).rejects.toMatchObject({ retryable: false });
+  });
+
+  test('rejects unknown time zones, times, types and channels', async () => {
+    await expect(preferences.update('u-1', { timezone: 'Mars/Olympus' })).rejects.toMatchObject({ status: 400, code: 'invalid_timezone' });
+    await expect(preferences.update('u-1', { quiet_hours: { start: '25:00' } })).rejects.toMatchObject({ code: 'invalid_quiet_hours' });
+    await expect(preferences.update('u-1', { channels: { lunch_ready: ['email'] } })).rejects.toMatchObject({ code: 'invalid_notification_type' });
+    await expect(preferences.update('u-1', { channels: { case_update: ['pager'] } })).rejects.toMatchObject({ code: 'invalid_channel' });
+
+    const prefs = await preferences.get('u-1');
+    expect(prefs).toMatchObject({ timezone: 'Asia/Kolkata', quiet_hours: { enabled: true, start: '22:00', end: '07:00' } });
+    expect(prefs.channels.deadline_approaching).toEqual(['in_app', 'email', 'sms']);
+  });
+
+  test('timer reminders go through the routing engine, urgent near the deadline', async () => {
+    jest.spyOn(Case, 'findById').mockResolvedValue({
+      id: 'case-1', case_number: 'C-1', filed_by: 'u-1', filed_by_email: 'a@example.com', defender_email: 'b@example.com', defender_phone: '9800000003'
+    });
+    const dispatch = jest.spyOn(NotificationRouting, 'dispatch').mockResolvedValue({ notification: null, deliveries: {} });
+    const timers = new TimerManagementService({ store: { findActiveTimer: async () => null } });
+    const timerInfo = { deadline: new Date(Date.now() + 2 * 60 * 60 * 1000) };
+
+    await timers.sendReminder('case-1', 2, 'response', timerInfo);
+    await timers.sendReminder('case-1', 12, 'response', timerInfo);
+
+    expect(dispatch.mock.calls.map(([d]) => [d.userId, d.email, d.priority])).toEqual([
+      ['u-1', 'a@example.com', 'urgent'],
+      [null, 'b@example.com', 'urgent'],
+      ['u-1', 'a@example.com', 'high'],
+      [null, 'b@example.com', 'high']
+    ]);
+    expect(dispatch.mock.calls[0][0]).toMatchObject({
+      type: 'deadline_approaching',
+      content: { sms: { template: 'sendResponseDeadlineReminder' } }
+    });
+  });
+});
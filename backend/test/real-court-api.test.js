@@ -1,6 +1,7 @@
 const request = require('supertest');
 const app = require('../src/app');
 const jwt = require('jsonwebtoken');
+const AuthorizationService = require('../src/services/AuthorizationService');
 
 // Mock the RealCourtAPIService
 jest.mock('../src/services/RealCourtAPIService', () => ({
@@ -77,6 +78,20 @@ describe('Real Court API Integration System', () => {
       }, 
       process.env.JWT_SECRET || 'test-secret'
     );
+
+    // The test user filed testCaseId and administers the platform; filings
+    // are not in a database here, so they resolve to no case
+    const userIdOf = (user) => (user && typeof user === 'object' ? user.sub || user.id : user);
+    jest.spyOn(AuthorizationService, 'isAdmin').mockImplementation(user => userIdOf(user) === testUserId);
+    jest.spyOn(AuthorizationService, 'rolesFor').mockImplementation(async (user, caseId) => ({
+      exists: caseId === testCaseId,
+      roles: caseId === testCaseId && userIdOf(user) === testUserId ? ['complainant'] : []
+    }));
+    jest.spyOn(AuthorizationService, 'caseIdFor').mockResolvedValue(null);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
   });
 
   describe('POST /api/enhanced-court/file', () => {
@@ -0,0 +1,126 @@
+// Full-Text Search Tests - ranking, highlighting, filters and party scoping
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { FileSearchStore } = require('../src/lib/searchStore');
+const { SearchIndexService } = require('../src/services/SearchIndexService');
+
+describe('Full-Text Search', () => {
+  let dir;
+  let service;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+    service = new SearchIndexService({ store: new FileSearchStore(path.join(dir, 'index.json')) });
+    // user-1 is a party to case-a and case-b only
+    jest.spyOn(service, 'accessibleCaseIds').mockResolvedValue(['case-a', 'case-b']);
+
+    await service.index('case', {
+      id: 'case-a', case_number: 'ODR-101', title: 'Unpaid invoice for roofing work',
+      description: 'Contractor claims payment for roofing repairs', created_at: '2025-03-01T00:00:00Z'
+    });
+    await service.index('statement', {
+      id: 'st-1', case_id: 'case-a', party_role: 'respondent',
+      content: 'The roof still leaks after the repairs, so the invoice was withheld until the leak is fixed.',
+      submitted_at: '2025-03-05T00:00:00Z'
+    });
+    await service.index('evidence', {
+      id: 'ev-1', case_id: 'case-b', file_name: 'receipt.jpg',
+      ocr_text: 'RECEIPT Total paid 4,500 for plumbing services', created_at: '2025-04-10T00:00:00Z'
+    });
+    await service.index('generated_document', {
+      id: 'doc-1', case_id: 'case-b', title: 'Settlement agreement',
+      content: 'The parties agree to a settlement of the plumbing invoice in two installments.',
+      created_at: '2025-05-01T00:00:00Z'
+    });
+    await service.index('statement', {
+      id: 'st-other', case_id: 'case-z', party_role: 'claimant',
+      content: 'Invoice for roofing never paid', submitted_at: '2025-03-02T00:00:00Z'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should rank title matches first and only return cases the user is a party to', async () => {
+    const { results, pagination } = await service.search('user-1', { q: 'roofing invoice' });
+
+    expect(results.map(r => r.id)).toEqual(['case:case-a', 'statement:st-1']);
+    expect(results[0]).toMatchObject({ id: 'case:case-a', type: 'dispute', url: '/disputes/case-a' });
+    expect(results.some(r => r.metadata.case_id === 'case-z')).toBe(false);
+    expect(pagination).toEqual({ page: 1, pageSize: 20, total: results.length, totalPages: 1 });
+  });
+
+  it('should highlight stemmed matches in evidence OCR text', async () => {
+    const { results } = await service.search('user-1', { q: 'plumbed service' });
+    const receipt = results.find(r => r.id === 'evidence:ev-1');
+
+    expect(receipt.highlight).toBe('RECEIPT Total paid 4,500 for <mark>plumbing</mark> <mark>services</mark>');
+    expect(receipt.description).toBe('RECEIPT Total paid 4,500 for plumbing services');
+  });
+
+  it('should filter by source type and date range', async () => {
+    const documents = await service.search('user-1', { q: 'plumbing', types: ['generated_document'] });
+    expect(documents.results.map(r => r.id)).toEqual(['generated_document:doc-1']);
+    expect(documents.results[0].url).toBe('/documents/doc-1');
+
+    const april = await service.search('user-1', { q: 'plumbing', from: '2025-04-01', to: '2025-04-30' });
+    expect(april.results.map(r => r.id)).toEqual(['evidence:ev-1']);
+  });
+
+  it('should support excluded words and either-or queries', async () => {
+    const excluded = await service.search('user-1', { q: 'invoice -leak' });
+    expect(excluded.results.map(r => r.id).sort()).toEqual(['case:case-a', 'generated_document:doc-1']);
+
+    const either = await service.search('user-1', { q: 'leaks or receipt' });
+    expect(either.results.map(r => r.id).sort()).toEqual(['evidence:ev-1', 'statement:st-1']);
+  });
+
+  it('should paginate results', async () => {
+    const first = await service.search('user-1', { q: 'invoice', pageSize: 2 });
+    const second = await service.search('user-1', { q: 'invoice', pageSize: 2, page: 2 });
+
+    expect(first.pagination).toEqual({ page: 1, pageSize: 2, total: 3, totalPages: 2 });
+    expect(first.results).toHaveLength(2);
+    expect(second.results).toHaveLength(1);
+    expect(second.results[0].id).not.toEqual(first.results[0].id);
+  });
+
+  it('should replace a superseded statement version in the index', async () => {
+    await service.remove('statement', 'st-1');
+    await service.index('statement', {
+      id: 'st-2', case_id: 'case-a', party_role: 'respondent',
+      content: 'Amended: the gutter was also damaged.', submitted_at: '2025-03-06T00:00:00Z'
+    });
+
+    expect((await service.search('user-1', { q: 'leaks' })).results).toEqual([]);
+    expect((await service.search('user-1', { q: 'gutter' })).results.map(r => r.id)).toEqual(['statement:st-2']);
+  });
+
+  it('should keep statement drafts out of the index until they are finalized', async () => {
+    const draft = {
+      id: 'st-3', case_id: 'case-a', party_role: 'claimant', is_finalized: false,
+      content: 'Draft: the contractor admitted the flashing was faulty.', submitted_at: '2025-03-07T00:00:00Z'
+    };
+
+    // user-1, the other party on case-a, searches for the draft's wording
+    expect(await service.index('statement', draft)).toBe(false);
+    expect((await service.search('user-1', { q: 'flashing' })).results).toEqual([]);
+
+    await service.index('statement', { ...draft, is_finalized: true });
+    expect((await service.search('user-1', { q: 'flashing' })).results.map(r => r.id)).toEqual(['statement:st-3']);
+
+    // a row that is a draft again (e.g. on reindex) drops out
+    await service.index('statement', draft);
+    expect((await service.search('user-1', { q: 'flashing' })).results).toEqual([]);
+  });
+
+  it('should return nothing for users without cases', async () => {
+    service.accessibleCaseIds.mockResolvedValue([]);
+    const { results, pagination } = await service.search('user-2', { q: 'invoice' });
+    expect(results).toEqual([]);
+    expect(pagination.total).toBe(0);
+  });
+});
@@ -0,0 +1,313 @@
+// Settlement Payment Tests - installment schedules proposed and accepted,
+// payment allocation with late penalties and receipts, reminders, and
+// default handling
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { FilePaymentPlanStore, PaymentAllocationConflictError } = require('../src/lib/paymentPlanStore');
+const { SettlementPaymentService } = require('../src/services/SettlementPaymentService');
+const SettlementPaymentServiceInstance = require('../src/services/SettlementPaymentService');
+const SettlementDocumentService = require('../src/services/SettlementDocumentService');
+const DisputeWorkflowService = require('../src/services/DisputeWorkflowService');
+const WorkflowDefinitions = require('../src/services/WorkflowDefinitionService');
+const NotificationService = require('../src/services/NotificationService');
+const AuditLogService = require('../src/services/AuditLogService');
+
+describe('Settlement payment plans', () => {
+  let dir;
+  let queue;
+  let notifications;
+  let forwarding;
+  let workflow;
+  let stage;
+  let settlement;
+  let service;
+  let storage;
+  let stored;
+  let now;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settlement-payments-'));
+    now = new Date('2026-04-05T06:00:00Z');
+    queue = { register: jest.fn(), enqueue: jest.fn(async (name, payload, { runAt }) => ({ id: crypto.randomUUID(), payload, runAt })) };
+    notifications = {
+      notificationTypes: NotificationService.notificationTypes,
+      priorities: NotificationService.priorities,
+      createNotification: jest.fn().mockResolvedValue(null)
+    };
+    forwarding = { autoForwardCase: jest.fn().mockResolvedValue({ filingId: 'filing-1' }) };
+    stage = 'consensus_reached';
+    workflow = {
+      DisputeStage: DisputeWorkflowService.DisputeStage,
+      getWorkflow: jest.fn(async () => ({ success: true, workflow: { current_stage: stage } })),
+      transitionStage: jest.fn().mockResolvedValue({})
+    };
+    stored = new Map();
+    const bucket = {
+      upload: jest.fn(async (key, content) => { stored.set(key, Buffer.from(content)); return { data: { path: key }, error: null }; }),
+      download: jest.fn(async (key) => stored.has(key)
+        ? { data: new Blob([stored.get(key)]), error: null }
+        : { data: null, error: { message: 'Object not found' } }),
+      remove: jest.fn(async (keys) => { keys.forEach(key => stored.delete(key)); return { data: [], error: null }; })
+    };
+    storage = { from: jest.fn(() => bucket), bucket };
+    settlement = { agreedOption: jest.fn(async (caseId) => ({ optionId: 'opt-1', amount: caseId === 'case-1' ? 30000 : 5000 })) };
+    service = new SettlementPaymentService({
+      store: new FilePaymentPlanStore(path.join(dir, 'plans.json')),
+      queue,
+      parties: { list: async () => ['payer', 'payee'] },
+      notifications,
+      forwarding,
+      workflow,
+      settlement,
+      storage,
+      now: () => now
+    });
+    jest.spyOn(AuditLogService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const proposePlan = (spec = {}, caseId = 'case-1') => service.createPlan(caseId, {
+    count: 3,
+    firstDueDate: '2026-04-10',
+    graceDays: 5,
+    latePenalty: { type: 'percent', value: 2 },
+    payerId: 'payer',
+    ...spec
+  }, 'payee');
+
+  // Proposed by the payee, accepted by the payer
+  const createPlan = async (spec = {}, caseId = 'case-1') => {
+    await proposePlan(spec, caseId);
+    return service.acceptPlan(caseId, 'payer');
+  };
+
+  test('splits the amount to the paisa and keeps monthly dates on the same day', () => {
+    expect(service.buildSchedule({ totalAmount: 1000, count: 3, firstDueDate: '2026-01-31' })).toEqual([
+      { amount: 333.33, dueDate: '2026-01-31' },
+      { amount: 333.33, dueDate: '2026-02-28' },
+      { amount: 333.34, dueDate: '2026-03-31' }
+    ]);
+    expect(service.buildSchedule({ totalAmount: 200, count: 2, firstDueDate: '2026-01-01', frequency: 'fortnightly' }).map(i => i.dueDate))
+      .toEqual(['2026-01-01', '2026-01-15']);
+  });
+
+  test('a proposed plan takes effect only once another party accepts it', async () => {
+    const proposal = await proposePlan({ count: 2 });
+    expect(proposal).toMatchObject({ status: 'proposed', totalAmount: 30000, proposedBy: 'payee', acceptedBy: null });
+    expect(queue.enqueue).not.toHaveBeenCalled();
+    await expect(service.recordPayment('case-1', { amount: 100 }, null, 'payer')).rejects.toMatchObject({ status: 409, code: 'payment_plan_not_accepted' });
+    await expect(service.acceptPlan('case-1', 'payee')).rejects.toMatchObject({ status: 403, code: 'own_proposal' });
+    await expect(service.acceptPlan('case-1', 'stranger')).rejects.toMatchObject({ status: 403, code: 'not_a_voting_party' });
+
+    // replaced before acceptance
+    const replacement = await proposePlan({ count: 3 });
+    expect(replacement.installments).toHaveLength(3);
+    const accepted = await service.acceptPlan('case-1', 'payer');
+    expect(accepted).toMatchObject({ id: replacement.id, status: 'active', acceptedBy: 'payer' });
+    expect(AuditLogService.record).toHaveBeenCalledWith('case-1', 'settlement.payment_plan_proposed', expect.objectContaining({
+      payload: expect.objectContaining({ replacedPlanId: proposal.id, optionId: 'opt-1' })
+    }));
+
+    await expect(proposePlan()).rejects.toMatchObject({ status: 409, code: 'payment_plan_exists' });
+    await expect(service.acceptPlan('case-1', 'payer')).rejects.toMatchObject({ status: 409, code: 'no_proposed_plan' });
+  });
+
+  test('a plan pays the agreed option of a settled case', async () => {
+    await expect(proposePlan({ totalAmount: 45000 })).rejects.toMatchObject({ status: 400, code: 'invalid_payment_plan' });
+    await expect(proposePlan({ optionId: 'opt-2' })).rejects.toMatchObject({ status: 400, message: expect.stringContaining('agreed') });
+
+    settlement.agreedOption.mockResolvedValueOnce(null);
+    await expect(proposePlan()).rejects.toMatchObject({ status: 409, code: 'no_agreed_option' });
+
+    stage = 'awaiting_selection';
+    await expect(proposePlan()).rejects.toMatchObject({ status: 409, code: 'not_settled' });
+  });
+
+  test('creates a plan and schedules reminders and default checks', async () => {
+    const plan = await createPlan();
+
+    expect(plan).toMatchObject({ status: 'active', totalAmount: 30000, outstanding: 30000, nextDue: { sequence: 1, dueDate: '2026-04-10' } });
+    expect(plan.installments.map(i => [i.amount, i.dueDate])).toEqual([[10000, '2026-04-10'], [10000, '2026-05-10'], [10000, '2026-06-10']]);
+
+    const jobs = queue.enqueue.mock.calls.map(([, payload, { runAt }]) => [payload.kind, payload.daysBefore, runAt.toISOString()]);
+    // the 7-day reminder for the first installment would be in the past
+    expect(jobs.slice(0, 2)).toEqual([
+      ['reminder', 1, '2026-04-09T03:30:00.000Z'],
+      ['default_check', undefined, '2026-04-15T18:30:00.000Z']
+    ]);
+    expect(jobs).toHaveLength(8);
+
+    await expect(createPlan()).rejects.toMatchObject({ status: 409, code: 'payment_plan_exists' });
+  });
+
+  test('rejects schedules that do not add up or are out of order', async () => {
+    await expect(createPlan({ installments: [{ amount: 10000, dueDate: '2026-04-10' }, { amount: 10000, dueDate: '2026-05-10' }] }))
+      .rejects.toMatchObject({ status: 400, code: 'invalid_payment_plan' });
+    await expect(createPlan({ installments: [{ amount: 15000, dueDate: '2026-05-10' }, { amount: 15000, dueDate: '2026-04-10' }] }))
+      .rejects.toMatchObject({ code: 'invalid_payment_plan' });
+    await expect(createPlan({ latePenalty: { type: 'daily', value: 1 } })).rejects.toMatchObject({ code: 'invalid_payment_plan' });
+    await expect(createPlan({ defaultAction: 'ignore' })).rejects.toMatchObject({ code: 'invalid_payment_plan' });
+  });
+
+  test('applies payments oldest first, charges late penalties and completes the plan', async () => {
+    await createPlan();
+
+    // on time, and part of the second installment
+    const first = await service.recordPayment('case-1', { amount: 12000, paidAt: '2026-04-04T10:00:00Z' }, null, 'payer');
+    expect(first.payment.allocations.map(a => [a.sequence, a.amount])).toEqual([[1, 10000], [2, 2000]]);
+    expect(first.plan.installments.map(i => i.status)).toEqual(['paid', 'partially_paid', 'pending']);
+
+    // the rest of the second installment, two days late: 2% penalty on it
+    now = new Date('2026-05-12T06:00:00Z');
+    const late = await service.recordPayment('case-1', { amount: 8200 }, null, 'payer');
+    expect(late.plan.installments[1]).toMatchObject({ status: 'paid', penaltyAmount: 200, paidAmount: 10200 });
+
+    await expect(service.recordPayment('case-1', { amount: 10001 }, null, 'payer')).rejects.toMatchObject({ code: 'overpayment' });
+    await expect(service.recordPayment('case-1', { amount: 100, paidAt: '2027-01-01' }, null, 'payer')).rejects.toMatchObject({ code: 'invalid_payment' });
+
+    const done = await service.recordPayment('case-1', { amount: 10000, method: 'upi', reference: 'UTR123' }, null, 'payer');
+    expect(done.plan).toMatchObject({ status: 'completed', paidAmount: 30200, penalties: 200, outstanding: 0, nextDue: null });
+    expect(AuditLogService.record).toHaveBeenCalledWith('case-1', 'settlement.payment_plan_completed', expect.any(Object));
+  });
+
+  test('stores receipts with a fingerprint and keeps their location internal', async () => {
+    await createPlan();
+    const upload = path.join(dir, 'upload.tmp');
+    fs.writeFileSync(upload, 'receipt bytes');
+
+    const { payment } = await service.recordPayment('case-1', { amount: 5000 }, { path: upload, originalname: 'Receipt.PDF', mimetype: 'application/pdf', size: 13 }, 'payer');
+
+    expect(payment.receipt).toEqual({
+      fileName: 'Receipt.PDF',
+      mimeType: 'application/pdf',
+      size: 13,
+      sha256: crypto.createHash('sha256').update('receipt bytes').digest('hex')
+    });
+    expect(fs.existsSync(upload)).toBe(false);
+    expect([...stored.keys()]).toEqual([expect.stringMatching(new RegExp(`^payment-receipts/case-1/.+/${payment.id}\\.pdf$`))]);
+    expect(JSON.stringify(payment)).not.toContain('payment-receipts/');
+    const receipt = await service.getReceipt('case-1', payment.id);
+    expect(receipt).toMatchObject({ fileName: 'Receipt.PDF', mimeType: 'application/pdf' });
+    expect(receipt.content.toString('utf8')).toBe('receipt bytes');
+    await expect(service.getReceipt('case-2', payment.id)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('applies concurrent payments to different installments', async () => {
+    await createPlan();
+
+    const [first, second] = await Promise.all([
+      service.recordPayment('case-1', { amount: 10000 }, null, 'payer'),
+      service.recordPayment('case-1', { amount: 10000 }, null, 'payer')
+    ]);
+
+    expect([first, second].map(r => r.payment.allocations[0].sequence).sort()).toEqual([1, 2]);
+    const summary = await service.getPlan('case-1');
+    expect(summary).toMatchObject({ paidAmount: 20000, outstanding: 10000 });
+    expect(summary.installments.map(i => i.status)).toEqual(['paid', 'paid', 'pending']);
+  });
+
+  test('gives up after repeated allocation conflicts and removes the receipt', async () => {
+    await createPlan();
+    jest.spyOn(service.store, 'applyPayment').mockRejectedValue(new PaymentAllocationConflictError('inst-1'));
+    const upload = path.join(dir, 'upload.tmp');
+    fs.writeFileSync(upload, 'receipt bytes');
+
+    await expect(service.recordPayment('case-1', { amount: 5000 }, { path: upload, originalname: 'r.png', mimetype: 'image/png', size: 13 }, 'payer'))
+      .rejects.toMatchObject({ status: 409, code: 'payment_conflict' });
+    expect(service.store.applyPayment).toHaveBeenCalledTimes(3);
+    expect(stored.size).toBe(0);
+    expect(storage.bucket.remove).toHaveBeenCalledTimes(1);
+  });
+
+  test('reminds the payer and skips installments already paid', async () => {
+    const plan = await createPlan();
+    const [first, second] = plan.installments;
+
+    await service.handleJob({ kind: 'reminder', planId: plan.id, installmentId: second.id, daysBefore: 1 });
+    expect(notifications.createNotification).toHaveBeenLastCalledWith(expect.objectContaining({
+      userId: 'payer',
+      type: 'deadline_approaching',
+      priority: 'high',
+      title: 'Settlement installment due in 1 day'
+    }));
+
+    await service.recordPayment('case-1', { amount: 10000 }, null, 'payer');
+    expect(await service.handleJob({ kind: 'reminder', planId: plan.id, installmentId: first.id, daysBefore: 1 })).toEqual({ skipped: 'paid' });
+  });
+
+  test('a missed installment after the grace period forwards the case to court', async () => {
+    const plan = await createPlan();
+    const job = { kind: 'default_check', planId: plan.id, installmentId: plan.installments[0].id };
+
+    now = new Date('2026-04-15T12:00:00Z'); // grace ends at midnight in Kolkata
+    expect(await service.handleJob(job)).toEqual({ skipped: 'not_due' });
+
+    now = new Date('2026-04-16T00:00:00Z');
+    expect(await service.handleJob(job)).toMatchObject({ defaulted: true, action: 'court_forwarding', status: 'completed', filingId: 'filing-1' });
+
+    expect(workflow.transitionStage).toHaveBeenCalledWith('case-1', 'forwarded_to_court', 'system', expect.stringContaining('installment 1'));
+    expect(forwarding.autoForwardCase).toHaveBeenCalledWith('case-1', 'settlement_default', expect.objectContaining({
+      missedInstallment: 1,
+      outstandingAmount: 30000
+    }));
+    expect((await service.getPlan('case-1')).installments[0].status).toBe('defaulted');
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 'payee', priority: 'urgent' }));
+    expect(await service.hasDefault('case-1')).toBe(true);
+  });
+
+  test('a failed forwarding is retried, and reopening moves the case to reanalysis', async () => {
+    const plan = await createPlan();
+    const job = { kind: 'default_check', planId: plan.id, installmentId: plan.installments[0].id };
+    now = new Date('2026-04-20T00:00:00Z');
+
+    forwarding.autoForwardCase.mockRejectedValueOnce(new Error('court API down'));
+    await expect(service.handleJob(job)).rejects.toThrow('court API down');
+    expect((await service.getPlan('case-1')).defaultActionStatus).toBe('failed');
+
+    await service.handleJob(job);
+    expect(forwarding.autoForwardCase).toHaveBeenCalledTimes(2);
+    expect((await service.getPlan('case-1')).defaultActionStatus).toBe('completed');
+
+    const reopening = await createPlan({ count: 1, graceDays: 0, latePenalty: null, defaultAction: 'reopen' }, 'case-2');
+    await service.handleJob({ kind: 'default_check', planId: reopening.id, installmentId: reopening.installments[0].id });
+    expect(workflow.transitionStage).toHaveBeenLastCalledWith('case-2', 'reanalysis', 'system', expect.any(String));
+  });
+
+  test('settled cases reopen only when their payment plan is in default', async () => {
+    const definition = WorkflowDefinitions.get('standard');
+    const context = { caseId: 'case-1', workflow: {}, from: 'closed_settled', to: 'reanalysis' };
+
+    jest.spyOn(SettlementPaymentServiceInstance, 'hasDefault').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    expect(await WorkflowDefinitions.checkTransition(definition, context)).toMatchObject({ allowed: false, guard: 'settlementDefaulted' });
+    expect(await WorkflowDefinitions.checkTransition(definition, context)).toEqual({ allowed: true });
+  });
+
+  test('the settlement agreement sets out the installment schedule', async () => {
+    const plan = await createPlan({ defaultAction: 'reopen' });
+    const party = (name) => ({ users: { full_name: name, email: `${name}@example.com` } });
+
+    const { text, metadata } = SettlementDocumentService.buildDocumentContent({
+      caseData: { id: 'case-1', case_number: 'C-1', title: 'Unpaid invoice' },
+      option: { id: 'opt-1', settlement_amount: 30000, payment_terms: 'Lump sum', timeline: '90 days', fairness_score: 80, ai_confidence: 0.8 },
+      complainant: party('Asha'),
+      respondent: party('Ravi'),
+      legalBasis: {},
+      conditions: [],
+      nonMonetaryTerms: [],
+      paymentPlan: plan
+    });
+
+    expect(text).toContain('Payable in 3 installment(s):');
+    expect(text).toContain('2. ₹10,000.00 due on 10 May 2026');
+    expect(text).toContain('Late payment: a penalty of 2% of the installment');
+    expect(text).toContain('the dispute shall be reopened for renegotiation');
+    expect(text).not.toContain('Lump sum');
+    expect(metadata.paymentPlanId).toBe(plan.id);
+  });
+});
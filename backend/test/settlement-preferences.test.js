@@ -0,0 +1,215 @@
+// Settlement Preference Tests - ranked, acceptable/unacceptable options with
+// private reservation ranges, the best mutually acceptable option and
+// compromises steered by the overlap of the ranges
+const { ConsensusService } = require('../src/services/ConsensusService');
+const { SettlementPreferenceService } = require('../src/services/SettlementPreferenceService');
+const SettlementAIService = require('../src/services/SettlementAIService');
+const DisputeWorkflowService = require('../src/services/DisputeWorkflowService');
+const NotificationService = require('../src/services/NotificationService');
+const AuditLogService = require('../src/services/AuditLogService');
+
+// Minimal stand-in for the supabase query builder: eq() filters, upsert()
+// replaces the row with the same case and user, await / single() resolve
+function fakeSupabase(tables) {
+  return {
+    from(table) {
+      const filters = [];
+      let upserted = null;
+      const rows = () => (tables[table] || []).filter(row => filters.every(([col, value]) => row[col] === value));
+      const query = {
+        select: () => query,
+        order: () => query,
+        eq: (col, value) => { filters.push([col, value]); return query; },
+        upsert: (row) => {
+          tables[table] = (tables[table] || []).filter(r => !(r.case_id === row.case_id && r.user_id === row.user_id));
+          tables[table].push(row);
+          upserted = row;
+          return query;
+        },
+        single: async () => ({ data: upserted || rows()[0] || null, error: null }),
+        maybeSingle: async () => ({ data: rows()[0] || null, error: null }),
+        then: (resolve, reject) => Promise.resolve({ data: rows(), error: null }).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+const rank = (...order) => order.map(([optionId, acceptable], i) => ({ optionId, rank: i + 1, acceptable }));
+
+describe('SettlementPreferenceService', () => {
+  let tables;
+  let service;
+  let stage;
+
+  beforeEach(() => {
+    tables = {
+      cases: [{ id: 'case-1', filed_by: 'filer', consensus_rule: null }],
+      case_parties: [
+        { case_id: 'case-1', user_id: 'resp', role: 'respondent' },
+        { case_id: 'case-1', user_id: 'insurer', role: 'insurer' }
+      ],
+      settlement_options: [
+        { case_id: 'case-1', option_id: 'low', option_rank: 1, complainant_receives: 40000 },
+        { case_id: 'case-1', option_id: 'mid', option_rank: 2, complainant_receives: 60000 },
+        { case_id: 'case-1', option_id: 'high', option_rank: 3, complainant_receives: 90000 }
+      ],
+      party_option_preferences: []
+    };
+    const supabase = fakeSupabase(tables);
+    service = new SettlementPreferenceService({ supabase, consensus: new ConsensusService({ supabase }) });
+    jest.spyOn(AuditLogService, 'record').mockResolvedValue(null);
+    stage = 'awaiting_selection';
+    jest.spyOn(DisputeWorkflowService, 'getWorkflow').mockImplementation(async () => ({ success: true, workflow: { current_stage: stage } }));
+    jest.spyOn(DisputeWorkflowService, 'transitionStage').mockImplementation(async (caseId, to) => {
+      stage = to;
+      return {};
+    });
+    jest.spyOn(NotificationService, 'notifyConsensusReached').mockResolvedValue();
+    jest.spyOn(NotificationService, 'createNotification').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('waits until every party has ranked, then picks the best mutually acceptable option', async () => {
+    const first = await service.submitPreferences('case-1', 'filer', { rankings: rank(['high', true], ['mid', true], ['low', false]) });
+    expect(first.outcome).toMatchObject({ consensus: false, reason: 'waiting_for_preferences', pending: ['resp', 'insurer'] });
+
+    await service.submitPreferences('case-1', 'resp', { rankings: rank(['low', true], ['mid', true], ['high', false]) });
+    const { outcome } = await service.submitPreferences('case-1', 'insurer', { rankings: rank(['low', true], ['high', true], ['mid', true]) });
+
+    // 'low' and 'high' rank better on average, but each was rejected by someone
+    expect(outcome).toMatchObject({ consensus: true, reason: 'mutually_acceptable', optionId: 'mid' });
+    expect(outcome.options.map(o => [o.optionId, o.averageRank])).toEqual([['low', 5 / 3], ['high', 2], ['mid', 7 / 3]]);
+    expect(DisputeWorkflowService.transitionStage).toHaveBeenCalledWith('case-1', 'consensus_reached', 'system', expect.any(String));
+    expect(NotificationService.notifyConsensusReached).toHaveBeenCalledWith('case-1');
+  });
+
+  test('an option outside a party\'s reservation range is unacceptable to that party', () => {
+    const voters = [
+      { userId: 'filer', role: 'complainant', principal: true, weight: 1 },
+      { userId: 'resp', role: 'respondent', principal: true, weight: 1 }
+    ];
+    const all = [['mid', true], ['high', true], ['low', true]];
+    const preferences = [
+      { user_id: 'filer', rankings: rank(...all).map(r => ({ option_id: r.optionId, rank: r.rank, acceptable: r.acceptable })), reservation_min: 50000 },
+      { user_id: 'resp', rankings: rank(...all).map(r => ({ option_id: r.optionId, rank: r.rank, acceptable: r.acceptable })), reservation_max: 55000 }
+    ];
+
+    const outcome = service.evaluate(voters, preferences, tables.settlement_options, {});
+
+    expect(outcome).toMatchObject({ consensus: false, reason: 'no_mutually_acceptable_option', zone: { min: 50000, max: 55000 } });
+    expect(service.publicOutcome(outcome)).not.toHaveProperty('zone');
+  });
+
+  test('without a mutually acceptable option a compromise is generated inside the overlap', async () => {
+    const compromise = { option_id: 'X', description: 'Split at 52,000' };
+    const generate = jest.spyOn(SettlementAIService, 'generateCompromiseOption').mockResolvedValue(compromise);
+
+    await service.submitPreferences('case-1', 'filer', {
+      rankings: rank(['high', true], ['mid', true], ['low', false]),
+      reservation: { min: 50000 }
+    });
+    await service.submitPreferences('case-1', 'resp', {
+      rankings: rank(['low', true], ['mid', true], ['high', false]),
+      reservation: { max: 55000 }
+    });
+    const { outcome } = await service.submitPreferences('case-1', 'insurer', { rankings: rank(['low', true], ['mid', true], ['high', true]) });
+
+    expect(outcome).toMatchObject({ consensus: false, reason: 'no_mutually_acceptable_option', compromiseOption: compromise });
+    expect(outcome).not.toHaveProperty('zone');
+    expect(generate).toHaveBeenCalledWith('case-1', [
+      { optionId: 'low', weight: 2, supporters: 2 },
+      { optionId: 'high', weight: 1, supporters: 1 }
+    ], { zone: { min: 50000, max: 55000 } });
+    expect(DisputeWorkflowService.transitionStage.mock.calls.map(([, to]) => to)).toEqual(['reanalysis', 'awaiting_selection']);
+  });
+
+  test('re-submitting after the outcome does not act on it again', async () => {
+    const all = rank(['mid', true], ['low', true], ['high', true]);
+    for (const userId of ['filer', 'resp', 'insurer']) {
+      await service.submitPreferences('case-1', userId, { rankings: all });
+    }
+    expect(stage).toBe('consensus_reached');
+
+    const again = await service.submitPreferences('case-1', 'resp', { rankings: rank(['low', true], ['mid', true], ['high', true]) });
+
+    expect(again.outcome).toMatchObject({ consensus: true, optionId: 'mid' });
+    expect(DisputeWorkflowService.transitionStage).toHaveBeenCalledTimes(1);
+    expect(NotificationService.notifyConsensusReached).toHaveBeenCalledTimes(1);
+  });
+
+  test('compromise amounts stay strictly inside the overlap without landing on a bound', () => {
+    expect(SettlementAIService.amountInsideZone(56667, { min: 50000, max: 55000 })).toBe(53000);
+    expect(SettlementAIService.amountInsideZone(52000, { min: 50000, max: 55000 })).toBe(52000);
+    expect(SettlementAIService.amountInsideZone(40000, { min: 50000, max: null })).toBe(53000);
+    expect(SettlementAIService.amountInsideZone(90000, { min: null, max: 55000 })).toBe(52000);
+    expect(SettlementAIService.amountInsideZone(50001, { min: 50000, max: 50002 })).toBe(50001);
+    expect(SettlementAIService.amountInsideZone(60000, { min: 50000, max: 50001 })).toBe(60000);
+  });
+
+  test('a new compromise option puts everyone back to ranking', async () => {
+    const all = rank(['mid', true], ['low', true], ['high', true]);
+    for (const userId of ['filer', 'resp', 'insurer']) {
+      await service.submitPreferences('case-1', userId, { rankings: all });
+    }
+    tables.settlement_options.push({ case_id: 'case-1', option_id: 'compromise', option_rank: 4, complainant_receives: 55000 });
+
+    const status = await service.getPreferences('case-1', 'filer');
+
+    expect(status.outcome).toMatchObject({ consensus: false, reason: 'waiting_for_preferences', pending: ['filer', 'resp', 'insurer'] });
+  });
+
+  test('weighted rules accept an option backed by the threshold share', () => {
+    const voters = [
+      { userId: 'filer', role: 'complainant', principal: true, weight: 1 },
+      { userId: 'resp', role: 'respondent', principal: true, weight: 1 },
+      { userId: 'insurer', role: 'stakeholder', principal: false, weight: 2 }
+    ];
+    const row = (userId, ...order) => ({
+      user_id: userId,
+      rankings: rank(...order).map(r => ({ option_id: r.optionId, rank: r.rank, acceptable: r.acceptable }))
+    });
+    const preferences = [
+      row('filer', ['high', true], ['mid', false], ['low', false]),
+      row('resp', ['low', true], ['mid', true], ['high', false]),
+      row('insurer', ['mid', true], ['high', true], ['low', false])
+    ];
+
+    // mid: resp (1) + insurer (2) = 3 of 4
+    expect(service.evaluate(voters, preferences, tables.settlement_options, { mode: 'weighted', threshold: 0.75 }))
+      .toMatchObject({ consensus: true, optionId: 'mid' });
+    expect(service.evaluate(voters, preferences, tables.settlement_options, { mode: 'unanimous' }))
+      .toMatchObject({ consensus: false, reason: 'no_mutually_acceptable_option', zone: null });
+  });
+
+  test('only the submitting party sees its reservation range', async () => {
+    await service.submitPreferences('case-1', 'filer', {
+      rankings: rank(['high', true], ['mid', true], ['low', false]),
+      reservation: { min: 50000, max: 90000 }
+    });
+
+    const own = await service.getPreferences('case-1', 'filer');
+    const other = await service.getPreferences('case-1', 'resp');
+
+    expect(own.preferences.reservation).toEqual({ min: 50000, max: 90000 });
+    expect(other.preferences).toBeNull();
+    expect(other.parties.find(p => p.userId === 'filer')).toEqual(expect.objectContaining({ submitted: true }));
+    expect(JSON.stringify(other)).not.toMatch(/50000|90000|reservation/);
+    expect(JSON.stringify(AuditLogService.record.mock.calls)).not.toMatch(/50000|90000/);
+  });
+
+  test('rejects incomplete rankings, bad ranges and non-voting users', async () => {
+    await expect(service.submitPreferences('case-1', 'filer', { rankings: rank(['high', true], ['mid', true]) }))
+      .rejects.toMatchObject({ status: 400, code: 'invalid_preferences', message: expect.stringContaining('low') });
+    await expect(service.submitPreferences('case-1', 'filer', {
+      rankings: [{ optionId: 'high', rank: 1, acceptable: true }, { optionId: 'mid', rank: 1, acceptable: true }, { optionId: 'low', rank: 3, acceptable: true }]
+    })).rejects.toMatchObject({ code: 'invalid_preferences' });
+    await expect(service.submitPreferences('case-1', 'filer', {
+      rankings: rank(['high', true], ['mid', true], ['low', true]),
+      reservation: { min: 90000, max: 50000 }
+    })).rejects.toMatchObject({ status: 400, code: 'invalid_reservation' });
+    await expect(service.submitPreferences('case-1', 'lawyer', { rankings: rank(['high', true], ['mid', true], ['low', true]) }))
+      .rejects.toMatchObject({ status: 403, code: 'not_a_voting_party' });
+  });
+});
@@ -0,0 +1,179 @@
+// Structured AI Output Tests - schema validation, repair re-prompts, provider
+// fallback and provenance, with scripted providers instead of live models
+const fs = require('fs');
+const path = require('path');
+const { SCHEMAS, extractJson, validateOutput } = require('../src/lib/aiSchemas');
+const { StructuredOutputService, StructuredOutputError } = require('../src/services/StructuredOutputService');
+
+const validEvidence = {
+  description: 'Photo of a cracked ceiling',
+  relevance: 'Shows the leak the respondent denies',
+  keyObservations: ['Water stain', 'Dated 3 March'],
+  authenticity: 'No signs of editing',
+  favorsParty: 'complainant',
+  legalSignificance: 'Corroborates the complaint',
+  relevanceScore: 8,
+  recommendations: 'Submit with the repair invoice'
+};
+
+// Registry stand-in: each provider answers from its own script, in order
+function scriptedRegistry(scripts) {
+  const calls = [];
+  return {
+    calls,
+    candidates: () => Object.keys(scripts).map(name => ({ name })),
+    generate: jest.fn(async (messages, options) => {
+      calls.push({ provider: options.provider, messages });
+      const next = scripts[options.provider].shift();
+      if (next instanceof Error) throw next;
+      return { content: typeof next === 'string' ? next : JSON.stringify(next), model: `${options.provider}-model` };
+    })
+  };
+}
+
+function fakeSupabase() {
+  const rows = [];
+  const supabase = {
+    rows,
+    from: () => ({
+      insert: (row) => ({
+        select: () => ({
+          single: async () => {
+            rows.push({ id: `prov-${rows.length + 1}`, ...row });
+            return { data: { id: `prov-${rows.length}` }, error: null };
+          }
+        })
+      })
+    })
+  };
+  return supabase;
+}
+
+describe('AI output schemas', () => {
+  test('extracts JSON from fences and surrounding prose', () => {
+    expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(extractJson('Here you go: {"a": {"b": 2}} Hope this helps')).toEqual({ a: { b: 2 } });
+    expect(() => extractJson('no json here')).toThrow(SyntaxError);
+  });
+
+  test('coerces cosmetic differences and reports real ones', () => {
+    const coerced = validateOutput('evidence_analysis', { ...validEvidence, relevanceScore: '8', favorsParty: 'Complainant' });
+    expect(coerced.success).toBe(true);
+    expect(coerced.data).toMatchObject({ relevanceScore: 8, favorsParty: 'complainant' });
+
+    const invalid = validateOutput('evidence_analysis', { ...validEvidence, relevanceScore: 14, favorsParty: 'judge' });
+    expect(invalid.success).toBe(false);
+    expect(invalid.errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^relevanceScore: /),
+      expect.stringMatching(/^favorsParty: /)
+    ]));
+  });
+
+  test('requires exactly three settlement options', () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/ai/tasks/settlement_generation.json'), 'utf8'));
+    expect(validateOutput('settlement_generation', fixture.content).success).toBe(true);
+
+    const twoOptions = { ...fixture.content, settlements: fixture.content.settlements.slice(0, 2) };
+    expect(validateOutput('settlement_generation', twoOptions).errors).toEqual([expect.stringMatching(/^settlements: /)]);
+  });
+
+  test('recorded case analysis fixture matches its schema', () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/ai/tasks/case_analysis.json'), 'utf8'));
+    expect(validateOutput('case_analysis', fixture.content).success).toBe(true);
+  });
+
+  test('declares a schema for every structured task', () => {
+    expect(Object.keys(SCHEMAS)).toEqual(expect.arrayContaining([
+      'outcome_prediction', 'risk_assessment', 'settlement_generation', 'evidence_analysis'
+    ]));
+  });
+});
+
+describe('StructuredOutputService', () => {
+  test('accepts a valid first reply', async () => {
+    const registry = scriptedRegistry({ gemini: [validEvidence] });
+    const supabase = fakeSupabase();
+    const service = new StructuredOutputService({ registry, supabase });
+
+    const { data, provenance } = await service.generate('evidence_analysis', 'Analyze', { caseId: 'case-1' });
+
+    expect(data.relevanceScore).toBe(8);
+    expect(provenance).toMatchObject({ outcome: 'valid', provider: 'gemini', model: 'gemini-model', id: 'prov-1' });
+    expect(provenance.prompt_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(supabase.rows[0]).toMatchObject({ task: 'evidence_analysis', case_id: 'case-1', outcome: 'valid' });
+  });
+
+  test('re-prompts with the validation errors and records the repair', async () => {
+    const registry = scriptedRegistry({ gemini: [{ ...validEvidence, relevanceScore: 'very high' }, validEvidence] });
+    const service = new StructuredOutputService({ registry, supabase: fakeSupabase() });
+
+    const { provenance } = await service.generate('evidence_analysis', 'Analyze');
+
+    const repair = registry.calls[1].messages;
+    expect(repair).toHaveLength(3);
+    expect(repair[1].role).toBe('assistant');
+    expect(repair[2].content).toMatch(/relevanceScore/);
+    expect(provenance.outcome).toBe('repaired');
+    expect(provenance.attempts.map(a => a.kind)).toEqual(['initial', 'repair']);
+    expect(provenance.validation_errors).toEqual([expect.stringMatching(/^gemini#1: relevanceScore/)]);
+  });
+
+  test('moves to the next provider after the repair budget or a provider error', async () => {
+    const registry = scriptedRegistry({
+      gemini: ['not json', 'still not json'],
+      anthropic: [new Error('rate limited')],
+      openai: [validEvidence]
+    });
+    const service = new StructuredOutputService({ registry, supabase: fakeSupabase(), repairAttempts: 1 });
+
+    const { provenance } = await service.generate('evidence_analysis', 'Analyze');
+
+    expect(registry.calls.map(c => c.provider)).toEqual(['gemini', 'gemini', 'anthropic', 'openai']);
+    expect(provenance.outcome).toBe('provider_fallback');
+    expect(provenance.provider).toBe('openai');
+    expect(provenance.attempts[2].errors).toEqual(['provider_error: rate limited']);
+  });
+
+  test('limits the chain to allowed providers', async () => {
+    const registry = scriptedRegistry({ anthropic: [validEvidence], gemini: [validEvidence] });
+    const service = new StructuredOutputService({ registry, supabase: fakeSupabase() });
+
+    await service.generate('evidence_analysis', 'Analyze', { providers: ['gemini'] });
+
+    expect(registry.calls.map(c => c.provider)).toEqual(['gemini']);
+  });
+
+  test('uses the caller fallback when nothing validates', async () => {
+    const registry = scriptedRegistry({ gemini: ['{}'] });
+    const service = new StructuredOutputService({ registry, supabase: fakeSupabase(), repairAttempts: 0 });
+
+    const { data, provenance } = await service.generate('evidence_analysis', 'Analyze', {
+      fallback: () => ({ description: 'manual review' })
+    });
+
+    expect(data).toEqual({ description: 'manual review' });
+    expect(provenance.outcome).toBe('fallback');
+  });
+
+  test('rejects with provenance when there is no fallback', async () => {
+    const registry = scriptedRegistry({ gemini: ['{}'] });
+    const supabase = fakeSupabase();
+    const service = new StructuredOutputService({ registry, supabase, repairAttempts: 0 });
+
+    const error = await service.generate('evidence_analysis', 'Analyze').catch(e => e);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error.provenance.outcome).toBe('failed');
+    expect(supabase.rows[0].outcome).toBe('failed');
+  });
+
+  test('still returns the output when provenance cannot be stored', async () => {
+    const registry = scriptedRegistry({ gemini: [validEvidence] });
+    const supabase = { from: () => { throw new Error('db down'); } };
+    const service = new StructuredOutputService({ registry, supabase });
+
+    const { provenance } = await service.generate('evidence_analysis', 'Analyze');
+
+    expect(provenance.id).toBeNull();
+  });
+});
@@ -0,0 +1,176 @@
+// Outbound Webhook Tests - signing, retries and the delivery log
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { JobQueue, FileJobStore } = require('../src/lib/jobQueue');
+const { FileWebhookStore } = require('../src/lib/webhookStore');
+const { WebhookService } = require('../src/services/WebhookService');
+const WorkflowAutomationService = require('../src/services/WorkflowAutomationService');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Outbound Webhooks', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let responses;
+  let files;
+  let queue;
+  let service;
+  let authorization;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        const [status, text] = responses.shift() || [200, 'ok'];
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(text);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+    const stamp = `${process.pid}-${Date.now()}`;
+    files = [path.join(os.tmpdir(), `webhook-jobs-${stamp}.json`), path.join(os.tmpdir(), `webhooks-${stamp}.json`)];
+    queue = new JobQueue({ store: new FileJobStore(files[0]), workerId: 'test-worker' });
+    // The receiver runs on loopback; the address guard has its own test
+    authorization = { can: jest.fn(async () => true), isAdmin: jest.fn(() => false) };
+    service = new WebhookService({ store: new FileWebhookStore(files[1]), queue, authorization, allowPrivateNetworks: true, backoffBaseMs: 1, maxAttempts: 3 });
+  });
+
+  afterEach(() => {
+    queue.stop();
+    files.forEach(f => { try { fs.unlinkSync(f); } catch (e) {} });
+  });
+
+  const drain = async (rounds = 3) => {
+    for (let i = 0; i < rounds; i++) {
+      await queue.tick();
+      await sleep(10);
+    }
+  };
+
+  it('should sign deliveries with the endpoint secret and log the attempt', async () => {
+    const endpoint = await service.createEndpoint({ url: `${baseUrl}/hooks`, eventTypes: ['signature.completed'] }, 'user-1');
+    responses.push([200, 'received']);
+
+    await service.publish('signature.completed', { caseId: 'case-1' });
+    await drain(1);
+
+    expect(received).toHaveLength(1);
+    const [request] = received;
+    expect(request.headers['x-webhook-event']).toBe('signature.completed');
+    expect(service.verifySignature(endpoint.secret, request.headers['x-webhook-signature'], request.body)).toBe(true);
+    expect(service.verifySignature('whsec_other', request.headers['x-webhook-signature'], request.body)).toBe(false);
+    expect(JSON.parse(request.body)).toMatchObject({ type: 'signature.completed', data: { caseId: 'case-1' } });
+
+    const [delivery] = await service.listDeliveries('user-1', { includeResponseBody: true });
+    expect(delivery).toMatchObject({ status: 'succeeded', status_code: 200, response_body: 'received', attempt: 1 });
+    expect(authorization.can).toHaveBeenCalledWith('user-1', 'case:view', 'case-1');
+    expect(delivery.latency_ms).toBeGreaterThanOrEqual(0);
+    expect(delivery.delivery_id).toBe(request.headers['x-webhook-id']);
+  });
+
+  it('should retry server errors with backoff until the receiver accepts', async () => {
+    await service.createEndpoint({ url: `${baseUrl}/flaky` }, 'user-1');
+    responses.push([503, 'busy'], [500, 'still busy'], [204, '']);
+
+    await service.publish('dispute.stage_changed', { caseId: 'case-1', newStage: 'ai_analysis' });
+    await drain(4);
+
+    const attempts = (await service.listDeliveries('user-1')).reverse();
+    expect(attempts.map(a => [a.attempt, a.status_code, a.will_retry])).toEqual([[1, 503, true], [2, 500, true], [3, 204, false]]);
+    expect(new Set(received.map(r => r.headers['x-webhook-id'])).size).toBe(1);
+  });
+
+  it('should dead-letter client errors without retrying', async () => {
+    await service.createEndpoint({ url: `${baseUrl}/gone` }, 'user-1');
+    responses.push([410, 'endpoint removed']);
+
+    await service.publish('court.filing_submitted', { caseId: 'case-1' });
+    await drain(3);
+
+    expect(received).toHaveLength(1);
+    const [delivery] = await service.listDeliveries('user-1', { includeResponseBody: true });
+    expect(delivery).toMatchObject({ status: 'failed', status_code: 410, will_retry: false, response_body: 'endpoint removed' });
+    expect((await service.listDeliveries('user-1'))[0]).not.toHaveProperty('response_body');
+    expect((await queue.listFailed('webhooks'))).toHaveLength(1);
+  });
+
+  it('should only deliver to active endpoints subscribed to the event', async () => {
+    await service.createEndpoint({ url: `${baseUrl}/stages`, eventTypes: ['dispute.stage_changed'] }, 'user-1');
+    await service.createEndpoint({ url: `${baseUrl}/all` }, 'user-2');
+    const paused = await service.createEndpoint({ url: `${baseUrl}/paused` }, 'user-1');
+    await service.updateEndpoint(paused.id, { isActive: false }, 'user-1');
+
+    const deliveries = await service.publish('signature.completed', { caseId: 'case-1' });
+    await drain(1);
+
+    expect(deliveries).toHaveLength(1);
+    expect(received.map(r => r.path)).toEqual(['/all']);
+    expect(await service.listDeliveries('user-1')).toHaveLength(0);
+    expect((await service.listEndpoints('user-1'))[0]).not.toHaveProperty('secret');
+  });
+
+  it('should only deliver case events to owners who can view the case', async () => {
+    await service.createEndpoint({ url: `${baseUrl}/party` }, 'party-1');
+    await service.createEndpoint({ url: `${baseUrl}/stranger` }, 'stranger-1');
+    await service.createEndpoint({ url: `${baseUrl}/admin` }, 'admin-1');
+    authorization.can.mockImplementation(async (userId) => userId === 'party-1');
+    authorization.isAdmin.mockImplementation((userId) => userId === 'admin-1');
+
+    await service.publish('dispute.stage_changed', { caseId: 'case-1', newStage: 'ai_analysis' });
+    await service.publish('dispute.stage_changed', { newStage: 'ai_analysis' });
+    await drain(1);
+
+    expect(received.map(r => r.path).sort()).toEqual(['/admin', '/party']);
+  });
+
+  it('should refuse receivers on loopback, link-local and private addresses', async () => {
+    const guarded = new WebhookService({ store: new FileWebhookStore(files[1]), queue, authorization });
+
+    for (const url of ['http://localhost/hook', 'http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/hook', 'http://[::ffff:192.168.1.1]/hook']) {
+      await expect(guarded.createEndpoint({ url }, 'user-1')).rejects.toThrow(/public/);
+    }
+    expect(guarded.isValidUrl('https://crm.example.com/hook')).toBe(true);
+
+    // An endpoint saved before the guard applied is refused at send time
+    const endpoint = await service.createEndpoint({ url: `${baseUrl}/internal` }, 'user-1');
+    await expect(guarded.attemptDelivery({
+      deliveryId: 'delivery-1',
+      endpointId: endpoint.id,
+      headers: {},
+      event: { id: 'delivery-1', type: 'webhook.test', data: {} }
+    })).rejects.toMatchObject({ retryable: false });
+
+    expect(received).toHaveLength(0);
+    const [delivery] = await service.listDeliveries('user-1');
+    expect(delivery).toMatchObject({ status: 'failed', will_retry: false });
+    expect(delivery.error).toMatch(/EBLOCKEDADDRESS/);
+  });
+
+  it('should require a target and signing secret for webhook actions', () => {
+    const validate = (config) => WorkflowAutomationService.validateAutomation({
+      name: 'Notify CRM',
+      triggerType: 'case_status_change',
+      actions: [{ type: 'send_webhook', config }]
+    });
+
+    expect(validate({ endpointId: 'ep-1' }).isValid).toBe(true);
+    expect(validate({ url: 'https://crm.example.com/hook', secret: 's3cret' }).isValid).toBe(true);
+    expect(validate({ url: 'https://crm.example.com/hook' }).errors[0]).toMatch(/signing secret/);
+    expect(validate({ url: 'ftp://crm.example.com', secret: 's3cret' }).errors[0]).toMatch(/http\(s\)/);
+  });
+});
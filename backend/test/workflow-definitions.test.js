@@ -0,0 +1,89 @@
+// Workflow Definition Tests - versioned, data-driven dispute lifecycles
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkflowDefinitions = require('../src/services/WorkflowDefinitionService');
+const { WorkflowDefinitionService } = require('../src/services/WorkflowDefinitionService');
+const DisputeWorkflowService = require('../src/services/DisputeWorkflowService');
+
+describe('Workflow Definitions', () => {
+  it('should load the built-in definitions', () => {
+    const ids = WorkflowDefinitions.all().map(d => `${d.id}@${d.version}`);
+    expect(ids).toEqual(expect.arrayContaining(['standard@1', 'consumer_complaint@1', 'mediation_before_court@1']));
+  });
+
+  it('should keep the standard lifecycle identical to the legacy transitions', () => {
+    const standard = WorkflowDefinitions.get('standard');
+    expect(DisputeWorkflowService.getAllowedTransitions('awaiting_selection', standard))
+      .toEqual(['consensus_reached', 'reanalysis', 'forwarded_to_court']);
+    expect(DisputeWorkflowService.stageToStatus('forwarded_to_court', standard)).toBe('escalated');
+    expect(DisputeWorkflowService.estimateCompletion('draft', standard)).toBe(14);
+  });
+
+  it('should skip the statement phase for consumer complaints', () => {
+    const definition = WorkflowDefinitions.select({ caseType: 'consumer' });
+    expect(definition.id).toBe('consumer_complaint');
+    expect(definition.stages.statement_collection).toBeUndefined();
+    expect(DisputeWorkflowService.isValidTransition('awaiting_respondent', 'ai_analysis', definition)).toBe(true);
+  });
+
+  it('should fall back to the standard definition', () => {
+    expect(WorkflowDefinitions.select({ caseType: 'contract' }).id).toBe('standard');
+    expect(() => WorkflowDefinitions.select({ definitionId: 'nope' })).toThrow(/Unknown workflow definition/);
+  });
+
+  it('should pin legacy workflows to standard@1', () => {
+    const definition = WorkflowDefinitions.forWorkflow({ current_stage: 'draft' });
+    expect(`${definition.id}@${definition.version}`).toBe('standard@1');
+  });
+
+  it('should block court referral until mediation is completed', async () => {
+    const definition = WorkflowDefinitions.get('mediation_before_court');
+    const context = { caseId: 'case-1', from: 'mediation', to: 'forwarded_to_court' };
+
+    const blocked = await WorkflowDefinitions.checkTransition(definition, { ...context, workflow: { metadata: {} } });
+    expect(blocked).toMatchObject({ allowed: false, guard: 'mediationCompleted' });
+
+    const allowed = await WorkflowDefinitions.checkTransition(definition, {
+      ...context,
+      workflow: { metadata: { mediation: { completed: true } } }
+    });
+    expect(allowed.allowed).toBe(true);
+
+    const skipped = await WorkflowDefinitions.checkTransition(definition, { ...context, from: 'awaiting_selection', workflow: { metadata: {} } });
+    expect(skipped.allowed).toBe(false);
+  });
+
+  it('should resolve versions independently and reject invalid files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflows-'));
+    const v1 = { id: 'pilot', version: 1, initialStage: 'open', stages: { open: { transitions: ['closed'] }, closed: {} } };
+    const v2 = { ...v1, version: 2, stages: { open: { transitions: ['review'] }, review: { transitions: ['closed'] }, closed: {} } };
+    fs.writeFileSync(path.join(dir, 'pilot.v1.json'), JSON.stringify(v1));
+    fs.writeFileSync(path.join(dir, 'pilot.v2.json'), JSON.stringify(v2));
+
+    const service = new WorkflowDefinitionService({ dir });
+    expect(service.get('pilot').version).toBe(2);
+    expect(service.getAllowedTransitions(service.forWorkflow({ definition_id: 'pilot', definition_version: 1 }), 'open')).toEqual(['closed']);
+
+    const broken = { ...v1, stages: { open: { transitions: [{ to: 'closed', guards: ['noSuchGuard'] }] }, closed: {} } };
+    expect(() => service.compile(broken)).toThrow(/unknown guard "noSuchGuard"/);
+    expect(() => service.compile({ ...v1, initialStage: 'missing' })).toThrow(/unknown initialStage/);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should run on-enter hooks without failing the transition', async () => {
+    const service = new WorkflowDefinitionService();
+    const seen = [];
+    service.registerHook('record', ({ to }) => seen.push(to));
+    service.registerHook('explode', () => { throw new Error('boom'); });
+
+    const definition = service.compile({
+      id: 'hooks', version: 1, initialStage: 'a',
+      stages: { a: { transitions: ['b'] }, b: { onEnter: ['explode', 'record'] } }
+    });
+
+    await service.runOnEnter(definition, { caseId: 'case-1', from: 'a', to: 'b' });
+    expect(seen).toEqual(['b']);
+  });
+});
@@ -6,12 +6,13 @@ import { apiRequest } from '@/lib/api';
 import DisputeWorkflow from '@/components/disputes/DisputeWorkflow';
 import StatementForm from '@/components/disputes/StatementForm';
 import SettlementOptions from '@/components/disputes/SettlementOptions';
-import { Scale, FileText, Users, Send } from 'lucide-react';
+import CourtStageTimeline from '@/components/disputes/CourtStageTimeline';
+import { Scale, FileText, Users, Send, Gavel } from 'lucide-react';
 
 export default function DisputePage() {
   const params = useParams();
   const caseId = params?.id as string;
-  const [activeTab, setActiveTab] = useState<'workflow' | 'statement' | 'options'>('workflow');
+  const [activeTab, setActiveTab] = useState<'workflow' | 'statement' | 'options' | 'court'>('workflow');
   const [caseData, setCaseData] = useState<any>(null);
   const [workflow, setWorkflow] = useState<any>(null);
   const [loading, setLoading] = useState(true);
@@ -46,6 +47,8 @@ export default function DisputePage() {
           setActiveTab('statement');
         } else if (['options_presented', 'awaiting_selection'].includes(data.data.current_stage)) {
           setActiveTab('options');
+        } else if (data.data.current_stage === 'forwarded_to_court') {
+          setActiveTab('court');
         }
       }
     } catch (error) {
@@ -72,7 +75,10 @@ export default function DisputePage() {
   const tabs = [
     { id: 'workflow' as const, label: 'Workflow', icon: Scale },
     { id: 'statement' as const, label: 'My Statement', icon: FileText },
-    { id: 'options' as const, label: 'Settlement Options', icon: Users }
+    { id: 'options' as const, label: 'Settlement Options', icon: Users },
+    ...(workflow?.current_stage === 'forwarded_to_court'
+      ? [{ id: 'court' as const, label: 'Court', icon: Gavel }]
+      : [])
   ];
 
   return (
@@ -138,6 +144,7 @@ export default function DisputePage() {
             {activeTab === 'options' && (
               <SettlementOptions caseId={caseId} onSuccess={handleRefresh} />
             )}
+            {activeTab === 'court' && <CourtStageTimeline caseId={caseId} />}
           </div>
         </div>
 
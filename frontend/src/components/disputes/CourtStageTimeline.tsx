@@ -0,0 +1,205 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { api, apiRequest } from '@/lib/api';
+import {
+  Gavel,
+  Send,
+  AlertTriangle,
+  CheckCircle,
+  Calendar,
+  Clock,
+  FileText,
+  XCircle,
+  Download
+} from 'lucide-react';
+
+interface CourtStageTimelineProps {
+  caseId: string;
+}
+
+interface Stage {
+  type: 'referral' | 'filing' | 'defects' | 'registration' | 'hearing' | 'disposal';
+  date: string | null;
+  title: string;
+  detail: string | null;
+  order?: string | null;
+  estimated?: boolean;
+  status: 'done' | 'next' | 'upcoming' | 'cancelled';
+}
+
+const STAGE_ICONS = {
+  referral: Send,
+  filing: FileText,
+  defects: AlertTriangle,
+  registration: CheckCircle,
+  hearing: Calendar,
+  disposal: Gavel
+};
+
+const STATUS_CLASSES = {
+  done: 'bg-green-100 text-green-800 border-green-300',
+  next: 'bg-blue-100 text-blue-800 border-blue-300',
+  upcoming: 'bg-gray-100 text-gray-600 border-gray-300',
+  cancelled: 'bg-red-50 text-red-400 border-red-200'
+};
+
+const PROCEEDING_STATUS = {
+  awaiting_listing: 'Awaiting listing',
+  listed: 'Listed',
+  reserved: 'Judgment reserved',
+  disposed: 'Disposed'
+};
+
+const formatDate = (date: string | null) =>
+  date ? new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' }) : '';
+
+export default function CourtStageTimeline({ caseId }: CourtStageTimelineProps) {
+  const [court, setCourt] = useState<any>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadProceedings();
+  }, [caseId]);
+
+  const loadProceedings = async () => {
+    try {
+      const data = await apiRequest.get<any>(`/court/cases/${caseId}/proceedings`);
+      if (data.success) {
+        setCourt(data.data);
+      }
+    } catch (err: any) {
+      setError(err.response?.status === 404 ? null : 'Failed to load the court timeline');
+      if (err.response?.status !== 404) console.error('Failed to load court proceedings:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadCalendar = async () => {
+    try {
+      const response = await api.get(`/court/cases/${caseId}/proceedings/calendar.ics`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `court-hearings-${caseId}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download the hearing calendar:', err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+        <p className="text-red-800">{error}</p>
+      </div>
+    );
+  }
+
+  if (!court) {
+    return (
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+        <p className="text-yellow-800">This case has not been forwarded to court</p>
+      </div>
+    );
+  }
+
+  const { proceeding, nextHearing, stages } = court;
+
+  return (
+    <div className="space-y-6">
+      {/* Proceeding summary */}
+      <div className="rounded-lg border-2 p-6 bg-blue-50 border-blue-200">
+        <div className="flex items-start justify-between">
+          <div className="flex items-center space-x-4">
+            <div className="w-12 h-12 rounded-full bg-white flex items-center justify-center">
+              <Gavel className="w-6 h-6 text-blue-700" />
+            </div>
+            <div>
+              <h3 className="text-lg font-bold text-gray-900">{proceeding.courtName || 'Court'}</h3>
+              <p className="text-sm text-gray-700">
+                {proceeding.courtCaseNumber ? `Case No. ${proceeding.courtCaseNumber}` : 'Awaiting registration'}
+                {' · '}
+                {PROCEEDING_STATUS[proceeding.status as keyof typeof PROCEEDING_STATUS] || proceeding.status}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={downloadCalendar}
+            className="flex items-center space-x-2 px-3 py-2 text-sm bg-white border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-100 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            <span>Add to calendar</span>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4 mt-6">
+          <div className="bg-white rounded-lg border p-4">
+            <p className="text-sm text-gray-600">Next Date of Hearing</p>
+            <p className="text-lg font-bold text-gray-900">
+              {nextHearing
+                ? formatDate(nextHearing.date)
+                : proceeding.status === 'awaiting_listing' && proceeding.expectedFirstHearing
+                  ? `~${formatDate(proceeding.expectedFirstHearing)}`
+                  : '—'}
+            </p>
+            {nextHearing?.courtHall && <p className="text-xs text-gray-500">{nextHearing.courtHall}</p>}
+          </div>
+          <div className="bg-white rounded-lg border p-4">
+            <p className="text-sm text-gray-600">Stage</p>
+            <p className="text-lg font-bold text-gray-900">{proceeding.stage || '—'}</p>
+          </div>
+          <div className="bg-white rounded-lg border p-4">
+            <p className="text-sm text-gray-600">Last Order</p>
+            <p className="text-sm font-medium text-gray-900">{proceeding.lastOrder?.summary || '—'}</p>
+            {proceeding.lastOrder && <p className="text-xs text-gray-500">{formatDate(proceeding.lastOrder.date)}</p>}
+          </div>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      <div className="bg-white rounded-lg border">
+        <div className="p-4 border-b">
+          <h4 className="font-semibold text-gray-900">Court Timeline</h4>
+        </div>
+        <div className="p-4">
+          <div className="space-y-4">
+            {stages.map((stage: Stage, idx: number) => {
+              const StageIcon = stage.status === 'cancelled' ? XCircle : stage.estimated ? Clock : STAGE_ICONS[stage.type] || Calendar;
+
+              return (
+                <div key={idx} className="flex items-start space-x-3">
+                  <div className={`w-8 h-8 rounded-full border flex items-center justify-center ${STATUS_CLASSES[stage.status]}`}>
+                    <StageIcon className="w-4 h-4" />
+                  </div>
+                  <div className="flex-1">
+                    <p className={`font-medium ${stage.status === 'cancelled' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                      {stage.title}
+                      {stage.status === 'next' && (
+                        <span className="ml-2 px-2 py-0.5 bg-blue-100 text-blue-800 text-xs rounded-full">Next date</span>
+                      )}
+                    </p>
+                    {stage.detail && <p className="text-sm text-gray-600">{stage.detail}</p>}
+                    {stage.order && <p className="text-sm text-gray-800 mt-1"><strong>Order:</strong> {stage.order}</p>}
+                    <p className="text-xs text-gray-500">{formatDate(stage.date)}</p>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
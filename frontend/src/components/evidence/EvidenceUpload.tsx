@@ -53,14 +53,7 @@ export default function EvidenceUpload({ caseId, onUploadComplete }: EvidenceUpl
         formData.append('file', file);
         formData.append('case_id', caseId);
         formData.append('type', 'evidence');
-        // include uploader id if available
-        try {
-          const userData = localStorage.getItem('user_data');
-          if (userData) {
-            const user = JSON.parse(userData);
-            if (user?.id) formData.append('uploader_id', user.id);
-          }
-        } catch (e) {}
+        // the uploader is taken from the auth token, not the form
 
         const uploadResponse = await apiFetch('/evidence/upload', {
           method: 'POST',
@@ -1,17 +1,52 @@
 'use client';
 
 import { useState, useEffect, useRef } from 'react';
-import { Search, X, Clock, FileText, User, Folder } from 'lucide-react';
+import { Search, X, Clock, FileText, User, Folder, MessageSquare, Paperclip, Brain } from 'lucide-react';
 import { useRouter } from 'next/navigation';
 
 interface SearchResult {
   id: string;
-  type: 'dispute' | 'document' | 'user' | 'message';
+  type: 'dispute' | 'statement' | 'evidence' | 'analysis' | 'document' | 'user' | 'message';
   title: string;
   description?: string;
+  highlight?: string;
   url: string;
 }
 
+interface SearchPagination {
+  page: number;
+  pageSize: number;
+  total: number;
+  totalPages: number;
+}
+
+// Source filters understood by GET /search?types=
+const TYPE_FILTERS = [
+  { label: 'All', types: '' },
+  { label: 'Disputes', types: 'case' },
+  { label: 'Statements', types: 'statement' },
+  { label: 'Evidence', types: 'evidence' },
+  { label: 'Analyses', types: 'analysis' },
+  { label: 'Documents', types: 'generated_document' },
+];
+
+// Excerpts come back with matches wrapped in <mark></mark>. Split on the
+// markers and render text nodes so excerpt content is never parsed as HTML.
+function HighlightedExcerpt({ text }: { text: string }) {
+  const parts = text.split(/<mark>|<\/mark>/);
+  return (
+    <>
+      {parts.map((part, idx) =>
+        idx % 2 === 1 ? (
+          <mark key={idx} className="bg-yellow-100 text-gray-900 rounded px-0.5">{part}</mark>
+        ) : (
+          <span key={idx}>{part}</span>
+        )
+      )}
+    </>
+  );
+}
+
 interface GlobalSearchProps {
   iconOnly?: boolean;
 }
@@ -22,6 +57,9 @@ export default function GlobalSearch({ iconOnly = false }: GlobalSearchProps) {
   const [results, setResults] = useState<SearchResult[]>([]);
   const [recentSearches, setRecentSearches] = useState<string[]>([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [pagination, setPagination] = useState<SearchPagination | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const inputRef = useRef<HTMLInputElement>(null);
   const router = useRouter();
 
@@ -50,29 +88,38 @@ export default function GlobalSearch({ iconOnly = false }: GlobalSearchProps) {
     }
   }, []);
 
+  const fetchResults = async (page: number) => {
+    const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8080/api';
+    const token = localStorage.getItem('auth_token');
+    const params = new URLSearchParams({ q: query, page: String(page) });
+    if (typeFilter) params.set('types', typeFilter);
+
+    return fetch(`${API_URL}/search?${params.toString()}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+  };
+
   // Search function with debounce
   useEffect(() => {
     if (!query.trim()) {
       setResults([]);
+      setPagination(null);
       return;
     }
 
     const timeoutId = setTimeout(async () => {
       setIsLoading(true);
       try {
-        const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8080/api';
-        const token = localStorage.getItem('auth_token');
-        
-        const response = await fetch(`${API_URL}/search?q=${encodeURIComponent(query)}`, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-          },
-        });
+        const response = await fetchResults(1);
 
         if (response.ok) {
           const data = await response.json();
           setResults(data.data || data || []);
+          setPagination(data.pagination || null);
         } else {
+          setPagination(null);
           // Demo results for development
           setResults([
             {
@@ -99,7 +146,24 @@ export default function GlobalSearch({ iconOnly = false }: GlobalSearchProps) {
     }, 300);
 
     return () => clearTimeout(timeoutId);
-  }, [query]);
+  }, [query, typeFilter]);
+
+  const loadMore = async () => {
+    if (!pagination) return;
+    setIsLoadingMore(true);
+    try {
+      const response = await fetchResults(pagination.page + 1);
+      if (response.ok) {
+        const data = await response.json();
+        setResults((prev) => [...prev, ...(data.data || [])]);
+        setPagination(data.pagination || null);
+      }
+    } catch (error) {
+      console.error('Search failed:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
 
   const handleSelectResult = (result: SearchResult) => {
     // Save to recent searches
@@ -126,6 +190,12 @@ export default function GlobalSearch({ iconOnly = false }: GlobalSearchProps) {
     switch (type) {
       case 'dispute':
         return <FileText className="w-4 h-4" />;
+      case 'statement':
+        return <MessageSquare className="w-4 h-4" />;
+      case 'evidence':
+        return <Paperclip className="w-4 h-4" />;
+      case 'analysis':
+        return <Brain className="w-4 h-4" />;
       case 'document':
         return <Folder className="w-4 h-4" />;
       case 'user':
@@ -188,6 +258,21 @@ export default function GlobalSearch({ iconOnly = false }: GlobalSearchProps) {
                     </button>
                   )}
                 </div>
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {TYPE_FILTERS.map((filter) => (
+                    <button
+                      key={filter.label}
+                      onClick={() => setTypeFilter(filter.types)}
+                      className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                        typeFilter === filter.types
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {filter.label}
+                    </button>
+                  ))}
+                </div>
               </div>
 
               {/* Results */}
@@ -210,13 +295,28 @@ export default function GlobalSearch({ iconOnly = false }: GlobalSearchProps) {
                         </div>
                         <div className="flex-1 min-w-0">
                           <p className="font-medium text-gray-900 truncate">{result.title}</p>
-                          {result.description && (
+                          {result.highlight ? (
+                            <p className="text-sm text-gray-500 line-clamp-2">
+                              <HighlightedExcerpt text={result.highlight} />
+                            </p>
+                          ) : result.description && (
                             <p className="text-sm text-gray-500 truncate">{result.description}</p>
                           )}
                         </div>
                         <span className="text-xs text-gray-400 uppercase">{result.type}</span>
                       </button>
                     ))}
+                    {pagination && pagination.page < pagination.totalPages && (
+                      <button
+                        onClick={loadMore}
+                        disabled={isLoadingMore}
+                        className="w-full px-4 py-3 text-sm text-blue-600 hover:bg-gray-50 disabled:text-gray-400"
+                      >
+                        {isLoadingMore
+                          ? 'Loading...'
+                          : `Show more (${pagination.total - results.length} remaining)`}
+                      </button>
+                    )}
                   </div>
                 ) : query && !isLoading ? (
                   <div className="p-8 text-center">
@@ -251,7 +351,7 @@ export default function GlobalSearch({ iconOnly = false }: GlobalSearchProps) {
                   <div className="p-8 text-center">
                     <Search className="w-12 h-12 text-gray-300 mx-auto mb-3" />
                     <p className="text-gray-500">Start typing to search</p>
-                    <p className="text-sm text-gray-400 mt-1">Disputes • Documents • Users • Messages</p>
+                    <p className="text-sm text-gray-400 mt-1">Disputes • Statements • Evidence • Documents</p>
                   </div>
                 )}
               </div>
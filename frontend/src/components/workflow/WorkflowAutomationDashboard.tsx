@@ -12,7 +12,9 @@ import {
   CheckCircle,
   Search,
   ChevronRight,
-  Settings
+  Settings,
+  Webhook,
+  RefreshCw
 } from 'lucide-react';
 import apiFetch from '../../lib/fetchClient';
 
@@ -35,12 +37,48 @@ interface Workflow {
   createdAt: string;
 }
 
+interface WebhookDelivery {
+  id: string;
+  delivery_id: string;
+  event_type: string;
+  url: string;
+  attempt: number;
+  status: 'succeeded' | 'failed';
+  will_retry: boolean;
+  status_code: number | null;
+  latency_ms: number | null;
+  response_body: string | null;
+  error: string | null;
+  created_at: string;
+}
+
 export default function WorkflowAutomationDashboard() {
   const [workflows, setWorkflows] = useState<Workflow[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [showBuilder, setShowBuilder] = useState(false);
   const [query, setQuery] = useState('');
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false);
+
+  const loadDeliveries = async () => {
+    setDeliveriesLoading(true);
+    try {
+      const resp = await apiFetch('/workflow/webhooks/deliveries?limit=25');
+      if (!resp.ok) throw new Error('Failed to fetch webhook deliveries');
+      const json = await resp.json();
+      const data = json?.data?.deliveries ?? [];
+      setDeliveries(Array.isArray(data) ? data : []);
+    } catch (err: any) {
+      console.error('Error loading webhook deliveries', err);
+    } finally {
+      setDeliveriesLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDeliveries();
+  }, []);
 
   useEffect(() => {
     let mounted = true;
@@ -335,6 +373,69 @@ export default function WorkflowAutomationDashboard() {
         )}
       </div>
 
+      {/* Webhook delivery log */}
+      <div className="mt-8 bg-white rounded-2xl shadow border p-5">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <Webhook className="w-6 h-6 text-indigo-600" />
+            <div>
+              <h2 className="text-lg font-semibold text-slate-900">Webhook deliveries</h2>
+              <p className="text-xs text-slate-500">Every attempt to your endpoints, newest first. Failed attempts are retried with backoff.</p>
+            </div>
+          </div>
+          <button
+            onClick={loadDeliveries}
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-xl bg-white border border-slate-200 text-sm hover:bg-slate-50"
+            title="Refresh deliveries"
+          >
+            <RefreshCw className={`w-4 h-4 ${deliveriesLoading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        {deliveries.length === 0 ? (
+          <p className="text-sm text-slate-600">No webhook deliveries yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-500 border-b">
+                  <th className="py-2 pr-4 font-medium">Time</th>
+                  <th className="py-2 pr-4 font-medium">Event</th>
+                  <th className="py-2 pr-4 font-medium">Endpoint</th>
+                  <th className="py-2 pr-4 font-medium">Attempt</th>
+                  <th className="py-2 pr-4 font-medium">Result</th>
+                  <th className="py-2 pr-4 font-medium">Latency</th>
+                  <th className="py-2 font-medium">Response</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map((d) => (
+                  <tr key={d.id} className="border-b last:border-0 align-top">
+                    <td className="py-2 pr-4 whitespace-nowrap text-slate-600">{new Date(d.created_at).toLocaleString()}</td>
+                    <td className="py-2 pr-4 font-mono text-xs text-slate-800">{d.event_type}</td>
+                    <td className="py-2 pr-4 max-w-[14rem] truncate text-slate-600" title={d.url}>{d.url}</td>
+                    <td className="py-2 pr-4 text-slate-600">{d.attempt}</td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        d.status === 'succeeded' ? 'bg-green-100 text-green-800' :
+                        d.will_retry ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                        {d.status_code ?? 'no response'}{d.status === 'failed' && (d.will_retry ? ' · retrying' : ' · gave up')}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap text-slate-600">{d.latency_ms != null ? `${d.latency_ms} ms` : '—'}</td>
+                    <td className="py-2 max-w-[18rem] truncate font-mono text-xs text-slate-500" title={d.response_body || d.error || ''}>
+                      {d.response_body || d.error || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
       {/* Builder modal (simple) */}
       {showBuilder && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">